@@ -0,0 +1,398 @@
+"use strict";
+(self["webpackChunkbrag_book_gallery"] = self["webpackChunkbrag_book_gallery"] || []).push([["brag-book-gallery-comparison"],{
+
+/***/ "./src/js/modules/case-comparison.js":
+/*!*******************************************!*\
+  !*** ./src/js/modules/case-comparison.js ***!
+  \*******************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony import */ var _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./ajax-client.js */ "./src/js/modules/ajax-client.js");
+/* harmony import */ var _dialog_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./dialog.js */ "./src/js/modules/dialog.js");
+/* harmony import */ var _utilities_js__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./utilities.js */ "./src/js/modules/utilities.js");
+
+
+
+
+/**
+ * Case Comparison
+ *
+ * Visitors tick the "compare" toggle on up to four case cards, then open a
+ * dialog that lays the cases out side by side: the before/after photos, the
+ * patient demographics, the technique and the providers. The photos share one
+ * angle control, so switching to the second angle switches every column and
+ * the views stay comparable.
+ *
+ * The selection is kept in sessionStorage, so it survives paging and moving
+ * between the gallery and the favorites page during a visit.
+ */
+
+const STORAGE_KEY = 'brag-book-compare';
+const MAX_CASES = 4;
+const DIALOG_ID = 'bragBookCompareDialog';
+const CLOSE_ICON = '<svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="currentColor"><path d="M256-213.85 213.85-256l224-224-224-224L256-746.15l224 224 224-224L746.15-704l-224 224 224 224L704-213.85l-224-224-224 224Z"/></svg>';
+class CaseComparison {
+  constructor() {
+    this.selection = this.loadSelection();
+    this.cases = [];
+    this.nudityWarning = '';
+    this.angle = 0;
+    this.dialog = null;
+    this.tray = null;
+    this.syncQueued = false;
+    this.init();
+  }
+  init() {
+    // Capture phase, so the card's own handlers never see the click: the
+    // favorites manager claims any click inside a [data-favorited] card.
+    document.addEventListener('click', e => {
+      const toggle = e.target.closest('.brag-book-gallery-compare-toggle');
+      if (!toggle) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.toggle(Number(toggle.dataset.comparePostId));
+    }, true);
+    document.addEventListener('click', e => {
+      if (e.target.closest('[data-action="open-comparison"]')) {
+        e.preventDefault();
+        this.open();
+      } else if (e.target.closest('[data-action="clear-comparison"]')) {
+        e.preventDefault();
+        this.clear();
+      }
+    });
+
+    // Cards arrive through AJAX filtering, paging and the favorites grid;
+    // mark the selected ones as they appear.
+    new MutationObserver(() => this.queueSync()).observe(document.body, {
+      childList: true,
+      subtree: true
+    });
+    this.syncToggles();
+    this.renderTray();
+  }
+
+  /**
+   * @returns {number[]} Selected case post IDs
+   */
+  loadSelection() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored.map(Number).filter(id => id > 0).slice(0, MAX_CASES) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+  saveSelection() {
+    try {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(this.selection));
+    } catch (e) {
+      console.warn('BRAGBook: Could not save the comparison selection:', e);
+    }
+  }
+
+  /**
+   * Add a case to the comparison, or take it out if it is already there.
+   *
+   * @param {number} postId - Case post ID
+   */
+  toggle(postId) {
+    if (!postId) return;
+    if (this.selection.includes(postId)) {
+      this.selection = this.selection.filter(id => id !== postId);
+    } else if (this.selection.length >= MAX_CASES) {
+      this.renderTray(`You can compare up to ${MAX_CASES} cases. Remove one to add another.`);
+      return;
+    } else {
+      this.selection.push(postId);
+    }
+    this.saveSelection();
+    this.syncToggles();
+    this.renderTray();
+  }
+  clear() {
+    this.selection = [];
+    this.saveSelection();
+    this.syncToggles();
+    this.renderTray();
+  }
+  queueSync() {
+    if (this.syncQueued) return;
+    this.syncQueued = true;
+    requestAnimationFrame(() => {
+      this.syncQueued = false;
+      this.syncToggles();
+    });
+  }
+
+  /**
+   * Reflect the selection on every compare toggle on the page.
+   */
+  syncToggles() {
+    document.querySelectorAll('.brag-book-gallery-compare-toggle').forEach(toggle => {
+      const selected = this.selection.includes(Number(toggle.dataset.comparePostId));
+      const pressed = String(selected);
+      if (toggle.getAttribute('aria-pressed') !== pressed) {
+        toggle.setAttribute('aria-pressed', pressed);
+        toggle.setAttribute('aria-label', selected ? 'Remove from comparison' : 'Compare this case');
+        toggle.title = toggle.getAttribute('aria-label');
+      }
+    });
+  }
+
+  /**
+   * Show the floating bar with the selection count and the Compare button.
+   *
+   * @param {string} [notice] - Message for the tray's live region
+   */
+  renderTray(notice = '') {
+    if (!this.tray) {
+      this.tray = document.createElement('div');
+      this.tray.className = 'brag-book-gallery-compare-tray';
+      this.tray.setAttribute('role', 'region');
+      this.tray.setAttribute('aria-label', 'Case comparison');
+      document.body.appendChild(this.tray);
+    }
+    const count = this.selection.length;
+    this.tray.hidden = count === 0 && !notice;
+    this.tray.innerHTML = `
+			<p class="brag-book-gallery-compare-tray__count">${count} of ${MAX_CASES} cases selected</p>
+			<div class="brag-book-gallery-compare-tray__actions">
+				<button type="button" class="brag-book-gallery-button brag-book-gallery-compare-tray__open" data-action="open-comparison"${count < 2 ? ' disabled' : ''}>Compare</button>
+				<button type="button" class="brag-book-gallery-compare-tray__clear" data-action="clear-comparison">Clear</button>
+			</div>
+			<p class="brag-book-gallery-compare-tray__notice" role="status">${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(notice)}</p>
+		`;
+  }
+
+  /**
+   * Build the comparison dialog on first use.
+   *
+   * @returns {Dialog}
+   */
+  ensureDialog() {
+    if (this.dialog) return this.dialog;
+    const element = document.createElement('dialog');
+    element.className = 'brag-book-gallery-dialog brag-book-gallery-compare-dialog';
+    element.id = DIALOG_ID;
+    element.setAttribute('aria-labelledby', `${DIALOG_ID}Title`);
+    element.innerHTML = `
+			<div class="brag-book-gallery-dialog-content">
+				<div class="brag-book-gallery-dialog-header">
+					<h2 class="brag-book-gallery-dialog-title" id="${DIALOG_ID}Title">Compare cases</h2>
+					<button class="brag-book-gallery-dialog-close" data-action="close-dialog" aria-label="Close dialog">${CLOSE_ICON}</button>
+				</div>
+				<div class="brag-book-gallery-compare-angles" data-compare-angles hidden></div>
+				<div class="brag-book-gallery-compare-columns" data-compare-columns aria-live="polite"></div>
+			</div>
+		`;
+    document.body.appendChild(element);
+    element.addEventListener('click', e => {
+      const angleButton = e.target.closest('[data-compare-angle]');
+      if (angleButton) {
+        this.setAngle(Number(angleButton.dataset.compareAngle));
+        return;
+      }
+      const removeButton = e.target.closest('[data-action="remove-compared-case"]');
+      if (removeButton) {
+        this.removeColumn(Number(removeButton.dataset.comparePostId));
+      }
+    });
+
+    // Left/right step every column to the previous/next angle together.
+    element.addEventListener('keydown', e => {
+      if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+      if (e.target.closest('input, select, textarea')) return;
+      e.preventDefault();
+      this.setAngle(this.angle + (e.key === 'ArrowRight' ? 1 : -1));
+    });
+    this.dialog = new _dialog_js__WEBPACK_IMPORTED_MODULE_1__["default"](DIALOG_ID, {
+      closeOnBackdrop: true
+    });
+    return this.dialog;
+  }
+
+  /**
+   * Fetch the selected cases and open the dialog.
+   */
+  async open() {
+    if (this.selection.length < 2) return;
+    const dialog = this.ensureDialog();
+    const columns = dialog.dialog.querySelector('[data-compare-columns]');
+    columns.innerHTML = '<p class="brag-book-gallery-compare-status">Loading cases…</p>';
+    dialog.dialog.querySelector('[data-compare-angles]').hidden = true;
+    dialog.open();
+    try {
+      const data = await this.fetchCases(this.selection);
+      this.cases = data.cases || [];
+      this.nudityWarning = data.nudityWarning || '';
+
+      // Cases removed from the site since they were picked drop out of
+      // the selection too.
+      const found = this.cases.map(caseData => caseData.postId);
+      if (found.length !== this.selection.length) {
+        this.selection = this.selection.filter(id => found.includes(id));
+        this.saveSelection();
+        this.syncToggles();
+        this.renderTray();
+      }
+      this.angle = 0;
+      this.renderColumns();
+    } catch (error) {
+      console.error('BRAGBook: Failed to load the comparison:', error);
+      columns.innerHTML = '<p class="brag-book-gallery-compare-status">' + (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.getErrorMessage)(error, 'The cases could not be loaded. Please try again.') + '</p>';
+    }
+  }
+
+  /**
+   * @param {number[]} postIds - Case post IDs
+   * @returns {Promise<{cases: Object[], nudityWarning?: string}>}
+   * @throws {Error} With the server's message when the request fails
+   */
+  async fetchCases(postIds) {
+    const formData = new FormData();
+    formData.append('action', 'brag_book_gallery_compare_cases');
+    postIds.forEach(postId => formData.append('post_ids[]', String(postId)));
+    const result = await (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.postAjax)(formData, {
+      idempotent: true
+    });
+    if (!result.success) {
+      throw new Error(result.data?.message || 'Request failed');
+    }
+    return result.data;
+  }
+
+  /**
+   * Most angles any column has; the shared control steps through these.
+   *
+   * @returns {number}
+   */
+  getAngleCount() {
+    return this.cases.reduce((most, caseData) => Math.max(most, caseData.images?.length || 0), 0);
+  }
+  renderColumns() {
+    const columns = this.dialog.dialog.querySelector('[data-compare-columns]');
+    if (!this.cases.length) {
+      columns.innerHTML = '<p class="brag-book-gallery-compare-status">None of these cases are available any more.</p>';
+      this.renderAngles();
+      return;
+    }
+    columns.style.setProperty('--brag-book-compare-columns', String(this.cases.length));
+    columns.innerHTML = this.cases.map(caseData => this.renderColumn(caseData)).join('');
+    this.renderAngles();
+  }
+
+  /**
+   * @param {Object} caseData - One case from brag_book_gallery_compare_cases
+   * @returns {string} Column HTML
+   */
+  renderColumn(caseData) {
+    const title = (0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(caseData.title);
+    const details = (caseData.details || []).map(detail => `
+			<dt>${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(detail.label)}</dt>
+			<dd>${detail.value ? (0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(detail.value) : '&mdash;'}</dd>
+		`).join('');
+    const technique = caseData.technique ? `<dt>Technique</dt><dd>${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(caseData.technique)}</dd>` : '';
+    const providers = caseData.providers?.length ? `<dt>${caseData.providers.length > 1 ? 'Providers' : 'Provider'}</dt><dd>${caseData.providers.map(_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml).join(', ')}</dd>` : '';
+    return `
+			<section class="brag-book-gallery-compare-column" data-compare-column="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(caseData.postId)}" aria-label="${title}">
+				<header class="brag-book-gallery-compare-column__header">
+					<h3 class="brag-book-gallery-compare-column__title"><a href="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(caseData.url)}">${title}</a></h3>
+					<button type="button" class="brag-book-gallery-compare-column__remove" data-action="remove-compared-case" data-compare-post-id="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(caseData.postId)}" aria-label="Remove ${title} from comparison">Remove</button>
+				</header>
+				<figure class="brag-book-gallery-compare-column__photo">
+					${this.renderPhoto(caseData)}
+					${caseData.nudity ? this.nudityWarning : ''}
+				</figure>
+				<dl class="brag-book-gallery-compare-column__details">${details}${technique}${providers}</dl>
+			</section>
+		`;
+  }
+
+  /**
+   * The column's photo for the current angle, or a note when it has none.
+   *
+   * @param {Object} caseData - One case from brag_book_gallery_compare_cases
+   * @returns {string}
+   */
+  renderPhoto(caseData) {
+    const url = caseData.images?.[this.angle];
+    if (!url) {
+      return '<p class="brag-book-gallery-compare-column__missing">No photo for this angle</p>';
+    }
+    const alt = `${caseData.title} before and after, angle ${this.angle + 1}`;
+    return `<img src="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(url)}" alt="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(alt)}" decoding="async">`;
+  }
+  renderAngles() {
+    const container = this.dialog.dialog.querySelector('[data-compare-angles]');
+    const count = this.getAngleCount();
+    container.hidden = count < 2;
+    if (count < 2) {
+      container.innerHTML = '';
+      return;
+    }
+    const buttons = Array.from({
+      length: count
+    }, (_, index) => `
+			<button type="button" class="brag-book-gallery-compare-angles__angle" data-compare-angle="${index}" aria-pressed="${index === this.angle}">${index + 1}</button>
+		`).join('');
+    container.innerHTML = `
+			<span class="brag-book-gallery-compare-angles__label" id="${DIALOG_ID}Angles">Angle</span>
+			<button type="button" class="brag-book-gallery-compare-angles__step" data-compare-angle="${this.angle - 1}" aria-label="Previous angle"${this.angle === 0 ? ' disabled' : ''}>&lsaquo;</button>
+			<div class="brag-book-gallery-compare-angles__list" role="group" aria-labelledby="${DIALOG_ID}Angles">${buttons}</div>
+			<button type="button" class="brag-book-gallery-compare-angles__step" data-compare-angle="${this.angle + 1}" aria-label="Next angle"${this.angle === count - 1 ? ' disabled' : ''}>&rsaquo;</button>
+		`;
+  }
+
+  /**
+   * Switch every column to the same angle.
+   *
+   * @param {number} angle - Zero-based angle index
+   */
+  setAngle(angle) {
+    const count = this.getAngleCount();
+    if (!count || angle < 0 || angle >= count || angle === this.angle) return;
+    this.angle = angle;
+    this.cases.forEach(caseData => {
+      const photo = this.dialog.dialog.querySelector(`[data-compare-column="${CSS.escape(String(caseData.postId))}"] .brag-book-gallery-compare-column__photo`);
+      if (!photo) return;
+
+      // Swap the photo only; a nudity overlay the visitor has not yet
+      // dismissed stays in place.
+      const current = photo.querySelector('img, .brag-book-gallery-compare-column__missing');
+      const template = document.createElement('template');
+      template.innerHTML = this.renderPhoto(caseData);
+      current?.replaceWith(template.content);
+    });
+
+    // Keep focus on the control the visitor is using after the re-render.
+    const focusedAngle = document.activeElement?.closest?.('[data-compare-angles]');
+    this.renderAngles();
+    if (focusedAngle) {
+      this.dialog.dialog.querySelector(`[data-compare-angle="${angle}"][aria-pressed]`)?.focus();
+    }
+  }
+
+  /**
+   * Take one case out of the open comparison.
+   *
+   * @param {number} postId - Case post ID
+   */
+  removeColumn(postId) {
+    this.cases = this.cases.filter(caseData => caseData.postId !== postId);
+    this.toggle(postId);
+    if (!this.cases.length) {
+      this.dialog.close();
+      return;
+    }
+    this.angle = Math.min(this.angle, Math.max(this.getAngleCount() - 1, 0));
+    this.renderColumns();
+  }
+}
+/* harmony default export */ __webpack_exports__["default"] = (CaseComparison);
+
+/***/ })
+
+}]);
+//# sourceMappingURL=brag-book-gallery-comparison.js.map
\ No newline at end of file
@@ -0,0 +1,415 @@
+"use strict";
+(self["webpackChunkbrag_book_gallery"] = self["webpackChunkbrag_book_gallery"] || []).push([["brag-book-gallery-consultation-form"],{
+
+/***/ "./src/js/modules/consultation-form.js":
+/*!*********************************************!*\
+  !*** ./src/js/modules/consultation-form.js ***!
+  \*********************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   FORM_SELECTOR: function() { return /* binding */ FORM_SELECTOR; }
+/* harmony export */ });
+/* harmony import */ var _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./ajax-client.js */ "./src/js/modules/ajax-client.js");
+/* harmony import */ var _analytics_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./analytics.js */ "./src/js/modules/analytics.js");
+/**
+ * Consultation Form
+ *
+ * Drives the built-in consultation form rendered by
+ * Consultation_Form::render(): paging through its steps, checking each step
+ * before moving on, attaching the case and procedure the visitor was viewing,
+ * and posting the whole form, uploads included, to
+ * brag_book_gallery_form_submission.
+ *
+ * The steps, fields and validation messages come from the schema on the
+ * form's data-consultation-schema attribute, the same one the server
+ * validates against, so validateField() below mirrors
+ * Consultation_Form::validate(). Errors the server still finds are shown on
+ * their fields the same way.
+ */
+
+
+
+const FORM_SELECTOR = '[data-form="consultation"]';
+
+// The case containers that say which case a consultation button belongs to.
+const CASE_CONTEXT_SELECTOR = '.brag-book-gallery-case-card, .brag-book-gallery-case-detail-view, .brag-book-gallery-carousel-item';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Fill a PHP-style sprintf template (%s, %d and numbered %1$s forms)
+ *
+ * @param {string} template Message template
+ * @param {...(string|number)} args Values in order
+ * @returns {string}
+ */
+const formatMessage = (template, ...args) => {
+  let next = 0;
+  return template.replace(/%(?:(\d+)\$)?[sd]/g, (match, position) => {
+    const value = position ? args[Number(position) - 1] : args[next++];
+    return value === undefined ? match : String(value);
+  });
+};
+class ConsultationForm {
+  /**
+   * @param {HTMLFormElement} form Form rendered by Consultation_Form::render()
+   * @param {Object} options
+   * @param {FormGuard} options.formGuard Supplies the spam-check token
+   * @param {function(string, string): void} [options.showMessage] Show a form-level message (text, type)
+   * @param {function(): void} [options.hideMessage] Hide the form-level message
+   * @param {function(): void} [options.onSuccess] Called after a successful submission
+   */
+  constructor(form, options = {}) {
+    this.form = form;
+    this.options = {
+      showMessage: () => {},
+      hideMessage: () => {},
+      onSuccess: () => {},
+      ...options
+    };
+    try {
+      this.config = JSON.parse(form.dataset.consultationSchema || '{}');
+    } catch (error) {
+      console.error('BRAGBook: Invalid consultation form schema:', error);
+      this.config = {};
+    }
+    this.steps = this.config.steps || [];
+    this.messages = this.config.messages || {};
+    this.stepElements = [...form.querySelectorAll('[data-form-step]')];
+    this.currentStep = 0;
+    this.submitting = false;
+    this.init();
+  }
+  init() {
+    this.form.addEventListener('submit', e => {
+      e.preventDefault();
+
+      // Enter in a field on an earlier step moves on rather than sending.
+      if (this.currentStep < this.stepElements.length - 1) {
+        this.next();
+        return;
+      }
+      this.submit();
+    });
+    this.form.addEventListener('click', e => {
+      if (e.target.closest('[data-action="form-next"]')) {
+        this.next();
+      } else if (e.target.closest('[data-action="form-back"]')) {
+        this.showStep(this.currentStep - 1);
+      }
+    });
+
+    // An error clears as soon as the visitor changes the field.
+    const clearOnEdit = e => {
+      const group = e.target.closest?.('[data-field]');
+      if (group) {
+        this.setFieldError(group.dataset.field, '');
+      }
+    };
+    this.form.addEventListener('input', clearOnEdit);
+    this.form.addEventListener('change', clearOnEdit);
+
+    // Start the form token's clock while the visitor fills the form in.
+    this.form.addEventListener('focusin', () => this.options.formGuard.prime(), {
+      once: true
+    });
+
+    // Note which case the consultation was asked about. Capture phase, so
+    // the context is in place before the dialog opens.
+    document.addEventListener('click', e => {
+      const trigger = e.target.closest('[data-action="request-consultation"]');
+      if (trigger) {
+        this.setContext(trigger);
+      }
+    }, true);
+    this.setContext(null);
+  }
+
+  /**
+   * Fill the hidden case and procedure fields from what the visitor is viewing
+   *
+   * The case card or carousel slide around the button wins; otherwise the
+   * case detail view on the page, if any. The server looks the procedure up
+   * from the case when none is given.
+   *
+   * @param {HTMLElement|null} trigger Button that opened the form
+   */
+  setContext(trigger) {
+    const container = trigger?.closest(CASE_CONTEXT_SELECTOR) || document.querySelector('.brag-book-gallery-case-detail-view');
+    const casePostId = container?.dataset.postId || '';
+    const procedure = container?.dataset.procedure || container?.dataset.currentTermId || '';
+    this.form.elements.case_post_id.value = casePostId;
+    this.form.elements.procedure.value = procedure;
+    const note = this.form.querySelector('[data-form-context]');
+    if (note) {
+      note.textContent = casePostId ? this.config.context || '' : '';
+      note.hidden = !casePostId;
+    }
+  }
+
+  /**
+   * Check the current step and move to the next one
+   */
+  next() {
+    if (this.validateStep(this.currentStep)) {
+      this.showStep(this.currentStep + 1);
+    }
+  }
+
+  /**
+   * Show one step and update the progress text and buttons
+   *
+   * @param {number} index Step index
+   * @param {boolean} [focus=true] Move focus to the step's first field
+   */
+  showStep(index, focus = true) {
+    const last = this.stepElements.length - 1;
+    this.currentStep = Math.min(Math.max(index, 0), last);
+    this.stepElements.forEach((step, i) => {
+      step.hidden = i !== this.currentStep;
+    });
+    const back = this.form.querySelector('[data-action="form-back"]');
+    const next = this.form.querySelector('[data-action="form-next"]');
+    const submit = this.form.querySelector('[data-action="form-submit"]');
+    if (back) back.hidden = this.currentStep === 0;
+    if (next) next.hidden = this.currentStep === last;
+    if (submit) submit.hidden = this.currentStep !== last;
+    const progress = this.form.querySelector('[data-form-progress]');
+    if (progress && this.config.progress) {
+      progress.textContent = formatMessage(this.config.progress, this.currentStep + 1, last + 1);
+    }
+    if (focus) {
+      this.stepElements[this.currentStep]?.querySelector('input:not([type="hidden"]), select, textarea')?.focus();
+    }
+  }
+
+  /**
+   * Validate every field on a step, showing any errors
+   *
+   * An invalid step is brought into view with its first bad field focused.
+   *
+   * @param {number} index Step index
+   * @returns {boolean} Whether the step is valid
+   */
+  validateStep(index) {
+    let firstInvalid = null;
+    (this.steps[index]?.fields || []).forEach(field => {
+      const error = this.validateField(field);
+      this.setFieldError(field.name, error);
+      if (error && !firstInvalid) {
+        firstInvalid = field.name;
+      }
+    });
+    if (firstInvalid) {
+      this.showStep(index, false);
+      this.focusField(firstInvalid);
+    }
+    return !firstInvalid;
+  }
+
+  /**
+   * Check one field's value against its rules
+   *
+   * Mirrors Consultation_Form::validate().
+   *
+   * @param {Object} field Field from the schema
+   * @returns {string} Error message, or '' when valid
+   */
+  validateField(field) {
+    const value = this.getValue(field);
+    const messages = this.messages;
+    if (field.type === 'file') {
+      if (!value) {
+        return field.required ? formatMessage(messages.required, field.label) : '';
+      }
+      const extension = value.name.split('.').pop().toLowerCase();
+      if (value.size > field.max_size * 1024 * 1024) {
+        return formatMessage(messages.file_size, field.max_size);
+      }
+      if (!field.accept.includes(extension)) {
+        return formatMessage(messages.file_type, field.accept.join(', '));
+      }
+      return '';
+    }
+    if (value === '' || Array.isArray(value) && value.length === 0) {
+      if (!field.required) return '';
+      return field.type === 'consent' ? messages.consent : formatMessage(messages.required, field.label);
+    }
+    switch (field.type) {
+      case 'email':
+        if (!EMAIL_PATTERN.test(value)) return messages.email;
+        break;
+      case 'tel':
+        if (value.replace(/\D/g, '').length !== 10) return messages.tel;
+        break;
+      case 'select':
+      case 'radio':
+        if (!field.options.includes(value)) return messages.choice;
+        break;
+      case 'checkbox':
+        if (value.some(item => !field.options.includes(item))) return messages.choice;
+        break;
+    }
+    if (field.max_length && value.length > field.max_length) {
+      return formatMessage(messages.too_long, field.label, field.max_length);
+    }
+    return '';
+  }
+
+  /**
+   * Current value of a field, shaped the way the server reads it
+   *
+   * @param {Object} field Field from the schema
+   * @returns {string|string[]|File|null}
+   */
+  getValue(field) {
+    const {
+      elements
+    } = this.form;
+    switch (field.type) {
+      case 'checkbox':
+        return [...this.form.querySelectorAll(`input[name="${field.name}[]"]:checked`)].map(input => input.value.trim()).filter(Boolean);
+      case 'consent':
+        return elements[field.name]?.checked ? 'yes' : '';
+      case 'file':
+        return elements[field.name]?.files?.[0] || null;
+      default:
+        return (elements[field.name]?.value || '').trim();
+    }
+  }
+
+  /**
+   * Show or clear the error under a field
+   *
+   * @param {string} name Field name
+   * @param {string} message Error message; '' clears it
+   */
+  setFieldError(name, message) {
+    const group = this.form.querySelector(`[data-field="${name}"]`);
+    if (!group) return;
+    const error = group.querySelector('.brag-book-gallery-form-field-error');
+    if (error) {
+      error.textContent = message;
+      error.hidden = !message;
+    }
+    group.classList.toggle('has-error', Boolean(message));
+
+    // Choice groups carry the invalid state on the group itself.
+    const targets = group.matches('fieldset') ? [group] : group.querySelectorAll('input, select, textarea');
+    targets.forEach(target => {
+      if (message) {
+        target.setAttribute('aria-invalid', 'true');
+      } else {
+        target.removeAttribute('aria-invalid');
+      }
+    });
+  }
+
+  /**
+   * Focus a field's control
+   *
+   * @param {string} name Field name
+   */
+  focusField(name) {
+    this.form.querySelector(`[data-field="${name}"]`)?.querySelector('input, select, textarea')?.focus();
+  }
+
+  /**
+   * Index of the step holding a field
+   *
+   * @param {string} name Field name
+   * @returns {number}
+   */
+  stepOf(name) {
+    const index = this.steps.findIndex(step => step.fields.some(field => field.name === name));
+    return index === -1 ? this.currentStep : index;
+  }
+
+  /**
+   * Show errors from the server on their fields, opening the first one's step
+   *
+   * @param {Object<string, string>} fields Messages keyed by field name
+   */
+  showServerErrors(fields) {
+    const names = Object.keys(fields);
+    if (!names.length) return;
+    names.forEach(name => this.setFieldError(name, fields[name]));
+    const first = names.sort((a, b) => this.stepOf(a) - this.stepOf(b))[0];
+    this.showStep(this.stepOf(first), false);
+    this.focusField(first);
+  }
+
+  /**
+   * Validate every step, then send the form
+   */
+  async submit() {
+    if (this.submitting) return;
+    for (let i = 0; i < this.steps.length; i++) {
+      if (!this.validateStep(i)) return;
+    }
+    const config = window.bragBookGalleryConfig;
+    const submitBtn = this.form.querySelector('[data-action="form-submit"]');
+    const originalBtnText = submitBtn ? submitBtn.textContent : '';
+    this.submitting = true;
+    this.options.hideMessage();
+    if (submitBtn) {
+      submitBtn.disabled = true;
+      submitBtn.textContent = 'Sending...';
+    }
+    try {
+      if (!config) {
+        throw new Error('Configuration not loaded. Please refresh the page.');
+      }
+      const formData = new FormData(this.form);
+      formData.append('action', 'brag_book_gallery_form_submission');
+      await this.options.formGuard.append(formData);
+      const result = await (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.postAjax)(formData, {
+        nonce: 'consultation',
+        url: config.ajaxUrl
+      });
+      if (result.success) {
+        (0,_analytics_js__WEBPACK_IMPORTED_MODULE_1__.track)('consultation_submit', {
+          post_id: this.form.elements.case_post_id.value,
+          procedure: this.form.elements.procedure.value
+        });
+        this.options.showMessage('Thank you for your consultation request! We will contact you soon.', 'success');
+        this.options.onSuccess();
+        return;
+      }
+
+      // Field errors come back as { message, fields }; anything else is a string.
+      const data = result.data;
+      this.options.formGuard.handleError(data);
+      if (data && typeof data === 'object' && data.fields) {
+        this.showServerErrors(data.fields);
+      }
+      this.options.showMessage((typeof data === 'string' ? data : data?.message) || 'Failed to send consultation request. Please try again.', 'error');
+    } catch (error) {
+      this.options.showMessage((0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.getErrorMessage)(error, error.message || 'An error occurred. Please try again.'), 'error');
+    } finally {
+      this.submitting = false;
+      if (submitBtn) {
+        submitBtn.disabled = false;
+        submitBtn.textContent = originalBtnText;
+      }
+    }
+  }
+
+  /**
+   * Empty the form and go back to the first step
+   */
+  reset() {
+    this.form.reset();
+    this.steps.forEach(step => step.fields.forEach(field => this.setFieldError(field.name, '')));
+    this.showStep(0, false);
+    this.setContext(null);
+  }
+}
+
+/* harmony default export */ __webpack_exports__["default"] = (ConsultationForm);
+
+/***/ })
+
+}]);
+//# sourceMappingURL=brag-book-gallery-consultation-form.js.map
\ No newline at end of file
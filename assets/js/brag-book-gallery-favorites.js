@@ -8,18 +8,37 @@
 /***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
 
 __webpack_require__.r(__webpack_exports__);
-/* harmony import */ var _dialog_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./dialog.js */ "./src/js/modules/dialog.js");
+/* harmony import */ var _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./ajax-client.js */ "./src/js/modules/ajax-client.js");
+/* harmony import */ var _analytics_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./analytics.js */ "./src/js/modules/analytics.js");
+/* harmony import */ var _consent_js__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./consent.js */ "./src/js/modules/consent.js");
+/* harmony import */ var _dialog_js__WEBPACK_IMPORTED_MODULE_3__ = __webpack_require__(/*! ./dialog.js */ "./src/js/modules/dialog.js");
+/* harmony import */ var _favorites_queue_js__WEBPACK_IMPORTED_MODULE_4__ = __webpack_require__(/*! ./favorites-queue.js */ "./src/js/modules/favorites-queue.js");
+
+
+
+
 
 
 /**
  * Favorites Manager
  * Manages favorited items across the gallery
+ *
+ * Adds and removes that cannot reach the server (offline, or the request
+ * never gets a response) stay applied locally and wait in a FavoritesQueue
+ * until the connection is back. The server's list wins everywhere else.
+ *
+ * When the site waits for visitor consent, favorites stay local and the email
+ * capture dialog stays closed until the visitor consents to marketing.
  */
 class FavoritesManager {
   constructor(options = {}) {
     this.favorites = new Set();
     this.userInfo = null;
     this.hasShownDialog = false;
+    this.queue = new _favorites_queue_js__WEBPACK_IMPORTED_MODULE_4__["default"]();
+    this.replaying = null;
+    // Shared with the consultation form; adds must carry its token.
+    this.formGuard = options.formGuard;
     this.options = {
       storageKey: options.storageKey || 'brag-book-favorites',
       userInfoKey: options.userInfoKey || 'brag-book-user-info',
@@ -30,7 +49,7 @@ class FavoritesManager {
     this.init();
   }
   init() {
-    this.favoritesDialog = new _dialog_js__WEBPACK_IMPORTED_MODULE_0__["default"]('favoritesDialog', {
+    this.favoritesDialog = new _dialog_js__WEBPACK_IMPORTED_MODULE_3__["default"]('favoritesDialog', {
       onClose: () => {
         // If user closes without submitting, remove the just-added favorite
         if (!this.userInfo && this.lastAddedFavorite) {
@@ -43,8 +62,20 @@ class FavoritesManager {
       this.loadFromStorage();
       this.loadUserInfo();
     }
+    // Returning visitors add favorites without the form, so have a token ready.
+    if (this.userInfo?.email) {
+      this.formGuard.prime();
+    }
     this.setupEventListeners();
     this.updateUI();
+
+    // Changes queued on an earlier visit are laid over what was stored,
+    // then sent if the connection allows.
+    this.queue.ready.then(() => {
+      this.applyQueuedChanges();
+      this.replayQueue();
+    });
+    window.addEventListener('online', () => this.replayQueue());
   }
   setupEventListeners() {
     document.addEventListener('click', e => {
@@ -67,6 +98,10 @@ class FavoritesManager {
         e.preventDefault();
         this.handleFavoritesFormSubmit(e.target);
       });
+      // Start the form token's clock while the visitor fills the form in.
+      favoritesForm.addEventListener('focusin', () => this.formGuard.prime(), {
+        once: true
+      });
     }
 
     // Handle favorites lookup form submission
@@ -140,6 +175,13 @@ class FavoritesManager {
       return;
     }
 
+    // Sending favorites, with the visitor's email, to the practice waits
+    // for marketing consent; until then they are kept on this device.
+    if (!(0,_consent_js__WEBPACK_IMPORTED_MODULE_2__.getConsent)().has('marketing')) {
+      this.addFavorite(itemId, button);
+      return;
+    }
+
     // Check for user info in localStorage if we don't have it
     if (!this.userInfo || !this.userInfo.email) {
       this.loadUserInfo();
@@ -200,6 +242,9 @@ class FavoritesManager {
 
     // Add to internal favorites collection
     this.favorites.add(itemId);
+    (0,_analytics_js__WEBPACK_IMPORTED_MODULE_1__.track)('favorite_add', {
+      case_id: itemId
+    });
 
     // Persist to localStorage if enabled
     if (this.options.persistToStorage) {
@@ -242,6 +287,9 @@ class FavoritesManager {
 
     // Remove from internal favorites collection
     this.favorites.delete(itemId);
+    (0,_analytics_js__WEBPACK_IMPORTED_MODULE_1__.track)('favorite_remove', {
+      case_id: itemId
+    });
 
     // Persist changes to localStorage if enabled
     if (this.options.persistToStorage) {
@@ -271,25 +319,11 @@ class FavoritesManager {
    * @param {string} procedureId - The procedure ID
    */
   removeFavoriteFromAPI(caseId, procedureId = '') {
-    // Use WordPress AJAX for secure API communication
-    const formData = new FormData();
-    formData.append('action', 'brag_book_remove_favorite');
-    formData.append('nonce', window.bragBookGalleryConfig?.nonce || '');
-    formData.append('case_id', caseId);
-    formData.append('procedure_id', procedureId);
-    formData.append('id_type', 'caseProcedureId');
-    formData.append('email', this.userInfo.email || '');
-
-    // Submit via WordPress AJAX (API tokens handled securely on server)
-    fetch(window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php', {
-      method: 'POST',
-      body: formData
-    }).then(response => {
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      return response.json();
-    }).then(response => {
+    if (!navigator.onLine) {
+      this.queueFavoriteChange('remove', caseId, procedureId);
+      return;
+    }
+    this.sendFavoriteChange('remove', caseId, procedureId).then(response => {
       if (response.success) {
         // Show success notification
         this.showSuccessNotification('Removed from favorites!');
@@ -305,11 +339,9 @@ class FavoritesManager {
         this.restoreFavoriteState(caseId);
       }
     }).catch(error => {
-      console.error('Error removing favorite:', error);
-      this.showErrorNotification('Error removing favorite. Please try again.');
-
-      // Restore the favorite state since API call failed
-      this.restoreFavoriteState(caseId);
+      // No answer from the server; keep the removal and send it later
+      console.warn('Error removing favorite, queued for retry:', error);
+      this.queueFavoriteChange('remove', caseId, procedureId);
     });
   }
 
@@ -390,27 +422,11 @@ class FavoritesManager {
    * @param {string} procedureId - The procedure ID
    */
   submitFavoriteToAPI(caseId, procedureId = '') {
-    // Use WordPress AJAX for secure API communication
-    const formData = new FormData();
-    formData.append('action', 'brag_book_add_favorite');
-    formData.append('nonce', window.bragBookGalleryConfig?.nonce || '');
-    formData.append('case_id', caseId);
-    formData.append('procedure_id', procedureId);
-    formData.append('id_type', 'caseProcedureId');
-    formData.append('email', this.userInfo.email || '');
-    formData.append('phone', this.userInfo.phone || '');
-    formData.append('name', this.userInfo.name || '');
-
-    // Submit via WordPress AJAX (API tokens handled securely on server)
-    fetch(window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php', {
-      method: 'POST',
-      body: formData
-    }).then(response => {
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      return response.json();
-    }).then(response => {
+    if (!navigator.onLine) {
+      this.queueFavoriteChange('add', caseId, procedureId);
+      return;
+    }
+    this.sendFavoriteChange('add', caseId, procedureId).then(response => {
       if (response.success) {
         // Show success notification
         this.showSuccessNotification('Added to favorites!');
@@ -421,11 +437,187 @@ class FavoritesManager {
         this.showErrorNotification('Failed to save favorite. Please try again.');
       }
     }).catch(error => {
-      console.error('Error submitting favorite:', error);
-      // Undo local state only (don't call API remove — item was never added)
-      this.undoLocalFavorite(caseId);
-      this.showErrorNotification('Error saving favorite. Please try again.');
+      // No answer from the server; keep the favorite and send it later
+      console.warn('Error submitting favorite, queued for retry:', error);
+      this.queueFavoriteChange('add', caseId, procedureId);
+    });
+  }
+
+  /**
+   * Send one favorite change to the server
+   *
+   * Resolves with the AJAX response, successful or not. Rejects only when
+   * no usable answer came back, which is when a change is worth retrying.
+   * A newer change to the same case supersedes anything queued for it.
+   *
+   * @param {'add'|'remove'} type - Change to send
+   * @param {string} caseId - The case procedure ID
+   * @param {string} procedureId - The procedure ID
+   * @param {boolean} retry - Whether to retry once with a fresh form token
+   * @returns {Promise<Object>} The AJAX response
+   */
+  sendFavoriteChange(type, caseId, procedureId = '', retry = true) {
+    const userInfo = this.getUserInfo() || {};
+    this.queue.discard(caseId);
+
+    // Use WordPress AJAX for secure API communication
+    const formData = new FormData();
+    formData.append('action', type === 'add' ? 'brag_book_add_favorite' : 'brag_book_remove_favorite');
+    formData.append('case_id', caseId);
+    formData.append('procedure_id', procedureId);
+    formData.append('id_type', 'caseProcedureId');
+    formData.append('email', userInfo.email || '');
+    if (type === 'add') {
+      formData.append('phone', userInfo.phone || '');
+      formData.append('name', userInfo.name || '');
+    }
+
+    // Adds pass the spam checks; removes send no visitor details.
+    const body = type === 'add' ? this.formGuard.append(formData) : Promise.resolve(formData);
+
+    // Submit via WordPress AJAX (API tokens handled securely on server)
+    return body.then(payload => (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.postAjax)(payload)).then(result => {
+      // An expired form token is replaced and the change sent once more.
+      if (!result.success && retry && result.data?.code === 'form_token') {
+        this.formGuard.handleError(result.data);
+        return this.sendFavoriteChange(type, caseId, procedureId, false);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Keep a favorite change that could not be sent, to replay later
+   * @param {'add'|'remove'} type - Change to queue
+   * @param {string} caseId - The case procedure ID
+   * @param {string} procedureId - The procedure ID
+   */
+  queueFavoriteChange(type, caseId, procedureId = '') {
+    this.queue.put({
+      itemId: caseId,
+      type,
+      procedureId
+    });
+    if (type === 'remove') {
+      this.removeCardFromFavoritesGrid(caseId);
+    }
+    this.showSuccessNotification(type === 'add' ? 'Added to favorites. We\'ll save it once you\'re back online.' : 'Removed from favorites. We\'ll save it once you\'re back online.');
+  }
+
+  /**
+   * Send queued favorite changes, oldest first
+   *
+   * Stops at the first change that still gets no answer and leaves the rest
+   * for the next attempt. A change the server turns down is dropped and the
+   * local state put back, unless the visitor has changed that case since.
+   *
+   * @returns {Promise<void>}
+   */
+  replayQueue() {
+    if (this.replaying) {
+      return this.replaying;
+    }
+    if (!this.queue.size || !navigator.onLine || !this.getUserInfo()?.email) {
+      return Promise.resolve();
+    }
+    this.replaying = (async () => {
+      let synced = 0;
+      for (const entry of this.queue.all()) {
+        let response;
+        try {
+          response = await this.sendFavoriteChange(entry.type, entry.itemId, entry.procedureId);
+        } catch (error) {
+          console.warn('Favorites still unreachable, keeping queued changes:', error);
+          // sendFavoriteChange() discarded the entry; put it back
+          if (!this.queue.get(entry.itemId)) {
+            this.queue.put(entry);
+          }
+          break;
+        }
+        if (response.success) {
+          synced++;
+          if (entry.type === 'remove') {
+            this.removeCardFromFavoritesGrid(entry.itemId);
+          }
+          continue;
+        }
+        console.error('Queued favorite change rejected:', response.data?.message);
+        if (this.queue.get(entry.itemId)) {
+          continue;
+        }
+        if (entry.type === 'add') {
+          this.undoLocalFavorite(entry.itemId);
+        } else {
+          this.restoreFavoriteState(entry.itemId);
+        }
+      }
+      if (synced > 0) {
+        this.showSuccessNotification(`Your favorites are saved (${synced} change${synced !== 1 ? 's' : ''} synced).`);
+      }
+    })().finally(() => {
+      this.replaying = null;
     });
+    return this.replaying;
+  }
+
+  /**
+   * Lay queued changes over the current favorites
+   */
+  applyQueuedChanges() {
+    if (!this.queue.size) {
+      return;
+    }
+    this.setFavorites(this.withQueuedChanges(this.favorites));
+  }
+
+  /**
+   * Adopt the server's favorites list, keeping changes still queued
+   *
+   * The server list is authoritative for every case without a queued
+   * change; queued adds and removes win for the rest, and are sent again.
+   *
+   * @param {string[]} serverIds - Case procedure IDs from brag_book_lookup_favorites
+   * @returns {string[]} The reconciled favorites
+   */
+  reconcileWithServer(serverIds) {
+    const favorites = this.withQueuedChanges(serverIds);
+    this.setFavorites(favorites);
+    this.replayQueue();
+    return [...favorites];
+  }
+
+  /**
+   * @param {Iterable<string>} ids - Case procedure IDs
+   * @returns {Set<string>} The IDs with queued adds and removes applied
+   */
+  withQueuedChanges(ids) {
+    const favorites = new Set([...ids].map(String));
+    this.queue.all().forEach(entry => {
+      if (entry.type === 'add') {
+        favorites.add(entry.itemId);
+      } else {
+        favorites.delete(entry.itemId);
+      }
+    });
+    return favorites;
+  }
+
+  /**
+   * Replace the favorites, persist them and update every button and count
+   * @param {Set<string>} favorites - Case procedure IDs
+   */
+  setFavorites(favorites) {
+    this.favorites = favorites;
+    if (this.options.persistToStorage) {
+      this.saveToStorage();
+    }
+    this.updateUI();
+    this.options.onUpdate(this.favorites);
+    window.dispatchEvent(new CustomEvent('favoritesUpdated', {
+      detail: {
+        favorites: this.favorites
+      }
+    }));
   }
 
   /**
@@ -532,7 +724,6 @@ class FavoritesManager {
 
     // Prepare WordPress AJAX request
     formData.append('action', 'brag_book_add_favorite');
-    formData.append('nonce', window.bragBookGalleryConfig?.nonce || '');
     formData.append('case_id', caseId);
     formData.append('procedure_id', procedureId);
     formData.append('id_type', 'caseProcedureId');
@@ -541,15 +732,7 @@ class FavoritesManager {
     formData.append('name', name);
 
     // Submit via WordPress AJAX (API tokens handled securely on server)
-    fetch(window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php', {
-      method: 'POST',
-      body: formData
-    }).then(response => {
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      return response.json();
-    }).then(response => {
+    this.formGuard.append(formData).then(payload => (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.postAjax)(payload)).then(response => {
       if (response.success) {
         // Save user info locally
         const userInfo = {
@@ -587,6 +770,8 @@ class FavoritesManager {
         this.lastAddedFavorite = null;
         this.lastAddedButton = null;
       } else {
+        this.formGuard.handleError(response.data);
+
         // Parse and show detailed error
         this.parseAndShowDetailedError(form, response, 'save');
 
@@ -601,7 +786,7 @@ class FavoritesManager {
       // Show detailed network error
       this.showDetailedFormError(form, {
         title: 'Connection Error',
-        message: 'Unable to communicate with the server.',
+        message: (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.getErrorMessage)(error, 'Unable to communicate with the server.'),
         details: ['Check your internet connection', 'The server may be temporarily unavailable', `Technical details: ${error.message}`]
       });
 
@@ -650,19 +835,12 @@ class FavoritesManager {
     }
 
     // If not found in localStorage, check with server
-    // Add action and nonce for WordPress AJAX
+    // Add action for WordPress AJAX; the client adds the nonce
     formData.append('action', 'brag_book_lookup_favorites');
-    formData.append('nonce', window.bragBookGalleryConfig?.nonce || '');
 
     // Submit via AJAX
-    fetch(window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php', {
-      method: 'POST',
-      body: formData
-    }).then(response => {
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      return response.json();
+    (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.postAjax)(formData, {
+      idempotent: true
     }).then(response => {
       if (response.success) {
         // Email found, validate and save user data
@@ -696,14 +874,8 @@ class FavoritesManager {
                 return String(c.id || '');
               }).filter(Boolean);
 
-              // Replace localStorage — API is authoritative
-              localStorage.setItem('brag-book-favorites', JSON.stringify(favoriteIds));
-
-              // Update internal favorites
-              this.favorites = new Set(favoriteIds);
-
-              // Update UI to reflect loaded favorites
-              this.updateAllButtonStates();
+              // API is authoritative, apart from changes still queued offline
+              this.reconcileWithServer(favoriteIds);
             }
             this.showLookupSuccess(form, email, userInfo, favoritesData);
           } else {
@@ -720,7 +892,7 @@ class FavoritesManager {
       }
     }).catch(error => {
       console.error('Error looking up favorites:', error);
-      this.showLookupError(form, 'An error occurred while looking up your favorites. Please try again.');
+      this.showLookupError(form, (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.getErrorMessage)(error, 'An error occurred while looking up your favorites. Please try again.'));
     }).finally(() => {
       // Reset button state
       if (submitButton) {
@@ -1203,6 +1375,173 @@ class FavoritesManager {
 }
 /* harmony default export */ __webpack_exports__["default"] = (FavoritesManager);
 
+/***/ }),
+
+/***/ "./src/js/modules/favorites-queue.js":
+/*!*******************************************!*\
+  !*** ./src/js/modules/favorites-queue.js ***!
+  \*******************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/**
+ * Favorites Queue
+ *
+ * Holds favorite adds and removes that could not reach the server, because
+ * the browser was offline or the request never got a response, so they can be
+ * replayed once the connection is back. Entries live in IndexedDB and are
+ * keyed by the case procedure ID: a later change to the same case replaces
+ * the earlier one, so only the last intent is ever sent.
+ *
+ * A copy of the queue is kept in memory so the favorites manager can answer
+ * "is anything pending for this case?" synchronously while reconciling with
+ * the server list. Without IndexedDB (private windows in some browsers) the
+ * queue still works for the life of the page.
+ */
+
+const DB_NAME = 'brag-book-gallery';
+const DB_VERSION = 1;
+const STORE_NAME = 'favorites-queue';
+class FavoritesQueue {
+  constructor() {
+    this.entries = new Map();
+    this.discarded = new Set();
+    this.db = null;
+    this.ready = this.open();
+  }
+
+  /**
+   * Open the database and load any entries left by an earlier visit
+   *
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (!window.indexedDB) {
+      return;
+    }
+    try {
+      this.db = await new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+            request.result.createObjectStore(STORE_NAME, {
+              keyPath: 'itemId'
+            });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked'));
+      });
+      const stored = await this.request(this.store('readonly').getAll());
+      stored.forEach(entry => {
+        // Changes made on this page before the database opened are newer.
+        if (!this.entries.has(entry.itemId) && !this.discarded.has(entry.itemId)) {
+          this.entries.set(entry.itemId, entry);
+        }
+      });
+    } catch (error) {
+      console.warn('BRAGBook: Offline favorites queue unavailable:', error);
+      this.db = null;
+    }
+  }
+
+  /**
+   * Queue a change, replacing any earlier change to the same case
+   *
+   * @param {Object} entry
+   * @param {string} entry.itemId Case procedure ID
+   * @param {'add'|'remove'} entry.type Change to send
+   * @param {string} [entry.procedureId] Procedure ID sent with the change
+   * @returns {Promise<void>}
+   */
+  async put(entry) {
+    const record = {
+      itemId: String(entry.itemId),
+      type: entry.type,
+      procedureId: entry.procedureId || '',
+      queuedAt: Date.now()
+    };
+    this.entries.set(record.itemId, record);
+    await this.ready;
+    await this.write(store => store.put(record));
+  }
+
+  /**
+   * Drop whatever is queued for a case, because a newer change is being sent
+   *
+   * @param {string} itemId Case procedure ID
+   * @returns {Promise<void>}
+   */
+  async discard(itemId) {
+    const key = String(itemId);
+    this.entries.delete(key);
+    this.discarded.add(key);
+    await this.ready;
+    this.discarded.delete(key);
+    await this.write(store => store.delete(key));
+  }
+
+  /**
+   * @param {string} itemId Case procedure ID
+   * @returns {Object|undefined} The case's queued change
+   */
+  get(itemId) {
+    return this.entries.get(String(itemId));
+  }
+
+  /**
+   * @returns {Object[]} Queued changes, oldest first
+   */
+  all() {
+    return [...this.entries.values()].sort((a, b) => a.queuedAt - b.queuedAt);
+  }
+
+  /**
+   * @returns {number} Number of queued changes
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * @param {IDBTransactionMode} mode Transaction mode
+   * @returns {IDBObjectStore}
+   */
+  store(mode) {
+    return this.db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+
+  /**
+   * Run a write against the store, keeping the in-memory copy if it fails
+   *
+   * @param {function(IDBObjectStore): IDBRequest} operation Write to run
+   * @returns {Promise<void>}
+   */
+  async write(operation) {
+    if (!this.db) {
+      return;
+    }
+    try {
+      await this.request(operation(this.store('readwrite')));
+    } catch (error) {
+      console.warn('BRAGBook: Failed to update offline favorites queue:', error);
+    }
+  }
+
+  /**
+   * @param {IDBRequest} request IndexedDB request
+   * @returns {Promise<*>} The request's result
+   */
+  request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+/* harmony default export */ __webpack_exports__["default"] = (FavoritesQueue);
+
 /***/ })
 
 }]);
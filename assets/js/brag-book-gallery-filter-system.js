@@ -8,7 +8,19 @@
 /***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
 
 __webpack_require__.r(__webpack_exports__);
-/* harmony import */ var _utilities_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./utilities.js */ "./src/js/modules/utilities.js");
+/* harmony import */ var _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./ajax-client.js */ "./src/js/modules/ajax-client.js");
+/* harmony import */ var _utilities_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./utilities.js */ "./src/js/modules/utilities.js");
+/* harmony import */ var _filter_state_js__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./filter-state.js */ "./src/js/modules/filter-state.js");
+/* harmony import */ var _motion_js__WEBPACK_IMPORTED_MODULE_3__ = __webpack_require__(/*! ./motion.js */ "./src/js/modules/motion.js");
+/* harmony import */ var _procedure_tree_js__WEBPACK_IMPORTED_MODULE_4__ = __webpack_require__(/*! ./procedure-tree.js */ "./src/js/modules/procedure-tree.js");
+/* harmony import */ var _range_filter_js__WEBPACK_IMPORTED_MODULE_5__ = __webpack_require__(/*! ./range-filter.js */ "./src/js/modules/range-filter.js");
+/* harmony import */ var _virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__ = __webpack_require__(/*! ./virtual-grid.js */ "./src/js/modules/virtual-grid.js");
+
+
+
+
+
+
 
 
 /**
@@ -27,6 +39,7 @@ class FilterSystem {
    * @param {boolean} options.closeOthersOnOpen - Close other filters when opening one (default: true)
    * @param {Function} options.onFilterChange - Callback when filters change
    * @param {Function} options.onNavigate - Callback for URL navigation
+   * @param {GalleryRouter|null} options.router - Gallery router to record history through (default: null)
    */
   constructor(container, options = {}) {
     // Core DOM elements and data structures
@@ -124,8 +137,12 @@ class FilterSystem {
    * Set up all event listeners for filter interactions and browser navigation
    */
   setupEventListeners() {
-    // No event listeners needed - nav links now function as normal anchor links
-    // This allows WordPress taxonomy pages to load naturally
+    // Nav links function as normal anchor links, so WordPress taxonomy
+    // pages load naturally; only the keyboard needs handling here
+    const tree = this.container?.querySelector('.brag-book-gallery-nav-list');
+    if (tree) {
+      this.tree = new _procedure_tree_js__WEBPACK_IMPORTED_MODULE_4__["default"](tree);
+    }
   }
 
   // Filter toggle methods removed - native details/summary elements handle this automatically
@@ -183,13 +200,13 @@ class FilterSystem {
     const filterUrl = `${basePath}/${procedure}/`.replace(/\/+/g, '/');
 
     // Update browser URL
-    window.history.pushState({
+    this.recordHistory(filterUrl, {
       category,
       procedure,
       procedureIds,
       basePath,
       hasNudity
-    }, '', filterUrl);
+    });
 
     // Load filtered content via AJAX
     this.loadFilteredContent(category, procedure, procedureIds, hasNudity);
@@ -210,7 +227,14 @@ class FilterSystem {
   updateUrlState() {
     // Update URL without reloading (for JS mode)
     if (window.history && window.history.replaceState) {
+      // Demographic filters share the query string (see filter-state.js);
+      // carry them over so a category change doesn't drop them.
       const params = new URLSearchParams();
+      new URLSearchParams(window.location.search).forEach((value, key) => {
+        if ((0,_filter_state_js__WEBPACK_IMPORTED_MODULE_2__.isFilterQueryKey)(key)) {
+          params.append(key, value);
+        }
+      });
 
       // Group filters by category
       const filtersByCategory = new Map();
@@ -226,7 +250,35 @@ class FilterSystem {
         params.append(category, procedures.join(','));
       });
       const newUrl = params.toString() ? `?${params.toString()}` : window.location.pathname;
-      window.history.replaceState({}, '', newUrl);
+      this.recordHistory(newUrl, {}, true);
+    }
+  }
+
+  /**
+   * Write a filter change to browser history
+   *
+   * Goes through the gallery router when one was passed in, so the entry
+   * carries the grid state back/forward restores; otherwise writes to the
+   * History API directly as before.
+   *
+   * @param {string} url - URL for the entry
+   * @param {Object} data - Filter data to keep on the entry
+   * @param {boolean} replace - Replace the current entry instead of pushing
+   */
+  recordHistory(url, data = {}, replace = false) {
+    const router = this.options.router;
+    if (router) {
+      if (replace) {
+        router.replaceRoute('grid', data, url);
+      } else {
+        router.navigate('grid', url, data);
+      }
+      return;
+    }
+    if (replace) {
+      window.history.replaceState(data, '', url);
+    } else {
+      window.history.pushState(data, '', url);
     }
   }
   reactivateFilter(category, procedure) {
@@ -359,7 +411,7 @@ class FilterSystem {
     this.activeFilters.clear();
 
     // Reset URL to base
-    window.history.pushState({}, '', window.location.pathname);
+    this.recordHistory(window.location.pathname);
   }
   setMode(mode) {
     this.options.mode = mode;
@@ -401,25 +453,20 @@ class FilterSystem {
    * @param {HTMLElement} galleryContent - Gallery content container
    */
   loadFilteredContentViaAjax(category, procedure, procedureIds, hasNudity, procedureName, galleryContent) {
-    // Get AJAX configuration
-    const ajaxUrl = window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php';
-    const nonce = window.bragBookGalleryConfig?.nonce || '';
-
     // Prepare request data
     const formData = new FormData();
     formData.append('action', 'brag_book_gallery_load_filtered_gallery');
-    formData.append('nonce', nonce);
     formData.append('procedure_name', procedureName);
     formData.append('procedure_slug', procedure);
     formData.append('procedure_ids', procedureIds || '');
     formData.append('procedure_id', procedureIds?.split(',')[0] || '');
     formData.append('has_nudity', hasNudity ? '1' : '0');
 
-    // Make AJAX request
-    fetch(ajaxUrl, {
-      method: 'POST',
-      body: formData
-    }).then(response => response.json()).then(result => {
+    // Make AJAX request; a procedure clicked since supersedes this one
+    (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.postAjax)(formData, {
+      key: _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.GRID_REQUEST,
+      idempotent: true
+    }).then(result => {
       if (result.success && result.data?.html) {
         this.updateGalleryContent(result.data.html);
 
@@ -455,7 +502,7 @@ class FilterSystem {
 
         // Scroll to top of content
         galleryContent.scrollIntoView({
-          behavior: 'smooth',
+          behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_3__.scrollBehavior)(),
           block: 'start'
         });
 
@@ -465,8 +512,11 @@ class FilterSystem {
         galleryContent.innerHTML = '<div class="brag-book-gallery-error">No results found for the selected filter.</div>';
       }
     }).catch(error => {
+      if ((0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.isSuperseded)(error)) {
+        return;
+      }
       console.error('AJAX fallback error:', error);
-      galleryContent.innerHTML = '<div class="brag-book-gallery-error">Failed to load filtered content. Please try again.</div>';
+      galleryContent.innerHTML = '<div class="brag-book-gallery-error">' + (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.getErrorMessage)(error, 'Failed to load filtered content. Please try again.') + '</div>';
     });
   }
 
@@ -534,30 +584,22 @@ class FilterSystem {
    */
   generateFiltersFromDOMCards() {
     // Find all case cards on the page
-    const caseCards = document.querySelectorAll('.brag-book-gallery-case-card');
+    const caseCards = (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.getCaseCards)();
     if (caseCards.length === 0) {
       return '';
     }
 
     // Collect filter data from case card data attributes
     const filterData = {
-      age: new Set(),
+      ...(0,_range_filter_js__WEBPACK_IMPORTED_MODULE_5__.measureCardRanges)(caseCards),
+      // age, height, weight bounds
       gender: new Set(),
       ethnicity: new Set(),
-      height: new Set(),
-      weight: new Set(),
       procedureDetails: new Map() // Map of detail name -> Set of values
     };
 
     // Extract filter values from data attributes
     caseCards.forEach(card => {
-      // Age
-      const age = card.dataset.age;
-      if (age) {
-        const ageNum = parseInt(age);
-        if (ageNum >= 18 && ageNum < 25) filterData.age.add('18-24');else if (ageNum >= 25 && ageNum < 35) filterData.age.add('25-34');else if (ageNum >= 35 && ageNum < 45) filterData.age.add('35-44');else if (ageNum >= 45 && ageNum < 55) filterData.age.add('45-54');else if (ageNum >= 55 && ageNum < 65) filterData.age.add('55-64');else if (ageNum >= 65) filterData.age.add('65+');
-      }
-
       // Gender
       const gender = card.dataset.gender;
       if (gender) {
@@ -570,20 +612,6 @@ class FilterSystem {
         filterData.ethnicity.add(ethnicity);
       }
 
-      // Height
-      const height = card.dataset.height;
-      if (height) {
-        const heightNum = parseFloat(height);
-        if (heightNum < 60) filterData.height.add('Under 5\'0"');else if (heightNum >= 60 && heightNum < 64) filterData.height.add('5\'0" - 5\'3"');else if (heightNum >= 64 && heightNum < 68) filterData.height.add('5\'4" - 5\'7"');else if (heightNum >= 68 && heightNum < 72) filterData.height.add('5\'8" - 5\'11"');else if (heightNum >= 72) filterData.height.add('6\'0" and above');
-      }
-
-      // Weight
-      const weight = card.dataset.weight;
-      if (weight) {
-        const weightNum = parseFloat(weight);
-        if (weightNum < 120) filterData.weight.add('Under 120 lbs');else if (weightNum >= 120 && weightNum < 150) filterData.weight.add('120-149 lbs');else if (weightNum >= 150 && weightNum < 180) filterData.weight.add('150-179 lbs');else if (weightNum >= 180 && weightNum < 210) filterData.weight.add('180-209 lbs');else if (weightNum >= 210) filterData.weight.add('210+ lbs');
-      }
-
       // Procedure Details - extract all data-procedure-detail-* attributes
       const datasetKeys = Object.keys(card.dataset);
       datasetKeys.forEach(key => {
@@ -611,10 +639,14 @@ class FilterSystem {
     // Generate HTML for filter sections
     let html = '';
 
+    // Age, height and weight are ranges; a single value leaves nothing to narrow
+    const rangeFilter = (type, title) => {
+      const bounds = filterData[type];
+      return bounds && bounds.min < bounds.max ? (0,_range_filter_js__WEBPACK_IMPORTED_MODULE_5__.renderRangeFilter)(type, title, bounds) : '';
+    };
+
     // Age filter
-    if (filterData.age.size > 0) {
-      html += this.generateFilterSection('Age', 'age', Array.from(filterData.age).sort());
-    }
+    html += rangeFilter('age', 'Age');
 
     // Gender filter
     if (filterData.gender.size > 0) {
@@ -627,15 +659,9 @@ class FilterSystem {
       html += this.generateFilterSection('Ethnicity', 'ethnicity', Array.from(filterData.ethnicity).sort());
     }
 
-    // Height filter
-    if (filterData.height.size > 0) {
-      html += this.generateFilterSection('Height', 'height', Array.from(filterData.height));
-    }
-
-    // Weight filter
-    if (filterData.weight.size > 0) {
-      html += this.generateFilterSection('Weight', 'weight', Array.from(filterData.weight));
-    }
+    // Height and weight filters
+    html += rangeFilter('height', 'Height');
+    html += rangeFilter('weight', 'Weight');
 
     // Procedure Details filters
     if (filterData.procedureDetails.size > 0) {
@@ -656,19 +682,19 @@ class FilterSystem {
   generateFilterSection(title, type, options) {
     let html = '<details class="brag-book-gallery-filter">';
     html += '<summary class="brag-book-gallery-filter-label">';
-    html += `<span class="brag-book-gallery-filter-label__name">${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_0__.escapeHtml)(title)}</span>`;
+    html += `<span class="brag-book-gallery-filter-label__name">${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_1__.escapeHtml)(title)}</span>`;
     html += '<svg class="brag-book-gallery-filter-label__arrow" width="16" height="16" viewBox="0 0 12 12" fill="none" xmlns="http://www.w3.org/2000/svg">';
     html += '<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"></path>';
     html += '</svg>';
     html += '</summary>';
-    html += '<ul class="brag-book-gallery-filter-options">';
+    html += `<ul class="brag-book-gallery-filter-options" role="group" aria-label="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_1__.escapeHtml)(title)}">`;
     options.forEach(option => {
       const id = `procedure-filter-${type}-${option.replace(/[^a-zA-Z0-9]/g, '-')}`;
       // Only convert to lowercase for gender and ethnicity filters
       const value = type === 'gender' || type === 'ethnicity' ? option.toLowerCase() : option;
       html += '<li class="brag-book-gallery-filter-option">';
-      html += `<input type="checkbox" id="${id}" value="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_0__.escapeHtml)(value)}" data-filter-type="${type}">`;
-      html += `<label for="${id}">${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_0__.escapeHtml)(option)}</label>`;
+      html += `<input type="checkbox" id="${id}" value="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_1__.escapeHtml)(value)}" data-filter-type="${type}">`;
+      html += `<label for="${id}">${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_1__.escapeHtml)(option)}</label>`;
       html += '</li>';
     });
     html += '</ul>';
@@ -719,7 +745,7 @@ class FilterSystem {
     this.options.onFilterChange(this.activeFilters);
 
     // Reset URL to base
-    window.history.pushState({}, '', window.location.pathname);
+    this.recordHistory(window.location.pathname);
   }
 
   /**
@@ -733,13 +759,253 @@ class FilterSystem {
       const offsetTop = wrapper.getBoundingClientRect().top + window.pageYOffset - 20;
       window.scrollTo({
         top: offsetTop,
-        behavior: 'smooth'
+        behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_3__.scrollBehavior)()
       });
     }
   }
 }
 /* harmony default export */ __webpack_exports__["default"] = (FilterSystem);
 
+/***/ }),
+
+/***/ "./src/js/modules/procedure-tree.js":
+/*!******************************************!*\
+  !*** ./src/js/modules/procedure-tree.js ***!
+  \******************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/**
+ * Procedure Tree
+ *
+ * Keyboard support for the sidebar's procedure list, following the WAI-ARIA
+ * navigation tree pattern. Categories are the tree's parent items (each a
+ * <details> whose <summary> opens it) and procedure links its leaves. The
+ * tree is a single Tab stop; inside it:
+ *
+ * - Down / Up         next or previous visible item
+ * - Right             open a closed category, or move into an open one
+ * - Left              close an open category, or move from a procedure up
+ *                     to its category
+ * - Home / End        first or last visible item
+ * - Enter             follow a procedure link, or open or close a category
+ * - *                 open every category
+ * - typing a letter   the next item starting with the letters typed
+ *
+ * The roles are added here rather than in the markup: they promise the
+ * keyboard behavior above, which only exists once this has run. Without
+ * JavaScript the sidebar stays plain disclosures and links.
+ */
+
+// How long typed letters keep adding to the type-ahead search.
+const TYPE_AHEAD_RESET = 500;
+class ProcedureTree {
+  /**
+   * @param {HTMLElement} root - The sidebar's .brag-book-gallery-nav-list
+   */
+  constructor(root) {
+    this.root = root;
+    this.typed = '';
+    this.typeTimer = null;
+    this.init();
+  }
+  init() {
+    this.root.setAttribute('role', 'tree');
+    if (!this.root.hasAttribute('aria-label')) {
+      this.root.setAttribute('aria-label', 'Procedures');
+    }
+    this.root.querySelectorAll('.brag-book-gallery-nav-list__item').forEach((category, index) => {
+      const summary = category.querySelector(':scope > summary');
+      const list = category.querySelector(':scope > .brag-book-gallery-nav-list-submenu');
+      if (!summary) {
+        return;
+      }
+      category.setAttribute('role', 'none');
+      summary.setAttribute('role', 'treeitem');
+      summary.setAttribute('aria-expanded', String(category.open));
+
+      // The group sits beside the summary rather than inside it, so it
+      // is tied to its category by ID.
+      if (list) {
+        list.id = list.id || `brag-book-gallery-procedures-${category.dataset.category || index}`;
+        list.setAttribute('role', 'group');
+        summary.setAttribute('aria-owns', list.id);
+        list.querySelectorAll(':scope > li').forEach(item => item.setAttribute('role', 'none'));
+      }
+      category.addEventListener('toggle', () => this.handleToggle(category, summary));
+    });
+    this.root.querySelectorAll('.brag-book-gallery-nav-link').forEach(link => {
+      link.setAttribute('role', 'treeitem');
+      if (link.pathname === window.location.pathname) {
+        link.setAttribute('aria-current', 'page');
+      }
+    });
+
+    // One Tab stop: the current procedure if it is showing, else the top
+    const items = this.getVisibleItems();
+    const current = items.find(item => item.getAttribute('aria-current') === 'page');
+    this.getItems().forEach(item => item.setAttribute('tabindex', '-1'));
+    if (items.length) {
+      this.setTabStop(current || items[0]);
+    }
+    this.root.addEventListener('keydown', e => this.handleKeydown(e));
+    this.root.addEventListener('focusin', e => {
+      if (this.isItem(e.target)) {
+        this.setTabStop(e.target);
+      }
+    });
+  }
+
+  /**
+   * Every item in the tree, in document order
+   *
+   * @returns {HTMLElement[]}
+   */
+  getItems() {
+    return Array.from(this.root.querySelectorAll('[role="treeitem"]'));
+  }
+
+  /**
+   * Items a visitor can currently see: the categories, and the procedures
+   * of open ones
+   *
+   * @returns {HTMLElement[]}
+   */
+  getVisibleItems() {
+    return this.getItems().filter(item => {
+      const category = item.closest('.brag-book-gallery-nav-list__item');
+      return item.tagName === 'SUMMARY' || Boolean(category?.open);
+    });
+  }
+
+  /**
+   * @param {EventTarget} node
+   * @returns {boolean}
+   */
+  isItem(node) {
+    return node instanceof HTMLElement && node.getAttribute('role') === 'treeitem' && this.root.contains(node);
+  }
+
+  /**
+   * Make an item the tree's one Tab stop
+   *
+   * @param {HTMLElement} item
+   */
+  setTabStop(item) {
+    if (this.tabStop && this.tabStop !== item) {
+      this.tabStop.setAttribute('tabindex', '-1');
+    }
+    item.setAttribute('tabindex', '0');
+    this.tabStop = item;
+  }
+
+  /**
+   * Move focus to an item
+   *
+   * @param {HTMLElement|undefined} item
+   */
+  focusItem(item) {
+    if (item) {
+      this.setTabStop(item);
+      item.focus();
+    }
+  }
+
+  /**
+   * Keep aria-expanded in step with the category, however it was opened,
+   * and keep focus out of a category that just closed
+   *
+   * @param {HTMLDetailsElement} category
+   * @param {HTMLElement} summary
+   */
+  handleToggle(category, summary) {
+    summary.setAttribute('aria-expanded', String(category.open));
+    if (!category.open && category.contains(this.tabStop) && this.tabStop !== summary) {
+      const hadFocus = category.contains(document.activeElement);
+      this.setTabStop(summary);
+      if (hadFocus) {
+        summary.focus();
+      }
+    }
+  }
+
+  /**
+   * @param {KeyboardEvent} e
+   */
+  handleKeydown(e) {
+    if (!this.isItem(e.target) || e.altKey || e.ctrlKey || e.metaKey) {
+      return;
+    }
+    const item = e.target;
+    const items = this.getVisibleItems();
+    const index = items.indexOf(item);
+    const category = item.closest('.brag-book-gallery-nav-list__item');
+    const isCategory = item.tagName === 'SUMMARY';
+    switch (e.key) {
+      case 'ArrowDown':
+        this.focusItem(items[index + 1]);
+        break;
+      case 'ArrowUp':
+        this.focusItem(items[index - 1]);
+        break;
+      case 'ArrowRight':
+        if (isCategory && !category.open) {
+          category.open = true;
+        } else if (isCategory) {
+          this.focusItem(category.querySelector('.brag-book-gallery-nav-link') || undefined);
+        }
+        break;
+      case 'ArrowLeft':
+        if (isCategory && category.open) {
+          category.open = false;
+        } else if (!isCategory && category) {
+          this.focusItem(category.querySelector(':scope > summary'));
+        }
+        break;
+      case 'Home':
+        this.focusItem(items[0]);
+        break;
+      case 'End':
+        this.focusItem(items[items.length - 1]);
+        break;
+      case '*':
+        this.root.querySelectorAll('.brag-book-gallery-nav-list__item').forEach(details => {
+          details.open = true;
+        });
+        break;
+      default:
+        if (e.key.length === 1 && e.key !== ' ') {
+          this.typeAhead(e.key, item);
+          break;
+        }
+        return;
+    }
+    e.preventDefault();
+  }
+
+  /**
+   * Move to the next visible item starting with the letters typed so far
+   *
+   * @param {string} character - Letter just typed
+   * @param {HTMLElement} item - Item with focus
+   */
+  typeAhead(character, item) {
+    clearTimeout(this.typeTimer);
+    this.typeTimer = setTimeout(() => {
+      this.typed = '';
+    }, TYPE_AHEAD_RESET);
+    this.typed += character.toLowerCase();
+
+    // A first letter looks past the current item, so repeating it cycles
+    // through the matches; later letters refine the current match.
+    const items = this.getVisibleItems();
+    const start = items.indexOf(item) + (this.typed.length === 1 ? 1 : 0);
+    const ordered = [...items.slice(start), ...items.slice(0, start)];
+    this.focusItem(ordered.find(candidate => candidate.textContent.trim().toLowerCase().startsWith(this.typed)));
+  }
+}
+/* harmony default export */ __webpack_exports__["default"] = (ProcedureTree);
+
 /***/ })
 
 }]);
@@ -0,0 +1,125 @@
+/******/ (function() { // webpackBootstrap
+/*!***************************!*\
+  !*** ./src/js/offline.js ***!
+  \***************************/
+/**
+ * BRAG book Gallery - Offline Page
+ *
+ * The service worker shows templates/offline.php for a gallery page it has
+ * not cached while there is no connection. This fills in the visitor's
+ * favorites from the case HTML the worker has kept, so a visitor comparing
+ * saved cases can keep doing so offline. Favorites come from the same
+ * localStorage key the favorites manager writes, and a kept case is matched
+ * to one by its data-procedure-case-id, the ID the favorites manager saves.
+ */
+
+const FAVORITES_KEY = 'brag-book-favorites';
+const CASE_CACHE_PREFIX = 'brag-book-gallery-cases-';
+
+/**
+ * The visitor's favorites
+ *
+ * @returns {Set<string>} Procedure case IDs
+ */
+function getFavorites() {
+  try {
+    return new Set((JSON.parse(localStorage.getItem(FAVORITES_KEY)) || []).map(String));
+  } catch (error) {
+    return new Set();
+  }
+}
+
+/**
+ * Case HTML the service worker has kept for any of the given favorites
+ *
+ * @param {Set<string>} favorites - Procedure case IDs
+ * @returns {Promise<Map<string, Document>>} Parsed case HTML by ID
+ */
+async function findCachedCases(favorites) {
+  const found = new Map();
+  const parser = new DOMParser();
+  const names = (await caches.keys()).filter(name => name.startsWith(CASE_CACHE_PREFIX));
+  for (const name of names) {
+    const cache = await caches.open(name);
+    for (const request of await cache.keys()) {
+      let html = '';
+      try {
+        const data = await (await cache.match(request)).json();
+        html = data?.html || '';
+      } catch (error) {
+        continue;
+      }
+      const doc = parser.parseFromString(html, 'text/html');
+      const id = doc.querySelector('[data-procedure-case-id]')?.dataset.procedureCaseId;
+      if (id && favorites.has(id) && !found.has(id)) {
+        found.set(id, doc);
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * A list item that opens a kept case
+ *
+ * @param {Document} doc - The case's HTML
+ * @param {function(Document): void} open
+ * @returns {HTMLLIElement}
+ */
+function renderCase(doc, open) {
+  const item = document.createElement('li');
+  const button = document.createElement('button');
+  const image = doc.querySelector('img');
+  const title = document.createElement('span');
+  button.type = 'button';
+  button.className = 'brag-book-gallery-offline__case-link';
+  if (image) {
+    const thumbnail = document.createElement('img');
+    thumbnail.src = image.getAttribute('src') || image.dataset.src || '';
+    thumbnail.alt = '';
+    button.appendChild(thumbnail);
+  }
+  title.textContent = doc.querySelector('h1, h2')?.textContent.trim() || 'Saved case';
+  button.appendChild(title);
+  button.addEventListener('click', () => open(doc));
+  item.appendChild(button);
+  return item;
+}
+async function init() {
+  document.querySelector('[data-offline-retry]')?.addEventListener('click', () => window.location.reload());
+  window.addEventListener('online', () => window.location.reload());
+  const favorites = getFavorites();
+  const section = document.querySelector('.brag-book-gallery-offline__favorites');
+  if (!favorites.size || !section || !('caches' in window)) {
+    return;
+  }
+  const cases = await findCachedCases(favorites);
+  const list = section.querySelector('.brag-book-gallery-offline__cases');
+  const note = section.querySelector('.brag-book-gallery-offline__note');
+  const view = document.querySelector('.brag-book-gallery-offline__case');
+  const content = view.querySelector('.brag-book-gallery-offline__case-content');
+  let opener = null;
+  const open = doc => {
+    opener = document.activeElement;
+    content.replaceChildren(...Array.from(doc.body.childNodes, node => document.importNode(node, true)));
+    section.hidden = true;
+    view.hidden = false;
+    content.focus();
+  };
+  view.querySelector('.brag-book-gallery-offline__back').addEventListener('click', () => {
+    view.hidden = true;
+    section.hidden = false;
+    opener?.focus();
+  });
+  cases.forEach(doc => list.appendChild(renderCase(doc, open)));
+  const missing = favorites.size - cases.size;
+  if (missing > 0) {
+    note.textContent = missing === 1 ? '1 of your favorites hasn\'t been saved on this device, so it can\'t be shown offline.' : `${missing} of your favorites haven't been saved on this device, so they can't be shown offline.`;
+    note.hidden = false;
+  }
+  section.hidden = false;
+}
+init();
+/******/ })()
+;
+//# sourceMappingURL=brag-book-gallery-offline.js.map
\ No newline at end of file
@@ -8,7 +8,11 @@
 /***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
 
 __webpack_require__.r(__webpack_exports__);
-/* harmony import */ var _utilities_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./utilities.js */ "./src/js/modules/utilities.js");
+/* harmony import */ var _analytics_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./analytics.js */ "./src/js/modules/analytics.js");
+/* harmony import */ var _motion_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./motion.js */ "./src/js/modules/motion.js");
+/* harmony import */ var _utilities_js__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./utilities.js */ "./src/js/modules/utilities.js");
+
+
 
 
 /**
@@ -33,6 +37,8 @@ class SearchAutocomplete {
     this.selectedIndex = -1;
     this.isOpen = false;
     this.debounceTimer = null;
+    // Last query reported to analytics, so refocusing does not repeat it
+    this.trackedQuery = '';
     if (this.input && this.dropdown) {
       this.init();
     }
@@ -259,12 +265,19 @@ class SearchAutocomplete {
     });
     this.renderResults(query);
     this.open();
+    if (query !== this.trackedQuery) {
+      this.trackedQuery = query;
+      (0,_analytics_js__WEBPACK_IMPORTED_MODULE_0__.track)('search', {
+        query,
+        results: this.filteredResults.length
+      });
+    }
   }
   renderResults(query) {
     if (this.filteredResults.length === 0) {
       this.dropdown.innerHTML = `
                 <div class="brag-book-gallery-search-no-results">
-                    No procedures found for "${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_0__.escapeHtml)(query)}"
+                    No procedures found for "${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(query)}"
                 </div>
             `;
       return;
@@ -316,7 +329,7 @@ class SearchAutocomplete {
       if (isSelected) {
         item.scrollIntoView({
           block: 'nearest',
-          behavior: 'smooth'
+          behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_1__.scrollBehavior)()
         });
       }
     });
@@ -335,6 +348,11 @@ class SearchAutocomplete {
 
     // Find the corresponding procedure data from our loaded procedures
     const procedureData = this.procedures.find(proc => proc.id === procedure && (proc.categorySlug === category || proc.category === category));
+    (0,_analytics_js__WEBPACK_IMPORTED_MODULE_0__.track)('search_select', {
+      query: this.trackedQuery,
+      procedure,
+      name
+    });
 
     // Trigger callback with full procedure data
     this.options.onSelect({
@@ -0,0 +1,165 @@
+/******/ (function() { // webpackBootstrap
+/*!**********************************!*\
+  !*** ./src/js/service-worker.js ***!
+  \**********************************/
+/**
+ * BRAG book Gallery - Service Worker
+ *
+ * Opt-in offline and repeat-visit browsing. Service_Worker::serve_worker()
+ * serves this file from the site root with its configuration in front of it
+ * as self.bragBookGalleryServiceWorker:
+ *
+ * - version     changes with every sync and asset build; a new worker deletes
+ *               every cache the old one filled
+ * - precache    the gallery shell: its page, stylesheet and script, and the
+ *               offline page with its script
+ * - dataRoute   the gallery data REST routes, whose responses are kept
+ * - assetPath   the plugin's assets, including the lazily loaded chunks
+ * - offlineUrl  shown for a gallery page that was never cached
+ *
+ * Gallery pages are network first, so a visitor with a connection always
+ * gets the current gallery. Case HTML, images and the plugin's assets are
+ * stale-while-revalidate: what is cached is used at once and refreshed
+ * behind it.
+ *
+ * Case HTML and further pages of cards come from the gallery data routes
+ * (see includes/rest/class-gallery-data.php) as GETs, and are kept under
+ * their URLs. The offline page finds favorites among these.
+ */
+
+const config = self.bragBookGalleryServiceWorker || {};
+const CACHE_PREFIX = 'brag-book-gallery-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${config.version}`;
+const PAGE_CACHE = `${CACHE_PREFIX}pages-${config.version}`;
+const CASE_CACHE = `${CACHE_PREFIX}cases-${config.version}`;
+const IMAGE_CACHE = `${CACHE_PREFIX}images-${config.version}`;
+
+// Entries each runtime cache keeps, oldest dropped first. Images are the
+// bulk of it; a case has several.
+const CACHE_LIMITS = {
+  [PAGE_CACHE]: 50,
+  [CASE_CACHE]: 300,
+  [IMAGE_CACHE]: 600
+};
+self.addEventListener('install', event => {
+  // One missing shell file should not keep the rest from being cached
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => Promise.allSettled((config.precache || []).map(url => cache.add(url)))).then(() => self.skipWaiting()));
+});
+self.addEventListener('activate', event => {
+  const current = [SHELL_CACHE, PAGE_CACHE, CASE_CACHE, IMAGE_CACHE];
+  event.waitUntil(caches.keys().then(names => Promise.all(names.filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name)).map(name => caches.delete(name)))).then(() => self.clients.claim()));
+});
+self.addEventListener('fetch', event => {
+  const {
+    request
+  } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET') {
+    return;
+  }
+  if (isGalleryDataRequest(url)) {
+    event.respondWith(staleWhileRevalidate(event, request, CASE_CACHE));
+    return;
+  }
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  if (request.destination === 'image') {
+    event.respondWith(staleWhileRevalidate(event, request, IMAGE_CACHE));
+    return;
+  }
+  if (url.origin === self.location.origin && config.assetPath && url.pathname.startsWith(config.assetPath)) {
+    event.respondWith(staleWhileRevalidate(event, request, SHELL_CACHE));
+  }
+});
+
+/**
+ * Whether a GET is for one of the gallery data routes
+ *
+ * With plain permalinks the route is the rest_route parameter rather than
+ * the path.
+ *
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isGalleryDataRequest(url) {
+  return Boolean(config.dataRoute) && url.origin === self.location.origin && (url.searchParams.get('rest_route') || url.pathname).includes(config.dataRoute);
+}
+
+/**
+ * Serve from the cache at once, and refresh the cache from the network
+ *
+ * @param {FetchEvent} event
+ * @param {Request} request - Request to send
+ * @param {string} cacheName
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const network = fetch(request).then(async response => {
+    if (isStorable(response)) {
+      await cache.put(request, response.clone());
+      await trimCache(cacheName);
+    }
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+/**
+ * Fetch a gallery page, falling back to the copy from the last visit and
+ * then to the offline page
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (isStorable(response) && response.type === 'basic') {
+      const cache = await caches.open(PAGE_CACHE);
+      await cache.put(request, response.clone());
+      await trimCache(PAGE_CACHE);
+    }
+    return response;
+  } catch (error) {
+    return (await caches.match(request)) || config.offlineUrl && (await caches.match(config.offlineUrl)) || Response.error();
+  }
+}
+
+/**
+ * Whether a response can be kept
+ *
+ * Opaque cross-origin responses are left out: they can be errors, and
+ * browsers count each one as megabytes against the site's quota.
+ *
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function isStorable(response) {
+  return response.ok && response.type !== 'opaque';
+}
+
+/**
+ * Drop a runtime cache's oldest entries beyond its limit
+ *
+ * @param {string} cacheName
+ */
+async function trimCache(cacheName) {
+  const limit = CACHE_LIMITS[cacheName];
+  if (!limit) {
+    return;
+  }
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
+/******/ })()
+;
+//# sourceMappingURL=brag-book-gallery-service-worker.js.map
\ No newline at end of file
@@ -8,15 +8,41 @@
 /***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
 
 __webpack_require__.r(__webpack_exports__);
+/* harmony import */ var _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./ajax-client.js */ "./src/js/modules/ajax-client.js");
+/* harmony import */ var _consent_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./consent.js */ "./src/js/modules/consent.js");
+/* harmony import */ var _share_target_js__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./share-target.js */ "./src/js/modules/share-target.js");
 /**
  * Share Manager Component
- * Handles sharing functionality for carousel images
+ * Handles sharing functionality for carousel images and case photos
+ *
+ * Links open the exact case and photo that was shared: share-target.js reads
+ * them back on arrival, and Share_Meta gives crawlers that photo's preview.
  */
+
+
+
+
+// utm_medium per channel; the channel itself is the utm_source.
+const UTM_MEDIUM = {
+  link: 'share',
+  native: 'share',
+  email: 'email',
+  facebook: 'social',
+  twitter: 'social',
+  pinterest: 'social',
+  whatsapp: 'social'
+};
+
+// Channels that hand the visitor to a social network, which only appear once
+// the visitor has consented to marketing.
+const THIRD_PARTY_CHANNELS = ['facebook', 'twitter', 'pinterest', 'whatsapp'];
 class ShareManager {
   constructor(options = {}) {
     this.options = {
       shareMenuId: options.shareMenuId || 'shareMenu',
       onShare: options.onShare || (() => {}),
+      utmCampaign: window.bragBookGalleryConfig?.shareUtmCampaign || '',
+      endpoint: window.bragBookGalleryConfig?.shareEndpoint || '',
       ...options
     };
     this.shareMenu = document.getElementById(this.options.shareMenuId);
@@ -35,22 +61,24 @@ class ShareManager {
   setupEventListeners() {
     // Listen for share button clicks (delegated)
     document.addEventListener('click', e => {
-      const shareButton = e.target.closest('.brag-book-gallery-share-button');
-      if (shareButton) {
-        e.preventDefault();
-        e.stopPropagation();
-        this.toggleShareDropdown(shareButton);
-      }
-
-      // Handle dropdown item clicks
+      // Handle dropdown item clicks first: the dropdown sits inside its
+      // button, so the toggle below would otherwise close it beforehand.
       const dropdownItem = e.target.closest('.brag-book-gallery-share-dropdown-item');
       if (dropdownItem) {
         e.preventDefault();
+        e.stopPropagation();
         const shareType = dropdownItem.dataset.shareType;
         if (shareType) {
           this.handleShare(shareType);
           this.hideShareDropdown();
         }
+        return;
+      }
+      const shareButton = e.target.closest('.brag-book-gallery-share-button');
+      if (shareButton) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.toggleShareDropdown(shareButton);
       }
 
       // Close dropdown when clicking outside
@@ -88,8 +116,8 @@ class ShareManager {
     }
   }
   showShareDropdown(button) {
-    // Get the carousel item (slide)
-    this.activeItem = button.closest('.brag-book-gallery-carousel-item');
+    // Get the carousel item (slide) or case view the button belongs to
+    this.activeItem = button.closest('.brag-book-gallery-carousel-item, .brag-book-gallery-case-detail-view') || button.parentElement;
     this.activeButton = button;
 
     // Check if button already has a dropdown
@@ -105,6 +133,7 @@ class ShareManager {
                     <button class="brag-book-gallery-share-dropdown-item" data-share-type="twitter" role="menuitem">Twitter</button>
                     <button class="brag-book-gallery-share-dropdown-item" data-share-type="pinterest" role="menuitem">Pinterest</button>
                     <button class="brag-book-gallery-share-dropdown-item" data-share-type="whatsapp" role="menuitem">WhatsApp</button>
+                    ${navigator.share ? '<button class="brag-book-gallery-share-dropdown-item" data-share-type="native" role="menuitem">More…</button>' : ''}
                 </div>
             `;
       button.insertAdjacentHTML('beforeend', menuHtml);
@@ -112,8 +141,15 @@ class ShareManager {
     }
     this.shareMenu = dropdown;
 
+    // Consent can change while the page is open, so check on every show.
+    const consent = (0,_consent_js__WEBPACK_IMPORTED_MODULE_1__.getConsent)();
+    dropdown.querySelectorAll('[data-share-type]').forEach(item => {
+      item.hidden = THIRD_PARTY_CHANNELS.includes(item.dataset.shareType) && !consent.has('marketing');
+    });
+
     // Add active class to button
     button.classList.add('active');
+    button.setAttribute('aria-expanded', 'true');
 
     // Show dropdown (positioned via CSS)
     this.shareMenu.classList.add('active');
@@ -124,27 +160,46 @@ class ShareManager {
     // Remove active class from button
     if (this.activeButton) {
       this.activeButton.classList.remove('active');
+      this.activeButton.setAttribute('aria-expanded', 'false');
     }
     this.shareMenu.classList.remove('active');
     this.activeButton = null;
     this.activeItem = null;
   }
   handleShare(type) {
+    if (THIRD_PARTY_CHANNELS.includes(type) && !(0,_consent_js__WEBPACK_IMPORTED_MODULE_1__.getConsent)().has('marketing')) {
+      return;
+    }
     if (!this.activeItem) return;
 
-    // Get image data
+    // Get image data. Photos behind a nudity warning are not handed to
+    // Pinterest; it falls back to the page's blurred preview instead.
     const img = this.activeItem.querySelector('img');
-    const imageUrl = img?.src || '';
-    const imageAlt = img?.alt || 'Medical procedure result';
-    // data-bb-slide, not data-slide: the latter collides with Bootstrap's
-    // carousel data-api, which cancels clicks on anything matching it.
-    const slideId = this.activeItem.dataset.bbSlide || '';
-
-    // Build share URL (use current page URL with slide anchor)
-    const baseUrl = window.location.origin + window.location.pathname;
-    const shareUrl = `${baseUrl}#${slideId}`;
+    const hasNudity = this.activeButton?.dataset.shareNudity === 'true' || !!this.activeItem.querySelector('[data-nudity-warning]');
+    const imageUrl = hasNudity ? '' : img?.currentSrc || img?.src || '';
+    const imageAlt = this.activeButton?.dataset.shareTitle || img?.alt || 'Medical procedure result';
+    const photo = this.getSharedPhoto();
+    const shareUrl = this.tagUrl(this.getShareUrl(photo), type);
     const shareText = `Check out this ${imageAlt}`;
+    const detail = {
+      type,
+      url: shareUrl,
+      text: shareText,
+      caseId: this.activeItem.dataset.procedureCaseId || '',
+      postId: this.activeItem.dataset.postId || '',
+      photo
+    };
     switch (type) {
+      case 'native':
+        // Only counted once the visitor has picked an app.
+        this.shareNative({
+          title: imageAlt,
+          text: shareText,
+          url: shareUrl
+        }).then(shared => {
+          if (shared) this.recordShare(detail);
+        });
+        return;
       case 'link':
         this.copyToClipboard(shareUrl);
         break;
@@ -167,13 +222,103 @@ class ShareManager {
 
     // Dropdown is already hidden after selection
 
-    // Callback
-    this.options.onShare({
-      type,
-      url: shareUrl,
-      text: shareText
+    this.recordShare(detail);
+  }
+
+  /**
+   * Report a share to listeners and, when the site counts shares, to it
+   *
+   * Dispatches a bubbling bragbook:share event on the document, so any
+   * analytics script can listen without a reference to this class.
+   *
+   * @param {Object} detail Share details: type, url, text, caseId, postId, photo
+   */
+  recordShare(detail) {
+    document.dispatchEvent(new CustomEvent('bragbook:share', {
+      detail
+    }));
+    this.options.onShare(detail);
+    if (!this.options.endpoint || !detail.postId) return;
+
+    // Counting shares is statistics, held until the visitor consents.
+    (0,_consent_js__WEBPACK_IMPORTED_MODULE_1__.whenConsented)('statistics', () => {
+      (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.request)(this.options.endpoint, {
+        method: 'POST',
+        json: {
+          post_id: Number(detail.postId),
+          channel: detail.type,
+          photo: detail.photo
+        },
+        credentials: 'omit',
+        keepalive: true
+      }).catch(error => {
+        console.warn('BRAGBook: Share could not be recorded:', error);
+      });
     });
   }
+
+  /**
+   * Tag a share link with UTM parameters for its channel
+   *
+   * Left untouched when no campaign is configured.
+   *
+   * @param {string} url Share URL
+   * @param {string} channel Share channel
+   * @returns {string} Tagged URL
+   */
+  tagUrl(url, channel) {
+    if (!this.options.utmCampaign) return url;
+    const tagged = new URL(url);
+    tagged.searchParams.set('utm_source', channel);
+    tagged.searchParams.set('utm_medium', UTM_MEDIUM[channel] || 'share');
+    tagged.searchParams.set('utm_campaign', this.options.utmCampaign);
+    return tagged.toString();
+  }
+
+  /**
+   * The photo being shared
+   *
+   * A case view shares whichever photo is in its viewer; a slide shares
+   * the one its button names.
+   *
+   * @returns {number} Zero-based photo index
+   */
+  getSharedPhoto() {
+    const viewer = this.activeItem.querySelector('.brag-book-gallery-main-image-container');
+    return parseInt(viewer?.dataset.imageIndex ?? this.activeButton?.dataset.sharePhoto ?? '0', 10) || 0;
+  }
+
+  /**
+   * Build the link for the photo being shared
+   *
+   * Buttons rendered by HTML_Renderer::render_share_button() carry the case
+   * URL. Anything else falls back to the current page, naming the case and
+   * slide.
+   *
+   * @param {number} photo Zero-based photo index
+   * @returns {string} Share URL
+   */
+  getShareUrl(photo) {
+    const caseUrl = this.activeButton?.dataset.shareUrl;
+    const url = new URL(caseUrl || window.location.href, window.location.href);
+    url.searchParams.delete(_share_target_js__WEBPACK_IMPORTED_MODULE_2__.PHOTO_PARAM);
+    url.hash = '';
+    if (!caseUrl) {
+      const caseId = this.activeItem.dataset.procedureCaseId;
+      if (caseId) {
+        url.searchParams.set(_share_target_js__WEBPACK_IMPORTED_MODULE_2__.CASE_PARAM, caseId);
+      }
+      // data-bb-slide, not data-slide: the latter collides with Bootstrap's
+      // carousel data-api, which cancels clicks on anything matching it.
+      if (this.activeItem.dataset.bbSlide) {
+        url.hash = this.activeItem.dataset.bbSlide;
+      }
+    }
+    if (photo > 0) {
+      url.searchParams.set(_share_target_js__WEBPACK_IMPORTED_MODULE_2__.PHOTO_PARAM, String(photo));
+    }
+    return url.toString();
+  }
   copyToClipboard(text) {
     if (navigator.clipboard && window.isSecureContext) {
       navigator.clipboard.writeText(text).then(() => {
@@ -271,6 +416,127 @@ class ShareManager {
 }
 /* harmony default export */ __webpack_exports__["default"] = (ShareManager);
 
+/***/ }),
+
+/***/ "./src/js/modules/share-target.js":
+/*!****************************************!*\
+  !*** ./src/js/modules/share-target.js ***!
+  \****************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   CASE_PARAM: function() { return /* binding */ CASE_PARAM; },
+/* harmony export */   PHOTO_PARAM: function() { return /* binding */ PHOTO_PARAM; },
+/* harmony export */   hasShareTarget: function() { return /* binding */ hasShareTarget; }
+/* harmony export */ });
+/* harmony import */ var _motion_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./motion.js */ "./src/js/modules/motion.js");
+/**
+ * Share Target
+ *
+ * Opens what a share link points at. On a case page ?bb_photo=N switches the
+ * viewer to that photo; on any other page ?bb_case= and the #slide anchor name
+ * the case card or carousel slide. The target is scrolled into view, focused
+ * and briefly highlighted.
+ *
+ * ShareManager builds these links and Share_Meta reads the same parameters to
+ * give crawlers the shared photo's preview.
+ */
+
+
+const PHOTO_PARAM = 'bb_photo';
+const CASE_PARAM = 'bb_case';
+const HIGHLIGHT_CLASS = 'brag-book-gallery-share-target';
+const HIGHLIGHT_DURATION = 2500;
+
+/**
+ * Whether the current URL points at a shared case or photo
+ *
+ * @returns {boolean}
+ */
+const hasShareTarget = () => {
+  const params = new URLSearchParams(window.location.search);
+  return params.has(PHOTO_PARAM) || params.has(CASE_PARAM) || window.location.hash.length > 1;
+};
+
+/**
+ * Find the element a share link names
+ *
+ * @param {string} caseId Procedure case ID from ?bb_case=
+ * @param {string} slideId Slide ID from the URL hash
+ * @returns {HTMLElement|null}
+ */
+const findTarget = (caseId, slideId) => {
+  if (slideId) {
+    const slide = document.querySelector(`.brag-book-gallery-carousel-item[data-bb-slide="${CSS.escape(slideId)}"]`);
+    if (slide) return slide;
+  }
+  if (caseId) {
+    const escaped = CSS.escape(caseId);
+    return document.querySelector(`.brag-book-gallery-case-detail-view[data-procedure-case-id="${escaped}"]`) || document.querySelector(`[data-procedure-case-id="${escaped}"]`);
+  }
+
+  // A case's own page names only the photo.
+  return document.querySelector('.brag-book-gallery-case-detail-view');
+};
+
+/**
+ * Switch a case view to one of its photos
+ *
+ * Goes through the thumbnail so main-app's handler swaps the image, slider
+ * and srcset exactly as a click would.
+ *
+ * @param {HTMLElement} target Case detail view
+ * @param {number} index Zero-based photo
+ */
+const showPhoto = (target, index) => {
+  const thumbnail = target.querySelector(`.brag-book-gallery-thumbnail-item[data-image-index="${index}"]`);
+  if (thumbnail) {
+    thumbnail.click();
+    thumbnail.scrollIntoView({
+      block: 'nearest',
+      inline: 'center'
+    });
+  }
+};
+
+/**
+ * Open the case or photo the current URL was shared for
+ *
+ * @returns {HTMLElement|null} The element shown, or null when none matched
+ */
+const openShareTarget = () => {
+  const params = new URLSearchParams(window.location.search);
+  const photo = parseInt(params.get(PHOTO_PARAM) || '0', 10) || 0;
+  const caseId = params.get(CASE_PARAM) || '';
+  const slideId = decodeURIComponent(window.location.hash.slice(1));
+
+  // A bare hash is only ours when it names a slide.
+  if (!photo && !caseId && !document.querySelector(`[data-bb-slide="${CSS.escape(slideId)}"]`)) {
+    return null;
+  }
+  const target = findTarget(caseId, slideId);
+  if (!target) return null;
+  if (photo > 0 && target.matches('.brag-book-gallery-case-detail-view')) {
+    showPhoto(target, photo);
+  }
+  target.scrollIntoView({
+    behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_0__.scrollBehavior)(),
+    block: 'center',
+    inline: 'center'
+  });
+  if (!target.hasAttribute('tabindex')) {
+    target.setAttribute('tabindex', '-1');
+  }
+  target.focus({
+    preventScroll: true
+  });
+  target.classList.add(HIGHLIGHT_CLASS);
+  setTimeout(() => target.classList.remove(HIGHLIGHT_CLASS), HIGHLIGHT_DURATION);
+  return target;
+};
+/* harmony default export */ __webpack_exports__["default"] = (openShareTarget);
+
 /***/ })
 
 }]);
@@ -2,6 +2,1077 @@
 /******/ 	"use strict";
 /******/ 	var __webpack_modules__ = ({
 
+/***/ "./src/js/modules/ajax-client.js":
+/*!***************************************!*\
+  !*** ./src/js/modules/ajax-client.js ***!
+  \***************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   CASE_DETAILS_REQUEST: function() { return /* binding */ CASE_DETAILS_REQUEST; },
+/* harmony export */   GRID_PAGE_REQUEST: function() { return /* binding */ GRID_PAGE_REQUEST; },
+/* harmony export */   GRID_REQUEST: function() { return /* binding */ GRID_REQUEST; },
+/* harmony export */   RequestError: function() { return /* binding */ RequestError; },
+/* harmony export */   cancelRequest: function() { return /* binding */ cancelRequest; },
+/* harmony export */   getErrorMessage: function() { return /* binding */ getErrorMessage; },
+/* harmony export */   getNonce: function() { return /* binding */ getNonce; },
+/* harmony export */   isSuperseded: function() { return /* binding */ isSuperseded; },
+/* harmony export */   postAjax: function() { return /* binding */ postAjax; },
+/* harmony export */   refreshNonces: function() { return /* binding */ refreshNonces; },
+/* harmony export */   request: function() { return /* binding */ request; }
+/* harmony export */ });
+/**
+ * AJAX Client
+ *
+ * The one request layer under the gallery front end: admin-ajax POSTs go
+ * through postAjax(), the gallery data GETs through getGalleryData() on top
+ * of request(). Every request gets a timeout, and idempotent ones are retried
+ * with exponential backoff when the network or the server fails them.
+ *
+ * A request may name a key. Starting another request under the same key
+ * aborts the first, so when a visitor clicks through filters or cases faster
+ * than the server answers, only the last click's response reaches the page.
+ * Keys live on window, so the provider filter and location search bundles,
+ * which carry their own copy of this module, supersede the main bundle's
+ * requests too.
+ *
+ * Failures come back one way everywhere. A server that answered resolves
+ * with its `{success, data}` body, successful or not. A request that got no
+ * usable answer rejects with a RequestError, whose `code` says why: it was
+ * superseded (`aborted`), took too long (`timeout`), never reached the server
+ * (`network`), or came back as something other than JSON (`invalid_response`).
+ * getErrorMessage() turns one into text for the visitor; superseded requests
+ * are not failures and should be ignored (see isSuperseded()).
+ *
+ * admin-ajax POSTs carry a nonce printed into the page. A full-page cache can
+ * keep serving that page long after the nonce expires, and handlers refuse a
+ * stale nonce with the error code `invalid_nonce` (see
+ * includes/core/class-nonce-refresh.php). postAjax() recognises it, fetches
+ * fresh nonces from the uncached refresh action, hands them to every config
+ * on the page, and sends the request again once. A retry that is refused too
+ * is marked, so the server records it in the debug log.
+ */
+
+const REFRESH_ACTION = 'brag_book_gallery_refresh_nonce';
+const INVALID_NONCE = 'invalid_nonce';
+const RETRY_FIELD = 'nonce_retry';
+
+// Page configs that carry the gallery nonce, in the order they are trusted
+const NONCE_CONFIGS = ['bragBookGalleryConfig', 'bragBookProviderFilter', 'bragBookLocationSearch'];
+const DEFAULT_TIMEOUT = 15000;
+const IDEMPOTENT_RETRIES = 2;
+const BACKOFF_BASE = 500;
+
+/**
+ * Requests that replace the case grid: demographic, provider and location
+ * filters and the procedure filter. Each supersedes the last, and any page
+ * still loading into the grid it replaces.
+ */
+const GRID_REQUEST = 'case-grid';
+
+/** Load More pages appended to the case grid */
+const GRID_PAGE_REQUEST = 'case-grid-page';
+
+/** The case detail view opened in place of the grid */
+const CASE_DETAILS_REQUEST = 'case-details';
+
+// What else a request under a key makes obsolete
+const SUPERSEDES = {
+  [GRID_REQUEST]: [GRID_PAGE_REQUEST]
+};
+
+// Requests in flight under a key, shared by every bundle on the page
+const inFlight = window.bragBookGalleryRequests || (window.bragBookGalleryRequests = new Map());
+
+// One refresh at a time, however many requests failed together
+let refreshing = null;
+
+/**
+ * A request that got no usable answer
+ */
+class RequestError extends Error {
+  /**
+   * @param {string} message
+   * @param {'aborted'|'timeout'|'network'|'invalid_response'} code - Why the request failed
+   * @param {number} [status=0] - HTTP status, when a response came back
+   */
+  constructor(message, code, status = 0) {
+    super(message);
+    this.name = 'RequestError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Whether an error is a request a newer one replaced
+ *
+ * Checks the code rather than the class, so errors from another bundle's
+ * copy of this module count too.
+ *
+ * @param {*} error
+ * @returns {boolean}
+ */
+function isSuperseded(error) {
+  return error?.code === 'aborted';
+}
+
+/**
+ * Text for the visitor about a failed request
+ *
+ * @param {*} error - A RequestError, or anything a caller threw
+ * @param {string} fallback - Message for failures the visitor can do nothing specific about
+ * @returns {string}
+ */
+function getErrorMessage(error, fallback) {
+  switch (error?.code) {
+    case 'timeout':
+      return 'The server is taking too long to respond. Please try again.';
+    case 'network':
+      return 'Could not reach the server. Please check your connection and try again.';
+    default:
+      return fallback;
+  }
+}
+
+/**
+ * Abort the request in flight under a key, if any
+ *
+ * @param {string} key
+ */
+function cancelRequest(key) {
+  inFlight.get(key)?.abort();
+  inFlight.delete(key);
+}
+
+/**
+ * Take a key for a new request, aborting whatever it supersedes
+ *
+ * @param {string} key - Empty for a request nothing supersedes
+ * @returns {AbortController}
+ */
+function claim(key) {
+  const controller = new AbortController();
+  if (key) {
+    cancelRequest(key);
+    (SUPERSEDES[key] || []).forEach(cancelRequest);
+    inFlight.set(key, controller);
+  }
+  return controller;
+}
+
+/**
+ * Give a key back once its request is done, unless a newer one holds it
+ *
+ * @param {string} key
+ * @param {AbortController} controller
+ */
+function release(key, controller) {
+  if (key && inFlight.get(key) === controller) {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Wait before a retry
+ *
+ * @param {number} attempt - Retries made so far
+ * @param {AbortSignal} signal - Ends the wait when the request is superseded
+ * @returns {Promise<void>}
+ */
+function backoff(attempt, signal) {
+  // Jitter keeps visitors who failed together from retrying together
+  const delay = BACKOFF_BASE * 2 ** attempt + Math.random() * BACKOFF_BASE;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, delay);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new RequestError('Request superseded', 'aborted'));
+    }, {
+      once: true
+    });
+  });
+}
+
+/**
+ * Make one attempt at a request
+ *
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {number} timeout - Milliseconds, 0 for none
+ * @param {AbortSignal} signal - Aborts the attempt when the request is superseded
+ * @returns {Promise<{response: Response, result: *}>}
+ * @throws {RequestError}
+ */
+async function attempt(url, init, timeout, signal) {
+  if (signal.aborted) {
+    throw new RequestError('Request superseded', 'aborted');
+  }
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  let timedOut = false;
+  const timer = timeout > 0 ? setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout) : 0;
+  signal.addEventListener('abort', abort, {
+    once: true
+  });
+  let response;
+  try {
+    response = await fetch(url, {
+      ...init,
+      signal: controller.signal
+    });
+
+    // The body counts toward the timeout too
+    return {
+      response,
+      result: await response.json()
+    };
+  } catch (error) {
+    if (signal.aborted) {
+      throw new RequestError('Request superseded', 'aborted');
+    }
+    if (timedOut) {
+      throw new RequestError('Request timed out', 'timeout');
+    }
+    if (response) {
+      throw new RequestError(`HTTP error! status: ${response.status}`, 'invalid_response', response.status);
+    }
+    throw new RequestError(error?.message || 'Network error', 'network');
+  } finally {
+    clearTimeout(timer);
+    signal.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Whether an HTTP status is a failure the same request may not meet again
+ *
+ * @param {number} status
+ * @returns {boolean}
+ */
+function isTransientStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Make a request, retrying failures that are worth another try
+ *
+ * Timeouts, network errors, 429s and 5xx answers are retried; anything else
+ * would fail the same way again.
+ *
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {{timeout: number, retries: number}} options
+ * @param {AbortSignal} signal
+ * @returns {Promise<{response: Response, result: *}>}
+ * @throws {RequestError}
+ */
+async function send(url, init, {
+  timeout,
+  retries
+}, signal) {
+  for (let tries = 0;; tries++) {
+    let outcome = null;
+    try {
+      outcome = await attempt(url, init, timeout, signal);
+    } catch (error) {
+      const transient = error.code === 'timeout' || error.code === 'network' || isTransientStatus(error.status);
+      if (tries >= retries || !transient) {
+        throw error;
+      }
+    }
+    if (outcome && (tries >= retries || !isTransientStatus(outcome.response.status))) {
+      return outcome;
+    }
+    await backoff(tries, signal);
+  }
+}
+
+/**
+ * Make a request through the shared request layer
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {FormData|URLSearchParams} [options.body]
+ * @param {*} [options.json] - Data to send as a JSON body, in place of `body`
+ * @param {RequestCredentials} [options.credentials='same-origin']
+ * @param {RequestCache} [options.cache='default']
+ * @param {boolean} [options.keepalive=false] - Let the request outlive the page
+ * @param {number} [options.timeout] - Milliseconds each attempt may take, 0 for no limit
+ * @param {number} [options.retries] - Retries after a failure; GETs default to two, anything else to none
+ * @param {string} [options.key] - Abort the request in flight under this key, and be abortable by the next
+ * @returns {Promise<{response: Response, result: *}>} The response and its parsed JSON body
+ * @throws {RequestError} When no usable answer came back
+ */
+async function request(url, {
+  method = 'GET',
+  body,
+  json,
+  credentials = 'same-origin',
+  cache = 'default',
+  keepalive = false,
+  timeout = DEFAULT_TIMEOUT,
+  retries = method === 'GET' ? IDEMPOTENT_RETRIES : 0,
+  key = ''
+} = {}) {
+  const controller = claim(key);
+  const init = {
+    method,
+    body,
+    credentials,
+    cache,
+    keepalive
+  };
+  if (json !== undefined) {
+    init.body = JSON.stringify(json);
+    init.headers = {
+      'Content-Type': 'application/json'
+    };
+  }
+  try {
+    return await send(url, init, {
+      timeout,
+      retries
+    }, controller.signal);
+  } finally {
+    release(key, controller);
+  }
+}
+
+/**
+ * The admin-ajax URL from whichever config the page has
+ *
+ * @returns {string}
+ */
+function getAjaxUrl() {
+  for (const name of NONCE_CONFIGS) {
+    if (window[name]?.ajaxUrl) {
+      return window[name].ajaxUrl;
+    }
+  }
+  return '/wp-admin/admin-ajax.php';
+}
+
+/**
+ * The current nonce of a kind
+ *
+ * @param {'gallery'|'consultation'} [kind='gallery'] - Which nonce the action checks
+ * @returns {string}
+ */
+function getNonce(kind = 'gallery') {
+  if (kind === 'consultation' && window.bragBookGalleryConfig?.consultation_nonce) {
+    return window.bragBookGalleryConfig.consultation_nonce;
+  }
+  for (const name of NONCE_CONFIGS) {
+    if (window[name]?.nonce) {
+      return window[name].nonce;
+    }
+  }
+  return '';
+}
+
+/**
+ * Fetch fresh nonces and store them wherever the page keeps one
+ *
+ * @returns {Promise<{nonce: string, consultationNonce: string}>}
+ */
+function refreshNonces() {
+  if (refreshing) {
+    return refreshing;
+  }
+  const url = new URL(getAjaxUrl(), window.location.href);
+  url.searchParams.set('action', REFRESH_ACTION);
+  refreshing = request(url.toString(), {
+    cache: 'no-store'
+  }).then(({
+    result
+  }) => {
+    if (!result?.success || !result.data?.nonce) {
+      throw new Error('Nonce refresh failed');
+    }
+    NONCE_CONFIGS.forEach(name => {
+      if (window[name]) {
+        window[name].nonce = result.data.nonce;
+      }
+    });
+    if (window.bragBookGalleryConfig) {
+      window.bragBookGalleryConfig.consultation_nonce = result.data.consultationNonce;
+    }
+    return result.data;
+  }).finally(() => {
+    refreshing = null;
+  });
+  return refreshing;
+}
+
+/**
+ * Whether a response is a refusal of the nonce
+ *
+ * Handlers answer with the `invalid_nonce` code; check_ajax_referer() dies
+ * with a bare -1.
+ *
+ * @param {Response} response
+ * @param {*} result - Parsed body
+ * @returns {boolean}
+ */
+function isNonceFailure(response, result) {
+  return result?.data?.code === INVALID_NONCE || response.status === 403 && result === -1;
+}
+
+/**
+ * POST to admin-ajax with the current nonce, refreshing it once if refused
+ *
+ * POSTs are not retried unless marked idempotent: most change something,
+ * and one the server got but never answered would happen twice.
+ *
+ * @param {FormData|URLSearchParams|Object<string, string>} fields - Request fields, action included; the nonce is set here
+ * @param {Object} [options]
+ * @param {'gallery'|'consultation'} [options.nonce='gallery'] - Which nonce the action checks
+ * @param {string} [options.url] - admin-ajax URL, when not the page's
+ * @param {boolean} [options.keepalive=false] - Let the request outlive the page
+ * @param {number} [options.timeout] - Milliseconds each attempt may take
+ * @param {boolean} [options.idempotent=false] - The action only reads, so a failure may be retried
+ * @param {number} [options.retries] - Retries after a failure; two when idempotent, none otherwise
+ * @param {string} [options.key] - Abort the request in flight under this key, and be abortable by the next
+ * @returns {Promise<Object>} The `{success, data}` response, failures included
+ * @throws {RequestError} When no usable answer came back
+ */
+async function postAjax(fields, {
+  nonce = 'gallery',
+  url = getAjaxUrl(),
+  keepalive = false,
+  timeout = DEFAULT_TIMEOUT,
+  idempotent = false,
+  retries = idempotent ? IDEMPOTENT_RETRIES : 0,
+  key = ''
+} = {}) {
+  const body = fields instanceof FormData || fields instanceof URLSearchParams ? fields : new URLSearchParams(fields);
+  body.set('nonce', getNonce(nonce));
+
+  // One key for the request and its retry, so a newer request aborts
+  // either and the retry never aborts a newer request
+  const controller = claim(key);
+  const init = {
+    method: 'POST',
+    body,
+    credentials: 'same-origin',
+    keepalive
+  };
+  const options = {
+    timeout,
+    retries
+  };
+  try {
+    const {
+      response,
+      result
+    } = await send(url, init, options, controller.signal);
+    if (!isNonceFailure(response, result)) {
+      return result;
+    }
+    try {
+      const fresh = await refreshNonces();
+      body.set('nonce', nonce === 'consultation' ? fresh.consultationNonce : fresh.nonce);
+    } catch (error) {
+      console.error('BRAGBook: Could not refresh the expired security token:', error);
+      return result;
+    }
+    body.set(RETRY_FIELD, '1');
+    const retry = await send(url, init, options, controller.signal);
+    if (isNonceFailure(retry.response, retry.result)) {
+      console.error(`BRAGBook: ${body.get('action')} refused a fresh security token; see the site's debug log.`);
+    }
+    return retry.result;
+  } finally {
+    release(key, controller);
+  }
+}
+
+/***/ }),
+
+/***/ "./src/js/modules/analytics.js":
+/*!*************************************!*\
+  !*** ./src/js/modules/analytics.js ***!
+  \*************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   ANALYTICS_EVENT: function() { return /* binding */ ANALYTICS_EVENT; },
+/* harmony export */   dataLayerAdapter: function() { return /* binding */ dataLayerAdapter; },
+/* harmony export */   gtagAdapter: function() { return /* binding */ gtagAdapter; },
+/* harmony export */   track: function() { return /* binding */ track; }
+/* harmony export */ });
+/* harmony import */ var _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./ajax-client.js */ "./src/js/modules/ajax-client.js");
+/* harmony import */ var _consent_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./consent.js */ "./src/js/modules/consent.js");
+/**
+ * Gallery Analytics Events
+ *
+ * Every interaction worth measuring is reported here as a structured event,
+ * so tag managers and analytics tools can listen for it instead of scraping
+ * the gallery's markup. Modules call track(); the Analytics bus the app
+ * creates hands each event to its adapters (Tag Manager's dataLayer, GA4's
+ * gtag, this site's REST sink) and to anything subscribed through
+ * window.bragBookGalleryAnalytics.
+ *
+ * An event is { name, data, time, page }, page being the path it happened
+ * on. The names, and what data carries:
+ *
+ * - filter_change        { filters }  demographic filters changed; filters maps
+ *                         each type (age, gender, procedure_detail_…) to its values
+ * - search               { query, results }  procedure search results shown
+ *                         for a new query
+ * - search_select        { query, procedure, name }  a search result was chosen
+ * - favorite_add         { case_id }
+ * - favorite_remove      { case_id }
+ * - carousel_slide       { carousel, index, case_id }  the visitor moved a
+ *                         carousel; autoplay does not count
+ * - case_open            { case_id, source }  source is card, carousel or page
+ *                         (the case page itself, loaded directly or in place)
+ * - load_more            { page, cases }  another page of cases was loaded;
+ *                         cases is how many are now shown
+ * - consultation_submit  { post_id, procedure }  a consultation request was sent
+ * - nudity_accept        {}  the nudity warning was accepted
+ * - share                { channel, case_id, post_id, photo }
+ *
+ * case_id is always the procedure case ID (data-procedure-case-id), post_id
+ * the case's WordPress post. Keys are snake_case so they pass to GA4 as-is.
+ *
+ * Listening:
+ *
+ *     window.bragBookGalleryAnalytics.on('case_open', (event) => { … });
+ *     window.bragBookGalleryAnalytics.on('*', (event) => { … });
+ *     window.bragBookGalleryAnalytics.addAdapter((event) => { … });
+ *
+ * or, from a script that may run before the gallery, listen for the
+ * bragbook:analytics DOM event on document; its detail is the event.
+ *
+ * track() only dispatches that DOM event, so copies of this module bundled
+ * into the lazy chunks and the carousel-only entry all report to the one bus.
+ * The DOM event fires whatever the visitor's consent; the bus holds events
+ * back from adapters and subscribers until statistics consent (consent.js).
+ */
+
+
+
+const ANALYTICS_EVENT = 'bragbook:analytics';
+
+// Prefix event names get in the dataLayer and GA4, where they sit beside
+// every other tag on the site.
+const EVENT_PREFIX = 'bragbook_';
+
+// Events posted to the REST sink at once, and how long one waits for company.
+// The batch size matches Analytics_Events::MAX_BATCH.
+const REST_BATCH_SIZE = 20;
+const REST_BATCH_DELAY = 5000;
+
+/**
+ * Report an analytics event
+ *
+ * @param {string} name - Event name, one of those listed above
+ * @param {Object} [data] - Event details
+ */
+function track(name, data = {}) {
+  document.dispatchEvent(new CustomEvent(ANALYTICS_EVENT, {
+    detail: {
+      name,
+      data,
+      time: Date.now(),
+      page: window.location.pathname
+    }
+  }));
+}
+
+/**
+ * Flatten event data into the single-level, scalar parameters GA4 takes
+ *
+ * Lists become comma-separated strings and nested objects are joined to
+ * their parent's key, so { filters: { age: ['25-34'] } } is filters_age.
+ *
+ * @param {Object} data - Event details
+ * @param {string} [prefix] - Key of the object being flattened
+ * @returns {Object<string, string|number|boolean>}
+ */
+function flattenParams(data, prefix = '') {
+  return Object.entries(data).reduce((params, [key, value]) => {
+    const name = prefix ? `${prefix}_${key}` : key;
+    if (Array.isArray(value)) {
+      params[name] = value.join(',');
+    } else if (value && typeof value === 'object') {
+      Object.assign(params, flattenParams(value, name));
+    } else if (value !== undefined && value !== null) {
+      params[name] = value;
+    }
+    return params;
+  }, {});
+}
+
+/**
+ * Adapter pushing events to the Google Tag Manager dataLayer
+ *
+ * The details go under a bragbook key. Tag Manager merges pushes into one
+ * model, so the key is cleared first or details from the last event would
+ * leak into this one.
+ *
+ * @param {Object} event - Analytics event
+ */
+function dataLayerAdapter(event) {
+  window.dataLayer = window.dataLayer || [];
+  window.dataLayer.push({
+    bragbook: null
+  });
+  window.dataLayer.push({
+    event: EVENT_PREFIX + event.name,
+    bragbook: {
+      ...event.data
+    }
+  });
+}
+
+/**
+ * Adapter sending events to GA4 through the site's own gtag()
+ *
+ * @param {Object} event - Analytics event
+ */
+function gtagAdapter(event) {
+  if (typeof window.gtag !== 'function') {
+    return;
+  }
+  window.gtag('event', EVENT_PREFIX + event.name, flattenParams(event.data));
+}
+
+/**
+ * Analytics Bus
+ *
+ * Receives every track()ed event and passes it to the adapters and
+ * subscribers. A failing adapter or subscriber is logged and skipped, never
+ * allowed to break the gallery.
+ */
+class Analytics {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.dataLayer] Push events to the Tag Manager dataLayer
+   * @param {boolean} [options.gtag] Send events to GA4 with gtag()
+   * @param {string} [options.endpoint] REST route events are batched to; empty for none
+   */
+  constructor(options = {}) {
+    this.adapters = [];
+    this.handlers = new Map();
+    this.restQueue = [];
+    this.restTimer = null;
+    if (options.dataLayer) {
+      this.addAdapter(dataLayerAdapter);
+    }
+    if (options.gtag) {
+      this.addAdapter(gtagAdapter);
+    }
+    if (options.endpoint) {
+      this.endpoint = options.endpoint;
+      this.addAdapter(event => this.queueForRest(event));
+    }
+    this.init();
+  }
+  init() {
+    document.addEventListener(ANALYTICS_EVENT, e => this.dispatch(e.detail));
+
+    // The share menu announces shares with its own event; carry them on.
+    document.addEventListener('bragbook:share', e => {
+      const {
+        type,
+        caseId,
+        postId,
+        photo
+      } = e.detail || {};
+      track('share', {
+        channel: type,
+        case_id: caseId || '',
+        post_id: postId || '',
+        photo: photo || 0
+      });
+    });
+    if (this.endpoint) {
+      // Whatever is still queued goes out as the visitor leaves.
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          this.flushRest();
+        }
+      });
+      window.addEventListener('pagehide', () => this.flushRest());
+    }
+    window.bragBookGalleryAnalytics = {
+      on: (name, handler) => this.on(name, handler),
+      addAdapter: adapter => this.addAdapter(adapter),
+      track
+    };
+  }
+
+  /**
+   * Subscribe to one event, or to all of them with '*'
+   *
+   * @param {string} name - Event name, or '*'
+   * @param {function(Object): void} handler - Called with the event
+   * @returns {function(): void} Unsubscribes the handler
+   */
+  on(name, handler) {
+    if (!this.handlers.has(name)) {
+      this.handlers.set(name, new Set());
+    }
+    this.handlers.get(name).add(handler);
+    return () => this.handlers.get(name).delete(handler);
+  }
+
+  /**
+   * Send every event through another adapter
+   *
+   * @param {function(Object): void} adapter - Called with each event
+   */
+  addAdapter(adapter) {
+    if (typeof adapter === 'function') {
+      this.adapters.push(adapter);
+    }
+  }
+
+  /**
+   * Hand one event to the adapters and subscribers, once the visitor has
+   * consented to statistics
+   *
+   * @param {Object} event - Analytics event
+   */
+  dispatch(event) {
+    if (!event || !event.name) {
+      return;
+    }
+    (0,_consent_js__WEBPACK_IMPORTED_MODULE_1__.whenConsented)('statistics', () => this.deliver(event));
+  }
+
+  /**
+   * @param {Object} event - Analytics event
+   */
+  deliver(event) {
+    const listeners = [...this.adapters, ...(this.handlers.get(event.name) || []), ...(this.handlers.get('*') || [])];
+    listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn(`BRAGBook: Analytics listener failed for ${event.name}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Queue an event for the REST sink, sending once a batch fills or waits
+   * long enough
+   *
+   * @param {Object} event - Analytics event
+   */
+  queueForRest(event) {
+    this.restQueue.push({
+      name: event.name,
+      data: event.data,
+      page: event.page
+    });
+    if (this.restQueue.length >= REST_BATCH_SIZE) {
+      this.flushRest();
+    } else if (!this.restTimer) {
+      this.restTimer = setTimeout(() => this.flushRest(), REST_BATCH_DELAY);
+    }
+  }
+
+  /**
+   * Post everything queued for the REST sink
+   *
+   * keepalive lets the last batch finish after the page is gone. Failures
+   * are dropped: analytics are not worth retrying at the visitor's expense.
+   */
+  flushRest() {
+    clearTimeout(this.restTimer);
+    this.restTimer = null;
+    while (this.restQueue.length) {
+      (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.request)(this.endpoint, {
+        method: 'POST',
+        json: {
+          events: this.restQueue.splice(0, REST_BATCH_SIZE)
+        },
+        credentials: 'omit',
+        keepalive: true
+      }).catch(error => {
+        console.warn('BRAGBook: Analytics batch could not be sent:', error.message);
+      });
+    }
+  }
+}
+/* harmony default export */ __webpack_exports__["default"] = (Analytics);
+
+/***/ }),
+
+/***/ "./src/js/modules/consent.js":
+/*!***********************************!*\
+  !*** ./src/js/modules/consent.js ***!
+  \***********************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   CATEGORIES: function() { return /* binding */ CATEGORIES; },
+/* harmony export */   CONSENT_EVENT: function() { return /* binding */ CONSENT_EVENT; },
+/* harmony export */   getConsent: function() { return /* binding */ getConsent; },
+/* harmony export */   whenConsented: function() { return /* binding */ whenConsented; }
+/* harmony export */ });
+/**
+ * Visitor Consent Gate
+ *
+ * When the site turns on "Wait for visitor consent", tracking and
+ * third-party features hold back until the visitor agrees to them:
+ *
+ * - statistics: case and procedure view tracking, the analytics event
+ *   adapters and subscribers (events are queued, not lost), and share counts
+ * - marketing: the Facebook, Twitter, Pinterest and WhatsApp share
+ *   channels, and the favorites email capture (favorites stay on the device
+ *   until then)
+ *
+ * Consent is read from whichever signal the site has: an IAB TCF v2 CMP
+ * (__tcfapi), the WP Consent API, or a cookie named in the settings. Sites
+ * with their own banner can also grant it directly:
+ *
+ *     window.bragBookGalleryConsent.grant(['statistics', 'marketing']);
+ *
+ * Every change is announced as a bragbook:consent event on document. With
+ * the setting off, everything counts as consented, as before.
+ *
+ * One gate serves the whole page: the first module to ask creates it on
+ * window, so the separate bundles and chunks all share it. If the page
+ * carries no consent settings at all, the gate requires consent.
+ */
+
+const CONSENT_EVENT = 'bragbook:consent';
+const CATEGORIES = ['statistics', 'marketing'];
+
+// TCF purposes each category needs. 1 is storing or reading information on
+// the device; 8 measuring content performance; 3 and 4 building and using a
+// profile, which is what the social networks do with a share.
+const TCF_PURPOSES = {
+  statistics: [1, 8],
+  marketing: [1, 3, 4]
+};
+
+// Values of a consent cookie matched by name alone that mean the visitor
+// refused; many banners set their cookie then too. Mirrors
+// Settings_Helper::CONSENT_REFUSALS.
+const COOKIE_REFUSALS = ['0', 'false', 'no', 'deny', 'denied', 'decline', 'declined', 'reject', 'rejected', 'refused'];
+
+// How often to look for the consent cookie; CMPs that only set a cookie
+// have no event to listen for.
+const COOKIE_POLL_INTERVAL = 1000;
+class ConsentGate {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.required] Hold tracking back until consent is given
+   * @param {string} [options.cookie] Cookie that signals consent: "name", or "name=value"
+   */
+  constructor(options = {}) {
+    this.required = Boolean(options.required);
+    this.cookie = options.cookie || '';
+    this.granted = new Set();
+    this.waiting = [];
+    if (this.required) {
+      this.watch();
+    }
+  }
+
+  /**
+   * Whether the visitor has consented to a category
+   *
+   * @param {string} category - statistics or marketing
+   * @returns {boolean}
+   */
+  has(category) {
+    return !this.required || this.granted.has(category);
+  }
+
+  /**
+   * Run a callback now if the category is consented to, or once it is
+   *
+   * @param {string} category - statistics or marketing
+   * @param {function(): void} callback - Work that needs the consent
+   */
+  whenGranted(category, callback) {
+    if (this.has(category)) {
+      callback();
+    } else {
+      this.waiting.push({
+        category,
+        callback
+      });
+    }
+  }
+
+  /**
+   * Record consent to categories and run what was waiting for them
+   *
+   * @param {string[]} categories - Categories consented to
+   */
+  grant(categories) {
+    this.update(categories, true);
+  }
+
+  /**
+   * Record that consent to categories was refused or withdrawn
+   *
+   * What is already queued stays queued, in case the visitor changes their
+   * mind again.
+   *
+   * @param {string[]} categories - Categories refused
+   */
+  deny(categories) {
+    this.update(categories, false);
+  }
+
+  /**
+   * @param {string[]} categories - Categories that changed
+   * @param {boolean} granted - Whether they are now consented to
+   */
+  update(categories, granted) {
+    const changed = categories.filter(category => CATEGORIES.includes(category)).filter(category => this.granted.has(category) !== granted);
+    if (!changed.length) {
+      return;
+    }
+    changed.forEach(category => granted ? this.granted.add(category) : this.granted.delete(category));
+    if (granted) {
+      const ready = this.waiting.filter(entry => this.has(entry.category));
+      this.waiting = this.waiting.filter(entry => !this.has(entry.category));
+      ready.forEach(entry => {
+        try {
+          entry.callback();
+        } catch (error) {
+          console.warn('BRAGBook: Deferred tracking failed:', error);
+        }
+      });
+    }
+    document.dispatchEvent(new CustomEvent(CONSENT_EVENT, {
+      detail: {
+        granted: Array.from(this.granted)
+      }
+    }));
+  }
+
+  /**
+   * Listen to every consent signal the page offers
+   */
+  watch() {
+    this.watchTcf();
+    this.watchWpConsentApi();
+    this.watchCookie();
+  }
+
+  /**
+   * Read consent from an IAB TCF v2 CMP
+   */
+  watchTcf() {
+    if (typeof window.__tcfapi !== 'function') {
+      return;
+    }
+    window.__tcfapi('addEventListener', 2, (tcData, success) => {
+      if (!success || !tcData || !['tcloaded', 'useractioncomplete'].includes(tcData.eventStatus)) {
+        return;
+      }
+
+      // Outside the GDPR's reach the CMP has nothing to ask.
+      if (tcData.gdprApplies === false) {
+        this.grant(CATEGORIES);
+        return;
+      }
+      const consents = tcData.purpose?.consents || {};
+      CATEGORIES.forEach(category => {
+        const allowed = TCF_PURPOSES[category].every(purpose => consents[purpose]);
+        this.update([category], allowed);
+      });
+    });
+  }
+
+  /**
+   * Read consent from the WP Consent API, which uses the same category names
+   */
+  watchWpConsentApi() {
+    if (typeof window.wp_has_consent !== 'function') {
+      return;
+    }
+    this.grant(CATEGORIES.filter(category => window.wp_has_consent(category)));
+    document.addEventListener('wp_listen_for_consent_change', e => {
+      Object.entries(e.detail || {}).forEach(([category, value]) => {
+        this.update([category], value === 'allow');
+      });
+    });
+  }
+
+  /**
+   * Grant everything once the configured consent cookie shows up with
+   * the configured value, or, for a bare name, with any value that is not
+   * a refusal
+   */
+  watchCookie() {
+    if (!this.cookie) {
+      return;
+    }
+    const [name, ...rest] = this.cookie.split('=');
+    const value = rest.join('=').trim();
+    const check = () => {
+      const found = document.cookie.split(';').map(pair => pair.trim().split('=')).find(([key]) => key === name.trim());
+      const cookieValue = found ? decodeURIComponent(found.slice(1).join('=')).trim() : '';
+      const accepted = value ? cookieValue === value : cookieValue !== '' && !COOKIE_REFUSALS.includes(cookieValue.toLowerCase());
+      if (found && accepted) {
+        this.grant(CATEGORIES);
+      }
+
+      // Nothing left for the cookie to grant, however it was granted.
+      if (CATEGORIES.every(category => this.granted.has(category))) {
+        clearInterval(this.cookieTimer);
+        return true;
+      }
+      return false;
+    };
+    if (!check()) {
+      this.cookieTimer = setInterval(check, COOKIE_POLL_INTERVAL);
+    }
+  }
+}
+
+/**
+ * The page's consent gate, created on first use
+ *
+ * Settings come from the gallery config, or from the standalone
+ * bragBookGalleryConsentConfig global printed in the head for bundles that
+ * have no config. With neither, consent is required: a page that cannot
+ * tell whether the site asks first must not track as if it does not.
+ *
+ * @returns {ConsentGate}
+ */
+function getConsent() {
+  if (!window.bragBookGalleryConsent) {
+    window.bragBookGalleryConsent = new ConsentGate(window.bragBookGalleryConfig?.consent ?? window.bragBookGalleryConsentConfig ?? {
+      required: true
+    });
+  }
+  return window.bragBookGalleryConsent;
+}
+
+/**
+ * Run a callback now if the visitor has consented to a category, or once
+ * they do
+ *
+ * @param {string} category - statistics or marketing
+ * @param {function(): void} callback - Work that needs the consent
+ */
+function whenConsented(category, callback) {
+  getConsent().whenGranted(category, callback);
+}
+
+/***/ }),
+
 /***/ "./src/js/modules/dialog.js":
 /*!**********************************!*\
   !*** ./src/js/modules/dialog.js ***!
@@ -160,6 +1231,129 @@ class Dialog {
 
 /***/ }),
 
+/***/ "./src/js/modules/motion.js":
+/*!**********************************!*\
+  !*** ./src/js/modules/motion.js ***!
+  \**********************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   MOTION_EVENT: function() { return /* binding */ MOTION_EVENT; },
+/* harmony export */   initMotion: function() { return /* binding */ initMotion; },
+/* harmony export */   onMotionChange: function() { return /* binding */ onMotionChange; },
+/* harmony export */   prefersReducedMotion: function() { return /* binding */ prefersReducedMotion; },
+/* harmony export */   scrollBehavior: function() { return /* binding */ scrollBehavior; }
+/* harmony export */ });
+/**
+ * Reduced Motion
+ *
+ * Every animation in the gallery asks here whether it may move: smooth
+ * scrolling, carousel autoplay and momentum, the loading progress bar, the
+ * nudity warning fade. The answer follows the visitor's
+ * prefers-reduced-motion setting unless a site script forces it:
+ *
+ *     window.bragBookGalleryMotion.setReduced(true);   // always reduce
+ *     window.bragBookGalleryMotion.setReduced(false);  // never reduce
+ *     window.bragBookGalleryMotion.setReduced(null);   // follow the system again
+ *     window.bragBookGalleryMotion.isReduced();
+ *
+ * While motion is reduced <html> carries the brag-book-gallery-reduce-motion
+ * class, which stills the gallery's CSS transitions and animations (see
+ * components/_motion.scss), and every change is announced as a
+ * bragbook:motion event on document with { reduced } as its detail.
+ *
+ * Like the consent gate, the state lives on window so the separate bundles
+ * and chunks share it; a site can set window.bragBookGalleryReduceMotion to
+ * true or false before the gallery loads to force it from the start.
+ */
+
+const MOTION_EVENT = 'bragbook:motion';
+const REDUCE_CLASS = 'brag-book-gallery-reduce-motion';
+
+// Overrides the stylesheet's own prefers-reduced-motion rule when a script
+// insists on motion.
+const ALLOW_CLASS = 'brag-book-gallery-allow-motion';
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * The page's motion state, created on first use
+ *
+ * @returns {{forced: boolean|null, media: MediaQueryList}}
+ */
+function getState() {
+  if (!window.bragBookGalleryMotion) {
+    const forced = window.bragBookGalleryReduceMotion;
+    const state = {
+      forced: typeof forced === 'boolean' ? forced : null,
+      media: window.matchMedia(QUERY)
+    };
+    window.bragBookGalleryMotion = {
+      setReduced: value => {
+        state.forced = typeof value === 'boolean' ? value : null;
+        update();
+      },
+      isReduced: () => prefersReducedMotion(),
+      state
+    };
+    state.media.addEventListener('change', () => update());
+    update();
+  }
+  return window.bragBookGalleryMotion.state;
+}
+
+/**
+ * Apply the current state to <html> and tell the modules
+ */
+function update() {
+  const reduced = prefersReducedMotion();
+  document.documentElement.classList.toggle(REDUCE_CLASS, reduced);
+  document.documentElement.classList.toggle(ALLOW_CLASS, getState().forced === false);
+  document.dispatchEvent(new CustomEvent(MOTION_EVENT, {
+    detail: {
+      reduced
+    }
+  }));
+}
+
+/**
+ * Whether the gallery should keep still
+ *
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+  const state = getState();
+  return state.forced !== null ? state.forced : state.media.matches;
+}
+
+/**
+ * The scroll behavior to pass to scrollTo() and scrollIntoView()
+ *
+ * @returns {string} 'auto' while motion is reduced, 'smooth' otherwise
+ */
+function scrollBehavior() {
+  return prefersReducedMotion() ? 'auto' : 'smooth';
+}
+
+/**
+ * Run a callback whenever motion is reduced or allowed again
+ *
+ * @param {function(boolean): void} callback - Called with whether motion is now reduced
+ */
+function onMotionChange(callback) {
+  getState();
+  document.addEventListener(MOTION_EVENT, e => callback(e.detail.reduced));
+}
+
+/**
+ * Set up the shared state, so the class is on <html> before anything moves
+ */
+function initMotion() {
+  getState();
+}
+
+/***/ }),
+
 /***/ "./src/js/modules/sync-dialog.js":
 /*!***************************************!*\
   !*** ./src/js/modules/sync-dialog.js ***!
@@ -584,8 +1778,14 @@ __webpack_require__.r(__webpack_exports__);
 /* harmony export */ __webpack_require__.d(__webpack_exports__, {
 /* harmony export */   NudityWarningManager: function() { return /* binding */ NudityWarningManager; },
 /* harmony export */   PhoneFormatter: function() { return /* binding */ PhoneFormatter; },
-/* harmony export */   escapeHtml: function() { return /* binding */ escapeHtml; }
+/* harmony export */   escapeHtml: function() { return /* binding */ escapeHtml; },
+/* harmony export */   isCoveredByNudityWarning: function() { return /* binding */ isCoveredByNudityWarning; }
 /* harmony export */ });
+/* harmony import */ var _analytics_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./analytics.js */ "./src/js/modules/analytics.js");
+/* harmony import */ var _motion_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./motion.js */ "./src/js/modules/motion.js");
+
+
+
 /**
  * Nudity Warning Manager
  * Handles nudity warnings and acceptance state
@@ -647,6 +1847,7 @@ class NudityWarningManager {
 
     // Add class to body for CSS hiding
     document.body.classList.add('nudity-accepted');
+    (0,_analytics_js__WEBPACK_IMPORTED_MODULE_0__.track)('nudity_accept');
 
     // Animate the removal for smooth transition
     this.animateRemoval();
@@ -654,6 +1855,17 @@ class NudityWarningManager {
   animateRemoval() {
     const allNudityWarnings = document.querySelectorAll('.brag-book-gallery-nudity-warning');
     const allBlurredImages = document.querySelectorAll('.brag-book-gallery-nudity-blur');
+
+    // No fade with motion reduced: the warnings simply go
+    if ((0,_motion_js__WEBPACK_IMPORTED_MODULE_1__.prefersReducedMotion)()) {
+      allNudityWarnings.forEach(nudityWarning => {
+        nudityWarning.style.display = 'none';
+      });
+      allBlurredImages.forEach(blurredImage => {
+        blurredImage.style.filter = 'blur(0px)';
+      });
+      return;
+    }
     allNudityWarnings.forEach(nudityWarning => {
       nudityWarning.style.transition = 'opacity 0.5s ease-out';
       nudityWarning.style.opacity = '0';
@@ -765,6 +1977,27 @@ function escapeHtml(value) {
   return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#039;');
 }
 
+// Elements that scope a nudity warning to one case.
+const NUDITY_SCOPE_SELECTOR = ['.brag-book-gallery-carousel-item', '.brag-book-gallery-case-card', '.brag-book-gallery-compare-column__photo', '.brag-book-gallery-main-image-container'].join(', ');
+
+/**
+ * Whether a nudity warning still covers an element's case.
+ *
+ * The overlay already blocks the pointer; this is for controls that can be
+ * reached by keyboard underneath it.
+ *
+ * @param {Element|null} element - Element inside a case card, slide or viewer.
+ * @returns {boolean} True until the visitor accepts the warning.
+ */
+function isCoveredByNudityWarning(element) {
+  if (!element || document.body.classList.contains('nudity-accepted')) {
+    return false;
+  }
+  const scope = element.closest(NUDITY_SCOPE_SELECTOR);
+  const warnings = [...(scope ? scope.querySelectorAll('.brag-book-gallery-nudity-warning') : []), ...document.querySelectorAll('.brag-book-gallery-nudity-warning--global')];
+  return warnings.some(warning => getComputedStyle(warning).display !== 'none');
+}
+
 
 /***/ })
 
@@ -2,780 +2,4002 @@
 /******/ 	"use strict";
 /******/ 	var __webpack_modules__ = ({
 
-/***/ "./src/js/modules/carousel.js":
-/*!************************************!*\
-  !*** ./src/js/modules/carousel.js ***!
-  \************************************/
+/***/ "./src/js/modules/ajax-client.js":
+/*!***************************************!*\
+  !*** ./src/js/modules/ajax-client.js ***!
+  \***************************************/
 /***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
 
 __webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   CASE_DETAILS_REQUEST: function() { return /* binding */ CASE_DETAILS_REQUEST; },
+/* harmony export */   GRID_PAGE_REQUEST: function() { return /* binding */ GRID_PAGE_REQUEST; },
+/* harmony export */   GRID_REQUEST: function() { return /* binding */ GRID_REQUEST; },
+/* harmony export */   RequestError: function() { return /* binding */ RequestError; },
+/* harmony export */   cancelRequest: function() { return /* binding */ cancelRequest; },
+/* harmony export */   getErrorMessage: function() { return /* binding */ getErrorMessage; },
+/* harmony export */   getNonce: function() { return /* binding */ getNonce; },
+/* harmony export */   isSuperseded: function() { return /* binding */ isSuperseded; },
+/* harmony export */   postAjax: function() { return /* binding */ postAjax; },
+/* harmony export */   refreshNonces: function() { return /* binding */ refreshNonces; },
+/* harmony export */   request: function() { return /* binding */ request; }
+/* harmony export */ });
 /**
- * Carousel Component for BRAGBook Gallery
- * Adapted from Blocksmith carousel with BRAGBook-specific selectors
+ * AJAX Client
+ *
+ * The one request layer under the gallery front end: admin-ajax POSTs go
+ * through postAjax(), the gallery data GETs through getGalleryData() on top
+ * of request(). Every request gets a timeout, and idempotent ones are retried
+ * with exponential backoff when the network or the server fails them.
+ *
+ * A request may name a key. Starting another request under the same key
+ * aborts the first, so when a visitor clicks through filters or cases faster
+ * than the server answers, only the last click's response reaches the page.
+ * Keys live on window, so the provider filter and location search bundles,
+ * which carry their own copy of this module, supersede the main bundle's
+ * requests too.
+ *
+ * Failures come back one way everywhere. A server that answered resolves
+ * with its `{success, data}` body, successful or not. A request that got no
+ * usable answer rejects with a RequestError, whose `code` says why: it was
+ * superseded (`aborted`), took too long (`timeout`), never reached the server
+ * (`network`), or came back as something other than JSON (`invalid_response`).
+ * getErrorMessage() turns one into text for the visitor; superseded requests
+ * are not failures and should be ignored (see isSuperseded()).
+ *
+ * admin-ajax POSTs carry a nonce printed into the page. A full-page cache can
+ * keep serving that page long after the nonce expires, and handlers refuse a
+ * stale nonce with the error code `invalid_nonce` (see
+ * includes/core/class-nonce-refresh.php). postAjax() recognises it, fetches
+ * fresh nonces from the uncached refresh action, hands them to every config
+ * on the page, and sends the request again once. A retry that is refused too
+ * is marked, so the server records it in the debug log.
  */
-class Carousel {
-  constructor(options) {
-    this.wrappers = {};
-    this.options = {
-      wrapper: '.brag-book-gallery-carousel-wrapper',
-      nav: '[data-direction]',
-      pagination: '.brag-book-gallery-carousel-pagination',
-      track: '.brag-book-gallery-carousel-track',
-      direction: 'horizontal',
-      autoplay: false,
-      autoplayInterval: 5000,
-      itemPerPage: 1,
-      itemPerGroup: 1,
-      ...options
-    };
-    this.state = {
-      currentSlide: 0,
-      totalSlides: 0,
-      progress: 0
-    };
-    this.setupIntersectionObserver();
-    this.init();
+
+const REFRESH_ACTION = 'brag_book_gallery_refresh_nonce';
+const INVALID_NONCE = 'invalid_nonce';
+const RETRY_FIELD = 'nonce_retry';
+
+// Page configs that carry the gallery nonce, in the order they are trusted
+const NONCE_CONFIGS = ['bragBookGalleryConfig', 'bragBookProviderFilter', 'bragBookLocationSearch'];
+const DEFAULT_TIMEOUT = 15000;
+const IDEMPOTENT_RETRIES = 2;
+const BACKOFF_BASE = 500;
+
+/**
+ * Requests that replace the case grid: demographic, provider and location
+ * filters and the procedure filter. Each supersedes the last, and any page
+ * still loading into the grid it replaces.
+ */
+const GRID_REQUEST = 'case-grid';
+
+/** Load More pages appended to the case grid */
+const GRID_PAGE_REQUEST = 'case-grid-page';
+
+/** The case detail view opened in place of the grid */
+const CASE_DETAILS_REQUEST = 'case-details';
+
+// What else a request under a key makes obsolete
+const SUPERSEDES = {
+  [GRID_REQUEST]: [GRID_PAGE_REQUEST]
+};
+
+// Requests in flight under a key, shared by every bundle on the page
+const inFlight = window.bragBookGalleryRequests || (window.bragBookGalleryRequests = new Map());
+
+// One refresh at a time, however many requests failed together
+let refreshing = null;
+
+/**
+ * A request that got no usable answer
+ */
+class RequestError extends Error {
+  /**
+   * @param {string} message
+   * @param {'aborted'|'timeout'|'network'|'invalid_response'} code - Why the request failed
+   * @param {number} [status=0] - HTTP status, when a response came back
+   */
+  constructor(message, code, status = 0) {
+    super(message);
+    this.name = 'RequestError';
+    this.code = code;
+    this.status = status;
   }
-  Wrapper = class {
-    constructor(w, index, options) {
-      this.wrapper = w;
-      this.nav = w.querySelectorAll(options.nav);
-      this.pagination = w.querySelector(options.pagination);
-      this.grid = w.querySelector(options.track);
-      this.index = index;
-      if (this.grid) {
-        this.grid.setAttribute('data-wrapper-id', this.index);
-        this.items = this.grid.children;
-        const computedStyle = window.getComputedStyle(this.grid);
-        this.columnGap = parseInt(computedStyle.columnGap, 10);
-        this.rowGap = parseInt(computedStyle.rowGap, 10);
-        this.itemPerPageMobile = parseInt(this.grid.getAttribute('data-mobile-items') || 1, 10);
-        this.itemPerPageTablet = parseInt(this.grid.getAttribute('data-tablet-items') || 2, 10);
-        this.itemPerPageDesktop = parseInt(this.grid.getAttribute('data-desktop-items') || 3, 10);
-      }
-      this.isDragging = false;
-      this.startX = 0;
-      this.scrollLeft = 0;
-      this.autoplay = this.wrapper.getAttribute('data-carousel-autoplay') === 'true';
-      this.autoplayInterval = parseInt(w.getAttribute('data-carousel-interval') || 5000, 10);
-      this.autoplayTimer = null;
-      this.isHovered = false;
-    }
-  };
-  startAutoplay = object => {
-    if (!object.autoplay) return;
+}
 
-    // Clear any existing timer
-    this.stopAutoplay(object);
-    object.autoplayTimer = setInterval(() => {
-      if (!object.isHovered) {
-        const scroll = object.grid;
-        const maxScrollLeft = scroll.scrollWidth - scroll.offsetWidth;
-        if (scroll.scrollLeft >= maxScrollLeft) {
-          // If we're at the end, go back to start
-          scroll.scrollTo({
-            left: 0,
-            behavior: 'smooth'
-          });
-        } else {
-          // Otherwise, move to next slide
-          const firstItem = object.items[0];
-          if (!firstItem) return;
-          const itemWidth = firstItem.offsetWidth;
-          const slideWidth = itemWidth + object.columnGap;
-          scroll.scrollTo({
-            left: scroll.scrollLeft + slideWidth,
-            behavior: 'smooth'
-          });
-        }
-      }
-    }, object.autoplayInterval);
-  };
-  stopAutoplay = object => {
-    if (object.autoplayTimer) {
-      clearInterval(object.autoplayTimer);
-      object.autoplayTimer = null;
-    }
-  };
-  setupAutoplay = object => {
-    if (!object.autoplay) return;
+/**
+ * Whether an error is a request a newer one replaced
+ *
+ * Checks the code rather than the class, so errors from another bundle's
+ * copy of this module count too.
+ *
+ * @param {*} error
+ * @returns {boolean}
+ */
+function isSuperseded(error) {
+  return error?.code === 'aborted';
+}
 
-    // Start autoplay
-    this.startAutoplay(object);
+/**
+ * Text for the visitor about a failed request
+ *
+ * @param {*} error - A RequestError, or anything a caller threw
+ * @param {string} fallback - Message for failures the visitor can do nothing specific about
+ * @returns {string}
+ */
+function getErrorMessage(error, fallback) {
+  switch (error?.code) {
+    case 'timeout':
+      return 'The server is taking too long to respond. Please try again.';
+    case 'network':
+      return 'Could not reach the server. Please check your connection and try again.';
+    default:
+      return fallback;
+  }
+}
 
-    // Pause on hover
-    object.wrapper.addEventListener('mouseenter', () => {
-      object.isHovered = true;
-    });
-    object.wrapper.addEventListener('mouseleave', () => {
-      object.isHovered = false;
-    });
+/**
+ * Abort the request in flight under a key, if any
+ *
+ * @param {string} key
+ */
+function cancelRequest(key) {
+  inFlight.get(key)?.abort();
+  inFlight.delete(key);
+}
 
-    // Pause on focus within
-    object.wrapper.addEventListener('focusin', () => {
-      object.isHovered = true;
-    });
-    object.wrapper.addEventListener('focusout', () => {
-      object.isHovered = false;
-    });
+/**
+ * Take a key for a new request, aborting whatever it supersedes
+ *
+ * @param {string} key - Empty for a request nothing supersedes
+ * @returns {AbortController}
+ */
+function claim(key) {
+  const controller = new AbortController();
+  if (key) {
+    cancelRequest(key);
+    (SUPERSEDES[key] || []).forEach(cancelRequest);
+    inFlight.set(key, controller);
+  }
+  return controller;
+}
 
-    // Pause on touch
-    object.wrapper.addEventListener('touchstart', () => {
-      object.isHovered = true;
-    });
-    object.wrapper.addEventListener('touchend', () => {
-      object.isHovered = false;
-    });
-  };
-  updateSlideStates = object => {
-    if (!object || !object.grid || !object.items.length) return;
-    const currentIndex = this.getCurrentSlideIndex(object);
+/**
+ * Give a key back once its request is done, unless a newer one holds it
+ *
+ * @param {string} key
+ * @param {AbortController} controller
+ */
+function release(key, controller) {
+  if (key && inFlight.get(key) === controller) {
+    inFlight.delete(key);
+  }
+}
 
-    // Remove all state classes first
-    Array.from(object.items).forEach(slide => {
-      slide.classList.remove('is-active-slide', 'is-next-slide', 'is-prev-slide', 'is-next-next-slide', 'is-prev-prev-slide');
+/**
+ * Wait before a retry
+ *
+ * @param {number} attempt - Retries made so far
+ * @param {AbortSignal} signal - Ends the wait when the request is superseded
+ * @returns {Promise<void>}
+ */
+function backoff(attempt, signal) {
+  // Jitter keeps visitors who failed together from retrying together
+  const delay = BACKOFF_BASE * 2 ** attempt + Math.random() * BACKOFF_BASE;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, delay);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new RequestError('Request superseded', 'aborted'));
+    }, {
+      once: true
     });
+  });
+}
 
-    // Add appropriate classes
-    Array.from(object.items).forEach((slide, index) => {
-      // Active slide
-      if (index === currentIndex) {
-        slide.classList.add('is-active-slide');
-      }
+/**
+ * Make one attempt at a request
+ *
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {number} timeout - Milliseconds, 0 for none
+ * @param {AbortSignal} signal - Aborts the attempt when the request is superseded
+ * @returns {Promise<{response: Response, result: *}>}
+ * @throws {RequestError}
+ */
+async function attempt(url, init, timeout, signal) {
+  if (signal.aborted) {
+    throw new RequestError('Request superseded', 'aborted');
+  }
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  let timedOut = false;
+  const timer = timeout > 0 ? setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout) : 0;
+  signal.addEventListener('abort', abort, {
+    once: true
+  });
+  let response;
+  try {
+    response = await fetch(url, {
+      ...init,
+      signal: controller.signal
+    });
 
-      // Next slide
-      if (index === currentIndex + 1) {
-        slide.classList.add('is-next-slide');
-      }
+    // The body counts toward the timeout too
+    return {
+      response,
+      result: await response.json()
+    };
+  } catch (error) {
+    if (signal.aborted) {
+      throw new RequestError('Request superseded', 'aborted');
+    }
+    if (timedOut) {
+      throw new RequestError('Request timed out', 'timeout');
+    }
+    if (response) {
+      throw new RequestError(`HTTP error! status: ${response.status}`, 'invalid_response', response.status);
+    }
+    throw new RequestError(error?.message || 'Network error', 'network');
+  } finally {
+    clearTimeout(timer);
+    signal.removeEventListener('abort', abort);
+  }
+}
 
-      // Previous slide
-      if (index === currentIndex - 1) {
-        slide.classList.add('is-prev-slide');
-      }
+/**
+ * Whether an HTTP status is a failure the same request may not meet again
+ *
+ * @param {number} status
+ * @returns {boolean}
+ */
+function isTransientStatus(status) {
+  return status === 429 || status >= 500;
+}
 
-      // Next next slide
-      if (index === currentIndex + 2) {
-        slide.classList.add('is-next-next-slide');
+/**
+ * Make a request, retrying failures that are worth another try
+ *
+ * Timeouts, network errors, 429s and 5xx answers are retried; anything else
+ * would fail the same way again.
+ *
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {{timeout: number, retries: number}} options
+ * @param {AbortSignal} signal
+ * @returns {Promise<{response: Response, result: *}>}
+ * @throws {RequestError}
+ */
+async function send(url, init, {
+  timeout,
+  retries
+}, signal) {
+  for (let tries = 0;; tries++) {
+    let outcome = null;
+    try {
+      outcome = await attempt(url, init, timeout, signal);
+    } catch (error) {
+      const transient = error.code === 'timeout' || error.code === 'network' || isTransientStatus(error.status);
+      if (tries >= retries || !transient) {
+        throw error;
       }
+    }
+    if (outcome && (tries >= retries || !isTransientStatus(outcome.response.status))) {
+      return outcome;
+    }
+    await backoff(tries, signal);
+  }
+}
 
-      // Previous previous slide
-      if (index === currentIndex - 2) {
-        slide.classList.add('is-prev-prev-slide');
-      }
-    });
+/**
+ * Make a request through the shared request layer
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {FormData|URLSearchParams} [options.body]
+ * @param {*} [options.json] - Data to send as a JSON body, in place of `body`
+ * @param {RequestCredentials} [options.credentials='same-origin']
+ * @param {RequestCache} [options.cache='default']
+ * @param {boolean} [options.keepalive=false] - Let the request outlive the page
+ * @param {number} [options.timeout] - Milliseconds each attempt may take, 0 for no limit
+ * @param {number} [options.retries] - Retries after a failure; GETs default to two, anything else to none
+ * @param {string} [options.key] - Abort the request in flight under this key, and be abortable by the next
+ * @returns {Promise<{response: Response, result: *}>} The response and its parsed JSON body
+ * @throws {RequestError} When no usable answer came back
+ */
+async function request(url, {
+  method = 'GET',
+  body,
+  json,
+  credentials = 'same-origin',
+  cache = 'default',
+  keepalive = false,
+  timeout = DEFAULT_TIMEOUT,
+  retries = method === 'GET' ? IDEMPOTENT_RETRIES : 0,
+  key = ''
+} = {}) {
+  const controller = claim(key);
+  const init = {
+    method,
+    body,
+    credentials,
+    cache,
+    keepalive
   };
+  if (json !== undefined) {
+    init.body = JSON.stringify(json);
+    init.headers = {
+      'Content-Type': 'application/json'
+    };
+  }
+  try {
+    return await send(url, init, {
+      timeout,
+      retries
+    }, controller.signal);
+  } finally {
+    release(key, controller);
+  }
+}
 
-  /**
-   * Pointer dragging that leaves plain clicks alone.
-   *
-   * A press only becomes a drag once it travels DRAG_THRESHOLD pixels. Below
-   * that the handlers do nothing at all, so the press stays an ordinary click
-   * and the slide's link navigates. Past it the track scrolls with the
-   * pointer, and the click that browsers fire after the release is swallowed
-   * so dragging never navigates by accident.
-   *
-   * Touch is skipped here — the track scrolls natively on touch devices.
-   */
-  setupTrackDrag = object => {
-    if (!object.grid) return;
+/**
+ * The admin-ajax URL from whichever config the page has
+ *
+ * @returns {string}
+ */
+function getAjaxUrl() {
+  for (const name of NONCE_CONFIGS) {
+    if (window[name]?.ajaxUrl) {
+      return window[name].ajaxUrl;
+    }
+  }
+  return '/wp-admin/admin-ajax.php';
+}
 
-    // Far enough to be a deliberate drag, short enough that a click with a
-    // shaky hand still counts as a click.
-    const DRAG_THRESHOLD = 5;
+/**
+ * The current nonce of a kind
+ *
+ * @param {'gallery'|'consultation'} [kind='gallery'] - Which nonce the action checks
+ * @returns {string}
+ */
+function getNonce(kind = 'gallery') {
+  if (kind === 'consultation' && window.bragBookGalleryConfig?.consultation_nonce) {
+    return window.bragBookGalleryConfig.consultation_nonce;
+  }
+  for (const name of NONCE_CONFIGS) {
+    if (window[name]?.nonce) {
+      return window[name].nonce;
+    }
+  }
+  return '';
+}
 
-    // Momentum is capped so a fast flick cannot throw the track across the
-    // whole strip. Roughly a slide and a half of coast at full speed.
-    const MAX_VELOCITY = 40;
-    let pointerId = null;
-    let startX = 0;
-    let lastX = 0;
-    let lastMoveTime = 0;
-    let velocity = 0;
-    let didDrag = false;
-    let momentumFrame = null;
-    const onPointerDown = e => {
-      // Mouse only. Touch and pen keep the browser's own scrolling, which
-      // already has momentum and rubber-banding a JS drag cannot match.
-      if (e.button !== 0 || e.pointerType !== 'mouse') return;
-      pointerId = e.pointerId;
-      startX = e.clientX;
-      lastX = e.clientX;
-      lastMoveTime = e.timeStamp;
-      // Reset, or leftover speed from the previous drag would fling the
-      // track on the next press.
-      velocity = 0;
-      didDrag = false;
-      cancelAnimationFrame(momentumFrame);
-      object.grid.style.scrollBehavior = 'auto';
+/**
+ * Fetch fresh nonces and store them wherever the page keeps one
+ *
+ * @returns {Promise<{nonce: string, consultationNonce: string}>}
+ */
+function refreshNonces() {
+  if (refreshing) {
+    return refreshing;
+  }
+  const url = new URL(getAjaxUrl(), window.location.href);
+  url.searchParams.set('action', REFRESH_ACTION);
+  refreshing = request(url.toString(), {
+    cache: 'no-store'
+  }).then(({
+    result
+  }) => {
+    if (!result?.success || !result.data?.nonce) {
+      throw new Error('Nonce refresh failed');
+    }
+    NONCE_CONFIGS.forEach(name => {
+      if (window[name]) {
+        window[name].nonce = result.data.nonce;
+      }
+    });
+    if (window.bragBookGalleryConfig) {
+      window.bragBookGalleryConfig.consultation_nonce = result.data.consultationNonce;
+    }
+    return result.data;
+  }).finally(() => {
+    refreshing = null;
+  });
+  return refreshing;
+}
+
+/**
+ * Whether a response is a refusal of the nonce
+ *
+ * Handlers answer with the `invalid_nonce` code; check_ajax_referer() dies
+ * with a bare -1.
+ *
+ * @param {Response} response
+ * @param {*} result - Parsed body
+ * @returns {boolean}
+ */
+function isNonceFailure(response, result) {
+  return result?.data?.code === INVALID_NONCE || response.status === 403 && result === -1;
+}
+
+/**
+ * POST to admin-ajax with the current nonce, refreshing it once if refused
+ *
+ * POSTs are not retried unless marked idempotent: most change something,
+ * and one the server got but never answered would happen twice.
+ *
+ * @param {FormData|URLSearchParams|Object<string, string>} fields - Request fields, action included; the nonce is set here
+ * @param {Object} [options]
+ * @param {'gallery'|'consultation'} [options.nonce='gallery'] - Which nonce the action checks
+ * @param {string} [options.url] - admin-ajax URL, when not the page's
+ * @param {boolean} [options.keepalive=false] - Let the request outlive the page
+ * @param {number} [options.timeout] - Milliseconds each attempt may take
+ * @param {boolean} [options.idempotent=false] - The action only reads, so a failure may be retried
+ * @param {number} [options.retries] - Retries after a failure; two when idempotent, none otherwise
+ * @param {string} [options.key] - Abort the request in flight under this key, and be abortable by the next
+ * @returns {Promise<Object>} The `{success, data}` response, failures included
+ * @throws {RequestError} When no usable answer came back
+ */
+async function postAjax(fields, {
+  nonce = 'gallery',
+  url = getAjaxUrl(),
+  keepalive = false,
+  timeout = DEFAULT_TIMEOUT,
+  idempotent = false,
+  retries = idempotent ? IDEMPOTENT_RETRIES : 0,
+  key = ''
+} = {}) {
+  const body = fields instanceof FormData || fields instanceof URLSearchParams ? fields : new URLSearchParams(fields);
+  body.set('nonce', getNonce(nonce));
+
+  // One key for the request and its retry, so a newer request aborts
+  // either and the retry never aborts a newer request
+  const controller = claim(key);
+  const init = {
+    method: 'POST',
+    body,
+    credentials: 'same-origin',
+    keepalive
+  };
+  const options = {
+    timeout,
+    retries
+  };
+  try {
+    const {
+      response,
+      result
+    } = await send(url, init, options, controller.signal);
+    if (!isNonceFailure(response, result)) {
+      return result;
+    }
+    try {
+      const fresh = await refreshNonces();
+      body.set('nonce', nonce === 'consultation' ? fresh.consultationNonce : fresh.nonce);
+    } catch (error) {
+      console.error('BRAGBook: Could not refresh the expired security token:', error);
+      return result;
+    }
+    body.set(RETRY_FIELD, '1');
+    const retry = await send(url, init, options, controller.signal);
+    if (isNonceFailure(retry.response, retry.result)) {
+      console.error(`BRAGBook: ${body.get('action')} refused a fresh security token; see the site's debug log.`);
+    }
+    return retry.result;
+  } finally {
+    release(key, controller);
+  }
+}
+
+/***/ }),
+
+/***/ "./src/js/modules/analytics.js":
+/*!*************************************!*\
+  !*** ./src/js/modules/analytics.js ***!
+  \*************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   ANALYTICS_EVENT: function() { return /* binding */ ANALYTICS_EVENT; },
+/* harmony export */   dataLayerAdapter: function() { return /* binding */ dataLayerAdapter; },
+/* harmony export */   gtagAdapter: function() { return /* binding */ gtagAdapter; },
+/* harmony export */   track: function() { return /* binding */ track; }
+/* harmony export */ });
+/* harmony import */ var _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./ajax-client.js */ "./src/js/modules/ajax-client.js");
+/* harmony import */ var _consent_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./consent.js */ "./src/js/modules/consent.js");
+/**
+ * Gallery Analytics Events
+ *
+ * Every interaction worth measuring is reported here as a structured event,
+ * so tag managers and analytics tools can listen for it instead of scraping
+ * the gallery's markup. Modules call track(); the Analytics bus the app
+ * creates hands each event to its adapters (Tag Manager's dataLayer, GA4's
+ * gtag, this site's REST sink) and to anything subscribed through
+ * window.bragBookGalleryAnalytics.
+ *
+ * An event is { name, data, time, page }, page being the path it happened
+ * on. The names, and what data carries:
+ *
+ * - filter_change        { filters }  demographic filters changed; filters maps
+ *                         each type (age, gender, procedure_detail_…) to its values
+ * - search               { query, results }  procedure search results shown
+ *                         for a new query
+ * - search_select        { query, procedure, name }  a search result was chosen
+ * - favorite_add         { case_id }
+ * - favorite_remove      { case_id }
+ * - carousel_slide       { carousel, index, case_id }  the visitor moved a
+ *                         carousel; autoplay does not count
+ * - case_open            { case_id, source }  source is card, carousel or page
+ *                         (the case page itself, loaded directly or in place)
+ * - load_more            { page, cases }  another page of cases was loaded;
+ *                         cases is how many are now shown
+ * - consultation_submit  { post_id, procedure }  a consultation request was sent
+ * - nudity_accept        {}  the nudity warning was accepted
+ * - share                { channel, case_id, post_id, photo }
+ *
+ * case_id is always the procedure case ID (data-procedure-case-id), post_id
+ * the case's WordPress post. Keys are snake_case so they pass to GA4 as-is.
+ *
+ * Listening:
+ *
+ *     window.bragBookGalleryAnalytics.on('case_open', (event) => { … });
+ *     window.bragBookGalleryAnalytics.on('*', (event) => { … });
+ *     window.bragBookGalleryAnalytics.addAdapter((event) => { … });
+ *
+ * or, from a script that may run before the gallery, listen for the
+ * bragbook:analytics DOM event on document; its detail is the event.
+ *
+ * track() only dispatches that DOM event, so copies of this module bundled
+ * into the lazy chunks and the carousel-only entry all report to the one bus.
+ * The DOM event fires whatever the visitor's consent; the bus holds events
+ * back from adapters and subscribers until statistics consent (consent.js).
+ */
+
+
+
+const ANALYTICS_EVENT = 'bragbook:analytics';
+
+// Prefix event names get in the dataLayer and GA4, where they sit beside
+// every other tag on the site.
+const EVENT_PREFIX = 'bragbook_';
+
+// Events posted to the REST sink at once, and how long one waits for company.
+// The batch size matches Analytics_Events::MAX_BATCH.
+const REST_BATCH_SIZE = 20;
+const REST_BATCH_DELAY = 5000;
+
+/**
+ * Report an analytics event
+ *
+ * @param {string} name - Event name, one of those listed above
+ * @param {Object} [data] - Event details
+ */
+function track(name, data = {}) {
+  document.dispatchEvent(new CustomEvent(ANALYTICS_EVENT, {
+    detail: {
+      name,
+      data,
+      time: Date.now(),
+      page: window.location.pathname
+    }
+  }));
+}
+
+/**
+ * Flatten event data into the single-level, scalar parameters GA4 takes
+ *
+ * Lists become comma-separated strings and nested objects are joined to
+ * their parent's key, so { filters: { age: ['25-34'] } } is filters_age.
+ *
+ * @param {Object} data - Event details
+ * @param {string} [prefix] - Key of the object being flattened
+ * @returns {Object<string, string|number|boolean>}
+ */
+function flattenParams(data, prefix = '') {
+  return Object.entries(data).reduce((params, [key, value]) => {
+    const name = prefix ? `${prefix}_${key}` : key;
+    if (Array.isArray(value)) {
+      params[name] = value.join(',');
+    } else if (value && typeof value === 'object') {
+      Object.assign(params, flattenParams(value, name));
+    } else if (value !== undefined && value !== null) {
+      params[name] = value;
+    }
+    return params;
+  }, {});
+}
+
+/**
+ * Adapter pushing events to the Google Tag Manager dataLayer
+ *
+ * The details go under a bragbook key. Tag Manager merges pushes into one
+ * model, so the key is cleared first or details from the last event would
+ * leak into this one.
+ *
+ * @param {Object} event - Analytics event
+ */
+function dataLayerAdapter(event) {
+  window.dataLayer = window.dataLayer || [];
+  window.dataLayer.push({
+    bragbook: null
+  });
+  window.dataLayer.push({
+    event: EVENT_PREFIX + event.name,
+    bragbook: {
+      ...event.data
+    }
+  });
+}
+
+/**
+ * Adapter sending events to GA4 through the site's own gtag()
+ *
+ * @param {Object} event - Analytics event
+ */
+function gtagAdapter(event) {
+  if (typeof window.gtag !== 'function') {
+    return;
+  }
+  window.gtag('event', EVENT_PREFIX + event.name, flattenParams(event.data));
+}
+
+/**
+ * Analytics Bus
+ *
+ * Receives every track()ed event and passes it to the adapters and
+ * subscribers. A failing adapter or subscriber is logged and skipped, never
+ * allowed to break the gallery.
+ */
+class Analytics {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.dataLayer] Push events to the Tag Manager dataLayer
+   * @param {boolean} [options.gtag] Send events to GA4 with gtag()
+   * @param {string} [options.endpoint] REST route events are batched to; empty for none
+   */
+  constructor(options = {}) {
+    this.adapters = [];
+    this.handlers = new Map();
+    this.restQueue = [];
+    this.restTimer = null;
+    if (options.dataLayer) {
+      this.addAdapter(dataLayerAdapter);
+    }
+    if (options.gtag) {
+      this.addAdapter(gtagAdapter);
+    }
+    if (options.endpoint) {
+      this.endpoint = options.endpoint;
+      this.addAdapter(event => this.queueForRest(event));
+    }
+    this.init();
+  }
+  init() {
+    document.addEventListener(ANALYTICS_EVENT, e => this.dispatch(e.detail));
+
+    // The share menu announces shares with its own event; carry them on.
+    document.addEventListener('bragbook:share', e => {
+      const {
+        type,
+        caseId,
+        postId,
+        photo
+      } = e.detail || {};
+      track('share', {
+        channel: type,
+        case_id: caseId || '',
+        post_id: postId || '',
+        photo: photo || 0
+      });
+    });
+    if (this.endpoint) {
+      // Whatever is still queued goes out as the visitor leaves.
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          this.flushRest();
+        }
+      });
+      window.addEventListener('pagehide', () => this.flushRest());
+    }
+    window.bragBookGalleryAnalytics = {
+      on: (name, handler) => this.on(name, handler),
+      addAdapter: adapter => this.addAdapter(adapter),
+      track
     };
-    const onPointerMove = e => {
-      if (e.pointerId !== pointerId) return;
+  }
 
-      // Track the delta even before the threshold is met, so crossing it
-      // does not jump by the distance already travelled.
-      const deltaX = e.clientX - lastX;
-      lastX = e.clientX;
-      if (!didDrag) {
-        if (Math.abs(e.clientX - startX) < DRAG_THRESHOLD) return;
-        didDrag = true;
-        object.grid.setPointerCapture(pointerId);
-        object.grid.classList.add('brag-book-gallery-grabbing');
-      }
+  /**
+   * Subscribe to one event, or to all of them with '*'
+   *
+   * @param {string} name - Event name, or '*'
+   * @param {function(Object): void} handler - Called with the event
+   * @returns {function(): void} Unsubscribes the handler
+   */
+  on(name, handler) {
+    if (!this.handlers.has(name)) {
+      this.handlers.set(name, new Set());
+    }
+    this.handlers.get(name).add(handler);
+    return () => this.handlers.get(name).delete(handler);
+  }
 
-      // Speed, not raw distance. Using the last delta alone meant a 5px
-      // nudge that only just crossed the threshold coasted as far as a
-      // deliberate flick, because the decay multiplies whatever it is
-      // given. Scaled to px-per-frame at 60fps and clamped.
-      const elapsed = e.timeStamp - lastMoveTime;
-      lastMoveTime = e.timeStamp;
-      if (elapsed > 0) {
-        const perFrame = deltaX / elapsed * 16;
-        velocity = Math.max(-MAX_VELOCITY, Math.min(MAX_VELOCITY, perFrame));
+  /**
+   * Send every event through another adapter
+   *
+   * @param {function(Object): void} adapter - Called with each event
+   */
+  addAdapter(adapter) {
+    if (typeof adapter === 'function') {
+      this.adapters.push(adapter);
+    }
+  }
+
+  /**
+   * Hand one event to the adapters and subscribers, once the visitor has
+   * consented to statistics
+   *
+   * @param {Object} event - Analytics event
+   */
+  dispatch(event) {
+    if (!event || !event.name) {
+      return;
+    }
+    (0,_consent_js__WEBPACK_IMPORTED_MODULE_1__.whenConsented)('statistics', () => this.deliver(event));
+  }
+
+  /**
+   * @param {Object} event - Analytics event
+   */
+  deliver(event) {
+    const listeners = [...this.adapters, ...(this.handlers.get(event.name) || []), ...(this.handlers.get('*') || [])];
+    listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn(`BRAGBook: Analytics listener failed for ${event.name}:`, error);
       }
-      object.grid.scrollLeft -= deltaX;
-    };
-    const onPointerUp = e => {
-      if (e.pointerId !== pointerId) return;
-      pointerId = null;
+    });
+  }
 
-      // Deliberately not clearing didDrag: the click event fires after
-      // this, and onClickCapture reads it to decide whether to swallow.
-      if (!didDrag) {
-        // A plain click. Leave the scroll position and the event alone
-        // so the anchor can navigate.
-        object.grid.style.scrollBehavior = 'smooth';
+  /**
+   * Queue an event for the REST sink, sending once a batch fills or waits
+   * long enough
+   *
+   * @param {Object} event - Analytics event
+   */
+  queueForRest(event) {
+    this.restQueue.push({
+      name: event.name,
+      data: event.data,
+      page: event.page
+    });
+    if (this.restQueue.length >= REST_BATCH_SIZE) {
+      this.flushRest();
+    } else if (!this.restTimer) {
+      this.restTimer = setTimeout(() => this.flushRest(), REST_BATCH_DELAY);
+    }
+  }
+
+  /**
+   * Post everything queued for the REST sink
+   *
+   * keepalive lets the last batch finish after the page is gone. Failures
+   * are dropped: analytics are not worth retrying at the visitor's expense.
+   */
+  flushRest() {
+    clearTimeout(this.restTimer);
+    this.restTimer = null;
+    while (this.restQueue.length) {
+      (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.request)(this.endpoint, {
+        method: 'POST',
+        json: {
+          events: this.restQueue.splice(0, REST_BATCH_SIZE)
+        },
+        credentials: 'omit',
+        keepalive: true
+      }).catch(error => {
+        console.warn('BRAGBook: Analytics batch could not be sent:', error.message);
+      });
+    }
+  }
+}
+/* harmony default export */ __webpack_exports__["default"] = (Analytics);
+
+/***/ }),
+
+/***/ "./src/js/modules/before-after-slider.js":
+/*!***********************************************!*\
+  !*** ./src/js/modules/before-after-slider.js ***!
+  \***********************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   isSliderMode: function() { return /* binding */ isSliderMode; },
+/* harmony export */   renderBeforeAfterSlider: function() { return /* binding */ renderBeforeAfterSlider; }
+/* harmony export */ });
+/* harmony import */ var _utilities_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./utilities.js */ "./src/js/modules/utilities.js");
+
+
+/**
+ * Before/After Slider
+ *
+ * Lays the before photo over the after photo and clips it at a draggable
+ * divider, horizontally or vertically. The markup comes from
+ * HTML_Renderer::render_before_after_slider() or renderBeforeAfterSlider()
+ * below, and one set of delegated listeners drives every slider on the page,
+ * including ones added later by AJAX, the carousel or the favorites grid.
+ *
+ * A native range input carries the position, so the keyboard, screen readers
+ * and form-control semantics come for free; pointer dragging just writes to
+ * it. While a nudity warning still covers a slider it cannot be moved.
+ */
+
+const SLIDER_SELECTOR = '[data-before-after]';
+const RANGE_SELECTOR = '.brag-book-gallery-before-after__range';
+
+// Pointer travel, in pixels, before a press counts as a drag rather than a tap.
+const DRAG_THRESHOLD = 3;
+class BeforeAfterSlider {
+  constructor() {
+    this.drag = null;
+    this.suppressClick = false;
+    this.init();
+  }
+  init() {
+    document.addEventListener('input', e => {
+      const range = e.target.closest?.(RANGE_SELECTOR);
+      if (!range) return;
+      const slider = range.closest(SLIDER_SELECTOR);
+      if (this.isBlocked(slider)) {
+        this.setPosition(slider, this.getPosition(slider));
         return;
       }
-      object.grid.classList.remove('brag-book-gallery-grabbing');
-      const applyMomentum = () => {
-        if (Math.abs(velocity) > 0.5) {
-          object.grid.scrollLeft -= velocity;
-          velocity *= 0.95; // Decay factor
-          momentumFrame = requestAnimationFrame(applyMomentum);
-          return;
-        }
-        object.grid.style.scrollBehavior = 'smooth';
-        this.snapToClosestSlide(object.grid);
-      };
-      applyMomentum();
-    };
+      this.setPosition(slider, Number(range.value));
+    });
+    document.addEventListener('keydown', e => {
+      const range = e.target.closest?.(RANGE_SELECTOR);
+      if (range && this.isBlocked(range.closest(SLIDER_SELECTOR))) {
+        e.preventDefault();
+      }
+    });
 
-    // Capture phase, so this runs before the link sees the click.
-    const onClickCapture = e => {
-      if (!didDrag) return;
+    // Capture phase, so a carousel track never starts its own drag
+    // underneath the divider.
+    document.addEventListener('pointerdown', e => this.onPointerDown(e), true);
+    document.addEventListener('pointermove', e => this.onPointerMove(e));
+    document.addEventListener('pointerup', e => this.onPointerUp(e));
+    document.addEventListener('pointercancel', () => this.endDrag());
+
+    // A drag must not end as a click on the card link around the slider.
+    document.addEventListener('click', e => {
+      if (!this.suppressClick) return;
+      this.suppressClick = false;
       e.preventDefault();
       e.stopPropagation();
-      didDrag = false;
-    };
+    }, true);
+
+    // The card skeleton normally hides from the image's inline onload.
+    document.addEventListener('load', e => {
+      if (!e.target.matches?.('.brag-book-gallery-before-after__image--after')) return;
+      const skeleton = e.target.closest('.brag-book-gallery-image-container')?.querySelector('.brag-book-gallery-skeleton-loader');
+      if (skeleton) {
+        skeleton.style.display = 'none';
+      }
+    }, true);
+  }
+
+  /**
+   * Whether a nudity warning still covers the slider
+   *
+   * @param {HTMLElement|null} slider Slider root
+   * @returns {boolean}
+   */
+  isBlocked(slider) {
+    return (0,_utilities_js__WEBPACK_IMPORTED_MODULE_0__.isCoveredByNudityWarning)(slider);
+  }
+
+  /**
+   * @param {HTMLElement} slider Slider root
+   * @returns {number} Share of the frame showing the before photo, 0-100
+   */
+  getPosition(slider) {
+    return Number(slider.querySelector(RANGE_SELECTOR)?.value ?? 50);
+  }
+
+  /**
+   * Move the divider
+   *
+   * @param {HTMLElement} slider Slider root
+   * @param {number} value Share of the frame showing the before photo, 0-100
+   */
+  setPosition(slider, value) {
+    const position = Math.round(Math.min(100, Math.max(0, value)));
+    const range = slider.querySelector(RANGE_SELECTOR);
+    slider.style.setProperty('--brag-book-before-after-position', `${position}%`);
+    if (range) {
+      range.value = String(position);
+      range.setAttribute('aria-valuetext', `${position}% before`);
+    }
+  }
+
+  /**
+   * Position under a pointer event, along the slider's axis
+   *
+   * @param {HTMLElement} slider Slider root
+   * @param {PointerEvent} e Pointer event
+   * @returns {number}
+   */
+  positionFromPointer(slider, e) {
+    const rect = slider.getBoundingClientRect();
+    if (slider.dataset.orientation === 'vertical') {
+      return rect.height ? (e.clientY - rect.top) / rect.height * 100 : 50;
+    }
+    return rect.width ? (e.clientX - rect.left) / rect.width * 100 : 50;
+  }
+  onPointerDown(e) {
+    if (e.button !== 0) return;
+    const slider = e.target.closest?.(SLIDER_SELECTOR);
+    if (!slider || this.isBlocked(slider)) return;
+    e.stopPropagation();
+    this.drag = {
+      slider,
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      moved: false
+    };
+  }
+  onPointerMove(e) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+    const {
+      slider
+    } = this.drag;
+    if (!this.drag.moved) {
+      const travel = Math.hypot(e.clientX - this.drag.startX, e.clientY - this.drag.startY);
+      if (travel < DRAG_THRESHOLD) return;
+      this.drag.moved = true;
+      slider.classList.add('is-dragging');
+      try {
+        slider.setPointerCapture(e.pointerId);
+      } catch (error) {
+        // The pointer may already be gone; the drag still ends on pointerup.
+      }
+    }
+    e.preventDefault();
+    this.setPosition(slider, this.positionFromPointer(slider, e));
+  }
+  onPointerUp(e) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+    const {
+      slider,
+      moved
+    } = this.drag;
+
+    // A tap jumps the divider to where it landed.
+    this.setPosition(slider, this.positionFromPointer(slider, e));
+    this.suppressClick = true;
+    this.endDrag();
+
+    // Keyboard users carry on from the new position.
+    if (!moved) {
+      slider.querySelector(RANGE_SELECTOR)?.focus({
+        preventScroll: true
+      });
+    }
+
+    // The click that follows is dispatched synchronously after pointerup;
+    // anything later is a new interaction.
+    setTimeout(() => {
+      this.suppressClick = false;
+    }, 0);
+  }
+  endDrag() {
+    this.drag?.slider.classList.remove('is-dragging');
+    this.drag = null;
+  }
+}
+
+/**
+ * Build slider markup in the browser
+ *
+ * Mirrors HTML_Renderer::render_before_after_slider() for cards that are
+ * rendered client-side.
+ *
+ * @param {Object} options
+ * @param {string} options.before Before photo URL
+ * @param {string} options.after After photo URL
+ * @param {string} options.alt Case description for the alt text
+ * @param {string} [options.mode='slider'] 'slider' or 'slider_vertical'
+ * @param {boolean} [options.lazy=true] Lazy-load the photos
+ * @returns {string} HTML
+ */
+const renderBeforeAfterSlider = ({
+  before,
+  after,
+  alt,
+  mode = 'slider',
+  lazy = true
+}) => {
+  const orientation = mode === 'slider_vertical' ? 'vertical' : 'horizontal';
+  const loading = lazy ? 'lazy' : 'eager';
+  const safeAlt = (0,_utilities_js__WEBPACK_IMPORTED_MODULE_0__.escapeHtml)(alt);
+  return `<div class="brag-book-gallery-before-after brag-book-gallery-before-after--${orientation}" data-before-after data-orientation="${orientation}" style="--brag-book-before-after-position: 50%">` + `<img class="brag-book-gallery-before-after__image brag-book-gallery-before-after__image--after" src="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_0__.escapeHtml)(after)}" alt="After: ${safeAlt}" loading="${loading}" decoding="async" draggable="false">` + `<img class="brag-book-gallery-before-after__image brag-book-gallery-before-after__image--before" src="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_0__.escapeHtml)(before)}" alt="Before: ${safeAlt}" loading="${loading}" decoding="async" draggable="false">` + '<span class="brag-book-gallery-before-after__label brag-book-gallery-before-after__label--before" aria-hidden="true">Before</span>' + '<span class="brag-book-gallery-before-after__label brag-book-gallery-before-after__label--after" aria-hidden="true">After</span>' + `<input type="range" class="brag-book-gallery-before-after__range" min="0" max="100" step="1" value="50" aria-label="Before and after comparison" aria-orientation="${orientation}" aria-valuetext="50% before">` + '<span class="brag-book-gallery-before-after__divider" aria-hidden="true"></span>' + '</div>';
+};
+
+/**
+ * Whether a display mode is one of the sliders
+ *
+ * @param {string|undefined} mode Image display mode
+ * @returns {boolean}
+ */
+const isSliderMode = mode => mode === 'slider' || mode === 'slider_vertical';
+
+/* harmony default export */ __webpack_exports__["default"] = (BeforeAfterSlider);
+
+/***/ }),
+
+/***/ "./src/js/modules/carousel.js":
+/*!************************************!*\
+  !*** ./src/js/modules/carousel.js ***!
+  \************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony import */ var _analytics_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./analytics.js */ "./src/js/modules/analytics.js");
+/* harmony import */ var _motion_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./motion.js */ "./src/js/modules/motion.js");
+
+
+
+/**
+ * Carousel Component for BRAGBook Gallery
+ * Adapted from Blocksmith carousel with BRAGBook-specific selectors
+ *
+ * An autoplaying carousel gets a pause/play button (WCAG 2.2.2). Autoplay
+ * pauses while the pointer is over the carousel and stops for good once
+ * keyboard focus moves into it, until the visitor presses play. With
+ * reduced motion (motion.js) it starts paused and every move jumps
+ * instead of gliding.
+ */
+class Carousel {
+  constructor(options) {
+    this.wrappers = {};
+    this.options = {
+      wrapper: '.brag-book-gallery-carousel-wrapper',
+      nav: '[data-direction]',
+      pagination: '.brag-book-gallery-carousel-pagination',
+      track: '.brag-book-gallery-carousel-track',
+      direction: 'horizontal',
+      autoplay: false,
+      autoplayInterval: 5000,
+      itemPerPage: 1,
+      itemPerGroup: 1,
+      ...options
+    };
+    this.state = {
+      currentSlide: 0,
+      totalSlides: 0,
+      progress: 0
+    };
+    this.setupIntersectionObserver();
+    this.init();
+  }
+  Wrapper = class {
+    constructor(w, index, options) {
+      this.wrapper = w;
+      this.nav = w.querySelectorAll(options.nav);
+      this.pagination = w.querySelector(options.pagination);
+      this.grid = w.querySelector(options.track);
+      this.index = index;
+      if (this.grid) {
+        this.grid.setAttribute('data-wrapper-id', this.index);
+        this.items = this.grid.children;
+        const computedStyle = window.getComputedStyle(this.grid);
+        this.columnGap = parseInt(computedStyle.columnGap, 10);
+        this.rowGap = parseInt(computedStyle.rowGap, 10);
+        this.itemPerPageMobile = parseInt(this.grid.getAttribute('data-mobile-items') || 1, 10);
+        this.itemPerPageTablet = parseInt(this.grid.getAttribute('data-tablet-items') || 2, 10);
+        this.itemPerPageDesktop = parseInt(this.grid.getAttribute('data-desktop-items') || 3, 10);
+      }
+      this.isDragging = false;
+      this.startX = 0;
+      this.scrollLeft = 0;
+      this.autoplay = this.wrapper.getAttribute('data-carousel-autoplay') === 'true';
+      this.autoplayInterval = parseInt(w.getAttribute('data-carousel-interval') || 5000, 10);
+      this.autoplayTimer = null;
+      this.isHovered = false;
+      this.isPaused = false;
+    }
+  };
+  startAutoplay = object => {
+    if (!object.autoplay) return;
+
+    // Clear any existing timer
+    this.stopAutoplay(object);
+    object.autoplayTimer = setInterval(() => {
+      if (!object.isHovered && !object.isPaused) {
+        const scroll = object.grid;
+        // Not the visitor's move, so not reported; see trackSlideChange().
+        object.autoplayMoved = true;
+        const maxScrollLeft = scroll.scrollWidth - scroll.offsetWidth;
+        if (scroll.scrollLeft >= maxScrollLeft) {
+          // If we're at the end, go back to start
+          scroll.scrollTo({
+            left: 0,
+            behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_1__.scrollBehavior)()
+          });
+        } else {
+          // Otherwise, move to next slide
+          const firstItem = object.items[0];
+          if (!firstItem) return;
+          const itemWidth = firstItem.offsetWidth;
+          const slideWidth = itemWidth + object.columnGap;
+          scroll.scrollTo({
+            left: scroll.scrollLeft + slideWidth,
+            behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_1__.scrollBehavior)()
+          });
+        }
+      }
+    }, object.autoplayInterval);
+  };
+
+  /**
+   * Add the pause/play button to the carousel's controls
+   */
+  renderAutoplayToggle = object => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'brag-book-gallery-carousel-btn brag-book-gallery-carousel-btn--toggle';
+    button.innerHTML = `<svg class="brag-book-gallery-arrow-icon" xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="currentColor" aria-hidden="true">
+				<path class="brag-book-gallery-carousel-btn__pause" d="M520-200v-560h240v560H520Zm-320 0v-560h240v560H200Z"/>
+				<path class="brag-book-gallery-carousel-btn__play" d="M320-200v-560l440 280-440 280Z"/>
+			</svg>`;
+    button.addEventListener('click', () => this.setPaused(object, !object.isPaused));
+
+    // First among the controls, so it is reached before anything moves
+    const nav = object.wrapper.querySelector('.brag-book-gallery-carousel-nav');
+    const header = object.wrapper.querySelector('.brag-book-gallery-carousel-header');
+    if (nav) {
+      nav.prepend(button);
+    } else if (header) {
+      header.append(button);
+    } else {
+      object.wrapper.prepend(button);
+    }
+    object.autoplayToggle = button;
+  };
+
+  /**
+   * Pause or resume autoplay, and say so on the toggle
+   */
+  setPaused = (object, paused) => {
+    object.isPaused = paused;
+    const button = object.autoplayToggle;
+    if (button) {
+      button.setAttribute('aria-label', paused ? 'Play carousel' : 'Pause carousel');
+      button.classList.toggle('is-paused', paused);
+    }
+  };
+  stopAutoplay = object => {
+    if (object.autoplayTimer) {
+      clearInterval(object.autoplayTimer);
+      object.autoplayTimer = null;
+    }
+  };
+  setupAutoplay = object => {
+    if (!object.autoplay) return;
+    this.renderAutoplayToggle(object);
+    this.setPaused(object, (0,_motion_js__WEBPACK_IMPORTED_MODULE_1__.prefersReducedMotion)());
+
+    // Start autoplay
+    this.startAutoplay(object);
+
+    // Pause on hover
+    object.wrapper.addEventListener('mouseenter', () => {
+      object.isHovered = true;
+    });
+    object.wrapper.addEventListener('mouseleave', () => {
+      object.isHovered = false;
+    });
+
+    // Stop once keyboard focus comes in, so nothing moves under it. The
+    // toggle is exempt: pressing play there must be able to restart.
+    object.wrapper.addEventListener('focusin', e => {
+      if (e.target !== object.autoplayToggle) {
+        this.setPaused(object, true);
+      }
+    });
+
+    // Pause on touch
+    object.wrapper.addEventListener('touchstart', () => {
+      object.isHovered = true;
+    });
+    object.wrapper.addEventListener('touchend', () => {
+      object.isHovered = false;
+    });
+  };
+  updateSlideStates = object => {
+    if (!object || !object.grid || !object.items.length) return;
+    const currentIndex = this.getCurrentSlideIndex(object);
+
+    // Remove all state classes first
+    Array.from(object.items).forEach(slide => {
+      slide.classList.remove('is-active-slide', 'is-next-slide', 'is-prev-slide', 'is-next-next-slide', 'is-prev-prev-slide');
+    });
+
+    // Add appropriate classes
+    Array.from(object.items).forEach((slide, index) => {
+      // Active slide
+      if (index === currentIndex) {
+        slide.classList.add('is-active-slide');
+      }
+
+      // Next slide
+      if (index === currentIndex + 1) {
+        slide.classList.add('is-next-slide');
+      }
+
+      // Previous slide
+      if (index === currentIndex - 1) {
+        slide.classList.add('is-prev-slide');
+      }
+
+      // Next next slide
+      if (index === currentIndex + 2) {
+        slide.classList.add('is-next-next-slide');
+      }
+
+      // Previous previous slide
+      if (index === currentIndex - 2) {
+        slide.classList.add('is-prev-prev-slide');
+      }
+    });
+  };
+
+  /**
+   * Pointer dragging that leaves plain clicks alone.
+   *
+   * A press only becomes a drag once it travels DRAG_THRESHOLD pixels. Below
+   * that the handlers do nothing at all, so the press stays an ordinary click
+   * and the slide's link navigates. Past it the track scrolls with the
+   * pointer, and the click that browsers fire after the release is swallowed
+   * so dragging never navigates by accident.
+   *
+   * Touch is skipped here — the track scrolls natively on touch devices.
+   */
+  setupTrackDrag = object => {
+    if (!object.grid) return;
+
+    // Far enough to be a deliberate drag, short enough that a click with a
+    // shaky hand still counts as a click.
+    const DRAG_THRESHOLD = 5;
+
+    // Momentum is capped so a fast flick cannot throw the track across the
+    // whole strip. Roughly a slide and a half of coast at full speed.
+    const MAX_VELOCITY = 40;
+    let pointerId = null;
+    let startX = 0;
+    let lastX = 0;
+    let lastMoveTime = 0;
+    let velocity = 0;
+    let didDrag = false;
+    let momentumFrame = null;
+    const onPointerDown = e => {
+      // Mouse only. Touch and pen keep the browser's own scrolling, which
+      // already has momentum and rubber-banding a JS drag cannot match.
+      if (e.button !== 0 || e.pointerType !== 'mouse') return;
+      pointerId = e.pointerId;
+      startX = e.clientX;
+      lastX = e.clientX;
+      lastMoveTime = e.timeStamp;
+      // Reset, or leftover speed from the previous drag would fling the
+      // track on the next press.
+      velocity = 0;
+      didDrag = false;
+      cancelAnimationFrame(momentumFrame);
+      object.grid.style.scrollBehavior = 'auto';
+    };
+    const onPointerMove = e => {
+      if (e.pointerId !== pointerId) return;
+
+      // Track the delta even before the threshold is met, so crossing it
+      // does not jump by the distance already travelled.
+      const deltaX = e.clientX - lastX;
+      lastX = e.clientX;
+      if (!didDrag) {
+        if (Math.abs(e.clientX - startX) < DRAG_THRESHOLD) return;
+        didDrag = true;
+        object.grid.setPointerCapture(pointerId);
+        object.grid.classList.add('brag-book-gallery-grabbing');
+      }
+
+      // Speed, not raw distance. Using the last delta alone meant a 5px
+      // nudge that only just crossed the threshold coasted as far as a
+      // deliberate flick, because the decay multiplies whatever it is
+      // given. Scaled to px-per-frame at 60fps and clamped.
+      const elapsed = e.timeStamp - lastMoveTime;
+      lastMoveTime = e.timeStamp;
+      if (elapsed > 0) {
+        const perFrame = deltaX / elapsed * 16;
+        velocity = Math.max(-MAX_VELOCITY, Math.min(MAX_VELOCITY, perFrame));
+      }
+      object.grid.scrollLeft -= deltaX;
+    };
+    const onPointerUp = e => {
+      if (e.pointerId !== pointerId) return;
+      pointerId = null;
+
+      // Deliberately not clearing didDrag: the click event fires after
+      // this, and onClickCapture reads it to decide whether to swallow.
+      if (!didDrag) {
+        // A plain click. Leave the scroll position and the event alone
+        // so the anchor can navigate.
+        object.grid.style.scrollBehavior = (0,_motion_js__WEBPACK_IMPORTED_MODULE_1__.scrollBehavior)();
+        return;
+      }
+      object.grid.classList.remove('brag-book-gallery-grabbing');
+      const applyMomentum = () => {
+        // A coasting track is motion too: with it reduced, stop and snap.
+        if (Math.abs(velocity) > 0.5 && !(0,_motion_js__WEBPACK_IMPORTED_MODULE_1__.prefersReducedMotion)()) {
+          object.grid.scrollLeft -= velocity;
+          velocity *= 0.95; // Decay factor
+          momentumFrame = requestAnimationFrame(applyMomentum);
+          return;
+        }
+        object.grid.style.scrollBehavior = (0,_motion_js__WEBPACK_IMPORTED_MODULE_1__.scrollBehavior)();
+        this.snapToClosestSlide(object.grid);
+      };
+      applyMomentum();
+    };
+
+    // Capture phase, so this runs before the link sees the click.
+    const onClickCapture = e => {
+      if (!didDrag) return;
+      e.preventDefault();
+      e.stopPropagation();
+      didDrag = false;
+    };
+
+    // Images and links are natively draggable; without this a drag turns
+    // into a ghost-image drag instead of scrolling the track.
+    const onDragStart = e => e.preventDefault();
+    object.grid.addEventListener('pointerdown', onPointerDown);
+    object.grid.addEventListener('pointermove', onPointerMove);
+    object.grid.addEventListener('pointerup', onPointerUp);
+    object.grid.addEventListener('pointercancel', onPointerUp);
+    object.grid.addEventListener('click', onClickCapture, true);
+    object.grid.addEventListener('dragstart', onDragStart);
+  };
+  initializePagination = object => {
+    if (!object.pagination || !object.items.length) return;
+
+    // Clear existing pagination dots
+    object.pagination.innerHTML = '';
+
+    // Calculate number of pages based on items per page and total items
+    let itemsPerPage;
+    const width = window.innerWidth;
+    if (width < 768) {
+      itemsPerPage = object.itemPerPageMobile;
+    } else if (width < 992) {
+      itemsPerPage = object.itemPerPageTablet;
+    } else {
+      itemsPerPage = object.itemPerPageDesktop;
+    }
+    const totalPages = Math.ceil(object.items.length / itemsPerPage);
+
+    // Create pagination dots
+    for (let i = 0; i < totalPages; i++) {
+      const dot = document.createElement('button');
+      dot.className = 'brag-book-gallery-pagination-dot';
+      dot.setAttribute('role', 'tab');
+      dot.setAttribute('aria-label', `Go to slide ${i + 1}`);
+      dot.setAttribute('tabindex', '0');
+
+      // Set first dot as active
+      if (i === 0) {
+        dot.classList.add('brag-book-gallery-active');
+        dot.setAttribute('aria-selected', 'true');
+      } else {
+        dot.setAttribute('aria-selected', 'false');
+      }
+
+      // Store click handler reference
+      dot.clickHandler = () => {
+        // Calculate actual item width including gap
+        const firstItem = object.items[0];
+        if (!firstItem) return;
+        const itemWidth = firstItem.offsetWidth;
+        const slideWidth = itemWidth + object.columnGap;
+
+        // Scroll to the page (each page shows multiple items)
+        const targetScroll = i * object.grid.clientWidth;
+        this.smoothScrollTo(object.grid, targetScroll);
+      };
+      dot.addEventListener('click', dot.clickHandler);
+      object.pagination.appendChild(dot);
+    }
+
+    // Set initial active state
+    this.updatePaginationState(object);
+  };
+  updatePaginationState = object => {
+    if (!object.pagination) return;
+    const dots = object.pagination.querySelectorAll('.brag-book-gallery-pagination-dot');
+    if (!dots.length) return;
+    let itemsPerPage;
+    const width = window.innerWidth;
+    if (width < 768) {
+      itemsPerPage = object.itemPerPageMobile;
+    } else if (width < 992) {
+      itemsPerPage = object.itemPerPageTablet;
+    } else {
+      itemsPerPage = object.itemPerPageDesktop;
+    }
+
+    // Calculate the current index based on scroll position and total width
+    const maxScroll = object.grid.scrollWidth - object.grid.clientWidth;
+    const currentPosition = object.grid.scrollLeft;
+    const slideWidth = object.grid.clientWidth;
+    const totalSlides = object.items.length;
+    const totalGroups = Math.ceil(totalSlides / itemsPerPage);
+
+    // Calculate the current group index
+    let currentIndex;
+    if (currentPosition >= maxScroll) {
+      // If we're at the end, select the last group
+      currentIndex = totalGroups - 1;
+    } else {
+      // Otherwise calculate the current group based on scroll position
+      currentIndex = Math.round(currentPosition / slideWidth);
+    }
+    dots.forEach((dot, index) => {
+      if (index === currentIndex) {
+        dot.classList.add('brag-book-gallery-active');
+        dot.setAttribute('aria-selected', 'true');
+      } else {
+        dot.classList.remove('brag-book-gallery-active');
+        dot.setAttribute('aria-selected', 'false');
+      }
+    });
+  };
+  setupIntersectionObserver = () => {
+    this.observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          entry.target.classList.add('is-visible');
+          entry.target.querySelectorAll('img[data-src]').forEach(img => {
+            img.src = img.dataset.src;
+            img.removeAttribute('data-src');
+          });
+        }
+      });
+    }, {
+      root: null,
+      rootMargin: '50px',
+      threshold: 0.1
+    });
+  };
+  handleScroll = object => {
+    if (!object || !object.grid) return;
+    const currentPosition = object.grid.scrollLeft;
+    const totalWidth = object.grid.scrollWidth - object.grid.clientWidth;
+
+    // Update slide states
+    this.updateSlideStates(object);
+    this.trackSlideChange(object);
+
+    // Update navigation buttons (disable at start/end)
+    if (object.nav.length >= 2) {
+      const prevButton = object.nav[0];
+      const nextButton = object.nav[1];
+      const isAtStart = currentPosition <= 0;
+      const isAtEnd = currentPosition >= totalWidth - 1;
+      if (prevButton) {
+        prevButton.disabled = isAtStart;
+        if (isAtStart) {
+          prevButton.setAttribute('disabled', 'disabled');
+        } else {
+          prevButton.removeAttribute('disabled');
+        }
+      }
+      if (nextButton) {
+        nextButton.disabled = isAtEnd;
+        if (isAtEnd) {
+          nextButton.setAttribute('disabled', 'disabled');
+        } else {
+          nextButton.removeAttribute('disabled');
+        }
+      }
+    }
+
+    // Update pagination
+    this.updatePaginationState(object);
+
+    // Update ARIA labels
+    this.updateAriaLabels(object);
+  };
+
+  /**
+   * Report the slide a visitor moves to, once the track comes to rest.
+   *
+   * Waiting for the scroll to settle keeps a jump across several slides to
+   * one event. The first pass only notes where the carousel starts, and
+   * slides autoplay moves to are not reported.
+   */
+  trackSlideChange = object => {
+    clearTimeout(object.slideTrackTimer);
+    object.slideTrackTimer = setTimeout(() => {
+      const index = this.getCurrentSlideIndex(object);
+      const moved = object.trackedSlide !== undefined && index !== object.trackedSlide;
+      const byAutoplay = object.autoplayMoved;
+      object.trackedSlide = index;
+      object.autoplayMoved = false;
+      if (!moved || byAutoplay) return;
+      const slide = object.items[index];
+      (0,_analytics_js__WEBPACK_IMPORTED_MODULE_0__.track)('carousel_slide', {
+        carousel: object.wrapper.dataset.carousel || String(object.index),
+        index,
+        case_id: slide?.dataset.procedureCaseId || slide?.dataset.caseId || ''
+      });
+    }, 300);
+  };
+  updateAriaLabels = object => {
+    const currentIndex = this.getCurrentSlideIndex(object);
+    const totalSlides = object.items.length;
+    object.wrapper.setAttribute('aria-label', `Carousel with ${totalSlides} slides`);
+    Array.from(object.items).forEach((slide, index) => {
+      const isHidden = index !== currentIndex;
+      slide.setAttribute('aria-label', `Slide ${index + 1} of ${totalSlides}`);
+      slide.setAttribute('aria-hidden', isHidden.toString());
+
+      // Manage focusable elements within hidden slides to prevent
+      // aria-hidden elements from containing focusable descendants
+      const focusableElements = slide.querySelectorAll('a, button, input, select, textarea, [tabindex]:not([tabindex="-1"])');
+      focusableElements.forEach(el => {
+        if (isHidden) {
+          el.setAttribute('tabindex', '-1');
+        } else {
+          el.removeAttribute('tabindex');
+        }
+      });
+    });
+  };
+  handleNext = object => {
+    if (!object || !object.grid) {
+      console.log('handleNext: no object or grid');
+      return;
+    }
+    const scroll = object.grid;
+    const maxScrollLeft = scroll.scrollWidth - scroll.offsetWidth;
+
+    // Calculate actual slide width including gap
+    const firstItem = object.items[0];
+    if (!firstItem) return;
+    const itemWidth = firstItem.offsetWidth;
+    const slideWidth = itemWidth + object.columnGap;
+    if (scroll.scrollLeft < maxScrollLeft) {
+      const targetScroll = scroll.scrollLeft + slideWidth;
+      this.smoothScrollTo(scroll, targetScroll);
+    }
+  };
+  handlePrev = object => {
+    if (!object || !object.grid) {
+      console.log('handlePrev: no object or grid');
+      return;
+    }
+    const scroll = object.grid;
+
+    // Calculate actual slide width including gap
+    const firstItem = object.items[0];
+    if (!firstItem) return;
+    const itemWidth = firstItem.offsetWidth;
+    const slideWidth = itemWidth + object.columnGap;
+    if (scroll.scrollLeft > 0) {
+      const targetScroll = scroll.scrollLeft - slideWidth;
+      this.smoothScrollTo(scroll, targetScroll);
+    }
+  };
+
+  /**
+   * Firefox-compatible smooth scrolling that works with scroll-snap
+   */
+  smoothScrollTo = (element, targetScroll) => {
+    // Temporarily disable scroll-snap for Firefox compatibility
+    const originalSnapType = element.style.scrollSnapType;
+    element.style.scrollSnapType = 'none';
+
+    // Try using scrollTo with behavior smooth
+    try {
+      element.scrollTo({
+        left: targetScroll,
+        behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_1__.scrollBehavior)()
+      });
+    } catch (e) {
+      // Fallback for older browsers
+      element.scrollLeft = targetScroll;
+    }
+
+    // Re-enable scroll-snap after scroll completes
+    setTimeout(() => {
+      element.style.scrollSnapType = originalSnapType || 'x mandatory';
+    }, 500);
+  };
+
+  /**
+   * Snap to whichever slide sits closest to the current scroll position.
+   *
+   * Measures each slide's own offsetLeft rather than multiplying an index by
+   * a slide width. The track is a grid with a gap between columns, so
+   * index * width drifts further out of alignment with every slide.
+   */
+  snapToClosestSlide = grid => {
+    const slides = Array.from(grid.children);
+    if (!slides.length) return;
+    const closest = slides.reduce((best, slide) => Math.abs(slide.offsetLeft - grid.scrollLeft) < Math.abs(best.offsetLeft - grid.scrollLeft) ? slide : best);
+    grid.style.scrollBehavior = (0,_motion_js__WEBPACK_IMPORTED_MODULE_1__.scrollBehavior)();
+    grid.scrollTo({
+      left: closest.offsetLeft
+    });
+  };
+  getCurrentSlideIndex = object => {
+    if (!object.items[0]) return 0;
+
+    // offsetLeft per slide, for the same reason as snapToClosestSlide():
+    // the grid gap makes index * width drift.
+    //
+    // object.items is grid.children, an HTMLCollection — index into it
+    // rather than reaching for array methods it does not have.
+    const scrollLeft = object.grid.scrollLeft;
+    let closestIndex = 0;
+    let closestDistance = Infinity;
+    for (let index = 0; index < object.items.length; index++) {
+      const distance = Math.abs(object.items[index].offsetLeft - scrollLeft);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestIndex = index;
+      }
+    }
+    return closestIndex;
+  };
+  init = () => {
+    const carousels = document.querySelectorAll(this.options.wrapper);
+
+    // Motion reduced mid-visit (the system setting, or a site script):
+    // stop what is playing. Allowing it again leaves them paused; play
+    // is the visitor's call.
+    (0,_motion_js__WEBPACK_IMPORTED_MODULE_1__.onMotionChange)(reduced => {
+      if (!reduced) return;
+      Object.values(this.wrappers).forEach(object => {
+        if (object.autoplay) {
+          this.setPaused(object, true);
+        }
+      });
+    });
+    carousels.forEach((wrapper, index) => {
+      this.wrappers[index] = new this.Wrapper(wrapper, index, this.options);
+      const object = this.wrappers[index];
+      if (!object.grid) return;
+
+      // Store bound event handlers
+      object.handleScroll = () => this.handleScroll(object);
+      object.handleResize = () => {
+        if (object.pagination) {
+          this.initializePagination(object);
+        }
+      };
+      object.grid.addEventListener('scroll', object.handleScroll, {
+        passive: true
+      });
+
+      // Mouse drag only; touch scrolls natively.
+      this.setupTrackDrag(object);
+      if (object.pagination) {
+        this.initializePagination(object);
+        // Update pagination on window resize
+        window.addEventListener('resize', object.handleResize);
+      }
+
+      // Setup navigation buttons
+      const prevButton = wrapper.querySelector('[data-direction="prev"]');
+      const nextButton = wrapper.querySelector('[data-direction="next"]');
+      if (prevButton) {
+        prevButton.addEventListener('click', e => {
+          e.preventDefault();
+          this.handlePrev(object);
+        });
+      }
+      if (nextButton) {
+        nextButton.addEventListener('click', e => {
+          e.preventDefault();
+          this.handleNext(object);
+        });
+      }
+
+      // Initial state update
+      this.handleScroll(object);
+
+      // Setup autoplay
+      this.setupAutoplay(object);
+    });
+  };
+  destroy = () => {
+    Object.values(this.wrappers).forEach(object => {
+      if (this.observer) {
+        this.observer.disconnect();
+      }
+      this.stopAutoplay(object);
+      clearTimeout(object.slideTrackTimer);
+      if (object.grid) {
+        object.grid.removeEventListener('scroll', object.handleScroll);
+      }
+      if (object.pagination) {
+        const dots = object.pagination.querySelectorAll('.brag-book-gallery-pagination-dot');
+        dots.forEach(dot => {
+          if (dot.clickHandler) {
+            dot.removeEventListener('click', dot.clickHandler);
+          }
+        });
+      }
+      if (object.handleResize) {
+        window.removeEventListener('resize', object.handleResize);
+      }
+    });
+    this.wrappers = {};
+  };
+}
+/* harmony default export */ __webpack_exports__["default"] = (Carousel);
+
+/***/ }),
+
+/***/ "./src/js/modules/case-cache.js":
+/*!**************************************!*\
+  !*** ./src/js/modules/case-cache.js ***!
+  \**************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   CaseCache: function() { return /* binding */ CaseCache; },
+/* harmony export */   onConnectionChange: function() { return /* binding */ onConnectionChange; },
+/* harmony export */   preloadPolicy: function() { return /* binding */ preloadPolicy; }
+/* harmony export */ });
+/**
+ * Case Preload Cache
+ *
+ * Case detail HTML fetched ahead of a click, kept in least recently used
+ * order within a memory budget. Entries expire after CACHE_TTL, and the
+ * cache is written to sessionStorage so a case preloaded on one gallery page
+ * opens instantly after the visitor moves on to the next one.
+ *
+ * The stored cache carries the sync version the page was rendered with
+ * (bragBookGalleryConfig.syncVersion, see Settings_Helper::get_sync_version()).
+ * A page from after the next sync has a different one and starts empty, so
+ * no case is shown as it was before the sync.
+ *
+ * preloadPolicy() says how much preloading the visitor's connection can take:
+ * none with Save-Data on or on 2G, only cases the visitor hovers on 3G or a
+ * cellular connection, and everything otherwise.
+ */
+
+const STORAGE_KEY = 'brag-book-gallery-case-cache';
+
+// Roughly what the HTML costs in memory (UTF-16); sessionStorage is about
+// 5MB per origin and shared with the rest of the site.
+const CACHE_BUDGET = 2 * 1024 * 1024;
+
+// How long a preloaded case may be shown without asking the server again.
+const CACHE_TTL = 30 * 60 * 1000;
+
+// Writes are batched, since a scroll can preload several cases at once.
+const PERSIST_DELAY = 500;
+const ALL_PRIORITIES = ['high', 'hover', 'normal'];
+class CaseCache {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.version] - Sync version the cached HTML must match
+   * @param {number} [options.budget] - Bytes of HTML to keep
+   * @param {number} [options.ttl] - Milliseconds an entry stays fresh
+   */
+  constructor({
+    version = '',
+    budget = CACHE_BUDGET,
+    ttl = CACHE_TTL
+  } = {}) {
+    this.version = String(version);
+    this.budget = budget;
+    this.ttl = ttl;
+    this.entries = new Map();
+    this.size = 0;
+    this.timer = null;
+    this.restore();
+  }
+
+  /**
+   * Load what an earlier page stored, if it is from the same sync
+   */
+  restore() {
+    let stored = null;
+    try {
+      stored = JSON.parse(window.sessionStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+      return;
+    }
+    if (!stored || stored.version !== this.version || !Array.isArray(stored.entries)) {
+      this.clear();
+      return;
+    }
+    const now = Date.now();
+    stored.entries.forEach(([key, html, expires]) => {
+      if (typeof html === 'string' && expires > now) {
+        this.insert(key, html, expires);
+      }
+    });
+  }
+
+  /**
+   * Whether a fresh entry exists for the key
+   *
+   * @param {string} key
+   * @returns {boolean}
+   */
+  has(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expires <= Date.now()) {
+      this.delete(key);
+      return false;
+    }
+    return Boolean(entry);
+  }
+
+  /**
+   * A fresh entry's HTML, which becomes the most recently used
+   *
+   * @param {string} key
+   * @returns {string|null}
+   */
+  get(key) {
+    if (!this.has(key)) {
+      return null;
+    }
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.schedulePersist();
+    return entry.html;
+  }
+
+  /**
+   * Store a case's HTML, dropping the least recently used to make room
+   *
+   * @param {string} key
+   * @param {string} html
+   */
+  set(key, html) {
+    this.insert(key, html, Date.now() + this.ttl);
+    this.schedulePersist();
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} html
+   * @param {number} expires - Timestamp the entry goes stale at
+   */
+  insert(key, html, expires) {
+    const size = html.length * 2;
+    this.delete(key);
+
+    // One case bigger than the whole budget is not worth keeping
+    if (size > this.budget) {
+      return;
+    }
+    this.entries.set(key, {
+      html,
+      size,
+      expires
+    });
+    this.size += size;
+    this.evict(this.budget);
+  }
+
+  /**
+   * @param {string} key
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.size -= entry.size;
+      this.schedulePersist();
+    }
+  }
+
+  /**
+   * Drop least recently used entries until the rest fit
+   *
+   * @param {number} budget - Bytes to fit in
+   */
+  evict(budget) {
+    for (const key of this.entries.keys()) {
+      if (this.size <= budget) {
+        break;
+      }
+      this.delete(key);
+    }
+  }
+
+  /**
+   * Empty the cache and what is stored of it
+   */
+  clear() {
+    this.entries.clear();
+    this.size = 0;
+    clearTimeout(this.timer);
+    this.timer = null;
+    try {
+      window.sessionStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      // Storage is off; there is nothing to remove
+    }
+  }
+  schedulePersist() {
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.persist();
+      }, PERSIST_DELAY);
+    }
+  }
+
+  /**
+   * Write the cache to sessionStorage, least recently used first
+   *
+   * When the site has left less room than the budget, the oldest half of
+   * what is written goes until it fits. Only the stored copy is trimmed:
+   * the cache still works in memory if nothing fits, or storage is off.
+   */
+  persist() {
+    let entries = Array.from(this.entries, ([key, entry]) => [key, entry.html, entry.expires]);
+    while (entries.length) {
+      try {
+        window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+          version: this.version,
+          entries
+        }));
+        return;
+      } catch (error) {
+        entries = entries.slice(Math.ceil(entries.length / 2));
+      }
+    }
+    try {
+      window.sessionStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      // Storage is off; there is nothing to remove
+    }
+  }
+}
+
+/**
+ * How much case preloading the visitor's connection can take
+ *
+ * @returns {{concurrency: number, priorities: string[]}} Preloads to run at
+ *     once, and the priorities worth running at all
+ */
+function preloadPolicy() {
+  const connection = navigator.connection;
+  if (!connection) {
+    return {
+      concurrency: 3,
+      priorities: ALL_PRIORITIES
+    };
+  }
+  if (connection.saveData || ['slow-2g', '2g'].includes(connection.effectiveType)) {
+    return {
+      concurrency: 0,
+      priorities: []
+    };
+  }
+
+  // A hovered case is one the visitor is about to open
+  if (connection.effectiveType === '3g' || connection.type === 'cellular') {
+    return {
+      concurrency: 1,
+      priorities: ['hover']
+    };
+  }
+  return {
+    concurrency: 3,
+    priorities: ALL_PRIORITIES
+  };
+}
+
+/**
+ * Run a callback when the visitor's connection changes
+ *
+ * @param {function(): void} callback
+ */
+function onConnectionChange(callback) {
+  navigator.connection?.addEventListener?.('change', callback);
+}
+
+/***/ }),
+
+/***/ "./src/js/modules/consent.js":
+/*!***********************************!*\
+  !*** ./src/js/modules/consent.js ***!
+  \***********************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   CATEGORIES: function() { return /* binding */ CATEGORIES; },
+/* harmony export */   CONSENT_EVENT: function() { return /* binding */ CONSENT_EVENT; },
+/* harmony export */   getConsent: function() { return /* binding */ getConsent; },
+/* harmony export */   whenConsented: function() { return /* binding */ whenConsented; }
+/* harmony export */ });
+/**
+ * Visitor Consent Gate
+ *
+ * When the site turns on "Wait for visitor consent", tracking and
+ * third-party features hold back until the visitor agrees to them:
+ *
+ * - statistics: case and procedure view tracking, the analytics event
+ *   adapters and subscribers (events are queued, not lost), and share counts
+ * - marketing: the Facebook, Twitter, Pinterest and WhatsApp share
+ *   channels, and the favorites email capture (favorites stay on the device
+ *   until then)
+ *
+ * Consent is read from whichever signal the site has: an IAB TCF v2 CMP
+ * (__tcfapi), the WP Consent API, or a cookie named in the settings. Sites
+ * with their own banner can also grant it directly:
+ *
+ *     window.bragBookGalleryConsent.grant(['statistics', 'marketing']);
+ *
+ * Every change is announced as a bragbook:consent event on document. With
+ * the setting off, everything counts as consented, as before.
+ *
+ * One gate serves the whole page: the first module to ask creates it on
+ * window, so the separate bundles and chunks all share it. If the page
+ * carries no consent settings at all, the gate requires consent.
+ */
+
+const CONSENT_EVENT = 'bragbook:consent';
+const CATEGORIES = ['statistics', 'marketing'];
+
+// TCF purposes each category needs. 1 is storing or reading information on
+// the device; 8 measuring content performance; 3 and 4 building and using a
+// profile, which is what the social networks do with a share.
+const TCF_PURPOSES = {
+  statistics: [1, 8],
+  marketing: [1, 3, 4]
+};
+
+// Values of a consent cookie matched by name alone that mean the visitor
+// refused; many banners set their cookie then too. Mirrors
+// Settings_Helper::CONSENT_REFUSALS.
+const COOKIE_REFUSALS = ['0', 'false', 'no', 'deny', 'denied', 'decline', 'declined', 'reject', 'rejected', 'refused'];
+
+// How often to look for the consent cookie; CMPs that only set a cookie
+// have no event to listen for.
+const COOKIE_POLL_INTERVAL = 1000;
+class ConsentGate {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.required] Hold tracking back until consent is given
+   * @param {string} [options.cookie] Cookie that signals consent: "name", or "name=value"
+   */
+  constructor(options = {}) {
+    this.required = Boolean(options.required);
+    this.cookie = options.cookie || '';
+    this.granted = new Set();
+    this.waiting = [];
+    if (this.required) {
+      this.watch();
+    }
+  }
+
+  /**
+   * Whether the visitor has consented to a category
+   *
+   * @param {string} category - statistics or marketing
+   * @returns {boolean}
+   */
+  has(category) {
+    return !this.required || this.granted.has(category);
+  }
+
+  /**
+   * Run a callback now if the category is consented to, or once it is
+   *
+   * @param {string} category - statistics or marketing
+   * @param {function(): void} callback - Work that needs the consent
+   */
+  whenGranted(category, callback) {
+    if (this.has(category)) {
+      callback();
+    } else {
+      this.waiting.push({
+        category,
+        callback
+      });
+    }
+  }
+
+  /**
+   * Record consent to categories and run what was waiting for them
+   *
+   * @param {string[]} categories - Categories consented to
+   */
+  grant(categories) {
+    this.update(categories, true);
+  }
+
+  /**
+   * Record that consent to categories was refused or withdrawn
+   *
+   * What is already queued stays queued, in case the visitor changes their
+   * mind again.
+   *
+   * @param {string[]} categories - Categories refused
+   */
+  deny(categories) {
+    this.update(categories, false);
+  }
+
+  /**
+   * @param {string[]} categories - Categories that changed
+   * @param {boolean} granted - Whether they are now consented to
+   */
+  update(categories, granted) {
+    const changed = categories.filter(category => CATEGORIES.includes(category)).filter(category => this.granted.has(category) !== granted);
+    if (!changed.length) {
+      return;
+    }
+    changed.forEach(category => granted ? this.granted.add(category) : this.granted.delete(category));
+    if (granted) {
+      const ready = this.waiting.filter(entry => this.has(entry.category));
+      this.waiting = this.waiting.filter(entry => !this.has(entry.category));
+      ready.forEach(entry => {
+        try {
+          entry.callback();
+        } catch (error) {
+          console.warn('BRAGBook: Deferred tracking failed:', error);
+        }
+      });
+    }
+    document.dispatchEvent(new CustomEvent(CONSENT_EVENT, {
+      detail: {
+        granted: Array.from(this.granted)
+      }
+    }));
+  }
+
+  /**
+   * Listen to every consent signal the page offers
+   */
+  watch() {
+    this.watchTcf();
+    this.watchWpConsentApi();
+    this.watchCookie();
+  }
+
+  /**
+   * Read consent from an IAB TCF v2 CMP
+   */
+  watchTcf() {
+    if (typeof window.__tcfapi !== 'function') {
+      return;
+    }
+    window.__tcfapi('addEventListener', 2, (tcData, success) => {
+      if (!success || !tcData || !['tcloaded', 'useractioncomplete'].includes(tcData.eventStatus)) {
+        return;
+      }
+
+      // Outside the GDPR's reach the CMP has nothing to ask.
+      if (tcData.gdprApplies === false) {
+        this.grant(CATEGORIES);
+        return;
+      }
+      const consents = tcData.purpose?.consents || {};
+      CATEGORIES.forEach(category => {
+        const allowed = TCF_PURPOSES[category].every(purpose => consents[purpose]);
+        this.update([category], allowed);
+      });
+    });
+  }
+
+  /**
+   * Read consent from the WP Consent API, which uses the same category names
+   */
+  watchWpConsentApi() {
+    if (typeof window.wp_has_consent !== 'function') {
+      return;
+    }
+    this.grant(CATEGORIES.filter(category => window.wp_has_consent(category)));
+    document.addEventListener('wp_listen_for_consent_change', e => {
+      Object.entries(e.detail || {}).forEach(([category, value]) => {
+        this.update([category], value === 'allow');
+      });
+    });
+  }
+
+  /**
+   * Grant everything once the configured consent cookie shows up with
+   * the configured value, or, for a bare name, with any value that is not
+   * a refusal
+   */
+  watchCookie() {
+    if (!this.cookie) {
+      return;
+    }
+    const [name, ...rest] = this.cookie.split('=');
+    const value = rest.join('=').trim();
+    const check = () => {
+      const found = document.cookie.split(';').map(pair => pair.trim().split('=')).find(([key]) => key === name.trim());
+      const cookieValue = found ? decodeURIComponent(found.slice(1).join('=')).trim() : '';
+      const accepted = value ? cookieValue === value : cookieValue !== '' && !COOKIE_REFUSALS.includes(cookieValue.toLowerCase());
+      if (found && accepted) {
+        this.grant(CATEGORIES);
+      }
+
+      // Nothing left for the cookie to grant, however it was granted.
+      if (CATEGORIES.every(category => this.granted.has(category))) {
+        clearInterval(this.cookieTimer);
+        return true;
+      }
+      return false;
+    };
+    if (!check()) {
+      this.cookieTimer = setInterval(check, COOKIE_POLL_INTERVAL);
+    }
+  }
+}
+
+/**
+ * The page's consent gate, created on first use
+ *
+ * Settings come from the gallery config, or from the standalone
+ * bragBookGalleryConsentConfig global printed in the head for bundles that
+ * have no config. With neither, consent is required: a page that cannot
+ * tell whether the site asks first must not track as if it does not.
+ *
+ * @returns {ConsentGate}
+ */
+function getConsent() {
+  if (!window.bragBookGalleryConsent) {
+    window.bragBookGalleryConsent = new ConsentGate(window.bragBookGalleryConfig?.consent ?? window.bragBookGalleryConsentConfig ?? {
+      required: true
+    });
+  }
+  return window.bragBookGalleryConsent;
+}
+
+/**
+ * Run a callback now if the visitor has consented to a category, or once
+ * they do
+ *
+ * @param {string} category - statistics or marketing
+ * @param {function(): void} callback - Work that needs the consent
+ */
+function whenConsented(category, callback) {
+  getConsent().whenGranted(category, callback);
+}
+
+/***/ }),
+
+/***/ "./src/js/modules/dialog.js":
+/*!**********************************!*\
+  !*** ./src/js/modules/dialog.js ***!
+  \**********************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/**
+ * Dialog Component
+ * Reusable dialog/modal component using native HTML dialog element
+ * Provides accessibility, keyboard navigation, and backdrop click handling
+ */
+class Dialog {
+  /**
+   * Initialize a new dialog instance
+   * @param {string} dialogId - The ID of the dialog element
+   * @param {Object} options - Configuration options
+   * @param {boolean} options.closeOnBackdrop - Close dialog when clicking backdrop (default: true)
+   * @param {boolean} options.closeOnEscape - Close dialog when pressing ESC (default: true)
+   * @param {Function} options.onOpen - Callback when dialog opens
+   * @param {Function} options.onClose - Callback when dialog closes
+   */
+  constructor(dialogId, options = {}) {
+    // Get dialog element from DOM
+    this.dialog = document.getElementById(dialogId);
+
+    // Find all close buttons within the dialog
+    this.closeButtons = this.dialog?.querySelectorAll('[data-action*="close"]');
+
+    // Merge options with defaults
+    this.options = {
+      closeOnBackdrop: options.closeOnBackdrop !== false,
+      // Default: true
+      closeOnEscape: options.closeOnEscape !== false,
+      // Default: true
+      onOpen: options.onOpen || (() => {}),
+      // Open callback
+      onClose: options.onClose || (() => {}),
+      // Close callback
+      ...options
+    };
+
+    // Initialize only if dialog element exists
+    if (this.dialog) {
+      this.init();
+    }
+  }
+
+  /**
+   * Initialize the dialog - sets up all event listeners
+   */
+  init() {
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up all event listeners for dialog interaction
+   */
+  setupEventListeners() {
+    // Handle close button clicks
+    this.closeButtons?.forEach(button => {
+      button.addEventListener('click', e => {
+        // Prevent default behavior and event bubbling
+        e.preventDefault();
+        e.stopPropagation();
+        this.close();
+      });
+    });
+
+    // Handle backdrop clicks (light dismiss)
+    if (this.options.closeOnBackdrop && this.dialog) {
+      // Native dialog elements pass backdrop clicks to the dialog element
+      // Only close if clicking the dialog itself, not its children
+      this.dialog.addEventListener('click', e => {
+        if (e.target === this.dialog) {
+          this.close();
+        }
+      });
+    }
+
+    // Handle ESC key press using native dialog 'cancel' event
+    if (this.options.closeOnEscape && this.dialog) {
+      this.dialog.addEventListener('cancel', e => {
+        // Prevent default ESC behavior and handle it ourselves
+        e.preventDefault();
+        this.close();
+      });
+    }
+  }
+
+  /**
+   * Open the dialog modal
+   */
+  open() {
+    // Exit early if dialog doesn't exist
+    if (!this.dialog) return;
+    try {
+      // Use native showModal() for proper modal behavior
+      // This handles backdrop, focus trapping, and accessibility
+      this.dialog.showModal();
+
+      // Prevent background scrolling during modal display
+      document.body.style.overflow = 'hidden';
+
+      // Execute open callback
+      this.options.onOpen();
+    } catch (error) {
+      // Fallback for older browsers without native dialog support
+      console.error('Error opening dialog:', error);
+      this.dialog.setAttribute('open', '');
+      this.dialog.style.display = 'block';
+      document.body.style.overflow = 'hidden';
+      this.options.onOpen();
+    }
+  }
+
+  /**
+   * Close the dialog modal
+   */
+  close() {
+    // Exit early if dialog doesn't exist
+    if (!this.dialog) return;
+    try {
+      // Use native close() method for proper cleanup
+      // This handles focus restoration and accessibility
+      this.dialog.close();
+
+      // Restore background scrolling
+      document.body.style.overflow = '';
+
+      // Clear any forced display styles
+      this.dialog.style.display = '';
+
+      // Execute close callback
+      this.options.onClose();
+    } catch (error) {
+      // Fallback for older browsers without native dialog support
+      console.error('Error closing dialog:', error);
+      this.dialog.removeAttribute('open');
+      this.dialog.style.display = 'none';
+      document.body.style.overflow = '';
+      this.options.onClose();
+    }
+  }
+
+  /**
+   * Check if the dialog is currently open
+   * @returns {boolean} True if dialog is open
+   */
+  isOpen() {
+    // Check both native 'open' property and fallback attribute
+    return this.dialog?.open || this.dialog?.hasAttribute('open');
+  }
+}
+/* harmony default export */ __webpack_exports__["default"] = (Dialog);
+
+/***/ }),
+
+/***/ "./src/js/modules/filter-disclosures.js":
+/*!**********************************************!*\
+  !*** ./src/js/modules/filter-disclosures.js ***!
+  \**********************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   initFilterDisclosures: function() { return /* binding */ initFilterDisclosures; }
+/* harmony export */ });
+/**
+ * Filter Panel Disclosures
+ *
+ * The demographic filter panel and each filter in it are native <details>
+ * disclosures, so Enter and Space already open and close them and screen
+ * readers already hear whether they are expanded. This adds the keys the
+ * WAI-ARIA disclosure and accordion patterns expect on top:
+ *
+ * - Down / Up     next or previous filter heading
+ * - Home / End    first or last filter heading
+ * - Escape        close the innermost open filter, then the panel, and put
+ *                 focus back on its heading
+ *
+ * The panel is rebuilt whenever the cases on the page change, so the keys
+ * are handled for the whole document rather than bound to each heading.
+ */
+
+const PANEL_SELECTOR = '.brag-book-gallery-filter-dropdown';
+const HEADING_SELECTOR = 'summary.brag-book-gallery-filter-label';
+let initialized = false;
+
+/**
+ * @param {KeyboardEvent} e
+ */
+function handleKeydown(e) {
+  if (e.altKey || e.ctrlKey || e.metaKey || !(e.target instanceof Element)) {
+    return;
+  }
+  const panel = e.target.closest(PANEL_SELECTOR);
+  if (!panel) {
+    return;
+  }
+  if (e.key === 'Escape') {
+    const open = e.target.closest('details[open]');
+    if (open && panel.contains(open)) {
+      e.preventDefault();
+      open.open = false;
+      open.querySelector(':scope > summary')?.focus();
+    }
+    return;
+  }
+  if (!e.target.matches(HEADING_SELECTOR)) {
+    return;
+  }
+  const headings = Array.from(panel.querySelectorAll(HEADING_SELECTOR));
+  const index = headings.indexOf(e.target);
+  const targets = {
+    ArrowDown: headings[index + 1],
+    ArrowUp: headings[index - 1],
+    Home: headings[0],
+    End: headings[headings.length - 1]
+  };
+  if (e.key in targets) {
+    e.preventDefault();
+    targets[e.key]?.focus();
+  }
+}
+
+/**
+ * Handle the filter panel's keys, once for the page
+ */
+function initFilterDisclosures() {
+  if (initialized) {
+    return;
+  }
+  initialized = true;
+  document.addEventListener('keydown', handleKeydown);
+}
+
+/***/ }),
+
+/***/ "./src/js/modules/filter-state.js":
+/*!****************************************!*\
+  !*** ./src/js/modules/filter-state.js ***!
+  \****************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   DEMOGRAPHIC_FILTER_KEYS: function() { return /* binding */ DEMOGRAPHIC_FILTER_KEYS; },
+/* harmony export */   FILTERS_PENDING_CLASS: function() { return /* binding */ FILTERS_PENDING_CLASS; },
+/* harmony export */   FILTER_INPUT_SELECTOR: function() { return /* binding */ FILTER_INPUT_SELECTOR; },
+/* harmony export */   clearFiltersPending: function() { return /* binding */ clearFiltersPending; },
+/* harmony export */   getActiveFilterInputs: function() { return /* binding */ getActiveFilterInputs; },
+/* harmony export */   groupFilterSelection: function() { return /* binding */ groupFilterSelection; },
+/* harmony export */   hasFiltersInUrl: function() { return /* binding */ hasFiltersInUrl; },
+/* harmony export */   isFilterQueryKey: function() { return /* binding */ isFilterQueryKey; },
+/* harmony export */   readFiltersFromUrl: function() { return /* binding */ readFiltersFromUrl; },
+/* harmony export */   restoreFiltersFromUrl: function() { return /* binding */ restoreFiltersFromUrl; },
+/* harmony export */   writeFiltersToUrl: function() { return /* binding */ writeFiltersToUrl; }
+/* harmony export */ });
+/* harmony import */ var _analytics_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./analytics.js */ "./src/js/modules/analytics.js");
+/**
+ * Demographic Filter URL State
+ *
+ * The query string is the source of truth for which demographic filters are
+ * active, so a reload, a shared link or an ad landing URL such as
+ * /gallery/rhinoplasty/?gender=female&age=25-34 opens with the filters on.
+ *
+ * Each checked filter checkbox is written under its data-filter-type (age,
+ * gender, ethnicity, height, weight, or procedure_detail_*), with multiple
+ * values comma-separated. Whenever the filter options are (re)generated, the
+ * boxes named in the query string are checked again, which is also what keeps
+ * a selection alive across Load More and AJAX content swaps.
+ *
+ * Age, height and weight are ranges rather than checkboxes (see
+ * range-filter.js); their selection is a hidden input holding "min-max",
+ * written and restored the same way as a single checked value.
+ *
+ * Because every change to the selection passes through writeFiltersToUrl(),
+ * that is also where the filter_change analytics event is reported.
+ */
+
+
+const DEMOGRAPHIC_FILTER_KEYS = ['age', 'gender', 'ethnicity', 'height', 'weight'];
+const PROCEDURE_DETAIL_PREFIX = 'procedure_detail_';
+
+/**
+ * Class on <html> while filters named in the URL are waiting to be applied,
+ * so the unfiltered grid never flashes before the filtered one.
+ */
+const FILTERS_PENDING_CLASS = 'brag-book-gallery-filters-pending';
+
+/**
+ * Every input that can carry a filter selection: the option checkboxes and
+ * the hidden value of each range filter.
+ */
+const FILTER_INPUT_SELECTOR = '.brag-book-gallery-filter-option input[type="checkbox"], .brag-book-gallery-filter-range input[type="hidden"][data-filter-type]';
+
+/**
+ * Whether a query-string key belongs to the demographic filters.
+ *
+ * @param {string} key - Query parameter name
+ * @returns {boolean}
+ */
+function isFilterQueryKey(key) {
+  return DEMOGRAPHIC_FILTER_KEYS.includes(key) || key.startsWith(PROCEDURE_DETAIL_PREFIX);
+}
+
+/**
+ * Read the filter selection from the query string.
+ *
+ * Values are lower-cased: links are typed by hand ("Female") while checkbox
+ * values come from card data, and the two are compared case-insensitively.
+ *
+ * @returns {Map<string, Set<string>>} Filter type to selected values
+ */
+function readFiltersFromUrl() {
+  const selection = new Map();
+  new URLSearchParams(window.location.search).forEach((value, key) => {
+    if (!isFilterQueryKey(key)) {
+      return;
+    }
+    value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean).forEach(item => {
+      if (!selection.has(key)) {
+        selection.set(key, new Set());
+      }
+      selection.get(key).add(item);
+    });
+  });
+  return selection;
+}
+
+/**
+ * Whether the query string names any demographic filter.
+ *
+ * @returns {boolean}
+ */
+function hasFiltersInUrl() {
+  return readFiltersFromUrl().size > 0;
+}
+
+/**
+ * The filter inputs currently selecting something: checked boxes and ranges
+ * narrowed from the full extent.
+ *
+ * @param {ParentNode} [root=document] - Where to look
+ * @returns {HTMLInputElement[]}
+ */
+function getActiveFilterInputs(root = document) {
+  return Array.from(root.querySelectorAll(FILTER_INPUT_SELECTOR)).filter(input => input.type === 'checkbox' ? input.checked : input.value !== '');
+}
+
+/**
+ * Group checked filter checkboxes by filter type.
+ *
+ * The same shape is written to the query string and posted to the server, so
+ * a selection means the same thing in both places.
+ *
+ * @param {Iterable<HTMLInputElement>} checkboxes - The checked filter checkboxes and active ranges
+ * @returns {Object<string, string[]>} Filter type to selected values
+ */
+function groupFilterSelection(checkboxes) {
+  const grouped = {};
+  Array.from(checkboxes).forEach(checkbox => {
+    const type = checkbox.dataset.filterType;
+    if (!type || !isFilterQueryKey(type)) {
+      return;
+    }
+    (grouped[type] = grouped[type] || []).push(checkbox.value);
+  });
+  return grouped;
+}
+
+/**
+ * Write the checked filter checkboxes to the query string.
+ *
+ * Replaces rather than pushes, so ticking boxes does not pile up back steps,
+ * and keeps history.state so the gallery router's route survives. Other query
+ * parameters are left alone. A write that changes the URL is a filter change
+ * and is reported as one; re-applying the filters already in it is not.
+ *
+ * @param {Iterable<HTMLInputElement>} checkboxes - The checked filter checkboxes and active ranges
+ */
+function writeFiltersToUrl(checkboxes) {
+  if (!window.history || !window.history.replaceState) {
+    return;
+  }
+  const params = new URLSearchParams(window.location.search);
+  Array.from(params.keys()).filter(isFilterQueryKey).forEach(key => params.delete(key));
+  const filters = groupFilterSelection(checkboxes);
+  Object.entries(filters).forEach(([type, values]) => {
+    params.set(type, values.join(','));
+  });
+  const query = params.toString();
+  const url = window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+  if (url !== window.location.pathname + window.location.search + window.location.hash) {
+    window.history.replaceState(window.history.state, '', url);
+    (0,_analytics_js__WEBPACK_IMPORTED_MODULE_0__.track)('filter_change', {
+      filters
+    });
+  }
+}
+
+/**
+ * Check the boxes in a filter container that the query string selects, and
+ * set the range filters it names.
+ *
+ * Values the current options do not offer are ignored; the next write then
+ * drops them, so the URL only ever names filters that are applied. Range
+ * handles still need moving afterwards with syncRangeFilters().
+ *
+ * @param {ParentNode} container - Element holding the filter inputs
+ * @returns {number} How many filters are selected from the URL
+ */
+function restoreFiltersFromUrl(container) {
+  const selection = readFiltersFromUrl();
+  if (!container || selection.size === 0) {
+    return 0;
+  }
+  let restored = 0;
+  container.querySelectorAll('input[type="checkbox"][data-filter-type]').forEach(checkbox => {
+    const values = selection.get(checkbox.dataset.filterType);
+    if (values && values.has(String(checkbox.value).toLowerCase())) {
+      checkbox.checked = true;
+      restored++;
+    }
+  });
+  container.querySelectorAll('input[type="hidden"][data-filter-type]').forEach(input => {
+    const values = selection.get(input.dataset.filterType);
+    const range = values && Array.from(values).find(value => /^\d+-\d+$/.test(value));
+    if (range) {
+      input.value = range;
+      restored++;
+    }
+  });
+  return restored;
+}
+
+/**
+ * Reveal the grid once URL filters have been applied (or turned out to have
+ * nothing to apply to).
+ */
+function clearFiltersPending() {
+  document.documentElement.classList.remove(FILTERS_PENDING_CLASS);
+}
+
+/***/ }),
+
+/***/ "./src/js/modules/filtered-cases.js":
+/*!******************************************!*\
+  !*** ./src/js/modules/filtered-cases.js ***!
+  \******************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   buildContextRequest: function() { return /* binding */ buildContextRequest; },
+/* harmony export */   facetsToFilterData: function() { return /* binding */ facetsToFilterData; },
+/* harmony export */   fetchFacets: function() { return /* binding */ fetchFacets; },
+/* harmony export */   fetchFilteredCases: function() { return /* binding */ fetchFilteredCases; },
+/* harmony export */   getContextButton: function() { return /* binding */ getContextButton; },
+/* harmony export */   getFacetCounts: function() { return /* binding */ getFacetCounts; },
+/* harmony export */   isServerFiltered: function() { return /* binding */ isServerFiltered; }
+/* harmony export */ });
+/* harmony import */ var _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./ajax-client.js */ "./src/js/modules/ajax-client.js");
+/* harmony import */ var _gallery_data_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./gallery-data.js */ "./src/js/modules/gallery-data.js");
+/**
+ * Server-Side Demographic Filtering
+ *
+ * A paginated grid only holds the pages loaded so far, so filtering the cards
+ * in the page misses matches further down and counts only what is loaded. When
+ * the grid has a Load More button (which carries the view context: procedure,
+ * provider, location, shuffle seed) the filter panel instead asks the Load More
+ * endpoint for page 1 of the filtered list and for the option counts of the
+ * whole view. The selection is stamped on the button as data-filters, so later
+ * pages stay filtered.
+ *
+ * A grid without a button already holds every case in its view, and keeps
+ * being filtered in place.
+ */
+
+
+
+const LOAD_MORE_SELECTOR = '.brag-book-gallery-button--load-more';
+
+// Facet requests per view context. The panel is regenerated after every Load
+// More and content swap; the options for a view don't change in between.
+const facetCache = new Map();
+
+// Facets received, per view context and selection, for the option counts.
+const resolvedFacets = new Map();
+
+/**
+ * Key identifying the view a button describes, ignoring page and selection.
+ *
+ * @param {HTMLElement} button - The Load More button
+ * @returns {string}
+ */
+function contextKey(button) {
+  return ['data-term-id', 'data-procedure-name', 'data-provider-id', 'data-provider-slug', 'data-lat', 'data-lng'].map(name => button.getAttribute(name) || '').join('|');
+}
+
+/**
+ * The Load More button carrying the current view context, if the grid is paged.
+ *
+ * @returns {HTMLButtonElement|null}
+ */
+function getContextButton() {
+  return document.querySelector(LOAD_MORE_SELECTOR);
+}
+
+/**
+ * Build the Load More request for the view a button describes.
+ *
+ * Shared by the pager and the filter panel so both scope identically.
+ *
+ * @param {HTMLElement} button - The Load More button
+ * @param {string|number} startPage - Page to request
+ * @returns {Object<string, string>} Query parameters for the gallery data cases route
+ */
+function buildContextRequest(button, startPage) {
+  // Get current procedure context from active nav link (fallback when the
+  // button has no explicit term id, e.g. legacy server renders).
+  const activeLink = document.querySelector('.brag-book-gallery-nav-link.brag-book-gallery-active');
+  const currentTermId = activeLink?.dataset.termId || '';
+  return {
+    start_page: String(startPage),
+    procedure_name: button.getAttribute('data-procedure-name') || '',
+    term_id: button.getAttribute('data-term-id') || currentTermId,
+    provider_id: button.getAttribute('data-provider-id') || '',
+    provider_slug: button.getAttribute('data-provider-slug') || '',
+    lat: button.getAttribute('data-lat') || '',
+    lng: button.getAttribute('data-lng') || '',
+    // Seeded shuffle for a randomised grid: the same seed keeps later pages in
+    // the order the first page was drawn from.
+    random_seed: button.getAttribute('data-random-seed') || '',
+    filters: button.getAttribute('data-filters') || ''
+  };
+}
+
+/**
+ * Request a page or the facets of a view, and unwrap the response.
+ *
+ * @param {Object<string, string>} params - Request built by buildContextRequest()
+ * @param {string} [key] - Request key; a newer request under it aborts this one
+ * @returns {Promise<Object|null>} Response data, or null on failure
+ * @throws {RequestError} When superseded
+ */
+function requestContext(params, key = '') {
+  return (0,_gallery_data_js__WEBPACK_IMPORTED_MODULE_1__.getGalleryData)('/cases', params, {
+    key
+  }).then(result => result.success ? result.data : null).catch(error => {
+    if ((0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.isSuperseded)(error)) {
+      throw error;
+    }
+    console.error('BRAGBook: Filter request failed:', error);
+    return null;
+  });
+}
+
+/**
+ * The same selection with its filter types and values in order, so one
+ * selection always makes one request URL however it was clicked together.
+ *
+ * @param {Object<string, string[]>} selection - Filter type to selected values
+ * @returns {Object<string, string[]>}
+ */
+function sortSelection(selection) {
+  return Object.fromEntries(Object.keys(selection).sort().map(type => [type, [...selection[type]].sort()]));
+}
+
+/**
+ * Fetch the filter options, with counts, for the whole view.
+ *
+ * @param {HTMLElement} button - The Load More button
+ * @returns {Promise<Object|null>} Facets as returned by the server, or null
+ */
+function fetchFacets(button) {
+  const key = contextKey(button);
+  if (!facetCache.has(key)) {
+    const params = {
+      ...buildContextRequest(button, 1),
+      filters: '',
+      facets_only: '1'
+    };
+    facetCache.set(key, requestContext(params).then(data => {
+      if (!data?.facets) {
+        // Let the next regeneration try again
+        facetCache.delete(key);
+        return null;
+      }
+      resolvedFacets.set(key + '#', data.facets);
+      return data.facets;
+    }));
+  }
+  return facetCache.get(key);
+}
+
+/**
+ * Replace the grid with page 1 of the view narrowed to a selection.
+ *
+ * Resolves null when a newer request has superseded this one or the request
+ * failed, in which case the grid is left as it was.
+ *
+ * @param {HTMLElement} button - The Load More button
+ * @param {Object<string, string[]>} selection - Filter type to selected values; empty clears
+ * @returns {Promise<Object|null>} Response data ({ totalCases, hasMore, facets, ... })
+ */
+function fetchFilteredCases(button, selection) {
+  const filters = Object.keys(selection).length > 0 ? JSON.stringify(sortSelection(selection)) : '';
+  const previous = button.getAttribute('data-filters') || '';
+  button.setAttribute('data-filters', filters);
+  const params = {
+    ...buildContextRequest(button, 1),
+    facets: '1'
+  };
+  const grid = document.querySelector('.brag-book-gallery-case-grid') || document.querySelector('.brag-book-gallery-cases-grid');
+  grid?.setAttribute('aria-busy', 'true');
+
+  // Only the newest selection may touch the grid; a slower earlier request
+  // is aborted rather than left to overwrite it.
+  return requestContext(params, _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.GRID_REQUEST).then(data => {
+    grid?.removeAttribute('aria-busy');
+    if (!data || !grid) {
+      // The grid still shows the previous selection
+      button.setAttribute('data-filters', previous);
+      return null;
+    }
+    grid.innerHTML = data.html || '';
+    if (data.facets) {
+      resolvedFacets.set(contextKey(button) + '#' + filters, data.facets);
+    }
+
+    // The next Load More continues this list from page 2
+    button.setAttribute('data-start-page', '2');
+    button.disabled = false;
+    button.style.display = data.hasMore ? '' : 'none';
+    window.bragBookGalleryRouter?.setDepth(1);
+    return data;
+  }, () => null);
+}
+
+/**
+ * Whether the grid currently shows a server-filtered list.
+ *
+ * @param {HTMLElement|null} button - The Load More button
+ * @returns {boolean}
+ */
+function isServerFiltered(button) {
+  return Boolean(button && button.getAttribute('data-filters'));
+}
+
+/**
+ * Option counts for the grid as it is currently filtered.
+ *
+ * Each count is what the option would return given the selections in the
+ * other filter types, as the server computed them.
+ *
+ * @param {HTMLElement} button - The Load More button
+ * @returns {Map<string, Map<string, number>>|null} Filter type to lower-cased value to count, or null if not yet known
+ */
+function getFacetCounts(button) {
+  const facets = resolvedFacets.get(contextKey(button) + '#' + (button.getAttribute('data-filters') || ''));
+  if (!facets) {
+    return null;
+  }
+  const counts = new Map();
+  const add = (type, options) => {
+    counts.set(type, new Map((options || []).map(option => [String(option.value).toLowerCase(), option.count])));
+  };
+  ['gender', 'ethnicity'].forEach(type => add(type, facets[type]));
+  (facets.details || []).forEach(detail => add(detail.type, detail.options));
+  return counts;
+}
+
+/**
+ * Convert server facets into the shape generateFilterHTML() renders.
+ *
+ * @param {Object} facets - Facets as returned by the server
+ * @returns {Object} filterData ({ gender, ethnicity: Set; age, height, weight: {min, max}|null; procedureDetails: Map })
+ */
+function facetsToFilterData(facets) {
+  const values = options => new Set((options || []).map(option => option.value));
+  const ranges = facets.ranges || {};
+  const filterData = {
+    age: ranges.age || null,
+    gender: values(facets.gender),
+    ethnicity: values(facets.ethnicity),
+    height: ranges.height || null,
+    weight: ranges.weight || null,
+    procedureDetails: new Map()
+  };
+  (facets.details || []).forEach(detail => {
+    filterData.procedureDetails.set(detail.label, new Set((detail.options || []).map(option => option.label)));
+  });
+  return filterData;
+}
+
+/***/ }),
+
+/***/ "./src/js/modules/form-guard.js":
+/*!**************************************!*\
+  !*** ./src/js/modules/form-guard.js ***!
+  \**************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony import */ var _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./ajax-client.js */ "./src/js/modules/ajax-client.js");
+/**
+ * Form Guard
+ *
+ * Browser half of Form_Guard: fetches the signed form token the consultation
+ * and favorites requests must carry, holds a submission back until the
+ * token's minimum age has passed, and answers the challenge when the site has
+ * one switched on.
+ *
+ * The token lives in sessionStorage, so a visitor fetches one per browser
+ * session and the minimum wait has usually long passed by the time they send
+ * anything. The honeypot field is plain markup and needs nothing from here.
+ *
+ * Challenge solvers are looked up by provider ID: proof-of-work is built in,
+ * and a site using another provider registers its solver as
+ * window.bragBookGalleryChallengeProviders[id] = async (challenge, token) => answer.
+ */
+
+
+const STORAGE_KEY = 'brag-book-form-guard';
+
+// Renew a token this long before it expires, in milliseconds.
+const RENEW_MARGIN = 5 * 60 * 1000;
+
+/**
+ * Count the zero bits at the start of a hash
+ *
+ * @param {Uint8Array} bytes Hash bytes
+ * @returns {number}
+ */
+const leadingZeroBits = bytes => {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+};
+
+/**
+ * Find a counter whose SHA-256 with the token has enough leading zero bits
+ *
+ * Mirrors Proof_Of_Work::verify().
+ *
+ * @param {Object} challenge Challenge config from the server
+ * @param {string} token Form token
+ * @returns {Promise<string>} Answer
+ */
+const solveProofOfWork = async (challenge, token) => {
+  const encoder = new TextEncoder();
+  for (let counter = 0;; counter++) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${token}:${counter}`));
+    if (leadingZeroBits(new Uint8Array(digest)) >= challenge.difficulty) {
+      return String(counter);
+    }
+  }
+};
+const SOLVERS = {
+  'proof-of-work': solveProofOfWork
+};
+class FormGuard {
+  constructor() {
+    this.record = this.load();
+    this.pending = null;
+  }
+
+  /**
+   * Fetch a token ahead of time so the minimum wait starts early
+   */
+  prime() {
+    this.getRecord().catch(error => {
+      console.warn('BRAGBook: Could not fetch form token:', error);
+    });
+  }
+
+  /**
+   * Add the token and challenge answer to a request
+   *
+   * Waits out whatever is left of the token's minimum age first.
+   *
+   * @param {FormData} formData Request body
+   * @returns {Promise<FormData>}
+   */
+  async append(formData) {
+    const record = await this.getRecord();
+    const wait = record.receivedAt + record.minSeconds * 1000 - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    formData.set('form_token', record.token);
+    if (record.challenge) {
+      if (!record.answer) {
+        record.answer = await this.solve(record);
+        this.save(record);
+      }
+      formData.set('form_challenge', record.answer);
+    }
+    return formData;
+  }
+
+  /**
+   * React to a rejected request
+   *
+   * A token the server no longer accepts is dropped so the next request
+   * fetches a fresh one.
+   *
+   * @param {Object} data Error data from the response
+   */
+  handleError(data) {
+    if (data?.code === 'form_token' || data?.code === 'form_challenge') {
+      this.record = null;
+      this.save(null);
+    }
+  }
+
+  /**
+   * The current token, fetching or renewing it as needed
+   *
+   * @returns {Promise<Object>}
+   */
+  getRecord() {
+    if (this.record && this.record.expiresAt - RENEW_MARGIN > Date.now()) {
+      return Promise.resolve(this.record);
+    }
+    if (!this.pending) {
+      this.pending = this.fetchToken(this.record?.token || '').then(record => {
+        this.record = record;
+        this.save(record);
+        return record;
+      }).finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Ask the server for a token
+   *
+   * @param {string} previous Expiring token whose session to keep
+   * @returns {Promise<Object>}
+   */
+  async fetchToken(previous) {
+    const config = window.bragBookGalleryConfig || {};
+    const body = new FormData();
+    body.append('action', 'brag_book_gallery_form_token');
+    body.append('previous', previous);
+    const {
+      response,
+      result
+    } = await (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.request)(config.ajaxUrl || '/wp-admin/admin-ajax.php', {
+      method: 'POST',
+      body
+    });
+    if (!result?.success) {
+      throw new Error(result.data?.message || `HTTP error! status: ${response.status}`);
+    }
+
+    // Timings use this browser's clock, so skew against the server's
+    // cannot make the wait too short.
+    const receivedAt = Date.now();
+    return {
+      token: result.data.token,
+      receivedAt,
+      expiresAt: receivedAt + result.data.lifetime * 1000,
+      minSeconds: result.data.min_seconds,
+      challenge: result.data.challenge,
+      answer: ''
+    };
+  }
+
+  /**
+   * Answer the token's challenge with the matching solver
+   *
+   * @param {Object} record Token record
+   * @returns {Promise<string>}
+   */
+  async solve(record) {
+    const {
+      provider
+    } = record.challenge;
+    const solver = window.bragBookGalleryChallengeProviders?.[provider] || SOLVERS[provider];
+    if (!solver) {
+      console.error(`BRAGBook: No solver registered for challenge provider "${provider}"`);
+      return '';
+    }
+    return String(await solver(record.challenge, record.token));
+  }
+
+  /**
+   * @returns {Object|null} Token record saved earlier in this session
+   */
+  load() {
+    try {
+      return JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @param {Object|null} record Token record to keep for this session
+   */
+  save(record) {
+    try {
+      if (record) {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+      } else {
+        sessionStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (error) {
+      // Storage full or blocked: the in-memory copy still works for this page.
+    }
+  }
+}
+/* harmony default export */ __webpack_exports__["default"] = (FormGuard);
+
+/***/ }),
+
+/***/ "./src/js/modules/gallery-data.js":
+/*!****************************************!*\
+  !*** ./src/js/modules/gallery-data.js ***!
+  \****************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   galleryDataUrl: function() { return /* binding */ galleryDataUrl; },
+/* harmony export */   getGalleryData: function() { return /* binding */ getGalleryData; }
+/* harmony export */ });
+/* harmony import */ var _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./ajax-client.js */ "./src/js/modules/ajax-client.js");
+/**
+ * Gallery Data
+ *
+ * Read-only gallery requests (Load More pages, filter options, case details
+ * and adjacent cases) go to the gallery data REST routes as GETs, see
+ * includes/rest/class-gallery-data.php. Unlike admin-ajax POSTs these can be
+ * kept by the browser, a page cache or a CDN, so one request must always make
+ * one URL: parameters are sorted, empty ones left out, and no nonce or cookie
+ * is sent. The sync version rides along as `v`, so after a sync every URL is
+ * one nothing has cached yet.
+ *
+ * Responses come back in the `{success, data}` shape of admin-ajax, which is
+ * what the callers already read.
+ */
+
+
+
+/**
+ * The URL for a gallery data request
+ *
+ * @param {string} path - Route below the gallery data base, e.g. '/cases'
+ * @param {Object<string, string|number|boolean>} [params] - Query parameters
+ * @returns {string}
+ */
+function galleryDataUrl(path, params = {}) {
+  const config = window.bragBookGalleryConfig || {};
+  // With plain permalinks the route is itself a query parameter, which the
+  // path extends
+  const url = new URL(`${config.galleryDataUrl || '/wp-json/brag-book-gallery/v1/gallery'}${path}`, window.location.href);
+  const query = {
+    ...params,
+    v: config.syncVersion
+  };
+  Object.keys(query).sort().forEach(name => {
+    const value = query[name];
+    if (value === '' || value === null || value === undefined || value === false) {
+      return;
+    }
+    url.searchParams.append(name, value === true ? '1' : String(value));
+  });
+  return url.toString();
+}
+
+/**
+ * GET gallery data
+ *
+ * Failed GETs are retried with backoff, see ajax-client.js.
+ *
+ * @param {string} path - Route below the gallery data base
+ * @param {Object<string, string|number|boolean>} [params] - Query parameters
+ * @param {Object} [options]
+ * @param {string} [options.key] - Request key; a newer request under it aborts this one
+ * @returns {Promise<{success: boolean, data: Object}>}
+ * @throws {RequestError} When no usable answer came back
+ */
+async function getGalleryData(path, params = {}, {
+  key = ''
+} = {}) {
+  // Without cookies the response is the same for every visitor, and caches
+  // that pass logged-in traffic through still keep it
+  const {
+    response,
+    result
+  } = await (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.request)(galleryDataUrl(path, params), {
+    credentials: 'omit',
+    key
+  });
+  if (!response.ok || !result) {
+    return {
+      success: false,
+      data: {
+        message: result?.message || `HTTP error! status: ${response.status}`
+      }
+    };
+  }
+  return {
+    success: true,
+    data: result
+  };
+}
+
+/***/ }),
+
+/***/ "./src/js/modules/gallery-router.js":
+/*!******************************************!*\
+  !*** ./src/js/modules/gallery-router.js ***!
+  \******************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony import */ var _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./ajax-client.js */ "./src/js/modules/ajax-client.js");
+/* harmony import */ var _filter_state_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./filter-state.js */ "./src/js/modules/filter-state.js");
+/* harmony import */ var _range_filter_js__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./range-filter.js */ "./src/js/modules/range-filter.js");
+/* harmony import */ var _virtual_grid_js__WEBPACK_IMPORTED_MODULE_3__ = __webpack_require__(/*! ./virtual-grid.js */ "./src/js/modules/virtual-grid.js");
+/**
+ * Gallery Router
+ *
+ * Owns browser history for every view the gallery swaps in place: the case
+ * grid, a case loaded over AJAX, the favorites view, and the provider and
+ * location results. Each history entry it writes carries a route (which view,
+ * plus what is needed to rebuild it), and on back/forward the router puts the
+ * grid back the way the visitor left it — scroll position, demographic filter
+ * badges and how many Load More pages deep they were.
+ *
+ * Two kinds of return are handled:
+ *
+ * - Back/forward within the page (popstate). The content area is restored from
+ *   an in-memory snapshot taken when the visitor left that entry.
+ * - Back to the gallery after a full page load, e.g. from a server-rendered
+ *   case page the browser did not keep in its page cache. No snapshot survives
+ *   that, so the route saved on pagehide is replayed: Load More pages are
+ *   fetched again, filters re-checked, then the scroll position is applied.
+ *
+ * How many pages deep the grid is also goes in the URL as ?page=N, so a link
+ * to an infinite-scrolled grid opens as deep as it was shared. A page load
+ * with ?page=N and no saved route replays that many pages and lands on the
+ * first case of the last one.
+ *
+ * Widgets in other bundles (provider filter, location search) cannot import
+ * this module, so they reach it through window.bragBookGalleryRouter and listen
+ * for the `bragbook:routechange` event to bring their own controls in line.
+ */
+
 
-    // Images and links are natively draggable; without this a drag turns
-    // into a ghost-image drag instead of scrolling the track.
-    const onDragStart = e => e.preventDefault();
-    object.grid.addEventListener('pointerdown', onPointerDown);
-    object.grid.addEventListener('pointermove', onPointerMove);
-    object.grid.addEventListener('pointerup', onPointerUp);
-    object.grid.addEventListener('pointercancel', onPointerUp);
-    object.grid.addEventListener('click', onClickCapture, true);
-    object.grid.addEventListener('dragstart', onDragStart);
-  };
-  initializePagination = object => {
-    if (!object.pagination || !object.items.length) return;
 
-    // Clear existing pagination dots
-    object.pagination.innerHTML = '';
 
-    // Calculate number of pages based on items per page and total items
-    let itemsPerPage;
-    const width = window.innerWidth;
-    if (width < 768) {
-      itemsPerPage = object.itemPerPageMobile;
-    } else if (width < 992) {
-      itemsPerPage = object.itemPerPageTablet;
+
+
+/**
+ * Key the route is stored under in history.state, so the router never
+ * clobbers state other code puts there.
+ */
+const STATE_KEY = 'bragBookRoute';
+const VIEWS = ['grid', 'case', 'favorites', 'provider', 'location'];
+const CONTENT_SELECTOR = '#gallery-content';
+const LOAD_MORE_SELECTOR = '.brag-book-gallery-button--load-more';
+
+// Query parameter holding the grid's depth.
+const PAGE_PARAM = 'page';
+
+// Snapshots hold a whole content area of markup each. Ten covers any realistic
+// run of back presses without letting a long session grow without bound.
+const SNAPSHOT_LIMIT = 10;
+
+// Trailing delay before a scroll position is written to history. Safari
+// throttles replaceState, so writing on every scroll event is not an option.
+const SCROLL_SAVE_DELAY = 150;
+class GalleryRouter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Function} options.onCase - Loads a case route that has no snapshot; receives the route, may return a Promise
+   * @param {Function} options.onRestore - Called with the content element after a snapshot is put back, to rebind anything not delegated
+   */
+  constructor(options = {}) {
+    this.options = {
+      onCase: null,
+      onRestore: null,
+      ...options
+    };
+    this.snapshots = new Map();
+    this.current = null;
+    this.restoring = false;
+    this.scrollTimer = null;
+    this.sequence = 0;
+    this.handlePopState = this.handlePopState.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+    this.handleFilterChange = this.handleFilterChange.bind(this);
+    this.init();
+  }
+
+  /**
+   * Stamp the entry the page loaded on, replay any saved state, and start
+   * listening for history traversal.
+   */
+  init() {
+    // The browser's own scroll restoration fires before Load More pages are
+    // replayed, so it lands short of where the visitor was. The router
+    // restores scroll itself once the grid is deep enough.
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual';
+    }
+    const route = this.getRoute();
+    if (route) {
+      this.restoreInitial(route);
     } else {
-      itemsPerPage = object.itemPerPageDesktop;
+      this.replaceRoute(this.detectView());
+
+      // A shared or bookmarked ?page=N: the depth is all there is to go on
+      const depth = this.readDepth();
+      if (depth > 1 && this.current.view === 'grid') {
+        this.restoreInitial({
+          ...this.current,
+          depth,
+          scrollY: null
+        });
+      }
     }
-    const totalPages = Math.ceil(object.items.length / itemsPerPage);
+    window.addEventListener('popstate', this.handlePopState);
+    window.addEventListener('scroll', this.handleScroll, {
+      passive: true
+    });
+    window.addEventListener('pagehide', this.handlePageHide);
+    document.addEventListener('change', this.handleFilterChange);
+  }
 
-    // Create pagination dots
-    for (let i = 0; i < totalPages; i++) {
-      const dot = document.createElement('button');
-      dot.className = 'brag-book-gallery-pagination-dot';
-      dot.setAttribute('role', 'tab');
-      dot.setAttribute('aria-label', `Go to slide ${i + 1}`);
-      dot.setAttribute('tabindex', '0');
+  /**
+   * Work out which view the server rendered.
+   *
+   * @returns {string} One of VIEWS
+   */
+  detectView() {
+    const content = document.querySelector(CONTENT_SELECTOR);
+    if (content?.querySelector('.brag-book-gallery-case-detail-view')) {
+      return 'case';
+    }
+    if (document.getElementById('brag-book-gallery-favorites') || content?.dataset.favoritesPage === 'true') {
+      return 'favorites';
+    }
+    if (typeof window.bragBookGalleryProviderArchiveSlug === 'function' && window.bragBookGalleryProviderArchiveSlug()) {
+      return 'provider';
+    }
+    return 'grid';
+  }
 
-      // Set first dot as active
-      if (i === 0) {
-        dot.classList.add('brag-book-gallery-active');
-        dot.setAttribute('aria-selected', 'true');
-      } else {
-        dot.setAttribute('aria-selected', 'false');
-      }
+  /**
+   * The route stored on the current history entry, if the router wrote one.
+   *
+   * @returns {Object|null}
+   */
+  getRoute() {
+    return window.history.state?.[STATE_KEY] || null;
+  }
 
-      // Store click handler reference
-      dot.clickHandler = () => {
-        // Calculate actual item width including gap
-        const firstItem = object.items[0];
-        if (!firstItem) return;
-        const itemWidth = firstItem.offsetWidth;
-        const slideWidth = itemWidth + object.columnGap;
+  /**
+   * Push a new view onto history.
+   *
+   * The entry being left is snapshotted first so back can return to it
+   * without a request.
+   *
+   * @param {string} view - One of VIEWS
+   * @param {string} url - URL for the new entry (defaults to the current one)
+   * @param {Object} data - View-specific data needed to rebuild the view
+   */
+  navigate(view, url = window.location.href, data = {}) {
+    // Navigating to where the visitor already is must not add a back step
+    // that returns to the same thing.
+    const current = this.getRoute();
+    if (current && current.view === view && new URL(url, window.location.href).href === window.location.href && Object.keys(data).every(key => current[key] === data[key])) {
+      this.updateRoute(data);
+      return;
+    }
+    this.saveCurrent(true);
 
-        // Scroll to the page (each page shows multiple items)
-        const targetScroll = i * object.grid.clientWidth;
-        this.smoothScrollTo(object.grid, targetScroll);
-      };
-      dot.addEventListener('click', dot.clickHandler);
-      object.pagination.appendChild(dot);
+    // A new view starts on its first page
+    url = this.withDepth(url, 1);
+    const route = this.createRoute(view, url, data);
+    window.history.pushState(this.wrapState(route, {}), '', url);
+    this.current = route;
+    this.dispatch(route, false);
+  }
+
+  /**
+   * Replace the current entry's route, e.g. when a filter change should not
+   * add a back step.
+   *
+   * @param {string} view - One of VIEWS
+   * @param {Object} data - View-specific data
+   * @param {string} url - URL for the entry (defaults to the current one)
+   */
+  replaceRoute(view, data = {}, url = window.location.href) {
+    const route = {
+      ...this.createRoute(view, url, data),
+      ...this.captureState()
+    };
+    window.history.replaceState(this.wrapState(route), '', url);
+    this.current = route;
+  }
+
+  /**
+   * Merge data into the current entry's route without changing the view.
+   *
+   * @param {Object} data - Fields to merge
+   */
+  updateRoute(data) {
+    const route = this.getRoute();
+    if (!route) {
+      return;
     }
+    const updated = {
+      ...route,
+      ...data
+    };
+    window.history.replaceState(this.wrapState(updated), '', window.location.href);
+    this.current = updated;
+  }
 
-    // Set initial active state
-    this.updatePaginationState(object);
-  };
-  updatePaginationState = object => {
-    if (!object.pagination) return;
-    const dots = object.pagination.querySelectorAll('.brag-book-gallery-pagination-dot');
-    if (!dots.length) return;
-    let itemsPerPage;
-    const width = window.innerWidth;
-    if (width < 768) {
-      itemsPerPage = object.itemPerPageMobile;
-    } else if (width < 992) {
-      itemsPerPage = object.itemPerPageTablet;
-    } else {
-      itemsPerPage = object.itemPerPageDesktop;
+  /**
+   * Record how many pages the grid shows, on the current entry and as
+   * ?page=N.
+   *
+   * @param {number} depth - Pages the grid shows
+   */
+  setDepth(depth) {
+    const url = this.withDepth(window.location.href, depth);
+    const route = this.getRoute();
+    if (!route) {
+      window.history.replaceState(window.history.state, '', url);
+      return;
     }
+    const updated = {
+      ...route,
+      depth,
+      url
+    };
+    window.history.replaceState(this.wrapState(updated), '', url);
+    this.current = updated;
+  }
 
-    // Calculate the current index based on scroll position and total width
-    const maxScroll = object.grid.scrollWidth - object.grid.clientWidth;
-    const currentPosition = object.grid.scrollLeft;
-    const slideWidth = object.grid.clientWidth;
-    const totalSlides = object.items.length;
-    const totalGroups = Math.ceil(totalSlides / itemsPerPage);
+  /**
+   * The depth the current URL asks for.
+   *
+   * @returns {number} 1 when the URL names no page
+   */
+  readDepth() {
+    const page = parseInt(new URLSearchParams(window.location.search).get(PAGE_PARAM) || '1', 10);
+    return Number.isNaN(page) ? 1 : Math.max(1, page);
+  }
 
-    // Calculate the current group index
-    let currentIndex;
-    if (currentPosition >= maxScroll) {
-      // If we're at the end, select the last group
-      currentIndex = totalGroups - 1;
+  /**
+   * A URL with its ?page=N set to a depth; the first page has none.
+   *
+   * @param {string} url - URL to change
+   * @param {number} depth - Pages the grid shows
+   * @returns {string}
+   */
+  withDepth(url, depth) {
+    const target = new URL(url, window.location.href);
+    if (depth > 1) {
+      target.searchParams.set(PAGE_PARAM, String(depth));
     } else {
-      // Otherwise calculate the current group based on scroll position
-      currentIndex = Math.round(currentPosition / slideWidth);
+      target.searchParams.delete(PAGE_PARAM);
     }
-    dots.forEach((dot, index) => {
-      if (index === currentIndex) {
-        dot.classList.add('brag-book-gallery-active');
-        dot.setAttribute('aria-selected', 'true');
-      } else {
-        dot.classList.remove('brag-book-gallery-active');
-        dot.setAttribute('aria-selected', 'false');
-      }
-    });
-  };
-  setupIntersectionObserver = () => {
-    this.observer = new IntersectionObserver(entries => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          entry.target.classList.add('is-visible');
-          entry.target.querySelectorAll('img[data-src]').forEach(img => {
-            img.src = img.dataset.src;
-            img.removeAttribute('data-src');
-          });
-        }
-      });
-    }, {
-      root: null,
-      rootMargin: '50px',
-      threshold: 0.1
-    });
-  };
-  handleScroll = object => {
-    if (!object || !object.grid) return;
-    const currentPosition = object.grid.scrollLeft;
-    const totalWidth = object.grid.scrollWidth - object.grid.clientWidth;
-
-    // Update slide states
-    this.updateSlideStates(object);
+    return target.href;
+  }
 
-    // Update navigation buttons (disable at start/end)
-    if (object.nav.length >= 2) {
-      const prevButton = object.nav[0];
-      const nextButton = object.nav[1];
-      const isAtStart = currentPosition <= 0;
-      const isAtEnd = currentPosition >= totalWidth - 1;
-      if (prevButton) {
-        prevButton.disabled = isAtStart;
-        if (isAtStart) {
-          prevButton.setAttribute('disabled', 'disabled');
-        } else {
-          prevButton.removeAttribute('disabled');
-        }
-      }
-      if (nextButton) {
-        nextButton.disabled = isAtEnd;
-        if (isAtEnd) {
-          nextButton.setAttribute('disabled', 'disabled');
-        } else {
-          nextButton.removeAttribute('disabled');
-        }
-      }
+  /**
+   * Build a route object.
+   *
+   * A new route starts at the top of an unfiltered first page; the scroll and
+   * filter handlers fill in the rest as the visitor uses the view.
+   *
+   * @param {string} view - One of VIEWS
+   * @param {string} url - Entry URL
+   * @param {Object} data - View-specific data
+   * @returns {Object}
+   */
+  createRoute(view, url, data) {
+    if (!VIEWS.includes(view)) {
+      console.warn(`BRAGBook: Unknown gallery view "${view}", recording as grid`);
+      view = 'grid';
     }
 
-    // Update pagination
-    this.updatePaginationState(object);
+    // Unique across page loads, so a snapshot can never be matched to an
+    // entry written by an earlier load of the same page.
+    this.sequence += 1;
+    const id = `${Date.now().toString(36)}-${this.sequence}`;
+    return {
+      ...data,
+      id,
+      view,
+      url: String(url),
+      scrollY: 0,
+      filters: [],
+      depth: 1
+    };
+  }
 
-    // Update ARIA labels
-    this.updateAriaLabels(object);
-  };
-  updateAriaLabels = object => {
-    const currentIndex = this.getCurrentSlideIndex(object);
-    const totalSlides = object.items.length;
-    object.wrapper.setAttribute('aria-label', `Carousel with ${totalSlides} slides`);
-    Array.from(object.items).forEach((slide, index) => {
-      const isHidden = index !== currentIndex;
-      slide.setAttribute('aria-label', `Slide ${index + 1} of ${totalSlides}`);
-      slide.setAttribute('aria-hidden', isHidden.toString());
+  /**
+   * Wrap a route in whatever else is on the entry's state.
+   *
+   * @param {Object} route - The route
+   * @param {*} base - Existing state to keep (the current entry's by default)
+   * @returns {Object}
+   */
+  wrapState(route, base = window.history.state) {
+    const state = base && typeof base === 'object' ? base : {};
+    return {
+      ...state,
+      [STATE_KEY]: route
+    };
+  }
 
-      // Manage focusable elements within hidden slides to prevent
-      // aria-hidden elements from containing focusable descendants
-      const focusableElements = slide.querySelectorAll('a, button, input, select, textarea, [tabindex]:not([tabindex="-1"])');
-      focusableElements.forEach(el => {
-        if (isHidden) {
-          el.setAttribute('tabindex', '-1');
-        } else {
-          el.removeAttribute('tabindex');
-        }
-      });
-    });
-  };
-  handleNext = object => {
-    if (!object || !object.grid) {
-      console.log('handleNext: no object or grid');
-      return;
-    }
-    const scroll = object.grid;
-    const maxScrollLeft = scroll.scrollWidth - scroll.offsetWidth;
+  /**
+   * Read the grid state worth restoring from the DOM.
+   *
+   * @returns {{scrollY: number, filters: Array<{type: string, value: string}>, depth: number}}
+   */
+  captureState() {
+    const filters = (0,_filter_state_js__WEBPACK_IMPORTED_MODULE_1__.getActiveFilterInputs)().map(checkbox => ({
+      type: checkbox.dataset.filterType,
+      value: checkbox.value
+    }));
 
-    // Calculate actual slide width including gap
-    const firstItem = object.items[0];
-    if (!firstItem) return;
-    const itemWidth = firstItem.offsetWidth;
-    const slideWidth = itemWidth + object.columnGap;
-    if (scroll.scrollLeft < maxScrollLeft) {
-      const targetScroll = scroll.scrollLeft + slideWidth;
-      this.smoothScrollTo(scroll, targetScroll);
-    }
-  };
-  handlePrev = object => {
-    if (!object || !object.grid) {
-      console.log('handlePrev: no object or grid');
+    // data-start-page is the next page to fetch, so one less is how many
+    // pages the grid already shows.
+    const button = document.querySelector(LOAD_MORE_SELECTOR);
+    const nextPage = parseInt(button?.getAttribute('data-start-page') || '2', 10);
+    return {
+      scrollY: Math.round(window.scrollY),
+      filters,
+      depth: Math.max(1, nextPage - 1)
+    };
+  }
+
+  /**
+   * Save the current entry's state, and optionally a snapshot of its content.
+   *
+   * @param {boolean} withSnapshot - Also keep the content markup in memory
+   */
+  saveCurrent(withSnapshot = false) {
+    const route = this.getRoute();
+    if (!route) {
       return;
     }
-    const scroll = object.grid;
-
-    // Calculate actual slide width including gap
-    const firstItem = object.items[0];
-    if (!firstItem) return;
-    const itemWidth = firstItem.offsetWidth;
-    const slideWidth = itemWidth + object.columnGap;
-    if (scroll.scrollLeft > 0) {
-      const targetScroll = scroll.scrollLeft - slideWidth;
-      this.smoothScrollTo(scroll, targetScroll);
+    const state = this.captureState();
+    this.updateRoute(state);
+    if (withSnapshot) {
+      this.storeSnapshot(route.id, state);
     }
-  };
+  }
 
   /**
-   * Firefox-compatible smooth scrolling that works with scroll-snap
+   * Keep the content area's markup for a route.
+   *
+   * @param {string} id - Route id
+   * @param {Object} state - Captured grid state at the time of the snapshot
    */
-  smoothScrollTo = (element, targetScroll) => {
-    // Temporarily disable scroll-snap for Firefox compatibility
-    const originalSnapType = element.style.scrollSnapType;
-    element.style.scrollSnapType = 'none';
-
-    // Try using scrollTo with behavior smooth
-    try {
-      element.scrollTo({
-        left: targetScroll,
-        behavior: 'smooth'
-      });
-    } catch (e) {
-      // Fallback for older browsers
-      element.scrollLeft = targetScroll;
+  storeSnapshot(id, state) {
+    const content = document.querySelector(CONTENT_SELECTOR);
+    if (!content || !id) {
+      return;
     }
 
-    // Re-enable scroll-snap after scroll completes
-    setTimeout(() => {
-      element.style.scrollSnapType = originalSnapType || 'x mandatory';
-    }, 500);
-  };
+    // Delete before set so a re-snapshotted entry moves to the back of the
+    // Map's insertion order and is the last to be evicted.
+    this.snapshots.delete(id);
+    this.snapshots.set(id, {
+      // Every case, including those a virtual grid has scrolled out
+      html: (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_3__.serializeWithCases)(content),
+      title: document.title,
+      state
+    });
+    while (this.snapshots.size > SNAPSHOT_LIMIT) {
+      this.snapshots.delete(this.snapshots.keys().next().value);
+    }
+  }
 
   /**
-   * Snap to whichever slide sits closest to the current scroll position.
+   * Restore the view a back/forward step landed on.
    *
-   * Measures each slide's own offsetLeft rather than multiplying an index by
-   * a slide width. The track is a grid with a gap between columns, so
-   * index * width drifts further out of alignment with every slide.
+   * @param {PopStateEvent} event
    */
-  snapToClosestSlide = grid => {
-    const slides = Array.from(grid.children);
-    if (!slides.length) return;
-    const closest = slides.reduce((best, slide) => Math.abs(slide.offsetLeft - grid.scrollLeft) < Math.abs(best.offsetLeft - grid.scrollLeft) ? slide : best);
-    grid.style.scrollBehavior = 'smooth';
-    grid.scrollTo({
-      left: closest.offsetLeft
-    });
-  };
-  getCurrentSlideIndex = object => {
-    if (!object.items[0]) return 0;
-
-    // offsetLeft per slide, for the same reason as snapToClosestSlide():
-    // the grid gap makes index * width drift.
-    //
-    // object.items is grid.children, an HTMLCollection — index into it
-    // rather than reaching for array methods it does not have.
-    const scrollLeft = object.grid.scrollLeft;
-    let closestIndex = 0;
-    let closestDistance = Infinity;
-    for (let index = 0; index < object.items.length; index++) {
-      const distance = Math.abs(object.items[index].offsetLeft - scrollLeft);
-      if (distance < closestDistance) {
-        closestDistance = distance;
-        closestIndex = index;
-      }
+  handlePopState(event) {
+    const route = event.state?.[STATE_KEY];
+    if (!route) {
+      // Not an entry the router wrote, e.g. a hash change.
+      return;
     }
-    return closestIndex;
-  };
-  init = () => {
-    const carousels = document.querySelectorAll(this.options.wrapper);
-    carousels.forEach((wrapper, index) => {
-      this.wrappers[index] = new this.Wrapper(wrapper, index, this.options);
-      const object = this.wrappers[index];
-      if (!object.grid) return;
-
-      // Store bound event handlers
-      object.handleScroll = () => this.handleScroll(object);
-      object.handleResize = () => {
-        if (object.pagination) {
-          this.initializePagination(object);
-        }
-      };
-      object.grid.addEventListener('scroll', object.handleScroll, {
-        passive: true
-      });
 
-      // Mouse drag only; touch scrolls natively.
-      this.setupTrackDrag(object);
-      if (object.pagination) {
-        this.initializePagination(object);
-        // Update pagination on window resize
-        window.addEventListener('resize', object.handleResize);
-      }
+    // history.state already belongs to the new entry, but the DOM still
+    // shows the one being left, so snapshot it against its own id.
+    if (this.current && this.current.id !== route.id) {
+      this.storeSnapshot(this.current.id, this.captureState());
+    }
+    this.restore(route);
+  }
 
-      // Setup navigation buttons
-      const prevButton = wrapper.querySelector('[data-direction="prev"]');
-      const nextButton = wrapper.querySelector('[data-direction="next"]');
-      if (prevButton) {
-        prevButton.addEventListener('click', e => {
-          e.preventDefault();
-          this.handlePrev(object);
-        });
-      }
-      if (nextButton) {
-        nextButton.addEventListener('click', e => {
-          e.preventDefault();
-          this.handleNext(object);
+  /**
+   * Put a route's view back on screen.
+   *
+   * @param {Object} route - The route to restore
+   */
+  async restore(route) {
+    const snapshot = this.snapshots.get(route.id);
+    this.restoring = true;
+    this.current = route;
+
+    // Whatever the view being left was still loading must not land on
+    // the one coming back
+    [_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.GRID_REQUEST, _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.GRID_PAGE_REQUEST, _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.CASE_DETAILS_REQUEST].forEach(_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.cancelRequest);
+    try {
+      if (snapshot) {
+        this.applySnapshot(snapshot);
+        // The snapshot already holds every loaded page, so only the
+        // filters and scroll need putting back.
+        await this.restoreState({
+          ...route,
+          ...snapshot.state,
+          depth: 1
         });
+      } else if (route.view === 'case' && typeof this.options.onCase === 'function') {
+        await this.options.onCase(route);
+      } else {
+        // An entry from an earlier load of this page: nothing in memory can
+        // rebuild it, so let the server render the URL. restoreInitial()
+        // then replays the saved state on the fresh page.
+        window.location.reload();
+        return;
       }
+    } catch (error) {
+      console.warn('BRAGBook: Could not restore gallery view, reloading', error);
+      window.location.reload();
+      return;
+    } finally {
+      this.restoring = false;
+    }
+    this.dispatch(route, true, !!snapshot);
+  }
 
-      // Initial state update
-      this.handleScroll(object);
-
-      // Setup autoplay
-      this.setupAutoplay(object);
-    });
-  };
-  destroy = () => {
-    Object.values(this.wrappers).forEach(object => {
-      if (this.observer) {
-        this.observer.disconnect();
-      }
-      this.stopAutoplay(object);
-      if (object.grid) {
-        object.grid.removeEventListener('scroll', object.handleScroll);
-      }
-      if (object.pagination) {
-        const dots = object.pagination.querySelectorAll('.brag-book-gallery-pagination-dot');
-        dots.forEach(dot => {
-          if (dot.clickHandler) {
-            dot.removeEventListener('click', dot.clickHandler);
-          }
-        });
-      }
-      if (object.handleResize) {
-        window.removeEventListener('resize', object.handleResize);
-      }
-    });
-    this.wrappers = {};
-  };
-}
-/* harmony default export */ __webpack_exports__["default"] = (Carousel);
+  /**
+   * Replay a route saved on a previous load of this page.
+   *
+   * @param {Object} route - The route found on history.state at load
+   */
+  async restoreInitial(route) {
+    this.current = route;
 
-/***/ }),
+    // Provider and location results are rebuilt by their own widgets from
+    // the route; replaying Load More here would page the unfiltered grid.
+    if (route.view === 'provider' || route.view === 'location') {
+      this.dispatch(route, true, false);
+      return;
+    }
+    const hasState = route.depth > 1 || route.filters?.length > 0 || route.scrollY > 0;
+    if (!hasState) {
+      return;
+    }
+    this.restoring = true;
+    try {
+      await this.restoreState(route);
+    } catch (error) {
+      console.warn('BRAGBook: Could not restore saved gallery state', error);
+    } finally {
+      this.restoring = false;
+    }
+    this.dispatch(route, true, false);
+  }
 
-/***/ "./src/js/modules/dialog.js":
-/*!**********************************!*\
-  !*** ./src/js/modules/dialog.js ***!
-  \**********************************/
-/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+  /**
+   * Replace the content area with a snapshot.
+   *
+   * @param {Object} snapshot - Stored snapshot
+   */
+  applySnapshot(snapshot) {
+    const content = document.querySelector(CONTENT_SELECTOR);
+    if (!content) {
+      return;
+    }
+    content.innerHTML = snapshot.html;
+    document.title = snapshot.title;
+    if (typeof this.options.onRestore === 'function') {
+      this.options.onRestore(content);
+    }
+  }
 
-__webpack_require__.r(__webpack_exports__);
-/**
- * Dialog Component
- * Reusable dialog/modal component using native HTML dialog element
- * Provides accessibility, keyboard navigation, and backdrop click handling
- */
-class Dialog {
   /**
-   * Initialize a new dialog instance
-   * @param {string} dialogId - The ID of the dialog element
-   * @param {Object} options - Configuration options
-   * @param {boolean} options.closeOnBackdrop - Close dialog when clicking backdrop (default: true)
-   * @param {boolean} options.closeOnEscape - Close dialog when pressing ESC (default: true)
-   * @param {Function} options.onOpen - Callback when dialog opens
-   * @param {Function} options.onClose - Callback when dialog closes
+   * Bring the grid back to a saved depth, filter selection and scroll.
+   *
+   * @param {Object} state - Saved depth, filters and scrollY (null when only the depth is known)
    */
-  constructor(dialogId, options = {}) {
-    // Get dialog element from DOM
-    this.dialog = document.getElementById(dialogId);
+  async restoreState(state) {
+    await this.replayLoadMore(state.depth || 1);
+    await this.whenFiltersReady();
+    this.restoreFilters(state.filters || []);
+    if (state.scrollY === null) {
+      this.scrollToPage(state.depth || 1);
+    } else {
+      this.scrollTo(state.scrollY || 0);
+    }
+  }
 
-    // Find all close buttons within the dialog
-    this.closeButtons = this.dialog?.querySelectorAll('[data-action*="close"]');
+  /**
+   * Fetch Load More pages until the grid is as deep as it was.
+   *
+   * @param {number} depth - Pages the grid should show
+   */
+  async replayLoadMore(depth) {
+    const button = document.querySelector(LOAD_MORE_SELECTOR);
+    if (!button || depth <= 1 || typeof window.loadMoreCasesFromCache !== 'function') {
+      return;
+    }
+    let shown = parseInt(button.getAttribute('data-start-page') || '2', 10) - 1;
+    while (shown < depth && button.style.display !== 'none') {
+      const loaded = await window.loadMoreCasesFromCache(button, {
+        scroll: false,
+        replay: true
+      });
+      const next = parseInt(button.getAttribute('data-start-page') || '2', 10) - 1;
 
-    // Merge options with defaults
-    this.options = {
-      closeOnBackdrop: options.closeOnBackdrop !== false,
-      // Default: true
-      closeOnEscape: options.closeOnEscape !== false,
-      // Default: true
-      onOpen: options.onOpen || (() => {}),
-      // Open callback
-      onClose: options.onClose || (() => {}),
-      // Close callback
-      ...options
-    };
+      // Stop on a failed request or a page that did not advance, rather
+      // than retrying the same page forever.
+      if (!loaded || next <= shown) {
+        break;
+      }
+      shown = next;
+    }
 
-    // Initialize only if dialog element exists
-    if (this.dialog) {
-      this.init();
+    // New cards change which demographic options exist.
+    if (shown > 1 && typeof window.regenerateProcedureFilters === 'function') {
+      window.regenerateProcedureFilters();
     }
   }
 
   /**
-   * Initialize the dialog - sets up all event listeners
+   * Resolve once the demographic filter options have been generated.
+   *
+   * They are built on a short timer after DOMContentLoaded; checking boxes
+   * before that would be overwritten by the build.
+   *
+   * @returns {Promise<void>}
    */
-  init() {
-    this.setupEventListeners();
+  whenFiltersReady() {
+    if (window.bragBookGalleryFiltersReady || !document.getElementById('procedure-filters-details')) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      window.addEventListener('bragbook:filtersready', () => resolve(), {
+        once: true
+      });
+    });
   }
 
   /**
-   * Set up all event listeners for dialog interaction
+   * Re-check saved demographic filters, set saved ranges, and re-apply them,
+   * which also rebuilds the badges.
+   *
+   * @param {Array<{type: string, value: string}>} filters - Saved selection
    */
-  setupEventListeners() {
-    // Handle close button clicks
-    this.closeButtons?.forEach(button => {
-      button.addEventListener('click', e => {
-        // Prevent default behavior and event bubbling
-        e.preventDefault();
-        e.stopPropagation();
-        this.close();
-      });
-    });
+  restoreFilters(filters) {
+    const inputs = document.querySelectorAll(_filter_state_js__WEBPACK_IMPORTED_MODULE_1__.FILTER_INPUT_SELECTOR);
+    if (!inputs.length) {
+      return;
+    }
 
-    // Handle backdrop clicks (light dismiss)
-    if (this.options.closeOnBackdrop && this.dialog) {
-      // Native dialog elements pass backdrop clicks to the dialog element
-      // Only close if clicking the dialog itself, not its children
-      this.dialog.addEventListener('click', e => {
-        if (e.target === this.dialog) {
-          this.close();
+    // Compared by value rather than a selector: detail values such as 32"
+    // cannot be quoted safely inside an attribute selector.
+    const wanted = new Set(filters.map(filter => `${filter.type}:${filter.value}`));
+    let changed = false;
+    inputs.forEach(input => {
+      if (input.type === 'checkbox') {
+        const checked = wanted.has(`${input.dataset.filterType}:${input.value}`);
+        if (input.checked !== checked) {
+          input.checked = checked;
+          changed = true;
         }
-      });
-    }
+        return;
+      }
 
-    // Handle ESC key press using native dialog 'cancel' event
-    if (this.options.closeOnEscape && this.dialog) {
-      this.dialog.addEventListener('cancel', e => {
-        // Prevent default ESC behavior and handle it ourselves
-        e.preventDefault();
-        this.close();
-      });
+      // A range filter holds at most one "min-max" value
+      const saved = filters.find(filter => filter.type === input.dataset.filterType);
+      const value = saved ? saved.value : '';
+      if (input.value !== value) {
+        input.value = value;
+        changed = true;
+      }
+    });
+    (0,_range_filter_js__WEBPACK_IMPORTED_MODULE_2__.syncRangeFilters)(document);
+    if ((changed || wanted.size > 0) && typeof window.applyProcedureFilters === 'function') {
+      window.applyProcedureFilters();
     }
   }
 
   /**
-   * Open the dialog modal
+   * Jump to a saved scroll position once the restored content has laid out.
+   *
+   * @param {number} y - Saved window.scrollY
    */
-  open() {
-    // Exit early if dialog doesn't exist
-    if (!this.dialog) return;
-    try {
-      // Use native showModal() for proper modal behavior
-      // This handles backdrop, focus trapping, and accessibility
-      this.dialog.showModal();
-
-      // Prevent background scrolling during modal display
-      document.body.style.overflow = 'hidden';
+  scrollTo(y) {
+    requestAnimationFrame(() => {
+      window.scrollTo({
+        top: y,
+        behavior: 'instant'
+      });
+    });
+  }
 
-      // Execute open callback
-      this.options.onOpen();
-    } catch (error) {
-      // Fallback for older browsers without native dialog support
-      console.error('Error opening dialog:', error);
-      this.dialog.setAttribute('open', '');
-      this.dialog.style.display = 'block';
-      document.body.style.overflow = 'hidden';
-      this.options.onOpen();
+  /**
+   * Jump to the first case of a page, for a return that knows how deep the
+   * grid was but not where it was scrolled.
+   *
+   * @param {number} page - Page to show
+   */
+  scrollToPage(page) {
+    const button = document.querySelector(LOAD_MORE_SELECTOR);
+    const perPage = parseInt(button?.getAttribute('data-per-page') || '0', 10);
+    const card = page > 1 ? (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_3__.getCaseCards)()[(page - 1) * perPage] : null;
+    if (card) {
+      requestAnimationFrame(() => (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_3__.scrollToCaseCard)(card));
     }
   }
 
   /**
-   * Close the dialog modal
+   * Record the scroll position on the current entry once scrolling settles.
    */
-  close() {
-    // Exit early if dialog doesn't exist
-    if (!this.dialog) return;
-    try {
-      // Use native close() method for proper cleanup
-      // This handles focus restoration and accessibility
-      this.dialog.close();
+  handleScroll() {
+    if (this.restoring) {
+      return;
+    }
+    clearTimeout(this.scrollTimer);
+    this.scrollTimer = setTimeout(() => {
+      this.updateRoute({
+        scrollY: Math.round(window.scrollY)
+      });
+    }, SCROLL_SAVE_DELAY);
+  }
 
-      // Restore background scrolling
-      document.body.style.overflow = '';
+  /**
+   * Record demographic filter changes on the current entry.
+   *
+   * @param {Event} event
+   */
+  handleFilterChange(event) {
+    if (this.restoring || !event.target.matches?.(_filter_state_js__WEBPACK_IMPORTED_MODULE_1__.FILTER_INPUT_SELECTOR)) {
+      return;
+    }
+    this.updateRoute(this.captureState());
+  }
 
-      // Clear any forced display styles
-      this.dialog.style.display = '';
+  /**
+   * Save the full grid state as the visitor leaves the page, so coming back
+   * from a server-rendered case page can replay it.
+   */
+  handlePageHide() {
+    clearTimeout(this.scrollTimer);
+    this.saveCurrent(false);
+  }
 
-      // Execute close callback
-      this.options.onClose();
-    } catch (error) {
-      // Fallback for older browsers without native dialog support
-      console.error('Error closing dialog:', error);
-      this.dialog.removeAttribute('open');
-      this.dialog.style.display = 'none';
-      document.body.style.overflow = '';
-      this.options.onClose();
-    }
+  /**
+   * Announce a route change.
+   *
+   * @param {Object} route - The route now showing
+   * @param {boolean} restored - True for back/forward and reload restores, false for a new navigation
+   * @param {boolean} fromSnapshot - True when the content came back from memory
+   */
+  dispatch(route, restored, fromSnapshot = false) {
+    window.dispatchEvent(new CustomEvent('bragbook:routechange', {
+      detail: {
+        route,
+        restored,
+        fromSnapshot
+      }
+    }));
   }
 
   /**
-   * Check if the dialog is currently open
-   * @returns {boolean} True if dialog is open
+   * Stop listening. Routes already written stay on history.
    */
-  isOpen() {
-    // Check both native 'open' property and fallback attribute
-    return this.dialog?.open || this.dialog?.hasAttribute('open');
+  destroy() {
+    clearTimeout(this.scrollTimer);
+    window.removeEventListener('popstate', this.handlePopState);
+    window.removeEventListener('scroll', this.handleScroll);
+    window.removeEventListener('pagehide', this.handlePageHide);
+    document.removeEventListener('change', this.handleFilterChange);
+    this.snapshots.clear();
   }
 }
-/* harmony default export */ __webpack_exports__["default"] = (Dialog);
+/* harmony default export */ __webpack_exports__["default"] = (GalleryRouter);
 
 /***/ }),
 
@@ -886,8 +4108,28 @@ function showParentCategories(backButton) {
 
 __webpack_require__.r(__webpack_exports__);
 /* harmony import */ var _main_app_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./main-app.js */ "./src/js/modules/main-app.js");
-/* harmony import */ var _carousel_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./carousel.js */ "./src/js/modules/carousel.js");
-/* harmony import */ var _utilities_js__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./utilities.js */ "./src/js/modules/utilities.js");
+/* harmony import */ var _analytics_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./analytics.js */ "./src/js/modules/analytics.js");
+/* harmony import */ var _carousel_js__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./carousel.js */ "./src/js/modules/carousel.js");
+/* harmony import */ var _utilities_js__WEBPACK_IMPORTED_MODULE_3__ = __webpack_require__(/*! ./utilities.js */ "./src/js/modules/utilities.js");
+/* harmony import */ var _live_region_js__WEBPACK_IMPORTED_MODULE_4__ = __webpack_require__(/*! ./live-region.js */ "./src/js/modules/live-region.js");
+/* harmony import */ var _infinite_scroll_js__WEBPACK_IMPORTED_MODULE_5__ = __webpack_require__(/*! ./infinite-scroll.js */ "./src/js/modules/infinite-scroll.js");
+/* harmony import */ var _virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__ = __webpack_require__(/*! ./virtual-grid.js */ "./src/js/modules/virtual-grid.js");
+/* harmony import */ var _motion_js__WEBPACK_IMPORTED_MODULE_7__ = __webpack_require__(/*! ./motion.js */ "./src/js/modules/motion.js");
+/* harmony import */ var _gallery_data_js__WEBPACK_IMPORTED_MODULE_8__ = __webpack_require__(/*! ./gallery-data.js */ "./src/js/modules/gallery-data.js");
+/* harmony import */ var _ajax_client_js__WEBPACK_IMPORTED_MODULE_9__ = __webpack_require__(/*! ./ajax-client.js */ "./src/js/modules/ajax-client.js");
+/* harmony import */ var _filter_state_js__WEBPACK_IMPORTED_MODULE_10__ = __webpack_require__(/*! ./filter-state.js */ "./src/js/modules/filter-state.js");
+/* harmony import */ var _filtered_cases_js__WEBPACK_IMPORTED_MODULE_11__ = __webpack_require__(/*! ./filtered-cases.js */ "./src/js/modules/filtered-cases.js");
+/* harmony import */ var _range_filter_js__WEBPACK_IMPORTED_MODULE_12__ = __webpack_require__(/*! ./range-filter.js */ "./src/js/modules/range-filter.js");
+
+
+
+
+
+
+
+
+
+
 
 
 
@@ -1216,28 +4458,12 @@ function getCurrentPostId() {
  * @param {string} [providerId] - Active provider API id, if any
  */
 function fetchAdjacentCases(procedureSlug, termId, currentPostId, callback, providerSlug, providerId) {
-  // Make AJAX call to WordPress admin-ajax.php
-  const formData = new FormData();
-  formData.append('action', 'brag_book_get_adjacent_cases');
-  if (procedureSlug) {
-    formData.append('procedure_slug', procedureSlug);
-  }
-  if (termId) {
-    formData.append('term_id', termId);
-  }
-  formData.append('post_id', currentPostId);
-  if (providerSlug) {
-    formData.append('provider_slug', providerSlug);
-  }
-  if (providerId) {
-    formData.append('provider_id', providerId);
-  }
-  const ajaxUrl = window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php';
-  fetch(ajaxUrl, {
-    method: 'POST',
-    body: formData,
-    credentials: 'same-origin'
-  }).then(response => response.json()).then(data => {
+  (0,_gallery_data_js__WEBPACK_IMPORTED_MODULE_8__.getGalleryData)(`/cases/${parseInt(currentPostId, 10) || 0}/adjacent`, {
+    procedure_slug: procedureSlug,
+    term_id: termId,
+    provider_slug: providerSlug,
+    provider_id: providerId
+  }).then(data => {
     if (data.success && data.data) {
       callback(data.data);
     } else {
@@ -1347,16 +4573,23 @@ window.updateGridLayout = function (columns) {
  */
 window.bragBookProcedureFilters = {
   age: [],
-  // Age ranges like '18-24', '25-34', etc.
+  // Age range as 'min-max', e.g. '30-45'
   gender: [],
   // Gender values
   ethnicity: [],
   // Ethnicity values
   height: [],
-  // Height ranges
-  weight: [] // Weight ranges
+  // Height range in inches, e.g. '62-68'
+  weight: [] // Weight range in pounds, e.g. '120-160'
 };
 
+// A link that names filters (?gender=female&age=25-34) hides the grid until
+// they are applied, rather than showing every case and then snapping to the
+// filtered set. This runs as the bundle loads, ahead of DOMContentLoaded.
+if ((0,_filter_state_js__WEBPACK_IMPORTED_MODULE_10__.hasFiltersInUrl)()) {
+  document.documentElement.classList.add(_filter_state_js__WEBPACK_IMPORTED_MODULE_10__.FILTERS_PENDING_CLASS);
+}
+
 /**
  * Initialize demographic procedure filters
  * Called on page load and after AJAX content updates
@@ -1451,8 +4684,7 @@ function cleanupProcedureBadges() {
   const clearAllButtons = document.querySelectorAll('.brag-book-gallery-clear-all-filters');
   clearAllButtons.forEach(button => {
     // Only hide if there are no demographic filters active
-    const activeCheckboxes = document.querySelectorAll('.brag-book-gallery-filter-option input[type="checkbox"]:checked');
-    if (activeCheckboxes.length === 0) {
+    if ((0,_filter_state_js__WEBPACK_IMPORTED_MODULE_10__.getActiveFilterInputs)().length === 0) {
       button.style.display = 'none';
     }
   });
@@ -1468,35 +4700,54 @@ window.generateProcedureFilterOptions = function () {
     if (!text) return '';
     return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/'/g, '&#39;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
   };
-
-  // Try multiple possible filter container IDs/classes
-  const container = document.getElementById('brag-book-gallery-filters') || document.querySelector('.brag-book-gallery-filter-content') || document.querySelector('.brag-book-gallery-filters');
+  const container = getFilterContainer();
   if (!container) {
+    // Nothing to apply URL filters to; don't leave the grid hidden.
+    (0,_filter_state_js__WEBPACK_IMPORTED_MODULE_10__.clearFiltersPending)();
+    return;
+  }
+  const render = filterData => {
+    if (typeof window.generateFilterHTML === 'function') {
+      window.generateFilterHTML(container, filterData);
+    }
+  };
+
+  // A paged grid holds only some of its cases, so its options (and their
+  // counts) come from the server for the whole view. The cards in the page
+  // are the fallback if that request fails.
+  const contextButton = (0,_filtered_cases_js__WEBPACK_IMPORTED_MODULE_11__.getContextButton)();
+  if (contextButton) {
+    (0,_filtered_cases_js__WEBPACK_IMPORTED_MODULE_11__.fetchFacets)(contextButton).then(facets => {
+      render(facets ? (0,_filtered_cases_js__WEBPACK_IMPORTED_MODULE_11__.facetsToFilterData)(facets) : collectFilterDataFromCards());
+    });
     return;
   }
+  render(collectFilterDataFromCards());
+};
+
+/**
+ * Find the demographic filter options container
+ * @returns {HTMLElement|null}
+ */
+function getFilterContainer() {
+  // Try multiple possible filter container IDs/classes
+  return document.getElementById('brag-book-gallery-filters') || document.querySelector('.brag-book-gallery-filter-content') || document.querySelector('.brag-book-gallery-filters');
+}
 
-  // Always generate filters based on visible case cards on the page
-  const cards = document.querySelectorAll('.brag-book-gallery-case-card[data-card="true"]');
+/**
+ * Collect filter options from the case cards in the page
+ * @returns {Object} Categorized filter options for generateFilterHTML()
+ */
+function collectFilterDataFromCards() {
+  const cards = (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.getCaseCards)('.brag-book-gallery-case-card[data-card="true"]');
   const filterData = {
-    age: new Set(),
+    ...(0,_range_filter_js__WEBPACK_IMPORTED_MODULE_12__.measureCardRanges)(cards),
+    // age, height, weight bounds
     gender: new Set(),
     ethnicity: new Set(),
-    height: new Set(),
-    weight: new Set(),
     procedureDetails: new Map() // Map of detail name -> Set of values
   };
-
-  // First pass: collect actual values to determine which ranges have data
-  const ageValues = [];
-  const heightValues = [];
-  const weightValues = [];
   cards.forEach(card => {
-    // Collect raw values
-    const age = card.dataset.age;
-    if (age) {
-      ageValues.push(parseInt(age));
-    }
-
     // Gender
     if (card.dataset.gender) {
       filterData.gender.add(card.dataset.gender);
@@ -1507,32 +4758,6 @@ window.generateProcedureFilterOptions = function () {
       filterData.ethnicity.add(card.dataset.ethnicity);
     }
 
-    // Height
-    const height = card.dataset.height;
-    if (height) {
-      const heightNum = parseInt(height);
-      const unit = card.dataset.heightUnit || 'in';
-      // Convert to inches for consistent comparison
-      if (unit === 'cm') {
-        heightValues.push(Math.round(heightNum / 2.54));
-      } else {
-        heightValues.push(heightNum);
-      }
-    }
-
-    // Weight
-    const weight = card.dataset.weight;
-    if (weight) {
-      const weightNum = parseInt(weight);
-      const unit = card.dataset.weightUnit || 'lbs';
-      // Convert to lbs for consistent comparison
-      if (unit === 'kg') {
-        weightValues.push(Math.round(weightNum * 2.205));
-      } else {
-        weightValues.push(weightNum);
-      }
-    }
-
     // Procedure Details - extract all data-procedure-detail-* attributes
     const datasetKeys = Object.keys(card.dataset);
     datasetKeys.forEach(key => {
@@ -1556,32 +4781,8 @@ window.generateProcedureFilterOptions = function () {
       }
     });
   });
-
-  // Only add age ranges that have actual data
-  if (ageValues.some(age => age >= 18 && age < 25)) filterData.age.add('18-24');
-  if (ageValues.some(age => age >= 25 && age < 35)) filterData.age.add('25-34');
-  if (ageValues.some(age => age >= 35 && age < 45)) filterData.age.add('35-44');
-  if (ageValues.some(age => age >= 45 && age < 55)) filterData.age.add('45-54');
-  if (ageValues.some(age => age >= 55 && age < 65)) filterData.age.add('55-64');
-  if (ageValues.some(age => age >= 65)) filterData.age.add('65+');
-
-  // Only add height ranges that have actual data (in inches)
-  if (heightValues.some(h => h < 60)) filterData.height.add('Under 5\'0"');
-  if (heightValues.some(h => h >= 60 && h < 64)) filterData.height.add('5\'0" - 5\'3"');
-  if (heightValues.some(h => h >= 64 && h < 68)) filterData.height.add('5\'4" - 5\'7"');
-  if (heightValues.some(h => h >= 68 && h < 72)) filterData.height.add('5\'8" - 5\'11"');
-  if (heightValues.some(h => h >= 72)) filterData.height.add('6\'0" and above');
-
-  // Only add weight ranges that have actual data (in lbs)
-  if (weightValues.some(w => w < 120)) filterData.weight.add('Under 120 lbs');
-  if (weightValues.some(w => w >= 120 && w < 150)) filterData.weight.add('120-149 lbs');
-  if (weightValues.some(w => w >= 150 && w < 180)) filterData.weight.add('150-179 lbs');
-  if (weightValues.some(w => w >= 180 && w < 210)) filterData.weight.add('180-209 lbs');
-  if (weightValues.some(w => w >= 210)) filterData.weight.add('210+ lbs');
-
-  // Generate the filter HTML
-  generateFilterHTML(container, filterData);
-};
+  return filterData;
+}
 
 /**
  * Generate the filter interface HTML from collected filter data
@@ -1596,32 +4797,21 @@ window.generateFilterHTML = function (container, filterData) {
   };
 
   // Slug-safe id segment for input/label pairing — strips quotes, punctuation,
-  // whitespace so values like 5'4" - 5'7" don't break the id attribute.
+  // whitespace so detail values like 32" or 300 cc don't break the id attribute.
   const toIdSlug = text => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
 
   // Build filter HTML
   let html = '';
 
+  // Age, height and weight are ranges over the data set's real extent; a
+  // single value leaves nothing to narrow, so no slider is shown for it.
+  const rangeFilter = (type, label) => {
+    const bounds = filterData[type];
+    return bounds && bounds.min < bounds.max ? (0,_range_filter_js__WEBPACK_IMPORTED_MODULE_12__.renderRangeFilter)(type, label, bounds) : '';
+  };
+
   // Age filter
-  if (filterData.age.size > 0) {
-    html += '<details class="brag-book-gallery-filter">';
-    html += '<summary class="brag-book-gallery-filter-label">';
-    html += '<span class="brag-book-gallery-filter-label__name">Age</span>';
-    html += '<svg class="brag-book-gallery-filter-label__arrow" width="16" height="16" viewBox="0 0 12 12" fill="none" xmlns="http://www.w3.org/2000/svg">';
-    html += '<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>';
-    html += '</svg>';
-    html += '</summary>';
-    html += '<ul class="brag-book-gallery-filter-options">';
-    Array.from(filterData.age).sort().forEach(value => {
-      const id = `procedure-filter-age-${toIdSlug(value)}`;
-      html += `<li class="brag-book-gallery-filter-option">
-				<input type="checkbox" id="${id}" value="${escapeAttr(value)}" data-filter-type="age">
-				<label for="${id}">${escapeAttr(value)}</label>
-			</li>`;
-    });
-    html += '</ul>';
-    html += '</details>';
-  }
+  html += rangeFilter('age', 'Age');
 
   // Gender filter
   if (filterData.gender.size > 0) {
@@ -1632,7 +4822,7 @@ window.generateFilterHTML = function (container, filterData) {
     html += '<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>';
     html += '</svg>';
     html += '</summary>';
-    html += '<ul class="brag-book-gallery-filter-options">';
+    html += '<ul class="brag-book-gallery-filter-options" role="group" aria-label="Gender">';
     Array.from(filterData.gender).sort().forEach(value => {
       const id = `procedure-filter-gender-${toIdSlug(value)}`;
       const displayValue = value.charAt(0).toUpperCase() + value.slice(1);
@@ -1654,7 +4844,7 @@ window.generateFilterHTML = function (container, filterData) {
     html += '<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>';
     html += '</svg>';
     html += '</summary>';
-    html += '<ul class="brag-book-gallery-filter-options">';
+    html += '<ul class="brag-book-gallery-filter-options" role="group" aria-label="Ethnicity">';
     Array.from(filterData.ethnicity).sort().forEach(value => {
       const id = `procedure-filter-ethnicity-${toIdSlug(value)}`;
       const displayValue = value.charAt(0).toUpperCase() + value.slice(1);
@@ -1667,47 +4857,9 @@ window.generateFilterHTML = function (container, filterData) {
     html += '</details>';
   }
 
-  // Height filter
-  if (filterData.height.size > 0) {
-    html += '<details class="brag-book-gallery-filter">';
-    html += '<summary class="brag-book-gallery-filter-label">';
-    html += '<span class="brag-book-gallery-filter-label__name">Height</span>';
-    html += '<svg class="brag-book-gallery-filter-label__arrow" width="16" height="16" viewBox="0 0 12 12" fill="none" xmlns="http://www.w3.org/2000/svg">';
-    html += '<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>';
-    html += '</svg>';
-    html += '</summary>';
-    html += '<ul class="brag-book-gallery-filter-options">';
-    Array.from(filterData.height).sort().forEach(value => {
-      const id = `procedure-filter-height-${toIdSlug(value)}`;
-      html += `<li class="brag-book-gallery-filter-option">
-				<input type="checkbox" id="${id}" value="${escapeAttr(value)}" data-filter-type="height">
-				<label for="${id}">${escapeAttr(value)}</label>
-			</li>`;
-    });
-    html += '</ul>';
-    html += '</details>';
-  }
-
-  // Weight filter
-  if (filterData.weight.size > 0) {
-    html += '<details class="brag-book-gallery-filter">';
-    html += '<summary class="brag-book-gallery-filter-label">';
-    html += '<span class="brag-book-gallery-filter-label__name">Weight</span>';
-    html += '<svg class="brag-book-gallery-filter-label__arrow" width="16" height="16" viewBox="0 0 12 12" fill="none" xmlns="http://www.w3.org/2000/svg">';
-    html += '<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>';
-    html += '</svg>';
-    html += '</summary>';
-    html += '<ul class="brag-book-gallery-filter-options">';
-    Array.from(filterData.weight).sort().forEach(value => {
-      const id = `procedure-filter-weight-${toIdSlug(value)}`;
-      html += `<li class="brag-book-gallery-filter-option">
-				<input type="checkbox" id="${id}" value="${escapeAttr(value)}" data-filter-type="weight">
-				<label for="${id}">${escapeAttr(value)}</label>
-			</li>`;
-    });
-    html += '</ul>';
-    html += '</details>';
-  }
+  // Height and weight filters
+  html += rangeFilter('height', 'Height');
+  html += rangeFilter('weight', 'Weight');
 
   // Procedure Details filters
   if (filterData.procedureDetails && filterData.procedureDetails.size > 0) {
@@ -1722,7 +4874,7 @@ window.generateFilterHTML = function (container, filterData) {
         html += '<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>';
         html += '</svg>';
         html += '</summary>';
-        html += '<ul class="brag-book-gallery-filter-options">';
+        html += `<ul class="brag-book-gallery-filter-options" role="group" aria-label="${escapeAttr(label)}">`;
         Array.from(values).sort().forEach(value => {
           const id = `procedure-filter-${toIdSlug(filterType)}-${toIdSlug(value)}`;
           const lowerValue = value.toLowerCase();
@@ -1737,9 +4889,11 @@ window.generateFilterHTML = function (container, filterData) {
     });
   }
   container.innerHTML = html || '<p>No filters available</p>';
+  (0,_range_filter_js__WEBPACK_IMPORTED_MODULE_12__.initRangeFilters)(container);
 
-  // Add event listeners to all checkboxes
-  const filterCheckboxes = container.querySelectorAll('input[type="checkbox"]');
+  // Add event listeners to all checkboxes, and to the range filters' values
+  // (which fire change once a handle is released)
+  const filterCheckboxes = container.querySelectorAll('input[data-filter-type]');
   filterCheckboxes.forEach(checkbox => {
     checkbox.addEventListener('change', function () {
       try {
@@ -1764,14 +4918,116 @@ window.generateFilterHTML = function (container, filterData) {
       details.style.display = 'none';
     }
   }
+
+  // Re-check what the query string selects. On load that is a shared or
+  // reloaded link; after Load More or an AJAX swap it is the selection the
+  // visitor already had, which regeneration would otherwise wipe. A paged
+  // grid is revealed once the server has sent the filtered page.
+  const applied = (0,_filter_state_js__WEBPACK_IMPORTED_MODULE_10__.restoreFiltersFromUrl)(container) > 0 ? window.applyProcedureFilters() : null;
+  (0,_range_filter_js__WEBPACK_IMPORTED_MODULE_12__.syncRangeFilters)(container);
+  Promise.resolve(applied).then(() => {
+    refreshFilterCounts();
+    (0,_filter_state_js__WEBPACK_IMPORTED_MODULE_10__.clearFiltersPending)();
+  });
 };
 
+/**
+ * Show next to each filter option how many cases it would return
+ *
+ * Counts take the selections in the other filter types into account, so they
+ * answer "what do I get if I tick this too". Options that would empty the grid
+ * are disabled, unless ticked (they must stay un-tickable).
+ */
+function refreshFilterCounts() {
+  const container = getFilterContainer();
+  if (!container) return;
+  const contextButton = (0,_filtered_cases_js__WEBPACK_IMPORTED_MODULE_11__.getContextButton)();
+  const counts = contextButton ? (0,_filtered_cases_js__WEBPACK_IMPORTED_MODULE_11__.getFacetCounts)(contextButton) : countFilterOptionsInCards(container);
+  if (!counts) return;
+  container.querySelectorAll('input[type="checkbox"][data-filter-type]').forEach(checkbox => {
+    const option = checkbox.closest('.brag-book-gallery-filter-option');
+    const label = option?.querySelector('label');
+    if (!label) return;
+    let badge = label.querySelector('.brag-book-gallery-filter-option__count');
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'brag-book-gallery-filter-option__count';
+      label.append(' ', badge);
+    }
+    const count = counts.get(checkbox.dataset.filterType)?.get(String(checkbox.value).toLowerCase());
+    if (count === undefined) {
+      badge.textContent = '';
+      checkbox.disabled = false;
+      option.classList.remove('brag-book-gallery-filter-option--disabled');
+      return;
+    }
+    const empty = count === 0 && !checkbox.checked;
+    badge.textContent = `(${count})`;
+    checkbox.disabled = empty;
+    option.classList.toggle('brag-book-gallery-filter-option--disabled', empty);
+  });
+}
+
+/**
+ * Count, per filter option, the cards in the page it would leave showing
+ * @param {HTMLElement} container - Filter options container
+ * @returns {Map<string, Map<string, number>>} Filter type to lower-cased value to count
+ */
+function countFilterOptionsInCards(container) {
+  const cards = (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.getCaseCards)('.brag-book-gallery-case-card[data-card="true"]');
+  const selection = (0,_filter_state_js__WEBPACK_IMPORTED_MODULE_10__.groupFilterSelection)((0,_filter_state_js__WEBPACK_IMPORTED_MODULE_10__.getActiveFilterInputs)(container));
+  const counts = new Map();
+  container.querySelectorAll('input[type="checkbox"][data-filter-type]').forEach(checkbox => {
+    const type = checkbox.dataset.filterType;
+    // This option in place of whatever its own type has selected
+    const filters = toProcedureFilters({
+      ...selection,
+      [type]: [checkbox.value]
+    });
+    let count = 0;
+    cards.forEach(card => {
+      if (cardMatchesProcedureFilters(card, filters)) count++;
+    });
+    if (!counts.has(type)) {
+      counts.set(type, new Map());
+    }
+    counts.get(type).set(String(checkbox.value).toLowerCase(), count);
+  });
+  return counts;
+}
+
+/**
+ * Convert a grouped selection into the shape of window.bragBookProcedureFilters
+ * @param {Object<string, string[]>} selection - Filter type to selected values
+ * @returns {Object} { age, gender, ethnicity, height, weight, procedureDetails }
+ */
+function toProcedureFilters(selection) {
+  const filters = {
+    age: [],
+    gender: [],
+    ethnicity: [],
+    height: [],
+    weight: [],
+    procedureDetails: {}
+  };
+  Object.entries(selection).forEach(([type, values]) => {
+    if (type.startsWith('procedure_detail_')) {
+      filters.procedureDetails[type.replace('procedure_detail_', '')] = values;
+    } else if (filters[type]) {
+      filters[type] = values;
+    }
+  });
+  return filters;
+}
+
 /**
  * Apply active demographic filters to case cards
- * Handles both complete dataset filtering and DOM-based filtering
+ * Paged grids are filtered by the server across every page of the view; a grid
+ * that holds its whole view is filtered in place
+ * @returns {Promise|undefined} Settles once a server-filtered page is in the grid
  */
 window.applyProcedureFilters = function () {
-  const checkboxes = document.querySelectorAll('.brag-book-gallery-filter-option input:checked');
+  const checkboxes = (0,_filter_state_js__WEBPACK_IMPORTED_MODULE_10__.getActiveFilterInputs)();
 
   // Reset filter state
   window.bragBookProcedureFilters = {
@@ -1801,6 +5057,9 @@ window.applyProcedureFilters = function () {
     }
   });
 
+  // Mirror the selection into the query string so reloads and shared links keep it
+  (0,_filter_state_js__WEBPACK_IMPORTED_MODULE_10__.writeFiltersToUrl)(checkboxes);
+
   // Check if any filters are selected
   const hasActiveFilters = Object.keys(window.bragBookProcedureFilters).some(key => {
     if (key === 'procedureDetails') {
@@ -1811,16 +5070,17 @@ window.applyProcedureFilters = function () {
 
   // Update filter badges
   updateFilterBadges();
+  const contextButton = (0,_filtered_cases_js__WEBPACK_IMPORTED_MODULE_11__.getContextButton)();
+  if (contextButton) {
+    return applyServerFilters(contextButton, (0,_filter_state_js__WEBPACK_IMPORTED_MODULE_10__.groupFilterSelection)(checkboxes), hasActiveFilters);
+  }
 
-  // Always filter only the visible cards on the current page
-  let cards = document.querySelectorAll('.brag-book-gallery-case-card[data-card="true"]');
+  // The grid holds every case in its view: filter the cards in place
+  let cards = (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.getCaseCards)('.brag-book-gallery-case-card[data-card="true"]');
 
-  // Fallback selectors if the primary selector doesn't find cards
+  // Fallback if the primary selector doesn't find cards
   if (cards.length === 0) {
-    cards = document.querySelectorAll('.brag-book-gallery-case-grid .brag-book-gallery-case-card');
-  }
-  if (cards.length === 0) {
-    cards = document.querySelectorAll('.brag-book-gallery-case-card');
+    cards = (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.getCaseCards)();
   }
 
   // Debug: log the first card's data attributes
@@ -1832,6 +5092,7 @@ window.applyProcedureFilters = function () {
     cards.forEach(card => {
       card.style.display = '';
     });
+    (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.refreshCaseGrid)();
 
     // Filter results element no longer used - removed
 
@@ -1841,146 +5102,154 @@ window.applyProcedureFilters = function () {
     if (loadMoreContainer && loadMoreBtn.hasAttribute('data-start-page')) {
       loadMoreContainer.style.display = '';
     }
+    refreshFilterCounts();
+    (0,_live_region_js__WEBPACK_IMPORTED_MODULE_4__.announceCaseCount)(cards.length);
     return;
   }
 
   // Filter the visible cards based on their data attributes
   let visibleCount = 0;
-  cards.forEach((card, index) => {
-    let show = true;
-    const caseId = card.dataset.caseId;
-
-    // Check age filter
-    if (window.bragBookProcedureFilters.age.length > 0) {
-      const cardAge = parseInt(card.dataset.age);
-      let ageMatch = false;
-      window.bragBookProcedureFilters.age.forEach(range => {
-        if (range === '18-24' && cardAge >= 18 && cardAge < 25) {
-          ageMatch = true;
-        } else if (range === '25-34' && cardAge >= 25 && cardAge < 35) {
-          ageMatch = true;
-        } else if (range === '35-44' && cardAge >= 35 && cardAge < 45) {
-          ageMatch = true;
-        } else if (range === '45-54' && cardAge >= 45 && cardAge < 55) {
-          ageMatch = true;
-        } else if (range === '55-64' && cardAge >= 55 && cardAge < 65) {
-          ageMatch = true;
-        } else if (range === '65+' && cardAge >= 65) {
-          ageMatch = true;
-        }
-      });
-      if (!ageMatch) {
-        show = false;
-      }
-    }
+  cards.forEach(card => {
+    const show = cardMatchesProcedureFilters(card, window.bragBookProcedureFilters);
+
+    // Show/hide card
+    card.style.display = show ? '' : 'none';
+    if (show) visibleCount++;
+  });
+  (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.refreshCaseGrid)();
 
-    // Check gender filter
-    if (show && window.bragBookProcedureFilters.gender.length > 0) {
-      const cardGender = (card.dataset.gender || '').toLowerCase();
-      const filterGenders = window.bragBookProcedureFilters.gender.map(g => g.toLowerCase());
-      if (!filterGenders.includes(cardGender)) {
-        show = false;
+  // Filter results element no longer used - removed
+
+  // Close the details after applying filters and update visual indicator
+  const details = document.getElementById('procedure-filters-details');
+  if (details) {
+    details.open = false;
+    // Add/remove visual indicator based on whether filters are active
+    const toggle = details.querySelector('.brag-book-gallery-filter-dropdown__toggle');
+    if (toggle) {
+      if (hasActiveFilters) {
+        toggle.classList.add('has-active-filters');
+      } else {
+        toggle.classList.remove('has-active-filters');
       }
     }
+  }
 
-    // Check ethnicity filter
-    if (show && window.bragBookProcedureFilters.ethnicity.length > 0) {
-      const cardEthnicity = (card.dataset.ethnicity || '').toLowerCase();
-      const filterEthnicities = window.bragBookProcedureFilters.ethnicity.map(e => e.toLowerCase());
-      if (!filterEthnicities.includes(cardEthnicity)) {
-        show = false;
-      }
+  // Hide Load More button when filters are active, show when no filters
+  const loadMoreBtn = document.querySelector('button[onclick*="loadMoreCases"]') || document.querySelector('.brag-book-gallery-load-more button');
+  const loadMoreContainer = loadMoreBtn ? loadMoreBtn.closest('.brag-book-gallery-load-more-container') || loadMoreBtn.parentElement : null;
+  if (loadMoreContainer) {
+    loadMoreContainer.style.display = hasActiveFilters ? 'none' : '';
+  }
+  refreshFilterCounts();
+  (0,_live_region_js__WEBPACK_IMPORTED_MODULE_4__.announceCaseCount)(visibleCount);
+};
+
+/**
+ * Check a case card against a demographic filter selection
+ * @param {HTMLElement} card - Case card carrying data-age, data-gender, ... attributes
+ * @param {Object} filters - Selection shaped like window.bragBookProcedureFilters
+ * @returns {boolean} Whether the card matches every selected filter type
+ */
+function cardMatchesProcedureFilters(card, filters) {
+  let show = true;
+
+  // Check the age, height and weight ranges (inclusive, in years, inches and
+  // pounds); a card without the value can't be placed in a range
+  const measurements = (0,_range_filter_js__WEBPACK_IMPORTED_MODULE_12__.getCardMeasurements)(card);
+  _range_filter_js__WEBPACK_IMPORTED_MODULE_12__.RANGE_FILTER_TYPES.forEach(type => {
+    if (!show || filters[type].length === 0) return;
+    show = (0,_range_filter_js__WEBPACK_IMPORTED_MODULE_12__.isInRanges)(measurements[type], filters[type]);
+  });
+
+  // Check gender filter
+  if (show && filters.gender.length > 0) {
+    const cardGender = (card.dataset.gender || '').toLowerCase();
+    const filterGenders = filters.gender.map(g => g.toLowerCase());
+    if (!filterGenders.includes(cardGender)) {
+      show = false;
     }
+  }
 
-    // Check height filter
-    if (show && window.bragBookProcedureFilters.height.length > 0) {
-      const cardHeight = parseInt(card.dataset.height);
-      let heightMatch = false;
-      window.bragBookProcedureFilters.height.forEach(range => {
-        if (range === 'Under 5\'0"' && cardHeight < 60) {
-          heightMatch = true;
-        } else if (range === '5\'0" - 5\'3"' && cardHeight >= 60 && cardHeight < 64) {
-          heightMatch = true;
-        } else if (range === '5\'4" - 5\'7"' && cardHeight >= 64 && cardHeight < 68) {
-          heightMatch = true;
-        } else if (range === '5\'8" - 5\'11"' && cardHeight >= 68 && cardHeight < 72) {
-          heightMatch = true;
-        } else if (range === '6\'0" and above' && cardHeight >= 72) {
-          heightMatch = true;
-        }
-      });
-      if (!heightMatch) show = false;
+  // Check ethnicity filter
+  if (show && filters.ethnicity.length > 0) {
+    const cardEthnicity = (card.dataset.ethnicity || '').toLowerCase();
+    const filterEthnicities = filters.ethnicity.map(e => e.toLowerCase());
+    if (!filterEthnicities.includes(cardEthnicity)) {
+      show = false;
     }
+  }
 
-    // Check weight filter
-    if (show && window.bragBookProcedureFilters.weight.length > 0) {
-      const cardWeight = parseInt(card.dataset.weight);
-      let weightMatch = false;
-      window.bragBookProcedureFilters.weight.forEach(range => {
-        // Assume weight is in lbs (matching the ranges we generate)
-        if (range === 'Under 120 lbs' && cardWeight < 120) weightMatch = true;else if (range === '120-149 lbs' && cardWeight >= 120 && cardWeight < 150) weightMatch = true;else if (range === '150-179 lbs' && cardWeight >= 150 && cardWeight < 180) weightMatch = true;else if (range === '180-209 lbs' && cardWeight >= 180 && cardWeight < 210) weightMatch = true;else if (range === '210+ lbs' && cardWeight >= 210) weightMatch = true;
-      });
-      if (!weightMatch) show = false;
-    }
-
-    // Check procedure detail filters
-    if (show && Object.keys(window.bragBookProcedureFilters.procedureDetails).length > 0) {
-      // Check each procedure detail filter type
-      for (const detailName in window.bragBookProcedureFilters.procedureDetails) {
-        const filterValues = window.bragBookProcedureFilters.procedureDetails[detailName];
-        if (filterValues.length > 0) {
-          // Get the card's value for this procedure detail
-          const dataAttrName = 'procedureDetail' + detailName.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
-          const cardValue = (card.dataset[dataAttrName] || '').toLowerCase();
-
-          // Check if the card's value matches any of the selected filter values
-          let detailMatch = false;
-          if (cardValue) {
-            // Handle comma-separated values (for array fields)
-            const cardValues = cardValue.split(',').map(v => v.trim());
-            filterValues.forEach(filterValue => {
-              if (cardValues.includes(filterValue.toLowerCase())) {
-                detailMatch = true;
-              }
-            });
-          }
-          if (!detailMatch) {
-            show = false;
-            break; // No need to check other details if this one doesn't match
-          }
+  // Check procedure detail filters
+  if (show && Object.keys(filters.procedureDetails).length > 0) {
+    // Check each procedure detail filter type
+    for (const detailName in filters.procedureDetails) {
+      const filterValues = filters.procedureDetails[detailName];
+      if (filterValues.length > 0) {
+        // Get the card's value for this procedure detail
+        const dataAttrName = 'procedureDetail' + detailName.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+        const cardValue = (card.dataset[dataAttrName] || '').toLowerCase();
+
+        // Check if the card's value matches any of the selected filter values
+        let detailMatch = false;
+        if (cardValue) {
+          // Handle comma-separated values (for array fields)
+          const cardValues = cardValue.split(',').map(v => v.trim());
+          filterValues.forEach(filterValue => {
+            if (cardValues.includes(filterValue.toLowerCase())) {
+              detailMatch = true;
+            }
+          });
+        }
+        if (!detailMatch) {
+          show = false;
+          break; // No need to check other details if this one doesn't match
         }
       }
     }
+  }
+  return show;
+}
 
-    // Show/hide card
-    card.style.display = show ? '' : 'none';
-    if (show) visibleCount++;
-  });
-
-  // Filter results element no longer used - removed
-
-  // Close the details after applying filters and update visual indicator
+/**
+ * Filter a paged grid on the server and show page 1 of the result
+ * @param {HTMLElement} button - Load More button carrying the view context
+ * @param {Object<string, string[]>} selection - Filter type to selected values
+ * @param {boolean} hasActiveFilters - Whether anything is selected
+ * @returns {Promise} Settles once the grid shows the selection
+ */
+function applyServerFilters(button, selection, hasActiveFilters) {
   const details = document.getElementById('procedure-filters-details');
   if (details) {
     details.open = false;
-    // Add/remove visual indicator based on whether filters are active
-    const toggle = details.querySelector('.brag-book-gallery-filter-dropdown__toggle');
-    if (toggle) {
-      if (hasActiveFilters) {
-        toggle.classList.add('has-active-filters');
-      } else {
-        toggle.classList.remove('has-active-filters');
-      }
-    }
+    details.querySelector('.brag-book-gallery-filter-dropdown__toggle')?.classList.toggle('has-active-filters', hasActiveFilters);
   }
 
-  // Hide Load More button when filters are active, show when no filters
-  const loadMoreBtn = document.querySelector('button[onclick*="loadMoreCases"]') || document.querySelector('.brag-book-gallery-load-more button');
-  const loadMoreContainer = loadMoreBtn ? loadMoreBtn.closest('.brag-book-gallery-load-more-container') || loadMoreBtn.parentElement : null;
-  if (loadMoreContainer) {
-    loadMoreContainer.style.display = hasActiveFilters ? 'none' : '';
+  // Regenerating the panel re-applies the URL selection; when the grid
+  // already shows it (after Load More, or a restored snapshot) there is
+  // nothing to fetch.
+  const filters = hasActiveFilters ? JSON.stringify(selection) : '';
+  if (filters === (button.getAttribute('data-filters') || '')) {
+    return Promise.resolve();
   }
-};
+  return (0,_filtered_cases_js__WEBPACK_IMPORTED_MODULE_11__.fetchFilteredCases)(button, selection).then(data => {
+    if (!data) {
+      return;
+    }
+    refreshFilterCounts();
+    const grid = document.querySelector('.brag-book-gallery-case-grid') || document.querySelector('.brag-book-gallery-cases-grid');
+    if (grid && !data.html) {
+      grid.innerHTML = '<div class="brag-book-gallery-no-cases"><p>No cases match the selected filters.</p></div>';
+    }
+
+    // "Showing 12 of 30" reflects the filtered total, not the loaded cards
+    const countLabel = document.querySelector('.brag-book-gallery-favorite-count-label') || document.querySelector('.cases-count');
+    if (countLabel && /(\d+) of (\d+)/.test(countLabel.textContent)) {
+      countLabel.textContent = 'Showing ' + (data.loadedCases || 0) + ' of ' + (data.totalCases || 0);
+    }
+    (0,_live_region_js__WEBPACK_IMPORTED_MODULE_4__.announceCaseCount)(data.loadedCases || 0, data.totalCases || 0);
+  });
+}
 
 /**
  * Clear all active demographic filters and show all cases
@@ -1991,8 +5260,10 @@ window.clearProcedureFilters = function () {
   checkboxes.forEach(checkbox => {
     checkbox.checked = false;
   });
+  document.querySelectorAll('.brag-book-gallery-filter-range input[type="hidden"]').forEach(_range_filter_js__WEBPACK_IMPORTED_MODULE_12__.resetRangeFilter);
 
-  // 2. Reset global filter state to empty arrays
+  // 2. Reset global filter state to empty arrays, and drop them from the URL
+  (0,_filter_state_js__WEBPACK_IMPORTED_MODULE_10__.writeFiltersToUrl)([]);
   if (window.bragBookProcedureFilters) {
     window.bragBookProcedureFilters.age = [];
     window.bragBookProcedureFilters.gender = [];
@@ -2002,12 +5273,25 @@ window.clearProcedureFilters = function () {
     window.bragBookProcedureFilters.procedureDetails = {};
   }
 
-  // 3. Show all case cards
-  const cards = document.querySelectorAll('.brag-book-gallery-case-card');
+  // 3. Show all case cards; a server-filtered grid is fetched again unfiltered
+  const contextButton = (0,_filtered_cases_js__WEBPACK_IMPORTED_MODULE_11__.getContextButton)();
+  const cards = (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.getCaseCards)();
+  if ((0,_filtered_cases_js__WEBPACK_IMPORTED_MODULE_11__.isServerFiltered)(contextButton)) {
+    (0,_filtered_cases_js__WEBPACK_IMPORTED_MODULE_11__.fetchFilteredCases)(contextButton, {}).then(data => {
+      refreshFilterCounts();
+      if (data) {
+        (0,_live_region_js__WEBPACK_IMPORTED_MODULE_4__.announceCaseCount)(data.loadedCases || 0, data.totalCases || 0);
+      }
+    });
+  } else {
+    refreshFilterCounts();
+    (0,_live_region_js__WEBPACK_IMPORTED_MODULE_4__.announceCaseCount)(cards.length);
+  }
   cards.forEach(card => {
     card.style.display = '';
     card.style.visibility = '';
   });
+  (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.refreshCaseGrid)();
 
   // 4. Remove has-active-filters class from wrapper
   const galleryWrapper = document.querySelector('.brag-book-gallery-wrapper');
@@ -2165,8 +5449,7 @@ window.loadCaseDetailsWithName = function (caseId, procedureId, procedureSlug, p
   // Prepare request parameters
   const requestParams = {
     action: 'brag_book_gallery_load_case_details',
-    case_id: caseId,
-    nonce: bragBookGalleryConfig.nonce
+    case_id: caseId
   };
 
   // Add procedure ID if provided
@@ -2190,13 +5473,11 @@ window.loadCaseDetailsWithName = function (caseId, procedureId, procedureSlug, p
   }
 
   // Make AJAX request to load case details
-  fetch(bragBookGalleryConfig.ajaxUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: new URLSearchParams(requestParams)
-  }).then(response => response.json()).then(data => {
+  (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_9__.postAjax)(requestParams, {
+    url: bragBookGalleryConfig.ajaxUrl,
+    key: _ajax_client_js__WEBPACK_IMPORTED_MODULE_9__.CASE_DETAILS_REQUEST,
+    idempotent: true
+  }).then(data => {
     if (data.success) {
       galleryContent.innerHTML = data.data.html;
 
@@ -2204,13 +5485,13 @@ window.loadCaseDetailsWithName = function (caseId, procedureId, procedureSlug, p
       const wrapper = document.querySelector('.brag-book-gallery-wrapper');
       if (wrapper) {
         wrapper.scrollIntoView({
-          behavior: 'smooth',
+          behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_7__.scrollBehavior)(),
           block: 'start'
         });
       } else {
         // Fallback to scrolling to gallery content
         galleryContent.scrollIntoView({
-          behavior: 'smooth',
+          behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_7__.scrollBehavior)(),
           block: 'start'
         });
       }
@@ -2228,8 +5509,11 @@ window.loadCaseDetailsWithName = function (caseId, procedureId, procedureSlug, p
       galleryContent.innerHTML = '<div class="brag-book-gallery-error">Failed to load case details: ' + errorMessage + '</div>';
     }
   }).catch(error => {
+    if ((0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_9__.isSuperseded)(error)) {
+      return;
+    }
     console.error('Error loading case details:', error);
-    galleryContent.innerHTML = '<div class="brag-book-gallery-error">Error loading case details. Please try again.</div>';
+    galleryContent.innerHTML = '<div class="brag-book-gallery-error">' + (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_9__.getErrorMessage)(error, 'Error loading case details. Please try again.') + '</div>';
   });
 };
 
@@ -2245,52 +5529,20 @@ window.loadMoreCases = function (button) {
 
   // Get data from button attributes
   const startPage = button.getAttribute('data-start-page');
-  const procedureIds = button.getAttribute('data-procedure-ids');
   const procedureName = button.getAttribute('data-procedure-name') || '';
-
-  // Check if there's an active procedure filter with nudity
-  let hasNudity = false;
-  const activeFilterLink = document.querySelector('.brag-book-gallery-nav-link.brag-book-gallery-active');
-  if (activeFilterLink && activeFilterLink.dataset.nudity === 'true') {
-    hasNudity = true;
-  }
-
-  // Get all currently loaded case IDs to prevent duplicates
-  const loadedCases = document.querySelectorAll('[data-case-id]');
-  const loadedIds = Array.from(loadedCases).map(el => el.getAttribute('data-case-id')).filter(Boolean);
-  loadMoreCasesViaAjax(button, startPage, procedureIds, procedureName, hasNudity, loadedIds, originalText);
+  loadMoreCasesViaAjax(button, startPage, procedureName, originalText);
 };
 
 /**
  * Load the next page of cases from the server, which returns rendered card HTML
  */
-function loadMoreCasesViaAjax(button, startPage, procedureIds, procedureName, hasNudity, loadedIds, originalText) {
-  // Get AJAX configuration
-  const nonce = window.bragBookGalleryConfig?.nonce || '';
-  const ajaxUrl = window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php';
-
-  // Get current procedure context from active nav link
-  const activeLink = document.querySelector('.brag-book-gallery-nav-link.brag-book-gallery-active');
-  const currentProcedureId = activeLink?.dataset.procedureId || '';
-  const currentTermId = activeLink?.dataset.termId || '';
-
-  // Prepare AJAX data
-  const formData = new FormData();
-  formData.append('action', 'brag_book_gallery_load_more_cases');
-  formData.append('nonce', nonce);
-  formData.append('start_page', startPage);
-  formData.append('procedure_ids', procedureIds);
-  formData.append('procedure_name', procedureName);
-  formData.append('has_nudity', hasNudity ? '1' : '0');
-  formData.append('loaded_ids', loadedIds.join(','));
-  formData.append('current_procedure_id', currentProcedureId);
-  formData.append('current_term_id', currentTermId);
-
-  // Make AJAX request
-  fetch(ajaxUrl, {
-    method: 'POST',
-    body: formData
-  }).then(response => response.json()).then(data => {
+function loadMoreCasesViaAjax(button, startPage, procedureName, originalText) {
+  (0,_gallery_data_js__WEBPACK_IMPORTED_MODULE_8__.getGalleryData)('/cases', {
+    start_page: startPage,
+    procedure_name: procedureName
+  }, {
+    key: _ajax_client_js__WEBPACK_IMPORTED_MODULE_9__.GRID_PAGE_REQUEST
+  }).then(data => {
     if (data.success) {
       processLoadMoreResult(data, button, originalText, startPage);
     } else {
@@ -2300,10 +5552,13 @@ function loadMoreCasesViaAjax(button, startPage, procedureIds, procedureName, ha
       alert('Failed to load more cases. Please try again.');
     }
   }).catch(error => {
-    console.error('AJAX fallback error loading more cases:', error);
     button.disabled = false;
     button.textContent = originalText;
-    alert('Error loading more cases. Please check your connection and try again.');
+    if ((0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_9__.isSuperseded)(error)) {
+      return;
+    }
+    console.error('AJAX fallback error loading more cases:', error);
+    alert((0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_9__.getErrorMessage)(error, 'Error loading more cases. Please try again.'));
   });
 }
 
@@ -2318,7 +5573,7 @@ function scrollToGalleryWrapper() {
     const offsetTop = wrapper.getBoundingClientRect().top + window.pageYOffset - 20;
     window.scrollTo({
       top: offsetTop,
-      behavior: 'smooth'
+      behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_7__.scrollBehavior)()
     });
   }
 }
@@ -2370,6 +5625,13 @@ function processLoadMoreResult(result, button, originalText, startPage) {
 
   // Update button for next load
   const newCasesLoaded = data.casesLoaded || 0;
+  if (container) {
+    (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.syncVirtualGrid)();
+  }
+  (0,_analytics_js__WEBPACK_IMPORTED_MODULE_1__.track)('load_more', {
+    page: parseInt(startPage, 10),
+    cases: container ? (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.countCaseCards)(container) : 0
+  });
   if (data.hasMore && newCasesLoaded > 0) {
     // Increment page by 1 since we load 1 page at a time
     button.setAttribute('data-start-page', parseInt(startPage) + 1);
@@ -2388,7 +5650,7 @@ function processLoadMoreResult(result, button, originalText, startPage) {
     const countLabel = document.querySelector('.brag-book-gallery-favorite-count-label') || document.querySelector('.cases-count') || document.querySelector('[class*="count-label"]');
     if (countLabel) {
       // Count only the gallery case cards, not all elements with data-case-id
-      const currentShown = container.querySelectorAll('.brag-book-gallery-case-card').length;
+      const currentShown = (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.countCaseCards)(container);
       const match = countLabel.textContent.match(/(\d+) of (\d+)/);
       if (match) {
         const total = match[2];
@@ -2450,8 +5712,8 @@ function updateFilterBadges() {
   // Always clear all existing badges first
   activeFiltersSection.innerHTML = '';
 
-  // Get checked demographic filter checkboxes directly from the DOM
-  const checkedFilters = document.querySelectorAll('.brag-book-gallery-filter-option input[type="checkbox"]:checked');
+  // Get checked demographic filter checkboxes and narrowed ranges directly from the DOM
+  const checkedFilters = (0,_filter_state_js__WEBPACK_IMPORTED_MODULE_10__.getActiveFilterInputs)();
   if (checkedFilters.length === 0) {
     // Hide the active filters section when no filters are applied
     activeFiltersSection.style.display = 'none';
@@ -2471,8 +5733,10 @@ function updateFilterBadges() {
   checkedFilters.forEach(checkbox => {
     const filterType = checkbox.dataset.filterType;
     const filterValue = checkbox.value;
-    const label = checkbox.parentNode.querySelector('label');
-    const displayValue = label ? label.textContent.trim() : filterValue;
+    // The label's leading text is the option name (its count follows it);
+    // ranges have no label and show their bounds in their units
+    const label = checkbox.type === 'checkbox' ? checkbox.parentNode.querySelector('label') : null;
+    const displayValue = label ? label.firstChild.textContent.trim() : (0,_range_filter_js__WEBPACK_IMPORTED_MODULE_12__.formatRange)(filterType, filterValue);
     const badge = document.createElement('div');
     badge.className = 'brag-book-gallery-filter-badge';
     badge.setAttribute('data-filter-key', `${filterType}:${filterValue}`);
@@ -2491,8 +5755,8 @@ function updateFilterBadges() {
       displayType = filterType.charAt(0).toUpperCase() + filterType.slice(1);
     }
     badge.innerHTML = `
-			<span class="brag-book-gallery-badge-text">${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(displayType)}: ${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(displayValue)}</span>
-			<button class="brag-book-gallery-badge-remove" aria-label="Remove ${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(displayType)}: ${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(displayValue)} filter">
+			<span class="brag-book-gallery-badge-text">${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_3__.escapeHtml)(displayType)}: ${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_3__.escapeHtml)(displayValue)}</span>
+			<button class="brag-book-gallery-badge-remove" aria-label="Remove ${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_3__.escapeHtml)(displayType)}: ${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_3__.escapeHtml)(displayValue)} filter">
 				<svg width="14" height="14" viewBox="0 0 14 14" fill="currentColor">
 					<path d="M13 1L1 13M1 1l12 12" stroke="currentColor" stroke-width="2" stroke-linecap="round"></path>
 				</svg>
@@ -2536,10 +5800,10 @@ function updateFilterBadges() {
         });
 
         // Show all cards
-        const cards = document.querySelectorAll('.brag-book-gallery-case-card');
-        cards.forEach(card => {
+        (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.getCaseCards)().forEach(card => {
           card.style.display = '';
         });
+        (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.refreshCaseGrid)();
 
         // Hide active filters section
         const activeFiltersSection = document.querySelector('.brag-book-gallery-active-filters');
@@ -2588,7 +5852,10 @@ window.removeFilterBadge = function (filterType, filterValue) {
       foundCheckbox = cb;
     }
   });
-  if (foundCheckbox) {
+  if (foundCheckbox && foundCheckbox.type === 'hidden') {
+    // A range filter goes back to the whole data set
+    (0,_range_filter_js__WEBPACK_IMPORTED_MODULE_12__.resetRangeFilter)(foundCheckbox);
+  } else if (foundCheckbox) {
     foundCheckbox.checked = false;
   }
 
@@ -2633,70 +5900,9 @@ window.bragBookSetImageAspectRatio = function (img) {
 
 /**
  * Initialize infinite scroll functionality for automatic content loading
- * Triggers load more when user scrolls near bottom of page
+ * (see infinite-scroll.js)
  */
-window.initInfiniteScroll = function () {
-  // Check if infinite scroll is enabled
-  const infiniteScrollEnabled = window.bragBookGalleryConfig?.infiniteScroll === 'yes';
-  if (!infiniteScrollEnabled) {
-    return;
-  }
-  let isLoading = false;
-  let scrollTimeout;
-  const handleScroll = () => {
-    // Clear previous timeout
-    clearTimeout(scrollTimeout);
-
-    // Debounce scroll events
-    scrollTimeout = setTimeout(() => {
-      // Don't trigger if already loading
-      if (isLoading) return;
-
-      // Find the Load More button - look for button with onclick="loadMoreCases(this)"
-      const loadMoreButton = document.querySelector('button[onclick*="loadMoreCases"]') || document.querySelector('.brag-book-gallery-load-more button');
-      if (!loadMoreButton || loadMoreButton.disabled || loadMoreButton.style.display === 'none') {
-        return;
-      }
-
-      // Check if button's container is hidden
-      const buttonContainer = loadMoreButton.closest('.brag-book-gallery-load-more-container');
-      if (buttonContainer && buttonContainer.style.display === 'none') {
-        return;
-      }
-
-      // Calculate scroll position
-      const scrollPosition = window.innerHeight + window.scrollY;
-      const documentHeight = document.documentElement.offsetHeight;
-      const triggerPoint = documentHeight - 800; // Trigger 800px before bottom
-
-      // Check if we've scrolled far enough
-      if (scrollPosition >= triggerPoint) {
-        isLoading = true;
-
-        // Trigger the load more function
-        loadMoreButton.click();
-
-        // Reset loading flag after a delay
-        setTimeout(() => {
-          isLoading = false;
-        }, 1000);
-      }
-    }, 100); // 100ms debounce
-  };
-
-  // Add scroll event listener
-  window.addEventListener('scroll', handleScroll, {
-    passive: true
-  });
-
-  // Also check on resize
-  window.addEventListener('resize', handleScroll, {
-    passive: true
-  });
-
-  // Store reference for cleanup if needed
-  window.infiniteScrollHandler = handleScroll;
-};
+window.initInfiniteScroll = _infinite_scroll_js__WEBPACK_IMPORTED_MODULE_5__.initInfiniteScroll;
 
 /**
  * Immediately hide filter results on page load (before DOMContentLoaded)
@@ -2746,121 +5952,30 @@ window.initInfiniteScroll = function () {
  */
 let nudityManager; // Nudity warning manager instance
 let phoneFormatter; // Phone number formatter instance
-let allCasesData = []; // Cache for all loaded cases data
-let currentDisplayedCases = 0; // Track how many cases are currently displayed
-
-/**
- * Initialize case pagination system - load all data via XHR and manage display
- */
-function initializeCasePagination() {
-  // Check if we're on a cases page that should use pagination
-  const caseGrid = document.querySelector('.brag-book-gallery-case-grid, .brag-book-gallery-cases-grid');
-  if (!caseGrid) return;
-
-  // Check if there are already cases rendered server-side
-  const existingCases = caseGrid.querySelectorAll('.brag-book-gallery-case-card');
-  currentDisplayedCases = existingCases.length;
-
-  // Load all cases via AJAX for the current procedure
-  loadAllCasesForPagination();
-}
-
-/**
- * Load all cases for the current procedure via AJAX
- */
-async function loadAllCasesForPagination() {
-  const activeLink = document.querySelector('.brag-book-gallery-nav-link.brag-book-gallery-active');
-  if (!activeLink) return;
-  const procedureIds = activeLink.dataset.procedureIds;
-  const procedureName = activeLink.textContent.trim().replace(/\(\d+\)$/, '').trim();
-  if (!procedureIds) return;
-  try {
-    // Get AJAX configuration
-    const ajaxUrl = window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php';
-    const nonce = window.bragBookGalleryConfig?.nonce || '';
-
-    // Prepare request data to load ALL cases for this procedure
-    const formData = new FormData();
-    formData.append('action', 'brag_book_gallery_load_more_cases');
-    formData.append('nonce', nonce);
-    formData.append('procedure_ids', procedureIds);
-    formData.append('procedure_name', procedureName);
-    formData.append('load_all', '1'); // Signal to load all cases
-    formData.append('has_nudity', activeLink.dataset.nudity === 'true' ? '1' : '0');
-    const response = await fetch(ajaxUrl, {
-      method: 'POST',
-      body: formData
-    });
-    const result = await response.json();
-    if (result.success && result.data) {
-      // Store all cases data
-      allCasesData = result.data;
-
-      // Update load more button visibility
-      updateLoadMoreButton();
-    } else {
-      console.error('Failed to load cases data:', result);
-    }
-  } catch (error) {
-    console.error('Failed to load cases for pagination:', error);
-  }
-}
 
 /**
  * Simplified load more function that uses server-side pagination
+ *
+ * @param {HTMLElement} button - The Load More button
+ * @param {Object} options - Load options
+ * @param {boolean} options.scroll - False keeps the viewport where it is (default: true)
+ * @param {boolean} options.replay - True for a page the router loads again to rebuild a saved depth, which is neither tracked nor announced (default: false)
+ * @returns {Promise<boolean>} Resolves true once the page is in the grid, false on failure
  */
-window.loadMoreCasesFromCache = function (button) {
+window.loadMoreCasesFromCache = function (button, options = {}) {
   // Disable button and show loading state
   button.disabled = true;
   const originalText = button.textContent;
   button.textContent = 'Loading...';
 
-  // Get data from button attributes. The full view context (provider /
-  // location / procedure) is stamped on the button by the server render and by
-  // the provider/location filters, so pagination stays within the active view.
+  // The full view context (provider / location / procedure, and any
+  // demographic filters) is stamped on the button by the server render, the
+  // provider/location filters and the filter panel, so pagination stays
+  // within the active view.
   const startPage = button.getAttribute('data-start-page') || '2';
-  const procedureIds = button.getAttribute('data-procedure-ids') || '';
-  const procedureName = button.getAttribute('data-procedure-name') || '';
-  const termId = button.getAttribute('data-term-id') || '';
-  const providerId = button.getAttribute('data-provider-id') || '';
-  const providerSlug = button.getAttribute('data-provider-slug') || '';
-  const lat = button.getAttribute('data-lat') || '';
-  const lng = button.getAttribute('data-lng') || '';
-  // Seeded shuffle for a randomised grid: the same seed keeps later pages in
-  // the order the first page was drawn from.
-  const randomSeed = button.getAttribute('data-random-seed') || '';
-
-  // Get AJAX configuration
-  const ajaxUrl = window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php';
-  const nonce = window.bragBookGalleryConfig?.nonce || '';
-
-  // Get current procedure context from active nav link (fallback when the
-  // button has no explicit term id, e.g. legacy server renders).
-  const activeLink = document.querySelector('.brag-book-gallery-nav-link.brag-book-gallery-active');
-  const currentProcedureId = activeLink?.dataset.procedureId || '';
-  const currentTermId = activeLink?.dataset.termId || '';
-
-  // Prepare request data for server-side pagination
-  const formData = new FormData();
-  formData.append('action', 'brag_book_gallery_load_more_cases');
-  formData.append('nonce', nonce);
-  formData.append('start_page', startPage);
-  formData.append('procedure_ids', procedureIds);
-  formData.append('procedure_name', procedureName);
-  formData.append('term_id', termId || currentTermId);
-  formData.append('provider_id', providerId);
-  formData.append('provider_slug', providerSlug);
-  formData.append('lat', lat);
-  formData.append('lng', lng);
-  formData.append('random_seed', randomSeed);
-  formData.append('current_procedure_id', currentProcedureId);
-  formData.append('current_term_id', currentTermId);
-
-  // Make AJAX request
-  fetch(ajaxUrl, {
-    method: 'POST',
-    body: formData
-  }).then(response => response.json()).then(result => {
+  return (0,_gallery_data_js__WEBPACK_IMPORTED_MODULE_8__.getGalleryData)('/cases', (0,_filtered_cases_js__WEBPACK_IMPORTED_MODULE_11__.buildContextRequest)(button, startPage), {
+    key: _ajax_client_js__WEBPACK_IMPORTED_MODULE_9__.GRID_PAGE_REQUEST
+  }).then(result => {
     if (result.success && result.data && result.data.html) {
       // Find the cases grid container
       let container = document.querySelector('.brag-book-gallery-case-grid');
@@ -2868,6 +5983,8 @@ window.loadMoreCasesFromCache = function (button) {
         container = document.querySelector('.brag-book-gallery-cases-grid');
       }
       if (container) {
+        const before = (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.countCaseCards)(container);
+
         // Find the last case card and insert after it
         const lastCard = container.querySelector('.brag-book-gallery-case-card:last-child');
         if (lastCard) {
@@ -2875,14 +5992,31 @@ window.loadMoreCasesFromCache = function (button) {
         } else {
           container.insertAdjacentHTML('beforeend', result.data.html);
         }
+        if (options.scroll !== false) {
+          scrollToGalleryWrapper();
+        }
 
-        // Scroll to gallery wrapper after loading items
-        scrollToGalleryWrapper();
+        // Enough cards now and the grid only keeps the rows in view
+        (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.syncVirtualGrid)();
+
+        // A page the router replays was counted and announced when
+        // first loaded.
+        const shown = (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_6__.countCaseCards)(container);
+        if (!options.replay) {
+          (0,_analytics_js__WEBPACK_IMPORTED_MODULE_1__.track)('load_more', {
+            page: parseInt(startPage, 10),
+            cases: shown
+          });
+          (0,_live_region_js__WEBPACK_IMPORTED_MODULE_4__.announceCasesLoaded)(shown - before, shown, result.data.totalCases || shown);
+        }
 
         // Update button for next page
         const nextPage = parseInt(startPage) + 1;
         button.setAttribute('data-start-page', nextPage.toString());
 
+        // The router keeps ?page=N in step for a reload or a shared link
+        window.bragBookGalleryRouter?.setDepth(nextPage - 1);
+
         // Check if there are more pages
         if (result.data.hasMore === false) {
           button.style.display = 'none';
@@ -2890,16 +6024,22 @@ window.loadMoreCasesFromCache = function (button) {
           button.disabled = false;
           button.textContent = originalText;
         }
+        return true;
       }
     } else {
       console.error('Load more failed:', result);
-      button.disabled = false;
-      button.textContent = originalText;
     }
+    button.disabled = false;
+    button.textContent = originalText;
+    return false;
   }).catch(error => {
-    console.error('Load more error:', error);
+    // A filter that replaced the grid aborts the page meant for the old one
+    if (!(0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_9__.isSuperseded)(error)) {
+      console.error('Load more error:', error);
+    }
     button.disabled = false;
     button.textContent = originalText;
+    return false;
   });
 };
 
@@ -2932,6 +6072,10 @@ window.bragBookGalleryUpdateLoadMoreContext = function (context, hasMore) {
       display: button.style.display || ''
     });
   }
+
+  // The new view starts unfiltered; the panel is rebuilt for it below and
+  // re-applies any demographic selection.
+  button.removeAttribute('data-filters');
   if (context === null) {
     const orig = JSON.parse(button.dataset.originalContext);
     button.setAttribute('data-start-page', orig.startPage);
@@ -2944,6 +6088,8 @@ window.bragBookGalleryUpdateLoadMoreContext = function (context, hasMore) {
     button.setAttribute('data-lng', orig.lng);
     button.style.display = orig.display;
     button.disabled = false;
+    window.bragBookGalleryRouter?.setDepth(parseInt(orig.startPage, 10) - 1);
+    window.regenerateProcedureFilters();
     return;
   }
 
@@ -2961,22 +6107,9 @@ window.bragBookGalleryUpdateLoadMoreContext = function (context, hasMore) {
   button.setAttribute('data-lng', context.lng ?? '');
   button.disabled = false;
   button.style.display = hasMore ? '' : 'none';
+  window.bragBookGalleryRouter?.setDepth(1);
+  window.regenerateProcedureFilters();
 };
-
-/**
- * Update load more button visibility and state
- */
-function updateLoadMoreButton() {
-  const loadMoreBtn = document.querySelector('.brag-book-gallery-button--load-more');
-  if (!loadMoreBtn) return;
-  if (allCasesData.length > currentDisplayedCases) {
-    loadMoreBtn.style.display = '';
-    // Update the onclick to use our new cached function
-    loadMoreBtn.setAttribute('onclick', 'loadMoreCasesFromCache(this)');
-  } else {
-    loadMoreBtn.style.display = 'none';
-  }
-}
 document.addEventListener('DOMContentLoaded', () => {
   // Clean up any server-generated procedure badges first
   cleanupProcedureBadges();
@@ -2989,13 +6122,13 @@ document.addEventListener('DOMContentLoaded', () => {
     oldBadgesContainer.remove();
   }
   new _main_app_js__WEBPACK_IMPORTED_MODULE_0__["default"]();
-  nudityManager = new _utilities_js__WEBPACK_IMPORTED_MODULE_2__.NudityWarningManager();
-  phoneFormatter = new _utilities_js__WEBPACK_IMPORTED_MODULE_2__.PhoneFormatter();
+  nudityManager = new _utilities_js__WEBPACK_IMPORTED_MODULE_3__.NudityWarningManager();
+  phoneFormatter = new _utilities_js__WEBPACK_IMPORTED_MODULE_3__.PhoneFormatter();
 
   // Initialize carousels
   const carouselElements = document.querySelectorAll('.brag-book-gallery-carousel-wrapper');
   if (carouselElements.length > 0) {
-    new _carousel_js__WEBPACK_IMPORTED_MODULE_1__["default"]({});
+    new _carousel_js__WEBPACK_IMPORTED_MODULE_2__["default"]({});
   }
 
   // Initialize procedure referrer tracking for combo procedures
@@ -3033,7 +6166,7 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   // Initialize infinite scroll if enabled
-  initInfiniteScroll();
+  (0,_infinite_scroll_js__WEBPACK_IMPORTED_MODULE_5__.initInfiniteScroll)();
 });
 
 // Initialize on page load
@@ -3044,6 +6177,16 @@ document.addEventListener('DOMContentLoaded', function () {
   setTimeout(function () {
     initializeProcedureFilters();
 
+    // Let anything waiting to re-check saved filters (the gallery router)
+    // know the options now exist. The grid is revealed here too in case no
+    // filter panel was rendered to apply URL filters to; otherwise the
+    // panel reveals it once URL filters are applied.
+    if (!document.getElementById('procedure-filters-details')) {
+      (0,_filter_state_js__WEBPACK_IMPORTED_MODULE_10__.clearFiltersPending)();
+    }
+    window.bragBookGalleryFiltersReady = true;
+    window.dispatchEvent(new CustomEvent('bragbook:filtersready'));
+
     // Case navigation is now handled with anchor links, no JavaScript needed
 
     // Check if we need to load a case on initial page load
@@ -3138,6 +6281,319 @@ document.addEventListener('click', function (e) {
 
 /***/ }),
 
+/***/ "./src/js/modules/infinite-scroll.js":
+/*!*******************************************!*\
+  !*** ./src/js/modules/infinite-scroll.js ***!
+  \*******************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   initInfiniteScroll: function() { return /* binding */ initInfiniteScroll; }
+/* harmony export */ });
+/* harmony import */ var _motion_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./motion.js */ "./src/js/modules/motion.js");
+/**
+ * Infinite Scroll
+ *
+ * With infinite scroll turned on, the next page of cases loads as the
+ * visitor nears the end of the grid instead of on a Load More click. An
+ * IntersectionObserver watches a sentinel placed just before the Load More
+ * button, and the next page is requested only once the previous one is in
+ * the grid, so a fast scroll can never ask for the same page twice.
+ *
+ * The Load More button stays the one source of truth: it carries the view
+ * context and the next page, and loadMoreCasesFromCache() does the loading,
+ * records ?page=N through the router and announces the new cases to screen
+ * readers. The server renders the button hidden when infinite scroll is on.
+ * It comes back if a page fails to load, so the visitor can retry, and
+ * for good in a browser without IntersectionObserver.
+ *
+ * A Back to top button appears once the visitor is a screen or more down
+ * the grid.
+ */
+
+
+const BUTTON_SELECTOR = '.brag-book-gallery-button--load-more';
+const CONTAINER_SELECTOR = '.brag-book-gallery-load-more-container';
+
+// Hides the Load More button while the sentinel stands in for it.
+const AUTO_CLASS = 'brag-book-gallery-load-more-container--auto';
+
+// How far below the viewport the sentinel starts the next page, so it is
+// usually in the grid before the visitor reaches the end.
+const ROOT_MARGIN = '0px 0px 800px 0px';
+let initialized = false;
+let loading = false;
+let sentinel = null;
+let observer = null;
+let watcher = null;
+let backToTop = null;
+
+/**
+ * Have the observer report the sentinel's position again
+ *
+ * It only reports changes, so a sentinel that stayed in range while the
+ * grid changed under it would otherwise never load the next page.
+ */
+function recheck() {
+  observer.unobserve(sentinel);
+  observer.observe(sentinel);
+}
+
+/**
+ * Load the next page if the view has one and none is on its way
+ */
+async function loadNext() {
+  const button = document.querySelector(BUTTON_SELECTOR);
+  const container = button?.closest(CONTAINER_SELECTOR);
+
+  // A hidden button has no more pages; a hidden container means the cards
+  // are being filtered in the browser, where more pages would not match.
+  if (loading || !container || button.disabled || button.style.display === 'none' || container.style.display === 'none') {
+    return;
+  }
+  loading = true;
+  const loaded = await window.loadMoreCasesFromCache(button, {
+    scroll: false
+  });
+  loading = false;
+
+  // After a failure the button is back for the visitor to retry; the
+  // sentinel takes over again with the next page that loads.
+  container.classList.toggle(AUTO_CLASS, loaded);
+  if (!loaded) {
+    return;
+  }
+
+  // A page too short to push the sentinel out of range loads the next one
+  recheck();
+}
+
+/**
+ * Put the sentinel before the Load More button and start watching it
+ *
+ * Safe to call again after the grid is rebuilt: a sentinel that is still in
+ * the document is left alone.
+ */
+function attach() {
+  const container = document.querySelector(BUTTON_SELECTOR)?.closest(CONTAINER_SELECTOR);
+  if (!container) {
+    return;
+  }
+  container.classList.add(AUTO_CLASS);
+
+  // A filter or a new view points the button at a fresh list, which may
+  // have more pages where the last had none.
+  watcher.disconnect();
+  watcher.observe(container, {
+    attributeFilter: ['style']
+  });
+  watcher.observe(container.querySelector(BUTTON_SELECTOR), {
+    attributeFilter: ['style', 'data-start-page']
+  });
+  if (sentinel?.isConnected && sentinel.nextElementSibling === container) {
+    return;
+  }
+  sentinel?.remove();
+  sentinel = document.createElement('div');
+  sentinel.className = 'brag-book-gallery-infinite-sentinel';
+  sentinel.setAttribute('aria-hidden', 'true');
+  container.before(sentinel);
+  observer.disconnect();
+  observer.observe(sentinel);
+}
+
+/**
+ * Create the Back to top button, hidden until the visitor scrolls down
+ */
+function createBackToTop() {
+  const wrapper = document.querySelector('.brag-book-gallery-wrapper');
+  if (!wrapper) {
+    return;
+  }
+  backToTop = document.createElement('button');
+  backToTop.type = 'button';
+  backToTop.className = 'brag-book-gallery-back-to-top';
+  backToTop.hidden = true;
+  backToTop.innerHTML = `
+		<svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" width="20" height="20">
+			<path fill="currentColor" d="M12 4l-8 8 1.41 1.41L11 7.83V20h2V7.83l5.58 5.59L20 12z"/>
+		</svg>
+		<span>Back to top</span>
+	`;
+  backToTop.addEventListener('click', () => {
+    const top = wrapper.getBoundingClientRect().top + window.scrollY - 20;
+    window.scrollTo({
+      top: Math.max(0, top),
+      behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_0__.scrollBehavior)()
+    });
+
+    // Focus follows, so the next Tab starts from the top of the gallery
+    // rather than from wherever the button was.
+    if (!wrapper.hasAttribute('tabindex')) {
+      wrapper.setAttribute('tabindex', '-1');
+    }
+    wrapper.focus({
+      preventScroll: true
+    });
+  });
+  wrapper.appendChild(backToTop);
+  let frame = null;
+  const update = () => {
+    frame = null;
+    backToTop.hidden = window.scrollY < window.innerHeight;
+  };
+  window.addEventListener('scroll', () => {
+    if (!frame) {
+      frame = requestAnimationFrame(update);
+    }
+  }, {
+    passive: true
+  });
+  update();
+}
+
+/**
+ * Turn on infinite scroll, once for the page, if the gallery settings ask
+ * for it
+ */
+function initInfiniteScroll() {
+  if (initialized || window.bragBookGalleryConfig?.infiniteScroll !== 'yes') {
+    return;
+  }
+
+  // Without an observer the Load More button does the job
+  if (!('IntersectionObserver' in window) || typeof window.loadMoreCasesFromCache !== 'function') {
+    document.querySelectorAll(`.${AUTO_CLASS}`).forEach(container => container.classList.remove(AUTO_CLASS));
+    return;
+  }
+  initialized = true;
+  observer = new IntersectionObserver(entries => {
+    if (entries.some(entry => entry.isIntersecting)) {
+      loadNext();
+    }
+  }, {
+    rootMargin: ROOT_MARGIN
+  });
+  watcher = new MutationObserver(() => {
+    if (!loading && sentinel) {
+      recheck();
+    }
+  });
+  attach();
+  createBackToTop();
+
+  // Back/forward can put back a grid, and with it a Load More button,
+  // that the sentinel is not next to.
+  window.addEventListener('bragbook:routechange', attach);
+}
+
+/***/ }),
+
+/***/ "./src/js/modules/live-region.js":
+/*!***************************************!*\
+  !*** ./src/js/modules/live-region.js ***!
+  \***************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   announce: function() { return /* binding */ announce; },
+/* harmony export */   announceCaseCount: function() { return /* binding */ announceCaseCount; },
+/* harmony export */   announceCasesLoaded: function() { return /* binding */ announceCasesLoaded; }
+/* harmony export */ });
+/**
+ * Screen Reader Announcements
+ *
+ * One polite live region for the page, so a screen reader hears what a
+ * filter or a procedure change did to the grid ("24 cases shown") without
+ * losing its place. The region is found by ID, so the copies of this module
+ * in the lazy chunks all speak through the same one.
+ */
+
+const REGION_ID = 'brag-book-gallery-live-region';
+
+// Pause between creating or clearing the region and filling it: a screen
+// reader only announces changes to a region it has already seen, and the
+// same message twice in a row would otherwise be no change at all.
+const ANNOUNCE_DELAY = 100;
+let pending = null;
+
+/**
+ * The page's live region, created on first use
+ *
+ * @returns {HTMLElement}
+ */
+function getRegion() {
+  let region = document.getElementById(REGION_ID);
+  if (!region) {
+    region = document.createElement('div');
+    region.id = REGION_ID;
+    region.className = 'sr-only';
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(region);
+  }
+  return region;
+}
+
+/**
+ * Announce a message to screen readers without moving focus
+ *
+ * A message replaces one still waiting to be read.
+ *
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+  const region = getRegion();
+  clearTimeout(pending);
+  region.textContent = '';
+  pending = setTimeout(() => {
+    region.textContent = message;
+  }, ANNOUNCE_DELAY);
+}
+
+/**
+ * How many cases the grid shows, as a sentence
+ *
+ * @param {number} count - Cases shown
+ * @param {number} total - Cases the filters match
+ * @returns {string}
+ */
+function caseCountMessage(count, total) {
+  const noun = total === 1 ? 'case' : 'cases';
+  if (total === 0) {
+    return 'No cases match the selected filters.';
+  }
+  return total > count ? `${count} of ${total} ${noun} shown` : `${count} ${noun} shown`;
+}
+
+/**
+ * Announce how many cases the grid now shows
+ *
+ * @param {number} count - Cases shown
+ * @param {number} [total] - Cases the filters match, when only some are loaded
+ */
+function announceCaseCount(count, total = count) {
+  announce(caseCountMessage(count, total));
+}
+
+/**
+ * Announce a page of cases added to the bottom of the grid
+ *
+ * @param {number} added - Cases the page added
+ * @param {number} count - Cases shown now
+ * @param {number} [total] - Cases the view has in all, when known
+ */
+function announceCasesLoaded(added, count, total = count) {
+  const noun = added === 1 ? 'case' : 'cases';
+  const summary = count >= total ? `All ${total} ${total === 1 ? 'case' : 'cases'} shown` : caseCountMessage(count, total);
+  announce(`${added} more ${noun} loaded. ${summary}.`);
+}
+
+/***/ }),
+
 /***/ "./src/js/modules/main-app.js":
 /*!************************************!*\
   !*** ./src/js/modules/main-app.js ***!
@@ -3145,10 +6601,42 @@ document.addEventListener('click', function (e) {
 /***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
 
 __webpack_require__.r(__webpack_exports__);
-/* harmony import */ var _dialog_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./dialog.js */ "./src/js/modules/dialog.js");
-/* harmony import */ var _mobile_menu_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./mobile-menu.js */ "./src/js/modules/mobile-menu.js");
-/* harmony import */ var _utilities_js__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./utilities.js */ "./src/js/modules/utilities.js");
-/* harmony import */ var _gallery_selector_js__WEBPACK_IMPORTED_MODULE_3__ = __webpack_require__(/*! ./gallery-selector.js */ "./src/js/modules/gallery-selector.js");
+/* harmony import */ var _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./ajax-client.js */ "./src/js/modules/ajax-client.js");
+/* harmony import */ var _analytics_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./analytics.js */ "./src/js/modules/analytics.js");
+/* harmony import */ var _before_after_slider_js__WEBPACK_IMPORTED_MODULE_2__ = __webpack_require__(/*! ./before-after-slider.js */ "./src/js/modules/before-after-slider.js");
+/* harmony import */ var _case_cache_js__WEBPACK_IMPORTED_MODULE_3__ = __webpack_require__(/*! ./case-cache.js */ "./src/js/modules/case-cache.js");
+/* harmony import */ var _consent_js__WEBPACK_IMPORTED_MODULE_4__ = __webpack_require__(/*! ./consent.js */ "./src/js/modules/consent.js");
+/* harmony import */ var _dialog_js__WEBPACK_IMPORTED_MODULE_5__ = __webpack_require__(/*! ./dialog.js */ "./src/js/modules/dialog.js");
+/* harmony import */ var _form_guard_js__WEBPACK_IMPORTED_MODULE_6__ = __webpack_require__(/*! ./form-guard.js */ "./src/js/modules/form-guard.js");
+/* harmony import */ var _filter_disclosures_js__WEBPACK_IMPORTED_MODULE_7__ = __webpack_require__(/*! ./filter-disclosures.js */ "./src/js/modules/filter-disclosures.js");
+/* harmony import */ var _filter_state_js__WEBPACK_IMPORTED_MODULE_8__ = __webpack_require__(/*! ./filter-state.js */ "./src/js/modules/filter-state.js");
+/* harmony import */ var _gallery_data_js__WEBPACK_IMPORTED_MODULE_9__ = __webpack_require__(/*! ./gallery-data.js */ "./src/js/modules/gallery-data.js");
+/* harmony import */ var _gallery_router_js__WEBPACK_IMPORTED_MODULE_10__ = __webpack_require__(/*! ./gallery-router.js */ "./src/js/modules/gallery-router.js");
+/* harmony import */ var _live_region_js__WEBPACK_IMPORTED_MODULE_11__ = __webpack_require__(/*! ./live-region.js */ "./src/js/modules/live-region.js");
+/* harmony import */ var _mobile_menu_js__WEBPACK_IMPORTED_MODULE_12__ = __webpack_require__(/*! ./mobile-menu.js */ "./src/js/modules/mobile-menu.js");
+/* harmony import */ var _motion_js__WEBPACK_IMPORTED_MODULE_13__ = __webpack_require__(/*! ./motion.js */ "./src/js/modules/motion.js");
+/* harmony import */ var _offline_support_js__WEBPACK_IMPORTED_MODULE_14__ = __webpack_require__(/*! ./offline-support.js */ "./src/js/modules/offline-support.js");
+/* harmony import */ var _range_filter_js__WEBPACK_IMPORTED_MODULE_15__ = __webpack_require__(/*! ./range-filter.js */ "./src/js/modules/range-filter.js");
+/* harmony import */ var _share_target_js__WEBPACK_IMPORTED_MODULE_16__ = __webpack_require__(/*! ./share-target.js */ "./src/js/modules/share-target.js");
+/* harmony import */ var _utilities_js__WEBPACK_IMPORTED_MODULE_17__ = __webpack_require__(/*! ./utilities.js */ "./src/js/modules/utilities.js");
+/* harmony import */ var _virtual_grid_js__WEBPACK_IMPORTED_MODULE_18__ = __webpack_require__(/*! ./virtual-grid.js */ "./src/js/modules/virtual-grid.js");
+/* harmony import */ var _gallery_selector_js__WEBPACK_IMPORTED_MODULE_19__ = __webpack_require__(/*! ./gallery-selector.js */ "./src/js/modules/gallery-selector.js");
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
 
 
 
@@ -3175,6 +6663,16 @@ const CAROUSEL_SLIDE_CONTROL_SELECTOR = '.brag-book-gallery-case-carousel-dot, .
 const CAROUSEL_CONTROL_SELECTOR = `${CAROUSEL_SLIDE_CONTROL_SELECTOR}, .brag-book-gallery-case-carousel-arrow`;
 const CASE_LINK_SELECTOR = '.brag-book-gallery-case-card-link, .brag-book-gallery-case-permalink, .brag-book-gallery-case-card-overlay-button';
 
+/**
+ * Case preload priorities, most urgent highest: a card nearing the viewport,
+ * a card the visitor rests the pointer on, the first cards on the page.
+ */
+const PRELOAD_PRIORITIES = {
+  high: 3,
+  hover: 2,
+  normal: 1
+};
+
 /**
  * Main Application Controller
  * Orchestrates all gallery components including carousels, filters, dialogs, and favorites
@@ -3187,6 +6685,14 @@ class BRAGbookGalleryApp {
   constructor() {
     // Component storage for organized access
     this.components = {};
+    // Spam checks shared by the consultation and favorites forms
+    this.components.formGuard = new _form_guard_js__WEBPACK_IMPORTED_MODULE_6__["default"]();
+    // Analytics bus, up before anything can report to it
+    this.components.analytics = new _analytics_js__WEBPACK_IMPORTED_MODULE_1__["default"](window.bragBookGalleryConfig?.analytics);
+    // Reduced motion, settled before anything animates
+    (0,_motion_js__WEBPACK_IMPORTED_MODULE_13__.initMotion)();
+    // Offline browsing, when the site has turned it on
+    (0,_offline_support_js__WEBPACK_IMPORTED_MODULE_14__.initOfflineSupport)(window.bragBookGalleryConfig?.serviceWorker);
     // Store global reference for other modules to access
     window.bragBookGalleryApp = this;
     // Start initialization process
@@ -3217,32 +6723,42 @@ class BRAGbookGalleryApp {
     if (await this.handleDirectCaseUrl()) {
       // If we're loading a case directly, skip normal gallery initialization
       // but still initialize essential components
+      this.initializeRouter();
       this.initializeDialogs();
       this.initializeMobileMenu();
       this.initializeCaseLinks();
       this.initializeNudityWarning();
+      this.initializeBeforeAfterSliders();
       this.initializeCasePreloading();
       this.initializeCaseCarouselPagination();
       // Lazy-loaded modules: kick off in parallel and let them resolve
       // independently — they only attach event listeners.
-      Promise.all([this.initializeShareManager(), this.initializeFavorites()]);
+      Promise.all([this.initializeShareManager(), this.initializeFavorites(), this.initializeLightbox(), this.initializeConsultationForm()]);
+      this.initializeShareTarget();
       return;
     }
 
-    // Initialize synchronous (always-loaded) core components.
+    // Initialize synchronous (always-loaded) core components. The router
+    // goes first so the filter system and case links can record history
+    // through it.
+    this.initializeRouter();
     this.initializeDialogs();
     this.initializeMobileMenu();
     this.initializeGallerySelector();
-    this.initializeConsultationForm();
+    this.initializeFilterDisclosures();
     this.initializeCaseLinks();
     this.initializeNudityWarning();
+    this.initializeBeforeAfterSliders();
     this.initializeCasePreloading();
     this.initializeCaseCarouselPagination();
 
     // Lazy-loaded heavy modules. Each initialize* method short-circuits
     // when its anchor element isn't on the page, so the chunk fetch only
     // happens when the feature is actually present.
-    await Promise.all([this.initializeFilters(), this.initializeFavorites(), this.initializeSearch(), this.initializeShareManager()]);
+    await Promise.all([this.initializeFilters(), this.initializeFavorites(), this.initializeSearch(), this.initializeShareManager(), this.initializeSavedSearches(), this.initializeComparison(), this.initializeLightbox(), this.initializeConsultationForm()]);
+
+    // Last, so every module has seen the cards before any are detached
+    this.initializeVirtualGrid();
 
     // Auto-activate favorites view if on favorites page (favorites manager
     // is guaranteed to be ready here because we awaited above).
@@ -3250,6 +6766,56 @@ class BRAGbookGalleryApp {
     if (galleryContent && galleryContent.dataset.favoritesPage === 'true') {
       this.showFavoritesOnly();
     }
+    this.initializeShareTarget();
+  }
+
+  /**
+   * Initialize the router that owns back/forward for every in-page view
+   */
+  initializeRouter() {
+    if (!document.getElementById('gallery-content')) return;
+    this.components.router = new _gallery_router_js__WEBPACK_IMPORTED_MODULE_10__["default"]({
+      // A case entry with no snapshot left (evicted, or written before
+      // a reload) is fetched again without pushing another entry.
+      onCase: route => this.loadCaseDetails(route.caseId, route.url, false, route.procedureIds),
+      onRestore: () => this.reinitializeRestoredContent()
+    });
+
+    // provider-filter.js and location-search.js ship as separate bundles
+    window.bragBookGalleryRouter = this.components.router;
+  }
+
+  /**
+   * Rebind what a restored snapshot lost.
+   *
+   * Click handling is delegated and survives innerHTML; observers and
+   * per-element listeners do not.
+   */
+  reinitializeRestoredContent() {
+    if (this.caseObserver) {
+      this.caseObserver.disconnect();
+    }
+    this.setupCasePreloadObserver();
+    this.initializeCaseDetailThumbnails();
+    this.updateFavoriteHeartStates();
+    (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_18__.syncVirtualGrid)();
+    if (typeof window.regenerateProcedureFilters === 'function') {
+      window.regenerateProcedureFilters();
+    }
+  }
+
+  /**
+   * Keep only the rows near the viewport mounted in a very large case grid
+   * (see virtual-grid.js), and bring cards up to date as they mount
+   */
+  initializeVirtualGrid() {
+    (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_18__.syncVirtualGrid)();
+    document.addEventListener(_virtual_grid_js__WEBPACK_IMPORTED_MODULE_18__.CARDS_MOUNTED_EVENT, e => {
+      e.detail.cards.forEach(card => this.observeCaseCard(card));
+
+      // A heart may have changed while its card was scrolled out
+      this.components.favoritesManager?.updateAllButtonStates();
+    });
   }
 
   /**
@@ -3257,7 +6823,7 @@ class BRAGbookGalleryApp {
    */
   initializeDialogs() {
     // Initialize consultation request dialog
-    this.components.consultationDialog = new _dialog_js__WEBPACK_IMPORTED_MODULE_0__["default"]('consultationDialog', {
+    this.components.consultationDialog = new _dialog_js__WEBPACK_IMPORTED_MODULE_5__["default"]('consultationDialog', {
       onOpen: () => {},
       onClose: () => {}
     });
@@ -3286,6 +6852,7 @@ class BRAGbookGalleryApp {
     this.components.filterSystem = new FilterSystem(filterContainer, {
       mode: mode,
       baseUrl: '/gallery',
+      router: this.components.router || null,
       onFilterChange: activeFilters => {
         this.applyFilters(activeFilters);
       },
@@ -3329,14 +6896,24 @@ class BRAGbookGalleryApp {
 
       // Bind event listeners to the new filter checkboxes
       this.bindProcedureFilterEvents();
+
+      // Filters named in the query string (a shared or reloaded link)
+      if ((0,_filter_state_js__WEBPACK_IMPORTED_MODULE_8__.restoreFiltersFromUrl)(procedureFiltersContainer) > 0) {
+        this.applyProcedureFilters();
+      }
+      (0,_range_filter_js__WEBPACK_IMPORTED_MODULE_15__.syncRangeFilters)(procedureFiltersContainer);
     }
   }
 
   /**
-   * Bind events to procedure filter checkboxes
+   * Bind events to procedure filter checkboxes and range filters
    */
   bindProcedureFilterEvents() {
-    const filterCheckboxes = document.querySelectorAll('#brag-book-gallery-filters input[type="checkbox"]');
+    const container = document.getElementById('brag-book-gallery-filters');
+    (0,_range_filter_js__WEBPACK_IMPORTED_MODULE_15__.initRangeFilters)(container);
+
+    // A range filter's hidden value fires change once a handle is released
+    const filterCheckboxes = container.querySelectorAll('input[data-filter-type]');
     filterCheckboxes.forEach(checkbox => {
       checkbox.addEventListener('change', e => {
         this.applyProcedureFilters();
@@ -3357,8 +6934,9 @@ class BRAGbookGalleryApp {
       weight: []
     };
 
-    // Get all checked filter checkboxes
-    const checkedFilters = document.querySelectorAll('#brag-book-gallery-filters input[type="checkbox"]:checked');
+    // Get all checked filter checkboxes and narrowed ranges
+    const checkedFilters = (0,_filter_state_js__WEBPACK_IMPORTED_MODULE_8__.getActiveFilterInputs)(document.getElementById('brag-book-gallery-filters'));
+    (0,_filter_state_js__WEBPACK_IMPORTED_MODULE_8__.writeFiltersToUrl)(checkedFilters);
     checkedFilters.forEach(checkbox => {
       const filterType = checkbox.dataset.filterType;
       const value = checkbox.value;
@@ -3368,21 +6946,20 @@ class BRAGbookGalleryApp {
     });
 
     // Get all case cards
-    const caseCards = document.querySelectorAll('.brag-book-gallery-case-card');
+    const caseCards = (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_18__.getCaseCards)();
 
     // Filter case cards
+    let visibleCount = 0;
     caseCards.forEach(card => {
       let show = true;
 
-      // Check age filter
-      if (activeFilters.age.length > 0) {
-        const age = parseInt(card.dataset.age);
-        let ageMatch = false;
-        activeFilters.age.forEach(range => {
-          if (range === '18-24' && age >= 18 && age < 25) ageMatch = true;else if (range === '25-34' && age >= 25 && age < 35) ageMatch = true;else if (range === '35-44' && age >= 35 && age < 45) ageMatch = true;else if (range === '45-54' && age >= 45 && age < 55) ageMatch = true;else if (range === '55-64' && age >= 55 && age < 65) ageMatch = true;else if (range === '65+' && age >= 65) ageMatch = true;
-        });
-        if (!ageMatch) show = false;
-      }
+      // Check the age, height and weight ranges
+      const measurements = (0,_range_filter_js__WEBPACK_IMPORTED_MODULE_15__.getCardMeasurements)(card);
+      _range_filter_js__WEBPACK_IMPORTED_MODULE_15__.RANGE_FILTER_TYPES.forEach(type => {
+        if (activeFilters[type].length > 0 && !(0,_range_filter_js__WEBPACK_IMPORTED_MODULE_15__.isInRanges)(measurements[type], activeFilters[type])) {
+          show = false;
+        }
+      });
 
       // Check gender filter
       if (activeFilters.gender.length > 0) {
@@ -3400,47 +6977,78 @@ class BRAGbookGalleryApp {
         }
       }
 
-      // Check height filter
-      if (activeFilters.height.length > 0) {
-        const height = parseFloat(card.dataset.height);
-        let heightMatch = false;
-        activeFilters.height.forEach(range => {
-          if (range === 'Under 5\'0"' && height < 60) heightMatch = true;else if (range === '5\'0" - 5\'3"' && height >= 60 && height < 64) heightMatch = true;else if (range === '5\'4" - 5\'7"' && height >= 64 && height < 68) heightMatch = true;else if (range === '5\'8" - 5\'11"' && height >= 68 && height < 72) heightMatch = true;else if (range === '6\'0" and above' && height >= 72) heightMatch = true;
-        });
-        if (!heightMatch) show = false;
-      }
-
-      // Check weight filter
-      if (activeFilters.weight.length > 0) {
-        const weight = parseFloat(card.dataset.weight);
-        let weightMatch = false;
-        activeFilters.weight.forEach(range => {
-          if (range === 'Under 120 lbs' && weight < 120) weightMatch = true;else if (range === '120-149 lbs' && weight >= 120 && weight < 150) weightMatch = true;else if (range === '150-179 lbs' && weight >= 150 && weight < 180) weightMatch = true;else if (range === '180-209 lbs' && weight >= 180 && weight < 210) weightMatch = true;else if (range === '210+ lbs' && weight >= 210) weightMatch = true;
-        });
-        if (!weightMatch) show = false;
-      }
-
       // Show or hide the card
       if (show) {
         card.style.display = '';
+        visibleCount++;
       } else {
         card.style.display = 'none';
       }
     });
+    (0,_virtual_grid_js__WEBPACK_IMPORTED_MODULE_18__.refreshCaseGrid)();
+    (0,_live_region_js__WEBPACK_IMPORTED_MODULE_11__.announceCaseCount)(visibleCount);
+  }
+
+  /**
+   * Initialize keyboard support for the demographic filter panel
+   */
+  initializeFilterDisclosures() {
+    (0,_filter_disclosures_js__WEBPACK_IMPORTED_MODULE_7__.initFilterDisclosures)();
   }
 
   /**
    * Initialize mobile navigation menu
    */
   initializeMobileMenu() {
-    this.components.mobileMenu = new _mobile_menu_js__WEBPACK_IMPORTED_MODULE_1__["default"]();
+    this.components.mobileMenu = new _mobile_menu_js__WEBPACK_IMPORTED_MODULE_12__["default"]();
   }
 
   /**
    * Initialize gallery selector navigation for tiles view
    */
   initializeGallerySelector() {
-    (0,_gallery_selector_js__WEBPACK_IMPORTED_MODULE_3__.initGallerySelector)();
+    (0,_gallery_selector_js__WEBPACK_IMPORTED_MODULE_19__.initGallerySelector)();
+  }
+
+  /**
+   * Initialize saved searches: the filter panel's save button and the
+   * favorites page's "new since your last visit" lists
+   */
+  async initializeSavedSearches() {
+    if (!window.bragBookGalleryConfig?.favoritesEnabled) return;
+    if (!document.querySelector('.brag-book-gallery-filter-actions, #favoritesSavedSearches')) return;
+    const {
+      default: SavedSearches
+    } = await __webpack_require__.e(/*! import() | brag-book-gallery-saved-searches */ "brag-book-gallery-saved-searches").then(__webpack_require__.bind(__webpack_require__, /*! ./saved-searches.js */ "./src/js/modules/saved-searches.js"));
+    this.components.savedSearches = new SavedSearches();
+  }
+
+  /**
+   * Initialize the full-screen photo lightbox
+   *
+   * Case details arrive in the gallery over AJAX, so the gallery itself is
+   * an anchor before any trigger exists.
+   */
+  async initializeLightbox() {
+    if (!document.querySelector('.brag-book-gallery-lightbox-trigger, #gallery-content')) return;
+    const {
+      default: Lightbox
+    } = await __webpack_require__.e(/*! import() | brag-book-gallery-lightbox */ "brag-book-gallery-lightbox").then(__webpack_require__.bind(__webpack_require__, /*! ./lightbox.js */ "./src/js/modules/lightbox.js"));
+    this.components.lightbox = new Lightbox();
+  }
+
+  /**
+   * Initialize side-by-side case comparison
+   *
+   * Favorites-page cards are rendered after init, so the favorites grid
+   * counts as an anchor even before any toggle exists.
+   */
+  async initializeComparison() {
+    if (!document.querySelector('.brag-book-gallery-compare-toggle, #gallery-content, #favoritesGrid')) return;
+    const {
+      default: CaseComparison
+    } = await __webpack_require__.e(/*! import() | brag-book-gallery-comparison */ "brag-book-gallery-comparison").then(__webpack_require__.bind(__webpack_require__, /*! ./case-comparison.js */ "./src/js/modules/case-comparison.js"));
+    this.components.comparison = new CaseComparison();
   }
 
   /**
@@ -3453,6 +7061,7 @@ class BRAGbookGalleryApp {
       default: FavoritesManager
     } = await __webpack_require__.e(/*! import() | brag-book-gallery-favorites */ "brag-book-gallery-favorites").then(__webpack_require__.bind(__webpack_require__, /*! ./favorites-manager.js */ "./src/js/modules/favorites-manager.js"));
     this.components.favoritesManager = new FavoritesManager({
+      formGuard: this.components.formGuard,
       onUpdate: favorites => {
         this.updateFavoritesCount(favorites.size);
       }
@@ -3574,14 +7183,46 @@ class BRAGbookGalleryApp {
       onShare: () => {}
     });
   }
-  initializeConsultationForm() {
+
+  /**
+   * Open the case or photo a share link points at
+   *
+   * Runs once the page's cases are on screen, including a case loaded over
+   * AJAX for a direct case URL.
+   */
+  initializeShareTarget() {
+    if (!(0,_share_target_js__WEBPACK_IMPORTED_MODULE_16__.hasShareTarget)()) return;
+    (0,_share_target_js__WEBPACK_IMPORTED_MODULE_16__["default"])();
+  }
+
+  /**
+   * Initialize the schema-driven consultation form
+   *
+   * The form pages through its steps and validates itself; success clears
+   * the form and closes the dialog after a few seconds, as before.
+   */
+  async initializeConsultationForm() {
     const form = document.querySelector('[data-form="consultation"]');
-    if (form) {
-      form.addEventListener('submit', e => {
-        e.preventDefault();
-        this.handleFormSubmit(e.target);
-      });
-    }
+    if (!form) return;
+    const {
+      default: ConsultationForm
+    } = await __webpack_require__.e(/*! import() | brag-book-gallery-consultation-form */ "brag-book-gallery-consultation-form").then(__webpack_require__.bind(__webpack_require__, /*! ./consultation-form.js */ "./src/js/modules/consultation-form.js"));
+    this.components.consultationForm = new ConsultationForm(form, {
+      formGuard: this.components.formGuard,
+      showMessage: (message, type) => this.showModalMessage(message, type),
+      hideMessage: () => this.hideModalMessage(),
+      onSuccess: () => {
+        setTimeout(() => {
+          this.components.consultationForm.reset();
+          this.hideModalMessage();
+          if (this.components.consultationDialog) {
+            setTimeout(() => {
+              this.components.consultationDialog.close();
+            }, 1000);
+          }
+        }, 3000);
+      }
+    });
 
     // Clear messages when dialog is opened
     const consultationDialog = document.getElementById('consultationDialog');
@@ -3791,32 +7432,39 @@ class BRAGbookGalleryApp {
     // Use WordPress AJAX to proxy the request (avoids CORS)
     const formData = new FormData();
     formData.append('action', 'brag_book_track_view');
-    formData.append('nonce', config.nonce || '');
     formData.append('procedureId', procedureId);
-    fetch(config.ajaxUrl, {
-      method: 'POST',
-      body: formData,
-      keepalive: true
-    }).then(response => response.json()).then(data => {
-      if (data.success) {
-        console.log(`BRAGBook: ✓ Procedure view registered successfully for procedureId ${procedureId}`);
-      } else {
-        console.warn(`BRAGBook: ✗ Procedure view tracking failed:`, data.data?.message || 'Unknown error');
-      }
-    }).catch(error => {
-      console.warn('BRAGBook: ✗ Procedure view tracking error:', error);
+
+    // Views are statistics: wait for consent when the site asks for it.
+    (0,_consent_js__WEBPACK_IMPORTED_MODULE_4__.whenConsented)('statistics', () => {
+      (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.postAjax)(formData, {
+        url: config.ajaxUrl,
+        keepalive: true
+      }).then(data => {
+        if (data.success) {
+          console.log(`BRAGBook: ✓ Procedure view registered successfully for procedureId ${procedureId}`);
+        } else {
+          console.warn(`BRAGBook: ✗ Procedure view tracking failed:`, data.data?.message || 'Unknown error');
+        }
+      }).catch(error => {
+        console.warn('BRAGBook: ✗ Procedure view tracking error:', error);
+      });
     });
   }
 
   /**
    * Track case view via WordPress AJAX (avoids CORS issues)
    * @param {string} procedureCaseId - The procedure case ID (small API ID like 35, 36)
+   * @param {string} [source] - Where the case was opened from: card, carousel or page
    */
-  trackCaseView(procedureCaseId) {
+  trackCaseView(procedureCaseId, source = 'page') {
     if (!procedureCaseId) {
       console.warn('BRAGBook: No procedureCaseId provided for view tracking');
       return;
     }
+    (0,_analytics_js__WEBPACK_IMPORTED_MODULE_1__.track)('case_open', {
+      case_id: procedureCaseId,
+      source
+    });
     const config = window.bragBookGalleryConfig;
     if (!config || !config.ajaxUrl) {
       console.warn('BRAGBook: AJAX configuration not available for view tracking');
@@ -3827,20 +7475,22 @@ class BRAGbookGalleryApp {
     // Use WordPress AJAX to proxy the request (avoids CORS)
     const formData = new FormData();
     formData.append('action', 'brag_book_track_view');
-    formData.append('nonce', config.nonce || '');
     formData.append('caseProcedureId', procedureCaseId);
-    fetch(config.ajaxUrl, {
-      method: 'POST',
-      body: formData,
-      keepalive: true
-    }).then(response => response.json()).then(data => {
-      if (data.success) {
-        console.log(`BRAGBook: ✓ Case view registered successfully for caseProcedureId ${procedureCaseId}`);
-      } else {
-        console.warn(`BRAGBook: ✗ Case view tracking failed:`, data.data?.message || 'Unknown error');
-      }
-    }).catch(error => {
-      console.warn('BRAGBook: ✗ Case view tracking error:', error);
+
+    // Views are statistics: wait for consent when the site asks for it.
+    (0,_consent_js__WEBPACK_IMPORTED_MODULE_4__.whenConsented)('statistics', () => {
+      (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.postAjax)(formData, {
+        url: config.ajaxUrl,
+        keepalive: true
+      }).then(data => {
+        if (data.success) {
+          console.log(`BRAGBook: ✓ Case view registered successfully for caseProcedureId ${procedureCaseId}`);
+        } else {
+          console.warn(`BRAGBook: ✗ Case view tracking failed:`, data.data?.message || 'Unknown error');
+        }
+      }).catch(error => {
+        console.warn('BRAGBook: ✗ Case view tracking error:', error);
+      });
     });
   }
 
@@ -3855,7 +7505,7 @@ class BRAGbookGalleryApp {
     const procedureCaseId = caseCard.dataset.procedureCaseId;
     if (procedureCaseId) {
       console.log(`BRAGBook: Tracking view from card for procedureCaseId ${procedureCaseId}`);
-      this.trackCaseView(procedureCaseId);
+      this.trackCaseView(procedureCaseId, 'card');
     } else {
       console.warn('BRAGBook: Case card missing data-procedure-case-id, skipping view tracking');
     }
@@ -3872,7 +7522,7 @@ class BRAGbookGalleryApp {
     const procedureCaseId = carouselItem.dataset.procedureCaseId || carouselItem.dataset.caseId;
     if (procedureCaseId) {
       console.log(`BRAGBook: Tracking view from carousel for procedureCaseId ${procedureCaseId}`);
-      this.trackCaseView(procedureCaseId);
+      this.trackCaseView(procedureCaseId, 'carousel');
     }
   }
   initializeCaseLinks() {
@@ -3922,12 +7572,8 @@ class BRAGbookGalleryApp {
     // Initialize case detail view thumbnails
     this.initializeCaseDetailThumbnails();
 
-    // Handle browser back/forward navigation
-    window.addEventListener('popstate', e => {
-      // With server-side rendering, let the browser handle navigation naturally
-      // No need to load case details via AJAX
-      console.log('Browser navigation handled by server-side rendering');
-    });
+    // Back/forward is handled by the router (initializeRouter); server-
+    // rendered pages it did not write entries for load as normal.
   }
 
   /**
@@ -3975,11 +7621,9 @@ class BRAGbookGalleryApp {
       return;
     }
 
-    // Debounce multiple case loads
-    if (this.currentCaseLoad) {
-      return;
-    }
-    this.currentCaseLoad = caseId;
+    // The newest case opened wins: one still loading would otherwise
+    // replace this one when it arrives
+    (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.cancelRequest)(_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.CASE_DETAILS_REQUEST);
 
     // If procedureIds not provided, try to get from the case card
     if (!procedureIds) {
@@ -3989,8 +7633,15 @@ class BRAGbookGalleryApp {
       }
     }
 
-    // Update browser URL IMMEDIATELY to prevent showing procedure page
-    if (updateHistory && window.history && window.history.pushState) {
+    // Update browser URL IMMEDIATELY to prevent showing procedure page.
+    // Through the router when there is one, so back returns to the grid
+    // as it was rather than reloading it.
+    if (updateHistory && this.components.router) {
+      this.components.router.navigate('case', url, {
+        caseId,
+        procedureIds
+      });
+    } else if (updateHistory && window.history && window.history.pushState) {
       window.history.pushState({
         caseId: caseId
       }, '', url);
@@ -4002,7 +7653,7 @@ class BRAGbookGalleryApp {
     // Scroll to top to show loading state
     window.scrollTo({
       top: 0,
-      behavior: 'smooth'
+      behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_13__.scrollBehavior)()
     });
     try {
       // Check for config
@@ -4011,9 +7662,9 @@ class BRAGbookGalleryApp {
       }
 
       // Check preload cache first for instant loading
-      if (this.casePreloadCache && this.casePreloadCache.has(caseId)) {
-        const cachedData = this.casePreloadCache.get(caseId);
-        if (cachedData && cachedData !== 'loading') {
+      if (this.casePreloadCache) {
+        const cachedData = this.casePreloadCache.get(this.getCaseCacheKey(caseId, procedureIds));
+        if (cachedData) {
           galleryContent.innerHTML = cachedData;
 
           // Set active state on sidebar
@@ -4023,17 +7674,15 @@ class BRAGbookGalleryApp {
           const wrapper = document.querySelector('.brag-book-gallery-wrapper');
           if (wrapper) {
             wrapper.scrollIntoView({
-              behavior: 'smooth',
+              behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_13__.scrollBehavior)(),
               block: 'start'
             });
           } else {
             galleryContent.scrollIntoView({
-              behavior: 'smooth',
+              behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_13__.scrollBehavior)(),
               block: 'start'
             });
           }
-          // Clear debounce flag
-          this.currentCaseLoad = null;
           return;
         }
       }
@@ -4048,9 +7697,6 @@ class BRAGbookGalleryApp {
         errorMessage += '<br><small>' + error.message + '</small>';
       }
       galleryContent.innerHTML = '<div class="brag-book-gallery-error">' + errorMessage + '</div>';
-    } finally {
-      // Always clear debounce flag
-      this.currentCaseLoad = null;
     }
   }
 
@@ -4098,35 +7744,10 @@ class BRAGbookGalleryApp {
           if (procedureName) break;
         }
       }
-
-      // Prepare request parameters - use the HTML version
-      const requestParams = {
-        action: 'brag_book_gallery_load_case_details_html',
-        case_id: caseId,
-        procedure_slug: procedureSlug,
-        procedure_name: procedureName,
-        nonce: bragBookGalleryConfig.nonce || ''
-      };
-
-      // Add procedure IDs if available
-      if (procedureIds) {
-        requestParams.procedure_ids = procedureIds;
-      } else {
+      if (!procedureIds) {
         console.warn(`⚠️ AJAX call WITHOUT procedure context: case ${caseId} (no procedure IDs provided)`);
       }
-
-      // Make AJAX request to load case details
-      const response = await fetch(bragBookGalleryConfig.ajaxUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        body: new URLSearchParams(requestParams)
-      });
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const data = await response.json();
+      const data = await this.requestCaseDetails(caseId, procedureName, _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.CASE_DETAILS_REQUEST);
       if (data.success && data.data && data.data.html) {
         // Display the HTML directly from the server
         galleryContent.innerHTML = data.data.html;
@@ -4138,13 +7759,13 @@ class BRAGbookGalleryApp {
         const wrapper = document.querySelector('.brag-book-gallery-wrapper');
         if (wrapper) {
           wrapper.scrollIntoView({
-            behavior: 'smooth',
+            behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_13__.scrollBehavior)(),
             block: 'start'
           });
         } else {
           // Fallback to scrolling to gallery content
           galleryContent.scrollIntoView({
-            behavior: 'smooth',
+            behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_13__.scrollBehavior)(),
             block: 'start'
           });
         }
@@ -4197,7 +7818,7 @@ class BRAGbookGalleryApp {
 
         // Store successful result in preload cache for future use
         if (this.casePreloadCache && caseId) {
-          this.casePreloadCache.set(caseId, data.data.html);
+          this.casePreloadCache.set(this.getCaseCacheKey(caseId, procedureIds), data.data.html);
         }
 
         // Re-initialize any necessary event handlers for the new content
@@ -4206,16 +7827,17 @@ class BRAGbookGalleryApp {
         throw new Error(data.data?.message || data.data || data.message || 'Failed to load case details');
       }
     } catch (error) {
-      let errorMessage = 'Failed to load case details via AJAX. Please try again.';
+      // A case opened since owns the view now
+      if ((0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.isSuperseded)(error)) {
+        return;
+      }
+      let errorMessage = (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.getErrorMessage)(error, 'Failed to load case details via AJAX. Please try again.');
 
-      // If we have a more specific error message, show it
-      if (error.message) {
+      // If we have a more specific message from the server, show it
+      if (error.message && !error.code) {
         errorMessage += '<br><small>' + error.message + '</small>';
       }
       galleryContent.innerHTML = '<div class="brag-book-gallery-error">' + errorMessage + '</div>';
-    } finally {
-      // Always clear debounce flag
-      this.currentCaseLoad = null;
     }
   }
 
@@ -4334,6 +7956,12 @@ class BRAGbookGalleryApp {
     const progressFill = document.querySelector('.skeleton-progress-fill');
     const progressText = document.querySelector('.skeleton-progress-text');
     if (!progressFill || !progressText) return;
+
+    // The bar only suggests progress; with motion reduced, just say it is loading
+    if ((0,_motion_js__WEBPACK_IMPORTED_MODULE_13__.prefersReducedMotion)()) {
+      progressText.textContent = 'Loading...';
+      return;
+    }
     let progress = 0;
     const duration = 4000; // 4 seconds to match typical case load time
     const increment = 100 / (duration / 75); // Update every 75ms for smoother animation
@@ -4449,7 +8077,7 @@ class BRAGbookGalleryApp {
 
     // Scroll to top of content
     galleryContent.scrollIntoView({
-      behavior: 'smooth',
+      behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_13__.scrollBehavior)(),
       block: 'start'
     });
   }
@@ -4460,74 +8088,6 @@ class BRAGbookGalleryApp {
   applyFilters(activeFilters) {
     // Filter implementation would go here
   }
-  async handleFormSubmit(form) {
-    const formData = new FormData(form);
-    const data = Object.fromEntries(formData.entries());
-
-    // Get submit button and disable it during submission
-    const submitBtn = form.querySelector('[data-action="form-submit"]');
-    const originalBtnText = submitBtn ? submitBtn.textContent : '';
-    if (submitBtn) {
-      submitBtn.disabled = true;
-      submitBtn.textContent = 'Sending...';
-    }
-    try {
-      // Check if configuration is available
-      if (typeof bragBookGalleryConfig === 'undefined') {
-        throw new Error('Configuration not loaded. Please refresh the page.');
-      }
-
-      // Prepare the data for the API
-      const requestData = new URLSearchParams({
-        action: 'brag_book_gallery_form_submission',
-        nonce: bragBookGalleryConfig.consultation_nonce || bragBookGalleryConfig.nonce,
-        name: data.name || '',
-        email: data.email || '',
-        phone: data.phone || '',
-        description: data.message || '' // Map 'message' field to 'description' for API
-      });
-
-      // Send the form data to the WordPress AJAX endpoint
-      const response = await fetch(bragBookGalleryConfig.ajaxUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        body: requestData,
-        credentials: 'same-origin'
-      });
-      const result = await response.json();
-      if (result.success) {
-        // Show success message in modal
-        this.showModalMessage('Thank you for your consultation request! We will contact you soon.', 'success');
-
-        // Reset form and optionally close modal after delay
-        setTimeout(() => {
-          form.reset();
-          // Hide the message
-          this.hideModalMessage();
-          // Optionally close the modal after showing success
-          if (this.components && this.components.consultationDialog) {
-            setTimeout(() => {
-              this.components.consultationDialog.close();
-            }, 1000);
-          }
-        }, 3000);
-      } else {
-        // Show error message in modal
-        const errorMessage = result.data || 'Failed to send consultation request. Please try again.';
-        this.showModalMessage(errorMessage, 'error');
-      }
-    } catch (error) {
-      this.showModalMessage(error.message || 'An error occurred. Please try again.', 'error');
-    } finally {
-      // Re-enable the submit button
-      if (submitBtn) {
-        submitBtn.disabled = false;
-        submitBtn.textContent = originalBtnText;
-      }
-    }
-  }
 
   // Helper method to show messages in the modal
   showModalMessage(message, type = 'info') {
@@ -4583,7 +8143,7 @@ class BRAGbookGalleryApp {
       const scrollAmount = firstThumb.offsetWidth + 8; // width + gap
       track.scrollBy({
         left: direction === 'next' ? scrollAmount : -scrollAmount,
-        behavior: 'smooth'
+        behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_13__.scrollBehavior)()
       });
     };
     if (prevBtn) {
@@ -4654,7 +8214,7 @@ class BRAGbookGalleryApp {
           if (currentMetrics) {
             track.scrollTo({
               left: i * currentMetrics.pageWidth,
-              behavior: 'smooth'
+              behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_13__.scrollBehavior)()
             });
           }
         });
@@ -4717,11 +8277,35 @@ class BRAGbookGalleryApp {
 
       // Update main container data attribute
       mainContainer.dataset.imageIndex = imageIndex;
+      const mainSingle = mainContainer.querySelector('.brag-book-gallery-main-single');
+      const mainAlt = thumbnailAlt.replace(/ - Angle \d+$/, '');
+      const {
+        beforeUrl,
+        afterUrl
+      } = thumbnail.dataset;
+
+      // In a slider mode, angles with separate before/after photos swap
+      // in a fresh slider; the rest fall back to the combined image.
+      if (mainSingle && (0,_before_after_slider_js__WEBPACK_IMPORTED_MODULE_2__.isSliderMode)(mainContainer.dataset.imageDisplay)) {
+        mainSingle.querySelector('[data-before-after], :scope > img')?.remove();
+        const media = beforeUrl && afterUrl ? (0,_before_after_slider_js__WEBPACK_IMPORTED_MODULE_2__.renderBeforeAfterSlider)({
+          before: beforeUrl,
+          after: afterUrl,
+          alt: mainAlt,
+          mode: mainContainer.dataset.imageDisplay,
+          lazy: false
+        }) : `<img src="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_17__.escapeHtml)(processedUrl || '')}" alt="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_17__.escapeHtml)(mainAlt)}" decoding="async">`;
+        mainSingle.insertAdjacentHTML('afterbegin', media);
+        const swappedImg = mainSingle.querySelector(':scope > img');
+        if (swappedImg && thumbnail.dataset.fullSrcset) {
+          swappedImg.srcset = thumbnail.dataset.fullSrcset;
+        }
+        return;
+      }
 
       // Update existing main image src/alt instead of replacing the DOM
       const mainImg = mainContainer.querySelector('.brag-book-gallery-main-single img');
       if (mainImg && processedUrl) {
-        const mainAlt = thumbnailAlt.replace(/ - Angle \d+$/, '');
         // srcset wins over src, so swapping src alone would leave the
         // previous image on screen. Each thumbnail carries the srcset for
         // its own image; an empty value means that case has no smaller
@@ -4972,7 +8556,7 @@ class BRAGbookGalleryApp {
 
     switch (category) {
       case 'age':
-        displayText = `Age: ${value}`;
+        displayText = `Age: ${(0,_range_filter_js__WEBPACK_IMPORTED_MODULE_15__.formatRange)('age', value)}`;
         break;
       case 'gender':
         displayText = `Gender: ${value}`;
@@ -4986,10 +8570,10 @@ class BRAGbookGalleryApp {
         displayText = `Ethnicity: ${value}`;
         break;
       case 'height':
-        displayText = `Height: ${value}`;
+        displayText = `Height: ${(0,_range_filter_js__WEBPACK_IMPORTED_MODULE_15__.formatRange)('height', value)}`;
         break;
       case 'weight':
-        displayText = `Weight: ${value}`;
+        displayText = `Weight: ${(0,_range_filter_js__WEBPACK_IMPORTED_MODULE_15__.formatRange)('weight', value)}`;
         break;
       default:
         displayText = `${category}: ${value}`;
@@ -5163,20 +8747,24 @@ class BRAGbookGalleryApp {
       // Trigger AJAX reload with no filters
       const formData = new FormData();
       formData.append('action', 'brag_book_gallery_load_filtered_gallery');
-      formData.append('nonce', window.bragBookGalleryAjax?.nonce || '');
       formData.append('procedure_ids', ''); // Empty procedure IDs = show all
       formData.append('has_nudity', document.body.classList.contains('nudity-accepted') ? '1' : '0');
-      fetch(window.bragBookGalleryAjax?.ajax_url || '/wp-admin/admin-ajax.php', {
-        method: 'POST',
-        body: formData
-      }).then(response => response.json()).then(data => {
+
+      // Replaces the grid like a filter does, so a filter clicked since
+      // supersedes it and it supersedes any filter still loading
+      (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.postAjax)(formData, {
+        key: _ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.GRID_REQUEST,
+        idempotent: true
+      }).then(data => {
         if (data.success) {
           filteredGallery.innerHTML = data.data.html;
         } else {
           console.error('Failed to reload gallery:', data.data?.message);
         }
       }).catch(error => {
-        console.error('Error reloading gallery:', error);
+        if (!(0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.isSuperseded)(error)) {
+          console.error('Error reloading gallery:', error);
+        }
       });
     }
   }
@@ -5220,6 +8808,12 @@ class BRAGbookGalleryApp {
   toggleFavoritesView() {
     const favoritesBtn = document.querySelector('[data-action="show-favorites"]:not(.brag-book-gallery-favorites-link)');
     const isActive = favoritesBtn?.classList.contains('active');
+
+    // Record the switch first so the entry being left keeps a snapshot of
+    // the view it showed.
+    if (this.components.router) {
+      this.components.router.navigate(isActive ? 'grid' : 'favorites');
+    }
     if (isActive) {
       // Return to normal gallery view
       this.showAllCases();
@@ -5311,21 +8905,13 @@ class BRAGbookGalleryApp {
     }
 
     // Make AJAX request with email from localStorage
-    const ajaxUrl = window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php';
-    const nonce = window.bragBookGalleryConfig?.nonce || '';
-
     // Load from API
-    fetch(ajaxUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded'
-      },
-      body: new URLSearchParams({
-        action: 'brag_book_lookup_favorites',
-        email: userInfo.email,
-        nonce: nonce
-      })
-    }).then(response => response.json()).then(data => {
+    (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.postAjax)({
+      action: 'brag_book_lookup_favorites',
+      email: userInfo.email
+    }, {
+      idempotent: true
+    }).then(data => {
       // Hide loading state
       if (loadingState) {
         loadingState.style.display = 'none';
@@ -5361,63 +8947,38 @@ class BRAGbookGalleryApp {
         const favoritesData = data.data.favorites || {};
         const casesData = favoritesData.cases_data || {};
         const casesArray = Object.values(casesData);
-        if (casesArray.length > 0) {
-          // Extract junction IDs from caseProcedures — same logic as displayFavoritesGrid
-          const junctionIds = casesArray.map(c => {
-            if (c.caseProcedures && c.caseProcedures.length > 0) {
-              return String(c.caseProcedures[0].id);
-            }
-            return String(c.id || '');
-          }).filter(Boolean);
-
-          // Replace localStorage entirely — API is authoritative
-          localStorage.setItem('brag-book-favorites', JSON.stringify(junctionIds));
 
-          // Update favorites manager if it exists
-          if (this.components.favoritesManager) {
-            this.components.favoritesManager.favorites = new Set(junctionIds);
-            this.components.favoritesManager.updateUI();
+        // Extract junction IDs from caseProcedures — same logic as displayFavoritesGrid
+        const junctionIds = casesArray.map(c => {
+          if (c.caseProcedures && c.caseProcedures.length > 0) {
+            return String(c.caseProcedures[0].id);
           }
+          return String(c.id || '');
+        }).filter(Boolean);
 
-          // Update favorites count in navigation
-          const countElements = document.querySelectorAll('[data-favorites-count]');
-          countElements.forEach(element => {
-            const format = element.dataset.favoritesFormat;
-            if (format === 'text') {
-              element.textContent = `${junctionIds.length} favorite${junctionIds.length !== 1 ? 's' : ''}`;
-            } else {
-              const isTilesView = element.closest('.brag-book-gallery-favorites-link--tiles');
-              element.textContent = isTilesView ? junctionIds.length : `(${junctionIds.length})`;
-            }
-            if (element.style) {
-              element.style.opacity = '1';
-            }
-          });
+        // The API is authoritative, except for changes still queued
+        // offline, which the favorites manager lays over it
+        let favoriteIds = junctionIds;
+        if (this.components.favoritesManager) {
+          favoriteIds = this.components.favoritesManager.reconcileWithServer(junctionIds);
         } else {
-          // No cases — replace localStorage with empty array
-          localStorage.setItem('brag-book-favorites', JSON.stringify([]));
+          localStorage.setItem('brag-book-favorites', JSON.stringify(junctionIds));
+        }
 
-          // Update favorites manager if it exists
-          if (this.components.favoritesManager) {
-            this.components.favoritesManager.favorites = new Set();
-            this.components.favoritesManager.updateUI();
+        // Update favorites count in navigation
+        const countElements = document.querySelectorAll('[data-favorites-count]');
+        countElements.forEach(element => {
+          const format = element.dataset.favoritesFormat;
+          if (format === 'text') {
+            element.textContent = `${favoriteIds.length} favorite${favoriteIds.length !== 1 ? 's' : ''}`;
+          } else {
+            const isTilesView = element.closest('.brag-book-gallery-favorites-link--tiles');
+            element.textContent = isTilesView ? favoriteIds.length : `(${favoriteIds.length})`;
           }
-
-          // Update favorites count to 0
-          const countElements = document.querySelectorAll('[data-favorites-count]');
-          countElements.forEach(element => {
-            const format = element.dataset.favoritesFormat;
-            if (format === 'text') {
-              element.textContent = '0 favorites';
-            } else {
-              const isTilesView = element.closest('.brag-book-gallery-favorites-link--tiles');
-              element.textContent = isTilesView ? '0' : '(0)';
-            }
-            if (element.style) {
-              element.style.opacity = '1';
-            }
-          });
-        }
+          if (element.style) {
+            element.style.opacity = '1';
+          }
+        });
 
         // Check if we have cases data from the API lookup
         const hasCasesData = favoritesData.cases_data && Object.keys(favoritesData.cases_data).length > 0;
@@ -5548,15 +9109,32 @@ class BRAGbookGalleryApp {
    * Initialize nudity warning management
    */
   initializeNudityWarning() {
-    this.components.nudityWarningManager = new _utilities_js__WEBPACK_IMPORTED_MODULE_2__.NudityWarningManager();
+    this.components.nudityWarningManager = new _utilities_js__WEBPACK_IMPORTED_MODULE_17__.NudityWarningManager();
+  }
+
+  /**
+   * Initialize before/after comparison sliders
+   *
+   * Delegated listeners, so sliders that arrive later with case details,
+   * favorites or carousels work without further setup.
+   */
+  initializeBeforeAfterSliders() {
+    this.components.beforeAfterSlider = new _before_after_slider_js__WEBPACK_IMPORTED_MODULE_2__["default"]();
   }
 
   /**
    * Initialize case preloading for improved performance
    */
   initializeCasePreloading() {
-    // Preload cache to store case data
-    this.casePreloadCache = new Map();
+    // Preloaded case HTML, kept across pages until the next sync
+    this.casePreloadCache = new _case_cache_js__WEBPACK_IMPORTED_MODULE_3__.CaseCache({
+      version: window.bragBookGalleryConfig?.syncVersion
+    });
+    this.preloadQueue = [];
+    this.activePreloads = new Set();
+
+    // A faster connection may run what a slower one held back
+    (0,_case_cache_js__WEBPACK_IMPORTED_MODULE_3__.onConnectionChange)(() => this.processPreloadQueue());
 
     // Optimize image loading for visible cases
     this.optimizeImageLoading();
@@ -5594,7 +9172,7 @@ class BRAGbookGalleryApp {
       const slideIndex = isNaN(step) ? parseInt(control.dataset.slideIndex, 10) : this.currentCaseCarouselIndex(carousel) + step;
       if (isNaN(slideIndex) || slideIndex < 0 || slideIndex >= pictures.length) return;
       pictures[slideIndex].scrollIntoView({
-        behavior: 'smooth',
+        behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_13__.scrollBehavior)(),
         block: 'nearest',
         inline: 'start'
       });
@@ -5799,7 +9377,7 @@ class BRAGbookGalleryApp {
           const caseCard = entry.target;
           const caseId = caseCard.dataset.caseId;
           const procedureIds = caseCard.dataset.procedureIds;
-          if (caseId && !this.casePreloadCache.has(caseId)) {
+          if (caseId) {
             // Preload this case with high priority (visible soon)
             this.preloadCase(caseId, procedureIds, 'high');
           }
@@ -5813,12 +9391,22 @@ class BRAGbookGalleryApp {
     });
 
     // Observe all case cards
-    document.querySelectorAll('.brag-book-gallery-case-card').forEach(card => {
-      this.caseObserver.observe(card);
+    this.preloadCards = new WeakSet();
+    document.querySelectorAll('.brag-book-gallery-case-card').forEach(card => this.observeCaseCard(card));
+  }
 
-      // Add hover-based predictive preloading
-      this.setupHoverPreloading(card);
-    });
+  /**
+   * Preload a card's case when it nears the viewport or is hovered
+   *
+   * @param {HTMLElement} card - Case card, observed once however often it mounts
+   */
+  observeCaseCard(card) {
+    if (!this.caseObserver || this.preloadCards.has(card)) return;
+    this.preloadCards.add(card);
+    this.caseObserver.observe(card);
+
+    // Add hover-based predictive preloading
+    this.setupHoverPreloading(card);
   }
 
   /**
@@ -5831,7 +9419,7 @@ class BRAGbookGalleryApp {
       hoverTimeout = setTimeout(() => {
         const caseId = card.dataset.caseId;
         const procedureIds = card.dataset.procedureIds;
-        if (caseId && !this.casePreloadCache.has(caseId)) {
+        if (caseId) {
           this.preloadCase(caseId, procedureIds, 'hover');
         }
       }, 300);
@@ -5854,92 +9442,91 @@ class BRAGbookGalleryApp {
     Array.from(visibleCases).slice(0, 3).forEach(card => {
       const caseId = card.dataset.caseId;
       const procedureIds = card.dataset.procedureIds;
-      if (caseId && !this.casePreloadCache.has(caseId)) {
+      if (caseId) {
         this.preloadCase(caseId, procedureIds);
       }
     });
   }
 
   /**
-   * Preload a specific case in the background with priority support
+   * Key a case's HTML by everything the server renders it from
+   *
+   * The same case reads differently under another procedure, and a gallery
+   * shortcode may override the image display.
+   *
+   * @param {string} caseId - Case ID
+   * @param {string|null} procedureIds - Comma-separated procedure IDs
+   * @returns {string}
    */
-  async preloadCase(caseId, procedureIds, priority = 'normal') {
-    if (this.casePreloadCache.has(caseId)) return;
-
-    // Mark as being preloaded to avoid duplicates
-    this.casePreloadCache.set(caseId, 'loading');
+  getCaseCacheKey(caseId, procedureIds) {
+    const imageDisplay = document.getElementById('brag-book-gallery')?.dataset.imageDisplay || '';
+    return [caseId, procedureIds || '', imageDisplay].join('|');
+  }
 
-    // Add to priority queue for smart preloading order
-    if (!this.preloadQueue) this.preloadQueue = [];
-    const preloadTask = {
+  /**
+   * Preload a specific case in the background with priority support
+   *
+   * A case already queued at a lower priority is moved up instead.
+   */
+  preloadCase(caseId, procedureIds, priority = 'normal') {
+    const key = this.getCaseCacheKey(caseId, procedureIds);
+    if (this.casePreloadCache.has(key) || this.activePreloads.has(key)) return;
+    const queued = this.preloadQueue.find(task => task.key === key);
+    if (queued) {
+      if (PRELOAD_PRIORITIES[priority] > PRELOAD_PRIORITIES[queued.priority]) {
+        queued.priority = priority;
+        queued.timestamp = Date.now();
+        this.processPreloadQueue();
+      }
+      return;
+    }
+    this.preloadQueue.push({
+      key,
       caseId,
       procedureIds,
       priority,
       timestamp: Date.now()
-    };
-
-    // Insert based on priority (high > hover > normal)
-    const priorityOrder = {
-      high: 3,
-      hover: 2,
-      normal: 1
-    };
-    const insertIndex = this.preloadQueue.findIndex(task => priorityOrder[task.priority] < priorityOrder[priority]);
-    if (insertIndex === -1) {
-      this.preloadQueue.push(preloadTask);
-    } else {
-      this.preloadQueue.splice(insertIndex, 0, preloadTask);
-    }
+    });
 
     // Process queue with controlled concurrency
     this.processPreloadQueue();
   }
 
   /**
-   * Process preload queue with controlled concurrency
+   * Process preload queue with the concurrency the connection allows
+   *
+   * Priorities the connection cannot afford stay queued, in case it
+   * improves.
    */
   processPreloadQueue() {
-    // Initialize concurrency control
-    if (!this.activePreloads) {
-      this.activePreloads = new Set();
-    }
-
-    // Maximum concurrent preloads
-    const maxConcurrency = 3;
+    const policy = (0,_case_cache_js__WEBPACK_IMPORTED_MODULE_3__.preloadPolicy)();
 
     // Sort queue by priority (high > hover > normal) and timestamp (newer first for hover)
-    if (this.preloadQueue && this.preloadQueue.length > 0) {
-      this.preloadQueue.sort((a, b) => {
-        const priorityOrder = {
-          high: 3,
-          hover: 2,
-          normal: 1
-        };
-        const priorityDiff = priorityOrder[b.priority] - priorityOrder[a.priority];
-
-        // If same priority, newer timestamps first for hover (more recent user intent)
-        if (priorityDiff === 0 && a.priority === 'hover') {
-          return b.timestamp - a.timestamp;
-        }
-        return priorityDiff;
-      });
-    }
+    this.preloadQueue.sort((a, b) => {
+      const priorityDiff = PRELOAD_PRIORITIES[b.priority] - PRELOAD_PRIORITIES[a.priority];
+
+      // If same priority, newer timestamps first for hover (more recent user intent)
+      if (priorityDiff === 0 && a.priority === 'hover') {
+        return b.timestamp - a.timestamp;
+      }
+      return priorityDiff;
+    });
 
     // Process queue items up to concurrency limit
-    while (this.activePreloads.size < maxConcurrency && this.preloadQueue && this.preloadQueue.length > 0) {
-      const task = this.preloadQueue.shift();
+    while (this.activePreloads.size < policy.concurrency) {
+      const index = this.preloadQueue.findIndex(task => policy.priorities.includes(task.priority));
+      if (index === -1) break;
+      const [task] = this.preloadQueue.splice(index, 1);
 
-      // Skip if already being processed or completed
-      if (this.activePreloads.has(task.caseId) || this.casePreloadCache.has(task.caseId)) {
+      // Skip if completed since it was queued
+      if (this.casePreloadCache.has(task.key)) {
         continue;
       }
-
-      // Add to active preloads
-      this.activePreloads.add(task.caseId);
+      this.activePreloads.add(task.key);
 
       // Execute preload asynchronously
       this.executePreloadTask(task).finally(() => {
-        this.activePreloads.delete(task.caseId);
+        this.activePreloads.delete(task.key);
         // Process next items in queue
         this.processPreloadQueue();
       });
@@ -5951,21 +9538,46 @@ class BRAGbookGalleryApp {
    */
   async executePreloadTask(task) {
     try {
-      const result = await this.preloadCaseViaAjax(task.caseId, task.procedureIds);
+      const result = await this.preloadCaseViaAjax(task.caseId);
       if (result) {
-        this.casePreloadCache.set(task.caseId, result);
-        const priorityIcon = task.priority === 'high' ? '⚡' : task.priority === 'hover' ? '🖱️' : '📋';
-        ;
+        this.casePreloadCache.set(task.key, result);
       }
     } catch (error) {
       console.warn(`Queue failed to process case ${task.caseId}:`, error);
     }
   }
 
+  /**
+   * Request a case's detail HTML from the gallery data route
+   *
+   * The URL carries only what changes the response, so a preload and the
+   * click after it ask for the same one and the second comes from cache.
+   *
+   * @param {string} caseId - Case post ID
+   * @param {string} procedureName - Procedure the case is shown in, for its title
+   * @param {string} [key] - Request key, for a load a newer one supersedes
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  requestCaseDetails(caseId, procedureName, key = '') {
+    return (0,_gallery_data_js__WEBPACK_IMPORTED_MODULE_9__.getGalleryData)(`/cases/${parseInt(caseId, 10) || 0}`, {
+      procedure_name: procedureName,
+      // The gallery shortcode may override the site's image display.
+      image_display: document.getElementById('brag-book-gallery')?.dataset.imageDisplay || ''
+    }, {
+      key
+    });
+  }
+
   /**
    * Preload case via AJAX (fallback method)
+   *
+   * The case route renders from the case post alone, so the procedure IDs the
+   * preload queue keys its cache by are not sent.
+   *
+   * @param {string} caseId - Case post ID
+   * @returns {Promise<string|null>} The case's detail HTML, or null
    */
-  async preloadCaseViaAjax(caseId, procedureIds) {
+  async preloadCaseViaAjax(caseId) {
     try {
       // Extract procedure slug from current location
       const pathSegments = window.location.pathname.split('/').filter(s => s);
@@ -5980,25 +9592,7 @@ class BRAGbookGalleryApp {
           procedureName = label.textContent.trim();
         }
       }
-      const requestParams = {
-        action: 'brag_book_gallery_load_case_details_html',
-        case_id: caseId,
-        procedure_slug: procedureSlug,
-        procedure_name: procedureName,
-        nonce: bragBookGalleryConfig.nonce || ''
-      };
-      if (procedureIds) {
-        requestParams.procedure_ids = procedureIds;
-      }
-      const response = await fetch(bragBookGalleryConfig.ajaxUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        body: new URLSearchParams(requestParams)
-      });
-      if (!response.ok) return null;
-      const data = await response.json();
+      const data = await this.requestCaseDetails(caseId, procedureName);
       if (data.success && data.data && data.data.html) {
         return data.data.html;
       }
@@ -6243,6 +9837,9 @@ class BRAGbookGalleryApp {
    * Initialize the dedicated favorites page (from [brag_book_gallery_favorites] shortcode)
    */
   initializeDedicatedFavoritesPage(userInfo, existingFavorites = []) {
+    // Saved searches need only the email; the visitor may just have entered it
+    this.components.savedSearches?.showOnFavoritesPage();
+
     // Get DOM elements from dedicated favorites page
     const emailCapture = document.getElementById('favoritesEmailCapture');
     const gridContainer = document.getElementById('favoritesGridContainer');
@@ -6302,16 +9899,10 @@ class BRAGbookGalleryApp {
       // Make WordPress AJAX request to lookup favorites
       const formData = new FormData();
       formData.append('action', 'brag_book_lookup_favorites');
-      formData.append('nonce', window.bragBookGalleryConfig?.nonce || '');
       formData.append('email', userInfo.email);
-      const response = await fetch(window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php', {
-        method: 'POST',
-        body: formData
+      const result = await (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.postAjax)(formData, {
+        idempotent: true
       });
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const result = await response.json();
       if (result.success && result.data && result.data.favorites) {
         this.displayFavoritesGrid(result.data.favorites, gridContainer, loadingEl);
       } else {
@@ -6360,15 +9951,18 @@ class BRAGbookGalleryApp {
     if (favoritesData.cases_data && Object.keys(favoritesData.cases_data).length > 0) {
       // Sync API favorites into the FavoritesManager so counts stay accurate
       // Use junction IDs (caseProcedures[0].id) — these match data-procedure-case-id on cards
+      let casesToShow = Object.values(favoritesData.cases_data);
       if (this.components.favoritesManager) {
-        const junctionIds = Object.values(favoritesData.cases_data).map(c => {
+        const junctionIds = casesToShow.map(c => {
           if (c.caseProcedures && c.caseProcedures.length > 0) {
             return String(c.caseProcedures[0].id);
           }
           return String(c.id || c.case_id || '');
-        }).filter(Boolean);
-        this.components.favoritesManager.favorites = new Set(junctionIds);
-        this.components.favoritesManager.saveToStorage();
+        });
+        const favoriteIds = new Set(this.components.favoritesManager.reconcileWithServer(junctionIds.filter(Boolean)));
+
+        // Leave out cases removed offline that the server still lists
+        casesToShow = casesToShow.filter((c, index) => !junctionIds[index] || favoriteIds.has(junctionIds[index]));
       }
 
       // Hide empty state when we have content
@@ -6391,7 +9985,7 @@ class BRAGbookGalleryApp {
       this.addUserInfoAfterTitle(favoritesData, gridContainer);
 
       // Add each case to the grid
-      Object.values(favoritesData.cases_data).forEach(async caseData => {
+      casesToShow.forEach(async caseData => {
         const cardHtml = await this.generateFavoriteCard(caseData);
         grid.insertAdjacentHTML('beforeend', cardHtml);
       });
@@ -6404,6 +9998,18 @@ class BRAGbookGalleryApp {
     }
   }
 
+  /**
+   * How before and after photos are shown on this page
+   *
+   * The favorites and gallery shortcodes carry their own choice; pages
+   * without one use the site setting.
+   *
+   * @returns {string} 'side_by_side', 'slider' or 'slider_vertical'
+   */
+  getImageDisplay() {
+    return document.getElementById('favoritesGrid')?.dataset.imageDisplay || document.getElementById('brag-book-gallery')?.dataset.imageDisplay || window.bragBookGalleryConfig?.imageDisplay || 'side_by_side';
+  }
+
   /**
    * Generate HTML for a favorite case card (matching exact procedure case format)
    * Uses WordPress post ID to fetch proper image, procedure name, and permalink
@@ -6417,17 +10023,12 @@ class BRAGbookGalleryApp {
     try {
       const formData = new FormData();
       formData.append('action', 'brag_book_get_case_by_api_id');
-      formData.append('nonce', window.bragBookGalleryConfig?.nonce || '');
       formData.append('api_case_id', apiCaseId);
-      const response = await fetch(window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php', {
-        method: 'POST',
-        body: formData
+      const result = await (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.postAjax)(formData, {
+        idempotent: true
       });
-      if (response.ok) {
-        const result = await response.json();
-        if (result.success && result.data) {
-          wpPostData = result.data;
-        }
+      if (result.success && result.data) {
+        wpPostData = result.data;
       }
     } catch (error) {
       console.warn('Could not fetch WordPress post data for case:', apiCaseId, error);
@@ -6504,18 +10105,18 @@ class BRAGbookGalleryApp {
     }
 
     // Build data attributes
-    const dataAttrs = [`data-case-id="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(caseId)}"`, `data-post-id="${postId}"`, `data-procedure-id="${procedureId}"`, `data-procedure-case-id="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(procedureCaseId)}"`, `data-age="${caseData.age || ''}"`, `data-gender="${caseData.gender || ''}"`, `data-ethnicity="${caseData.ethnicity || ''}"`, `data-procedure-ids="${procedureId}"`, `data-card="true"`, `data-favorited="true"`].join(' ');
+    const dataAttrs = [`data-case-id="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_17__.escapeHtml)(caseId)}"`, `data-post-id="${postId}"`, `data-procedure-id="${procedureId}"`, `data-procedure-case-id="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_17__.escapeHtml)(procedureCaseId)}"`, `data-age="${caseData.age || ''}"`, `data-gender="${caseData.gender || ''}"`, `data-ethnicity="${caseData.ethnicity || ''}"`, `data-procedure-ids="${procedureId}"`, `data-card="true"`, `data-favorited="true"`].join(' ');
 
     // Build HTML matching the v3 gallery card structure exactly
     const favoriteItemId = procedureCaseId || caseId;
-    const escapedCaseId = (0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(caseId);
-    const escapedCaseUrl = (0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(caseUrl);
-    const escapedProcTitle = (0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(procedureTitle);
-    const escapedItemId = (0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(favoriteItemId);
-    const escapedImageUrl = (0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(imageUrl);
+    const escapedCaseId = (0,_utilities_js__WEBPACK_IMPORTED_MODULE_17__.escapeHtml)(caseId);
+    const escapedCaseUrl = (0,_utilities_js__WEBPACK_IMPORTED_MODULE_17__.escapeHtml)(caseUrl);
+    const escapedProcTitle = (0,_utilities_js__WEBPACK_IMPORTED_MODULE_17__.escapeHtml)(procedureTitle);
+    const escapedItemId = (0,_utilities_js__WEBPACK_IMPORTED_MODULE_17__.escapeHtml)(favoriteItemId);
+    const escapedImageUrl = (0,_utilities_js__WEBPACK_IMPORTED_MODULE_17__.escapeHtml)(imageUrl);
     const escapedProcId = caseData.procedure_id || procedureId || '';
     // Only emit the pair together — a `sizes` with no `srcset` means nothing.
-    const responsiveAttrs = imageSrcset ? ` srcset="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(imageSrcset)}" sizes="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_2__.escapeHtml)(imageSizes)}"` : '';
+    const responsiveAttrs = imageSrcset ? ` srcset="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_17__.escapeHtml)(imageSrcset)}" sizes="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_17__.escapeHtml)(imageSizes)}"` : '';
     let html = `<article class="brag-book-gallery-case-card brag-book-gallery-case-card--v3 brag-book-gallery-favorites-card" ${dataAttrs}>`;
     html += '<div class="brag-book-gallery-case-images single-image">';
     html += '<div class="brag-book-gallery-image-container">';
@@ -6528,17 +10129,38 @@ class BRAGbookGalleryApp {
     html += '<path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>';
     html += '</svg>';
     html += '</button>';
+    // Same markup as Comparison_Handler::render_toggle(); only cases with
+    // a WordPress post can be compared.
+    if (postId) {
+      html += `<button type="button" class="brag-book-gallery-compare-toggle" data-compare-post-id="${(0,_utilities_js__WEBPACK_IMPORTED_MODULE_17__.escapeHtml)(postId)}" aria-pressed="false" aria-label="Compare this case" title="Compare this case">`;
+      html += '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><rect x="3" y="4" width="7" height="16" rx="1"/><rect x="14" y="4" width="7" height="16" rx="1"/></svg>';
+      html += '</button>';
+    }
     html += '</div>';
 
     // Carousel wrapper with image link (matching v3 gallery structure)
     html += '<div class="brag-book-gallery-case-carousel">';
-    html += `<a href="${escapedCaseUrl}" class="brag-book-gallery-case-permalink brag-book-gallery-carousel-slides" data-case-id="${escapedCaseId}" data-procedure-ids="${escapedProcId}">`;
-    if (imageUrl) {
-      html += '<picture class="brag-book-gallery-picture">';
-      html += `<img src="${escapedImageUrl}"${responsiveAttrs} alt="Before and after ${escapedProcTitle} case ${escapedCaseId}" loading="eager" data-image-type="carousel" data-image-url="${escapedImageUrl}" onload="this.closest('.brag-book-gallery-image-container').querySelector('.brag-book-gallery-skeleton-loader').style.display='none';" fetchpriority="high">`;
-      html += '</picture>';
+
+    // The overlay button still links the case, so a slider can take the
+    // place of the image link.
+    const imageDisplay = this.getImageDisplay();
+    if ((0,_before_after_slider_js__WEBPACK_IMPORTED_MODULE_2__.isSliderMode)(imageDisplay) && wpPostData?.before_image_url && wpPostData?.after_image_url) {
+      html += (0,_before_after_slider_js__WEBPACK_IMPORTED_MODULE_2__.renderBeforeAfterSlider)({
+        before: wpPostData.before_image_url,
+        after: wpPostData.after_image_url,
+        alt: `${procedureTitle} case ${caseId}`,
+        mode: imageDisplay,
+        lazy: false
+      });
+    } else {
+      html += `<a href="${escapedCaseUrl}" class="brag-book-gallery-case-permalink brag-book-gallery-carousel-slides" data-case-id="${escapedCaseId}" data-procedure-ids="${escapedProcId}">`;
+      if (imageUrl) {
+        html += '<picture class="brag-book-gallery-picture">';
+        html += `<img src="${escapedImageUrl}"${responsiveAttrs} alt="Before and after ${escapedProcTitle} case ${escapedCaseId}" loading="eager" data-image-type="carousel" data-image-url="${escapedImageUrl}" onload="this.closest('.brag-book-gallery-image-container').querySelector('.brag-book-gallery-skeleton-loader').style.display='none';" fetchpriority="high">`;
+        html += '</picture>';
+      }
+      html += '</a>';
     }
-    html += '</a>';
     html += '</div>'; // Close carousel
 
     // Overlay with case name and arrow (matching v3 gallery structure)
@@ -6571,16 +10193,11 @@ class BRAGbookGalleryApp {
       // Make AJAX call to load favorites grid
       const formData = new FormData();
       formData.append('action', 'brag_book_load_favorites_grid');
-      formData.append('nonce', window.bragBookGalleryConfig?.nonce || '');
       formData.append('post_ids', JSON.stringify(favoritePostIds));
-      const response = await fetch(window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php', {
-        method: 'POST',
-        body: formData
+      formData.append('image_display', this.getImageDisplay());
+      const result = await (0,_ajax_client_js__WEBPACK_IMPORTED_MODULE_0__.postAjax)(formData, {
+        idempotent: true
       });
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const result = await response.json();
       console.log('loadFavoritesFromWordPress response:', result);
       if (loadingEl) loadingEl.style.display = 'none';
       if (result.success && result.data && result.data.html) {
@@ -6815,7 +10432,8 @@ class BRAGbookGalleryApp {
       const response = await this.callAjaxEndpoint('brag_book_load_favorites_grid', {
         favorites: favoritesData,
         userInfo: userInfo,
-        columns: 3
+        columns: 3,
+        image_display: this.getImageDisplay()
       });
 
       // Hide loading
@@ -7083,31 +10701,649 @@ class MobileMenu {
     this.overlay?.classList.remove('brag-book-gallery-active');
     document.body.classList.remove('brag-book-gallery-mobile-menu-open');
 
-    // Reset z-index for wrapper
-    const wrapper = document.querySelector('.brag-book-gallery-wrapper');
-    if (wrapper) {
-      wrapper.style.zIndex = '';
-    }
+    // Reset z-index for wrapper
+    const wrapper = document.querySelector('.brag-book-gallery-wrapper');
+    if (wrapper) {
+      wrapper.style.zIndex = '';
+    }
+
+    // Update menu icon back to hamburger
+    const menuIcon = this.menuToggle.querySelector('svg');
+    if (menuIcon) {
+      menuIcon.innerHTML = '<path d="M120-240v-80h720v80H120Zm0-200v-80h720v80H120Zm0-200v-80h720v80H120Z"/>';
+    }
+
+    // Restore body scroll
+    document.body.style.overflow = '';
+
+    // Restore focus to previous element
+    if (this.previousFocus && this.previousFocus.focus) {
+      this.previousFocus.focus();
+    }
+  }
+  isOpen() {
+    return this.menuToggle?.dataset.menuOpen === 'true';
+  }
+}
+/* harmony default export */ __webpack_exports__["default"] = (MobileMenu);
+
+/***/ }),
+
+/***/ "./src/js/modules/motion.js":
+/*!**********************************!*\
+  !*** ./src/js/modules/motion.js ***!
+  \**********************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   MOTION_EVENT: function() { return /* binding */ MOTION_EVENT; },
+/* harmony export */   initMotion: function() { return /* binding */ initMotion; },
+/* harmony export */   onMotionChange: function() { return /* binding */ onMotionChange; },
+/* harmony export */   prefersReducedMotion: function() { return /* binding */ prefersReducedMotion; },
+/* harmony export */   scrollBehavior: function() { return /* binding */ scrollBehavior; }
+/* harmony export */ });
+/**
+ * Reduced Motion
+ *
+ * Every animation in the gallery asks here whether it may move: smooth
+ * scrolling, carousel autoplay and momentum, the loading progress bar, the
+ * nudity warning fade. The answer follows the visitor's
+ * prefers-reduced-motion setting unless a site script forces it:
+ *
+ *     window.bragBookGalleryMotion.setReduced(true);   // always reduce
+ *     window.bragBookGalleryMotion.setReduced(false);  // never reduce
+ *     window.bragBookGalleryMotion.setReduced(null);   // follow the system again
+ *     window.bragBookGalleryMotion.isReduced();
+ *
+ * While motion is reduced <html> carries the brag-book-gallery-reduce-motion
+ * class, which stills the gallery's CSS transitions and animations (see
+ * components/_motion.scss), and every change is announced as a
+ * bragbook:motion event on document with { reduced } as its detail.
+ *
+ * Like the consent gate, the state lives on window so the separate bundles
+ * and chunks share it; a site can set window.bragBookGalleryReduceMotion to
+ * true or false before the gallery loads to force it from the start.
+ */
+
+const MOTION_EVENT = 'bragbook:motion';
+const REDUCE_CLASS = 'brag-book-gallery-reduce-motion';
+
+// Overrides the stylesheet's own prefers-reduced-motion rule when a script
+// insists on motion.
+const ALLOW_CLASS = 'brag-book-gallery-allow-motion';
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * The page's motion state, created on first use
+ *
+ * @returns {{forced: boolean|null, media: MediaQueryList}}
+ */
+function getState() {
+  if (!window.bragBookGalleryMotion) {
+    const forced = window.bragBookGalleryReduceMotion;
+    const state = {
+      forced: typeof forced === 'boolean' ? forced : null,
+      media: window.matchMedia(QUERY)
+    };
+    window.bragBookGalleryMotion = {
+      setReduced: value => {
+        state.forced = typeof value === 'boolean' ? value : null;
+        update();
+      },
+      isReduced: () => prefersReducedMotion(),
+      state
+    };
+    state.media.addEventListener('change', () => update());
+    update();
+  }
+  return window.bragBookGalleryMotion.state;
+}
+
+/**
+ * Apply the current state to <html> and tell the modules
+ */
+function update() {
+  const reduced = prefersReducedMotion();
+  document.documentElement.classList.toggle(REDUCE_CLASS, reduced);
+  document.documentElement.classList.toggle(ALLOW_CLASS, getState().forced === false);
+  document.dispatchEvent(new CustomEvent(MOTION_EVENT, {
+    detail: {
+      reduced
+    }
+  }));
+}
+
+/**
+ * Whether the gallery should keep still
+ *
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+  const state = getState();
+  return state.forced !== null ? state.forced : state.media.matches;
+}
+
+/**
+ * The scroll behavior to pass to scrollTo() and scrollIntoView()
+ *
+ * @returns {string} 'auto' while motion is reduced, 'smooth' otherwise
+ */
+function scrollBehavior() {
+  return prefersReducedMotion() ? 'auto' : 'smooth';
+}
+
+/**
+ * Run a callback whenever motion is reduced or allowed again
+ *
+ * @param {function(boolean): void} callback - Called with whether motion is now reduced
+ */
+function onMotionChange(callback) {
+  getState();
+  document.addEventListener(MOTION_EVENT, e => callback(e.detail.reduced));
+}
+
+/**
+ * Set up the shared state, so the class is on <html> before anything moves
+ */
+function initMotion() {
+  getState();
+}
+
+/***/ }),
+
+/***/ "./src/js/modules/offline-support.js":
+/*!*******************************************!*\
+  !*** ./src/js/modules/offline-support.js ***!
+  \*******************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   initOfflineSupport: function() { return /* binding */ initOfflineSupport; }
+/* harmony export */ });
+/**
+ * Offline Browsing
+ *
+ * Registers the gallery's service worker (src/js/service-worker.js, served
+ * by Service_Worker) once the page has loaded, when the site has turned
+ * offline browsing on. When the site turns it off, bragBookGalleryConfig
+ * carries no worker URL and a worker an earlier visit installed is
+ * unregistered, so no visitor is left with a gallery cached by a feature the
+ * site no longer uses.
+ */
+
+// The worker's URL always carries this query var, whatever the site's URL
+const WORKER_QUERY_VAR = 'brag_book_gallery_sw';
+
+/**
+ * Register or remove the worker, as the site's settings say
+ *
+ * @param {{url: string, scope: string}} [config] - bragBookGalleryConfig.serviceWorker
+ */
+function syncServiceWorker(config) {
+  if (config.url) {
+    navigator.serviceWorker.register(config.url, {
+      scope: config.scope
+    }).catch(error => {
+      console.warn('BRAGBook: Service worker registration failed:', error);
+    });
+    return;
+  }
+  navigator.serviceWorker.getRegistrations().then(registrations => {
+    registrations.filter(registration => (registration.active || registration.waiting || registration.installing)?.scriptURL.includes(WORKER_QUERY_VAR)).forEach(registration => registration.unregister());
+  });
+}
+
+/**
+ * Set up offline browsing after the page has loaded, so the worker's
+ * precaching never competes with the gallery for the connection
+ *
+ * @param {{url: string, scope: string}} [config] - bragBookGalleryConfig.serviceWorker
+ */
+function initOfflineSupport(config) {
+  if (!config || !('serviceWorker' in navigator)) {
+    return;
+  }
+  if (document.readyState === 'complete') {
+    syncServiceWorker(config);
+  } else {
+    window.addEventListener('load', () => syncServiceWorker(config), {
+      once: true
+    });
+  }
+}
+
+/***/ }),
+
+/***/ "./src/js/modules/range-filter.js":
+/*!****************************************!*\
+  !*** ./src/js/modules/range-filter.js ***!
+  \****************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   RANGE_FILTER_TYPES: function() { return /* binding */ RANGE_FILTER_TYPES; },
+/* harmony export */   formatRange: function() { return /* binding */ formatRange; },
+/* harmony export */   formatRangeBound: function() { return /* binding */ formatRangeBound; },
+/* harmony export */   getCardMeasurements: function() { return /* binding */ getCardMeasurements; },
+/* harmony export */   initRangeFilters: function() { return /* binding */ initRangeFilters; },
+/* harmony export */   isInRanges: function() { return /* binding */ isInRanges; },
+/* harmony export */   measureCardRanges: function() { return /* binding */ measureCardRanges; },
+/* harmony export */   parseRange: function() { return /* binding */ parseRange; },
+/* harmony export */   renderRangeFilter: function() { return /* binding */ renderRangeFilter; },
+/* harmony export */   resetRangeFilter: function() { return /* binding */ resetRangeFilter; },
+/* harmony export */   syncRangeFilters: function() { return /* binding */ syncRangeFilters; }
+/* harmony export */ });
+/**
+ * Range Filters
+ *
+ * Age, height and weight are filtered with a dual-handle range instead of
+ * fixed buckets, bounded by the lowest and highest value in the data set.
+ * Each handle is a native <input type="range">, so arrow keys, Page Up/Down,
+ * Home/End, touch dragging and screen reader announcements all come from the
+ * browser; the two are overlaid on one track and kept from crossing.
+ *
+ * The chosen range lives in a hidden input carrying data-filter-type and a
+ * "min-max" value (e.g. age 30-45; height in inches, weight in pounds). That
+ * is the shape of a checked filter checkbox, so the URL state, badges, router
+ * and server request treat a range like any other selection. The hidden value
+ * is empty while the range spans the whole data set.
+ */
+
+const RANGE_FILTER_TYPES = ['age', 'height', 'weight'];
+const ROOT_SELECTOR = '.brag-book-gallery-filter-range';
+const RANGE_PATTERN = /^(\d+)-(\d+)$/;
+
+/**
+ * Parse a "min-max" range value.
+ *
+ * @param {string} value - Range value
+ * @returns {{min: number, max: number}|null} Bounds in order, or null if not a range
+ */
+function parseRange(value) {
+  const match = RANGE_PATTERN.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const a = parseInt(match[1], 10);
+  const b = parseInt(match[2], 10);
+  return {
+    min: Math.min(a, b),
+    max: Math.max(a, b)
+  };
+}
+
+/**
+ * Whether a value falls in any of the selected ranges (bounds inclusive).
+ *
+ * @param {number|null} value - The case's value; null when it isn't recorded
+ * @param {string[]} ranges - Selected "min-max" values
+ * @returns {boolean} False for a missing value, which can't be placed in a range
+ */
+function isInRanges(value, ranges) {
+  return value !== null && ranges.some(range => {
+    const bounds = parseRange(range);
+    return bounds !== null && value >= bounds.min && value <= bounds.max;
+  });
+}
+
+/**
+ * A case card's age, height in inches and weight in pounds: the units the
+ * range filters work in, whatever the card was recorded in.
+ *
+ * @param {HTMLElement} card - Case card carrying data-age, data-height, ... attributes
+ * @returns {{age: number|null, height: number|null, weight: number|null}}
+ */
+function getCardMeasurements(card) {
+  const read = value => {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? null : number;
+  };
+  let height = read(card.dataset.height);
+  if (height !== null && (card.dataset.heightUnit || 'in') === 'cm') {
+    height = Math.round(height / 2.54);
+  }
+  let weight = read(card.dataset.weight);
+  if (weight !== null && (card.dataset.weightUnit || 'lbs') === 'kg') {
+    weight = Math.round(weight * 2.205);
+  }
+  return {
+    age: read(card.dataset.age),
+    height,
+    weight
+  };
+}
+
+/**
+ * The lowest and highest age, height and weight across a set of case cards,
+ * which bound the range filters.
+ *
+ * @param {Iterable<HTMLElement>} cards - Case cards
+ * @returns {{age, height, weight: {min: number, max: number}|null}} Null where no card has the value
+ */
+function measureCardRanges(cards) {
+  const bounds = {
+    age: null,
+    height: null,
+    weight: null
+  };
+  Array.from(cards).forEach(card => {
+    const measurements = getCardMeasurements(card);
+    RANGE_FILTER_TYPES.forEach(type => {
+      const value = measurements[type];
+      if (value === null) return;
+      const current = bounds[type];
+      bounds[type] = current ? {
+        min: Math.min(current.min, value),
+        max: Math.max(current.max, value)
+      } : {
+        min: value,
+        max: value
+      };
+    });
+  });
+  return bounds;
+}
+
+/**
+ * Format one bound for display: years, feet and inches, or pounds.
+ *
+ * @param {string} type - age, height or weight
+ * @param {number} number - Bound (inches for height, pounds for weight)
+ * @returns {string}
+ */
+function formatRangeBound(type, number) {
+  if (type === 'height') {
+    return `${Math.floor(number / 12)}'${number % 12}"`;
+  }
+  if (type === 'weight') {
+    return `${number} lbs`;
+  }
+  return String(number);
+}
+
+/**
+ * Format a range value for badges and the live readout, e.g. 5'2"–5'8".
+ *
+ * @param {string} type - age, height or weight
+ * @param {string} value - "min-max" range value
+ * @returns {string} The formatted range, or the value unchanged if it isn't one
+ */
+function formatRange(type, value) {
+  const range = parseRange(value);
+  if (!range) {
+    return value;
+  }
+  if (type === 'weight') {
+    return `${range.min}–${range.max} lbs`;
+  }
+  return `${formatRangeBound(type, range.min)}–${formatRangeBound(type, range.max)}`;
+}
+
+/**
+ * Build the markup for one range filter.
+ *
+ * @param {string} type - age, height or weight
+ * @param {string} label - Visible filter name
+ * @param {{min: number, max: number}} bounds - Lowest and highest value in the data set
+ * @returns {string} HTML for the filter's <details> block
+ */
+function renderRangeFilter(type, label, bounds) {
+  const name = label.toLowerCase();
+  const handle = (edge, value) => `<input type="range"
+				class="brag-book-gallery-filter-range__input brag-book-gallery-filter-range__input--${edge}"
+				min="${bounds.min}" max="${bounds.max}" step="1" value="${value}"
+				aria-label="${edge === 'min' ? 'Minimum' : 'Maximum'} ${name}"
+				aria-valuetext="${formatRangeBound(type, value)}">`;
+  return `<details class="brag-book-gallery-filter">
+		<summary class="brag-book-gallery-filter-label">
+			<span class="brag-book-gallery-filter-label__name">${label}</span>
+			<svg class="brag-book-gallery-filter-label__arrow" width="16" height="16" viewBox="0 0 12 12" fill="none" xmlns="http://www.w3.org/2000/svg">
+				<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+			</svg>
+		</summary>
+		<div class="brag-book-gallery-filter-range" role="group" aria-label="${label} range" data-min="${bounds.min}" data-max="${bounds.max}">
+			<input type="hidden" data-filter-type="${type}" value="">
+			<div class="brag-book-gallery-filter-range__slider">
+				${handle('min', bounds.min)}
+				${handle('max', bounds.max)}
+			</div>
+			<output class="brag-book-gallery-filter-range__output">${formatRange(type, `${bounds.min}-${bounds.max}`)}</output>
+		</div>
+	</details>`;
+}
+
+/**
+ * Show a range widget's handles, fill and readout for the given bounds.
+ *
+ * @param {HTMLElement} root - .brag-book-gallery-filter-range element
+ * @param {number} low - Lower handle value
+ * @param {number} high - Upper handle value
+ */
+function paint(root, low, high) {
+  const type = root.querySelector('input[type="hidden"]').dataset.filterType;
+  const min = parseInt(root.dataset.min, 10);
+  const span = Math.max(1, parseInt(root.dataset.max, 10) - min);
+  const minInput = root.querySelector('.brag-book-gallery-filter-range__input--min');
+  const maxInput = root.querySelector('.brag-book-gallery-filter-range__input--max');
+  minInput.value = String(low);
+  maxInput.value = String(high);
+  minInput.setAttribute('aria-valuetext', formatRangeBound(type, low));
+  maxInput.setAttribute('aria-valuetext', formatRangeBound(type, high));
+  root.style.setProperty('--range-start', `${(low - min) / span * 100}%`);
+  root.style.setProperty('--range-end', `${(high - min) / span * 100}%`);
+  root.querySelector('.brag-book-gallery-filter-range__output').textContent = formatRange(type, `${low}-${high}`);
+}
+
+/**
+ * Make the range filters in a container interactive.
+ *
+ * Handles move freely while dragged; the selection is committed (and a bubbling
+ * change event fired on the hidden input) when a drag or key press ends.
+ *
+ * @param {ParentNode} container - Filter options container
+ */
+function initRangeFilters(container) {
+  container.querySelectorAll(ROOT_SELECTOR).forEach(root => {
+    const hidden = root.querySelector('input[type="hidden"]');
+    const minInput = root.querySelector('.brag-book-gallery-filter-range__input--min');
+    const maxInput = root.querySelector('.brag-book-gallery-filter-range__input--max');
+    const min = parseInt(root.dataset.min, 10);
+    const max = parseInt(root.dataset.max, 10);
+    const handleInput = event => {
+      let low = parseInt(minInput.value, 10);
+      let high = parseInt(maxInput.value, 10);
+
+      // Keep the handles from crossing: the one being moved stops at the other
+      if (low > high) {
+        if (event.target === minInput) {
+          low = high;
+        } else {
+          high = low;
+        }
+      }
+      paint(root, low, high);
+
+      // Whichever handle moved last sits on top, so a pair pushed together
+      // at one end can still be pulled apart.
+      minInput.classList.toggle('is-on-top', event.target === minInput);
+    };
+    const handleChange = () => {
+      const low = parseInt(minInput.value, 10);
+      const high = parseInt(maxInput.value, 10);
+      const value = low === min && high === max ? '' : `${low}-${high}`;
+      if (hidden.value !== value) {
+        hidden.value = value;
+        hidden.dispatchEvent(new Event('change', {
+          bubbles: true
+        }));
+      }
+    };
+    minInput.addEventListener('input', handleInput);
+    maxInput.addEventListener('input', handleInput);
+    minInput.addEventListener('change', handleChange);
+    maxInput.addEventListener('change', handleChange);
+    paint(root, min, max);
+  });
+}
+
+/**
+ * Move the handles to match each hidden value, after it was set from elsewhere
+ * (the query string, the router, Clear All). Values outside the data set are
+ * clamped to it.
+ *
+ * @param {ParentNode} container - Element holding range filters
+ */
+function syncRangeFilters(container) {
+  container.querySelectorAll(ROOT_SELECTOR).forEach(root => {
+    const hidden = root.querySelector('input[type="hidden"]');
+    const min = parseInt(root.dataset.min, 10);
+    const max = parseInt(root.dataset.max, 10);
+    const range = parseRange(hidden.value);
+    if (!range) {
+      hidden.value = '';
+      paint(root, min, max);
+      return;
+    }
+    paint(root, Math.max(min, Math.min(range.min, max)), Math.min(max, Math.max(range.max, min)));
+  });
+}
+
+/**
+ * Clear a range filter back to the whole data set.
+ *
+ * @param {HTMLInputElement} hidden - The range's hidden value input
+ */
+function resetRangeFilter(hidden) {
+  const root = hidden.closest(ROOT_SELECTOR);
+  hidden.value = '';
+  if (root) {
+    paint(root, parseInt(root.dataset.min, 10), parseInt(root.dataset.max, 10));
+  }
+}
+
+/***/ }),
+
+/***/ "./src/js/modules/share-target.js":
+/*!****************************************!*\
+  !*** ./src/js/modules/share-target.js ***!
+  \****************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   CASE_PARAM: function() { return /* binding */ CASE_PARAM; },
+/* harmony export */   PHOTO_PARAM: function() { return /* binding */ PHOTO_PARAM; },
+/* harmony export */   hasShareTarget: function() { return /* binding */ hasShareTarget; }
+/* harmony export */ });
+/* harmony import */ var _motion_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./motion.js */ "./src/js/modules/motion.js");
+/**
+ * Share Target
+ *
+ * Opens what a share link points at. On a case page ?bb_photo=N switches the
+ * viewer to that photo; on any other page ?bb_case= and the #slide anchor name
+ * the case card or carousel slide. The target is scrolled into view, focused
+ * and briefly highlighted.
+ *
+ * ShareManager builds these links and Share_Meta reads the same parameters to
+ * give crawlers the shared photo's preview.
+ */
+
+
+const PHOTO_PARAM = 'bb_photo';
+const CASE_PARAM = 'bb_case';
+const HIGHLIGHT_CLASS = 'brag-book-gallery-share-target';
+const HIGHLIGHT_DURATION = 2500;
+
+/**
+ * Whether the current URL points at a shared case or photo
+ *
+ * @returns {boolean}
+ */
+const hasShareTarget = () => {
+  const params = new URLSearchParams(window.location.search);
+  return params.has(PHOTO_PARAM) || params.has(CASE_PARAM) || window.location.hash.length > 1;
+};
+
+/**
+ * Find the element a share link names
+ *
+ * @param {string} caseId Procedure case ID from ?bb_case=
+ * @param {string} slideId Slide ID from the URL hash
+ * @returns {HTMLElement|null}
+ */
+const findTarget = (caseId, slideId) => {
+  if (slideId) {
+    const slide = document.querySelector(`.brag-book-gallery-carousel-item[data-bb-slide="${CSS.escape(slideId)}"]`);
+    if (slide) return slide;
+  }
+  if (caseId) {
+    const escaped = CSS.escape(caseId);
+    return document.querySelector(`.brag-book-gallery-case-detail-view[data-procedure-case-id="${escaped}"]`) || document.querySelector(`[data-procedure-case-id="${escaped}"]`);
+  }
 
-    // Update menu icon back to hamburger
-    const menuIcon = this.menuToggle.querySelector('svg');
-    if (menuIcon) {
-      menuIcon.innerHTML = '<path d="M120-240v-80h720v80H120Zm0-200v-80h720v80H120Zm0-200v-80h720v80H120Z"/>';
-    }
+  // A case's own page names only the photo.
+  return document.querySelector('.brag-book-gallery-case-detail-view');
+};
 
-    // Restore body scroll
-    document.body.style.overflow = '';
+/**
+ * Switch a case view to one of its photos
+ *
+ * Goes through the thumbnail so main-app's handler swaps the image, slider
+ * and srcset exactly as a click would.
+ *
+ * @param {HTMLElement} target Case detail view
+ * @param {number} index Zero-based photo
+ */
+const showPhoto = (target, index) => {
+  const thumbnail = target.querySelector(`.brag-book-gallery-thumbnail-item[data-image-index="${index}"]`);
+  if (thumbnail) {
+    thumbnail.click();
+    thumbnail.scrollIntoView({
+      block: 'nearest',
+      inline: 'center'
+    });
+  }
+};
 
-    // Restore focus to previous element
-    if (this.previousFocus && this.previousFocus.focus) {
-      this.previousFocus.focus();
-    }
+/**
+ * Open the case or photo the current URL was shared for
+ *
+ * @returns {HTMLElement|null} The element shown, or null when none matched
+ */
+const openShareTarget = () => {
+  const params = new URLSearchParams(window.location.search);
+  const photo = parseInt(params.get(PHOTO_PARAM) || '0', 10) || 0;
+  const caseId = params.get(CASE_PARAM) || '';
+  const slideId = decodeURIComponent(window.location.hash.slice(1));
+
+  // A bare hash is only ours when it names a slide.
+  if (!photo && !caseId && !document.querySelector(`[data-bb-slide="${CSS.escape(slideId)}"]`)) {
+    return null;
   }
-  isOpen() {
-    return this.menuToggle?.dataset.menuOpen === 'true';
+  const target = findTarget(caseId, slideId);
+  if (!target) return null;
+  if (photo > 0 && target.matches('.brag-book-gallery-case-detail-view')) {
+    showPhoto(target, photo);
   }
-}
-/* harmony default export */ __webpack_exports__["default"] = (MobileMenu);
+  target.scrollIntoView({
+    behavior: (0,_motion_js__WEBPACK_IMPORTED_MODULE_0__.scrollBehavior)(),
+    block: 'center',
+    inline: 'center'
+  });
+  if (!target.hasAttribute('tabindex')) {
+    target.setAttribute('tabindex', '-1');
+  }
+  target.focus({
+    preventScroll: true
+  });
+  target.classList.add(HIGHLIGHT_CLASS);
+  setTimeout(() => target.classList.remove(HIGHLIGHT_CLASS), HIGHLIGHT_DURATION);
+  return target;
+};
+/* harmony default export */ __webpack_exports__["default"] = (openShareTarget);
 
 /***/ }),
 
@@ -7121,8 +11357,14 @@ __webpack_require__.r(__webpack_exports__);
 /* harmony export */ __webpack_require__.d(__webpack_exports__, {
 /* harmony export */   NudityWarningManager: function() { return /* binding */ NudityWarningManager; },
 /* harmony export */   PhoneFormatter: function() { return /* binding */ PhoneFormatter; },
-/* harmony export */   escapeHtml: function() { return /* binding */ escapeHtml; }
+/* harmony export */   escapeHtml: function() { return /* binding */ escapeHtml; },
+/* harmony export */   isCoveredByNudityWarning: function() { return /* binding */ isCoveredByNudityWarning; }
 /* harmony export */ });
+/* harmony import */ var _analytics_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(/*! ./analytics.js */ "./src/js/modules/analytics.js");
+/* harmony import */ var _motion_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__(/*! ./motion.js */ "./src/js/modules/motion.js");
+
+
+
 /**
  * Nudity Warning Manager
  * Handles nudity warnings and acceptance state
@@ -7184,6 +11426,7 @@ class NudityWarningManager {
 
     // Add class to body for CSS hiding
     document.body.classList.add('nudity-accepted');
+    (0,_analytics_js__WEBPACK_IMPORTED_MODULE_0__.track)('nudity_accept');
 
     // Animate the removal for smooth transition
     this.animateRemoval();
@@ -7191,6 +11434,17 @@ class NudityWarningManager {
   animateRemoval() {
     const allNudityWarnings = document.querySelectorAll('.brag-book-gallery-nudity-warning');
     const allBlurredImages = document.querySelectorAll('.brag-book-gallery-nudity-blur');
+
+    // No fade with motion reduced: the warnings simply go
+    if ((0,_motion_js__WEBPACK_IMPORTED_MODULE_1__.prefersReducedMotion)()) {
+      allNudityWarnings.forEach(nudityWarning => {
+        nudityWarning.style.display = 'none';
+      });
+      allBlurredImages.forEach(blurredImage => {
+        blurredImage.style.filter = 'blur(0px)';
+      });
+      return;
+    }
     allNudityWarnings.forEach(nudityWarning => {
       nudityWarning.style.transition = 'opacity 0.5s ease-out';
       nudityWarning.style.opacity = '0';
@@ -7302,6 +11556,561 @@ function escapeHtml(value) {
   return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#039;');
 }
 
+// Elements that scope a nudity warning to one case.
+const NUDITY_SCOPE_SELECTOR = ['.brag-book-gallery-carousel-item', '.brag-book-gallery-case-card', '.brag-book-gallery-compare-column__photo', '.brag-book-gallery-main-image-container'].join(', ');
+
+/**
+ * Whether a nudity warning still covers an element's case.
+ *
+ * The overlay already blocks the pointer; this is for controls that can be
+ * reached by keyboard underneath it.
+ *
+ * @param {Element|null} element - Element inside a case card, slide or viewer.
+ * @returns {boolean} True until the visitor accepts the warning.
+ */
+function isCoveredByNudityWarning(element) {
+  if (!element || document.body.classList.contains('nudity-accepted')) {
+    return false;
+  }
+  const scope = element.closest(NUDITY_SCOPE_SELECTOR);
+  const warnings = [...(scope ? scope.querySelectorAll('.brag-book-gallery-nudity-warning') : []), ...document.querySelectorAll('.brag-book-gallery-nudity-warning--global')];
+  return warnings.some(warning => getComputedStyle(warning).display !== 'none');
+}
+
+
+/***/ }),
+
+/***/ "./src/js/modules/virtual-grid.js":
+/*!****************************************!*\
+  !*** ./src/js/modules/virtual-grid.js ***!
+  \****************************************/
+/***/ (function(__unused_webpack_module, __webpack_exports__, __webpack_require__) {
+
+__webpack_require__.r(__webpack_exports__);
+/* harmony export */ __webpack_require__.d(__webpack_exports__, {
+/* harmony export */   CARDS_MOUNTED_EVENT: function() { return /* binding */ CARDS_MOUNTED_EVENT; },
+/* harmony export */   countCaseCards: function() { return /* binding */ countCaseCards; },
+/* harmony export */   getCaseCards: function() { return /* binding */ getCaseCards; },
+/* harmony export */   refreshCaseGrid: function() { return /* binding */ refreshCaseGrid; },
+/* harmony export */   scrollToCaseCard: function() { return /* binding */ scrollToCaseCard; },
+/* harmony export */   serializeWithCases: function() { return /* binding */ serializeWithCases; },
+/* harmony export */   syncVirtualGrid: function() { return /* binding */ syncVirtualGrid; }
+/* harmony export */ });
+/**
+ * Virtual Case Grid
+ *
+ * Once Load More or infinite scroll has fetched a few hundred cases, keeping
+ * every card in the page leaves thousands of nodes for the browser to lay
+ * out and paint on each scroll. Past bragBookGalleryConfig.virtualizeAfter
+ * cards (see Settings_Helper::get_virtualize_after()) the grid keeps only
+ * the rows within a screen of the viewport mounted, and a spacer above and
+ * below stands in for the rest.
+ *
+ * Cards that scroll away are detached rather than thrown away, and the same
+ * elements go back when they return, so whatever a card carries survives:
+ * its listeners, a slider's position, a card the visitor has hidden with a
+ * filter. What can change while a card is detached is put right as it
+ * mounts: the bragbook:cardsmounted event lets main-app bring favorites
+ * hearts up to date and hand the cards to the case preload observer, and
+ * nudity acceptance is a class on <body> that the stylesheet applies to
+ * every card, mounted or not.
+ *
+ * Code that needs every case rather than the ones on screen (the demographic
+ * filters, Load More counts) asks getCaseCards(), and calls refreshCaseGrid()
+ * after showing or hiding cards. Cards that other code adds to the grid, or
+ * markup that replaces it, are picked up by a MutationObserver.
+ *
+ * The grid is shared through window.bragBookGalleryVirtualGrid, like the
+ * router, so the separate bundles see the same one.
+ */
+
+const CARDS_MOUNTED_EVENT = 'bragbook:cardsmounted';
+const GRID_SELECTOR = '.brag-book-gallery-case-grid.masonry-layout';
+const CARD_SELECTOR = '.brag-book-gallery-case-card';
+
+// Row height assumed until a row has been measured.
+const ESTIMATED_ROW_HEIGHT = 400;
+class VirtualGrid {
+  /**
+   * @param {HTMLElement} grid - The case grid
+   * @param {number} threshold - Cards below which the grid goes back to rendering everything
+   */
+  constructor(grid, threshold) {
+    this.grid = grid;
+    this.threshold = threshold;
+    this.cards = [];
+    this.mounted = [];
+    this.rowHeights = new Map();
+    this.estimate = ESTIMATED_ROW_HEIGHT;
+    this.columns = 1;
+    this.gap = 0;
+    this.width = 0;
+    this.frame = null;
+    this.before = this.createSpacer();
+    this.after = this.createSpacer();
+    this.observer = new MutationObserver(records => this.handleMutations(records));
+    this.resizeObserver = new ResizeObserver(() => this.handleResize());
+    this.schedule = this.schedule.bind(this);
+    this.init();
+  }
+  init() {
+    this.adoptGrid();
+
+    // data-columns and the view classes change the grid's columns
+    this.observer.observe(this.grid, {
+      childList: true,
+      attributes: true,
+      attributeFilter: ['data-columns', 'class']
+    });
+    this.resizeObserver.observe(this.grid);
+    window.addEventListener('scroll', this.schedule, {
+      passive: true
+    });
+    window.addEventListener('resize', this.schedule, {
+      passive: true
+    });
+    window.bragBookGalleryVirtualGrid = this;
+    this.render();
+  }
+
+  /**
+   * Stand-in for rows that are not mounted
+   *
+   * @returns {HTMLElement}
+   */
+  createSpacer() {
+    const spacer = document.createElement('div');
+    spacer.className = 'brag-book-gallery-case-grid__spacer';
+    spacer.setAttribute('aria-hidden', 'true');
+    return spacer;
+  }
+
+  /**
+   * Take over whatever cards the grid holds now, all of them mounted
+   */
+  adoptGrid() {
+    this.cards = Array.from(this.grid.children).filter(node => node.matches(CARD_SELECTOR));
+    this.mounted = this.cards.slice();
+    this.rowHeights.clear();
+    this.grid.prepend(this.before);
+    this.grid.append(this.after);
+    this.observer.takeRecords();
+  }
+
+  /**
+   * Every case in the grid, mounted or not, in order
+   *
+   * @returns {HTMLElement[]}
+   */
+  getCards() {
+    this.handleMutations(this.observer.takeRecords());
+    return this.cards.slice();
+  }
+
+  /**
+   * Cards a filter has not hidden
+   *
+   * @returns {HTMLElement[]}
+   */
+  getVisibleCards() {
+    return this.cards.filter(card => card.style.display !== 'none');
+  }
+
+  /**
+   * Lay the grid out again after cards were shown or hidden
+   */
+  refresh() {
+    // Rows are made of different cards now; keep only the estimate
+    this.rowHeights.clear();
+    this.render();
+  }
+
+  /**
+   * Render on the next frame, once however many scroll events arrive
+   */
+  schedule() {
+    if (!this.frame) {
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        this.render();
+      });
+    }
+  }
+
+  /**
+   * Read the column count and row gap the stylesheet gives the grid now
+   */
+  readLayout() {
+    const style = window.getComputedStyle(this.grid);
+    this.columns = Math.max(1, style.gridTemplateColumns.split(' ').filter(Boolean).length);
+    this.gap = parseFloat(style.rowGap) || 0;
+  }
+
+  /**
+   * A row's measured height, or the estimate for one never mounted
+   *
+   * @param {number} row - Row index among the visible cards
+   * @returns {number}
+   */
+  getRowHeight(row) {
+    return this.rowHeights.get(row) ?? this.estimate;
+  }
+
+  /**
+   * Height of a run of rows, gaps between them included
+   *
+   * @param {number} from - First row
+   * @param {number} to - Row after the last
+   * @returns {number}
+   */
+  getRowsHeight(from, to) {
+    let height = 0;
+    for (let row = from; row < to; row++) {
+      height += this.getRowHeight(row) + this.gap;
+    }
+    return Math.max(0, height - this.gap);
+  }
+
+  /**
+   * Mount the rows within a screen of the viewport and size the spacers
+   * for the rest
+   */
+  render() {
+    this.handleMutations(this.observer.takeRecords());
+
+    // A grid that is not laid out, e.g. in a hidden view, has no rows to
+    // measure; it renders again when it is shown and resized.
+    if (!this.grid.isConnected || !this.grid.clientWidth) {
+      return;
+    }
+    this.readLayout();
+    const items = this.getVisibleCards();
+    const rows = Math.ceil(items.length / this.columns);
+
+    // Where the viewport, with a screen to spare each way, falls in the
+    // grid. The grid's top is the before spacer's, which stands in for
+    // exactly the rows above it.
+    const top = this.grid.getBoundingClientRect().top;
+    const from = -top - window.innerHeight;
+    const to = -top + window.innerHeight * 2;
+    let startRow = rows;
+    let endRow = rows;
+    let y = 0;
+    for (let row = 0; row < rows; row++) {
+      if (y > to) {
+        endRow = row;
+        break;
+      }
+      const height = this.getRowHeight(row);
+      if (startRow === rows && y + height >= from) {
+        startRow = row;
+      }
+      y += height + this.gap;
+    }
+    endRow = Math.max(startRow, endRow);
+
+    // Never pull the card with keyboard focus out from under it
+    const focused = document.activeElement?.closest?.(CARD_SELECTOR);
+    const focusedIndex = focused ? items.indexOf(focused) : -1;
+    if (focusedIndex !== -1) {
+      const row = Math.floor(focusedIndex / this.columns);
+      startRow = Math.min(startRow, row);
+      endRow = Math.max(endRow, row + 1);
+    }
+    const slice = items.slice(startRow * this.columns, endRow * this.columns);
+    const added = this.mount(slice);
+
+    // Measure what is mounted, then size the spacers from it
+    for (let row = startRow; row < endRow; row++) {
+      const cards = slice.slice((row - startRow) * this.columns, (row - startRow + 1) * this.columns);
+      const height = Math.max(...cards.map(card => card.offsetHeight));
+      if (height > 0) {
+        this.rowHeights.set(row, height);
+      }
+    }
+    if (this.rowHeights.size) {
+      let total = 0;
+      this.rowHeights.forEach(height => {
+        total += height;
+      });
+      this.estimate = total / this.rowHeights.size;
+    }
+    this.setSpacer(this.before, this.getRowsHeight(0, startRow));
+    this.setSpacer(this.after, this.getRowsHeight(endRow, rows));
+    if (added.length) {
+      this.grid.dispatchEvent(new CustomEvent(CARDS_MOUNTED_EVENT, {
+        bubbles: true,
+        detail: {
+          cards: added
+        }
+      }));
+    }
+  }
+
+  /**
+   * Make the mounted cards exactly these, in this order
+   *
+   * @param {HTMLElement[]} slice - Cards to mount
+   * @returns {HTMLElement[]} Cards that were not mounted before
+   */
+  mount(slice) {
+    const next = new Set(slice);
+    const previous = new Set(this.mounted);
+    this.mounted.forEach(card => {
+      if (!next.has(card)) {
+        card.remove();
+      }
+    });
+    let cursor = this.before.nextSibling;
+    slice.forEach(card => {
+      if (card === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        this.grid.insertBefore(card, cursor);
+      }
+    });
+    this.mounted = slice;
+
+    // These changes are this grid's own
+    this.observer.takeRecords();
+    return slice.filter(card => !previous.has(card));
+  }
+
+  /**
+   * @param {HTMLElement} spacer
+   * @param {number} height - Height of the rows it stands in for
+   */
+  setSpacer(spacer, height) {
+    // An empty spacer would still add a row gap
+    spacer.style.display = height > 0 ? '' : 'none';
+    spacer.style.height = `${height}px`;
+  }
+
+  /**
+   * Take in grid changes made by other code
+   *
+   * @param {MutationRecord[]} records
+   */
+  handleMutations(records) {
+    if (!records.length) {
+      return;
+    }
+
+    // The grid's markup was replaced, e.g. by a server-side filter
+    if (this.before.parentNode !== this.grid || this.after.parentNode !== this.grid) {
+      this.adoptGrid();
+      if (this.cards.length < this.threshold) {
+        this.destroy();
+      } else {
+        this.schedule();
+      }
+      return;
+    }
+    const known = new Set(this.cards);
+    const added = [];
+    const removed = new Set();
+    if (records.some(record => record.type === 'attributes')) {
+      this.rowHeights.clear();
+      this.schedule();
+    }
+    records.forEach(record => {
+      record.addedNodes.forEach(node => {
+        if (node instanceof Element && node.matches(CARD_SELECTOR) && !known.has(node)) {
+          added.push(node);
+        }
+      });
+      record.removedNodes.forEach(node => {
+        if (known.has(node) && !node.isConnected) {
+          removed.add(node);
+        }
+      });
+    });
+    if (!added.length && !removed.size) {
+      return;
+    }
+
+    // New cards are the next page wherever they were inserted: they go on
+    // the end, and render() mounts them if they are near the viewport.
+    added.forEach(card => card.remove());
+    this.observer.takeRecords();
+    this.cards = this.cards.filter(card => !removed.has(card)).concat(added);
+    this.mounted = this.mounted.filter(card => !removed.has(card));
+    this.schedule();
+  }
+
+  /**
+   * Start measuring again when the grid's width changes
+   */
+  handleResize() {
+    const width = this.grid.clientWidth;
+    if (width !== this.width) {
+      this.width = width;
+      this.rowHeights.clear();
+      this.schedule();
+    }
+  }
+
+  /**
+   * Scroll a card into view, mounting it first if it is not
+   *
+   * @param {HTMLElement} card
+   */
+  scrollToCard(card) {
+    const index = this.getVisibleCards().indexOf(card);
+    if (index === -1) {
+      return;
+    }
+    this.readLayout();
+    const row = Math.floor(index / this.columns);
+    const top = this.grid.getBoundingClientRect().top + window.scrollY + this.getRowsHeight(0, row) + (row > 0 ? this.gap : 0);
+    window.scrollTo({
+      top,
+      behavior: 'instant'
+    });
+    this.render();
+  }
+
+  /**
+   * The markup of an element containing the grid, with every card in it
+   *
+   * The router keeps this as a snapshot, so back restores the whole grid.
+   *
+   * @param {HTMLElement} content - Element the grid is in
+   * @returns {string}
+   */
+  serialize(content) {
+    const marker = 'data-virtual-grid-serializing';
+    this.grid.setAttribute(marker, '');
+    const clone = content.cloneNode(true);
+    this.grid.removeAttribute(marker);
+    const grid = clone.querySelector(`[${marker}]`);
+    grid.removeAttribute(marker);
+    Array.from(grid.children).forEach(node => {
+      if (node.matches(CARD_SELECTOR) || node.matches('.brag-book-gallery-case-grid__spacer')) {
+        node.remove();
+      }
+    });
+    grid.append(...this.cards.map(card => card.cloneNode(true)));
+    return clone.innerHTML;
+  }
+
+  /**
+   * Put every card back and stop
+   */
+  destroy() {
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+    window.removeEventListener('scroll', this.schedule);
+    window.removeEventListener('resize', this.schedule);
+    this.resizeObserver.disconnect();
+    if (this.grid.isConnected) {
+      this.mount(this.cards);
+      this.before.remove();
+      this.after.remove();
+    }
+    this.observer.disconnect();
+    if (window.bragBookGalleryVirtualGrid === this) {
+      window.bragBookGalleryVirtualGrid = null;
+    }
+  }
+}
+
+/**
+ * The page's virtual grid, if one is running
+ *
+ * @returns {VirtualGrid|null}
+ */
+function getVirtualGrid() {
+  return window.bragBookGalleryVirtualGrid || null;
+}
+
+/**
+ * Virtualize the case grid once it holds enough cards, and let go of one
+ * that has left the page
+ *
+ * Safe to call whenever the grid may have changed: after a page of cases
+ * loads, or a view is restored.
+ */
+function syncVirtualGrid() {
+  const threshold = parseInt(window.bragBookGalleryConfig?.virtualizeAfter || '0', 10);
+  const grid = document.querySelector(GRID_SELECTOR);
+  const current = getVirtualGrid();
+  if (current && current.grid !== grid) {
+    current.destroy();
+  }
+  if (!threshold || !grid || getVirtualGrid() || !('ResizeObserver' in window)) {
+    return;
+  }
+  if (grid.querySelectorAll(`:scope > ${CARD_SELECTOR}`).length >= threshold) {
+    new VirtualGrid(grid, threshold);
+  }
+}
+
+/**
+ * Every case card on the page, including the ones the virtual grid has
+ * scrolled out
+ *
+ * @param {string} [selector] - Only cards matching this
+ * @returns {HTMLElement[]}
+ */
+function getCaseCards(selector = CARD_SELECTOR) {
+  const virtual = getVirtualGrid();
+  const cards = Array.from(document.querySelectorAll(selector));
+  if (!virtual) {
+    return cards;
+  }
+  return virtual.getCards().filter(card => card.matches(selector)).concat(cards.filter(card => !virtual.grid.contains(card)));
+}
+
+/**
+ * How many case cards an element holds, including the ones the virtual grid
+ * has scrolled out
+ *
+ * @param {HTMLElement} container - The grid, or an element around it
+ * @returns {number}
+ */
+function countCaseCards(container) {
+  const virtual = getVirtualGrid();
+  if (virtual && container.contains(virtual.grid)) {
+    return virtual.getCards().length + Array.from(container.querySelectorAll(CARD_SELECTOR)).filter(card => !virtual.grid.contains(card)).length;
+  }
+  return container.querySelectorAll(CARD_SELECTOR).length;
+}
+
+/**
+ * Lay the virtual grid out again after cards were shown or hidden
+ */
+function refreshCaseGrid() {
+  getVirtualGrid()?.refresh();
+}
+
+/**
+ * Scroll a case card into view, mounting it first if it is scrolled out
+ *
+ * @param {HTMLElement} card
+ */
+function scrollToCaseCard(card) {
+  const virtual = getVirtualGrid();
+  if (virtual && !card.isConnected) {
+    virtual.scrollToCard(card);
+  } else {
+    card.scrollIntoView({
+      block: 'start',
+      behavior: 'instant'
+    });
+  }
+}
+
+/**
+ * The markup of an element for a snapshot, with every case card in it
+ *
+ * @param {HTMLElement} content - Element to serialize
+ * @returns {string}
+ */
+function serializeWithCases(content) {
+  const virtual = getVirtualGrid();
+  return virtual && content.contains(virtual.grid) ? virtual.serialize(content) : content.innerHTML;
+}
 
 /***/ })
 
@@ -7372,9 +12181,13 @@ function escapeHtml(value) {
 /******/ 		__webpack_require__.u = function(chunkId) {
 /******/ 			// return url for filenames not based on template
 /******/ 			if (chunkId === "brag-book-gallery-filter-system") return "brag-book-gallery-filter-system.js";
+/******/ 			if (chunkId === "brag-book-gallery-saved-searches") return "brag-book-gallery-saved-searches.js";
+/******/ 			if (chunkId === "brag-book-gallery-lightbox") return "brag-book-gallery-lightbox.js";
+/******/ 			if (chunkId === "brag-book-gallery-comparison") return "brag-book-gallery-comparison.js";
 /******/ 			if (chunkId === "brag-book-gallery-favorites") return "brag-book-gallery-favorites.js";
 /******/ 			if (chunkId === "brag-book-gallery-search") return "brag-book-gallery-search.js";
 /******/ 			if (chunkId === "brag-book-gallery-share") return "brag-book-gallery-share.js";
+/******/ 			if (chunkId === "brag-book-gallery-consultation-form") return "brag-book-gallery-consultation-form.js";
 /******/ 			// return url for filenames based on template
 /******/ 			return undefined;
 /******/ 		};
@@ -15,6 +15,7 @@ declare( strict_types=1 );
 namespace BRAGBookGallery\Includes\Admin\Pages;
 
 use BRAGBookGallery\Includes\Admin\Core\Settings_Base;
+use BRAGBookGallery\Includes\Communications\Consultation_Form;
 use BRAGBookGallery\Includes\Core\Settings_Helper;
 use BRAGBookGallery\Includes\Core\Updater;
 use BRAGBookGallery\Includes\Shortcodes\HTML_Renderer;
@@ -989,6 +990,7 @@ class General_Page extends Settings_Base {
 		$case_card_type      = sanitize_text_field( get_option( 'brag_book_gallery_case_card_type', 'default' ) );
 		$case_image_carousel = (bool) get_option( 'brag_book_gallery_case_image_carousel', false );
 		$case_carousel_nav   = (string) get_option( 'brag_book_gallery_case_carousel_nav', 'dots' );
+		$image_display       = Settings_Helper::get_image_display();
 		$items_per_page      = Settings_Helper::get_items_per_page();
 
 		// Landing page content.
@@ -1004,10 +1006,15 @@ class General_Page extends Settings_Base {
 		$expand_nav_menus    = (bool) get_option( 'brag_book_gallery_expand_nav_menus', false );
 		$show_filter_counts  = (bool) get_option( 'brag_book_gallery_show_filter_counts', true );
 		$enable_favorites    = (bool) get_option( 'brag_book_gallery_enable_favorites', true );
+		$enable_sharing      = Settings_Helper::is_sharing_enabled();
+		$enable_offline      = Settings_Helper::is_offline_browsing_enabled();
+		$share_utm_campaign  = Settings_Helper::get_share_utm_campaign();
+		$record_shares       = (bool) get_option( 'brag_book_gallery_record_shares', false );
 		$enable_consultation = (bool) get_option( 'brag_book_gallery_enable_consultation', true );
 		$consultation_source = (string) get_option( 'brag_book_gallery_consultation_form_source', 'builtin' );
 		$ghl_form_url        = (string) get_option( 'brag_book_gallery_ghl_form_url', '' );
 		$ghl_form_height     = absint( get_option( 'brag_book_gallery_ghl_form_height', 0 ) );
+		$consultation_schema = (string) get_option( Consultation_Form::OPTION, '' );
 		$show_provider         = (bool) get_option( 'brag_book_gallery_show_provider', false );
 		$enable_providers    = (bool) get_option( 'brag_book_gallery_enable_providers', false );
 		$provider_label      = (string) get_option( 'brag_book_gallery_provider_label', '' );
@@ -1016,6 +1023,9 @@ class General_Page extends Settings_Base {
 		$google_maps_api_key = (string) get_option( 'brag_book_gallery_google_maps_api_key', '' );
 		$enable_powered_by   = (bool) get_option( 'brag_book_gallery_enable_powered_by', false );
 		$enable_disclaimer   = (bool) get_option( 'brag_book_gallery_enable_disclaimer', false );
+		$analytics_adapters  = Settings_Helper::get_analytics_adapters();
+		$require_consent     = Settings_Helper::requires_consent();
+		$consent_cookie      = Settings_Helper::get_consent_cookie();
 
 		// Nudity warning settings.
 		$nudity_mode    = HTML_Renderer::get_nudity_mode();
@@ -1435,6 +1445,48 @@ class General_Page extends Settings_Base {
 					</fieldset>
 				</div>
 
+				<!-- Before/After Image Display -->
+				<div class="gallery-page-settings-field">
+					<label class="gallery-page-settings-field__label">
+						<?php esc_html_e( 'Before and after photos', 'brag-book-gallery' ); ?>
+					</label>
+					<fieldset>
+						<label class="brag-book-gallery-setting-choice">
+							<input type="radio"
+							       name="brag_book_gallery_image_display"
+							       value="side_by_side"
+							       <?php checked( $image_display, 'side_by_side' ); ?> />
+							<strong><?php esc_html_e( 'Side by side', 'brag-book-gallery' ); ?></strong>
+							<span class="description">
+								<?php esc_html_e( 'The combined image from BRAG book, with both photos next to each other.', 'brag-book-gallery' ); ?>
+							</span>
+						</label>
+						<label class="brag-book-gallery-setting-choice">
+							<input type="radio"
+							       name="brag_book_gallery_image_display"
+							       value="slider"
+							       <?php checked( $image_display, 'slider' ); ?> />
+							<strong><?php esc_html_e( 'Slider', 'brag-book-gallery' ); ?></strong>
+							<span class="description">
+								<?php esc_html_e( 'The photos are laid over each other with a divider visitors drag left and right.', 'brag-book-gallery' ); ?>
+							</span>
+						</label>
+						<label class="brag-book-gallery-setting-choice">
+							<input type="radio"
+							       name="brag_book_gallery_image_display"
+							       value="slider_vertical"
+							       <?php checked( $image_display, 'slider_vertical' ); ?> />
+							<strong><?php esc_html_e( 'Vertical slider', 'brag-book-gallery' ); ?></strong>
+							<span class="description">
+								<?php esc_html_e( 'As the slider, with the divider dragged up and down.', 'brag-book-gallery' ); ?>
+							</span>
+						</label>
+					</fieldset>
+					<p class="description">
+						<?php esc_html_e( 'Cases synced without separate before and after photos always show the combined image. Shortcodes can override this with image_display="side_by_side|slider|slider_vertical".', 'brag-book-gallery' ); ?>
+					</p>
+				</div>
+
 				<!-- Show Provider Toggle -->
 				<div class="brag-book-gallery-field">
 					<div class="brag-book-gallery-toggle-wrapper">
@@ -1529,6 +1581,84 @@ class General_Page extends Settings_Base {
 					</p>
 				</div>
 
+				<!-- Enable Sharing Toggle -->
+				<div class="brag-book-gallery-field">
+					<div class="brag-book-gallery-toggle-wrapper">
+						<label class="brag-book-gallery-toggle">
+							<input type="hidden" name="brag_book_gallery_enable_sharing" value="no" />
+							<input type="checkbox"
+							       id="brag_book_gallery_enable_sharing"
+							       name="brag_book_gallery_enable_sharing"
+							       value="yes"
+							       <?php checked( $enable_sharing, true ); ?> />
+							<span class="brag-book-gallery-toggle-slider"></span>
+						</label>
+						<label class="brag-book-gallery-toggle-label" for="brag_book_gallery_enable_sharing">
+							<?php esc_html_e( 'Allow users to share cases and photos', 'brag-book-gallery' ); ?>
+						</label>
+					</div>
+					<p class="description">
+						<?php esc_html_e( 'When enabled, case photos get a share button whose links open the same case and photo. Photos flagged for nudity are previewed blurred on social networks.', 'brag-book-gallery' ); ?>
+					</p>
+
+					<div class="brag-book-gallery-conditional-group"
+						data-bb-requires="brag_book_gallery_enable_sharing">
+					<div class="gallery-page-settings-field">
+						<label for="brag_book_gallery_share_utm_campaign" class="gallery-page-settings-field__label">
+							<?php esc_html_e( 'UTM campaign', 'brag-book-gallery' ); ?>
+						</label>
+						<input type="text"
+						       id="brag_book_gallery_share_utm_campaign"
+						       name="brag_book_gallery_share_utm_campaign"
+						       value="<?php echo esc_attr( $share_utm_campaign ); ?>"
+						       class="regular-text"
+						       placeholder="case-share" />
+						<p class="description">
+							<?php esc_html_e( 'Shared links are tagged with this utm_campaign, the channel as utm_source (facebook, email, link…) and social, email or share as utm_medium, so your analytics can tell shared visits apart. Leave blank to share untagged links.', 'brag-book-gallery' ); ?>
+						</p>
+					</div>
+
+					<div class="brag-book-gallery-toggle-wrapper">
+						<label class="brag-book-gallery-toggle">
+							<input type="hidden" name="brag_book_gallery_record_shares" value="0" />
+							<input type="checkbox"
+							       id="brag_book_gallery_record_shares"
+							       name="brag_book_gallery_record_shares"
+							       value="1"
+							       <?php checked( $record_shares, true ); ?> />
+							<span class="brag-book-gallery-toggle-slider"></span>
+						</label>
+						<label class="brag-book-gallery-toggle-label" for="brag_book_gallery_record_shares">
+							<?php esc_html_e( 'Count shares per case and channel', 'brag-book-gallery' ); ?>
+						</label>
+					</div>
+					<p class="description">
+						<?php esc_html_e( 'Each share is reported to this site and totalled in a Shares column on the Cases screen. Only the case, photo and channel are recorded.', 'brag-book-gallery' ); ?>
+					</p>
+					</div>
+				</div>
+
+				<!-- Offline Browsing Toggle -->
+				<div class="brag-book-gallery-field">
+					<div class="brag-book-gallery-toggle-wrapper">
+						<label class="brag-book-gallery-toggle">
+							<input type="hidden" name="brag_book_gallery_enable_offline" value="0" />
+							<input type="checkbox"
+							       id="brag_book_gallery_enable_offline"
+							       name="brag_book_gallery_enable_offline"
+							       value="1"
+							       <?php checked( $enable_offline, true ); ?> />
+							<span class="brag-book-gallery-toggle-slider"></span>
+						</label>
+						<label class="brag-book-gallery-toggle-label" for="brag_book_gallery_enable_offline">
+							<?php esc_html_e( 'Keep the gallery on visitors\' devices for repeat and offline visits', 'brag-book-gallery' ); ?>
+						</label>
+					</div>
+					<p class="description">
+						<?php esc_html_e( 'Installs a service worker for the gallery pages. Cases a visitor has seen open instantly on later visits, and without a connection they can still browse those cases and their favorites. Everything kept is refreshed after each sync. Requires HTTPS.', 'brag-book-gallery' ); ?>
+					</p>
+				</div>
+
 				<!-- Enable Consultation Toggle -->
 				<div class="brag-book-gallery-field">
 					<div class="brag-book-gallery-toggle-wrapper">
@@ -1575,6 +1705,25 @@ class General_Page extends Settings_Base {
 							</span>
 						</label>
 
+						<div class="brag-book-gallery-conditional-group"
+							data-bb-requires="brag_book_gallery_consultation_form_source"
+							data-bb-requires-value="builtin">
+						<div class="gallery-page-settings-field">
+							<label for="brag_book_gallery_consultation_form_schema" class="gallery-page-settings-field__label">
+								<?php esc_html_e( 'Form fields', 'brag-book-gallery' ); ?>
+							</label>
+							<textarea id="brag_book_gallery_consultation_form_schema"
+							          name="brag_book_gallery_consultation_form_schema"
+							          class="large-text code"
+							          rows="10"
+							          spellcheck="false"
+							          placeholder="<?php echo esc_attr( (string) wp_json_encode( Consultation_Form::get_default_schema(), JSON_PRETTY_PRINT ) ); ?>"><?php echo esc_textarea( $consultation_schema ); ?></textarea>
+							<p class="description">
+								<?php esc_html_e( 'Steps and fields as JSON: {"steps": [{"title": "…", "fields": [{"name": "…", "type": "…", "label": "…", "required": true}]}]}. Types are text, email, tel, textarea, select, radio, checkbox, consent and file; choice fields take "options", or "options_source": "procedures" or "providers". Name and email are always asked for. Leave blank for the standard name, email, phone and message form.', 'brag-book-gallery' ); ?>
+							</p>
+						</div>
+						</div>
+
 						<div class="brag-book-gallery-conditional-group"
 							data-bb-requires="brag_book_gallery_consultation_form_source"
 							data-bb-requires-value="gohighlevel">
@@ -1656,6 +1805,121 @@ class General_Page extends Settings_Base {
 				</div>
 			</div>
 
+			<div class="brag-book-gallery-subsection">
+				<h3><?php esc_html_e( 'Analytics', 'brag-book-gallery' ); ?></h3>
+				<p class="brag-book-gallery-subsection__intro">
+					<?php esc_html_e( 'The gallery reports filter changes, searches, favorites, carousel slides, case opens, Load More, consultation requests, shares and nudity warning acceptance as events. Scripts can always listen through window.bragBookGalleryAnalytics; these send them on to your analytics tools as well.', 'brag-book-gallery' ); ?>
+				</p>
+				<div class="brag-book-gallery-fields">
+				<!-- Tag Manager dataLayer Toggle -->
+				<div class="brag-book-gallery-field">
+					<div class="brag-book-gallery-toggle-wrapper">
+						<label class="brag-book-gallery-toggle">
+							<input type="hidden" name="brag_book_gallery_analytics_datalayer" value="0" />
+							<input type="checkbox"
+							       id="brag_book_gallery_analytics_datalayer"
+							       name="brag_book_gallery_analytics_datalayer"
+							       value="1"
+							       <?php checked( $analytics_adapters['dataLayer'], true ); ?> />
+							<span class="brag-book-gallery-toggle-slider"></span>
+						</label>
+						<label class="brag-book-gallery-toggle-label" for="brag_book_gallery_analytics_datalayer">
+							<?php esc_html_e( 'Push gallery events to the Google Tag Manager dataLayer', 'brag-book-gallery' ); ?>
+						</label>
+					</div>
+					<p class="description">
+						<?php esc_html_e( 'Each event is pushed as bragbook_ plus its name (bragbook_case_open, bragbook_filter_change…) with its details under the bragbook key, ready for Tag Manager triggers and variables.', 'brag-book-gallery' ); ?>
+					</p>
+				</div>
+
+				<!-- GA4 gtag Toggle -->
+				<div class="brag-book-gallery-field">
+					<div class="brag-book-gallery-toggle-wrapper">
+						<label class="brag-book-gallery-toggle">
+							<input type="hidden" name="brag_book_gallery_analytics_gtag" value="0" />
+							<input type="checkbox"
+							       id="brag_book_gallery_analytics_gtag"
+							       name="brag_book_gallery_analytics_gtag"
+							       value="1"
+							       <?php checked( $analytics_adapters['gtag'], true ); ?> />
+							<span class="brag-book-gallery-toggle-slider"></span>
+						</label>
+						<label class="brag-book-gallery-toggle-label" for="brag_book_gallery_analytics_gtag">
+							<?php esc_html_e( 'Send gallery events to Google Analytics 4', 'brag-book-gallery' ); ?>
+						</label>
+					</div>
+					<p class="description">
+						<?php esc_html_e( 'Sends each event through the gtag() already on the page, under the same bragbook_ names. The GA4 tag itself is not added by the plugin.', 'brag-book-gallery' ); ?>
+					</p>
+				</div>
+
+				<!-- REST Sink Toggle -->
+				<div class="brag-book-gallery-field">
+					<div class="brag-book-gallery-toggle-wrapper">
+						<label class="brag-book-gallery-toggle">
+							<input type="hidden" name="brag_book_gallery_analytics_rest" value="0" />
+							<input type="checkbox"
+							       id="brag_book_gallery_analytics_rest"
+							       name="brag_book_gallery_analytics_rest"
+							       value="1"
+							       <?php checked( $analytics_adapters['rest'], true ); ?> />
+							<span class="brag-book-gallery-toggle-slider"></span>
+						</label>
+						<label class="brag-book-gallery-toggle-label" for="brag_book_gallery_analytics_rest">
+							<?php esc_html_e( 'Send gallery events to this site', 'brag-book-gallery' ); ?>
+						</label>
+					</div>
+					<p class="description">
+						<?php esc_html_e( 'Events are batched to a REST route on this site and passed to the brag_book_gallery_analytics_event action for your own code to store or forward. Nothing is kept by the plugin.', 'brag-book-gallery' ); ?>
+					</p>
+				</div>
+				</div>
+			</div>
+
+			<div class="brag-book-gallery-subsection">
+				<h3><?php esc_html_e( 'Privacy & Consent', 'brag-book-gallery' ); ?></h3>
+				<div class="brag-book-gallery-fields">
+				<!-- Require Consent Toggle -->
+				<div class="brag-book-gallery-field">
+					<div class="brag-book-gallery-toggle-wrapper">
+						<label class="brag-book-gallery-toggle">
+							<input type="hidden" name="brag_book_gallery_require_consent" value="0" />
+							<input type="checkbox"
+							       id="brag_book_gallery_require_consent"
+							       name="brag_book_gallery_require_consent"
+							       value="1"
+							       <?php checked( $require_consent, true ); ?> />
+							<span class="brag-book-gallery-toggle-slider"></span>
+						</label>
+						<label class="brag-book-gallery-toggle-label" for="brag_book_gallery_require_consent">
+							<?php esc_html_e( 'Wait for visitor consent before tracking', 'brag-book-gallery' ); ?>
+						</label>
+					</div>
+					<p class="description">
+						<?php esc_html_e( 'View tracking, analytics events and share counts wait for statistics consent; the social share buttons and the favorites email form wait for marketing consent. Consent is read from an IAB TCF v2 banner, the WP Consent API or the cookie below. Events are queued until then, not lost.', 'brag-book-gallery' ); ?>
+					</p>
+
+					<div class="brag-book-gallery-conditional-group"
+						data-bb-requires="brag_book_gallery_require_consent">
+					<div class="gallery-page-settings-field">
+						<label for="brag_book_gallery_consent_cookie" class="gallery-page-settings-field__label">
+							<?php esc_html_e( 'Consent cookie', 'brag-book-gallery' ); ?>
+						</label>
+						<input type="text"
+						       id="brag_book_gallery_consent_cookie"
+						       name="brag_book_gallery_consent_cookie"
+						       value="<?php echo esc_attr( $consent_cookie ); ?>"
+						       class="regular-text"
+						       placeholder="cookie_consent=accepted" />
+						<p class="description">
+							<?php esc_html_e( 'For banners that only set a cookie: name=value to match the value that means the visitor accepted, or its name alone, in which case any value except a refusal such as 0, false, no, deny or declined counts. The visitor then counts as consenting to everything. Leave blank to rely on TCF or the WP Consent API.', 'brag-book-gallery' ); ?>
+						</p>
+					</div>
+					</div>
+				</div>
+				</div>
+			</div>
+
 			<div class="brag-book-gallery-subsection">
 				<h3><?php esc_html_e( 'Providers & Locations', 'brag-book-gallery' ); ?></h3>
 				<div class="brag-book-gallery-fields">
@@ -2864,6 +3128,28 @@ class General_Page extends Settings_Base {
 			'gohighlevel' === $form_source ? 'gohighlevel' : 'builtin'
 		);
 
+		if ( isset( $_POST['brag_book_gallery_consultation_form_schema'] ) ) {
+			// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON is decoded and normalized below.
+			$schema_json = trim( wp_unslash( $_POST['brag_book_gallery_consultation_form_schema'] ) );
+			$schema      = json_decode( $schema_json, true );
+
+			if ( '' === $schema_json ) {
+				delete_option( Consultation_Form::OPTION );
+			} elseif ( is_array( $schema ) ) {
+				// Stored as entered and normalized on use, so choices drawn from
+				// procedures or providers follow the synced terms.
+				update_option(
+					Consultation_Form::OPTION,
+					wp_json_encode( $schema, JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES )
+				);
+			} else {
+				$this->add_notice(
+					__( 'The consultation form fields are not valid JSON, so the previous fields were kept.', 'brag-book-gallery' ),
+					'warning'
+				);
+			}
+		}
+
 		if ( isset( $_POST['brag_book_gallery_ghl_form_url'] ) ) {
 			update_option(
 				'brag_book_gallery_ghl_form_url',
@@ -2888,6 +3174,11 @@ class General_Page extends Settings_Base {
 			in_array( $carousel_nav, array( 'dots', 'thumbnails' ), true ) ? $carousel_nav : 'dots'
 		);
 
+		$image_display = isset( $_POST['brag_book_gallery_image_display'] )
+			? Settings_Helper::sanitize_image_display( sanitize_key( wp_unslash( $_POST['brag_book_gallery_image_display'] ) ) )
+			: '';
+		update_option( 'brag_book_gallery_image_display', '' !== $image_display ? $image_display : 'side_by_side' );
+
 		// Google Maps API key (text) — used by the Find a Provider locator.
 		$google_maps_api_key = isset( $_POST['brag_book_gallery_google_maps_api_key'] )
 			? sanitize_text_field( wp_unslash( $_POST['brag_book_gallery_google_maps_api_key'] ) )
@@ -3015,6 +3306,12 @@ class General_Page extends Settings_Base {
 		$features = array(
 			'brag_book_gallery_enable_favorites',
 			'brag_book_gallery_enable_consultation',
+			'brag_book_gallery_record_shares',
+			'brag_book_gallery_enable_offline',
+			'brag_book_gallery_analytics_datalayer',
+			'brag_book_gallery_analytics_gtag',
+			'brag_book_gallery_analytics_rest',
+			'brag_book_gallery_require_consent',
 			'brag_book_gallery_show_provider',
 			'brag_book_gallery_enable_providers',
 			'brag_book_gallery_enable_practices',
@@ -3027,6 +3324,26 @@ class General_Page extends Settings_Base {
 			update_option( $feature, $value );
 		}
 
+		// Sharing has always been stored as yes/no rather than a boolean.
+		update_option(
+			'brag_book_gallery_enable_sharing',
+			isset( $_POST['brag_book_gallery_enable_sharing'] ) && 'yes' === $_POST['brag_book_gallery_enable_sharing'] ? 'yes' : 'no'
+		);
+
+		if ( isset( $_POST['brag_book_gallery_share_utm_campaign'] ) ) {
+			update_option(
+				'brag_book_gallery_share_utm_campaign',
+				sanitize_title( wp_unslash( $_POST['brag_book_gallery_share_utm_campaign'] ) )
+			);
+		}
+
+		if ( isset( $_POST['brag_book_gallery_consent_cookie'] ) ) {
+			update_option(
+				'brag_book_gallery_consent_cookie',
+				Settings_Helper::sanitize_consent_cookie( (string) wp_unslash( $_POST['brag_book_gallery_consent_cookie'] ) )
+			);
+		}
+
 		// What the front end calls a provider. Stored as given, blank included:
 		// an empty label falls back to the plugin's own wording at render time.
 		foreach ( array( 'brag_book_gallery_provider_label', 'brag_book_gallery_provider_label_plural' ) as $label_option ) {
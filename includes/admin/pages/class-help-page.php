@@ -231,7 +231,7 @@ class Help_Page extends Settings_Base {
 						<li><code>show_controls</code> - <?php esc_html_e( 'Navigation arrows (true/false)', 'brag-book-gallery' ); ?></li>
 						<li><code>show_pagination</code> - <?php esc_html_e( 'Dots pagination (true/false)', 'brag-book-gallery' ); ?></li>
 						<li><code>autoplay</code> - <?php esc_html_e( 'Auto-advance slides (true/false)', 'brag-book-gallery' ); ?></li>
-						<li><code>autoplay_delay</code> - <?php esc_html_e( 'Delay in ms (default: 3000)', 'brag-book-gallery' ); ?></li>
+						<li><code>autoplay_delay</code> - <?php esc_html_e( 'Delay in ms (default: 5000, at least 2000). Visitors get a pause button, and carousels stay still for anyone who has asked their system for reduced motion', 'brag-book-gallery' ); ?></li>
 					</ul>
 					<p><strong><?php esc_html_e( 'Legacy Format:', 'brag-book-gallery' ); ?></strong></p>
 					<div class="help-shortcode-block" role="button" tabindex="0" title="<?php esc_attr_e( 'Click to copy', 'brag-book-gallery' ); ?>">
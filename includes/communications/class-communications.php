@@ -22,6 +22,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
+use BRAGBookGallery\Includes\Core\Nonce_Refresh;
 use BRAGBookGallery\Includes\Core\Trait_Api;
 use BRAGBookGallery\Includes\Core\Trait_Rate_Limit;
 use BRAGBookGallery\Includes\Core\Trait_Tools;
@@ -147,14 +148,6 @@ class Communications {
 	 */
 	private const CACHE_EXPIRATION = 3600;
 
-	/**
-	 * Required form fields for validation
-	 *
-	 * @since 3.0.0
-	 * @var array<string>
-	 */
-	private const REQUIRED_FIELDS = [ 'name', 'email', 'phone', 'description' ];
-
 	/**
 	 * Valid HTTP response codes for API success
 	 *
@@ -252,6 +245,12 @@ class Communications {
 
 		// Get consultation details AJAX handler (admin only).
 		add_action( 'wp_ajax_consultation-get-details', [ $this, 'handle_get_details' ] );
+
+		// Form token endpoint for the spam checks.
+		Form_Guard::register();
+
+		// Staff-only downloads of consultation uploads, removed with their request.
+		Consultation_Uploads::register();
 	}
 
 	/**
@@ -476,8 +475,10 @@ class Communications {
 	 * ```
 	 */
 	public function handle_form_submission(): void {
-		// Validate HTTP request first.
-		$request_validation = $this->validate_http_request();
+		$steps = Consultation_Form::get_schema();
+
+		// Validate HTTP request first; file fields allow for their uploads.
+		$request_validation = $this->validate_http_request( [ 'POST' ], Consultation_Form::get_max_request_size( $steps ) );
 		if ( is_wp_error( $request_validation ) ) {
 			wp_send_json_error( esc_html( $request_validation->get_error_message() ) );
 			return;
@@ -486,7 +487,24 @@ class Communications {
 		// Comprehensive nonce validation.
 		$nonce_validation = $this->validate_submission_nonce();
 		if ( is_wp_error( $nonce_validation ) ) {
-			wp_send_json_error( esc_html( $nonce_validation->get_error_message() ) );
+			Nonce_Refresh::send_invalid_nonce( esc_html( $nonce_validation->get_error_message() ) );
+			return;
+		}
+
+		// Spam and bot checks: honeypot, form token, time to submit, challenge, session limit.
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above.
+		$guard_check = Form_Guard::check( 'consultation', wp_unslash( $_POST ) );
+		if ( is_wp_error( $guard_check ) ) {
+			$this->handle_error(
+				$guard_check->get_error_code(),
+				$guard_check->get_error_message(),
+				[ 'ip' => self::get_client_ip() ],
+				'warning'
+			);
+			wp_send_json_error( [
+				'message' => esc_html( $guard_check->get_error_message() ),
+				'code'    => $guard_check->get_error_code(),
+			] );
 			return;
 		}
 
@@ -497,16 +515,34 @@ class Communications {
 			return;
 		}
 
-		// Validate and sanitize form inputs.
-		$form_data = $this->validate_form_data();
+		// Validate and sanitize form inputs against the form schema.
+		$values = $this->validate_form_data( $steps );
 
-		if ( is_wp_error( $form_data ) ) {
-			wp_send_json_error( esc_html( $form_data->get_error_message() ) );
+		if ( is_wp_error( $values ) ) {
+			$error_data = $values->get_error_data();
+
+			wp_send_json_error( [
+				'message' => esc_html( $values->get_error_message() ),
+				'fields'  => array_map( 'esc_html', $error_data['fields'] ?? [] ),
+			] );
 			return;
 		}
 
-		// Validate content for security threats.
-		$content_security = $this->validate_content_security( $form_data );
+		$form_data = [
+			'name'        => $values['name'],
+			'email'       => $values['email'],
+			'phone'       => $values['phone'] ?? '',
+			'description' => $values['message'] ?? '',
+		];
+		$answers   = Consultation_Form::get_extra_answers( $steps, $values );
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above.
+		$context   = Consultation_Form::resolve_context( wp_unslash( $_POST ) );
+
+		// Validate content for security threats; only free text is checked,
+		// the choices are the practice's own.
+		$content_security = $this->validate_content_security(
+			array_merge( $form_data, $this->get_free_text_answers( $steps, $values ) )
+		);
 		if ( is_wp_error( $content_security ) ) {
 			wp_send_json_error( esc_html( $content_security->get_error_message() ) );
 			return;
@@ -527,6 +563,8 @@ class Communications {
 			return;
 		}
 
+		$files = $this->store_consultation_details( $post_id, $steps, $values, $answers, $context );
+
 		// Try to get API configuration (optional).
 		$config = $this->get_api_configuration();
 
@@ -547,7 +585,7 @@ class Communications {
 				'name'    => $form_data['name'],
 				'email'   => $form_data['email'],
 				'phone'   => $form_data['phone'],
-				'details' => $form_data['description'],
+				'details' => $this->build_details( $form_data['description'], $answers, $context, $files ),
 			];
 
 			// Try to send to API (but don't fail if it doesn't work).
@@ -593,72 +631,144 @@ class Communications {
 	/**
 	 * Validate form data
 	 *
-	 * Validates and sanitizes all form inputs following VIP standards
-	 * for input validation and sanitization.
+	 * Checks the submission against the consultation form schema, the same
+	 * rules the browser applied, then against the stored field lengths.
 	 *
 	 * @since 3.0.0
+	 * @since 4.9.5 Validates against the consultation form schema.
+	 *
+	 * @param array $steps Normalized consultation form schema.
 	 *
-	 * @return array|WP_Error Sanitized form data or error.
+	 * @return array|WP_Error Sanitized values keyed by field name, or error.
 	 */
-	private function validate_form_data(): array|WP_Error {
-		// Check for missing required fields.
-		foreach ( self::REQUIRED_FIELDS as $field ) {
-			// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in calling method.
-			if ( empty( $_POST[ $field ] ) ) {
-				return $this->handle_error(
-					'missing_field',
-					sprintf(
-						/* translators: %s: Field name that is missing */
-						esc_html__( 'Required field missing: %s', 'brag-book-gallery' ),
-						esc_html( $field )
-					),
-					[ 'field' => $field, 'required_fields' => self::REQUIRED_FIELDS ]
-				);
+	private function validate_form_data( array $steps ): array|WP_Error {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in calling method.
+		$values = Consultation_Form::validate( $steps, wp_unslash( $_POST ), $_FILES );
+
+		if ( is_wp_error( $values ) ) {
+			// Logged here, but returned as is so the per-field messages survive.
+			$this->handle_error( 'invalid_fields', $values->get_error_message(), $values->get_error_data(), 'warning' );
+			return $values;
+		}
+
+		// Validate field lengths.
+		$length_error = $this->validate_field_lengths( [
+			'name'        => $values['name'],
+			'email'       => $values['email'],
+			'phone'       => $values['phone'] ?? '',
+			'description' => $values['message'] ?? '',
+		] );
+		if ( is_wp_error( $length_error ) ) {
+			return $length_error;
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Free-text answers beyond the core fields, for the content check
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array $steps  Normalized consultation form schema.
+	 * @param array $values Validated values.
+	 *
+	 * @return array<string, string> Answers keyed by field name.
+	 */
+	private function get_free_text_answers( array $steps, array $values ): array {
+		$answers = [];
+
+		foreach ( Consultation_Form::get_fields( $steps ) as $field ) {
+			if ( in_array( $field['type'], [ 'text', 'textarea' ], true )
+				&& ! in_array( $field['name'], [ 'name', 'message' ], true )
+				&& isset( $values[ $field['name'] ] ) ) {
+				$answers[ $field['name'] ] = $values[ $field['name'] ];
 			}
 		}
 
-		// Sanitize form data.
-		$form_data = $this->sanitize_form_data();
+		return $answers;
+	}
 
-		// Validate email format.
-		if ( ! is_email( $form_data['email'] ) ) {
-			return $this->handle_error(
-				'invalid_email',
-				esc_html__( 'Please provide a valid email address.', 'brag-book-gallery' ),
-				[ 'email' => $form_data['email'] ]
-			);
+	/**
+	 * Store the answers, viewing context and uploads with a consultation
+	 *
+	 * Uploads are often photos of patients, so they are kept out of the media
+	 * library and out of public reach; see Consultation_Uploads.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int   $post_id Consultation post ID.
+	 * @param array $steps   Normalized consultation form schema.
+	 * @param array $values  Validated values.
+	 * @param array $answers Labelled answers from Consultation_Form::get_extra_answers().
+	 * @param array $context Context from Consultation_Form::resolve_context().
+	 *
+	 * @return array<int, array{label: string, name: string, path: string, url: string}> Stored uploads.
+	 */
+	private function store_consultation_details( int $post_id, array $steps, array $values, array $answers, array $context ): array {
+		if ( $answers ) {
+			update_post_meta( $post_id, 'brag_book_gallery_form_answers', $answers );
 		}
 
-		// Validate field lengths.
-		$length_error = $this->validate_field_lengths( $form_data );
-		if ( is_wp_error( $length_error ) ) {
-			return $length_error;
+		if ( $context['case_post_id'] ) {
+			update_post_meta( $post_id, 'brag_book_gallery_case_post_id', $context['case_post_id'] );
+		}
+
+		if ( '' !== $context['procedure'] ) {
+			update_post_meta( $post_id, 'brag_book_gallery_procedure', $context['procedure'] );
 		}
 
-		return $form_data;
+		$uploads = [];
+		foreach ( Consultation_Form::get_fields( $steps ) as $field ) {
+			if ( 'file' === $field['type'] && isset( $values[ $field['name'] ] ) ) {
+				$uploads[ $field['label'] ] = $values[ $field['name'] ];
+			}
+		}
+
+		$stored = Consultation_Uploads::store( $post_id, $uploads );
+
+		foreach ( $stored['errors'] as $error ) {
+			$this->handle_error( $error->get_error_code(), $error->get_error_message(), (array) $error->get_error_data(), 'warning' );
+		}
+
+		return $stored['files'];
 	}
 
 	/**
-	 * Sanitize form data from POST request
+	 * The details text sent to the BRAG book API
 	 *
-	 * Extracts and sanitizes form fields using appropriate WordPress functions.
-	 * Uses PHP 8.2 array syntax for cleaner code.
+	 * The API takes a single free-text field, so the extra answers, what the
+	 * visitor was viewing and links to the uploads follow the message.
 	 *
-	 * @since 3.0.0
+	 * @since 4.9.5
 	 *
-	 * @return array<string, string> Sanitized form data.
+	 * @param string $message Visitor's message.
+	 * @param array  $answers Labelled answers.
+	 * @param array  $context Viewing context.
+	 * @param array  $files   Stored uploads.
+	 *
+	 * @return string Details.
 	 */
-	private function sanitize_form_data(): array {
-		return [
-			// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in calling method.
-			'name'        => isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '',
-			// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in calling method.
-			'email'       => isset( $_POST['email'] ) ? sanitize_email( wp_unslash( $_POST['email'] ) ) : '',
-			// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in calling method.
-			'phone'       => isset( $_POST['phone'] ) ? sanitize_text_field( wp_unslash( $_POST['phone'] ) ) : '',
-			// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in calling method.
-			'description' => isset( $_POST['description'] ) ? sanitize_textarea_field( wp_unslash( $_POST['description'] ) ) : '',
-		];
+	private function build_details( string $message, array $answers, array $context, array $files ): string {
+		$lines = [];
+
+		foreach ( $answers as $answer ) {
+			$lines[] = $answer['label'] . ': ' . $answer['value'];
+		}
+
+		if ( '' !== $context['procedure'] ) {
+			$lines[] = __( 'Procedure viewed', 'brag-book-gallery' ) . ': ' . $context['procedure'];
+		}
+
+		if ( $context['case_post_id'] ) {
+			$lines[] = __( 'Case viewed', 'brag-book-gallery' ) . ': ' . $context['case_title'] . ' (' . $context['case_url'] . ')';
+		}
+
+		foreach ( $files as $file ) {
+			$lines[] = $file['label'] . ': ' . $file['url'];
+		}
+
+		return trim( $message . ( $lines ? "\n\n" . implode( "\n", $lines ) : '' ) );
 	}
 
 	/**
@@ -1349,8 +1459,12 @@ class Communications {
 		}
 
 		// Get post meta data.
-		$email = get_post_meta( $post_id, 'brag_book_gallery_email', true );
-		$phone = get_post_meta( $post_id, 'brag_book_gallery_phone', true );
+		$email     = get_post_meta( $post_id, 'brag_book_gallery_email', true );
+		$phone     = get_post_meta( $post_id, 'brag_book_gallery_phone', true );
+		$answers   = get_post_meta( $post_id, 'brag_book_gallery_form_answers', true );
+		$files     = get_post_meta( $post_id, Consultation_Uploads::META_KEY, true );
+		$procedure = get_post_meta( $post_id, 'brag_book_gallery_procedure', true );
+		$case_id   = absint( get_post_meta( $post_id, 'brag_book_gallery_case_post_id', true ) );
 
 		// Build the HTML output.
 		ob_start();
@@ -1388,6 +1502,34 @@ class Communications {
 					</div>
 				</div>
 			</div>
+			<?php foreach ( is_array( $answers ) ? $answers : [] as $answer ) : ?>
+				<div class="detail-row">
+					<label><?php echo esc_html( $answer['label'] ); ?>:</label>
+					<div class="detail-value"><?php echo esc_html( $answer['value'] ); ?></div>
+				</div>
+			<?php endforeach; ?>
+			<?php if ( $procedure ) : ?>
+				<div class="detail-row">
+					<label><?php esc_html_e( 'Procedure viewed:', 'brag-book-gallery' ); ?></label>
+					<div class="detail-value"><?php echo esc_html( $procedure ); ?></div>
+				</div>
+			<?php endif; ?>
+			<?php if ( $case_id && get_post( $case_id ) ) : ?>
+				<div class="detail-row">
+					<label><?php esc_html_e( 'Case viewed:', 'brag-book-gallery' ); ?></label>
+					<div class="detail-value">
+						<a href="<?php echo esc_url( get_permalink( $case_id ) ); ?>" target="_blank" rel="noopener"><?php echo esc_html( get_the_title( $case_id ) ); ?></a>
+					</div>
+				</div>
+			<?php endif; ?>
+			<?php foreach ( is_array( $files ) ? $files : [] as $file ) : ?>
+				<div class="detail-row">
+					<label><?php echo esc_html( $file['label'] ); ?>:</label>
+					<div class="detail-value">
+						<a href="<?php echo esc_url( $file['url'] ); ?>" target="_blank" rel="noopener"><?php echo esc_html( $file['name'] ); ?></a>
+					</div>
+				</div>
+			<?php endforeach; ?>
 		</div>
 		<?php
 		$html = ob_get_clean();
@@ -0,0 +1,852 @@
+<?php
+/**
+ * Consultation Form Schema
+ *
+ * Describes the built-in consultation form as data: its steps, fields and
+ * validation rules. The same normalized schema renders the form, travels to
+ * the browser for client-side validation, and validates the submission, so
+ * the two sides cannot drift apart.
+ *
+ * @package    BRAGBookGallery
+ * @subpackage Includes\Communications
+ * @since      4.9.5
+ * @author     Candace Crowe Design <bragbook@candacecrowe.com>
+ * @copyright  Copyright (c) 2025, Candace Crowe Design LLC
+ * @license    GPL-2.0-or-later
+ */
+
+declare( strict_types=1 );
+
+namespace BRAGBookGallery\Includes\Communications;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\Extend\Post_Types;
+use BRAGBookGallery\Includes\Extend\Taxonomies;
+use WP_Error;
+
+/**
+ * Consultation Form Class
+ *
+ * A schema is a list of steps, each with a title and a list of fields. It is
+ * stored as JSON in the brag_book_gallery_consultation_form_schema option and
+ * can be replaced wholesale with the brag_book_gallery_consultation_form_schema
+ * filter. A field looks like:
+ *
+ * ```json
+ * {
+ *     "name": "contact_time",
+ *     "type": "radio",
+ *     "label": "Preferred contact time",
+ *     "required": true,
+ *     "options": [ "Morning", "Afternoon", "Evening" ]
+ * }
+ * ```
+ *
+ * Supported types are text, email, tel, textarea, select, radio, checkbox
+ * (several choices), consent (a single box that must be ticked when required)
+ * and file. Choice fields may take "options_source": "procedures" or
+ * "providers" instead of a fixed list. Files take "accept" (extensions) and
+ * "max_size" (megabytes).
+ *
+ * The name, email, phone and message fields feed the request itself; every
+ * other answer is stored with it and sent along in the details. Name and email
+ * are always asked for, on the first step if the schema leaves them out.
+ *
+ * @since 4.9.5
+ */
+final class Consultation_Form {
+
+	/**
+	 * Option holding the schema JSON
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const OPTION = 'brag_book_gallery_consultation_form_schema';
+
+	/**
+	 * Field types the form can render and validate
+	 *
+	 * @since 4.9.5
+	 * @var array<string>
+	 */
+	public const FIELD_TYPES = [ 'text', 'email', 'tel', 'textarea', 'select', 'radio', 'checkbox', 'consent', 'file' ];
+
+	/**
+	 * Fields that make up the request itself, with their default definitions
+	 *
+	 * @since 4.9.5
+	 * @var array<string, array<string, mixed>>
+	 */
+	private const CORE_FIELDS = [
+		'name'    => [
+			'type'        => 'text',
+			'label'       => 'Name',
+			'placeholder' => 'Enter name',
+			'required'    => true,
+		],
+		'email'   => [
+			'type'        => 'email',
+			'label'       => 'Email',
+			'placeholder' => 'Enter email address',
+			'required'    => true,
+		],
+		'phone'   => [
+			'type'        => 'tel',
+			'label'       => 'Phone',
+			'placeholder' => '(123) 456-7890',
+			'required'    => true,
+		],
+		'message' => [
+			'type'        => 'textarea',
+			'label'       => 'Message',
+			'placeholder' => 'Tell us about your goals and how we can help...',
+			'required'    => true,
+		],
+	];
+
+	/**
+	 * Core fields that can never be optional
+	 *
+	 * @since 4.9.5
+	 * @var array<string>
+	 */
+	private const ALWAYS_REQUIRED = [ 'name', 'email' ];
+
+	/**
+	 * Names the form posts for its own use, which fields may not take
+	 *
+	 * @since 4.9.5
+	 * @var array<string>
+	 */
+	private const RESERVED_NAMES = [
+		'action',
+		'nonce',
+		'description',
+		'case_post_id',
+		'procedure',
+		Form_Guard::HONEYPOT_FIELD,
+		Form_Guard::TOKEN_FIELD,
+		Form_Guard::CHALLENGE_FIELD,
+	];
+
+	/**
+	 * Longest answer each field type accepts, in characters
+	 *
+	 * @since 4.9.5
+	 * @var array<string, int>
+	 */
+	private const MAX_LENGTHS = [
+		'text'     => 255,
+		'email'    => 255,
+		'tel'      => 50,
+		'textarea' => 65535,
+	];
+
+	/**
+	 * Upload defaults for file fields
+	 *
+	 * @since 4.9.5
+	 * @var array<string, mixed>
+	 */
+	private const FILE_DEFAULTS = [
+		'accept'   => [ 'jpg', 'jpeg', 'png', 'heic', 'pdf' ],
+		'max_size' => 5,
+	];
+
+	/**
+	 * Largest upload a file field may allow, in megabytes
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	private const MAX_FILE_SIZE = 20;
+
+	/**
+	 * The schema in use, normalized
+	 *
+	 * @since 4.9.5
+	 * @return array<int, array{title: string, fields: array<int, array<string, mixed>>}> Steps.
+	 */
+	public static function get_schema(): array {
+		$raw = json_decode( (string) get_option( self::OPTION, '' ), true );
+
+		/**
+		 * Filter the consultation form schema before it is normalized
+		 *
+		 * @since 4.9.5
+		 *
+		 * @param array|null $raw Decoded schema from the settings, or null when none is saved.
+		 */
+		$raw = apply_filters( 'brag_book_gallery_consultation_form_schema', is_array( $raw ) ? $raw : null );
+
+		return self::normalize_schema( is_array( $raw ) ? $raw : self::get_default_schema() );
+	}
+
+	/**
+	 * The form as it was before schemas: one step with the four core fields
+	 *
+	 * @since 4.9.5
+	 * @return array Schema.
+	 */
+	public static function get_default_schema(): array {
+		$fields = [];
+		foreach ( self::CORE_FIELDS as $name => $field ) {
+			$fields[] = [ 'name' => $name ] + $field;
+		}
+
+		return [
+			'steps' => [
+				[
+					'title'  => '',
+					'fields' => $fields,
+				],
+			],
+		];
+	}
+
+	/**
+	 * Clean up a schema from the settings or a filter
+	 *
+	 * Unknown types, unnamed and duplicate fields and choice fields without
+	 * choices are dropped; empty steps are dropped. Name and email are added
+	 * to the first step when missing and are always required.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array $raw Schema as decoded JSON: { steps: [...] } or a list of steps.
+	 *
+	 * @return array<int, array{title: string, fields: array<int, array<string, mixed>>}> Steps.
+	 */
+	public static function normalize_schema( array $raw ): array {
+		$raw_steps = isset( $raw['steps'] ) && is_array( $raw['steps'] ) ? $raw['steps'] : $raw;
+		$steps     = [];
+		$seen      = [];
+
+		foreach ( $raw_steps as $raw_step ) {
+			if ( ! is_array( $raw_step ) || ! isset( $raw_step['fields'] ) || ! is_array( $raw_step['fields'] ) ) {
+				continue;
+			}
+
+			$fields = [];
+			foreach ( $raw_step['fields'] as $raw_field ) {
+				$field = is_array( $raw_field ) ? self::normalize_field( $raw_field ) : null;
+
+				if ( null === $field || isset( $seen[ $field['name'] ] ) ) {
+					continue;
+				}
+
+				$seen[ $field['name'] ] = true;
+				$fields[]               = $field;
+			}
+
+			if ( $fields ) {
+				$steps[] = [
+					'title'  => sanitize_text_field( (string) ( $raw_step['title'] ?? '' ) ),
+					'fields' => $fields,
+				];
+			}
+		}
+
+		if ( ! $steps ) {
+			$steps[] = [
+				'title'  => '',
+				'fields' => [],
+			];
+		}
+
+		// The request cannot be stored or answered without these.
+		$missing = [];
+		foreach ( array_reverse( self::ALWAYS_REQUIRED ) as $name ) {
+			if ( ! isset( $seen[ $name ] ) ) {
+				array_unshift( $missing, self::normalize_field( [ 'name' => $name ] + self::CORE_FIELDS[ $name ] ) );
+			}
+		}
+		$steps[0]['fields'] = array_merge( $missing, $steps[0]['fields'] );
+
+		return $steps;
+	}
+
+	/**
+	 * Clean up one field definition
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array $raw Field as decoded JSON.
+	 *
+	 * @return array<string, mixed>|null Field, or null when it cannot be used.
+	 */
+	private static function normalize_field( array $raw ): ?array {
+		$name = sanitize_key( (string) ( $raw['name'] ?? '' ) );
+		$type = sanitize_key( (string) ( $raw['type'] ?? '' ) );
+
+		if ( '' === $name || in_array( $name, self::RESERVED_NAMES, true ) ) {
+			return null;
+		}
+
+		// Core fields keep their type so the request always gets usable values.
+		if ( isset( self::CORE_FIELDS[ $name ] ) ) {
+			$type = self::CORE_FIELDS[ $name ]['type'];
+		}
+
+		if ( ! in_array( $type, self::FIELD_TYPES, true ) ) {
+			return null;
+		}
+
+		$field = [
+			'name'        => $name,
+			'type'        => $type,
+			'label'       => sanitize_text_field( (string) ( $raw['label'] ?? self::CORE_FIELDS[ $name ]['label'] ?? $name ) ),
+			'required'    => in_array( $name, self::ALWAYS_REQUIRED, true ) || ! empty( $raw['required'] ),
+			'placeholder' => sanitize_text_field( (string) ( $raw['placeholder'] ?? '' ) ),
+			'help'        => sanitize_text_field( (string) ( $raw['help'] ?? '' ) ),
+		];
+
+		if ( isset( self::MAX_LENGTHS[ $type ] ) ) {
+			$max_length          = absint( $raw['max_length'] ?? 0 );
+			$field['max_length'] = $max_length > 0 ? min( $max_length, self::MAX_LENGTHS[ $type ] ) : self::MAX_LENGTHS[ $type ];
+		}
+
+		if ( in_array( $type, [ 'select', 'radio', 'checkbox' ], true ) ) {
+			$field['options'] = self::resolve_options( $raw );
+
+			if ( ! $field['options'] ) {
+				return null;
+			}
+		}
+
+		if ( 'file' === $type ) {
+			$accept = isset( $raw['accept'] ) && is_array( $raw['accept'] )
+				? array_values( array_filter( array_map( 'sanitize_key', array_map( 'strval', $raw['accept'] ) ) ) )
+				: [];
+
+			$field['accept']   = $accept ?: self::FILE_DEFAULTS['accept'];
+			$field['max_size'] = min( absint( $raw['max_size'] ?? 0 ) ?: self::FILE_DEFAULTS['max_size'], self::MAX_FILE_SIZE );
+		}
+
+		return $field;
+	}
+
+	/**
+	 * Choices for a select, radio or checkbox field
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array $raw Field as decoded JSON.
+	 *
+	 * @return array<int, string> Choices; each is both the value and the label.
+	 */
+	private static function resolve_options( array $raw ): array {
+		$source = sanitize_key( (string) ( $raw['options_source'] ?? '' ) );
+
+		if ( in_array( $source, [ 'procedures', 'providers' ], true ) ) {
+			$terms = get_terms(
+				[
+					'taxonomy'   => 'procedures' === $source ? Taxonomies::TAXONOMY_PROCEDURES : Taxonomies::TAXONOMY_PROVIDERS,
+					'hide_empty' => true,
+					'fields'     => 'names',
+					'orderby'    => 'name',
+				]
+			);
+
+			$options = is_array( $terms ) ? array_map( 'wp_specialchars_decode', $terms ) : [];
+		} else {
+			$options = isset( $raw['options'] ) && is_array( $raw['options'] ) ? $raw['options'] : [];
+		}
+
+		$options = array_map( static fn( $option ) => sanitize_text_field( (string) $option ), $options );
+
+		return array_values( array_unique( array_filter( $options, 'strlen' ) ) );
+	}
+
+	/**
+	 * Validation messages, shared with the browser
+	 *
+	 * @since 4.9.5
+	 * @return array<string, string> Messages keyed by rule; %s is the field label.
+	 */
+	public static function get_messages(): array {
+		return [
+			/* translators: %s: field label */
+			'required'  => __( '%s is required.', 'brag-book-gallery' ),
+			'consent'   => __( 'Please tick this box to continue.', 'brag-book-gallery' ),
+			'email'     => __( 'Please enter a valid email address.', 'brag-book-gallery' ),
+			'tel'       => __( 'Please enter a complete 10-digit phone number.', 'brag-book-gallery' ),
+			/* translators: 1: field label, 2: maximum number of characters */
+			'too_long'  => __( '%1$s must be %2$d characters or fewer.', 'brag-book-gallery' ),
+			'choice'    => __( 'Please choose one of the listed options.', 'brag-book-gallery' ),
+			/* translators: %s: allowed file extensions */
+			'file_type' => __( 'Please upload one of these file types: %s.', 'brag-book-gallery' ),
+			/* translators: %d: maximum file size in megabytes */
+			'file_size' => __( 'Files must be %d MB or smaller.', 'brag-book-gallery' ),
+			'upload'    => __( 'The file could not be uploaded. Please try again.', 'brag-book-gallery' ),
+		];
+	}
+
+	/**
+	 * Largest request the form can legitimately send, in bytes
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array $steps Normalized schema.
+	 *
+	 * @return int Bytes.
+	 */
+	public static function get_max_request_size( array $steps ): int {
+		$size = MB_IN_BYTES;
+
+		foreach ( self::get_fields( $steps ) as $field ) {
+			if ( 'file' === $field['type'] ) {
+				$size += $field['max_size'] * MB_IN_BYTES;
+			}
+		}
+
+		return $size;
+	}
+
+	/**
+	 * Every field in a schema, in order
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array $steps Normalized schema.
+	 *
+	 * @return array<int, array<string, mixed>> Fields.
+	 */
+	public static function get_fields( array $steps ): array {
+		return array_merge( ...array_map( static fn( array $step ) => $step['fields'], $steps ) );
+	}
+
+	/**
+	 * Check a submission against the schema
+	 *
+	 * Mirrors validateField() in src/js/modules/consultation-form.js.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array $steps Normalized schema.
+	 * @param array $input Submitted values, unslashed.
+	 * @param array $files Uploaded files, shaped like $_FILES.
+	 *
+	 * @return array<string, mixed>|WP_Error Clean values keyed by field name, or an error
+	 *                                       whose data holds a message for each failing field.
+	 */
+	public static function validate( array $steps, array $input, array $files = [] ): array|WP_Error {
+		$messages = self::get_messages();
+		$values   = [];
+		$errors   = [];
+
+		foreach ( self::get_fields( $steps ) as $field ) {
+			$name = $field['name'];
+
+			if ( 'file' === $field['type'] ) {
+				$file  = $files[ $name ] ?? null;
+				$empty = ! is_array( $file ) || UPLOAD_ERR_NO_FILE === ( $file['error'] ?? UPLOAD_ERR_NO_FILE );
+
+				if ( $empty ) {
+					if ( $field['required'] ) {
+						$errors[ $name ] = sprintf( $messages['required'], $field['label'] );
+					}
+					continue;
+				}
+
+				$error = self::validate_file( $field, $file );
+				if ( '' !== $error ) {
+					$errors[ $name ] = $error;
+					continue;
+				}
+
+				$values[ $name ] = $file;
+				continue;
+			}
+
+			$value = self::sanitize_value( $field, $input[ $name ] ?? null );
+
+			if ( [] === $value || '' === $value ) {
+				if ( $field['required'] ) {
+					$errors[ $name ] = 'consent' === $field['type'] ? $messages['consent'] : sprintf( $messages['required'], $field['label'] );
+				}
+				continue;
+			}
+
+			$error = match ( $field['type'] ) {
+				'email'           => is_email( $value ) ? '' : $messages['email'],
+				'tel'             => 10 === strlen( preg_replace( '/\D/', '', $value ) ) ? '' : $messages['tel'],
+				'select', 'radio' => in_array( $value, $field['options'], true ) ? '' : $messages['choice'],
+				'checkbox'        => array_diff( $value, $field['options'] ) ? $messages['choice'] : '',
+				default           => '',
+			};
+
+			if ( '' === $error && isset( $field['max_length'] ) && mb_strlen( $value ) > $field['max_length'] ) {
+				$error = sprintf( $messages['too_long'], $field['label'], $field['max_length'] );
+			}
+
+			if ( '' !== $error ) {
+				$errors[ $name ] = $error;
+				continue;
+			}
+
+			$values[ $name ] = $value;
+		}
+
+		if ( $errors ) {
+			return new WP_Error(
+				'invalid_fields',
+				reset( $errors ),
+				[ 'fields' => $errors ]
+			);
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Sanitize one submitted value for its field type
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array $field Field definition.
+	 * @param mixed $raw   Submitted value.
+	 *
+	 * @return string|array<int, string> Clean value; '' or [] when nothing was given.
+	 */
+	private static function sanitize_value( array $field, mixed $raw ): string|array {
+		return match ( $field['type'] ) {
+			'checkbox' => is_array( $raw )
+				? array_values( array_filter( array_map( static fn( $item ) => sanitize_text_field( (string) $item ), $raw ), 'strlen' ) )
+				: [],
+			'consent'  => is_scalar( $raw ) && '' !== (string) $raw ? 'yes' : '',
+			'email'    => is_scalar( $raw ) ? sanitize_email( (string) $raw ) : '',
+			'textarea' => is_scalar( $raw ) ? trim( sanitize_textarea_field( (string) $raw ) ) : '',
+			default    => is_scalar( $raw ) ? trim( sanitize_text_field( (string) $raw ) ) : '',
+		};
+	}
+
+	/**
+	 * Check an upload against its field's size and type limits
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array $field Field definition.
+	 * @param array $file  Upload, as one entry of $_FILES.
+	 *
+	 * @return string Error message, or '' when the file is acceptable.
+	 */
+	private static function validate_file( array $field, array $file ): string {
+		$messages = self::get_messages();
+
+		if ( UPLOAD_ERR_INI_SIZE === $file['error'] || UPLOAD_ERR_FORM_SIZE === $file['error']
+			|| (int) ( $file['size'] ?? 0 ) > $field['max_size'] * MB_IN_BYTES ) {
+			return sprintf( $messages['file_size'], $field['max_size'] );
+		}
+
+		if ( UPLOAD_ERR_OK !== $file['error'] ) {
+			return $messages['upload'];
+		}
+
+		$extension = strtolower( pathinfo( (string) ( $file['name'] ?? '' ), PATHINFO_EXTENSION ) );
+		$checked   = wp_check_filetype_and_ext( (string) ( $file['tmp_name'] ?? '' ), (string) ( $file['name'] ?? '' ) );
+
+		if ( ! in_array( $extension, $field['accept'], true ) || empty( $checked['ext'] ) ) {
+			return sprintf( $messages['file_type'], implode( ', ', $field['accept'] ) );
+		}
+
+		return '';
+	}
+
+	/**
+	 * Render the form
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array|null $steps Normalized schema; the saved one when omitted.
+	 *
+	 * @return string Form HTML.
+	 */
+	public static function render( ?array $steps = null ): string {
+		$steps      = $steps ?? self::get_schema();
+		$step_count = count( $steps );
+		$has_files  = in_array( 'file', array_column( self::get_fields( $steps ), 'type' ), true );
+
+		$config = [
+			'steps'    => $steps,
+			'messages' => self::get_messages(),
+			/* translators: 1: current step, 2: number of steps */
+			'progress' => __( 'Step %1$d of %2$d', 'brag-book-gallery' ),
+			'context'  => __( 'The case you were viewing will be included with your request.', 'brag-book-gallery' ),
+		];
+
+		$html = sprintf(
+			'<form class="brag-book-gallery-consultation-form" data-form="consultation" data-consultation-schema="%1$s" novalidate%2$s>',
+			esc_attr( wp_json_encode( $config ) ),
+			$has_files ? ' enctype="multipart/form-data"' : ''
+		);
+
+		if ( $step_count > 1 ) {
+			$html .= '<p class="brag-book-gallery-form-progress" data-form-progress aria-live="polite">'
+				. esc_html(
+					sprintf(
+						/* translators: 1: current step, 2: number of steps */
+						__( 'Step %1$d of %2$d', 'brag-book-gallery' ),
+						1,
+						$step_count
+					)
+				)
+				. '</p>';
+		}
+
+		// What the visitor is looking at is filled in by the script.
+		$html .= '<p class="brag-book-gallery-form-context" data-form-context hidden></p>';
+		$html .= '<input type="hidden" name="case_post_id" value="">';
+		$html .= '<input type="hidden" name="procedure" value="">';
+		$html .= Form_Guard::render_honeypot();
+
+		foreach ( $steps as $index => $step ) {
+			$html .= sprintf(
+				'<fieldset class="brag-book-gallery-form-step" data-form-step="%1$d"%2$s>',
+				$index,
+				$index > 0 ? ' hidden' : ''
+			);
+
+			if ( '' !== $step['title'] ) {
+				$html .= '<legend class="brag-book-gallery-form-step__title">' . esc_html( $step['title'] ) . '</legend>';
+			}
+
+			foreach ( $step['fields'] as $field ) {
+				$html .= self::render_field( $field );
+			}
+
+			$html .= '</fieldset>';
+		}
+
+		$html .= '<div class="brag-book-gallery-form-actions">';
+
+		if ( $step_count > 1 ) {
+			$html .= '<button type="button" class="brag-book-gallery-button brag-book-gallery-button--secondary" data-action="form-back" hidden>'
+				. esc_html__( 'Back', 'brag-book-gallery' ) . '</button>';
+			$html .= '<button type="button" class="brag-book-gallery-button" data-action="form-next">'
+				. esc_html__( 'Next', 'brag-book-gallery' ) . '</button>';
+		}
+
+		$html .= sprintf(
+			'<button type="submit" class="brag-book-gallery-button brag-book-gallery-button--full" data-action="form-submit"%1$s>%2$s</button>',
+			$step_count > 1 ? ' hidden' : '',
+			esc_html__( 'Submit Request', 'brag-book-gallery' )
+		);
+		$html .= '</div></form>';
+
+		return $html;
+	}
+
+	/**
+	 * Render one field with its label, help text and error slot
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array $field Field definition.
+	 *
+	 * @return string Field HTML.
+	 */
+	private static function render_field( array $field ): string {
+		$id       = 'consultation-' . str_replace( '_', '-', $field['name'] );
+		$required = $field['required'] ? ' required aria-required="true"' : '';
+		$label    = esc_html( $field['label'] ) . ( $field['required'] && 'consent' !== $field['type'] ? ' *' : '' );
+
+		$describedby = [ $id . '-error' ];
+		$help        = '';
+		if ( '' !== $field['help'] ) {
+			$describedby[] = $id . '-help';
+			$help          = sprintf( '<p class="brag-book-gallery-form-help" id="%1$s-help">%2$s</p>', esc_attr( $id ), esc_html( $field['help'] ) );
+		}
+		$describedby = ' aria-describedby="' . esc_attr( implode( ' ', array_reverse( $describedby ) ) ) . '"';
+		$error       = sprintf( '<p class="brag-book-gallery-form-field-error" id="%s-error" hidden></p>', esc_attr( $id ) );
+
+		$placeholder = '' !== $field['placeholder'] ? ' placeholder="' . esc_attr( $field['placeholder'] ) . '"' : '';
+		$maxlength   = isset( $field['max_length'] ) ? ' maxlength="' . esc_attr( (string) $field['max_length'] ) . '"' : '';
+		$name        = esc_attr( $field['name'] );
+
+		switch ( $field['type'] ) {
+			case 'textarea':
+				$control = sprintf(
+					'<textarea class="brag-book-gallery-form-textarea" id="%1$s" name="%2$s"%3$s%4$s%5$s%6$s></textarea>',
+					esc_attr( $id ),
+					$name,
+					$placeholder,
+					$maxlength,
+					$required,
+					$describedby
+				);
+				break;
+
+			case 'select':
+				$options = '<option value="">' . esc_html__( 'Select…', 'brag-book-gallery' ) . '</option>';
+				foreach ( $field['options'] as $option ) {
+					$options .= sprintf( '<option value="%1$s">%2$s</option>', esc_attr( $option ), esc_html( $option ) );
+				}
+				$control = sprintf(
+					'<select class="brag-book-gallery-form-input brag-book-gallery-form-select" id="%1$s" name="%2$s"%3$s%4$s>%5$s</select>',
+					esc_attr( $id ),
+					$name,
+					$required,
+					$describedby,
+					$options
+				);
+				break;
+
+			case 'radio':
+			case 'checkbox':
+				$choices = '';
+				foreach ( $field['options'] as $index => $option ) {
+					$choices .= sprintf(
+						'<label class="brag-book-gallery-form-choice"><input type="%1$s" name="%2$s" value="%3$s"%4$s> <span>%5$s</span></label>',
+						$field['type'],
+						'checkbox' === $field['type'] ? $name . '[]' : $name,
+						esc_attr( $option ),
+						0 === $index ? ' id="' . esc_attr( $id ) . '"' : '',
+						esc_html( $option )
+					);
+				}
+
+				return sprintf(
+					'<fieldset class="brag-book-gallery-form-group brag-book-gallery-form-group--choices" data-field="%1$s"%2$s%3$s><legend class="brag-book-gallery-form-label">%4$s</legend>%5$s%6$s%7$s</fieldset>',
+					$name,
+					$field['required'] ? ' aria-required="true"' : '',
+					$describedby,
+					$label,
+					$help,
+					$choices,
+					$error
+				);
+
+			case 'consent':
+				return sprintf(
+					'<div class="brag-book-gallery-form-group brag-book-gallery-form-group--consent" data-field="%1$s"><label class="brag-book-gallery-form-choice" for="%2$s"><input type="checkbox" id="%2$s" name="%1$s" value="yes"%3$s%4$s> <span>%5$s</span></label>%6$s%7$s</div>',
+					$name,
+					esc_attr( $id ),
+					$required,
+					$describedby,
+					$label,
+					$help,
+					$error
+				);
+
+			case 'file':
+				$control = sprintf(
+					'<input type="file" class="brag-book-gallery-form-input" id="%1$s" name="%2$s" accept="%3$s"%4$s%5$s>',
+					esc_attr( $id ),
+					$name,
+					esc_attr( '.' . implode( ',.', $field['accept'] ) ),
+					$required,
+					$describedby
+				);
+				break;
+
+			default:
+				$extra = 'tel' === $field['type'] ? ' data-phone-format="true" inputmode="tel" autocomplete="tel"' : '';
+				if ( 'email' === $field['type'] ) {
+					$extra = ' autocomplete="email"';
+				} elseif ( 'name' === $field['name'] ) {
+					$extra = ' autocomplete="name"';
+				}
+
+				$control = sprintf(
+					'<input type="%1$s" class="brag-book-gallery-form-input" id="%2$s" name="%3$s"%4$s%5$s%6$s%7$s%8$s>',
+					esc_attr( $field['type'] ),
+					esc_attr( $id ),
+					$name,
+					$placeholder,
+					'tel' === $field['type'] ? ' maxlength="14"' : $maxlength,
+					$extra,
+					$required,
+					$describedby
+				);
+		}
+
+		return sprintf(
+			'<div class="brag-book-gallery-form-group" data-field="%1$s"><label class="brag-book-gallery-form-label" for="%2$s">%3$s</label>%4$s%5$s%6$s</div>',
+			$name,
+			esc_attr( $id ),
+			$label,
+			$help,
+			$control,
+			$error
+		);
+	}
+
+	/**
+	 * What the visitor was looking at, from the hidden context fields
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array $input Submitted values, unslashed.
+	 *
+	 * @return array{case_post_id: int, case_title: string, case_url: string, procedure: string} Context;
+	 *               empty values when nothing usable was sent.
+	 */
+	public static function resolve_context( array $input ): array {
+		$context = [
+			'case_post_id' => 0,
+			'case_title'   => '',
+			'case_url'     => '',
+			'procedure'    => '',
+		];
+
+		$case_post = get_post( absint( $input['case_post_id'] ?? 0 ) );
+		if ( $case_post && Post_Types::POST_TYPE_CASES === $case_post->post_type && 'publish' === $case_post->post_status ) {
+			$context['case_post_id'] = $case_post->ID;
+			$context['case_title']   = get_the_title( $case_post );
+			$context['case_url']     = (string) get_permalink( $case_post );
+		}
+
+		$procedure = sanitize_text_field( (string) ( $input['procedure'] ?? '' ) );
+		$term      = null;
+		if ( '' !== $procedure ) {
+			$term = ctype_digit( $procedure )
+				? get_term( (int) $procedure, Taxonomies::TAXONOMY_PROCEDURES )
+				: get_term_by( 'slug', sanitize_title( $procedure ), Taxonomies::TAXONOMY_PROCEDURES );
+		}
+
+		// A case on its own still says which procedure it was.
+		if ( ( ! $term || is_wp_error( $term ) ) && $context['case_post_id'] ) {
+			$terms = get_the_terms( $context['case_post_id'], Taxonomies::TAXONOMY_PROCEDURES );
+			$term  = is_array( $terms ) ? reset( $terms ) : null;
+		}
+
+		if ( $term && ! is_wp_error( $term ) ) {
+			$context['procedure'] = wp_specialchars_decode( $term->name );
+		}
+
+		return $context;
+	}
+
+	/**
+	 * The answers beyond the core fields, labelled, for storage and the API
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array $steps  Normalized schema.
+	 * @param array $values Values returned by validate().
+	 *
+	 * @return array<int, array{label: string, value: string}> Answers, in form order.
+	 */
+	public static function get_extra_answers( array $steps, array $values ): array {
+		$answers = [];
+
+		foreach ( self::get_fields( $steps ) as $field ) {
+			if ( isset( self::CORE_FIELDS[ $field['name'] ] ) || 'file' === $field['type'] || ! isset( $values[ $field['name'] ] ) ) {
+				continue;
+			}
+
+			$value     = $values[ $field['name'] ];
+			$answers[] = [
+				'label' => $field['label'],
+				'value' => is_array( $value ) ? implode( ', ', $value ) : $value,
+			];
+		}
+
+		return $answers;
+	}
+}
@@ -0,0 +1,374 @@
+<?php
+/**
+ * Consultation Uploads
+ *
+ * Keeps the files visitors attach to consultation requests away from the
+ * public and hands them to site staff only.
+ *
+ * @package    BRAGBookGallery
+ * @subpackage Includes\Communications
+ * @since      4.9.5
+ * @author     Candace Crowe Design <bragbook@candacecrowe.com>
+ * @copyright  Copyright (c) 2025, Candace Crowe Design LLC
+ * @license    GPL-2.0-or-later
+ */
+
+declare( strict_types=1 );
+
+namespace BRAGBookGallery\Includes\Communications;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use WP_Error;
+
+/**
+ * Consultation Uploads Class
+ *
+ * Uploads are often photos of patients. Each request's files go to a folder
+ * with an unguessable name under uploads/brag-book-gallery-consultations,
+ * which carries a deny-all .htaccess and an empty index.php. Those stop
+ * Apache and IIS-with-rewrite from serving the files and listing the folder;
+ * on nginx the random folder names are what keep them private, so sites
+ * there should add a matching deny rule for the folder.
+ *
+ * Nothing links to a file directly. Stored uploads carry the URL of the
+ * download handler here, which streams the file only to users who can
+ * manage the plugin; that URL is what the admin screen shows and what goes
+ * to the BRAG book API. The files go with their submission when it is
+ * deleted, and with the plugin when it is uninstalled.
+ *
+ * @since 4.9.5
+ */
+final class Consultation_Uploads {
+
+	/**
+	 * Folder under the uploads directory that holds every request's files
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const DIRECTORY = 'brag-book-gallery-consultations';
+
+	/**
+	 * admin-post.php action that serves a file
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const DOWNLOAD_ACTION = 'brag_book_gallery_consultation_file';
+
+	/**
+	 * Post meta holding a request's stored uploads
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const META_KEY = 'brag_book_gallery_form_files';
+
+	/**
+	 * Post type of consultation requests
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	private const POST_TYPE = 'brag_book_forms';
+
+	/**
+	 * Types shown in the browser; anything else, SVG included, downloads
+	 *
+	 * @since 4.9.5
+	 * @var string[]
+	 */
+	private const INLINE_TYPES = [ 'image/jpeg', 'image/png', 'image/gif', 'image/webp' ];
+
+	/**
+	 * Capability needed to download a file
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	private const CAPABILITY = 'manage_options';
+
+	/**
+	 * Register the download handler and the clean-up on delete
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function register(): void {
+		add_action( 'admin_post_' . self::DOWNLOAD_ACTION, [ self::class, 'handle_download' ] );
+		add_action( 'admin_post_nopriv_' . self::DOWNLOAD_ACTION, [ self::class, 'handle_download' ] );
+		add_action( 'before_delete_post', [ self::class, 'delete_for_post' ] );
+	}
+
+	/**
+	 * Store a request's uploads
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int                  $post_id Consultation post ID.
+	 * @param array<string, array> $uploads Upload arrays from $_FILES, keyed by field label.
+	 *
+	 * @return array{files: array<int, array{label: string, name: string, path: string, url: string}>, errors: WP_Error[]} Stored uploads, and the ones that failed.
+	 */
+	public static function store( int $post_id, array $uploads ): array {
+		$stored = [
+			'files'  => [],
+			'errors' => [],
+		];
+
+		if ( ! $uploads ) {
+			return $stored;
+		}
+
+		if ( ! function_exists( 'wp_handle_upload' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/file.php';
+		}
+
+		if ( ! self::protect( self::get_base_dir() ) ) {
+			$stored['errors'][] = new WP_Error( 'upload_unprotected', __( 'The consultation upload folder could not be protected.', 'brag-book-gallery' ) );
+
+			return $stored;
+		}
+
+		$folder     = wp_generate_password( 24, false );
+		$upload_dir = static function ( array $dirs ) use ( $folder ): array {
+			$dirs['subdir'] = '/' . self::DIRECTORY . '/' . $folder;
+			$dirs['path']   = $dirs['basedir'] . $dirs['subdir'];
+			$dirs['url']    = $dirs['baseurl'] . $dirs['subdir'];
+
+			return $dirs;
+		};
+
+		add_filter( 'upload_dir', $upload_dir );
+
+		try {
+			foreach ( $uploads as $label => $upload ) {
+				$uploaded = wp_handle_upload( $upload, [ 'test_form' => false ] );
+
+				if ( isset( $uploaded['error'] ) ) {
+					$stored['errors'][] = new WP_Error( 'upload_failed', $uploaded['error'], [ 'field' => $label ] );
+					continue;
+				}
+
+				$stored['files'][] = [
+					'label' => (string) $label,
+					'name'  => sanitize_file_name( (string) $upload['name'] ),
+					'path'  => $folder . '/' . wp_basename( $uploaded['file'] ),
+					'url'   => self::get_download_url( $post_id, count( $stored['files'] ) ),
+				];
+			}
+		} finally {
+			remove_filter( 'upload_dir', $upload_dir );
+		}
+
+		if ( $stored['files'] ) {
+			update_post_meta( $post_id, self::META_KEY, $stored['files'] );
+		}
+
+		return $stored;
+	}
+
+	/**
+	 * Address of the handler that serves one of a request's files
+	 *
+	 * Carries no nonce: it is sent to the API and read days later, and the
+	 * handler only reads, so the capability check is what guards it.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int $post_id Consultation post ID.
+	 * @param int $index   Position of the file in the request's uploads.
+	 *
+	 * @return string URL.
+	 */
+	public static function get_download_url( int $post_id, int $index ): string {
+		return add_query_arg(
+			[
+				'action'  => self::DOWNLOAD_ACTION,
+				'post_id' => $post_id,
+				'file'    => $index,
+			],
+			admin_url( 'admin-post.php' )
+		);
+	}
+
+	/**
+	 * Stream a file to a user who may see it
+	 *
+	 * Logged-out visitors are sent to log in first.
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function handle_download(): void {
+		if ( ! is_user_logged_in() ) {
+			auth_redirect();
+		}
+
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_die( esc_html__( 'You do not have permission to view this file.', 'brag-book-gallery' ), '', [ 'response' => 403 ] );
+		}
+
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Read-only; guarded by the capability check above.
+		$post_id = isset( $_GET['post_id'] ) ? absint( $_GET['post_id'] ) : 0;
+		$index   = isset( $_GET['file'] ) ? absint( $_GET['file'] ) : 0;
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+		$file = self::get_stored_file( $post_id, $index );
+
+		if ( ! $file ) {
+			wp_die( esc_html__( 'File not found.', 'brag-book-gallery' ), '', [ 'response' => 404 ] );
+		}
+
+		$type = wp_check_filetype( $file['path'] )['type'] ?: 'application/octet-stream';
+
+		nocache_headers();
+		header( 'Content-Type: ' . $type );
+		header( 'Content-Length: ' . filesize( $file['path'] ) );
+		header( 'X-Content-Type-Options: nosniff' );
+		header(
+			sprintf(
+				'Content-Disposition: %s; filename="%s"',
+				in_array( $type, self::INLINE_TYPES, true ) ? 'inline' : 'attachment',
+				str_replace( '"', '', $file['name'] )
+			)
+		);
+
+		readfile( $file['path'] ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_readfile -- Streams a private file.
+		exit;
+	}
+
+	/**
+	 * Delete a consultation request's files
+	 *
+	 * Hooked to before_delete_post, which fires for every post type, so
+	 * anything that is not a consultation request is skipped.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int $post_id Post being deleted.
+	 *
+	 * @return void
+	 */
+	public static function delete_for_post( int $post_id ): void {
+		if ( self::POST_TYPE !== get_post_type( $post_id ) ) {
+			return;
+		}
+
+		$files = get_post_meta( $post_id, self::META_KEY, true );
+		$base  = realpath( self::get_base_dir() );
+
+		foreach ( is_array( $files ) ? $files : [] as $file ) {
+			$path = self::resolve_path( (string) ( $file['path'] ?? '' ) );
+
+			if ( null === $path ) {
+				continue;
+			}
+
+			wp_delete_file( $path );
+
+			// The folder only ever held this request's files.
+			$folder = dirname( $path );
+			if ( $folder !== $base && is_dir( $folder ) && ! ( new \FilesystemIterator( $folder ) )->valid() ) {
+				rmdir( $folder ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_rmdir -- Empty folder of our own.
+			}
+		}
+	}
+
+	/**
+	 * Folder that holds every request's files
+	 *
+	 * @since 4.9.5
+	 * @return string Absolute path, without a trailing slash.
+	 */
+	public static function get_base_dir(): string {
+		return wp_upload_dir( null, false )['basedir'] . '/' . self::DIRECTORY;
+	}
+
+	/**
+	 * Create the folder with its deny rule and index guard, if missing
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $dir Folder to protect.
+	 *
+	 * @return bool True when both guards are in place.
+	 */
+	public static function protect( string $dir ): bool {
+		if ( ! wp_mkdir_p( $dir ) ) {
+			return false;
+		}
+
+		$guards = [
+			'.htaccess' => "# Consultation uploads are served through admin-post.php only.\n<IfModule mod_authz_core.c>\n\tRequire all denied\n</IfModule>\n<IfModule !mod_authz_core.c>\n\tOrder allow,deny\n\tDeny from all\n</IfModule>\n",
+			'index.php' => "<?php\n// Silence is golden.\n",
+		];
+
+		foreach ( $guards as $name => $contents ) {
+			$path = $dir . '/' . $name;
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents -- Small guard file in our own folder.
+			if ( ! file_exists( $path ) && false === file_put_contents( $path, $contents ) ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * A stored file's name and absolute path, if it is still there
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int $post_id Consultation post ID.
+	 * @param int $index   Position of the file in the request's uploads.
+	 *
+	 * @return array{name: string, path: string}|null File, or null when missing.
+	 */
+	private static function get_stored_file( int $post_id, int $index ): ?array {
+		if ( ! $post_id || self::POST_TYPE !== get_post_type( $post_id ) ) {
+			return null;
+		}
+
+		$files = get_post_meta( $post_id, self::META_KEY, true );
+		$file  = is_array( $files ) ? ( $files[ $index ] ?? null ) : null;
+		$path  = self::resolve_path( (string) ( $file['path'] ?? '' ) );
+
+		if ( null === $path ) {
+			return null;
+		}
+
+		return [
+			'name' => (string) $file['name'],
+			'path' => $path,
+		];
+	}
+
+	/**
+	 * Turn a stored relative path into an absolute one inside the folder
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $relative Path relative to the base folder.
+	 *
+	 * @return string|null Absolute path, or null when it is missing or leads elsewhere.
+	 */
+	private static function resolve_path( string $relative ): ?string {
+		if ( '' === $relative ) {
+			return null;
+		}
+
+		$base = realpath( self::get_base_dir() );
+		$path = realpath( self::get_base_dir() . '/' . $relative );
+
+		if ( false === $base || false === $path || ! is_file( $path ) || ! str_starts_with( $path, $base . DIRECTORY_SEPARATOR ) ) {
+			return null;
+		}
+
+		return $path;
+	}
+}
@@ -0,0 +1,445 @@
+<?php
+/**
+ * Form Guard
+ *
+ * Spam and bot protection shared by the public forms: the consultation form
+ * and the favorites sign-up, including the favorite adds that reuse its
+ * details.
+ *
+ * @package    BRAGBookGallery
+ * @subpackage Includes\Communications
+ * @since      4.9.5
+ * @author     Candace Crowe Design <bragbook@candacecrowe.com>
+ * @copyright  Copyright (c) 2025, Candace Crowe Design LLC
+ * @license    GPL-2.0-or-later
+ */
+
+declare( strict_types=1 );
+
+namespace BRAGBookGallery\Includes\Communications;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\Core\Trait_Rate_Limit;
+use WP_Error;
+
+/**
+ * Form Guard Class
+ *
+ * Before a guarded form is sent, the browser asks for a form token over an
+ * uncached AJAX call, so cached pages still get a fresh one. The token is
+ * signed and carries a random session ID and the time it was issued. A
+ * submission then has to pass, cheapest first:
+ *
+ * - the honeypot: a field hidden from people that bots tend to fill in;
+ * - the token: present, correctly signed and not expired;
+ * - the minimum time: at least a few seconds between issue and submission;
+ * - the challenge, when a provider is switched on (see
+ *   Interface_Challenge_Provider);
+ * - the session limit: a cap on submissions per token session and form,
+ *   and another per client IP, stored under a hash of the IP.
+ *
+ * Asking for a token without a previous one starts a new session, so how
+ * many of those one IP may start is limited too; otherwise dropping the
+ * previous token would reset the session limit. The per-IP limits each
+ * handler already applies stay in place on top. Every
+ * check runs on the server alone, so none of this needs a third-party service.
+ *
+ * @since 4.9.5
+ */
+final class Form_Guard {
+	use Trait_Rate_Limit;
+
+	/**
+	 * AJAX action that issues form tokens
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const AJAX_TOKEN = 'brag_book_gallery_form_token';
+
+	/**
+	 * Name of the honeypot field
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const HONEYPOT_FIELD = 'company_website';
+
+	/**
+	 * Name of the field the browser posts the token in
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const TOKEN_FIELD = 'form_token';
+
+	/**
+	 * Name of the field the browser posts the challenge answer in
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const CHALLENGE_FIELD = 'form_challenge';
+
+	/**
+	 * Seconds a token stays valid
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	public const TOKEN_LIFETIME = DAY_IN_SECONDS;
+
+	/**
+	 * Default fewest seconds between issuing a token and submitting
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	private const MIN_SECONDS = 3;
+
+	/**
+	 * Default submissions allowed per session, form and hour
+	 *
+	 * @since 4.9.5
+	 * @var array<string, int>
+	 */
+	private const SESSION_LIMITS = [
+		'consultation' => 3,
+		'favorites'    => 30,
+	];
+
+	/**
+	 * Default submissions allowed per client IP, form and hour
+	 *
+	 * @since 4.9.5
+	 * @var array<string, int>
+	 */
+	private const IP_LIMITS = [
+		'consultation' => 5,
+		'favorites'    => 60,
+	];
+
+	/**
+	 * Default new sessions one IP may start per hour
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	private const SESSIONS_PER_HOUR = 10;
+
+	/**
+	 * Tokens one IP may request per hour
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	private const TOKENS_PER_HOUR = 30;
+
+	/**
+	 * Register the token endpoint
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function register(): void {
+		add_action( 'wp_ajax_' . self::AJAX_TOKEN, [ self::class, 'ajax_issue_token' ] );
+		add_action( 'wp_ajax_nopriv_' . self::AJAX_TOKEN, [ self::class, 'ajax_issue_token' ] );
+	}
+
+	/**
+	 * Hand the browser a form token and what it needs to use it
+	 *
+	 * A still-valid previous token keeps its session, so renewing a token
+	 * does not reset the session limit. Without one a new session starts,
+	 * which counts against the IP's hourly allowance of new sessions.
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function ajax_issue_token(): void {
+		nocache_headers();
+
+		if ( ! self::within_rate_limit( 'form_token', self::TOKENS_PER_HOUR, HOUR_IN_SECONDS ) ) {
+			wp_send_json_error(
+				[
+					'message' => __( 'Too many requests. Please try again later.', 'brag-book-gallery' ),
+				],
+				429
+			);
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Issuing a token needs no nonce; the token is what gets checked.
+		$previous = sanitize_text_field( wp_unslash( $_POST['previous'] ?? '' ) );
+
+		if ( null === self::parse_token( $previous ) && ! self::within_rate_limit( 'form_session', self::get_sessions_per_hour(), HOUR_IN_SECONDS ) ) {
+			wp_send_json_error(
+				[
+					'message' => __( 'Too many requests. Please try again later.', 'brag-book-gallery' ),
+				],
+				429
+			);
+		}
+
+		$token    = self::issue_token( $previous );
+		$provider = self::get_challenge_provider();
+
+		wp_send_json_success(
+			[
+				'token'       => $token,
+				'lifetime'    => self::TOKEN_LIFETIME,
+				'min_seconds' => self::get_min_seconds(),
+				'challenge'   => $provider
+					? [ 'provider' => $provider->get_id() ] + $provider->get_client_config( $token )
+					: null,
+			]
+		);
+	}
+
+	/**
+	 * Create a signed form token
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $previous Token to carry the session over from, if valid.
+	 *
+	 * @return string Token.
+	 */
+	public static function issue_token( string $previous = '' ): string {
+		$parsed  = self::parse_token( $previous );
+		$session = $parsed['session'] ?? wp_generate_password( 16, false );
+		$issued  = time();
+
+		return $session . '.' . $issued . '.' . self::sign( $session, $issued );
+	}
+
+	/**
+	 * Run every check against a submission
+	 *
+	 * Counts the submission against the session limit when it passes, so call
+	 * this once per request, after the nonce check.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $form  Form being submitted: consultation or favorites.
+	 * @param array  $input Submitted fields, unslashed.
+	 *
+	 * @return true|WP_Error True when the submission may go ahead.
+	 */
+	public static function check( string $form, array $input ): true|WP_Error {
+		if ( '' !== trim( (string) ( $input[ self::HONEYPOT_FIELD ] ?? '' ) ) ) {
+			return new WP_Error(
+				'form_honeypot',
+				__( 'Your request could not be sent. Please try again.', 'brag-book-gallery' )
+			);
+		}
+
+		$token  = (string) ( $input[ self::TOKEN_FIELD ] ?? '' );
+		$parsed = self::parse_token( $token );
+
+		if ( null === $parsed ) {
+			return new WP_Error(
+				'form_token',
+				__( 'Your session has expired. Please refresh the page and try again.', 'brag-book-gallery' )
+			);
+		}
+
+		if ( time() - $parsed['issued'] < self::get_min_seconds() ) {
+			return new WP_Error(
+				'form_too_fast',
+				__( 'That was quick! Please check your details and send the form again.', 'brag-book-gallery' )
+			);
+		}
+
+		$provider = self::get_challenge_provider();
+		if ( $provider && ! $provider->verify( $token, (string) ( $input[ self::CHALLENGE_FIELD ] ?? '' ) ) ) {
+			return new WP_Error(
+				'form_challenge',
+				__( 'Your browser could not be verified. Please refresh the page and try again.', 'brag-book-gallery' )
+			);
+		}
+
+		if ( ! self::within_session_limit( $form, $parsed['session'] ) ) {
+			return new WP_Error(
+				'form_session_limit',
+				__( 'You have sent this form several times already. Please try again later.', 'brag-book-gallery' )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Markup for the honeypot field
+	 *
+	 * Hidden with CSS rather than type="hidden", which bots know to skip, and
+	 * kept out of the tab order and the accessibility tree.
+	 *
+	 * @since 4.9.5
+	 * @return string Field HTML.
+	 */
+	public static function render_honeypot(): string {
+		return sprintf(
+			'<div class="brag-book-gallery-form-trap" aria-hidden="true"><label>%1$s <input type="text" name="%2$s" value="" tabindex="-1" autocomplete="off"></label></div>',
+			esc_html__( 'Leave this field empty', 'brag-book-gallery' ),
+			esc_attr( self::HONEYPOT_FIELD )
+		);
+	}
+
+	/**
+	 * The challenge provider switched on for the site, if any
+	 *
+	 * @since 4.9.5
+	 * @return Interface_Challenge_Provider|null Provider, or null for none.
+	 */
+	public static function get_challenge_provider(): ?Interface_Challenge_Provider {
+		/**
+		 * Filters the challenge the public forms must answer.
+		 *
+		 * @since 4.9.5
+		 *
+		 * @param Interface_Challenge_Provider|null $provider Provider, or null for none.
+		 */
+		$provider = apply_filters( 'brag_book_gallery_challenge_provider', null );
+
+		return $provider instanceof Interface_Challenge_Provider ? $provider : null;
+	}
+
+	/**
+	 * Fewest seconds between issuing a token and submitting
+	 *
+	 * @since 4.9.5
+	 * @return int Seconds.
+	 */
+	private static function get_min_seconds(): int {
+		/**
+		 * Filters the fewest seconds a visitor must spend before submitting.
+		 *
+		 * @since 4.9.5
+		 *
+		 * @param int $seconds Seconds; 0 turns the check off.
+		 */
+		return max( 0, (int) apply_filters( 'brag_book_gallery_form_min_seconds', self::MIN_SECONDS ) );
+	}
+
+	/**
+	 * New sessions one IP may start per hour
+	 *
+	 * @since 4.9.5
+	 * @return int Sessions.
+	 */
+	private static function get_sessions_per_hour(): int {
+		/**
+		 * Filters how many new form sessions one IP may start per hour.
+		 *
+		 * @since 4.9.5
+		 *
+		 * @param int $sessions Sessions per hour.
+		 */
+		return max( 1, (int) apply_filters( 'brag_book_gallery_form_sessions_per_hour', self::SESSIONS_PER_HOUR ) );
+	}
+
+	/**
+	 * Count a submission against its session's and its IP's hourly quotas
+	 *
+	 * Nothing is counted unless both have room, so a refused submission
+	 * does not use up either.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $form    Form being submitted.
+	 * @param string $session Session ID from the token.
+	 *
+	 * @return bool True when the submission is within quota.
+	 */
+	private static function within_session_limit( string $form, string $session ): bool {
+		/**
+		 * Filters how many times one session may submit a form per hour.
+		 *
+		 * @since 4.9.5
+		 *
+		 * @param int    $limit Submissions per hour.
+		 * @param string $form  Form being submitted: consultation or favorites.
+		 */
+		$session_limit = (int) apply_filters( 'brag_book_gallery_form_session_limit', self::SESSION_LIMITS[ $form ] ?? 5, $form );
+
+		/**
+		 * Filters how many times one client IP may submit a form per hour.
+		 *
+		 * @since 4.9.5
+		 *
+		 * @param int    $limit Submissions per hour.
+		 * @param string $form  Form being submitted: consultation or favorites.
+		 */
+		$ip_limit = (int) apply_filters( 'brag_book_gallery_form_ip_limit', self::IP_LIMITS[ $form ] ?? 10, $form );
+
+		$quotas = [
+			'brag_book_gallery_form_session_' . md5( $form . '|' . $session )                    => $session_limit,
+			'brag_book_gallery_form_ip_' . md5( $form . '|' . wp_hash( self::get_client_ip() ) ) => $ip_limit,
+		];
+		$counts = [];
+
+		foreach ( $quotas as $key => $limit ) {
+			$counts[ $key ] = (int) get_transient( $key );
+
+			if ( $counts[ $key ] >= $limit ) {
+				return false;
+			}
+		}
+
+		foreach ( $counts as $key => $count ) {
+			set_transient( $key, $count + 1, HOUR_IN_SECONDS );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Split and verify a token
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $token Token as posted.
+	 *
+	 * @return array{session: string, issued: int}|null Its parts, or null when invalid or expired.
+	 */
+	private static function parse_token( string $token ): ?array {
+		$parts = explode( '.', $token );
+
+		if ( 3 !== count( $parts ) || ! ctype_alnum( $parts[0] ) || ! ctype_digit( $parts[1] ) ) {
+			return null;
+		}
+
+		[ $session, $issued, $signature ] = $parts;
+		$issued                           = (int) $issued;
+
+		if ( ! hash_equals( self::sign( $session, $issued ), $signature ) ) {
+			return null;
+		}
+
+		if ( $issued > time() || time() - $issued > self::TOKEN_LIFETIME ) {
+			return null;
+		}
+
+		return [
+			'session' => $session,
+			'issued'  => $issued,
+		];
+	}
+
+	/**
+	 * Signature over a token's session and issue time
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $session Session ID.
+	 * @param int    $issued  Issue time.
+	 *
+	 * @return string Hex HMAC.
+	 */
+	private static function sign( string $session, int $issued ): string {
+		return hash_hmac( 'sha256', $session . '|' . $issued, wp_salt( 'nonce' ) );
+	}
+}
@@ -0,0 +1,122 @@
+<?php
+/**
+ * Proof-of-Work Challenge
+ *
+ * Built-in challenge provider that asks the browser to spend a little CPU
+ * time before submitting, which costs a visitor a moment once per session
+ * and a bot that cost on every session it opens.
+ *
+ * @package    BRAGBookGallery
+ * @subpackage Includes\Communications
+ * @since      4.9.5
+ * @author     Candace Crowe Design <bragbook@candacecrowe.com>
+ * @copyright  Copyright (c) 2025, Candace Crowe Design LLC
+ * @license    GPL-2.0-or-later
+ */
+
+declare( strict_types=1 );
+
+namespace BRAGBookGallery\Includes\Communications;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Proof-of-Work Class
+ *
+ * The answer is a counter such that SHA-256( token . ':' . counter ) starts
+ * with at least $difficulty zero bits. Finding one takes about 2^difficulty
+ * hashes; checking it takes one, and nothing leaves the server.
+ *
+ * @since 4.9.5
+ */
+final class Proof_Of_Work implements Interface_Challenge_Provider {
+
+	/**
+	 * Leading zero bits the default difficulty asks for
+	 *
+	 * Around 65,000 hashes: well under a second with Web Crypto on a phone.
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	public const DEFAULT_DIFFICULTY = 16;
+
+	/**
+	 * Leading zero bits required
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	private int $difficulty;
+
+	/**
+	 * Constructor
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int $difficulty Leading zero bits required, 1 to 32.
+	 */
+	public function __construct( int $difficulty = self::DEFAULT_DIFFICULTY ) {
+		$this->difficulty = max( 1, min( 32, $difficulty ) );
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function get_id(): string {
+		return 'proof-of-work';
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function get_client_config( string $token ): array {
+		return [
+			'difficulty' => $this->difficulty,
+		];
+	}
+
+	/**
+	 * {@inheritDoc}
+	 */
+	public function verify( string $token, string $answer ): bool {
+		if ( '' === $answer || ! ctype_digit( $answer ) || strlen( $answer ) > 12 ) {
+			return false;
+		}
+
+		return self::leading_zero_bits( hash( 'sha256', $token . ':' . $answer, true ) ) >= $this->difficulty;
+	}
+
+	/**
+	 * Count the zero bits at the start of a binary string
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $bytes Binary hash.
+	 *
+	 * @return int Number of leading zero bits.
+	 */
+	private static function leading_zero_bits( string $bytes ): int {
+		$bits = 0;
+
+		foreach ( str_split( $bytes ) as $byte ) {
+			$value = ord( $byte );
+
+			if ( 0 === $value ) {
+				$bits += 8;
+				continue;
+			}
+
+			// Zero bits above the highest set bit of this byte.
+			for ( $mask = 0x80; ! ( $value & $mask ); $mask >>= 1 ) {
+				++$bits;
+			}
+
+			return $bits;
+		}
+
+		return $bits;
+	}
+}
@@ -0,0 +1,77 @@
+<?php
+/**
+ * Challenge Provider Interface
+ *
+ * Contract for the optional challenge the public forms can ask the browser to
+ * answer before a submission is accepted.
+ *
+ * @package    BRAGBookGallery
+ * @subpackage Includes\Communications
+ * @since      4.9.5
+ * @author     Candace Crowe Design <bragbook@candacecrowe.com>
+ * @copyright  Copyright (c) 2025, Candace Crowe Design LLC
+ * @license    GPL-2.0-or-later
+ */
+
+declare( strict_types=1 );
+
+namespace BRAGBookGallery\Includes\Communications;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Challenge Provider Interface
+ *
+ * A provider is switched on with the brag_book_gallery_challenge_provider
+ * filter:
+ *
+ * ```php
+ * add_filter(
+ *     'brag_book_gallery_challenge_provider',
+ *     static fn() => new \BRAGBookGallery\Includes\Communications\Proof_Of_Work()
+ * );
+ * ```
+ *
+ * Its client config is handed to the browser with the form token. The browser
+ * looks up a solver registered under the provider's ID, built in for
+ * proof-of-work or added to window.bragBookGalleryChallengeProviders for
+ * anything else, and posts the answer as form_challenge.
+ *
+ * @since 4.9.5
+ */
+interface Interface_Challenge_Provider {
+
+	/**
+	 * ID the browser uses to find the matching solver
+	 *
+	 * @since 4.9.5
+	 *
+	 * @return string Provider ID.
+	 */
+	public function get_id(): string;
+
+	/**
+	 * Settings the browser needs to answer the challenge
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $token Form token the challenge is tied to.
+	 *
+	 * @return array<string, mixed> JSON-safe settings.
+	 */
+	public function get_client_config( string $token ): array;
+
+	/**
+	 * Check the browser's answer
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $token  Form token the answer was worked out for.
+	 * @param string $answer Submitted answer.
+	 *
+	 * @return bool Whether the answer is correct.
+	 */
+	public function verify( string $token, string $answer ): bool;
+}
@@ -0,0 +1,136 @@
+<?php
+/**
+ * Nonce Refresh
+ *
+ * The gallery's nonces are printed into the page, and a full-page cache
+ * (Varnish, WP Rocket and the like) keeps serving that page long after they
+ * expire, at which point every favorite, filter and consultation request
+ * fails its nonce check. Front-end handlers refuse a stale nonce with
+ * send_invalid_nonce(), which the browser's request client recognises by
+ * its error code; it then asks the uncached refresh action for fresh nonces
+ * and sends the request again once (see src/js/modules/ajax-client.js).
+ *
+ * @package    BRAGBookGallery
+ * @subpackage Includes\Core
+ * @since      4.9.5
+ * @author     Candace Crowe Design <bragbook@candacecrowe.com>
+ * @copyright  Copyright (c) 2025, Candace Crowe Design LLC
+ * @license    GPL-2.0-or-later
+ */
+
+declare( strict_types=1 );
+
+namespace BRAGBookGallery\Includes\Core;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Nonce Refresh Class
+ *
+ * A nonce is tied to the visitor's login session, which is why fresh ones
+ * come from admin-ajax, where the visitor's cookies count, rather than from a
+ * REST route, where they don't without a nonce.
+ *
+ * @since 4.9.5
+ */
+final class Nonce_Refresh {
+
+	/**
+	 * AJAX action that hands out fresh nonces
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const ACTION = 'brag_book_gallery_refresh_nonce';
+
+	/**
+	 * Error code a handler refuses a stale nonce with
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const ERROR_CODE = 'invalid_nonce';
+
+	/**
+	 * Request field the browser marks its one retry with
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const RETRY_FIELD = 'nonce_retry';
+
+	/**
+	 * Register the refresh action
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function register(): void {
+		add_action( 'wp_ajax_' . self::ACTION, [ self::class, 'ajax_refresh' ] );
+		add_action( 'wp_ajax_nopriv_' . self::ACTION, [ self::class, 'ajax_refresh' ] );
+	}
+
+	/**
+	 * Fresh copies of the nonces the front end is given
+	 *
+	 * @since 4.9.5
+	 * @return array{nonce: string, consultationNonce: string}
+	 */
+	public static function get_nonces(): array {
+		return [
+			'nonce'             => wp_create_nonce( 'brag_book_gallery_nonce' ),
+			'consultationNonce' => wp_create_nonce( 'consultation_form_nonce' ),
+		];
+	}
+
+	/**
+	 * AJAX handler: answer with fresh nonces, never from a cache
+	 *
+	 * Takes no nonce, since it is what a visitor with a stale one calls. A
+	 * nonce only proves a request came from a page the site served, which
+	 * anyone can load, so handing one out gives nothing away.
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function ajax_refresh(): void {
+		nocache_headers();
+
+		wp_send_json_success( self::get_nonces() );
+	}
+
+	/**
+	 * Refuse a request whose nonce failed its check
+	 *
+	 * When the request was already the browser's retry with a fresh nonce,
+	 * refreshing cannot help, and the failure goes to the debug log.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $message Message shown to the visitor.
+	 *
+	 * @return void
+	 */
+	public static function send_invalid_nonce( string $message ): void {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Only read to report the failed check.
+		if ( ! empty( $_POST[ self::RETRY_FIELD ] ) ) {
+			brag_book_log(
+				sprintf(
+					'BRAG book Gallery: %s refused a freshly issued nonce. Check that admin-ajax.php is excluded from page and object caching.',
+					// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Only read to report the failed check.
+					sanitize_key( wp_unslash( $_REQUEST['action'] ?? '' ) )
+				)
+			);
+		}
+
+		wp_send_json_error(
+			[
+				'message' => $message,
+				'code'    => self::ERROR_CODE,
+			],
+			403
+		);
+	}
+}
@@ -41,6 +41,15 @@ final class Settings_Helper {
 	 */
 	public const DEFAULT_ITEMS_PER_PAGE = 12;
 
+	/**
+	 * Cases a grid holds before it only keeps the rows near the viewport in
+	 * the page.
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	public const DEFAULT_VIRTUALIZE_AFTER = 120;
+
 	/**
 	 * Smallest accepted items-per-page value. Below 1 the grid renders nothing
 	 * and the pager cannot advance.
@@ -59,6 +68,18 @@ final class Settings_Helper {
 	 */
 	public const MAX_ITEMS_PER_PAGE = 200;
 
+	/**
+	 * Ways a case's before and after photos can be shown.
+	 *
+	 * `side_by_side` is the combined image the API produces; the slider modes
+	 * lay the separate before and after photos over each other with a divider
+	 * the visitor drags.
+	 *
+	 * @since 4.9.5
+	 * @var string[]
+	 */
+	public const IMAGE_DISPLAY_MODES = [ 'side_by_side', 'slider', 'slider_vertical' ];
+
 	/**
 	 * Procedure slugs for the carousels in the default landing page content.
 	 *
@@ -77,6 +98,18 @@ final class Settings_Helper {
 		'liposuction',
 	];
 
+	/**
+	 * Consent cookie values that mean the visitor refused
+	 *
+	 * Many banners set their cookie on refusal too, so with a bare cookie name
+	 * configured these values, compared without case, grant nothing. An empty
+	 * value is a refusal as well. Mirrored in src/js/modules/consent.js.
+	 *
+	 * @since 4.9.5
+	 * @var string[]
+	 */
+	public const CONSENT_REFUSALS = [ '0', 'false', 'no', 'deny', 'denied', 'decline', 'declined', 'reject', 'rejected', 'refused' ];
+
 	/**
 	 * Static cache for settings to avoid repeated database queries
 	 *
@@ -141,6 +174,145 @@ final class Settings_Helper {
 		return $is_enabled;
 	}
 
+	/**
+	 * Check if share buttons are switched on
+	 *
+	 * Stored as 'yes' or 'no', the form the front-end config has always read.
+	 *
+	 * @since 4.9.5
+	 * @return bool True if sharing is enabled, false otherwise
+	 */
+	public static function is_sharing_enabled(): bool {
+		return 'yes' === get_option( 'brag_book_gallery_enable_sharing', 'no' );
+	}
+
+	/**
+	 * Whether visitors get the gallery's service worker
+	 *
+	 * It keeps the gallery shell, case HTML and images on the visitor's
+	 * device, so repeat visits load from there and favorites can be shown
+	 * offline. See Service_Worker.
+	 *
+	 * @since 4.9.5
+	 * @return bool
+	 */
+	public static function is_offline_browsing_enabled(): bool {
+		return (bool) get_option( 'brag_book_gallery_enable_offline', false );
+	}
+
+	/**
+	 * The utm_campaign share links are tagged with
+	 *
+	 * @since 4.9.5
+	 * @return string Campaign, or an empty string to leave links untagged.
+	 */
+	public static function get_share_utm_campaign(): string {
+		return sanitize_title( (string) get_option( 'brag_book_gallery_share_utm_campaign', '' ) );
+	}
+
+	/**
+	 * Check if shares are counted on this site
+	 *
+	 * @since 4.9.5
+	 * @return bool True if each share is posted to the share endpoint, false otherwise
+	 */
+	public static function should_record_shares(): bool {
+		return self::is_sharing_enabled() && (bool) get_option( 'brag_book_gallery_record_shares', false );
+	}
+
+	/**
+	 * Which analytics adapters gallery events are sent through
+	 *
+	 * Listeners on window.bragBookGalleryAnalytics get the events whatever
+	 * these say; they only switch the built-in adapters.
+	 *
+	 * @since 4.9.5
+	 * @return array{dataLayer: bool, gtag: bool, rest: bool} dataLayer (Tag Manager), gtag (GA4) and this site's REST sink.
+	 */
+	public static function get_analytics_adapters(): array {
+		return [
+			'dataLayer' => (bool) get_option( 'brag_book_gallery_analytics_datalayer', false ),
+			'gtag'      => (bool) get_option( 'brag_book_gallery_analytics_gtag', false ),
+			'rest'      => (bool) get_option( 'brag_book_gallery_analytics_rest', false ),
+		];
+	}
+
+	/**
+	 * Check if tracking waits for the visitor's consent
+	 *
+	 * @since 4.9.5
+	 * @return bool True if view tracking, analytics, social share channels and the favorites email capture are held back until consent.
+	 */
+	public static function requires_consent(): bool {
+		return (bool) get_option( 'brag_book_gallery_require_consent', false );
+	}
+
+	/**
+	 * The cookie a consent banner sets once the visitor accepts
+	 *
+	 * @since 4.9.5
+	 * @return string "name" or "name=value", or an empty string when consent is only read from a CMP.
+	 */
+	public static function get_consent_cookie(): string {
+		return self::sanitize_consent_cookie( (string) get_option( 'brag_book_gallery_consent_cookie', '' ) );
+	}
+
+	/**
+	 * Reduce a consent cookie setting to a cookie name and optional value
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $cookie "name" or "name=value" as entered.
+	 *
+	 * @return string
+	 */
+	public static function sanitize_consent_cookie( string $cookie ): string {
+		return (string) preg_replace( '/[^A-Za-z0-9_\-.=%]/', '', $cookie );
+	}
+
+	/**
+	 * Check the visitor's consent on the server
+	 *
+	 * Only the WP Consent API and the consent cookie can be read here; a TCF
+	 * consent string is left to the browser. Views the server skips for want
+	 * of consent are tracked by the browser once it is given.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $category WP Consent API category: statistics or marketing.
+	 *
+	 * @return bool True if tracking in the category may go ahead.
+	 */
+	public static function has_visitor_consent( string $category ): bool {
+		if ( ! self::requires_consent() ) {
+			return true;
+		}
+
+		if ( function_exists( 'wp_has_consent' ) && wp_has_consent( $category ) ) {
+			return true;
+		}
+
+		$cookie = self::get_consent_cookie();
+		if ( '' === $cookie ) {
+			return false;
+		}
+
+		$parts = explode( '=', $cookie, 2 );
+		$name  = $parts[0];
+		if ( ! isset( $_COOKIE[ $name ] ) ) {
+			return false;
+		}
+
+		$value = trim( sanitize_text_field( wp_unslash( $_COOKIE[ $name ] ) ) );
+
+		if ( isset( $parts[1] ) && '' !== $parts[1] ) {
+			return $value === $parts[1];
+		}
+
+		// A bare name: the cookie counts unless its value is a refusal.
+		return '' !== $value && ! in_array( strtolower( $value ), self::CONSENT_REFUSALS, true );
+	}
+
 	/**
 	 * Whether an external consultation form replaces the built-in one
 	 *
@@ -314,6 +486,70 @@ final class Settings_Helper {
 		return $items_per_page;
 	}
 
+	/**
+	 * How many cases a grid holds before it is virtualized
+	 *
+	 * Past this many cards the browser only keeps the rows near the viewport
+	 * mounted, so a procedure with hundreds of cases scrolls as lightly as one
+	 * page of them. 0 turns virtualization off.
+	 *
+	 * @since 4.9.5
+	 * @return int Card count, 0 for never.
+	 */
+	public static function get_virtualize_after(): int {
+		/**
+		 * Filters how many cases a grid holds before it is virtualized.
+		 *
+		 * @since 4.9.5
+		 * @param int $count Card count, 0 for never.
+		 */
+		return max( 0, (int) apply_filters( 'brag_book_gallery_virtualize_after', self::DEFAULT_VIRTUALIZE_AFTER ) );
+	}
+
+	/**
+	 * An opaque version of the synced gallery data
+	 *
+	 * Every sync, manual, scheduled or pushed over REST, records when it
+	 * finished in `brag_book_gallery_last_sync_time`, so the version changes
+	 * with each one. Browser caches of case HTML are keyed by it and start
+	 * over when it changes.
+	 *
+	 * @since 4.9.5
+	 * @return string Short hash, stable until the next sync.
+	 */
+	public static function get_sync_version(): string {
+		return substr( md5( (string) get_option( 'brag_book_gallery_last_sync_time', '' ) ), 0, 12 );
+	}
+
+	/**
+	 * How before and after photos are shown across the site
+	 *
+	 * Shortcodes can override this per instance with `image_display`.
+	 *
+	 * @since 4.9.5
+	 * @return string One of IMAGE_DISPLAY_MODES.
+	 */
+	public static function get_image_display(): string {
+		$mode = self::sanitize_image_display( (string) get_option( 'brag_book_gallery_image_display', 'side_by_side' ) );
+
+		return '' !== $mode ? $mode : 'side_by_side';
+	}
+
+	/**
+	 * Validate an image display mode from a setting or shortcode attribute
+	 *
+	 * Hyphens are accepted too, so `image_display="slider-vertical"` works.
+	 *
+	 * @since 4.9.5
+	 * @param string $mode Raw mode.
+	 * @return string The mode, or an empty string when it is not one of IMAGE_DISPLAY_MODES.
+	 */
+	public static function sanitize_image_display( string $mode ): string {
+		$mode = str_replace( '-', '_', strtolower( trim( $mode ) ) );
+
+		return in_array( $mode, self::IMAGE_DISPLAY_MODES, true ) ? $mode : '';
+	}
+
 	/**
 	 * Get gallery columns setting
 	 *
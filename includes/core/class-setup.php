@@ -105,6 +105,7 @@ final class Setup {
 		'brag_book_gallery_load_filtered_cases',
 		'brag_book_gallery_clear_cache',
 		'brag_book_gallery_flush_rewrite_rules',
+		'brag_book_gallery_refresh_nonce',
 	];
 
 	/**
@@ -310,6 +311,9 @@ final class Setup {
 		// Cache exclusions
 		$this->setup_litespeed_exclusions();
 
+		// Infinite scroll depth (?page=N) on gallery pages
+		add_filter( 'redirect_canonical', [ $this, 'keep_gallery_page_depth' ] );
+
 		/**
 		 * Fires after all core hooks are registered.
 		 *
@@ -350,6 +354,7 @@ final class Setup {
 		$this->services['content_meta_description'] = new Content_Meta_Description();
 		$this->services['adjacent_links'] = new Adjacent_Links();
 		$this->services['medical_schema'] = new \BRAGBookGallery\Includes\SEO\Medical_Schema();
+		$this->services['share_meta'] = new \BRAGBookGallery\Includes\SEO\Share_Meta();
 
 		// Initialize communications handler.
 		$this->services['communications'] = new Communications();
@@ -385,6 +390,7 @@ final class Setup {
 		$this->services['case_handler'] = new \BRAGBookGallery\Includes\Shortcodes\Case_Handler();
 		$this->services['cases_handler'] = new \BRAGBookGallery\Includes\Shortcodes\Cases_Handler();
 		$this->services['favorites_handler'] = new \BRAGBookGallery\Includes\Shortcodes\Favorites_Handler();
+		$this->services['comparison_handler'] = new \BRAGBookGallery\Includes\Shortcodes\Comparison_Handler();
 
 		// Register view tracking AJAX handlers (ensure they're always available)
 		add_action( 'wp_ajax_brag_book_track_view', [ \BRAGBookGallery\Includes\Shortcodes\Gallery_Handler::class, 'ajax_track_view' ] );
@@ -392,6 +398,27 @@ final class Setup {
 		// phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_error_log
 		brag_book_log( 'BRAG book Gallery: View tracking AJAX handlers registered' );
 
+		// Count shares per case and channel, when the site has asked for it.
+		\BRAGBookGallery\Includes\REST\Share_Tracking::register();
+
+		// Accept the gallery's analytics events, when the REST sink is on.
+		\BRAGBookGallery\Includes\REST\Analytics_Events::register();
+
+		// Serve gallery pages, cases and adjacent cases as cacheable GETs.
+		\BRAGBookGallery\Includes\REST\Gallery_Data::register();
+
+		// Hand pages served from a full-page cache fresh nonces.
+		\BRAGBookGallery\Includes\Core\Nonce_Refresh::register();
+
+		// Serve the offline browsing service worker, when the site has turned it on.
+		\BRAGBookGallery\Includes\Resources\Service_Worker::register();
+
+		// Give every front-end bundle the consent settings, config or not.
+		add_action( 'wp_head', [ \BRAGBookGallery\Includes\Resources\Asset_Manager::class, 'print_consent_config' ], 1 );
+
+		// Tell the WP Consent API the plugin asks before it tracks.
+		add_filter( 'wp_consent_api_registered_' . plugin_basename( self::get_plugin_file() ), '__return_true' );
+
 		// Register the location-based gallery search (AJAX + asset enqueue).
 		\BRAGBookGallery\Includes\Extend\Location_Search::register();
 
@@ -773,6 +800,27 @@ final class Setup {
 		return $result;
 	}
 
+	/**
+	 * Keep ?page=N on gallery pages through canonical redirects
+	 *
+	 * Infinite scroll records how many pages of cases the visitor has loaded
+	 * as ?page=N. WordPress reads that as a page of the post itself and
+	 * redirects it away, so a reload or a shared link would lose the depth
+	 * the gallery restores from it.
+	 *
+	 * @since 4.9.5
+	 * @param string|false $redirect_url Canonical URL WordPress would redirect to.
+	 * @return string|false The URL, or false to stay on a gallery page.
+	 */
+	public function keep_gallery_page_depth( $redirect_url ) {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only check of a public query arg.
+		if ( isset( $_GET['page'] ) && is_page() && $this->is_gallery_page() ) {
+			return false;
+		}
+
+		return $redirect_url;
+	}
+
 	/**
 	 * Check if current admin page is a plugin page.
 	 *
@@ -1564,6 +1612,11 @@ final class Setup {
 	public function filter_rest_api_cache( bool $cache, string $request_route ): bool {
 		$request_route = sanitize_text_field( $request_route );
 
+		// The gallery data routes are made to be cached
+		if ( \BRAGBookGallery\Includes\REST\Gallery_Data::is_gallery_data_route( $request_route ) ) {
+			return $cache;
+		}
+
 		if ( str_contains( $request_route, 'brag-book-gallery' ) ) {
 			return false;
 		}
@@ -55,7 +55,7 @@ class Database {
 	 * @since 3.0.0
 	 * @var string Semantic version string.
 	 */
-	private const CURRENT_DB_VERSION = '1.3.0';
+	private const CURRENT_DB_VERSION = '1.4.0';
 
 	/**
 	 * Cache group identifier for database operations.
@@ -235,13 +235,16 @@ class Database {
 	 * @return bool True if all tables exist.
 	 */
 	private function tables_exist(): bool {
-		$sync_log  = $this->table_prefix . 'sync_log';
-		$registry  = $this->get_sync_registry_table();
+		$sync_log       = $this->table_prefix . 'sync_log';
+		$registry       = $this->get_sync_registry_table();
+		$saved_searches = $this->get_saved_searches_table();
 
 		// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
 		return $this->wpdb->get_var( $this->wpdb->prepare( 'SHOW TABLES LIKE %s', $sync_log ) ) === $sync_log
 			// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-			&& $this->wpdb->get_var( $this->wpdb->prepare( 'SHOW TABLES LIKE %s', $registry ) ) === $registry;
+			&& $this->wpdb->get_var( $this->wpdb->prepare( 'SHOW TABLES LIKE %s', $registry ) ) === $registry
+			// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			&& $this->wpdb->get_var( $this->wpdb->prepare( 'SHOW TABLES LIKE %s', $saved_searches ) ) === $saved_searches;
 	}
 
 	/**
@@ -257,6 +260,7 @@ class Database {
 		// Create individual tables.
 		$this->create_sync_log_table();
 		$this->create_sync_registry_table();
+		$this->create_saved_searches_table();
 
 		// Update database version.
 		update_option( self::DB_VERSION_OPTION, self::CURRENT_DB_VERSION );
@@ -463,6 +467,43 @@ class Database {
 		}
 	}
 
+	/**
+	 * Create saved searches table
+	 *
+	 * Holds the gallery views favorites users save to be told about new cases.
+	 * The owner is identified by hashes of their email address and of a key
+	 * kept in their browser, so neither is stored in the clear.
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	private function create_saved_searches_table(): void {
+		$table_name      = $this->get_saved_searches_table();
+		$charset_collate = $this->wpdb->get_charset_collate();
+
+		$sql = "CREATE TABLE {$table_name} (
+			id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			email_hash CHAR(64) NOT NULL,
+			owner_key_hash CHAR(64) NOT NULL,
+			name VARCHAR(100) NOT NULL,
+			context LONGTEXT NOT NULL,
+			created_at DATETIME NOT NULL,
+			last_seen_at DATETIME NOT NULL,
+			KEY idx_owner (email_hash, owner_key_hash)
+		) {$charset_collate};";
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+		dbDelta( $sql );
+
+		if ( ! empty( $this->wpdb->last_error ) ) {
+			// phpcs:ignore WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedHooknameFound -- Query Monitor integration hook
+			do_action( 'qm/debug', sprintf(
+				'Error creating saved_searches table: %s',
+				$this->wpdb->last_error
+			) );
+		}
+	}
+
 	/**
 	 * Get sync log table name
 	 *
@@ -500,6 +541,141 @@ class Database {
 		return $this->table_prefix . 'sync_registry';
 	}
 
+	/**
+	 * Get saved searches table name
+	 *
+	 * @since 4.9.5
+	 * @return string Full table name.
+	 */
+	public function get_saved_searches_table(): string {
+		return $this->table_prefix . 'saved_searches';
+	}
+
+	/**
+	 * Save a search for an owner.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $email_hash     SHA-256 of the owner's lower-cased email.
+	 * @param string $owner_key_hash SHA-256 of the owner's browser key.
+	 * @param string $name           Name the owner gave the search.
+	 * @param array  $context        View context (procedure, provider, filters, url).
+	 *
+	 * @return int|false Insert ID on success, false on failure.
+	 */
+	public function insert_saved_search( string $email_hash, string $owner_key_hash, string $name, array $context ) {
+		$now = current_time( 'mysql', true );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+		$result = $this->wpdb->insert(
+			$this->get_saved_searches_table(),
+			[
+				'email_hash'     => $email_hash,
+				'owner_key_hash' => $owner_key_hash,
+				'name'           => $name,
+				'context'        => wp_json_encode( $context ),
+				'created_at'     => $now,
+				'last_seen_at'   => $now,
+			],
+			[ '%s', '%s', '%s', '%s', '%s', '%s' ]
+		);
+
+		return false === $result ? false : (int) $this->wpdb->insert_id;
+	}
+
+	/**
+	 * Get an owner's saved searches, oldest first.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $email_hash     SHA-256 of the owner's lower-cased email.
+	 * @param string $owner_key_hash SHA-256 of the owner's browser key.
+	 *
+	 * @return array<int,array{id:int,name:string,context:array,created_at:string,last_seen_at:string}>
+	 */
+	public function get_saved_searches( string $email_hash, string $owner_key_hash ): array {
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $this->wpdb->get_results(
+			$this->wpdb->prepare(
+				'SELECT id, name, context, created_at, last_seen_at FROM %i WHERE email_hash = %s AND owner_key_hash = %s ORDER BY id ASC',
+				$this->get_saved_searches_table(),
+				$email_hash,
+				$owner_key_hash
+			),
+			ARRAY_A
+		);
+
+		return array_map(
+			static function ( array $row ): array {
+				$context = json_decode( (string) $row['context'], true );
+
+				return [
+					'id'           => (int) $row['id'],
+					'name'         => (string) $row['name'],
+					'context'      => is_array( $context ) ? $context : [],
+					'created_at'   => (string) $row['created_at'],
+					'last_seen_at' => (string) $row['last_seen_at'],
+				];
+			},
+			(array) $rows
+		);
+	}
+
+	/**
+	 * Mark one of an owner's saved searches as seen now.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int    $id             Saved search ID.
+	 * @param string $email_hash     SHA-256 of the owner's lower-cased email.
+	 * @param string $owner_key_hash SHA-256 of the owner's browser key.
+	 *
+	 * @return bool False on a database error. Another owner's search is left
+	 *              alone without an error.
+	 */
+	public function touch_saved_search( int $id, string $email_hash, string $owner_key_hash ): bool {
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$result = $this->wpdb->update(
+			$this->get_saved_searches_table(),
+			[ 'last_seen_at' => current_time( 'mysql', true ) ],
+			[
+				'id'             => $id,
+				'email_hash'     => $email_hash,
+				'owner_key_hash' => $owner_key_hash,
+			],
+			[ '%s' ],
+			[ '%d', '%s', '%s' ]
+		);
+
+		return false !== $result;
+	}
+
+	/**
+	 * Delete one of an owner's saved searches.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int    $id             Saved search ID.
+	 * @param string $email_hash     SHA-256 of the owner's lower-cased email.
+	 * @param string $owner_key_hash SHA-256 of the owner's browser key.
+	 *
+	 * @return bool True when a search was deleted.
+	 */
+	public function delete_saved_search( int $id, string $email_hash, string $owner_key_hash ): bool {
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$result = $this->wpdb->delete(
+			$this->get_saved_searches_table(),
+			[
+				'id'             => $id,
+				'email_hash'     => $email_hash,
+				'owner_key_hash' => $owner_key_hash,
+			],
+			[ '%d', '%s', '%s' ]
+		);
+
+		return ! empty( $result );
+	}
+
 	/**
 	 * Log sync operation.
 	 *
@@ -1275,6 +1451,7 @@ class Database {
 		$sync_log_table      = $this->get_sync_log_table();
 		$case_map_table      = $this->get_case_map_table();
 		$sync_registry_table = $this->get_sync_registry_table();
+		$saved_search_table  = $this->get_saved_searches_table();
 
 		// Drop tables using proper escaping.
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange, WordPress.DB.PreparedSQL.NotPrepared -- Uninstall routine
@@ -1286,6 +1463,9 @@ class Database {
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange, WordPress.DB.PreparedSQL.NotPrepared -- Uninstall routine
 		$this->wpdb->query( $this->wpdb->prepare( 'DROP TABLE IF EXISTS %i', $sync_registry_table ) );
 
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange, WordPress.DB.PreparedSQL.NotPrepared -- Uninstall routine
+		$this->wpdb->query( $this->wpdb->prepare( 'DROP TABLE IF EXISTS %i', $saved_search_table ) );
+
 		// Remove database version option.
 		delete_option( self::DB_VERSION_OPTION );
 
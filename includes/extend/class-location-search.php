@@ -18,6 +18,7 @@
 
 namespace BRAGBookGallery\Includes\Extend;
 
+use BRAGBookGallery\Includes\Core\Nonce_Refresh;
 use BRAGBookGallery\Includes\Core\Settings_Helper;
 use BRAGBookGallery\Includes\Core\Setup;
 use BRAGBookGallery\Includes\Shortcodes\Cases_Handler;
@@ -227,7 +228,7 @@ class Location_Search {
 	 */
 	public static function ajax_search(): void {
 		if ( ! check_ajax_referer( 'brag_book_gallery_nonce', 'nonce', false ) ) {
-			wp_send_json_error( [ 'message' => __( 'Invalid request.', 'brag-book-gallery' ) ], 403 );
+			Nonce_Refresh::send_invalid_nonce( __( 'Invalid request.', 'brag-book-gallery' ) );
 		}
 
 		if ( ! self::is_enabled() ) {
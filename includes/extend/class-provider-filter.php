@@ -18,6 +18,7 @@
 
 namespace BRAGBookGallery\Includes\Extend;
 
+use BRAGBookGallery\Includes\Core\Nonce_Refresh;
 use BRAGBookGallery\Includes\Core\Settings_Helper;
 use BRAGBookGallery\Includes\Core\Setup;
 use BRAGBookGallery\Includes\Shortcodes\Cases_Handler;
@@ -279,7 +280,7 @@ class Provider_Filter {
 	 */
 	public static function ajax_filter(): void {
 		if ( ! check_ajax_referer( 'brag_book_gallery_nonce', 'nonce', false ) ) {
-			wp_send_json_error( [ 'message' => __( 'Invalid request.', 'brag-book-gallery' ) ], 403 );
+			Nonce_Refresh::send_invalid_nonce( __( 'Invalid request.', 'brag-book-gallery' ) );
 		}
 
 		if ( ! self::is_enabled() ) {
@@ -27,6 +27,9 @@ namespace BRAGBookGallery\Includes\Resources;
 
 use BRAGBookGallery\Includes\Core\Settings_Helper;
 use BRAGBookGallery\Includes\Core\Setup;
+use BRAGBookGallery\Includes\REST\Analytics_Events;
+use BRAGBookGallery\Includes\REST\Gallery_Data;
+use BRAGBookGallery\Includes\REST\Share_Tracking;
 
 // Prevent direct access.
 if ( ! defined( 'ABSPATH' ) ) {
@@ -263,6 +266,7 @@ final class Asset_Manager {
 			'apiBaseUrl'          => esc_url_raw( get_option( 'brag_book_gallery_api_endpoint', 'https://app.bragbookgallery.com' ) ),
 			'api_endpoint'        => esc_url_raw( get_option( 'brag_book_gallery_api_endpoint', 'https://app.bragbookgallery.com' ) ),
 			'ajaxUrl'             => esc_url_raw( admin_url( 'admin-ajax.php' ) ),
+			'galleryDataUrl'      => esc_url_raw( Gallery_Data::get_base_url() ),
 			'nonce'               => wp_create_nonce( 'brag_book_gallery_nonce' ),
 			'consultation_nonce'  => wp_create_nonce( 'consultation_form_nonce' ),
 			'pluginUrl'           => esc_url_raw( $plugin_url ),
@@ -270,8 +274,13 @@ final class Asset_Manager {
 			'enableSharing'       => sanitize_text_field( get_option( 'brag_book_gallery_enable_sharing', 'no' ) ),
 			'infiniteScroll'      => sanitize_text_field( get_option( 'brag_book_gallery_infinite_scroll', 'no' ) ),
 			'itemsPerPage'        => Settings_Helper::get_items_per_page(),
+			'virtualizeAfter'     => Settings_Helper::get_virtualize_after(),
+			'syncVersion'         => Settings_Helper::get_sync_version(),
+			'serviceWorker'       => Service_Worker::get_client_config(),
+			'favoritesEnabled'    => Settings_Helper::is_favorites_enabled(),
+			'imageDisplay'        => Settings_Helper::get_image_display(),
 			'sidebarData'         => $sidebar_data,
-		);
+		) + self::get_visitor_config();
 
 		wp_localize_script(
 			'brag-book-gallery-main',
@@ -318,11 +327,72 @@ final class Asset_Manager {
 				[
 					'ajaxUrl' => esc_url_raw( admin_url( 'admin-ajax.php' ) ),
 					'nonce'   => wp_create_nonce( 'brag_book_gallery_nonce' ),
-				]
+				] + self::get_visitor_config()
 			);
 		}
 	}
 
+	/**
+	 * Share, analytics and consent settings
+	 *
+	 * Part of every config the front end can be given — the full gallery's,
+	 * the carousel-only bundle's and the baseline ones for pages without a
+	 * gallery — since tracking must wait for consent on all of them.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @return array{shareUtmCampaign: string, shareEndpoint: string, analytics: array{dataLayer: bool, gtag: bool, endpoint: string}, consent: array{required: bool, cookie: string}}
+	 */
+	public static function get_visitor_config(): array {
+		$adapters = Settings_Helper::get_analytics_adapters();
+
+		return [
+			'shareUtmCampaign' => Settings_Helper::get_share_utm_campaign(),
+			'shareEndpoint'    => Settings_Helper::should_record_shares()
+				? esc_url_raw( rest_url( Share_Tracking::REST_NAMESPACE . Share_Tracking::REST_ROUTE ) )
+				: '',
+			'analytics'        => [
+				'dataLayer' => $adapters['dataLayer'],
+				'gtag'      => $adapters['gtag'],
+				'endpoint'  => esc_url_raw( Analytics_Events::get_endpoint() ),
+			],
+			'consent'          => self::get_consent_config(),
+		];
+	}
+
+	/**
+	 * Visitor consent settings
+	 *
+	 * @since 4.9.5
+	 *
+	 * @return array{required: bool, cookie: string}
+	 */
+	public static function get_consent_config(): array {
+		return [
+			'required' => Settings_Helper::requires_consent(),
+			'cookie'   => Settings_Helper::get_consent_cookie(),
+		];
+	}
+
+	/**
+	 * Print the consent settings as their own global
+	 *
+	 * The provider filter and location search bundles are given no gallery
+	 * config, and any bundle can load before its config is printed. The
+	 * consent gate falls back to window.bragBookGalleryConsentConfig there,
+	 * and requires consent if that is missing too, so it goes out in the
+	 * head of every front-end page.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @return void
+	 */
+	public static function print_consent_config(): void {
+		wp_print_inline_script_tag(
+			'window.bragBookGalleryConsentConfig = ' . wp_json_encode( self::get_consent_config() ) . ';'
+		);
+	}
+
 	/**
 	 * Ensure minimal configuration is available for consultation forms
 	 *
@@ -362,7 +432,7 @@ final class Asset_Manager {
 			'ajaxUrl'            => esc_url_raw( admin_url( 'admin-ajax.php' ) ),
 			'consultation_nonce' => wp_create_nonce( 'consultation_form_nonce' ),
 			'nonce'              => wp_create_nonce( 'brag_book_gallery_nonce' ),
-		);
+		) + self::get_visitor_config();
 
 		// Register an empty handle solely to carry the inline configuration.
 		if ( ! wp_script_is( 'brag-book-gallery-config', 'registered' ) ) {
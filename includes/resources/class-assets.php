@@ -301,7 +301,7 @@ class Assets {
 			'nonce'   => wp_create_nonce( 'brag_book_gallery_nonce' ),
 			'consultation_nonce' => wp_create_nonce( 'consultation_form_nonce' ),
 			'itemsPerPage' => Settings_Helper::get_items_per_page(),
-		] );
+		] + Asset_Manager::get_visitor_config() );
 
 		// Allow plugins/themes to add custom scripts.
 		do_action( hook_name: 'brag_book_gallery_frontend_scripts_enqueued' );
@@ -0,0 +1,263 @@
+<?php
+/**
+ * Service Worker
+ *
+ * Opt-in offline and repeat-visit browsing for the gallery. The worker
+ * script is built from src/js/service-worker.js, but a worker can only
+ * control pages at or below the path it is served from, and the plugin's
+ * assets directory is nowhere near the gallery. So the script is served from
+ * the site root through a query var, with its configuration printed in front
+ * of it, and registered with the gallery page as its scope.
+ *
+ * The configuration carries a version made from the sync version and the
+ * shell's asset versions. Browsers compare a worker script byte for byte
+ * when they check for updates, so the first visit after a sync installs a
+ * new worker, and that worker deletes every cache the old one filled.
+ *
+ * @package    BRAGBookGallery
+ * @subpackage Includes\Resources
+ * @since      4.9.5
+ * @author     Candace Crowe Design <bragbook@candacecrowe.com>
+ * @copyright  Copyright (c) 2025, Candace Crowe Design LLC
+ * @license    GPL-2.0-or-later
+ */
+
+declare( strict_types=1 );
+
+namespace BRAGBookGallery\Includes\Resources;
+
+use BRAGBookGallery\Includes\Core\Settings_Helper;
+use BRAGBookGallery\Includes\Core\Setup;
+use BRAGBookGallery\Includes\REST\Gallery_Data;
+use BRAGBookGallery\Includes\REST\Share_Tracking;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Service Worker Class
+ *
+ * Serves the worker script and the offline page, and tells the front end
+ * where to register the worker. Nothing is served, and the front end takes
+ * an installed worker away again, while offline browsing is turned off.
+ *
+ * @since 4.9.5
+ */
+final class Service_Worker {
+
+	/**
+	 * Query var the worker script is served on
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const QUERY_VAR = 'brag_book_gallery_sw';
+
+	/**
+	 * Query var the offline page is served on
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const OFFLINE_QUERY_VAR = 'brag_book_gallery_offline';
+
+	/**
+	 * Serve the worker and the offline page, when offline browsing is on
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function register(): void {
+		if ( ! Settings_Helper::is_offline_browsing_enabled() ) {
+			return;
+		}
+
+		add_action( 'parse_request', [ self::class, 'maybe_serve' ] );
+	}
+
+	/**
+	 * Answer a request for the worker script or the offline page
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function maybe_serve(): void {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- public, read-only resource
+		if ( isset( $_GET[ self::QUERY_VAR ] ) ) {
+			self::serve_worker();
+			exit;
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- public, read-only resource
+		if ( isset( $_GET[ self::OFFLINE_QUERY_VAR ] ) ) {
+			self::serve_offline_page();
+			exit;
+		}
+	}
+
+	/**
+	 * Where the front end registers the worker
+	 *
+	 * With offline browsing off the URL is empty, which tells the front end
+	 * to unregister a worker an earlier visit installed.
+	 *
+	 * @since 4.9.5
+	 * @return array{url: string, scope: string}
+	 */
+	public static function get_client_config(): array {
+		return [
+			'url'   => Settings_Helper::is_offline_browsing_enabled() ? add_query_arg( self::QUERY_VAR, '1', home_url( '/' ) ) : '',
+			'scope' => self::get_scope(),
+		];
+	}
+
+	/**
+	 * The configuration printed in front of the worker script
+	 *
+	 * @since 4.9.5
+	 * @return array{version: string, precache: string[], dataRoute: string, assetPath: string, offlineUrl: string}
+	 */
+	public static function get_worker_config(): array {
+		$precache = [
+			home_url( self::get_scope() ),
+			self::get_offline_url(),
+			self::get_asset_url( 'assets/css/brag-book-gallery', '.css' ),
+			self::get_asset_url( 'assets/js/brag-book-gallery', '.js' ),
+			self::get_asset_url( 'assets/js/brag-book-gallery-offline', '.js' ),
+		];
+
+		return [
+			'version'    => self::get_version( $precache ),
+			'precache'   => $precache,
+			'dataRoute'  => '/' . Share_Tracking::REST_NAMESPACE . Gallery_Data::REST_BASE . '/',
+			'assetPath'  => (string) wp_parse_url( Setup::get_plugin_url() . 'assets/', PHP_URL_PATH ),
+			'offlineUrl' => self::get_offline_url(),
+		];
+	}
+
+	/**
+	 * The version the worker's caches are named by
+	 *
+	 * Changes with every sync and whenever a shell asset is rebuilt.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string[] $precache Shell URLs, asset versions included.
+	 *
+	 * @return string
+	 */
+	public static function get_version( array $precache ): string {
+		$version = substr( md5( Settings_Helper::get_sync_version() . '|' . implode( '|', $precache ) ), 0, 12 );
+
+		/**
+		 * Filters the service worker's cache version.
+		 *
+		 * Return a new value to have every visitor's worker drop its cached
+		 * gallery on their next visit, as a sync does.
+		 *
+		 * @since 4.9.5
+		 *
+		 * @param string $version Version made from the sync version and the shell assets.
+		 */
+		return (string) apply_filters( 'brag_book_gallery_service_worker_version', $version );
+	}
+
+	/**
+	 * The path the worker controls: the gallery page and everything under it
+	 *
+	 * @since 4.9.5
+	 * @return string
+	 */
+	public static function get_scope(): string {
+		return (string) wp_parse_url( home_url( '/' . self::get_gallery_slug() . '/' ), PHP_URL_PATH );
+	}
+
+	/**
+	 * @since 4.9.5
+	 * @return string
+	 */
+	public static function get_offline_url(): string {
+		return add_query_arg( self::OFFLINE_QUERY_VAR, '1', home_url( '/' ) );
+	}
+
+	/**
+	 * Print the worker script with its configuration in front
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	private static function serve_worker(): void {
+		$file = Setup::get_plugin_path() . 'assets/js/brag-book-gallery-service-worker' . Asset_Manager::get_asset_suffix() . '.js';
+
+		if ( ! is_readable( $file ) ) {
+			status_header( 404 );
+			return;
+		}
+
+		// Update checks must always see the current version
+		nocache_headers();
+		header( 'Content-Type: application/javascript; charset=utf-8' );
+		header( 'X-Robots-Tag: noindex' );
+
+		echo 'self.bragBookGalleryServiceWorker = ' . wp_json_encode( self::get_worker_config() ) . ";\n";
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_readfile -- built script, printed as is
+		readfile( $file );
+	}
+
+	/**
+	 * Print the page the worker shows for a gallery page it has not cached
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	private static function serve_offline_page(): void {
+		$stylesheet  = self::get_asset_url( 'assets/css/brag-book-gallery', '.css' );
+		$script      = self::get_asset_url( 'assets/js/brag-book-gallery-offline', '.js' );
+		$gallery_url = home_url( self::get_scope() );
+
+		header( 'Content-Type: text/html; charset=' . get_bloginfo( 'charset' ) );
+		header( 'X-Robots-Tag: noindex' );
+
+		include Setup::get_plugin_path() . 'templates/offline.php';
+	}
+
+	/**
+	 * An asset's URL with the version WordPress enqueues it with
+	 *
+	 * The worker caches by URL, so it must be the very URL the page asks for.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $path      Path within the plugin, without suffix or extension.
+	 * @param string $extension File extension, dot included.
+	 *
+	 * @return string
+	 */
+	private static function get_asset_url( string $path, string $extension ): string {
+		$file = $path . Asset_Manager::get_asset_suffix() . $extension;
+
+		return add_query_arg(
+			'ver',
+			Asset_Manager::get_asset_version( Setup::get_plugin_path() . $file ),
+			Setup::get_plugin_url() . $file
+		);
+	}
+
+	/**
+	 * Get the gallery page slug, handling the legacy array format
+	 *
+	 * @since 4.9.5
+	 * @return string
+	 */
+	private static function get_gallery_slug(): string {
+		$gallery_slug = get_option( 'brag_book_gallery_page_slug', 'gallery' );
+
+		if ( is_array( $gallery_slug ) ) {
+			$gallery_slug = $gallery_slug[0] ?? 'gallery';
+		}
+
+		return (string) ( $gallery_slug ?: 'gallery' );
+	}
+}
@@ -0,0 +1,257 @@
+<?php
+/**
+ * Analytics Events
+ *
+ * First-party sink for the gallery's analytics events: the browser batches
+ * the events its analytics bus emits (filter changes, searches, favorites,
+ * case opens and the rest, see src/js/modules/analytics.js) and posts them
+ * here, where each one is handed to the brag_book_gallery_analytics_event
+ * action. Nothing is stored by the plugin itself; a site forwards the events
+ * wherever it keeps its analytics.
+ *
+ * @package    BRAGBookGallery
+ * @subpackage Includes\REST
+ * @since      4.9.5
+ * @author     Candace Crowe Design <bragbook@candacecrowe.com>
+ * @copyright  Copyright (c) 2025, Candace Crowe Design LLC
+ * @license    GPL-2.0-or-later
+ */
+
+declare( strict_types=1 );
+
+namespace BRAGBookGallery\Includes\REST;
+
+use BRAGBookGallery\Includes\Core\Settings_Helper;
+use BRAGBookGallery\Includes\Core\Trait_Rate_Limit;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Analytics Events Class
+ *
+ * Like the share route, this takes no nonce so cached pages can report. Only
+ * known event names get through, event data is cut down to short scalar
+ * values, and each IP gets a limited number of batches an hour.
+ *
+ * @since 4.9.5
+ */
+final class Analytics_Events {
+	use Trait_Rate_Limit;
+
+	/**
+	 * REST route events are posted to
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const REST_ROUTE = '/events';
+
+	/**
+	 * Events the gallery emits
+	 *
+	 * @since 4.9.5
+	 * @var string[]
+	 */
+	public const EVENTS = [
+		'filter_change',
+		'search',
+		'search_select',
+		'favorite_add',
+		'favorite_remove',
+		'carousel_slide',
+		'case_open',
+		'load_more',
+		'consultation_submit',
+		'nudity_accept',
+		'share',
+	];
+
+	/**
+	 * Most events accepted in one batch
+	 *
+	 * Matches the batch size the browser sends.
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	public const MAX_BATCH = 20;
+
+	/**
+	 * Batches one IP may post per hour
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	private const BATCHES_PER_HOUR = 120;
+
+	/**
+	 * Longest string value kept in event data
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	private const MAX_VALUE_LENGTH = 200;
+
+	/**
+	 * Register the route
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function register(): void {
+		if ( ! Settings_Helper::get_analytics_adapters()['rest'] ) {
+			return;
+		}
+
+		add_action( 'rest_api_init', [ self::class, 'register_route' ] );
+	}
+
+	/**
+	 * Where the browser posts its events
+	 *
+	 * @since 4.9.5
+	 * @return string Endpoint URL, or an empty string when the sink is off.
+	 */
+	public static function get_endpoint(): string {
+		if ( ! Settings_Helper::get_analytics_adapters()['rest'] ) {
+			return '';
+		}
+
+		/**
+		 * Filters the URL gallery analytics events are posted to.
+		 *
+		 * Point it at your own collector to receive the batches directly; it
+		 * gets the same JSON body this site's route does.
+		 *
+		 * @since 4.9.5
+		 *
+		 * @param string $endpoint Endpoint URL.
+		 */
+		return (string) apply_filters(
+			'brag_book_gallery_analytics_endpoint',
+			rest_url( Share_Tracking::REST_NAMESPACE . self::REST_ROUTE )
+		);
+	}
+
+	/**
+	 * Register the events route
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function register_route(): void {
+		register_rest_route(
+			Share_Tracking::REST_NAMESPACE,
+			self::REST_ROUTE,
+			[
+				'methods'             => 'POST',
+				'callback'            => [ self::class, 'handle_events' ],
+				'permission_callback' => '__return_true',
+				'args'                => [
+					'events' => [
+						'required' => true,
+						'type'     => 'array',
+						'minItems' => 1,
+						'maxItems' => self::MAX_BATCH,
+						'items'    => [
+							'type'       => 'object',
+							'required'   => [ 'name' ],
+							'properties' => [
+								'name' => [
+									'type' => 'string',
+									'enum' => self::EVENTS,
+								],
+								'data' => [
+									'type' => 'object',
+								],
+								'page' => [
+									'type' => 'string',
+								],
+							],
+						],
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Hand a batch of events to the analytics action
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param WP_REST_Request $request Batch of events.
+	 *
+	 * @return WP_REST_Response|WP_Error How many events were accepted, or why the batch was refused.
+	 */
+	public static function handle_events( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		if ( ! self::within_rate_limit( 'analytics', self::BATCHES_PER_HOUR, HOUR_IN_SECONDS ) ) {
+			return new WP_Error( 'analytics_rate_limited', __( 'Too many requests. Please try again later.', 'brag-book-gallery' ), [ 'status' => 429 ] );
+		}
+
+		$events = (array) $request->get_param( 'events' );
+
+		foreach ( $events as $event ) {
+			$data = self::sanitize_data( (array) ( $event['data'] ?? [] ) );
+			$page = isset( $event['page'] ) ? esc_url_raw( (string) $event['page'] ) : '';
+
+			/**
+			 * Fires for each gallery analytics event the browser reports.
+			 *
+			 * @since 4.9.5
+			 *
+			 * @param string               $name Event name, one of Analytics_Events::EVENTS.
+			 * @param array<string, mixed> $data Event data, as sanitize_data() leaves it.
+			 * @param string               $page Path the event happened on.
+			 */
+			do_action( 'brag_book_gallery_analytics_event', (string) $event['name'], $data, $page );
+		}
+
+		return new WP_REST_Response( [ 'accepted' => count( $events ) ] );
+	}
+
+	/**
+	 * Reduce event data to short scalar values
+	 *
+	 * Keys are sanitized, strings trimmed to MAX_VALUE_LENGTH, and anything
+	 * nested deeper than the filter selection (lists keyed by filter type)
+	 * dropped.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array<mixed> $data  Event data as posted.
+	 * @param int          $depth How deep this call is.
+	 *
+	 * @return array<string, mixed>
+	 */
+	public static function sanitize_data( array $data, int $depth = 0 ): array {
+		$clean = [];
+
+		foreach ( $data as $key => $value ) {
+			$key = is_int( $key ) ? $key : sanitize_key( (string) $key );
+			if ( '' === $key ) {
+				continue;
+			}
+
+			if ( is_array( $value ) ) {
+				if ( $depth < 2 ) {
+					$clean[ $key ] = self::sanitize_data( $value, $depth + 1 );
+				}
+				continue;
+			}
+
+			if ( is_bool( $value ) || is_int( $value ) || is_float( $value ) ) {
+				$clean[ $key ] = $value;
+			} elseif ( is_string( $value ) ) {
+				$clean[ $key ] = mb_substr( sanitize_text_field( $value ), 0, self::MAX_VALUE_LENGTH );
+			}
+		}
+
+		return $clean;
+	}
+}
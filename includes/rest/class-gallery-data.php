@@ -0,0 +1,395 @@
+<?php
+/**
+ * Gallery Data
+ *
+ * Read-only REST routes for what the gallery loads after the page: further
+ * pages of case cards and the filter options, a case's detail HTML, and the
+ * cases either side of one. The same data is available from admin-ajax, but
+ * only as POSTs, which no page cache or CDN keeps, so every Load More and
+ * case open ran PHP. These are GETs that take no nonce and answer the same
+ * URL with the same body, so a cache in front of the site can serve them.
+ *
+ * Every response carries an ETag made from its body and the time of the last
+ * sync as Last-Modified, and a request whose If-None-Match still matches is
+ * answered with a bodiless 304. The front end adds the sync version to each
+ * URL as `v`, so after a sync it asks for URLs nothing has cached yet.
+ *
+ * @package    BRAGBookGallery
+ * @subpackage Includes\REST
+ * @since      4.9.5
+ * @author     Candace Crowe Design <bragbook@candacecrowe.com>
+ * @copyright  Copyright (c) 2025, Candace Crowe Design LLC
+ * @license    GPL-2.0-or-later
+ */
+
+declare( strict_types=1 );
+
+namespace BRAGBookGallery\Includes\REST;
+
+use BRAGBookGallery\Includes\Core\Settings_Helper;
+use BRAGBookGallery\Includes\Core\Setup;
+use BRAGBookGallery\Includes\Shortcodes\Case_Handler;
+use BRAGBookGallery\Includes\Shortcodes\Cases_Handler;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Gallery Data Class
+ *
+ * The routes only read published cases, which anyone may see, so they are
+ * public like the pages that show them. Nothing in a response depends on the
+ * visitor: case views are tracked by the browser once the HTML is in, never
+ * here, or a cached response would count one view for many.
+ *
+ * @since 4.9.5
+ */
+final class Gallery_Data {
+
+	/**
+	 * REST route the gallery data routes sit under
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const REST_BASE = '/gallery';
+
+	/**
+	 * Cache-Control sent with every response
+	 *
+	 * Browsers and shared caches may serve a response for five minutes
+	 * without asking again, and revalidate it with its ETag after that.
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	private const CACHE_CONTROL = 'public, max-age=300';
+
+	/**
+	 * Register the routes
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function register(): void {
+		add_action( 'rest_api_init', [ self::class, 'register_routes' ] );
+	}
+
+	/**
+	 * Where the front end sends its gallery data requests
+	 *
+	 * @since 4.9.5
+	 * @return string
+	 */
+	public static function get_base_url(): string {
+		return rest_url( Share_Tracking::REST_NAMESPACE . self::REST_BASE );
+	}
+
+	/**
+	 * Whether a REST route is one of the gallery data routes
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $route Request route.
+	 *
+	 * @return bool
+	 */
+	public static function is_gallery_data_route( string $route ): bool {
+		return str_starts_with( '/' . ltrim( $route, '/' ), '/' . Share_Tracking::REST_NAMESPACE . self::REST_BASE . '/' );
+	}
+
+	/**
+	 * Register the cases, case and adjacent cases routes
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function register_routes(): void {
+		register_rest_route(
+			Share_Tracking::REST_NAMESPACE,
+			self::REST_BASE . '/cases',
+			[
+				'methods'             => 'GET',
+				'callback'            => [ self::class, 'get_cases' ],
+				'permission_callback' => '__return_true',
+				'args'                => [
+					'start_page'     => [
+						'type'    => 'integer',
+						'minimum' => 1,
+						'default' => 2,
+					],
+					'facets'         => [
+						'type'    => 'boolean',
+						'default' => false,
+					],
+					'facets_only'    => [
+						'type'    => 'boolean',
+						'default' => false,
+					],
+					'term_id'        => [
+						'type'    => 'integer',
+						'minimum' => 0,
+					],
+					'procedure_name' => [
+						'type' => 'string',
+					],
+					'provider_id'    => [
+						'type'    => 'integer',
+						'minimum' => 0,
+					],
+					'provider_slug'  => [
+						'type' => 'string',
+					],
+					'lat'            => [
+						'type' => 'number',
+					],
+					'lng'            => [
+						'type' => 'number',
+					],
+					'random_seed'    => [
+						'type'    => 'integer',
+						'minimum' => 0,
+					],
+					'filters'        => [
+						'type' => 'string',
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			Share_Tracking::REST_NAMESPACE,
+			self::REST_BASE . '/cases/(?P<id>\d+)',
+			[
+				'methods'             => 'GET',
+				'callback'            => [ self::class, 'get_case' ],
+				'permission_callback' => '__return_true',
+				'args'                => [
+					'procedure_name' => [
+						'type'              => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'image_display'  => [
+						'type'              => 'string',
+						'sanitize_callback' => 'sanitize_key',
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			Share_Tracking::REST_NAMESPACE,
+			self::REST_BASE . '/cases/(?P<id>\d+)/adjacent',
+			[
+				'methods'             => 'GET',
+				'callback'            => [ self::class, 'get_adjacent' ],
+				'permission_callback' => '__return_true',
+				'args'                => [
+					'procedure_slug' => [
+						'type'              => 'string',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'term_id'        => [
+						'type'    => 'integer',
+						'minimum' => 0,
+					],
+					'provider_slug'  => [
+						'type'              => 'string',
+						'sanitize_callback' => 'sanitize_title',
+					],
+					'provider_id'    => [
+						'type'    => 'integer',
+						'minimum' => 0,
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * A page of case cards for a view, or its filter options
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param WP_REST_Request $request View context, as the Load More button carries it.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function get_cases( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		try {
+			$data = Cases_Handler::get_cases_page(
+				Cases_Handler::build_context( $request->get_params() ),
+				(int) $request->get_param( 'start_page' ),
+				(bool) $request->get_param( 'facets_only' )
+			);
+		} catch ( \Exception $e ) {
+			brag_book_log( 'BRAG book Gallery Load More Error: ' . $e->getMessage() );
+
+			return new WP_Error( 'cases_unavailable', 'Failed to load more cases', [ 'status' => 500 ] );
+		}
+
+		return self::cacheable( $request, $data );
+	}
+
+	/**
+	 * A case's detail HTML
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param WP_REST_Request $request Case post ID, with the procedure and image display it is shown in.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function get_case( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$case_handler = Setup::get_instance()->get_service( 'case_handler' );
+
+		if ( ! $case_handler instanceof Case_Handler ) {
+			return new WP_Error( 'case_unavailable', __( 'Case not found or unable to generate content.', 'brag-book-gallery' ), [ 'status' => 500 ] );
+		}
+
+		$data = $case_handler->get_case_details(
+			(string) absint( $request->get_param( 'id' ) ),
+			(string) $request->get_param( 'procedure_name' ),
+			(string) $request->get_param( 'image_display' )
+		);
+
+		if ( null === $data ) {
+			return new WP_Error( 'case_not_found', __( 'Case not found or unable to generate content.', 'brag-book-gallery' ), [ 'status' => 404 ] );
+		}
+
+		return self::cacheable( $request, $data );
+	}
+
+	/**
+	 * The next and previous case URLs around a case
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param WP_REST_Request $request Case post ID, with the procedure or provider view it is browsed in.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function get_adjacent( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$adjacent = Cases_Handler::get_adjacent_cases(
+			absint( $request->get_param( 'id' ) ),
+			(string) $request->get_param( 'procedure_slug' ),
+			absint( $request->get_param( 'term_id' ) ),
+			(string) $request->get_param( 'provider_slug' ),
+			absint( $request->get_param( 'provider_id' ) )
+		);
+
+		if ( is_wp_error( $adjacent ) ) {
+			return $adjacent;
+		}
+
+		return self::cacheable( $request, $adjacent );
+	}
+
+	/**
+	 * Wrap response data with its validators and caching headers
+	 *
+	 * Only If-None-Match is answered with a 304. Display settings can change
+	 * the HTML between syncs, so the sync time alone cannot say a copy is
+	 * current; the ETag, made from the body itself, can.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param WP_REST_Request      $request The request being answered.
+	 * @param array<string, mixed> $data    Response data.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public static function cacheable( WP_REST_Request $request, array $data ): WP_REST_Response {
+		$etag     = self::get_etag( $data );
+		$response = new WP_REST_Response( $data );
+
+		if ( self::etag_matches( $etag, (string) $request->get_header( 'if_none_match' ) ) ) {
+			$response->set_data( null );
+			$response->set_status( 304 );
+		}
+
+		$response->header( 'ETag', $etag );
+
+		$last_modified = self::get_last_modified();
+		if ( null !== $last_modified ) {
+			$response->header( 'Last-Modified', gmdate( 'D, d M Y H:i:s', $last_modified ) . ' GMT' );
+		}
+
+		/**
+		 * Filters the Cache-Control header of the gallery data routes.
+		 *
+		 * Lengthen it to let a CDN keep the responses longer; the front end
+		 * asks for new URLs after every sync either way. Return 'no-store' to
+		 * keep them out of every cache.
+		 *
+		 * @since 4.9.5
+		 *
+		 * @param string          $cache_control Cache-Control header value.
+		 * @param WP_REST_Request $request       The request being answered.
+		 */
+		$response->header( 'Cache-Control', (string) apply_filters( 'brag_book_gallery_rest_cache_control', self::CACHE_CONTROL, $request ) );
+
+		return $response;
+	}
+
+	/**
+	 * A strong ETag for response data
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array<string, mixed> $data Response data.
+	 *
+	 * @return string Quoted ETag.
+	 */
+	public static function get_etag( array $data ): string {
+		return '"' . md5( Settings_Helper::get_sync_version() . '|' . wp_json_encode( $data ) ) . '"';
+	}
+
+	/**
+	 * Whether an If-None-Match header names an ETag
+	 *
+	 * Servers that compress responses often weaken the ETag they send, so a
+	 * weak copy of ours matches too.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $etag          Quoted ETag of the response.
+	 * @param string $if_none_match If-None-Match request header.
+	 *
+	 * @return bool
+	 */
+	public static function etag_matches( string $etag, string $if_none_match ): bool {
+		foreach ( explode( ',', $if_none_match ) as $candidate ) {
+			$candidate = trim( $candidate );
+
+			if ( '*' === $candidate || $etag === preg_replace( '/^W\//', '', $candidate ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * When the gallery data last changed: the end of the last sync
+	 *
+	 * @since 4.9.5
+	 * @return int|null Unix timestamp, or null before the first sync.
+	 */
+	public static function get_last_modified(): ?int {
+		$last_sync = (string) get_option( 'brag_book_gallery_last_sync_time', '' );
+
+		if ( '' === $last_sync ) {
+			return null;
+		}
+
+		// Syncs record the site's local time
+		$timestamp = (int) get_gmt_from_date( $last_sync, 'U' );
+
+		return $timestamp > 0 ? $timestamp : null;
+	}
+}
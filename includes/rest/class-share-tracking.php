@@ -0,0 +1,268 @@
+<?php
+/**
+ * Share Tracking
+ *
+ * Site-side counterpart to the share menu: a public REST route the browser
+ * reports each share to, and a Shares column on the Cases screen that totals
+ * them per channel. It sits alongside the brag_book_track_view view tracking,
+ * but keeps its counts on the site rather than sending them to the BRAGBook API.
+ *
+ * @package    BRAGBookGallery
+ * @subpackage Includes\REST
+ * @since      4.9.5
+ * @author     Candace Crowe Design <bragbook@candacecrowe.com>
+ * @copyright  Copyright (c) 2025, Candace Crowe Design LLC
+ * @license    GPL-2.0-or-later
+ */
+
+declare( strict_types=1 );
+
+namespace BRAGBookGallery\Includes\REST;
+
+use BRAGBookGallery\Includes\Core\Settings_Helper;
+use BRAGBookGallery\Includes\Core\Trait_Rate_Limit;
+use BRAGBookGallery\Includes\Extend\Post_Types;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Share Tracking Class
+ *
+ * Only a case, a photo index and a channel are recorded: nothing about the
+ * visitor is kept. The route takes no nonce, so cached pages can report too;
+ * the per-IP limit and the check that the case exists keep it from being
+ * used to fill the database.
+ *
+ * @since 4.9.5
+ */
+final class Share_Tracking {
+	use Trait_Rate_Limit;
+
+	/**
+	 * REST namespace
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const REST_NAMESPACE = 'brag-book-gallery/v1';
+
+	/**
+	 * REST route shares are posted to
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const REST_ROUTE = '/share';
+
+	/**
+	 * Post meta holding a case's share counts, keyed by channel
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const META_KEY = 'brag_book_gallery_share_counts';
+
+	/**
+	 * Channels the share menu offers
+	 *
+	 * @since 4.9.5
+	 * @var string[]
+	 */
+	public const CHANNELS = [ 'link', 'email', 'facebook', 'twitter', 'pinterest', 'whatsapp', 'native' ];
+
+	/**
+	 * Shares one IP may report per hour
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	private const SHARES_PER_HOUR = 60;
+
+	/**
+	 * Register the route and the Cases screen column
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function register(): void {
+		if ( ! Settings_Helper::should_record_shares() ) {
+			return;
+		}
+
+		add_action( 'rest_api_init', [ self::class, 'register_route' ] );
+		add_filter( 'manage_' . Post_Types::POST_TYPE_CASES . '_posts_columns', [ self::class, 'add_column' ] );
+		add_action( 'manage_' . Post_Types::POST_TYPE_CASES . '_posts_custom_column', [ self::class, 'render_column' ], 10, 2 );
+	}
+
+	/**
+	 * Register the share route
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function register_route(): void {
+		register_rest_route(
+			self::REST_NAMESPACE,
+			self::REST_ROUTE,
+			[
+				'methods'             => 'POST',
+				'callback'            => [ self::class, 'handle_share' ],
+				'permission_callback' => '__return_true',
+				'args'                => [
+					'post_id' => [
+						'required'          => true,
+						'type'              => 'integer',
+						'minimum'           => 1,
+						'sanitize_callback' => 'absint',
+					],
+					'channel' => [
+						'required' => true,
+						'type'     => 'string',
+						'enum'     => self::CHANNELS,
+					],
+					'photo'   => [
+						'required'          => false,
+						'type'              => 'integer',
+						'minimum'           => 0,
+						'default'           => 0,
+						'sanitize_callback' => 'absint',
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Record one share
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param WP_REST_Request $request Share details.
+	 *
+	 * @return WP_REST_Response|WP_Error Updated count, or why it was refused.
+	 */
+	public static function handle_share( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$post_id = (int) $request->get_param( 'post_id' );
+		$channel = (string) $request->get_param( 'channel' );
+		$photo   = (int) $request->get_param( 'photo' );
+
+		if ( Post_Types::POST_TYPE_CASES !== get_post_type( $post_id ) || 'publish' !== get_post_status( $post_id ) ) {
+			return new WP_Error( 'share_unknown_case', __( 'Case not found.', 'brag-book-gallery' ), [ 'status' => 404 ] );
+		}
+
+		if ( ! self::within_rate_limit( 'share', self::SHARES_PER_HOUR, HOUR_IN_SECONDS ) ) {
+			return new WP_Error( 'share_rate_limited', __( 'Too many requests. Please try again later.', 'brag-book-gallery' ), [ 'status' => 429 ] );
+		}
+
+		$count = self::record( $post_id, $channel );
+
+		/**
+		 * Fires after a share of a case has been counted.
+		 *
+		 * @since 4.9.5
+		 *
+		 * @param int    $post_id Case post ID.
+		 * @param string $channel Channel shared through, one of Share_Tracking::CHANNELS.
+		 * @param int    $photo   Zero-based photo that was shared.
+		 */
+		do_action( 'brag_book_gallery_case_shared', $post_id, $channel, $photo );
+
+		return new WP_REST_Response( [ 'count' => $count ] );
+	}
+
+	/**
+	 * Add one share to a case's count for a channel
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int    $post_id Case post ID.
+	 * @param string $channel Channel shared through.
+	 *
+	 * @return int The channel's new count.
+	 */
+	public static function record( int $post_id, string $channel ): int {
+		$counts = self::get_counts( $post_id );
+
+		$counts[ $channel ] = ( $counts[ $channel ] ?? 0 ) + 1;
+		update_post_meta( $post_id, self::META_KEY, $counts );
+
+		return $counts[ $channel ];
+	}
+
+	/**
+	 * A case's share counts
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int $post_id Case post ID.
+	 *
+	 * @return array<string, int> Counts keyed by channel; channels never shared through are left out.
+	 */
+	public static function get_counts( int $post_id ): array {
+		$counts = get_post_meta( $post_id, self::META_KEY, true );
+
+		return is_array( $counts ) ? array_map( 'intval', $counts ) : [];
+	}
+
+	/**
+	 * Add the Shares column to the Cases screen
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array<string, string> $columns Column labels keyed by ID.
+	 *
+	 * @return array<string, string>
+	 */
+	public static function add_column( array $columns ): array {
+		$date = $columns['date'] ?? null;
+		unset( $columns['date'] );
+
+		$columns['brag_book_shares'] = __( 'Shares', 'brag-book-gallery' );
+
+		if ( null !== $date ) {
+			$columns['date'] = $date;
+		}
+
+		return $columns;
+	}
+
+	/**
+	 * Render a case's total shares, with the split by channel on hover
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $column  Column being rendered.
+	 * @param int    $post_id Case post ID.
+	 *
+	 * @return void
+	 */
+	public static function render_column( string $column, int $post_id ): void {
+		if ( 'brag_book_shares' !== $column ) {
+			return;
+		}
+
+		$counts = self::get_counts( $post_id );
+		if ( empty( $counts ) ) {
+			echo '&mdash;';
+			return;
+		}
+
+		arsort( $counts );
+
+		$breakdown = [];
+		foreach ( $counts as $channel => $count ) {
+			$breakdown[] = $channel . ': ' . $count;
+		}
+
+		printf(
+			'<span title="%1$s">%2$s</span>',
+			esc_attr( implode( ', ', $breakdown ) ),
+			esc_html( number_format_i18n( array_sum( $counts ) ) )
+		);
+	}
+}
@@ -990,6 +990,15 @@ final class SEO_Manager {
 		$og_description = $this->sanitize_meta_content( $this->seo_data['description'], 'description' );
 		$og_url = $this->sanitize_meta_content( $this->seo_data['canonical_url'], 'url' );
 
+		/**
+		 * Filters the og:url printed on gallery pages when no SEO plugin is active.
+		 *
+		 * @since 4.9.5
+		 *
+		 * @param string $og_url Canonical URL of the gallery page.
+		 */
+		$og_url = (string) apply_filters( 'brag_book_gallery_og_url', $og_url );
+
 		echo '<meta property="og:title" content="' . esc_attr( $og_title ) . '">' . "\n";
 		echo '<meta property="og:description" content="' . esc_attr( $og_description ) . '">' . "\n";
 		echo '<meta property="og:url" content="' . esc_url( $og_url ) . '">' . "\n";
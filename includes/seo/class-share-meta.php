@@ -0,0 +1,378 @@
+<?php
+/**
+ * Share Meta
+ *
+ * Open Graph and Twitter card tags for shared case links, so a link to one
+ * photo of a case previews that photo rather than the case's first image or
+ * the site default.
+ *
+ * A shared link is the case URL, plus ?bb_photo=N for any photo but the first
+ * (see HTML_Renderer::get_share_url()). Pages that show a case without being
+ * its own, such as the gallery page in Default mode, are shared with
+ * ?bb_case=<procedure case ID> as well.
+ *
+ * Photos of cases that need a nudity warning are never handed to a crawler as
+ * they are: the preview is a heavily blurred copy, generated once and kept in
+ * the uploads folder, or whatever the brag_book_gallery_share_safe_image filter
+ * supplies instead.
+ *
+ * When a supported SEO plugin (Yoast, RankMath, AIOSEO) is active, its own
+ * image and URL tags are filtered; otherwise the tags are printed on wp_head.
+ *
+ * @package    BRAGBookGallery
+ * @subpackage Includes\SEO
+ * @since      4.9.5
+ */
+
+declare( strict_types=1 );
+
+namespace BRAGBookGallery\Includes\SEO;
+
+use BRAGBookGallery\Includes\Core\Settings_Helper;
+use BRAGBookGallery\Includes\Extend\Post_Types;
+use BRAGBookGallery\Includes\Shortcodes\HTML_Renderer;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Share_Meta class
+ *
+ * @since 4.9.5
+ */
+final class Share_Meta {
+
+	/**
+	 * Size of generated preview images, the Open Graph recommendation.
+	 */
+	private const IMAGE_WIDTH  = 1200;
+	private const IMAGE_HEIGHT = 630;
+
+	/**
+	 * Uploads subfolder the blurred previews are kept in.
+	 */
+	private const SAFE_IMAGE_DIR = 'brag-book-gallery-share';
+
+	/**
+	 * Memoised share target for the current request; false until resolved.
+	 *
+	 * @var array{post_id: int, url: string, image: string}|null|false
+	 */
+	private array|null|false $target = false;
+
+	/**
+	 * Constructor — register on plugins_loaded so SEO plugin detection is reliable.
+	 *
+	 * @since 4.9.5
+	 */
+	public function __construct() {
+		add_action( 'plugins_loaded', [ $this, 'register' ], 25 );
+	}
+
+	/**
+	 * Register the tag filters for the active integration.
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public function register(): void {
+		if ( is_admin() || ! Settings_Helper::is_sharing_enabled() ) {
+			return;
+		}
+
+		switch ( Medical_Schema::detect_active_seo_plugin() ) {
+			case 'yoast':
+				add_filter( 'wpseo_opengraph_image', [ $this, 'filter_image' ], 20 );
+				add_filter( 'wpseo_twitter_image', [ $this, 'filter_image' ], 20 );
+				add_filter( 'wpseo_opengraph_url', [ $this, 'filter_url' ], 20 );
+				break;
+			case 'rankmath':
+				add_filter( 'rank_math/opengraph/facebook/image', [ $this, 'filter_image' ], 20 );
+				add_filter( 'rank_math/opengraph/twitter/image', [ $this, 'filter_image' ], 20 );
+				add_filter( 'rank_math/opengraph/url', [ $this, 'filter_url' ], 20 );
+				break;
+			case 'aioseo':
+				add_filter( 'aioseo_facebook_tags', [ $this, 'filter_aioseo_facebook_tags' ], 20 );
+				add_filter( 'aioseo_twitter_tags', [ $this, 'filter_aioseo_twitter_tags' ], 20 );
+				break;
+			default:
+				add_filter( 'brag_book_gallery_og_url', [ $this, 'filter_url' ] );
+				add_action( 'wp_head', [ $this, 'print_tags' ], 2 );
+		}
+	}
+
+	/**
+	 * Swap the SEO plugin's image for the shared photo.
+	 *
+	 * A case that needs a warning and has no safe image left to show gets an
+	 * empty image rather than the plugin's, which may be the photo itself.
+	 *
+	 * @since 4.9.5
+	 * @param mixed $image Image URL from the SEO plugin.
+	 * @return mixed
+	 */
+	public function filter_image( $image ) {
+		$target = $this->get_target();
+		if ( null === $target ) {
+			return $image;
+		}
+
+		return $target['image'];
+	}
+
+	/**
+	 * Point the SEO plugin's og:url at the shared photo.
+	 *
+	 * Facebook scrapes og:url again, so without the photo in it the preview
+	 * falls back to the case's first photo.
+	 *
+	 * @since 4.9.5
+	 * @param mixed $url URL from the SEO plugin.
+	 * @return mixed
+	 */
+	public function filter_url( $url ) {
+		$target = $this->get_target();
+
+		return null === $target ? $url : $target['url'];
+	}
+
+	/**
+	 * Replace the image and URL in AIOSEO's Facebook tags.
+	 *
+	 * @since 4.9.5
+	 * @param mixed $tags Tags keyed by property.
+	 * @return mixed
+	 */
+	public function filter_aioseo_facebook_tags( $tags ) {
+		$target = $this->get_target();
+		if ( null === $target || ! is_array( $tags ) ) {
+			return $tags;
+		}
+
+		$tags['og:url']   = $target['url'];
+		$tags['og:image'] = $target['image'];
+		unset( $tags['og:image:secure_url'], $tags['og:image:width'], $tags['og:image:height'] );
+
+		return $tags;
+	}
+
+	/**
+	 * Replace the image in AIOSEO's Twitter tags.
+	 *
+	 * @since 4.9.5
+	 * @param mixed $tags Tags keyed by name.
+	 * @return mixed
+	 */
+	public function filter_aioseo_twitter_tags( $tags ) {
+		$target = $this->get_target();
+		if ( null === $target || ! is_array( $tags ) ) {
+			return $tags;
+		}
+
+		$tags['twitter:image'] = $target['image'];
+
+		return $tags;
+	}
+
+	/**
+	 * Print the tags (no SEO plugin active).
+	 *
+	 * Gallery pages already get og:title and og:url from SEO_Manager, which
+	 * runs first; a case page gets them here.
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public function print_tags(): void {
+		$target = $this->get_target();
+		if ( null === $target ) {
+			return;
+		}
+
+		if ( is_singular( Post_Types::POST_TYPE_CASES ) ) {
+			printf( '<meta property="og:title" content="%s">' . "\n", esc_attr( get_the_title( $target['post_id'] ) ) );
+			printf( '<meta property="og:url" content="%s">' . "\n", esc_url( $target['url'] ) );
+			echo '<meta property="og:type" content="article">' . "\n";
+		}
+
+		if ( '' === $target['image'] ) {
+			return;
+		}
+
+		printf( '<meta property="og:image" content="%s">' . "\n", esc_url( $target['image'] ) );
+		echo '<meta name="twitter:card" content="summary_large_image">' . "\n";
+		printf( '<meta name="twitter:image" content="%s">' . "\n", esc_url( $target['image'] ) );
+	}
+
+	/**
+	 * The image a share of one photo of a case previews with.
+	 *
+	 * @since 4.9.5
+	 * @param int $post_id     Case post ID.
+	 * @param int $photo_index Zero-based photo; clamped to the case's photos.
+	 * @return string Image URL, or an empty string when there is nothing safe to show.
+	 */
+	public static function get_share_image( int $post_id, int $photo_index = 0 ): string {
+		$photos = HTML_Renderer::get_lightbox_photos( $post_id );
+		if ( empty( $photos ) ) {
+			return '';
+		}
+
+		$photo = $photos[ max( 0, min( $photo_index, count( $photos ) - 1 ) ) ]['src'];
+
+		return HTML_Renderer::should_warn( $post_id ) ? self::get_safe_image( $photo, $post_id ) : $photo;
+	}
+
+	/**
+	 * A preview of a photo that is safe to show without a warning.
+	 *
+	 * @since 4.9.5
+	 * @param string $image_url Photo URL.
+	 * @param int    $post_id   Case post ID.
+	 * @return string Image URL, or an empty string when none could be made.
+	 */
+	public static function get_safe_image( string $image_url, int $post_id ): string {
+		/**
+		 * Filters the preview image used when sharing a photo that needs a
+		 * nudity warning. Return a URL to skip generating the blurred copy.
+		 *
+		 * @since 4.9.5
+		 *
+		 * @param string $safe_url  Preview URL; empty to generate one.
+		 * @param string $image_url Photo being shared.
+		 * @param int    $post_id   Case post ID.
+		 */
+		$safe_url = (string) apply_filters( 'brag_book_gallery_share_safe_image', '', $image_url, $post_id );
+		if ( '' !== $safe_url ) {
+			return $safe_url;
+		}
+
+		$uploads = wp_get_upload_dir();
+		if ( ! empty( $uploads['error'] ) ) {
+			return (string) get_site_icon_url( 512 );
+		}
+
+		$file = self::SAFE_IMAGE_DIR . '/' . md5( $image_url ) . '.jpg';
+		$path = trailingslashit( $uploads['basedir'] ) . $file;
+
+		if ( ! file_exists( $path ) && ! self::create_safe_image( $image_url, $path ) ) {
+			return (string) get_site_icon_url( 512 );
+		}
+
+		return trailingslashit( $uploads['baseurl'] ) . $file;
+	}
+
+	/**
+	 * Write a cropped, heavily blurred copy of a photo.
+	 *
+	 * WP_Image_Editor has no blur, so this uses GD directly. Shrinking the
+	 * crop to a few pixels first is what makes it safe; the Gaussian passes
+	 * only smooth out the blocks.
+	 *
+	 * @since 4.9.5
+	 * @param string $image_url Photo URL.
+	 * @param string $path      File to write.
+	 * @return bool Whether the file was written.
+	 */
+	private static function create_safe_image( string $image_url, string $path ): bool {
+		if ( ! function_exists( 'imagecreatefromstring' ) || ! wp_mkdir_p( dirname( $path ) ) ) {
+			return false;
+		}
+
+		$response = wp_safe_remote_get( $image_url, [ 'timeout' => 10 ] );
+		if ( is_wp_error( $response ) || 200 !== wp_remote_retrieve_response_code( $response ) ) {
+			return false;
+		}
+
+		$source = @imagecreatefromstring( wp_remote_retrieve_body( $response ) ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged -- Unreadable images return false.
+		if ( false === $source ) {
+			return false;
+		}
+
+		// Centre crop to the preview's aspect ratio.
+		$width  = imagesx( $source );
+		$height = imagesy( $source );
+		$ratio  = self::IMAGE_WIDTH / self::IMAGE_HEIGHT;
+		$crop_w = $width / $height > $ratio ? (int) round( $height * $ratio ) : $width;
+		$crop_h = $width / $height > $ratio ? $height : (int) round( $width / $ratio );
+
+		$small = imagecreatetruecolor( 24, 13 );
+		imagecopyresampled( $small, $source, 0, 0, (int) ( ( $width - $crop_w ) / 2 ), (int) ( ( $height - $crop_h ) / 2 ), 24, 13, $crop_w, $crop_h );
+
+		$preview = imagecreatetruecolor( self::IMAGE_WIDTH, self::IMAGE_HEIGHT );
+		imagecopyresampled( $preview, $small, 0, 0, 0, 0, self::IMAGE_WIDTH, self::IMAGE_HEIGHT, 24, 13 );
+
+		for ( $pass = 0; $pass < 8; $pass++ ) {
+			imagefilter( $preview, IMG_FILTER_GAUSSIAN_BLUR );
+		}
+
+		return imagejpeg( $preview, $path, 80 );
+	}
+
+	/**
+	 * Resolve (and memoise) the shared case and photo for the current request.
+	 *
+	 * @since 4.9.5
+	 * @return array{post_id: int, url: string, image: string}|null Null when nothing is shared here.
+	 */
+	private function get_target(): ?array {
+		if ( false !== $this->target ) {
+			return $this->target;
+		}
+
+		$this->target = null;
+
+		$post_id = is_singular( Post_Types::POST_TYPE_CASES ) ? (int) get_queried_object_id() : $this->find_shared_case();
+		if ( $post_id <= 0 ) {
+			return null;
+		}
+
+		$photos = HTML_Renderer::get_lightbox_photos( $post_id );
+		if ( empty( $photos ) ) {
+			return null;
+		}
+
+		$index = min( HTML_Renderer::get_shared_photo_index(), count( $photos ) - 1 );
+
+		$this->target = [
+			'post_id' => $post_id,
+			'url'     => HTML_Renderer::get_share_url( (string) get_permalink( $post_id ), $index ),
+			'image'   => self::get_share_image( $post_id, $index ),
+		];
+
+		return $this->target;
+	}
+
+	/**
+	 * Find the case a ?bb_case= link names.
+	 *
+	 * @since 4.9.5
+	 * @return int Case post ID, or 0 when none is named or found.
+	 */
+	private function find_shared_case(): int {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only display parameter.
+		$case_id = isset( $_GET[ HTML_Renderer::SHARE_CASE_PARAM ] ) ? absint( $_GET[ HTML_Renderer::SHARE_CASE_PARAM ] ) : 0;
+		if ( $case_id <= 0 ) {
+			return 0;
+		}
+
+		foreach ( [ 'brag_book_gallery_procedure_case_id', 'brag_book_gallery_case_id' ] as $meta_key ) {
+			$posts = get_posts(
+				[
+					'post_type'      => Post_Types::POST_TYPE_CASES,
+					'post_status'    => 'publish',
+					'posts_per_page' => 1,
+					'fields'         => 'ids',
+					'meta_key'       => $meta_key,
+					'meta_value'     => $case_id,
+				]
+			);
+			if ( ! empty( $posts ) ) {
+				return (int) $posts[0];
+			}
+		}
+
+		return 0;
+	}
+}
@@ -97,6 +97,24 @@ final class Carousel_Handler {
 	 */
 	private const DEFAULT_START_INDEX = 1;
 
+	/**
+	 * Milliseconds an autoplaying carousel shows each slide
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	private const DEFAULT_AUTOPLAY_DELAY = 5000;
+
+	/**
+	 * Shortest autoplay delay accepted, in milliseconds
+	 *
+	 * Faster than this a slide is gone before it can be looked at.
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	private const MIN_AUTOPLAY_DELAY = 2000;
+
 	/**
 	 * Object cache group identifier for carousel data
 	 *
@@ -181,9 +199,12 @@ final class Carousel_Handler {
 				'show_controls'       => 'true',
 				'show_pagination'     => 'true',
 				'auto_play'           => 'false',
+				'autoplay'            => '',
+				'autoplay_delay'      => self::DEFAULT_AUTOPLAY_DELAY,
 				'class'               => '',
 				'nudity'              => 'false',
-				'title'               => ''
+				'title'               => '',
+				'image_display'       => '',
 			),
 			$atts,
 			'brag_book_carousel'
@@ -212,8 +233,14 @@ final class Carousel_Handler {
 		// Localize script data for JavaScript functionality.
 		Asset_Manager::localize_carousel_script();
 
-		// Generate and return carousel HTML.
-		$output = self::render_html( $carousel_data, $config );
+		// Generate and return carousel HTML. The slides read the display mode
+		// through HTML_Renderer, so it is only set for this carousel's render.
+		HTML_Renderer::set_image_display_override( (string) $atts['image_display'] );
+		try {
+			$output = self::render_html( $carousel_data, $config );
+		} finally {
+			HTML_Renderer::set_image_display_override( '' );
+		}
 		return $output;
 	}
 
@@ -360,7 +387,9 @@ final class Carousel_Handler {
 				'provider_id'         => $provider_id,
 				'show_controls'       => filter_var( $atts['show_controls'] ?? true, FILTER_VALIDATE_BOOLEAN ),
 				'show_pagination'     => filter_var( $atts['show_pagination'] ?? true, FILTER_VALIDATE_BOOLEAN ),
-				'auto_play'           => filter_var( $atts['auto_play'] ?? false, FILTER_VALIDATE_BOOLEAN ),
+				// autoplay is the name the help page has always documented.
+				'auto_play'           => filter_var( '' !== ( $atts['autoplay'] ?? '' ) ? $atts['autoplay'] : ( $atts['auto_play'] ?? false ), FILTER_VALIDATE_BOOLEAN ),
+				'autoplay_delay'      => max( self::MIN_AUTOPLAY_DELAY, absint( $atts['autoplay_delay'] ?? self::DEFAULT_AUTOPLAY_DELAY ) ),
 				'class'               => sanitize_html_class( (string) $atts['class'] ),
 				'nudity'              => $nudity,
 				'title'               => sanitize_text_field( (string) ( $atts['title'] ?? '' ) ),
@@ -510,6 +539,10 @@ final class Carousel_Handler {
 		?>
 		<div class="<?php echo esc_attr( $css_class ); ?>"
 			 data-carousel="<?php echo esc_attr( $carousel_id ); ?>"
+			 <?php if ( $config['auto_play'] ) : ?>
+			 data-carousel-autoplay="true"
+			 data-carousel-interval="<?php echo esc_attr( (string) $config['autoplay_delay'] ); ?>"
+			 <?php endif; ?>
 			 <?php if ( ! empty( $config['procedure_slug'] ) ) : ?>
 			 data-procedure="<?php echo esc_attr( $config['procedure_slug'] ); ?>"
 			 <?php
@@ -1306,6 +1339,8 @@ final class Carousel_Handler {
 			$photo_data['has_nudity']
 		);
 
+		$needs_warning = HTML_Renderer::should_warn( (int) ( $case_data['post_id'] ?? 0 ), $photo_data['has_nudity'] );
+
 		// Blur the image only when this slide carries its own overlay; the global
 		// preset covers the whole viewport instead.
 		$photo_data['has_nudity'] = '' !== $nudity_warning
@@ -1315,17 +1350,50 @@ final class Carousel_Handler {
 		$link_close = ! empty( $case_url ) ? '</a>' : '';
 		$image_element = self::render_slide_image( $photo_data, 0 === $slide_index, (int) ( $case_data['post_id'] ?? 0 ) );
 
-		// Only render action buttons for non-standalone carousels
-		// Pass procedure ID (term ID) to get the API procedure ID for favorites
-		$action_buttons = $is_standalone ? '' : self::render_slide_action_buttons( $case_data['id'], $procedure_id );
+		// A slider is interactive, so it cannot sit inside the slide's link;
+		// the link moves below it as a plain "View case" link instead.
+		$slider = self::render_slide_slider( $photo_data, (int) ( $case_data['post_id'] ?? 0 ), 0 === $slide_index );
+		if ( '' !== $slider ) {
+			$text_link = '';
+			if ( ! empty( $case_url ) ) {
+				$text_link = sprintf(
+					'<a href="%s" class="brag-book-gallery-carousel-link brag-book-gallery-carousel-link--text">%s</a>',
+					esc_url( $case_url ),
+					esc_html__( 'View case', 'brag-book-gallery' )
+				);
+			}
+
+			$image_element = $slider . $text_link;
+			$link_open     = '';
+			$link_close    = '';
+		}
+
+		// Every photo of the case, not just the one on the slide; cases without
+		// a local post fall back to the slide's own photo. Sits outside the
+		// link and under the nudity overlay.
+		$lightbox_photos = HTML_Renderer::get_lightbox_photos( (int) ( $case_data['post_id'] ?? 0 ) );
+		if ( empty( $lightbox_photos ) ) {
+			$lightbox_photos = HTML_Renderer::get_lightbox_photos( 0, array( $photo_data['image_url'] ) );
+		}
+		$photo_index      = (int) array_search( $photo_data['image_url'], array_column( $lightbox_photos, 'src' ), true );
+		$lightbox_trigger = HTML_Renderer::render_lightbox_trigger( $lightbox_photos, $photo_data['alt_text'], $photo_index );
+
+		// Favorites only for non-standalone carousels, but any slide can be
+		// shared. Pass procedure ID (term ID) to get the API procedure ID for favorites.
+		$favorite_button = $is_standalone ? '' : self::render_slide_favorite_button( $case_data['id'], $procedure_id );
+		$share_button    = HTML_Renderer::render_share_button( (string) $case_url, $photo_data['alt_text'], $photo_index, $needs_warning );
+		$action_buttons  = '' !== $favorite_button . $share_button
+			? '<div class="brag-book-gallery-item-actions">' . $favorite_button . $share_button . '</div>'
+			: '';
 
 		return sprintf(
-			'%s%s%s%s%s%s</div>',
+			'%s%s%s%s%s%s%s</div>',
 			$slide_wrapper,
 			$nudity_warning,
 			$link_open,
 			$image_element,
 			$link_close,
+			$lightbox_trigger,
 			$action_buttons
 		);
 	}
@@ -1486,18 +1554,49 @@ final class Carousel_Handler {
 	}
 
 	/**
-	 * Render action buttons for carousel slide
+	 * Render the before/after slider for a slide, when one applies
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array $photo_data Photo data.
+	 * @param int   $post_id    Case post ID (0 in API-driven carousels).
+	 * @param bool  $is_lcp     Whether this is the first slide.
+	 *
+	 * @return string Slider HTML, or an empty string to keep the combined image.
+	 */
+	private static function render_slide_slider( array $photo_data, int $post_id, bool $is_lcp ): string {
+		if ( ! HTML_Renderer::uses_before_after_slider() ) {
+			return '';
+		}
+
+		$pair = HTML_Renderer::get_before_after_pair( $post_id, (string) $photo_data['image_url'] );
+		if ( empty( $pair ) ) {
+			return '';
+		}
+
+		$slider = HTML_Renderer::render_before_after_slider( $pair, (string) $photo_data['alt_text'], HTML_Renderer::get_image_display(), ! $is_lcp );
+
+		if ( $photo_data['has_nudity'] ) {
+			$slider = str_replace( 'class="brag-book-gallery-before-after ', 'class="brag-book-gallery-before-after brag-book-gallery-nudity-blur ', $slider );
+		}
+
+		return $slider;
+	}
+
+	/**
+	 * Render favorite button for carousel slide
 	 *
 	 * Creates favorite button for carousel items.
 	 *
 	 * @since 3.0.0
+	 * @since 4.9.5 Returns the button alone; render_slide() adds the action bar.
 	 *
 	 * @param string   $case_id      Case ID.
 	 * @param int|null $procedure_id Optional WordPress term ID for the procedure.
 	 *
-	 * @return string Action buttons HTML.
+	 * @return string Favorite button HTML, or an empty string when favorites are off.
 	 */
-	private static function render_slide_action_buttons( string $case_id, ?int $procedure_id = null ): string {
+	private static function render_slide_favorite_button( string $case_id, ?int $procedure_id = null ): string {
 		// Check if favorites functionality is enabled
 		if ( ! \BRAGBookGallery\Includes\Core\Settings_Helper::is_favorites_enabled() ) {
 			return '';
@@ -1507,7 +1606,7 @@ final class Carousel_Handler {
 		$favorite_item_id = $case_id;
 
 		return sprintf(
-			'<div class="brag-book-gallery-item-actions"><button class="brag-book-gallery-favorite-button" data-favorited="false" data-item-id="%s" aria-label="%s"><svg fill="rgba(255, 255, 255, 0.5)" stroke="white" stroke-width="2" viewBox="0 0 24 24"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/></svg></button></div>',
+			'<button class="brag-book-gallery-favorite-button" data-favorited="false" data-item-id="%s" aria-label="%s"><svg fill="rgba(255, 255, 255, 0.5)" stroke="white" stroke-width="2" viewBox="0 0 24 24"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/></svg></button>',
 			esc_attr( $favorite_item_id ),
 			esc_attr__( 'Add to favorites', 'brag-book-gallery' )
 		);
@@ -19,6 +19,8 @@ if ( ! defined( 'ABSPATH' ) ) {
 use BRAGBookGallery\Includes\Extend\Post_Types;
 use BRAGBookGallery\Includes\Extend\Taxonomies;
 use BRAGBookGallery\Includes\Core\Setup;
+use BRAGBookGallery\Includes\Core\Settings_Helper;
+use BRAGBookGallery\Includes\Core\Nonce_Refresh;
 use BRAGBookGallery\Includes\Core\Trait_Api;
 use BRAGBookGallery\Includes\Resources\Asset_Manager;
 use BRAGBookGallery\Includes\Shortcodes\Traits\Trait_Image_Variants;
@@ -173,8 +175,9 @@ class Case_Handler {
 		// Parse shortcode attributes with defaults
 		$atts = shortcode_atts(
 			[
-				'case_id' => '',
-				'post_id' => '',
+				'case_id'       => '',
+				'post_id'       => '',
+				'image_display' => '',
 			],
 			$atts,
 			'brag_book_gallery_case'
@@ -200,7 +203,12 @@ class Case_Handler {
 		}
 
 		// Generate case HTML directly
-		$output = $this->generate_case_html( $case_post );
+		HTML_Renderer::set_image_display_override( (string) $atts['image_display'] );
+		try {
+			$output = $this->generate_case_html( $case_post );
+		} finally {
+			HTML_Renderer::set_image_display_override( '' );
+		}
 
 		// Prevent wpautop from adding unwanted <p> and <br> tags to shortcode output
 		return $output;
@@ -599,16 +607,28 @@ class Case_Handler {
 
 		$html .= '<div class="brag-book-gallery-case-images-layout">';
 		$html .= '<div class="brag-book-gallery-case-main-viewer">';
-		$html .= '<div class="brag-book-gallery-main-image-container" data-image-index="0">';
+		// In a slider mode each angle whose separate before and after photos
+		// are known is shown as a comparison slider; the rest stay combined.
+		$image_display = HTML_Renderer::get_image_display();
+		$use_slider    = HTML_Renderer::uses_before_after_slider();
+
+		$html .= '<div class="brag-book-gallery-main-image-container" data-image-index="0" data-image-display="' . esc_attr( $image_display ) . '">';
 		$html .= '<div class="brag-book-gallery-main-single">';
 
 		// Main image (first image) with microdata
 		if ( ! empty( $images[0] ) ) {
-			// The viewer spans the full content column, so a small screen can be
-			// served the small/medium rendition instead of the full-size file.
-			$main_responsive_attrs = self::build_responsive_attrs( (int) $wp_post_id, (string) $images[0], self::SIZES_FULL_WIDTH );
+			$main_pair = $use_slider ? HTML_Renderer::get_before_after_pair( (int) $wp_post_id, $images[0] ) : [];
+
+			if ( ! empty( $main_pair ) ) {
+				$html .= HTML_Renderer::render_before_after_slider( $main_pair, $base_alt, $image_display, false );
+				$html .= '<meta itemprop="image" content="' . esc_url( $images[0] ) . '">';
+			} else {
+				// The viewer spans the full content column, so a small screen can be
+				// served the small/medium rendition instead of the full-size file.
+				$main_responsive_attrs = self::build_responsive_attrs( (int) $wp_post_id, (string) $images[0], self::SIZES_FULL_WIDTH );
 
-			$html .= '<img src="' . esc_url( $images[0] ) . '"' . $main_responsive_attrs . ' alt="' . esc_attr( $base_alt ) . '" loading="eager" fetchpriority="high" decoding="async" itemprop="image">';
+				$html .= '<img src="' . esc_url( $images[0] ) . '"' . $main_responsive_attrs . ' alt="' . esc_attr( $base_alt ) . '" loading="eager" fetchpriority="high" decoding="async" itemprop="image">';
+			}
 			$html .= '<div class="brag-book-gallery-item-actions">';
 			// Use procedure case ID (junction ID) for favorites - fallback to post ID
 			$favorite_item_id = ! empty( $procedure_case_id ) ? $procedure_case_id : $wp_post_id;
@@ -617,6 +637,9 @@ class Case_Handler {
 			$html .= '<path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>';
 			$html .= '</svg>';
 			$html .= '</button>';
+			$html .= HTML_Renderer::render_lightbox_trigger( HTML_Renderer::get_lightbox_photos( (int) $wp_post_id, $images ), $base_alt );
+			// Shares whichever photo is in the viewer when it is clicked.
+			$html .= HTML_Renderer::render_share_button( (string) get_permalink( $wp_post_id ), $base_alt, 0, HTML_Renderer::should_warn( (int) $wp_post_id ) );
 			$html .= '</div>';
 		}
 
@@ -648,7 +671,14 @@ class Case_Handler {
 				// thumbnail therefore has to swap both, so each slot ships the srcset
 				// its own image needs.
 				$full_srcset = self::build_variant_srcset_for_url( (int) $wp_post_id, $image_url );
-				$html .= '<div class="brag-book-gallery-thumbnail-item' . $active_class . '" data-image-index="' . $index . '" data-processed-url="' . esc_attr( $image_url ) . '" data-full-srcset="' . esc_attr( $full_srcset ) . '">';
+				$pair_attrs  = '';
+				if ( $use_slider ) {
+					$pair = HTML_Renderer::get_before_after_pair( (int) $wp_post_id, $image_url );
+					if ( ! empty( $pair ) ) {
+						$pair_attrs = ' data-before-url="' . esc_attr( $pair['before'] ) . '" data-after-url="' . esc_attr( $pair['after'] ) . '"';
+					}
+				}
+				$html .= '<div class="brag-book-gallery-thumbnail-item' . $active_class . '" data-image-index="' . $index . '" data-processed-url="' . esc_attr( $image_url ) . '" data-full-srcset="' . esc_attr( $full_srcset ) . '"' . $pair_attrs . '>';
 				$html .= '<img src="' . esc_url( $thumb_url ) . '" alt="' . esc_attr( $thumbnail_alt ) . '" loading="lazy" decoding="async" itemprop="thumbnail">';
 				$html .= '</div>';
 			}
@@ -1681,7 +1711,7 @@ class Case_Handler {
 	public function ajax_load_case_details_html(): void {
 		// Verify nonce for security
 		if ( ! isset( $_POST['nonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['nonce'] ) ), 'brag_book_gallery_nonce' ) ) {
-			wp_send_json_error( __( 'Security verification failed.', 'brag-book-gallery' ) );
+			Nonce_Refresh::send_invalid_nonce( __( 'Security verification failed.', 'brag-book-gallery' ) );
 			return;
 		}
 
@@ -1696,27 +1726,22 @@ class Case_Handler {
 		$procedure_slug = isset( $_POST['procedure_slug'] ) ? sanitize_text_field( wp_unslash( $_POST['procedure_slug'] ) ) : '';
 		$procedure_name = isset( $_POST['procedure_name'] ) ? sanitize_text_field( wp_unslash( $_POST['procedure_name'] ) ) : '';
 
-		// Track the view in the API
-		$view_tracked = $this->track_case_view( $case_id );
+		// Track the view in the API. Without consent the browser tracks it
+		// once it is given.
+		$view_tracked = Settings_Helper::has_visitor_consent( 'statistics' ) && $this->track_case_view( $case_id );
 
-		// Generate the case HTML using WordPress data
-		$case_html = $this->generate_case_detail_html( $case_id );
+		$response_data = $this->get_case_details(
+			$case_id,
+			$procedure_name,
+			isset( $_POST['image_display'] ) ? sanitize_key( wp_unslash( $_POST['image_display'] ) ) : ''
+		);
 
-		if ( empty( $case_html ) ) {
+		if ( null === $response_data ) {
 			wp_send_json_error( __( 'Case not found or unable to generate content.', 'brag-book-gallery' ) );
 			return;
 		}
 
-		// Prepare response data
-		$response_data = array(
-			'html'         => $case_html,
-			'case_id'      => $case_id,
-			'view_tracked' => $view_tracked,
-			'seo'          => array(
-				'title'       => $procedure_name ? "{$procedure_name} #{$case_id}" : "Case #{$case_id}",
-				'description' => $procedure_name ? "View {$procedure_name} case #{$case_id} before and after results." : "View case #{$case_id} before and after results.",
-			),
-		);
+		$response_data['view_tracked'] = $view_tracked;
 
 		// Add debug information if WP_DEBUG is enabled
 		if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
@@ -1730,6 +1755,37 @@ class Case_Handler {
 		wp_send_json_success( $response_data );
 	}
 
+	/**
+	 * A case's detail HTML with the title and description to show it under
+	 *
+	 * Shared by the case details AJAX handler and the gallery data REST
+	 * route. The HTML is generated from WordPress data, in the image display
+	 * mode of the gallery shortcode the visitor is browsing.
+	 *
+	 * @since 4.9.5
+	 * @param string $case_id        The case's WordPress post ID.
+	 * @param string $procedure_name Procedure the visitor is browsing, for the title.
+	 * @param string $image_display  Image display mode of the gallery shortcode, if it overrides the site's.
+	 * @return array{html: string, case_id: string, seo: array{title: string, description: string}}|null Null when the case is not found.
+	 */
+	public function get_case_details( string $case_id, string $procedure_name = '', string $image_display = '' ): ?array {
+		HTML_Renderer::set_image_display_override( $image_display );
+		$case_html = $this->generate_case_detail_html( $case_id );
+
+		if ( empty( $case_html ) ) {
+			return null;
+		}
+
+		return array(
+			'html'    => $case_html,
+			'case_id' => $case_id,
+			'seo'     => array(
+				'title'       => $procedure_name ? "{$procedure_name} #{$case_id}" : "Case #{$case_id}",
+				'description' => $procedure_name ? "View {$procedure_name} case #{$case_id} before and after results." : "View case #{$case_id} before and after results.",
+			),
+		);
+	}
+
 	/**
 	 * Track case view in the BRAG book API
 	 *
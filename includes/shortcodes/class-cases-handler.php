@@ -67,10 +67,12 @@ use BRAGBookGallery\Includes\Extend\Post_Types;
 use BRAGBookGallery\Includes\Extend\Taxonomies;
 use BRAGBookGallery\Includes\Resources\Asset_Manager;
 use BRAGBookGallery\Includes\Core\Settings_Helper;
+use BRAGBookGallery\Includes\Core\Nonce_Refresh;
 use BRAGBookGallery\Includes\Core\Setup;
 use BRAGBookGallery\Includes\Shortcodes\Traits\Trait_Provider_Query;
 use BRAGBookGallery\Includes\Shortcodes\Traits\Trait_Image_Variants;
 use BRAGBookGallery\Includes\Shortcodes\Traits\Trait_Location_Query;
+use BRAGBookGallery\Includes\Shortcodes\Traits\Trait_Demographic_Query;
 
 // Prevent direct access.
 if ( ! defined( 'ABSPATH' ) ) {
@@ -108,6 +110,7 @@ final class Cases_Handler {
 	use Trait_Provider_Query;
 	use Trait_Image_Variants;
 	use Trait_Location_Query;
+	use Trait_Demographic_Query;
 
 	/**
 	 * Default grid columns
@@ -1418,12 +1421,14 @@ final class Cases_Handler {
 		$lat = isset( $context['lat'] ) && is_numeric( $context['lat'] ) ? (string) (float) $context['lat'] : '';
 		$lng = isset( $context['lng'] ) && is_numeric( $context['lng'] ) ? (string) (float) $context['lng'] : '';
 
-		// Hide button if infinite scroll is enabled (JavaScript will handle loading)
+		// With infinite scroll the button is hidden while JavaScript loads pages
+		// as the visitor scrolls. It comes back if a page fails to load. The
+		// display style stays free to mean "no more pages".
 		$infinite_scroll = get_option( 'brag_book_gallery_infinite_scroll', 'no' );
-		$display_style   = ( 'yes' === $infinite_scroll ) ? ' style="display: none;"' : '';
+		$container_class = ( 'yes' === $infinite_scroll ) ? ' brag-book-gallery-load-more-container--auto' : '';
 
 		return sprintf(
-			'<div class="brag-book-gallery-load-more-container">
+			'<div class="brag-book-gallery-load-more-container%9$s">
             <button class="brag-book-gallery-button brag-book-gallery-button--load-more"
                 data-action="load-more"
                 data-start-page="2"
@@ -1436,7 +1441,7 @@ final class Cases_Handler {
                 data-lat="%6$s"
                 data-lng="%7$s"
                 data-random-seed="%8$s"
-                onclick="loadMoreCasesFromCache(this)"%9$s>
+                onclick="loadMoreCasesFromCache(this)">
                 %10$s
             </button>
         </div>',
@@ -1448,7 +1453,7 @@ final class Cases_Handler {
 			esc_attr( $lat ),
 			esc_attr( $lng ),
 			esc_attr( (string) absint( $context['random_seed'] ?? 0 ) ),
-			$display_style,
+			esc_attr( $container_class ),
 			esc_html__( 'Load More', 'brag-book-gallery' )
 		);
 	}
@@ -2112,6 +2117,10 @@ final class Cases_Handler {
 										d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
 								</svg>
 							</button>
+							<?php
+							// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in render_toggle().
+							echo Comparison_Handler::render_toggle( (int) $post_id );
+							?>
 						</div>
 						<?php if ( 'v2' === $case_card_type || 'v3' === $case_card_type ) : ?>
 							<!-- V2/V3: All images in single anchor, pagination outside -->
@@ -2408,29 +2417,42 @@ final class Cases_Handler {
 	/**
 	 * Read the active view context from an AJAX request.
 	 *
-	 * Consolidates the provider, procedure and location parameters the front-end
-	 * widgets post so every "load more" request scopes identically.
-	 *
 	 * @since 3.3.3
 	 * @return array<string,mixed> Context array for resolve_context_case_ids().
 	 */
 	private static function build_context_from_request(): array {
-		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce verified by the calling AJAX handler.
-		$lat = isset( $_POST['lat'] ) && is_numeric( wp_unslash( $_POST['lat'] ) ) ? (float) wp_unslash( $_POST['lat'] ) : null;
-		$lng = isset( $_POST['lng'] ) && is_numeric( wp_unslash( $_POST['lng'] ) ) ? (float) wp_unslash( $_POST['lng'] ) : null;
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified by the calling AJAX handler; sanitized per field by build_context().
+		return self::build_context( wp_unslash( $_POST ) );
+	}
 
-		$context = [
-			'provider_id'    => isset( $_POST['provider_id'] ) ? absint( $_POST['provider_id'] ) : 0,
-			'provider_slug'  => isset( $_POST['provider_slug'] ) ? sanitize_title( wp_unslash( $_POST['provider_slug'] ) ) : '',
-			'term_id'        => isset( $_POST['term_id'] ) ? absint( $_POST['term_id'] ) : 0,
-			'procedure_slug' => isset( $_POST['procedure_name'] ) ? sanitize_title( wp_unslash( $_POST['procedure_name'] ) ) : '',
+	/**
+	 * Build the view context from request parameters.
+	 *
+	 * Consolidates the provider, procedure and location parameters the front-end
+	 * widgets send so every "load more" request scopes identically, whether it
+	 * arrives over admin-ajax or the gallery data REST route. The demographic
+	 * filter selection (`filters`, a JSON object) and the request for option
+	 * counts (`facets`) ride along the same way.
+	 *
+	 * @since 4.9.5
+	 * @param array<string,mixed> $params Unslashed request parameters.
+	 * @return array<string,mixed> Context array for resolve_context_case_ids().
+	 */
+	public static function build_context( array $params ): array {
+		$lat = isset( $params['lat'] ) && is_numeric( $params['lat'] ) ? (float) $params['lat'] : null;
+		$lng = isset( $params['lng'] ) && is_numeric( $params['lng'] ) ? (float) $params['lng'] : null;
+
+		return [
+			'provider_id'    => isset( $params['provider_id'] ) ? absint( $params['provider_id'] ) : 0,
+			'provider_slug'  => isset( $params['provider_slug'] ) ? sanitize_title( (string) $params['provider_slug'] ) : '',
+			'term_id'        => isset( $params['term_id'] ) ? absint( $params['term_id'] ) : 0,
+			'procedure_slug' => isset( $params['procedure_name'] ) ? sanitize_title( (string) $params['procedure_name'] ) : '',
 			'lat'            => $lat,
 			'lng'            => $lng,
-			'random_seed'    => isset( $_POST['random_seed'] ) ? absint( $_POST['random_seed'] ) : 0,
+			'random_seed'    => isset( $params['random_seed'] ) ? absint( $params['random_seed'] ) : 0,
+			'filters'        => isset( $params['filters'] ) ? self::sanitize_demographic_selection( $params['filters'] ) : [],
+			'facets'         => ! empty( $params['facets'] ),
 		];
-		// phpcs:enable WordPress.Security.NonceVerification.Missing
-
-		return $context;
 	}
 
 	/**
@@ -2445,9 +2467,14 @@ final class Cases_Handler {
 	 * de-duplicated order; an active location overrides ordering with nearest-first
 	 * and drops cases outside the radius.
 	 *
+	 * A demographic selection (`filters`) then narrows the list, keeping its
+	 * order. With `facets` set, the filter options the scope offers are counted
+	 * too: every option in the scope is listed, counted against the selections
+	 * in the other filter types.
+	 *
 	 * @since 3.3.3
-	 * @param array<string,mixed> $context Provider/procedure/location context.
-	 * @return array{ids:int[],distances:array<int,float>,radius:int}
+	 * @param array<string,mixed> $context Provider/procedure/location/demographic context.
+	 * @return array{ids:int[],distances:array<int,float>,radius:int,facets:array|null}
 	 */
 	public static function resolve_context_case_ids( array $context ): array {
 		$provider_id    = absint( $context['provider_id'] ?? 0 );
@@ -2476,6 +2503,7 @@ final class Cases_Handler {
 				'ids'       => [],
 				'distances' => [],
 				'radius'    => self::LOCATION_DEFAULT_RADIUS,
+				'facets'    => ! empty( $context['facets'] ) ? self::count_demographic_facets( [] ) : null,
 			];
 		}
 
@@ -2521,13 +2549,48 @@ final class Cases_Handler {
 			$ids = self::shuffle_with_seed( $ids, $random_seed );
 		}
 
+		$ids       = array_values( array_map( 'absint', $ids ) );
+		$selection = (array) ( $context['filters'] ?? [] );
+		$facets    = null;
+
+		if ( ! empty( $selection ) || ! empty( $context['facets'] ) ) {
+			$rows = self::map_cases_to_demographics( $ids, self::get_api_procedure_id_for_term( $term_id ) );
+
+			if ( ! empty( $context['facets'] ) ) {
+				$facets = self::count_demographic_facets( $rows, $selection );
+			}
+
+			$ids = self::filter_by_demographics( $ids, $rows, $selection );
+		}
+
 		return [
-			'ids'       => array_values( array_map( 'absint', $ids ) ),
+			'ids'       => $ids,
 			'distances' => $distances,
 			'radius'    => (int) $radius,
+			'facets'    => $facets,
 		];
 	}
 
+	/**
+	 * The API procedure id stored on a procedure term.
+	 *
+	 * Procedure details are keyed by it, so it scopes the detail filters to the
+	 * procedure being viewed, as get_current_api_procedure_id() does for cards.
+	 *
+	 * @since 4.9.5
+	 * @param int $term_id Procedure term id, or 0 for none.
+	 * @return string API procedure id, or empty string.
+	 */
+	private static function get_api_procedure_id_for_term( int $term_id ): string {
+		if ( $term_id <= 0 ) {
+			return '';
+		}
+
+		$api_id = get_term_meta( $term_id, 'procedure_id', true );
+
+		return is_scalar( $api_id ) ? (string) $api_id : '';
+	}
+
 	/**
 	 * Shuffle case IDs deterministically from a seed.
 	 *
@@ -2598,7 +2661,7 @@ final class Cases_Handler {
 	 * @param array<string,mixed> $context  Provider/procedure/location context.
 	 * @param int                 $page     1-based page number.
 	 * @param int                 $per_page Cases per page.
-	 * @return array{html:string,total:int,has_more:bool,radius:int,loaded:int}
+	 * @return array{html:string,total:int,has_more:bool,radius:int,loaded:int,facets:array|null}
 	 */
 	public static function render_context_page( array $context, int $page, int $per_page ): array {
 		$per_page = max( 1, $per_page );
@@ -2654,6 +2717,7 @@ final class Cases_Handler {
 			'has_more' => ( $offset + count( $page_ids ) ) < $total,
 			'radius'   => $resolved['radius'],
 			'loaded'   => $offset + count( $page_ids ),
+			'facets'   => $resolved['facets'],
 		];
 	}
 
@@ -2670,28 +2734,20 @@ final class Cases_Handler {
 	public static function ajax_load_more_cases(): void {
 		// Verify nonce for security
 		if ( ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['nonce'] ?? '' ) ), 'brag_book_gallery_nonce' ) ) {
-			wp_send_json_error( [ 'message' => 'Invalid nonce' ] );
+			Nonce_Refresh::send_invalid_nonce( 'Invalid nonce' );
 
 			return;
 		}
 
-		// Page to load and page size. The context (provider / location / procedure)
-		// is read from the same POST fields the filters set on the button.
+		// Page to load. The context (provider / location / procedure, plus any
+		// demographic filters) is read from the same POST fields the filters set
+		// on the button. Page 1 is what a filter change asks for.
 		$start_page = max( 1, absint( $_POST['start_page'] ?? 2 ) );
-		$per_page   = Settings_Helper::get_items_per_page();
 
 		try {
 			$context = self::build_context_from_request();
-			$result  = self::render_context_page( $context, $start_page, $per_page );
-
-			wp_send_json_success( [
-				'html'        => $result['html'],
-				'hasMore'     => $result['has_more'],
-				'currentPage' => $start_page,
-				'totalCases'  => $result['total'],
-				'loadedCases' => $result['loaded'],
-				'radius'      => $result['radius'],
-			] );
+
+			wp_send_json_success( self::get_cases_page( $context, $start_page, ! empty( $_POST['facets_only'] ) ) );
 		} catch ( \Exception $e ) {
 			// phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_error_log
 			brag_book_log( 'BRAG book Gallery Load More Error: ' . $e->getMessage() );
@@ -2699,6 +2755,47 @@ final class Cases_Handler {
 		}
 	}
 
+	/**
+	 * A page of case cards for a view context, as the pager reads it
+	 *
+	 * Shared by the Load More AJAX handler and the gallery data REST route.
+	 * The filter panel only needs the option counts to build itself, which
+	 * is all a facets-only request returns.
+	 *
+	 * @since 4.9.5
+	 * @param array<string,mixed> $context     Context from build_context().
+	 * @param int                 $start_page  Page to render, 1-based.
+	 * @param bool                $facets_only Whether to return only the filter options.
+	 * @return array<string,mixed> Response data for the front end.
+	 */
+	public static function get_cases_page( array $context, int $start_page, bool $facets_only = false ): array {
+		if ( $facets_only ) {
+			$context['facets'] = true;
+			$resolved          = self::resolve_context_case_ids( $context );
+
+			return [
+				'facets'     => $resolved['facets'],
+				'totalCases' => count( $resolved['ids'] ),
+			];
+		}
+
+		$result = self::render_context_page( $context, $start_page, Settings_Helper::get_items_per_page() );
+
+		$response = [
+			'html'        => $result['html'],
+			'hasMore'     => $result['has_more'],
+			'currentPage' => $start_page,
+			'totalCases'  => $result['total'],
+			'loadedCases' => $result['loaded'],
+			'radius'      => $result['radius'],
+		];
+		if ( null !== $result['facets'] ) {
+			$response['facets'] = $result['facets'];
+		}
+
+		return $response;
+	}
+
 	/**
 	 * AJAX handler to get adjacent cases for a specific procedure
 	 *
@@ -2719,16 +2816,39 @@ final class Cases_Handler {
 		// phpcs:ignore WordPress.Security.NonceVerification.Missing
 		$provider_id     = isset( $_POST['provider_id'] ) ? absint( $_POST['provider_id'] ) : 0;
 
-		if ( empty( $current_post_id ) ) {
-			wp_send_json_error( [ 'message' => 'Missing post ID' ] );
+		$adjacent = self::get_adjacent_cases( $current_post_id, $procedure_slug, $term_id, $provider_slug, $provider_id );
+
+		if ( is_wp_error( $adjacent ) ) {
+			wp_send_json_error( [ 'message' => $adjacent->get_error_message() ] );
 			return;
 		}
 
+		wp_send_json_success( $adjacent );
+	}
+
+	/**
+	 * The next and previous case URLs around a case
+	 *
+	 * Shared by the adjacent cases AJAX handler and the gallery data REST
+	 * route.
+	 *
+	 * @since 4.9.5
+	 * @param int    $current_post_id The case being viewed.
+	 * @param string $procedure_slug  Procedure the visitor is browsing, when no term ID is known.
+	 * @param int    $term_id         Procedure term the visitor is browsing.
+	 * @param string $provider_slug   Provider taxonomy slug of a provider-filtered view.
+	 * @param int    $provider_id     Provider API ID of a provider-filtered view.
+	 * @return array{next: string|null, prev: string|null}|\WP_Error
+	 */
+	public static function get_adjacent_cases( int $current_post_id, string $procedure_slug = '', int $term_id = 0, string $provider_slug = '', int $provider_id = 0 ): array|\WP_Error {
+		if ( empty( $current_post_id ) ) {
+			return new \WP_Error( 'missing_post_id', 'Missing post ID', [ 'status' => 400 ] );
+		}
+
 		// Verify the post exists
 		$current_post = get_post( $current_post_id );
 		if ( ! $current_post || $current_post->post_type !== Post_Types::POST_TYPE_CASES ) {
-			wp_send_json_error( [ 'message' => 'Invalid post ID: ' . $current_post_id ] );
-			return;
+			return new \WP_Error( 'invalid_post_id', 'Invalid post ID: ' . $current_post_id, [ 'status' => 404 ] );
 		}
 
 		// Provider context: when the user arrived from a provider-filtered view,
@@ -2764,8 +2884,7 @@ final class Cases_Handler {
 
 			// Provider navigation wraps, so the arrows keep cycling through that
 			// provider's cases instead of dead-ending at either edge.
-			wp_send_json_success( self::resolve_adjacent_urls( $provider_case_ids, $current_post_id, true ) );
-			return;
+			return self::resolve_adjacent_urls( $provider_case_ids, $current_post_id, true );
 		}
 
 		// Get the procedure term - prefer term_id if provided, otherwise fallback to slug lookup
@@ -2774,13 +2893,11 @@ final class Cases_Handler {
 		} elseif ( ! empty( $procedure_slug ) ) {
 			$procedure_term = get_term_by( 'slug', $procedure_slug, Taxonomies::TAXONOMY_PROCEDURES );
 		} else {
-			wp_send_json_error( [ 'message' => 'Missing procedure identifier' ] );
-			return;
+			return new \WP_Error( 'missing_procedure', 'Missing procedure identifier', [ 'status' => 400 ] );
 		}
 
 		if ( ! $procedure_term || is_wp_error( $procedure_term ) ) {
-			wp_send_json_error( [ 'message' => 'Invalid procedure' ] );
-			return;
+			return new \WP_Error( 'invalid_procedure', 'Invalid procedure', [ 'status' => 404 ] );
 		}
 
 		// Get case order list from taxonomy term meta
@@ -2817,7 +2934,7 @@ final class Cases_Handler {
 
 		$case_ids = array_map( 'intval', $case_ids );
 
-		wp_send_json_success( self::resolve_adjacent_urls( $case_ids, $current_post_id ) );
+		return self::resolve_adjacent_urls( $case_ids, $current_post_id );
 	}
 
 	/**
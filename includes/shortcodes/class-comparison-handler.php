@@ -0,0 +1,281 @@
+<?php
+/**
+ * Case Comparison Handler for BRAG book Gallery Plugin
+ *
+ * Backs the side-by-side comparison view: renders the "compare" toggle that
+ * case cards carry and answers the AJAX request that returns the photos and
+ * details of the selected cases.
+ *
+ * @package    BRAGBookGallery
+ * @subpackage Includes\Shortcodes
+ * @since      4.9.5
+ * @author     BRAG book Team
+ * @copyright  Copyright (c) 2025, BRAG book Team
+ * @license    GPL-2.0-or-later
+ */
+
+declare( strict_types=1 );
+
+namespace BRAGBookGallery\Includes\Shortcodes;
+
+use BRAGBookGallery\Includes\Core\Nonce_Refresh;
+use BRAGBookGallery\Includes\Extend\Post_Types;
+use BRAGBookGallery\Includes\Extend\Taxonomies;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Case Comparison Handler Class
+ *
+ * @since 4.9.5
+ */
+final class Comparison_Handler {
+
+	/**
+	 * Most cases shown side by side.
+	 *
+	 * Four columns is what still fits a desktop dialog at a useful photo size.
+	 * The client enforces the same limit; this guards the endpoint.
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	public const MAX_CASES = 4;
+
+	/**
+	 * Register the comparison AJAX handler
+	 *
+	 * @since 4.9.5
+	 *
+	 * @return void
+	 */
+	public function __construct() {
+		add_action( 'wp_ajax_brag_book_gallery_compare_cases', [ self::class, 'ajax_compare_cases' ] );
+		add_action( 'wp_ajax_nopriv_brag_book_gallery_compare_cases', [ self::class, 'ajax_compare_cases' ] );
+	}
+
+	/**
+	 * Render the "compare" toggle for a case card
+	 *
+	 * Deliberately carries no data-favorited attribute: the favorites manager
+	 * treats any element with one as a favorite button.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int $post_id Case post ID.
+	 *
+	 * @return string Button HTML, or an empty string when the post ID is unknown.
+	 */
+	public static function render_toggle( int $post_id ): string {
+		if ( $post_id <= 0 ) {
+			return '';
+		}
+
+		return sprintf(
+			'<button type="button" class="brag-book-gallery-compare-toggle" data-compare-post-id="%1$d" aria-pressed="false" aria-label="%2$s" title="%2$s"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><rect x="3" y="4" width="7" height="16" rx="1"/><rect x="14" y="4" width="7" height="16" rx="1"/></svg></button>',
+			$post_id,
+			esc_attr__( 'Compare this case', 'brag-book-gallery' )
+		);
+	}
+
+	/**
+	 * AJAX: return the comparison data for the selected cases
+	 *
+	 * Expects `post_ids` as an array or comma-separated list. Unknown,
+	 * unpublished and non-case IDs are dropped and the list is capped at
+	 * MAX_CASES, keeping the order the visitor picked them in.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @return void
+	 */
+	public static function ajax_compare_cases(): void {
+		if ( ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['nonce'] ?? '' ) ), 'brag_book_gallery_nonce' ) ) {
+			Nonce_Refresh::send_invalid_nonce( __( 'Security check failed.', 'brag-book-gallery' ) );
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Reduced to integers in parse_post_ids().
+		$post_ids = self::parse_post_ids( wp_unslash( $_POST['post_ids'] ?? [] ) );
+
+		if ( empty( $post_ids ) ) {
+			wp_send_json_error( [ 'message' => __( 'No cases to compare.', 'brag-book-gallery' ) ] );
+		}
+
+		$cases = array_map( [ self::class, 'build_case_data' ], $post_ids );
+
+		$response = [ 'cases' => $cases ];
+
+		// The overlay markup carries the configured copy, so send it once and
+		// let the client drop it over each flagged case.
+		if ( in_array( true, array_column( $cases, 'nudity' ), true ) ) {
+			$response['nudityWarning'] = HTML_Renderer::render_nudity_warning();
+		}
+
+		wp_send_json_success( $response );
+	}
+
+	/**
+	 * Reduce the requested IDs to published cases, in order, without repeats
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param mixed $raw Array or comma-separated string of post IDs.
+	 *
+	 * @return int[] At most MAX_CASES case post IDs.
+	 */
+	private static function parse_post_ids( $raw ): array {
+		if ( is_string( $raw ) ) {
+			$raw = explode( ',', $raw );
+		}
+
+		if ( ! is_array( $raw ) ) {
+			return [];
+		}
+
+		$post_ids = [];
+
+		foreach ( array_unique( array_map( 'absint', $raw ) ) as $post_id ) {
+			if ( count( $post_ids ) >= self::MAX_CASES ) {
+				break;
+			}
+
+			if ( $post_id > 0
+				&& Post_Types::POST_TYPE_CASES === get_post_type( $post_id )
+				&& 'publish' === get_post_status( $post_id )
+			) {
+				$post_ids[] = $post_id;
+			}
+		}
+
+		return $post_ids;
+	}
+
+	/**
+	 * Build one comparison column
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int $post_id Case post ID.
+	 *
+	 * @return array{postId: int, title: string, url: string, images: string[], details: array, technique: string, providers: string[], nudity: bool} Column data.
+	 */
+	private static function build_case_data( int $post_id ): array {
+		$procedures = wp_get_post_terms( $post_id, Taxonomies::TAXONOMY_PROCEDURES, [ 'fields' => 'names' ] );
+		$title      = ! is_wp_error( $procedures ) && ! empty( $procedures ) ? (string) $procedures[0] : get_the_title( $post_id );
+
+		return [
+			'postId'    => $post_id,
+			'title'     => $title,
+			'url'       => (string) get_permalink( $post_id ),
+			'images'    => self::get_case_images( $post_id ),
+			'details'   => self::get_case_details( $post_id ),
+			'technique' => wp_strip_all_tags( (string) get_post_meta( $post_id, 'brag_book_gallery_postop_technique', true ) ),
+			'providers' => self::get_provider_names( $post_id ),
+			'nudity'    => HTML_Renderer::should_warn( $post_id ),
+		];
+	}
+
+	/**
+	 * The case's before/after photos, one per angle
+	 *
+	 * Same rule as the card carousel: the high-res list is only index-aligned
+	 * with the post-processed list when both have the same length, so it is
+	 * used only then. Angle N must mean the same view in every column.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int $post_id Case post ID.
+	 *
+	 * @return string[] Image URLs in angle order.
+	 */
+	private static function get_case_images( int $post_id ): array {
+		$split_urls = static function ( $raw ): array {
+			if ( ! is_string( $raw ) || '' === $raw ) {
+				return [];
+			}
+			$parts = preg_split( '/[\r\n;]+/', $raw, -1, PREG_SPLIT_NO_EMPTY );
+			if ( ! is_array( $parts ) ) {
+				return [];
+			}
+			return array_values( array_filter( array_map( 'trim', $parts ) ) );
+		};
+
+		$high_res_list       = $split_urls( get_post_meta( $post_id, 'brag_book_gallery_case_high_res_url', true ) );
+		$post_processed_list = $split_urls( get_post_meta( $post_id, 'brag_book_gallery_case_post_processed_url', true ) );
+
+		if ( ! empty( $high_res_list ) && count( $high_res_list ) === count( $post_processed_list ) ) {
+			$images = $high_res_list;
+		} elseif ( ! empty( $post_processed_list ) ) {
+			$images = $post_processed_list;
+		} else {
+			$images = $high_res_list;
+		}
+
+		return array_values( array_filter( array_map( 'esc_url_raw', $images ) ) );
+	}
+
+	/**
+	 * The patient demographics shown in each column
+	 *
+	 * Rows are returned labelled so every column lists them in the same order;
+	 * a missing value comes back empty rather than being dropped.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int $post_id Case post ID.
+	 *
+	 * @return array<int, array{key: string, label: string, value: string}> Detail rows.
+	 */
+	private static function get_case_details( int $post_id ): array {
+		$meta = static fn( string $key ): string => trim( (string) get_post_meta( $post_id, 'brag_book_gallery_' . $key, true ) );
+
+		$with_unit = static function ( string $value, string $unit ): string {
+			return '' !== $value && '' !== $unit ? $value . ' ' . $unit : $value;
+		};
+
+		$rows = [
+			'age'       => [ __( 'Age', 'brag-book-gallery' ), $meta( 'patient_age' ) ],
+			'gender'    => [ __( 'Gender', 'brag-book-gallery' ), ucfirst( strtolower( $meta( 'patient_gender' ) ) ) ],
+			'ethnicity' => [ __( 'Ethnicity', 'brag-book-gallery' ), $meta( 'ethnicity' ) ],
+			'height'    => [ __( 'Height', 'brag-book-gallery' ), $with_unit( $meta( 'height' ), $meta( 'height_unit' ) ) ],
+			'weight'    => [ __( 'Weight', 'brag-book-gallery' ), $with_unit( $meta( 'weight' ), $meta( 'weight_unit' ) ) ],
+		];
+
+		$details = [];
+
+		foreach ( $rows as $key => [ $label, $value ] ) {
+			$details[] = [
+				'key'   => $key,
+				'label' => $label,
+				'value' => $value,
+			];
+		}
+
+		return $details;
+	}
+
+	/**
+	 * Names of the providers who performed the case
+	 *
+	 * Empty unless the providers taxonomy is enabled, matching the case
+	 * detail page.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int $post_id Case post ID.
+	 *
+	 * @return string[] Provider names.
+	 */
+	private static function get_provider_names( int $post_id ): array {
+		if ( ! get_option( 'brag_book_gallery_enable_providers', false ) || ! taxonomy_exists( Taxonomies::TAXONOMY_PROVIDERS ) ) {
+			return [];
+		}
+
+		$names = wp_get_post_terms( $post_id, Taxonomies::TAXONOMY_PROVIDERS, [ 'fields' => 'names' ] );
+
+		return is_wp_error( $names ) ? [] : array_map( 'strval', $names );
+	}
+}
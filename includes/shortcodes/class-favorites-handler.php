@@ -41,12 +41,16 @@ declare( strict_types=1 );
 
 namespace BRAGBookGallery\Includes\Shortcodes;
 
+use BRAGBookGallery\Includes\Communications\Form_Guard;
 use BRAGBookGallery\Includes\Resources\Asset_Manager;
+use BRAGBookGallery\Includes\Core\Nonce_Refresh;
 use BRAGBookGallery\Includes\Core\Setup;
 use BRAGBookGallery\Includes\Core\Trait_Api;
 use BRAGBookGallery\Includes\Core\Trait_Rate_Limit;
 use BRAGBookGallery\Includes\Core\Trait_Sanitizer;
+use BRAGBookGallery\Includes\Shortcodes\Traits\Trait_Demographic_Query;
 use BRAGBookGallery\Includes\Shortcodes\Traits\Trait_Image_Variants;
+use BRAGBookGallery\Includes\Shortcodes\Traits\Trait_Saved_Searches;
 
 // Prevent direct access.
 if ( ! defined( 'ABSPATH' ) ) {
@@ -63,9 +67,11 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 final class Favorites_Handler {
 	use Trait_Api;
+	use Trait_Demographic_Query;
 	use Trait_Image_Variants;
 	use Trait_Rate_Limit;
 	use Trait_Sanitizer;
+	use Trait_Saved_Searches;
 
 	/**
 	 * Email lookups allowed per IP per hour.
@@ -109,6 +115,9 @@ final class Favorites_Handler {
 		// Register AJAX handlers for favorites grid
 		add_action( 'wp_ajax_brag_book_load_favorites_grid', [ self::class, 'ajax_load_favorites_grid' ] );
 		add_action( 'wp_ajax_nopriv_brag_book_load_favorites_grid', [ self::class, 'ajax_load_favorites_grid' ] );
+
+		// Register AJAX handlers for saved searches
+		self::register_saved_search_actions();
 	}
 
 	/**
@@ -163,8 +172,14 @@ final class Favorites_Handler {
 			[] // No sidebar data on the favorites page.
 		);
 
-		// Generate and return favorites HTML
-		$output = self::render_favorites_html( $validated_atts );
+		// Generate and return favorites HTML with this shortcode's image display.
+		HTML_Renderer::set_image_display_override( $validated_atts['image_display'] );
+
+		try {
+			$output = self::render_favorites_html( $validated_atts );
+		} finally {
+			HTML_Renderer::set_image_display_override( '' );
+		}
 
 		return $output;
 	}
@@ -182,8 +197,9 @@ final class Favorites_Handler {
 
 		// Define default attributes with proper types
 		$defaults = [
-			'show_header' => true,
-			'columns'     => $default_columns,
+			'show_header'   => true,
+			'columns'       => $default_columns,
+			'image_display' => '',
 		];
 
 		// Apply WordPress shortcode attribute parsing with defaults
@@ -191,8 +207,9 @@ final class Favorites_Handler {
 
 		// Validate and sanitize each attribute
 		return [
-			'show_header' => filter_var( $atts['show_header'], FILTER_VALIDATE_BOOLEAN ),
-			'columns'     => max( 1, min( 6, absint( $atts['columns'] ) ) ),
+			'show_header'   => filter_var( $atts['show_header'], FILTER_VALIDATE_BOOLEAN ),
+			'columns'       => max( 1, min( 6, absint( $atts['columns'] ) ) ),
+			'image_display' => \BRAGBookGallery\Includes\Core\Settings_Helper::sanitize_image_display( (string) $atts['image_display'] ),
 		];
 	}
 
@@ -307,7 +324,8 @@ final class Favorites_Handler {
 				<!-- Favorites grid -->
 				<div class="brag-book-gallery-favorites-grid"
 					 id="favoritesGrid"
-					 data-columns="<?php echo esc_attr( $columns ); ?>">
+					 data-columns="<?php echo esc_attr( $columns ); ?>"
+					 data-image-display="<?php echo esc_attr( HTML_Renderer::get_image_display() ); ?>">
 					<!-- Favorites will be populated by JavaScript -->
 				</div>
 
@@ -329,6 +347,9 @@ final class Favorites_Handler {
 				<div class="brag-book-gallery-loading-spinner"></div>
 				<p><?php esc_html_e( 'Loading your favorites...', 'brag-book-gallery' ); ?></p>
 			</div>
+
+			<!-- Saved searches with their new cases (populated by JavaScript) -->
+			<section class="brag-book-gallery-saved-searches" id="favoritesSavedSearches" aria-labelledby="favoritesSavedSearchesTitle" hidden></section>
 		</div>
 
 		<?php
@@ -445,7 +466,8 @@ final class Favorites_Handler {
 							<!-- Favorites grid -->
 							<div class="brag-book-gallery-favorites-grid"
 								 id="favoritesGrid"
-								 data-columns="<?php echo esc_attr( $columns ); ?>">
+								 data-columns="<?php echo esc_attr( $columns ); ?>"
+								 data-image-display="<?php echo esc_attr( HTML_Renderer::get_image_display() ); ?>">
 								<!-- Favorites will be populated by JavaScript -->
 							</div>
 
@@ -467,6 +489,9 @@ final class Favorites_Handler {
 							<div class="brag-book-gallery-loading-spinner"></div>
 							<p><?php esc_html_e( 'Loading your favorites...', 'brag-book-gallery' ); ?></p>
 						</div>
+
+						<!-- Saved searches with their new cases (populated by JavaScript) -->
+						<section class="brag-book-gallery-saved-searches" id="favoritesSavedSearches" aria-labelledby="favoritesSavedSearchesTitle" hidden></section>
 					</div>
 				</div>
 			</div>
@@ -589,8 +614,16 @@ final class Favorites_Handler {
 
 			// Verify nonce for security
 			if ( ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['nonce'] ?? '' ) ), 'brag_book_gallery_nonce' ) ) {
+				Nonce_Refresh::send_invalid_nonce( __( 'Security verification failed. Please try again.', 'brag-book-gallery' ) );
+			}
+
+			// Every add carries the visitor's details to the API, so each one is
+			// checked, not just the sign-up form.
+			$guard_check = Form_Guard::check( 'favorites', wp_unslash( $_POST ) );
+			if ( is_wp_error( $guard_check ) ) {
 				wp_send_json_error( [
-					'message' => __( 'Security verification failed. Please try again.', 'brag-book-gallery' ),
+					'message' => $guard_check->get_error_message(),
+					'code'    => $guard_check->get_error_code(),
 				] );
 			}
 
@@ -887,9 +920,7 @@ final class Favorites_Handler {
 		try {
 			// Verify nonce for security
 			if ( ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['nonce'] ?? '' ) ), 'brag_book_gallery_nonce' ) ) {
-				wp_send_json_error( [
-					'message' => __( 'Security verification failed. Please try again.', 'brag-book-gallery' ),
-				] );
+				Nonce_Refresh::send_invalid_nonce( __( 'Security verification failed. Please try again.', 'brag-book-gallery' ) );
 			}
 
 			// Validate required fields
@@ -1149,9 +1180,7 @@ final class Favorites_Handler {
 
 		// Verify nonce for security
 		if ( ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['nonce'] ?? '' ) ), 'brag_book_gallery_nonce' ) ) {
-			wp_send_json_error( [
-				'message' => __( 'Security verification failed. Please try again.', 'brag-book-gallery' ),
-			] );
+			Nonce_Refresh::send_invalid_nonce( __( 'Security verification failed. Please try again.', 'brag-book-gallery' ) );
 		}
 
 		// Validate email
@@ -1229,9 +1258,7 @@ final class Favorites_Handler {
 
 		// Verify nonce for security
 		if ( ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['nonce'] ?? '' ) ), 'brag_book_gallery_nonce' ) ) {
-			wp_send_json_error( [
-				'message' => __( 'Security verification failed. Please try again.', 'brag-book-gallery' ),
-			] );
+			Nonce_Refresh::send_invalid_nonce( __( 'Security verification failed. Please try again.', 'brag-book-gallery' ) );
 		}
 
 		// Get favorites data from request - can be either full case objects or just post IDs
@@ -1286,6 +1313,9 @@ final class Favorites_Handler {
 			return;
 		}
 
+		// Cards follow the image display of the shortcode that asked for them.
+		HTML_Renderer::set_image_display_override( isset( $_POST['image_display'] ) ? sanitize_key( wp_unslash( $_POST['image_display'] ) ) : '' );
+
 		try {
 			// Generate favorites grid HTML
 			$grid_html = self::render_favorites_grid_cards( $favorites_data, $columns );
@@ -1498,6 +1528,12 @@ final class Favorites_Handler {
 			$case_url = '/' . ltrim( $gallery_slug, '/' ) . '/' . $case_id . '/';
 		}
 
+		// Separate before/after photos for the comparison slider, when the site
+		// or shortcode asks for one and the case was synced with them.
+		$before_after = HTML_Renderer::uses_before_after_slider() && ! empty( $post_id )
+			? HTML_Renderer::get_before_after_pair( (int) $post_id, (string) $primary_image )
+			: [];
+
 		// Determine the item ID for the favorite button (use case_id which is the caseProcedureId junction ID)
 		$favorite_item_id = ! empty( $case_id ) ? $case_id : ( ! empty( $post_id ) ? $post_id : '' );
 
@@ -1536,8 +1572,18 @@ final class Favorites_Handler {
 								<path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
 							</svg>
 						</button>
+						<?php
+						// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in render_toggle().
+						echo Comparison_Handler::render_toggle( (int) $post_id );
+						?>
 					</div>
 					<div class="brag-book-gallery-case-carousel">
+						<?php if ( ! empty( $before_after ) ) : ?>
+							<?php
+							// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in render_before_after_slider().
+							echo HTML_Renderer::render_before_after_slider( $before_after, $image_alt, HTML_Renderer::get_image_display() );
+							?>
+						<?php else : ?>
 						<a href="<?php echo esc_url( $case_url ); ?>"
 						   class="brag-book-gallery-case-permalink brag-book-gallery-carousel-slides"
 						   data-case-id="<?php echo esc_attr( $case_id ); ?>"
@@ -1566,6 +1612,7 @@ final class Favorites_Handler {
 								</div>
 							<?php endif; ?>
 						</a>
+						<?php endif; ?>
 					</div>
 					<div class="brag-book-gallery-case-card-overlay">
 						<div class="brag-book-gallery-case-card-overlay-content">
@@ -1804,9 +1851,7 @@ final class Favorites_Handler {
 	public static function ajax_get_case_by_api_id(): void {
 		// Verify nonce for security
 		if ( ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['nonce'] ?? '' ) ), 'brag_book_gallery_nonce' ) ) {
-			wp_send_json_error( [
-				'message' => __( 'Security verification failed.', 'brag-book-gallery' ),
-			] );
+			Nonce_Refresh::send_invalid_nonce( __( 'Security verification failed.', 'brag-book-gallery' ) );
 		}
 
 		$api_case_id = sanitize_text_field( wp_unslash( $_POST['api_case_id'] ?? '' ) );
@@ -1907,6 +1952,10 @@ final class Favorites_Handler {
 		// fallback above, in which case the client renders `src` alone.
 		$featured_image_srcset = self::build_variant_srcset_for_url( $post->ID, $featured_image_url );
 
+		// The separate before/after photos behind the featured image, for cards
+		// shown with the comparison slider. Empty when the set lacks either one.
+		$before_after = HTML_Renderer::get_before_after_pair( $post->ID, $featured_image_url );
+
 		// Prepare response data
 		$response_data = [
 			'ID' => $post->ID,
@@ -1919,6 +1968,8 @@ final class Favorites_Handler {
 			// the PHP-rendered .brag-book-gallery-favorites-grid, so it needs the
 			// case-grid breakpoints rather than SIZES_FAVORITES_GRID.
 			'featured_image_sizes' => '' !== $featured_image_srcset ? self::sizes_case_grid() : '',
+			'before_image_url' => $before_after['before'] ?? '',
+			'after_image_url' => $before_after['after'] ?? '',
 			'procedure_name' => $procedure_name,
 			'procedure_slug' => $procedure_slug,
 			'procedure_id' => $procedure_id,
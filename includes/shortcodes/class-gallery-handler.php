@@ -60,12 +60,15 @@ declare( strict_types=1 );
 
 namespace BRAGBookGallery\Includes\Shortcodes;
 
+use BRAGBookGallery\Includes\Communications\Consultation_Form;
+use BRAGBookGallery\Includes\Communications\Form_Guard;
 use BRAGBookGallery\Includes\Resources\Asset_Manager;
 use BRAGBookGallery\Includes\Shortcodes\Sidebar_Handler;
 use BRAGBookGallery\Includes\Shortcodes\Cases_Handler;
 use BRAGBookGallery\Includes\Shortcodes\Case_Handler;
 use BRAGBookGallery\Includes\Extend\Taxonomies;
 use BRAGBookGallery\Includes\Core\Settings_Helper;
+use BRAGBookGallery\Includes\Core\Nonce_Refresh;
 use BRAGBookGallery\Includes\Core\Trait_Api;
 use BRAGBookGallery\Includes\Shortcodes\Traits\Trait_Provider_Query;
 
@@ -284,6 +287,11 @@ final class Gallery_Handler {
 			return;
 		}
 
+		// Without consent the browser tracks the view once it is given.
+		if ( ! Settings_Helper::has_visitor_consent( 'statistics' ) ) {
+			return;
+		}
+
 		// Check if this is a bot/crawler
 		$user_agent = sanitize_text_field( wp_unslash( $_SERVER['HTTP_USER_AGENT'] ?? '' ) );
 		if ( empty( $user_agent ) || preg_match( '/bot|crawl|spider|slurp|googlebot|bingbot|yandex/i', $user_agent ) ) {
@@ -349,7 +357,7 @@ final class Gallery_Handler {
 		$nonce = isset( $_POST['nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['nonce'] ) ) : '';
 
 		if ( empty( $nonce ) || ! wp_verify_nonce( $nonce, 'brag_book_gallery_nonce' ) ) {
-			wp_send_json_error( [ 'message' => 'Invalid nonce' ], 403 );
+			Nonce_Refresh::send_invalid_nonce( 'Invalid nonce' );
 			return;
 		}
 
@@ -447,6 +455,7 @@ final class Gallery_Handler {
 			// The title element belongs to this shortcode alone, so a later
 			// shortcode on the same page starts from the default heading again.
 			self::$title_tag = 'h1';
+			HTML_Renderer::set_image_display_override( '' );
 		}
 	}
 
@@ -1845,51 +1854,10 @@ final class Gallery_Handler {
 							echo self::render_external_consultation_form();
 							?>
 						<?php else : ?>
-						<form class="brag-book-gallery-consultation-form"
-							  data-form="consultation">
-							<div class="brag-book-gallery-form-group">
-								<label class="brag-book-gallery-form-label"
-									   for="name">Name *</label>
-								<input type="text"
-									   class="brag-book-gallery-form-input"
-									   id="name" placeholder="Enter name"
-									   name="name" required>
-							</div>
-							<div class="brag-book-gallery-form-group">
-								<label class="brag-book-gallery-form-label"
-									   for="email">Email *</label>
-								<input type="email"
-									   class="brag-book-gallery-form-input"
-									   id="email"
-									   placeholder="Enter email address"
-									   name="email" required>
-							</div>
-							<div class="brag-book-gallery-form-group">
-								<label class="brag-book-gallery-form-label"
-									   for="phone">Phone</label>
-								<input type="tel"
-									   class="brag-book-gallery-form-input"
-									   id="phone"
-									   placeholder="(123) 456-7890"
-									   name="phone"
-									   pattern="\([0-9]{3}\) [0-9]{3}-[0-9]{4}"
-									   maxlength="14"
-									   data-phone-format="true">
-							</div>
-							<div class="brag-book-gallery-form-group">
-								<label class="brag-book-gallery-form-label"
-									   for="message">Message *</label>
-								<textarea
-									class="brag-book-gallery-form-textarea"
-									id="message" name="message" required
-									placeholder="Tell us about your goals and how we can help..."></textarea>
-							</div>
-							<button type="submit"
-									class="brag-book-gallery-button brag-book-gallery-button--full"
-									data-action="form-submit">Submit
-								Request
-							</button>
-						</form>
+						<?php
+						// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped within Consultation_Form::render().
+						echo Consultation_Form::render();
+						?>
 						<?php endif; ?>
 					</div>
 				</dialog>
@@ -1952,6 +1920,7 @@ final class Gallery_Handler {
 							  data-form="favorites">
 							<div class="brag-book-gallery-form-notification"
 								 style="display: none;"></div>
+							<?php echo Form_Guard::render_honeypot(); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped within Form_Guard::render_honeypot(). ?>
 							<div class="brag-book-gallery-form-group">
 								<label class="brag-book-gallery-form-label"
 									   for="fav-name">Full Name *</label>
@@ -2050,6 +2019,7 @@ final class Gallery_Handler {
 			'limit'               => 20,
 			'columns'             => 3,
 			'tag'                 => 'h1',
+			'image_display'       => '',
 		);
 
 		// Apply WordPress shortcode attribute parsing with defaults
@@ -2059,6 +2029,10 @@ final class Gallery_Handler {
 		// sit several calls deep, and Case_Handler renders the case title too.
 		self::$title_tag = self::sanitize_title_tag( $atts['tag'] );
 
+		// Likewise the before/after display mode, read by the case and card
+		// renderers; an unknown value leaves the site setting in charge.
+		HTML_Renderer::set_image_display_override( (string) $atts['image_display'] );
+
 		// Validate and sanitize each attribute
 		return array(
 			'case_id'             => sanitize_text_field( $atts['case_id'] ),
@@ -2072,6 +2046,7 @@ final class Gallery_Handler {
 			'limit'               => max( 1, min( 200, absint( $atts['limit'] ) ) ),
 			'columns'             => max( 1, min( 6, absint( $atts['columns'] ) ) ),
 			'tag'                 => self::$title_tag,
+			'image_display'       => HTML_Renderer::get_image_display(),
 		);
 	}
 
@@ -2140,6 +2115,10 @@ final class Gallery_Handler {
 			$attributes['data-favorites-page'] = 'true';
 		}
 
+		// Cases opened in place are rendered over AJAX, outside this shortcode,
+		// so the display mode travels with the request.
+		$attributes['data-image-display'] = esc_attr( HTML_Renderer::get_image_display() );
+
 		$attributes['id'] = 'brag-book-gallery';
 
 		return $attributes;
@@ -2920,25 +2899,10 @@ final class Gallery_Handler {
 							echo self::render_external_consultation_form();
 							?>
 						<?php else : ?>
-						<form class="brag-book-gallery-consultation-form" data-form="consultation">
-							<div class="brag-book-gallery-form-group">
-								<label class="brag-book-gallery-form-label" for="name">Name *</label>
-								<input type="text" class="brag-book-gallery-form-input" id="name" placeholder="Enter name" name="name" required>
-							</div>
-							<div class="brag-book-gallery-form-group">
-								<label class="brag-book-gallery-form-label" for="email">Email *</label>
-								<input type="email" class="brag-book-gallery-form-input" id="email" placeholder="Enter email address" name="email" required>
-							</div>
-							<div class="brag-book-gallery-form-group">
-								<label class="brag-book-gallery-form-label" for="phone">Phone</label>
-								<input type="tel" class="brag-book-gallery-form-input" id="phone" placeholder="(123) 456-7890" name="phone" pattern="\([0-9]{3}\) [0-9]{3}-[0-9]{4}" maxlength="14" data-phone-format="true">
-							</div>
-							<div class="brag-book-gallery-form-group">
-								<label class="brag-book-gallery-form-label" for="message">Message *</label>
-								<textarea class="brag-book-gallery-form-textarea" id="message" name="message" required placeholder="Tell us about your goals and how we can help..."></textarea>
-							</div>
-							<button type="submit" class="brag-book-gallery-button brag-book-gallery-button--full" data-action="form-submit">Submit Request</button>
-						</form>
+						<?php
+						// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped within Consultation_Form::render().
+						echo Consultation_Form::render();
+						?>
 						<?php endif; ?>
 					</div>
 				</dialog>
@@ -2975,6 +2939,7 @@ final class Gallery_Handler {
 						<p class="brag-book-gallery-dialog-subtitle">Fill out the form below and we'll send your favorited images.</p>
 						<form class="brag-book-gallery-favorites-form" data-form="favorites">
 							<div class="brag-book-gallery-form-notification" style="display: none;"></div>
+							<?php echo Form_Guard::render_honeypot(); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped within Form_Guard::render_honeypot(). ?>
 							<div class="brag-book-gallery-form-group">
 								<label class="brag-book-gallery-form-label" for="fav-name">Full Name *</label>
 								<input type="text" class="brag-book-gallery-form-input" id="fav-name" placeholder="Enter full name" name="fav-name" required>
@@ -3410,25 +3375,10 @@ final class Gallery_Handler {
 						echo self::render_external_consultation_form();
 						?>
 					<?php else : ?>
-					<form class="brag-book-gallery-consultation-form" data-form="consultation">
-						<div class="brag-book-gallery-form-group">
-							<label class="brag-book-gallery-form-label" for="name">Name *</label>
-							<input type="text" class="brag-book-gallery-form-input" id="name" placeholder="Enter name" name="name" required>
-						</div>
-						<div class="brag-book-gallery-form-group">
-							<label class="brag-book-gallery-form-label" for="email">Email *</label>
-							<input type="email" class="brag-book-gallery-form-input" id="email" placeholder="Enter email address" name="email" required>
-						</div>
-						<div class="brag-book-gallery-form-group">
-							<label class="brag-book-gallery-form-label" for="phone">Phone</label>
-							<input type="tel" class="brag-book-gallery-form-input" id="phone" placeholder="(123) 456-7890" name="phone" pattern="\([0-9]{3}\) [0-9]{3}-[0-9]{4}" maxlength="14" data-phone-format="true">
-						</div>
-						<div class="brag-book-gallery-form-group">
-							<label class="brag-book-gallery-form-label" for="message">Message *</label>
-							<textarea class="brag-book-gallery-form-textarea" id="message" name="message" required placeholder="Tell us about your goals and how we can help..."></textarea>
-						</div>
-						<button type="submit" class="brag-book-gallery-button brag-book-gallery-button--full" data-action="form-submit">Submit Request</button>
-					</form>
+					<?php
+					// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped within Consultation_Form::render().
+					echo Consultation_Form::render();
+					?>
 					<?php endif; ?>
 				</div>
 			</dialog>
@@ -3464,6 +3414,7 @@ final class Gallery_Handler {
 					<p class="brag-book-gallery-dialog-subtitle">Fill out the form below and we'll send your favorited images.</p>
 					<form class="brag-book-gallery-favorites-form" data-form="favorites">
 						<div class="brag-book-gallery-form-notification" style="display: none;"></div>
+						<?php echo Form_Guard::render_honeypot(); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped within Form_Guard::render_honeypot(). ?>
 						<div class="brag-book-gallery-form-group">
 							<label class="brag-book-gallery-form-label" for="fav-name">Full Name *</label>
 							<input type="text" class="brag-book-gallery-form-input" id="fav-name" placeholder="Enter full name" name="fav-name" required>
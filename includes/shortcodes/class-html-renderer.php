@@ -560,6 +560,23 @@ final class HTML_Renderer {
 	 */
 	public const NUDITY_META_KEY = 'brag_book_gallery_is_nude';
 
+	/**
+	 * Query parameter a share link names its photo with
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const SHARE_PHOTO_PARAM = 'bb_photo';
+
+	/**
+	 * Query parameter a share link names its case with, on pages that are not
+	 * the case's own
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	public const SHARE_CASE_PARAM = 'bb_case';
+
 	/**
 	 * Per-request memo of the procedure-derived nudity flag, keyed by post ID.
 	 *
@@ -568,6 +585,17 @@ final class HTML_Renderer {
 	 */
 	private static array $nudity_term_cache = array();
 
+	/**
+	 * Image display mode set by the shortcode being rendered.
+	 *
+	 * Empty when no shortcode asked for one, in which case the site setting
+	 * applies.
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	private static string $image_display_override = '';
+
 	/**
 	 * Whether the global warning has already been queued for this request.
 	 *
@@ -815,6 +843,281 @@ final class HTML_Renderer {
 		);
 	}
 
+	/**
+	 * Let a shortcode choose how before and after photos are shown
+	 *
+	 * The views that render photos sit several calls below the shortcode, so
+	 * the choice is held here for the duration of the render. Pass an empty
+	 * string to go back to the site setting.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $mode Shortcode `image_display` value.
+	 *
+	 * @return void
+	 */
+	public static function set_image_display_override( string $mode ): void {
+		self::$image_display_override = \BRAGBookGallery\Includes\Core\Settings_Helper::sanitize_image_display( $mode );
+	}
+
+	/**
+	 * How before and after photos should be shown right now
+	 *
+	 * @since 4.9.5
+	 *
+	 * @return string One of Settings_Helper::IMAGE_DISPLAY_MODES.
+	 */
+	public static function get_image_display(): string {
+		return '' !== self::$image_display_override
+			? self::$image_display_override
+			: \BRAGBookGallery\Includes\Core\Settings_Helper::get_image_display();
+	}
+
+	/**
+	 * Whether the current display mode is one of the sliders
+	 *
+	 * @since 4.9.5
+	 *
+	 * @return bool
+	 */
+	public static function uses_before_after_slider(): bool {
+		return 'side_by_side' !== self::get_image_display();
+	}
+
+	/**
+	 * Find the separate before and after photos behind a combined image
+	 *
+	 * The sync stores each photo set's URLs together, so the set whose
+	 * side-by-side image is the one on screen holds the matching pair. With no
+	 * image URL the first complete pair is returned.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int    $post_id   Case post ID.
+	 * @param string $image_url Combined (post-processed or high-res) image URL.
+	 *
+	 * @return array{before?: string, after?: string} The pair, or an empty array when the set lacks either photo.
+	 */
+	public static function get_before_after_pair( int $post_id, string $image_url = '' ): array {
+		if ( $post_id <= 0 ) {
+			return array();
+		}
+
+		$sets = get_post_meta( $post_id, 'brag_book_gallery_image_url_sets', true );
+
+		if ( ! is_array( $sets ) ) {
+			return array();
+		}
+
+		$image_url = trim( $image_url );
+
+		foreach ( $sets as $set ) {
+			if ( ! is_array( $set ) ) {
+				continue;
+			}
+
+			$combined = array(
+				trim( (string) ( $set['post_processed_url'] ?? '' ) ),
+				trim( (string) ( $set['high_res_url'] ?? '' ) ),
+			);
+
+			if ( '' !== $image_url && ! in_array( $image_url, $combined, true ) ) {
+				continue;
+			}
+
+			$before = trim( (string) ( $set['before_url'] ?? '' ) );
+			$after  = trim( (string) ( $set['after_url'] ?? '' ) );
+
+			if ( '' === $before || '' === $after ) {
+				return array();
+			}
+
+			return array(
+				'before' => $before,
+				'after'  => $after,
+			);
+		}
+
+		return array();
+	}
+
+	/**
+	 * Render the before/after comparison slider
+	 *
+	 * The after photo fills the frame and the before photo is clipped over it
+	 * at the divider. A native range input drives the divider, so arrow keys,
+	 * Home/End and screen readers work without extra code; before-after-slider.js
+	 * adds dragging anywhere on the photo. Keep in step with renderBeforeAfterSlider()
+	 * there, which builds the same markup for cards rendered in the browser.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array{before: string, after: string} $pair Photo URLs.
+	 * @param string                               $alt  Description of the case.
+	 * @param string                               $mode `slider` or `slider_vertical`.
+	 * @param bool                                 $lazy Whether the photos may load lazily.
+	 *
+	 * @return string Slider HTML.
+	 */
+	public static function render_before_after_slider( array $pair, string $alt, string $mode = 'slider', bool $lazy = true ): string {
+		$orientation = 'slider_vertical' === $mode ? 'vertical' : 'horizontal';
+		$loading     = $lazy ? 'lazy' : 'eager';
+
+		return sprintf(
+			'<div class="brag-book-gallery-before-after brag-book-gallery-before-after--%1$s" data-before-after data-orientation="%1$s" style="--brag-book-before-after-position: 50%%">'
+				. '<img class="brag-book-gallery-before-after__image brag-book-gallery-before-after__image--after" src="%2$s" alt="%3$s" loading="%6$s" decoding="async" draggable="false">'
+				. '<img class="brag-book-gallery-before-after__image brag-book-gallery-before-after__image--before" src="%4$s" alt="%5$s" loading="%6$s" decoding="async" draggable="false">'
+				. '<span class="brag-book-gallery-before-after__label brag-book-gallery-before-after__label--before" aria-hidden="true">%7$s</span>'
+				. '<span class="brag-book-gallery-before-after__label brag-book-gallery-before-after__label--after" aria-hidden="true">%8$s</span>'
+				. '<input type="range" class="brag-book-gallery-before-after__range" min="0" max="100" step="1" value="50" aria-label="%9$s" aria-orientation="%1$s" aria-valuetext="%10$s">'
+				. '<span class="brag-book-gallery-before-after__divider" aria-hidden="true"></span>'
+			. '</div>',
+			esc_attr( $orientation ),
+			esc_url( $pair['after'] ),
+			/* translators: %s: case description */
+			esc_attr( sprintf( __( 'After: %s', 'brag-book-gallery' ), $alt ) ),
+			esc_url( $pair['before'] ),
+			/* translators: %s: case description */
+			esc_attr( sprintf( __( 'Before: %s', 'brag-book-gallery' ), $alt ) ),
+			esc_attr( $loading ),
+			esc_html__( 'Before', 'brag-book-gallery' ),
+			esc_html__( 'After', 'brag-book-gallery' ),
+			esc_attr__( 'Before and after comparison', 'brag-book-gallery' ),
+			/* translators: %d: percentage of the frame showing the before photo */
+			esc_attr( sprintf( __( '%d%% before', 'brag-book-gallery' ), 50 ) )
+		);
+	}
+
+	/**
+	 * The photos of a case as the lightbox pages through them
+	 *
+	 * Each entry is the combined image plus, when the sync stored them, the
+	 * separate before and after photos the lightbox can switch to.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param int      $post_id Case post ID.
+	 * @param string[] $images  Combined image URLs in display order. Read from
+	 *                          the case's post-processed list when omitted.
+	 *
+	 * @return array<int, array{src: string, before: string, after: string}> Photos.
+	 */
+	public static function get_lightbox_photos( int $post_id, array $images = array() ): array {
+		if ( empty( $images ) && $post_id > 0 ) {
+			$raw    = (string) get_post_meta( $post_id, 'brag_book_gallery_case_post_processed_url', true );
+			$images = preg_split( '/[\r\n;]+/', $raw, -1, PREG_SPLIT_NO_EMPTY ) ?: array();
+		}
+
+		$photos = array();
+
+		foreach ( $images as $image_url ) {
+			$image_url = esc_url_raw( trim( (string) $image_url ) );
+			if ( '' === $image_url ) {
+				continue;
+			}
+
+			$pair = self::get_before_after_pair( $post_id, $image_url );
+
+			$photos[] = array(
+				'src'    => $image_url,
+				'before' => esc_url_raw( $pair['before'] ?? '' ),
+				'after'  => esc_url_raw( $pair['after'] ?? '' ),
+			);
+		}
+
+		return $photos;
+	}
+
+	/**
+	 * Render the button that opens a case's photos full screen
+	 *
+	 * The photos travel with the button, so lightbox.js needs no request to
+	 * open and carousel slides work on pages without the gallery.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param array  $photos Photos from get_lightbox_photos().
+	 * @param string $title  Case description, used for the alt text and dialog label.
+	 * @param int    $index  Photo to open on.
+	 *
+	 * @return string Button HTML, or an empty string when there are no photos.
+	 */
+	public static function render_lightbox_trigger( array $photos, string $title, int $index = 0 ): string {
+		if ( empty( $photos ) ) {
+			return '';
+		}
+
+		return sprintf(
+			'<button type="button" class="brag-book-gallery-lightbox-trigger" data-lightbox-photos="%1$s" data-lightbox-index="%2$d" data-lightbox-title="%3$s" aria-label="%4$s" title="%4$s"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M15 3h6v6M9 21H3v-6M21 3l-7 7M3 21l7-7"/></svg></button>',
+			esc_attr( (string) wp_json_encode( array_values( $photos ) ) ),
+			max( 0, min( $index, count( $photos ) - 1 ) ),
+			esc_attr( $title ),
+			esc_attr__( 'View photos full screen', 'brag-book-gallery' )
+		);
+	}
+
+	/**
+	 * The share link for a case, pointing at one of its photos
+	 *
+	 * The first photo is what a case page opens on, so it needs no parameter
+	 * and the plain case URL stays the one shared most often.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $case_url    Case URL.
+	 * @param int    $photo_index Zero-based photo to open on.
+	 *
+	 * @return string Share URL.
+	 */
+	public static function get_share_url( string $case_url, int $photo_index = 0 ): string {
+		$case_url = remove_query_arg( array( self::SHARE_PHOTO_PARAM, self::SHARE_CASE_PARAM ), $case_url );
+
+		return $photo_index > 0 ? add_query_arg( self::SHARE_PHOTO_PARAM, $photo_index, $case_url ) : $case_url;
+	}
+
+	/**
+	 * The photo a share link asked for
+	 *
+	 * @since 4.9.5
+	 *
+	 * @return int Zero-based photo index, 0 when none was asked for.
+	 */
+	public static function get_shared_photo_index(): int {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only display parameter.
+		return isset( $_GET[ self::SHARE_PHOTO_PARAM ] ) ? absint( $_GET[ self::SHARE_PHOTO_PARAM ] ) : 0;
+	}
+
+	/**
+	 * Render the button that opens the share menu for a photo
+	 *
+	 * The link is built here, so share-manager.js shares the case itself
+	 * rather than whatever page the photo happens to be shown on.
+	 *
+	 * @since 4.9.5
+	 *
+	 * @param string $case_url    Case URL.
+	 * @param string $title       Case description, used as the share text.
+	 * @param int    $photo_index Zero-based photo the button shares.
+	 * @param bool   $nudity      Whether the case needs a nudity warning, which
+	 *                            keeps the photo itself out of the share.
+	 *
+	 * @return string Button HTML, or an empty string when sharing is off.
+	 */
+	public static function render_share_button( string $case_url, string $title, int $photo_index = 0, bool $nudity = false ): string {
+		if ( '' === $case_url || ! \BRAGBookGallery\Includes\Core\Settings_Helper::is_sharing_enabled() ) {
+			return '';
+		}
+
+		return sprintf(
+			'<button type="button" class="brag-book-gallery-share-button" data-share-url="%1$s" data-share-title="%2$s" data-share-photo="%3$d"%5$s aria-haspopup="menu" aria-label="%4$s" title="%4$s"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/><path d="M8.59 13.51l6.83 3.98M15.41 6.51l-6.82 3.98"/></svg></button>',
+			esc_url( self::get_share_url( $case_url ) ),
+			esc_attr( $title ),
+			max( 0, $photo_index ),
+			esc_attr__( 'Share this photo', 'brag-book-gallery' ),
+			$nudity ? ' data-share-nudity="true"' : ''
+		);
+	}
+
 	/**
 	 * Validate and sanitize procedure name with comprehensive security
 	 *
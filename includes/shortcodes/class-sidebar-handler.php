@@ -205,7 +205,12 @@ class Sidebar_Handler {
 			}
 		}
 
-		return implode( '', $filters );
+		if ( empty( $filters ) ) {
+			return '';
+		}
+
+		// The list the script turns into a keyboard-navigable procedure tree.
+		return '<div class="brag-book-gallery-nav-list">' . implode( '', $filters ) . '</div>';
 	}
 
 	/**
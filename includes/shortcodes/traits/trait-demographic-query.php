@@ -0,0 +1,391 @@
+<?php
+/**
+ * Demographic query trait.
+ *
+ * Server-side counterpart of the demographic filter panel: narrows a view's
+ * ordered case list to the visitor's age / gender / ethnicity / height / weight
+ * and procedure-detail selections, and counts the options those filters offer.
+ * Working from the full context list rather than the cards already in the page
+ * is what lets a filter find matches on page 4 and report true totals.
+ *
+ * Age, height and weight are selected as inclusive "min-max" ranges from the
+ * panel's sliders (or a shared URL such as ?age=30-45); gender, ethnicity and
+ * procedure details as option values. Heights are compared in inches and
+ * weights in pounds, converting cm / kg the way the panel does.
+ *
+ * @package    BRAGBookGallery
+ * @subpackage Shortcodes\Traits
+ * @since      4.9.5
+ */
+
+namespace BRAGBookGallery\Includes\Shortcodes\Traits;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Trait Trait_Demographic_Query
+ *
+ * @since 4.9.5
+ */
+trait Trait_Demographic_Query {
+
+	/**
+	 * Filter types selected as a numeric "min-max" range rather than values.
+	 *
+	 * @since 4.9.5
+	 * @var string[]
+	 */
+	private static array $range_types = [ 'age', 'height', 'weight' ];
+
+	/**
+	 * Prefix of procedure-detail filter types (procedure_detail_implant_size).
+	 *
+	 * @since 4.9.5
+	 * @var string
+	 */
+	private static string $procedure_detail_prefix = 'procedure_detail_';
+
+	/**
+	 * Sanitize a posted filter selection.
+	 *
+	 * Accepts the JSON object the filter panel posts — filter type to a list of
+	 * values, keyed exactly like the query string — and drops unknown types,
+	 * empty values and anything that isn't a string. Values are lower-cased,
+	 * since every comparison is case-insensitive. Range types keep only
+	 * well-formed "min-max" values, put in ascending order.
+	 *
+	 * @since 4.9.5
+	 * @param mixed $raw JSON string (or already-decoded array) from the request.
+	 * @return array<string,string[]> Filter type => selected values.
+	 */
+	protected static function sanitize_demographic_selection( $raw ): array {
+		$decoded = is_string( $raw ) ? json_decode( $raw, true ) : $raw;
+		if ( ! is_array( $decoded ) ) {
+			return [];
+		}
+
+		$selection = [];
+		foreach ( $decoded as $type => $values ) {
+			$type      = (string) $type;
+			$is_detail = 0 === strpos( $type, self::$procedure_detail_prefix )
+				&& 1 === preg_match( '/^[a-z0-9_]+$/', $type );
+
+			if ( ! $is_detail && ! in_array( $type, [ 'age', 'gender', 'ethnicity', 'height', 'weight' ], true ) ) {
+				continue;
+			}
+
+			$clean = [];
+			foreach ( (array) $values as $value ) {
+				if ( ! is_scalar( $value ) ) {
+					continue;
+				}
+				$value = strtolower( trim( sanitize_text_field( (string) $value ) ) );
+				if ( in_array( $type, self::$range_types, true ) ) {
+					$value = self::parse_range( $value );
+					$value = null === $value ? '' : $value[0] . '-' . $value[1];
+				}
+				if ( '' !== $value ) {
+					$clean[] = $value;
+				}
+			}
+
+			if ( ! empty( $clean ) ) {
+				$selection[ $type ] = array_values( array_unique( $clean ) );
+			}
+		}
+
+		return $selection;
+	}
+
+	/**
+	 * Read the filterable attributes of each case in one pass.
+	 *
+	 * Procedure details are scoped to one API procedure id when given, matching
+	 * the data attributes the cards carry on that procedure's page.
+	 *
+	 * @since 4.9.5
+	 * @param int[]  $case_ids         Case post IDs.
+	 * @param string $api_procedure_id API procedure id to scope details to, or ''.
+	 * @return array<int,array{age:int|null,gender:string,ethnicity:string,height:int|null,weight:int|null,details:array<string,string[]>}>
+	 */
+	protected static function map_cases_to_demographics( array $case_ids, string $api_procedure_id = '' ): array {
+		if ( empty( $case_ids ) ) {
+			return [];
+		}
+
+		update_meta_cache( 'post', $case_ids );
+
+		$rows = [];
+		foreach ( $case_ids as $case_id ) {
+			$age    = get_post_meta( $case_id, 'brag_book_gallery_patient_age', true );
+			$height = get_post_meta( $case_id, 'brag_book_gallery_height', true );
+			$weight = get_post_meta( $case_id, 'brag_book_gallery_weight', true );
+
+			$height_in = null;
+			if ( is_numeric( $height ) ) {
+				$height_in = 'cm' === get_post_meta( $case_id, 'brag_book_gallery_height_unit', true )
+					? (int) round( (int) $height / 2.54 )
+					: (int) $height;
+			}
+
+			$weight_lbs = null;
+			if ( is_numeric( $weight ) ) {
+				$weight_lbs = 'kg' === get_post_meta( $case_id, 'brag_book_gallery_weight_unit', true )
+					? (int) round( (int) $weight * 2.205 )
+					: (int) $weight;
+			}
+
+			$rows[ (int) $case_id ] = [
+				'age'       => is_numeric( $age ) ? (int) $age : null,
+				'gender'    => strtolower( (string) get_post_meta( $case_id, 'brag_book_gallery_patient_gender', true ) ),
+				'ethnicity' => strtolower( (string) get_post_meta( $case_id, 'brag_book_gallery_ethnicity', true ) ),
+				'height'    => $height_in,
+				'weight'    => $weight_lbs,
+				'details'   => self::read_procedure_detail_values( (int) $case_id, $api_procedure_id ),
+			];
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Procedure-detail values of a case, keyed by filter type.
+	 *
+	 * @since 4.9.5
+	 * @param int    $case_id          Case post ID.
+	 * @param string $api_procedure_id API procedure id to scope to, or ''.
+	 * @return array<string,string[]> e.g. procedure_detail_implant_size => [ '300cc' ].
+	 */
+	private static function read_procedure_detail_values( int $case_id, string $api_procedure_id ): array {
+		$details = json_decode( (string) get_post_meta( $case_id, 'brag_book_gallery_procedure_details', true ), true );
+		if ( ! is_array( $details ) ) {
+			return [];
+		}
+
+		if ( '' !== $api_procedure_id ) {
+			$details = isset( $details[ $api_procedure_id ] ) && is_array( $details[ $api_procedure_id ] )
+				? [ $details[ $api_procedure_id ] ]
+				: [];
+		}
+
+		$values = [];
+		foreach ( $details as $fields ) {
+			if ( ! is_array( $fields ) ) {
+				continue;
+			}
+			foreach ( $fields as $label => $value ) {
+				$slug = sanitize_title_with_dashes( (string) $label );
+				if ( '' === $slug ) {
+					continue;
+				}
+				$type = self::$procedure_detail_prefix . str_replace( '-', '_', $slug );
+				foreach ( (array) $value as $item ) {
+					$item = strtolower( trim( (string) $item ) );
+					if ( '' !== $item ) {
+						$values[ $type ][] = $item;
+					}
+				}
+			}
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Split a "min-max" range value into ascending bounds.
+	 *
+	 * @since 4.9.5
+	 * @param string $value Range value, e.g. "30-45".
+	 * @return array{0:int,1:int}|null Null when the value isn't a range.
+	 */
+	private static function parse_range( string $value ): ?array {
+		if ( 1 !== preg_match( '/^(\d+)-(\d+)$/', $value, $matches ) ) {
+			return null;
+		}
+		return [ min( (int) $matches[1], (int) $matches[2] ), max( (int) $matches[1], (int) $matches[2] ) ];
+	}
+
+	/**
+	 * The option values a case has for one value-based filter type.
+	 *
+	 * @since 4.9.5
+	 * @param array  $row  One entry from map_cases_to_demographics().
+	 * @param string $type Filter type.
+	 * @return string[] Matching option values, lower-cased.
+	 */
+	private static function demographic_values_for( array $row, string $type ): array {
+		if ( 'gender' === $type || 'ethnicity' === $type ) {
+			return '' !== $row[ $type ] ? [ $row[ $type ] ] : [];
+		}
+		return $row['details'][ $type ] ?? [];
+	}
+
+	/**
+	 * Whether a case matches one filter type's selected values.
+	 *
+	 * A range type matches when the case's number falls in any selected range,
+	 * bounds included; a case without the number matches no range.
+	 *
+	 * @since 4.9.5
+	 * @param array    $row    One entry from map_cases_to_demographics().
+	 * @param string   $type   Filter type.
+	 * @param string[] $values Selected values for that type.
+	 * @return bool
+	 */
+	private static function row_matches_type( array $row, string $type, array $values ): bool {
+		if ( ! in_array( $type, self::$range_types, true ) ) {
+			return ! empty( array_intersect( $values, self::demographic_values_for( $row, $type ) ) );
+		}
+
+		if ( null === $row[ $type ] ) {
+			return false;
+		}
+		foreach ( $values as $value ) {
+			$range = self::parse_range( $value );
+			if ( null !== $range && $row[ $type ] >= $range[0] && $row[ $type ] <= $range[1] ) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Whether a case matches a selection.
+	 *
+	 * Values within one filter type are alternatives (any may match); separate
+	 * types must all match — the same rule the panel has always applied.
+	 *
+	 * @since 4.9.5
+	 * @param array                  $row       One entry from map_cases_to_demographics().
+	 * @param array<string,string[]> $selection Sanitized selection.
+	 * @return bool
+	 */
+	protected static function case_matches_demographics( array $row, array $selection ): bool {
+		foreach ( $selection as $type => $values ) {
+			if ( ! self::row_matches_type( $row, $type, $values ) ) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	/**
+	 * Narrow an ordered case list to a selection, keeping its order.
+	 *
+	 * @since 4.9.5
+	 * @param int[]                  $case_ids  Ordered case post IDs.
+	 * @param array                  $rows      map_cases_to_demographics() for those IDs.
+	 * @param array<string,string[]> $selection Sanitized selection.
+	 * @return int[]
+	 */
+	protected static function filter_by_demographics( array $case_ids, array $rows, array $selection ): array {
+		if ( empty( $selection ) ) {
+			return $case_ids;
+		}
+
+		return array_values(
+			array_filter(
+				$case_ids,
+				static fn( $id ) => isset( $rows[ $id ] ) && self::case_matches_demographics( $rows[ $id ], $selection )
+			)
+		);
+	}
+
+	/**
+	 * Count the filter options a set of cases offers, and the extent of its
+	 * range types.
+	 *
+	 * Every option some case in the set has is listed, so the panel doesn't
+	 * reshuffle as boxes are ticked. Each count is how many cases the option
+	 * would return given the selections in the *other* filter types: ticking
+	 * "Female" narrows the ethnicity counts but leaves "Male" counting as if it
+	 * were picked instead. An option can therefore count zero. Options are
+	 * listed alphabetically.
+	 *
+	 * Ranges span the lowest and highest value in the whole set, whatever is
+	 * selected, so the sliders keep their scale while they are dragged.
+	 *
+	 * @since 4.9.5
+	 * @param array                  $rows      map_cases_to_demographics() output.
+	 * @param array<string,string[]> $selection Sanitized selection.
+	 * @return array{gender:array,ethnicity:array,details:array,ranges:array}
+	 *               gender and ethnicity hold `{ value, label, count }`; details
+	 *               holds `{ type, label, options }` per procedure-detail field;
+	 *               ranges holds `{ min, max }` (or null) per range type.
+	 */
+	protected static function count_demographic_facets( array $rows, array $selection = [] ): array {
+		$counts = [];
+		$ranges = array_fill_keys( self::$range_types, null );
+		foreach ( $rows as $row ) {
+			foreach ( self::$range_types as $type ) {
+				if ( null !== $row[ $type ] ) {
+					$ranges[ $type ] = [
+						'min' => min( $ranges[ $type ]['min'] ?? $row[ $type ], $row[ $type ] ),
+						'max' => max( $ranges[ $type ]['max'] ?? $row[ $type ], $row[ $type ] ),
+					];
+				}
+			}
+
+			// Selected types this case falls outside of. Missing one only rules
+			// the case out of the other types' counts; missing two rules it out
+			// of every count.
+			$missed = [];
+			foreach ( $selection as $type => $values ) {
+				if ( ! self::row_matches_type( $row, $type, $values ) ) {
+					$missed[] = $type;
+				}
+			}
+
+			$types = array_merge( [ 'gender', 'ethnicity' ], array_keys( $row['details'] ) );
+			foreach ( $types as $type ) {
+				$counts_here = empty( $missed ) || [ $type ] === $missed;
+				foreach ( array_unique( self::demographic_values_for( $row, $type ) ) as $value ) {
+					$counts[ $type ][ $value ] = ( $counts[ $type ][ $value ] ?? 0 ) + ( $counts_here ? 1 : 0 );
+				}
+			}
+		}
+
+		$facets = [
+			'gender'    => self::value_facet( $counts['gender'] ?? [] ),
+			'ethnicity' => self::value_facet( $counts['ethnicity'] ?? [] ),
+			'details'   => [],
+			'ranges'    => $ranges,
+		];
+
+		foreach ( $counts as $type => $values ) {
+			if ( 0 !== strpos( $type, self::$procedure_detail_prefix ) ) {
+				continue;
+			}
+			$facets['details'][] = [
+				'type'    => $type,
+				'label'   => ucwords( str_replace( '_', ' ', substr( $type, strlen( self::$procedure_detail_prefix ) ) ) ),
+				'options' => self::value_facet( $values ),
+			];
+		}
+
+		return $facets;
+	}
+
+	/**
+	 * Free-text options, alphabetical, labelled in title case.
+	 *
+	 * @since 4.9.5
+	 * @param array<string,int> $counts Lower-cased value => count.
+	 * @return array<int,array{value:string,label:string,count:int}>
+	 */
+	private static function value_facet( array $counts ): array {
+		ksort( $counts, SORT_STRING );
+
+		$options = [];
+		foreach ( $counts as $value => $count ) {
+			$options[] = [
+				'value' => (string) $value,
+				'label' => ucwords( (string) $value ),
+				'count' => $count,
+			];
+		}
+		return $options;
+	}
+}
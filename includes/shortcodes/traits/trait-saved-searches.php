@@ -0,0 +1,441 @@
+<?php
+/**
+ * Saved searches trait.
+ *
+ * Lets a favorites user save the gallery view they are on (procedure, provider
+ * and demographic filters) under a name, and lists what was added to each saved
+ * view since they last looked. A saved search belongs to the email the visitor
+ * gave the favorites form and to a random key kept in their browser: the email
+ * alone is not proof of identity on a public endpoint, and which procedures a
+ * person is researching is not something to hand out to anyone who knows
+ * their address. Both are stored hashed.
+ *
+ * "New" means a case created in BRAGbook after the visitor last opened the
+ * search, found by re-resolving the saved context through
+ * Cases_Handler::resolve_context_case_ids() so a saved search matches exactly
+ * what the gallery would show. The creation date comes from the API rather
+ * than the case post, whose date is when the sync imported it.
+ *
+ * @package    BRAGBookGallery
+ * @subpackage Shortcodes\Traits
+ * @since      4.9.5
+ */
+
+namespace BRAGBookGallery\Includes\Shortcodes\Traits;
+
+use BRAGBookGallery\Includes\Core\Nonce_Refresh;
+use BRAGBookGallery\Includes\Core\Setup;
+use BRAGBookGallery\Includes\Data\Database;
+use BRAGBookGallery\Includes\Extend\Post_Types;
+use BRAGBookGallery\Includes\Shortcodes\Cases_Handler;
+use BRAGBookGallery\Includes\Shortcodes\HTML_Renderer;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Trait Trait_Saved_Searches
+ *
+ * Expects the using class to provide send_no_cache_headers(),
+ * within_rate_limit(), sanitize_demographic_selection(),
+ * get_favorites_data_from_post_ids() and get_gallery_page_slug(), as
+ * Favorites_Handler does.
+ *
+ * @since 4.9.5
+ */
+trait Trait_Saved_Searches {
+
+	/**
+	 * Saved-search requests allowed per IP per hour.
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	private static int $saved_search_limit_per_hour = 60;
+
+	/**
+	 * Most saved searches one owner may keep.
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	private static int $max_saved_searches = 20;
+
+	/**
+	 * Most new cases shown per saved search; the total is still reported.
+	 *
+	 * @since 4.9.5
+	 * @var int
+	 */
+	private static int $max_new_cases_shown = 8;
+
+	/**
+	 * Register the saved-search AJAX actions.
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	private static function register_saved_search_actions(): void {
+		add_action( 'wp_ajax_brag_book_save_search', [ self::class, 'ajax_save_search' ] );
+		add_action( 'wp_ajax_nopriv_brag_book_save_search', [ self::class, 'ajax_save_search' ] );
+
+		add_action( 'wp_ajax_brag_book_get_saved_searches', [ self::class, 'ajax_get_saved_searches' ] );
+		add_action( 'wp_ajax_nopriv_brag_book_get_saved_searches', [ self::class, 'ajax_get_saved_searches' ] );
+
+		add_action( 'wp_ajax_brag_book_mark_saved_search_seen', [ self::class, 'ajax_mark_saved_search_seen' ] );
+		add_action( 'wp_ajax_nopriv_brag_book_mark_saved_search_seen', [ self::class, 'ajax_mark_saved_search_seen' ] );
+
+		add_action( 'wp_ajax_brag_book_delete_saved_search', [ self::class, 'ajax_delete_saved_search' ] );
+		add_action( 'wp_ajax_nopriv_brag_book_delete_saved_search', [ self::class, 'ajax_delete_saved_search' ] );
+	}
+
+	/**
+	 * AJAX handler: save the posted view as a named search.
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function ajax_save_search(): void {
+		$owner = self::verify_saved_search_request();
+
+		$name = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified in verify_saved_search_request().
+		$name = mb_substr( trim( $name ), 0, 100 );
+
+		if ( '' === $name ) {
+			wp_send_json_error( [
+				'message' => __( 'Please give this search a name.', 'brag-book-gallery' ),
+			] );
+		}
+
+		$database = self::get_saved_search_database();
+		if ( ! $database ) {
+			wp_send_json_error( [
+				'message' => __( 'Saved searches are unavailable right now.', 'brag-book-gallery' ),
+			] );
+		}
+
+		if ( count( $database->get_saved_searches( $owner['email_hash'], $owner['key_hash'] ) ) >= self::$max_saved_searches ) {
+			wp_send_json_error( [
+				'message' => sprintf(
+					/* translators: %d: maximum number of saved searches */
+					__( 'You can keep up to %d saved searches. Remove one to save another.', 'brag-book-gallery' ),
+					self::$max_saved_searches
+				),
+			] );
+		}
+
+		$id = $database->insert_saved_search(
+			$owner['email_hash'],
+			$owner['key_hash'],
+			$name,
+			self::read_saved_search_context()
+		);
+
+		if ( ! $id ) {
+			brag_book_log( 'BRAGBook Gallery: Failed to save search' );
+			wp_send_json_error( [
+				'message' => __( 'Your search could not be saved. Please try again.', 'brag-book-gallery' ),
+			] );
+		}
+
+		wp_send_json_success( [
+			'id'      => $id,
+			'message' => __( 'Search saved. New cases will show on your favorites page.', 'brag-book-gallery' ),
+		] );
+	}
+
+	/**
+	 * AJAX handler: list the owner's saved searches with their new cases.
+	 *
+	 * Listing leaves "last seen" alone, so the new cases stay listed on every
+	 * reload until the visitor opens the search.
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function ajax_get_saved_searches(): void {
+		$owner    = self::verify_saved_search_request();
+		$database = self::get_saved_search_database();
+
+		if ( ! $database ) {
+			wp_send_json_success( [ 'searches' => [] ] );
+		}
+
+		$searches = [];
+		foreach ( $database->get_saved_searches( $owner['email_hash'], $owner['key_hash'] ) as $search ) {
+			$new = self::find_new_cases( $search['context'], $search['last_seen_at'] );
+
+			$searches[] = [
+				'id'       => $search['id'],
+				'name'     => $search['name'],
+				'url'      => (string) ( $search['context']['url'] ?? '' ),
+				'newCount' => $new['total'],
+				'newCases' => self::describe_new_cases( $new['ids'] ),
+			];
+		}
+
+		wp_send_json_success( [ 'searches' => $searches ] );
+	}
+
+	/**
+	 * AJAX handler: mark one of the owner's saved searches as seen.
+	 *
+	 * Sent when the visitor opens the search, so its "last seen" moves to
+	 * now and the next listing only reports cases added after this.
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function ajax_mark_saved_search_seen(): void {
+		$owner    = self::verify_saved_search_request();
+		$id       = isset( $_POST['id'] ) ? absint( $_POST['id'] ) : 0; // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified in verify_saved_search_request().
+		$database = self::get_saved_search_database();
+
+		if ( ! $id || ! $database || ! $database->touch_saved_search( $id, $owner['email_hash'], $owner['key_hash'] ) ) {
+			wp_send_json_error( [
+				'message' => __( 'That saved search could not be updated.', 'brag-book-gallery' ),
+			] );
+		}
+
+		wp_send_json_success( [ 'id' => $id ] );
+	}
+
+	/**
+	 * AJAX handler: delete one of the owner's saved searches.
+	 *
+	 * @since 4.9.5
+	 * @return void
+	 */
+	public static function ajax_delete_saved_search(): void {
+		$owner    = self::verify_saved_search_request();
+		$id       = isset( $_POST['id'] ) ? absint( $_POST['id'] ) : 0; // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified in verify_saved_search_request().
+		$database = self::get_saved_search_database();
+
+		if ( ! $id || ! $database || ! $database->delete_saved_search( $id, $owner['email_hash'], $owner['key_hash'] ) ) {
+			wp_send_json_error( [
+				'message' => __( 'That saved search could not be removed.', 'brag-book-gallery' ),
+			] );
+		}
+
+		wp_send_json_success( [ 'id' => $id ] );
+	}
+
+	/**
+	 * Check the nonce, owner and quota common to every saved-search request.
+	 *
+	 * Ends the request with a JSON error when any check fails.
+	 *
+	 * @since 4.9.5
+	 * @return array{email_hash:string,key_hash:string}
+	 */
+	private static function verify_saved_search_request(): array {
+		self::send_no_cache_headers();
+
+		if ( ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['nonce'] ?? '' ) ), 'brag_book_gallery_nonce' ) ) {
+			Nonce_Refresh::send_invalid_nonce( __( 'Security verification failed. Please try again.', 'brag-book-gallery' ) );
+		}
+
+		$email     = sanitize_email( wp_unslash( $_POST['email'] ?? '' ) );
+		$owner_key = sanitize_text_field( wp_unslash( $_POST['owner_key'] ?? '' ) );
+
+		if ( empty( $email ) || ! is_email( $email ) || ! self::is_valid_owner_key( $owner_key ) ) {
+			wp_send_json_error( [
+				'message' => __( 'Please add your email on the favorites form first.', 'brag-book-gallery' ),
+			] );
+		}
+
+		if ( ! self::within_rate_limit( 'saved_searches', self::$saved_search_limit_per_hour, HOUR_IN_SECONDS ) ) {
+			wp_send_json_error( [
+				'message' => __( 'Too many requests. Please wait a few minutes and try again.', 'brag-book-gallery' ),
+			] );
+		}
+
+		return self::hash_saved_search_owner( $email, $owner_key );
+	}
+
+	/**
+	 * Whether a browser key looks like one the front end generates.
+	 *
+	 * @since 4.9.5
+	 * @param string $owner_key Key posted by the browser.
+	 * @return bool
+	 */
+	private static function is_valid_owner_key( string $owner_key ): bool {
+		return 1 === preg_match( '/^[a-f0-9]{32,64}$/', $owner_key );
+	}
+
+	/**
+	 * Hash the identifiers a saved search is stored under.
+	 *
+	 * @since 4.9.5
+	 * @param string $email     Owner's email address.
+	 * @param string $owner_key Owner's browser key.
+	 * @return array{email_hash:string,key_hash:string}
+	 */
+	private static function hash_saved_search_owner( string $email, string $owner_key ): array {
+		return [
+			'email_hash' => hash( 'sha256', strtolower( trim( $email ) ) ),
+			'key_hash'   => hash( 'sha256', $owner_key ),
+		];
+	}
+
+	/**
+	 * Read the view being saved from the request.
+	 *
+	 * Keeps only what resolve_context_case_ids() needs to rebuild the view,
+	 * plus the page path to link back to. Location searches and shuffle seeds
+	 * describe one visit rather than a view worth returning to, so they are
+	 * not saved.
+	 *
+	 * @since 4.9.5
+	 * @return array<string,mixed>
+	 */
+	private static function read_saved_search_context(): array {
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Verified in verify_saved_search_request().
+		$context = [
+			'term_id'        => isset( $_POST['term_id'] ) ? absint( $_POST['term_id'] ) : 0,
+			'procedure_slug' => isset( $_POST['procedure_name'] ) ? sanitize_title( wp_unslash( $_POST['procedure_name'] ) ) : '',
+			'provider_id'    => isset( $_POST['provider_id'] ) ? absint( $_POST['provider_id'] ) : 0,
+			'provider_slug'  => isset( $_POST['provider_slug'] ) ? sanitize_title( wp_unslash( $_POST['provider_slug'] ) ) : '',
+			// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized per value by sanitize_demographic_selection().
+			'filters'        => isset( $_POST['filters'] ) ? self::sanitize_demographic_selection( wp_unslash( $_POST['filters'] ) ) : [],
+			'url'            => isset( $_POST['url'] ) ? self::sanitize_saved_search_url( wp_unslash( $_POST['url'] ) ) : '',
+		];
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		return $context;
+	}
+
+	/**
+	 * Reduce a posted page URL to a path on this site.
+	 *
+	 * @since 4.9.5
+	 * @param mixed $url Posted URL.
+	 * @return string Site-relative path and query, or '' when it points elsewhere.
+	 */
+	private static function sanitize_saved_search_url( $url ): string {
+		if ( ! is_string( $url ) || '' === $url ) {
+			return '';
+		}
+
+		$url = esc_url_raw( wp_validate_redirect( $url, '' ) );
+		if ( '' === $url ) {
+			return '';
+		}
+
+		$path = wp_make_link_relative( $url );
+
+		// Protocol-relative paths would leave the site again.
+		return str_starts_with( $path, '/' ) && ! str_starts_with( $path, '//' ) ? $path : '';
+	}
+
+	/**
+	 * The cases in a saved view created after a time.
+	 *
+	 * The API's creation date is stored as an ISO 8601 string, which a date
+	 * query cannot compare, so the view's cases are compared here.
+	 *
+	 * @since 4.9.5
+	 * @param array  $context      Saved view context.
+	 * @param string $last_seen_at GMT datetime the search was last opened.
+	 * @return array{ids:int[],total:int} Newest first, capped at $max_new_cases_shown.
+	 */
+	private static function find_new_cases( array $context, string $last_seen_at ): array {
+		$context['facets'] = false;
+		$case_ids          = Cases_Handler::resolve_context_case_ids( $context )['ids'];
+
+		if ( empty( $case_ids ) ) {
+			return [ 'ids' => [], 'total' => 0 ];
+		}
+
+		$query = new \WP_Query( [
+			'post_type'              => Post_Types::POST_TYPE_CASES,
+			'post_status'            => 'publish',
+			'post__in'               => $case_ids,
+			'posts_per_page'         => -1,
+			'fields'                 => 'ids',
+			'no_found_rows'          => true,
+			'update_post_term_cache' => false,
+		] );
+
+		$post_ids = array_map( 'absint', $query->posts );
+		$since    = (int) strtotime( $last_seen_at . ' UTC' );
+		$new      = [];
+
+		update_meta_cache( 'post', $post_ids );
+
+		foreach ( $post_ids as $post_id ) {
+			$created = self::get_case_created_time( $post_id );
+
+			if ( $created > $since ) {
+				$new[ $post_id ] = $created;
+			}
+		}
+
+		arsort( $new );
+
+		return [
+			'ids'   => array_slice( array_keys( $new ), 0, self::$max_new_cases_shown ),
+			'total' => count( $new ),
+		];
+	}
+
+	/**
+	 * When a case was created in BRAGbook.
+	 *
+	 * Cases synced before the creation date was stored fall back to the
+	 * post's date.
+	 *
+	 * @since 4.9.5
+	 * @param int $post_id Case post ID.
+	 * @return int Unix timestamp.
+	 */
+	private static function get_case_created_time( int $post_id ): int {
+		$created = strtotime( (string) get_post_meta( $post_id, 'brag_book_gallery_created_at', true ) );
+
+		return false !== $created ? $created : (int) get_post_time( 'U', true, $post_id );
+	}
+
+	/**
+	 * Title, link and thumbnail of each new case, for the favorites page.
+	 *
+	 * Cases that would carry a nudity warning in the gallery are listed
+	 * without their thumbnail; the link leads to the warned case page.
+	 *
+	 * @since 4.9.5
+	 * @param int[] $post_ids Case post IDs.
+	 * @return array<int,array{postId:int,title:string,url:string,imageUrl:string}>
+	 */
+	private static function describe_new_cases( array $post_ids ): array {
+		$gallery_slug = ltrim( self::get_gallery_page_slug(), '/' );
+
+		return array_map(
+			static function ( array $case_data ) use ( $gallery_slug ): array {
+				$path = ! empty( $case_data['procedure_slug'] )
+					? '/' . $gallery_slug . '/' . $case_data['procedure_slug'] . '/' . $case_data['seo_suffix'] . '/'
+					: '/' . $gallery_slug . '/' . $case_data['id'] . '/';
+
+				return [
+					'postId'   => (int) $case_data['post_id'],
+					'title'    => (string) ( $case_data['procedure_name'] ?: $case_data['title'] ),
+					'url'      => home_url( $path ),
+					'imageUrl' => HTML_Renderer::should_warn( (int) $case_data['post_id'] ) ? '' : (string) $case_data['image_url'],
+				];
+			},
+			self::get_favorites_data_from_post_ids( $post_ids )
+		);
+	}
+
+	/**
+	 * The database service, when the plugin's services are up.
+	 *
+	 * @since 4.9.5
+	 * @return Database|null
+	 */
+	private static function get_saved_search_database(): ?Database {
+		$database = Setup::get_instance()->get_service( 'database' );
+
+		return $database instanceof Database ? $database : null;
+	}
+}
@@ -3,24 +3,63 @@
  *
  * Used by the [brag_book_carousel] shortcode when it's the only BRAGbook
  * shortcode on the page (e.g., a homepage hero carousel). Bundles just the
- * Carousel class plus the small NudityWarningManager and PhoneFormatter
- * utilities — main-app.js, the four lazy modules, and global-utilities are
- * all skipped, dropping the JS payload from ~136 KB to ~30 KB.
+ * Carousel class, the before/after slider, the analytics bus, the
+ * reduced-motion state and the small NudityWarningManager and PhoneFormatter
+ * utilities, plus the lightbox and
+ * share chunks on demand —
+ * main-app.js, the four lazy modules, and global-utilities are all skipped,
+ * dropping the JS payload from ~136 KB to ~30 KB.
  *
  * If the page also has [brag_book_gallery] / [brag_book_gallery_cases] /
  * [brag_book_gallery_favorites] / [brag_book_gallery_sidebar], the PHP
  * carousel handler enqueues the full brag-book-gallery.min.js bundle
  * instead, and this file is never loaded.
  */
+import Analytics, { track } from './modules/analytics.js';
+import BeforeAfterSlider from './modules/before-after-slider.js';
 import Carousel from './modules/carousel.js';
+import { initMotion } from './modules/motion.js';
 import { NudityWarningManager, PhoneFormatter } from './modules/utilities.js';
 
 document.addEventListener('DOMContentLoaded', function () {
+	new Analytics(window.bragBookGalleryConfig?.analytics);
+	initMotion();
+
+	// The full bundle reports case opens along with its view tracking; here
+	// a slide's link is the only way into a case.
+	document.addEventListener('click', (e) => {
+		const item = e.target.closest('.brag-book-gallery-carousel-link')
+			?.closest('.brag-book-gallery-carousel-item');
+		const caseId = item?.dataset.procedureCaseId || item?.dataset.caseId;
+		if (caseId) {
+			track('case_open', { case_id: caseId, source: 'carousel' });
+		}
+	});
+
 	const carouselElements = document.querySelectorAll('.brag-book-gallery-carousel-wrapper');
 	if (carouselElements.length > 0) {
 		new Carousel({});
 	}
 
+	if (document.querySelector('[data-before-after]')) {
+		new BeforeAfterSlider();
+	}
+
+	if (document.querySelector('.brag-book-gallery-lightbox-trigger')) {
+		import(
+			/* webpackChunkName: "brag-book-gallery-lightbox" */
+			'./modules/lightbox.js'
+		).then(({ default: Lightbox }) => new Lightbox());
+	}
+
+	// Share buttons render on standalone slides too, when sharing is on.
+	if (document.querySelector('.brag-book-gallery-share-button')) {
+		import(
+			/* webpackChunkName: "brag-book-gallery-share" */
+			'./modules/share-manager.js'
+		).then(({ default: ShareManager }) => new ShareManager());
+	}
+
 	new NudityWarningManager();
 	new PhoneFormatter();
 });
@@ -1,3 +1,4 @@
+import { GRID_REQUEST, cancelRequest, getErrorMessage, isSuperseded, postAjax } from './modules/ajax-client.js';
 import { escapeHtml } from './modules/utilities.js';
 
 /**
@@ -29,6 +30,9 @@ import { escapeHtml } from './modules/utilities.js';
 	// once, no matter how many search widgets initialise.
 	let mapsReady = null;
 
+	// Widget roots already initialised.
+	const readyWidgets = new WeakSet();
+
 	/**
 	 * Whether the Maps API is loaded and exposes the dynamic library loader.
 	 *
@@ -188,7 +192,7 @@ import { escapeHtml } from './modules/utilities.js';
 
 		// Remembers the grid markup before the first search so clearing the input
 		// (via the component's built-in clear) can restore it.
-		const state = { originalGrid: null, busy: false, autocompleteEl: null };
+		const state = { originalGrid: null, autocompleteEl: null };
 
 		const setStatus = (message) => {
 			if (status) {
@@ -196,10 +200,30 @@ import { escapeHtml } from './modules/utilities.js';
 			}
 		};
 
-		const runSearch = (lat, lng, label) => {
-			search({ status: setStatus, state, procedure, lat, lng, label });
+		const runSearch = (lat, lng, label, record = true) => {
+			search({ status: setStatus, state, procedure, lat, lng, label, record });
 		};
 
+		// Back/forward: a results entry restored from the router's snapshot
+		// only needs its banner back; after a reload the search runs again.
+		window.addEventListener('bragbook:routechange', (event) => {
+			const { route, restored, fromSnapshot } = event.detail || {};
+			if (!restored || !route || !root.isConnected) {
+				return;
+			}
+
+			if (route.view !== 'location') {
+				setStatus('');
+				return;
+			}
+
+			if (fromSnapshot) {
+				setStatus('Showing cases near ' + route.label + '.');
+			} else {
+				runSearch(route.lat, route.lng, route.label, false);
+			}
+		});
+
 		// Mount the Google Places autocomplete web component. The widget stays
 		// hidden (via the --loading class) until this succeeds, so it only ever
 		// appears when Google Maps has loaded correctly.
@@ -216,7 +240,8 @@ import { escapeHtml } from './modules/utilities.js';
 			// rule alone does not reliably reach its shadow DOM.
 			autocompleteEl.style.colorScheme = 'light';
 			setPlaceholder(autocompleteEl, config.placeholder || 'Enter location...');
-			mount.appendChild(autocompleteEl);
+			// A restored snapshot brings back the previous, now inert component.
+			mount.replaceChildren(autocompleteEl);
 			state.autocompleteEl = autocompleteEl;
 			root.classList.remove('brag-book-gallery-location-search--loading');
 
@@ -239,6 +264,7 @@ import { escapeHtml } from './modules/utilities.js';
 			// restore the original grid and clear the results banner.
 			autocompleteEl.addEventListener('input', () => {
 				if (state.originalGrid !== null && getComponentValue(autocompleteEl) === '') {
+					recordRoute('grid', {});
 					restoreGrid(state);
 					setStatus('');
 				}
@@ -301,7 +327,7 @@ import { escapeHtml } from './modules/utilities.js';
 	 */
 	function search(ctx) {
 		const grid = document.querySelector(GRID_SELECTOR);
-		if (!grid || ctx.state.busy) {
+		if (!grid) {
 			return;
 		}
 
@@ -309,12 +335,11 @@ import { escapeHtml } from './modules/utilities.js';
 			ctx.state.originalGrid = grid.innerHTML;
 		}
 
-		ctx.state.busy = true;
+		grid.setAttribute('aria-busy', 'true');
 		ctx.status('Searching near ' + ctx.label + '…');
 
 		const body = new URLSearchParams();
 		body.set('action', config.action);
-		body.set('nonce', config.nonce);
 		body.set('lat', String(ctx.lat));
 		body.set('lng', String(ctx.lng));
 		body.set('radius', String(config.defaultRadius || 50));
@@ -323,13 +348,11 @@ import { escapeHtml } from './modules/utilities.js';
 			body.set('procedure', ctx.procedure);
 		}
 
-		fetch(config.ajaxUrl, {
-			method: 'POST',
-			headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' },
-			body: body.toString(),
-		})
-			.then((response) => response.json())
+		// A newer search, or any other filter of the grid, aborts this one, so
+		// its results never replace the newer ones.
+		postAjax(body, { url: config.ajaxUrl, key: GRID_REQUEST, idempotent: true })
 			.then((payload) => {
+				grid.removeAttribute('aria-busy');
 				if (!payload || !payload.success) {
 					const message = payload && payload.data && payload.data.message ? payload.data.message : 'Search failed. Please try again.';
 					ctx.status(message);
@@ -337,11 +360,12 @@ import { escapeHtml } from './modules/utilities.js';
 				}
 				renderResults(grid, payload.data, ctx);
 			})
-			.catch(() => {
-				ctx.status('Search failed. Please try again.');
-			})
-			.finally(() => {
-				ctx.state.busy = false;
+			.catch((error) => {
+				if (isSuperseded(error)) {
+					return;
+				}
+				grid.removeAttribute('aria-busy');
+				ctx.status(getErrorMessage(error, 'Search failed. Please try again.'));
 			});
 	}
 
@@ -355,6 +379,12 @@ import { escapeHtml } from './modules/utilities.js';
 	function renderResults(grid, data, ctx) {
 		const count = data.count || 0;
 
+		// Recorded before the grid changes, so the router snapshots the view
+		// this search replaces.
+		if (ctx.record) {
+			recordRoute('location', { lat: ctx.lat, lng: ctx.lng, label: ctx.label });
+		}
+
 		if (count === 0) {
 			grid.innerHTML = '<p class="brag-book-gallery-location-search__empty">' +
 				'No cases found near ' + escapeHtml(ctx.label) + '.</p>';
@@ -382,13 +412,32 @@ import { escapeHtml } from './modules/utilities.js';
 		}
 	}
 
+	/**
+	 * Record a view in history through the gallery router, when the main
+	 * gallery bundle has started one.
+	 *
+	 * @param {string} view Router view name.
+	 * @param {object} data Data the view is rebuilt from.
+	 */
+	function recordRoute(view, data) {
+		if (window.bragBookGalleryRouter) {
+			window.bragBookGalleryRouter.navigate(view, window.location.href, data);
+		}
+	}
+
 	/**
 	 * Restore the case grid to its pre-search markup.
 	 *
 	 * @param {object} state Widget state holding the original grid HTML.
 	 */
 	function restoreGrid(state) {
+		// A search still on its way would replace the grid restored here.
+		cancelRequest(GRID_REQUEST);
+
 		const grid = document.querySelector(GRID_SELECTOR);
+		if (grid) {
+			grid.removeAttribute('aria-busy');
+		}
 		if (grid && state.originalGrid !== null) {
 			grid.innerHTML = state.originalGrid;
 		}
@@ -404,10 +453,13 @@ import { escapeHtml } from './modules/utilities.js';
 	 */
 	function initAll() {
 		document.querySelectorAll('.brag-book-gallery-location-search').forEach((root) => {
-			if (root.dataset.locationSearchReady === 'true') {
+			// Tracked by node rather than a data attribute: markup the gallery
+			// router restores from a snapshot carries every attribute, but none
+			// of the listeners, and must be wired up again.
+			if (readyWidgets.has(root)) {
 				return;
 			}
-			root.dataset.locationSearchReady = 'true';
+			readyWidgets.add(root);
 			initWidget(root);
 		});
 	}
@@ -0,0 +1,455 @@
+/**
+ * AJAX Client
+ *
+ * The one request layer under the gallery front end: admin-ajax POSTs go
+ * through postAjax(), the gallery data GETs through getGalleryData() on top
+ * of request(). Every request gets a timeout, and idempotent ones are retried
+ * with exponential backoff when the network or the server fails them.
+ *
+ * A request may name a key. Starting another request under the same key
+ * aborts the first, so when a visitor clicks through filters or cases faster
+ * than the server answers, only the last click's response reaches the page.
+ * Keys live on window, so the provider filter and location search bundles,
+ * which carry their own copy of this module, supersede the main bundle's
+ * requests too.
+ *
+ * Failures come back one way everywhere. A server that answered resolves
+ * with its `{success, data}` body, successful or not. A request that got no
+ * usable answer rejects with a RequestError, whose `code` says why: it was
+ * superseded (`aborted`), took too long (`timeout`), never reached the server
+ * (`network`), or came back as something other than JSON (`invalid_response`).
+ * getErrorMessage() turns one into text for the visitor; superseded requests
+ * are not failures and should be ignored (see isSuperseded()).
+ *
+ * admin-ajax POSTs carry a nonce printed into the page. A full-page cache can
+ * keep serving that page long after the nonce expires, and handlers refuse a
+ * stale nonce with the error code `invalid_nonce` (see
+ * includes/core/class-nonce-refresh.php). postAjax() recognises it, fetches
+ * fresh nonces from the uncached refresh action, hands them to every config
+ * on the page, and sends the request again once. A retry that is refused too
+ * is marked, so the server records it in the debug log.
+ */
+
+const REFRESH_ACTION = 'brag_book_gallery_refresh_nonce';
+const INVALID_NONCE = 'invalid_nonce';
+const RETRY_FIELD = 'nonce_retry';
+
+// Page configs that carry the gallery nonce, in the order they are trusted
+const NONCE_CONFIGS = ['bragBookGalleryConfig', 'bragBookProviderFilter', 'bragBookLocationSearch'];
+
+const DEFAULT_TIMEOUT = 15000;
+const IDEMPOTENT_RETRIES = 2;
+const BACKOFF_BASE = 500;
+
+/**
+ * Requests that replace the case grid: demographic, provider and location
+ * filters and the procedure filter. Each supersedes the last, and any page
+ * still loading into the grid it replaces.
+ */
+export const GRID_REQUEST = 'case-grid';
+
+/** Load More pages appended to the case grid */
+export const GRID_PAGE_REQUEST = 'case-grid-page';
+
+/** The case detail view opened in place of the grid */
+export const CASE_DETAILS_REQUEST = 'case-details';
+
+// What else a request under a key makes obsolete
+const SUPERSEDES = {
+	[GRID_REQUEST]: [GRID_PAGE_REQUEST]
+};
+
+// Requests in flight under a key, shared by every bundle on the page
+const inFlight = window.bragBookGalleryRequests || (window.bragBookGalleryRequests = new Map());
+
+// One refresh at a time, however many requests failed together
+let refreshing = null;
+
+/**
+ * A request that got no usable answer
+ */
+export class RequestError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {'aborted'|'timeout'|'network'|'invalid_response'} code - Why the request failed
+	 * @param {number} [status=0] - HTTP status, when a response came back
+	 */
+	constructor(message, code, status = 0) {
+		super(message);
+		this.name = 'RequestError';
+		this.code = code;
+		this.status = status;
+	}
+}
+
+/**
+ * Whether an error is a request a newer one replaced
+ *
+ * Checks the code rather than the class, so errors from another bundle's
+ * copy of this module count too.
+ *
+ * @param {*} error
+ * @returns {boolean}
+ */
+export function isSuperseded(error) {
+	return error?.code === 'aborted';
+}
+
+/**
+ * Text for the visitor about a failed request
+ *
+ * @param {*} error - A RequestError, or anything a caller threw
+ * @param {string} fallback - Message for failures the visitor can do nothing specific about
+ * @returns {string}
+ */
+export function getErrorMessage(error, fallback) {
+	switch (error?.code) {
+		case 'timeout':
+			return 'The server is taking too long to respond. Please try again.';
+		case 'network':
+			return 'Could not reach the server. Please check your connection and try again.';
+		default:
+			return fallback;
+	}
+}
+
+/**
+ * Abort the request in flight under a key, if any
+ *
+ * @param {string} key
+ */
+export function cancelRequest(key) {
+	inFlight.get(key)?.abort();
+	inFlight.delete(key);
+}
+
+/**
+ * Take a key for a new request, aborting whatever it supersedes
+ *
+ * @param {string} key - Empty for a request nothing supersedes
+ * @returns {AbortController}
+ */
+function claim(key) {
+	const controller = new AbortController();
+
+	if (key) {
+		cancelRequest(key);
+		(SUPERSEDES[key] || []).forEach(cancelRequest);
+		inFlight.set(key, controller);
+	}
+
+	return controller;
+}
+
+/**
+ * Give a key back once its request is done, unless a newer one holds it
+ *
+ * @param {string} key
+ * @param {AbortController} controller
+ */
+function release(key, controller) {
+	if (key && inFlight.get(key) === controller) {
+		inFlight.delete(key);
+	}
+}
+
+/**
+ * Wait before a retry
+ *
+ * @param {number} attempt - Retries made so far
+ * @param {AbortSignal} signal - Ends the wait when the request is superseded
+ * @returns {Promise<void>}
+ */
+function backoff(attempt, signal) {
+	// Jitter keeps visitors who failed together from retrying together
+	const delay = BACKOFF_BASE * 2 ** attempt + Math.random() * BACKOFF_BASE;
+
+	return new Promise((resolve, reject) => {
+		const timer = setTimeout(resolve, delay);
+		signal.addEventListener('abort', () => {
+			clearTimeout(timer);
+			reject(new RequestError('Request superseded', 'aborted'));
+		}, { once: true });
+	});
+}
+
+/**
+ * Make one attempt at a request
+ *
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {number} timeout - Milliseconds, 0 for none
+ * @param {AbortSignal} signal - Aborts the attempt when the request is superseded
+ * @returns {Promise<{response: Response, result: *}>}
+ * @throws {RequestError}
+ */
+async function attempt(url, init, timeout, signal) {
+	if (signal.aborted) {
+		throw new RequestError('Request superseded', 'aborted');
+	}
+
+	const controller = new AbortController();
+	const abort = () => controller.abort();
+	let timedOut = false;
+	const timer = timeout > 0 ? setTimeout(() => {
+		timedOut = true;
+		controller.abort();
+	}, timeout) : 0;
+	signal.addEventListener('abort', abort, { once: true });
+
+	let response;
+	try {
+		response = await fetch(url, { ...init, signal: controller.signal });
+
+		// The body counts toward the timeout too
+		return { response, result: await response.json() };
+	} catch (error) {
+		if (signal.aborted) {
+			throw new RequestError('Request superseded', 'aborted');
+		}
+		if (timedOut) {
+			throw new RequestError('Request timed out', 'timeout');
+		}
+		if (response) {
+			throw new RequestError(`HTTP error! status: ${response.status}`, 'invalid_response', response.status);
+		}
+		throw new RequestError(error?.message || 'Network error', 'network');
+	} finally {
+		clearTimeout(timer);
+		signal.removeEventListener('abort', abort);
+	}
+}
+
+/**
+ * Whether an HTTP status is a failure the same request may not meet again
+ *
+ * @param {number} status
+ * @returns {boolean}
+ */
+function isTransientStatus(status) {
+	return status === 429 || status >= 500;
+}
+
+/**
+ * Make a request, retrying failures that are worth another try
+ *
+ * Timeouts, network errors, 429s and 5xx answers are retried; anything else
+ * would fail the same way again.
+ *
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {{timeout: number, retries: number}} options
+ * @param {AbortSignal} signal
+ * @returns {Promise<{response: Response, result: *}>}
+ * @throws {RequestError}
+ */
+async function send(url, init, { timeout, retries }, signal) {
+	for (let tries = 0; ; tries++) {
+		let outcome = null;
+		try {
+			outcome = await attempt(url, init, timeout, signal);
+		} catch (error) {
+			const transient = error.code === 'timeout' || error.code === 'network' || isTransientStatus(error.status);
+			if (tries >= retries || !transient) {
+				throw error;
+			}
+		}
+
+		if (outcome && (tries >= retries || !isTransientStatus(outcome.response.status))) {
+			return outcome;
+		}
+
+		await backoff(tries, signal);
+	}
+}
+
+/**
+ * Make a request through the shared request layer
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {FormData|URLSearchParams} [options.body]
+ * @param {*} [options.json] - Data to send as a JSON body, in place of `body`
+ * @param {RequestCredentials} [options.credentials='same-origin']
+ * @param {RequestCache} [options.cache='default']
+ * @param {boolean} [options.keepalive=false] - Let the request outlive the page
+ * @param {number} [options.timeout] - Milliseconds each attempt may take, 0 for no limit
+ * @param {number} [options.retries] - Retries after a failure; GETs default to two, anything else to none
+ * @param {string} [options.key] - Abort the request in flight under this key, and be abortable by the next
+ * @returns {Promise<{response: Response, result: *}>} The response and its parsed JSON body
+ * @throws {RequestError} When no usable answer came back
+ */
+export async function request(url, {
+	method = 'GET',
+	body,
+	json,
+	credentials = 'same-origin',
+	cache = 'default',
+	keepalive = false,
+	timeout = DEFAULT_TIMEOUT,
+	retries = method === 'GET' ? IDEMPOTENT_RETRIES : 0,
+	key = ''
+} = {}) {
+	const controller = claim(key);
+	const init = { method, body, credentials, cache, keepalive };
+
+	if (json !== undefined) {
+		init.body = JSON.stringify(json);
+		init.headers = { 'Content-Type': 'application/json' };
+	}
+
+	try {
+		return await send(url, init, { timeout, retries }, controller.signal);
+	} finally {
+		release(key, controller);
+	}
+}
+
+/**
+ * The admin-ajax URL from whichever config the page has
+ *
+ * @returns {string}
+ */
+function getAjaxUrl() {
+	for (const name of NONCE_CONFIGS) {
+		if (window[name]?.ajaxUrl) {
+			return window[name].ajaxUrl;
+		}
+	}
+	return '/wp-admin/admin-ajax.php';
+}
+
+/**
+ * The current nonce of a kind
+ *
+ * @param {'gallery'|'consultation'} [kind='gallery'] - Which nonce the action checks
+ * @returns {string}
+ */
+export function getNonce(kind = 'gallery') {
+	if (kind === 'consultation' && window.bragBookGalleryConfig?.consultation_nonce) {
+		return window.bragBookGalleryConfig.consultation_nonce;
+	}
+
+	for (const name of NONCE_CONFIGS) {
+		if (window[name]?.nonce) {
+			return window[name].nonce;
+		}
+	}
+	return '';
+}
+
+/**
+ * Fetch fresh nonces and store them wherever the page keeps one
+ *
+ * @returns {Promise<{nonce: string, consultationNonce: string}>}
+ */
+export function refreshNonces() {
+	if (refreshing) {
+		return refreshing;
+	}
+
+	const url = new URL(getAjaxUrl(), window.location.href);
+	url.searchParams.set('action', REFRESH_ACTION);
+
+	refreshing = request(url.toString(), { cache: 'no-store' })
+		.then(({ result }) => {
+			if (!result?.success || !result.data?.nonce) {
+				throw new Error('Nonce refresh failed');
+			}
+
+			NONCE_CONFIGS.forEach(name => {
+				if (window[name]) {
+					window[name].nonce = result.data.nonce;
+				}
+			});
+			if (window.bragBookGalleryConfig) {
+				window.bragBookGalleryConfig.consultation_nonce = result.data.consultationNonce;
+			}
+
+			return result.data;
+		})
+		.finally(() => {
+			refreshing = null;
+		});
+
+	return refreshing;
+}
+
+/**
+ * Whether a response is a refusal of the nonce
+ *
+ * Handlers answer with the `invalid_nonce` code; check_ajax_referer() dies
+ * with a bare -1.
+ *
+ * @param {Response} response
+ * @param {*} result - Parsed body
+ * @returns {boolean}
+ */
+function isNonceFailure(response, result) {
+	return result?.data?.code === INVALID_NONCE || (response.status === 403 && result === -1);
+}
+
+/**
+ * POST to admin-ajax with the current nonce, refreshing it once if refused
+ *
+ * POSTs are not retried unless marked idempotent: most change something,
+ * and one the server got but never answered would happen twice.
+ *
+ * @param {FormData|URLSearchParams|Object<string, string>} fields - Request fields, action included; the nonce is set here
+ * @param {Object} [options]
+ * @param {'gallery'|'consultation'} [options.nonce='gallery'] - Which nonce the action checks
+ * @param {string} [options.url] - admin-ajax URL, when not the page's
+ * @param {boolean} [options.keepalive=false] - Let the request outlive the page
+ * @param {number} [options.timeout] - Milliseconds each attempt may take
+ * @param {boolean} [options.idempotent=false] - The action only reads, so a failure may be retried
+ * @param {number} [options.retries] - Retries after a failure; two when idempotent, none otherwise
+ * @param {string} [options.key] - Abort the request in flight under this key, and be abortable by the next
+ * @returns {Promise<Object>} The `{success, data}` response, failures included
+ * @throws {RequestError} When no usable answer came back
+ */
+export async function postAjax(fields, {
+	nonce = 'gallery',
+	url = getAjaxUrl(),
+	keepalive = false,
+	timeout = DEFAULT_TIMEOUT,
+	idempotent = false,
+	retries = idempotent ? IDEMPOTENT_RETRIES : 0,
+	key = ''
+} = {}) {
+	const body = fields instanceof FormData || fields instanceof URLSearchParams
+		? fields
+		: new URLSearchParams(fields);
+	body.set('nonce', getNonce(nonce));
+
+	// One key for the request and its retry, so a newer request aborts
+	// either and the retry never aborts a newer request
+	const controller = claim(key);
+	const init = { method: 'POST', body, credentials: 'same-origin', keepalive };
+	const options = { timeout, retries };
+
+	try {
+		const { response, result } = await send(url, init, options, controller.signal);
+		if (!isNonceFailure(response, result)) {
+			return result;
+		}
+
+		try {
+			const fresh = await refreshNonces();
+			body.set('nonce', nonce === 'consultation' ? fresh.consultationNonce : fresh.nonce);
+		} catch (error) {
+			console.error('BRAGBook: Could not refresh the expired security token:', error);
+			return result;
+		}
+		body.set(RETRY_FIELD, '1');
+
+		const retry = await send(url, init, options, controller.signal);
+		if (isNonceFailure(retry.response, retry.result)) {
+			console.error(`BRAGBook: ${body.get('action')} refused a fresh security token; see the site's debug log.`);
+		}
+
+		return retry.result;
+	} finally {
+		release(key, controller);
+	}
+}
@@ -0,0 +1,301 @@
+/**
+ * Gallery Analytics Events
+ *
+ * Every interaction worth measuring is reported here as a structured event,
+ * so tag managers and analytics tools can listen for it instead of scraping
+ * the gallery's markup. Modules call track(); the Analytics bus the app
+ * creates hands each event to its adapters (Tag Manager's dataLayer, GA4's
+ * gtag, this site's REST sink) and to anything subscribed through
+ * window.bragBookGalleryAnalytics.
+ *
+ * An event is { name, data, time, page }, page being the path it happened
+ * on. The names, and what data carries:
+ *
+ * - filter_change        { filters }  demographic filters changed; filters maps
+ *                         each type (age, gender, procedure_detail_…) to its values
+ * - search               { query, results }  procedure search results shown
+ *                         for a new query
+ * - search_select        { query, procedure, name }  a search result was chosen
+ * - favorite_add         { case_id }
+ * - favorite_remove      { case_id }
+ * - carousel_slide       { carousel, index, case_id }  the visitor moved a
+ *                         carousel; autoplay does not count
+ * - case_open            { case_id, source }  source is card, carousel or page
+ *                         (the case page itself, loaded directly or in place)
+ * - load_more            { page, cases }  another page of cases was loaded;
+ *                         cases is how many are now shown
+ * - consultation_submit  { post_id, procedure }  a consultation request was sent
+ * - nudity_accept        {}  the nudity warning was accepted
+ * - share                { channel, case_id, post_id, photo }
+ *
+ * case_id is always the procedure case ID (data-procedure-case-id), post_id
+ * the case's WordPress post. Keys are snake_case so they pass to GA4 as-is.
+ *
+ * Listening:
+ *
+ *     window.bragBookGalleryAnalytics.on('case_open', (event) => { … });
+ *     window.bragBookGalleryAnalytics.on('*', (event) => { … });
+ *     window.bragBookGalleryAnalytics.addAdapter((event) => { … });
+ *
+ * or, from a script that may run before the gallery, listen for the
+ * bragbook:analytics DOM event on document; its detail is the event.
+ *
+ * track() only dispatches that DOM event, so copies of this module bundled
+ * into the lazy chunks and the carousel-only entry all report to the one bus.
+ * The DOM event fires whatever the visitor's consent; the bus holds events
+ * back from adapters and subscribers until statistics consent (consent.js).
+ */
+
+import { request } from './ajax-client.js';
+import { whenConsented } from './consent.js';
+
+export const ANALYTICS_EVENT = 'bragbook:analytics';
+
+// Prefix event names get in the dataLayer and GA4, where they sit beside
+// every other tag on the site.
+const EVENT_PREFIX = 'bragbook_';
+
+// Events posted to the REST sink at once, and how long one waits for company.
+// The batch size matches Analytics_Events::MAX_BATCH.
+const REST_BATCH_SIZE = 20;
+const REST_BATCH_DELAY = 5000;
+
+/**
+ * Report an analytics event
+ *
+ * @param {string} name - Event name, one of those listed above
+ * @param {Object} [data] - Event details
+ */
+export function track(name, data = {}) {
+	document.dispatchEvent(new CustomEvent(ANALYTICS_EVENT, {
+		detail: {
+			name,
+			data,
+			time: Date.now(),
+			page: window.location.pathname,
+		},
+	}));
+}
+
+/**
+ * Flatten event data into the single-level, scalar parameters GA4 takes
+ *
+ * Lists become comma-separated strings and nested objects are joined to
+ * their parent's key, so { filters: { age: ['25-34'] } } is filters_age.
+ *
+ * @param {Object} data - Event details
+ * @param {string} [prefix] - Key of the object being flattened
+ * @returns {Object<string, string|number|boolean>}
+ */
+function flattenParams(data, prefix = '') {
+	return Object.entries(data).reduce((params, [key, value]) => {
+		const name = prefix ? `${prefix}_${key}` : key;
+
+		if (Array.isArray(value)) {
+			params[name] = value.join(',');
+		} else if (value && typeof value === 'object') {
+			Object.assign(params, flattenParams(value, name));
+		} else if (value !== undefined && value !== null) {
+			params[name] = value;
+		}
+
+		return params;
+	}, {});
+}
+
+/**
+ * Adapter pushing events to the Google Tag Manager dataLayer
+ *
+ * The details go under a bragbook key. Tag Manager merges pushes into one
+ * model, so the key is cleared first or details from the last event would
+ * leak into this one.
+ *
+ * @param {Object} event - Analytics event
+ */
+export function dataLayerAdapter(event) {
+	window.dataLayer = window.dataLayer || [];
+	window.dataLayer.push({ bragbook: null });
+	window.dataLayer.push({
+		event: EVENT_PREFIX + event.name,
+		bragbook: { ...event.data },
+	});
+}
+
+/**
+ * Adapter sending events to GA4 through the site's own gtag()
+ *
+ * @param {Object} event - Analytics event
+ */
+export function gtagAdapter(event) {
+	if (typeof window.gtag !== 'function') {
+		return;
+	}
+
+	window.gtag('event', EVENT_PREFIX + event.name, flattenParams(event.data));
+}
+
+/**
+ * Analytics Bus
+ *
+ * Receives every track()ed event and passes it to the adapters and
+ * subscribers. A failing adapter or subscriber is logged and skipped, never
+ * allowed to break the gallery.
+ */
+class Analytics {
+	/**
+	 * @param {Object} [options]
+	 * @param {boolean} [options.dataLayer] Push events to the Tag Manager dataLayer
+	 * @param {boolean} [options.gtag] Send events to GA4 with gtag()
+	 * @param {string} [options.endpoint] REST route events are batched to; empty for none
+	 */
+	constructor(options = {}) {
+		this.adapters = [];
+		this.handlers = new Map();
+		this.restQueue = [];
+		this.restTimer = null;
+
+		if (options.dataLayer) {
+			this.addAdapter(dataLayerAdapter);
+		}
+		if (options.gtag) {
+			this.addAdapter(gtagAdapter);
+		}
+		if (options.endpoint) {
+			this.endpoint = options.endpoint;
+			this.addAdapter((event) => this.queueForRest(event));
+		}
+
+		this.init();
+	}
+
+	init() {
+		document.addEventListener(ANALYTICS_EVENT, (e) => this.dispatch(e.detail));
+
+		// The share menu announces shares with its own event; carry them on.
+		document.addEventListener('bragbook:share', (e) => {
+			const { type, caseId, postId, photo } = e.detail || {};
+			track('share', {
+				channel: type,
+				case_id: caseId || '',
+				post_id: postId || '',
+				photo: photo || 0,
+			});
+		});
+
+		if (this.endpoint) {
+			// Whatever is still queued goes out as the visitor leaves.
+			document.addEventListener('visibilitychange', () => {
+				if (document.visibilityState === 'hidden') {
+					this.flushRest();
+				}
+			});
+			window.addEventListener('pagehide', () => this.flushRest());
+		}
+
+		window.bragBookGalleryAnalytics = {
+			on: (name, handler) => this.on(name, handler),
+			addAdapter: (adapter) => this.addAdapter(adapter),
+			track,
+		};
+	}
+
+	/**
+	 * Subscribe to one event, or to all of them with '*'
+	 *
+	 * @param {string} name - Event name, or '*'
+	 * @param {function(Object): void} handler - Called with the event
+	 * @returns {function(): void} Unsubscribes the handler
+	 */
+	on(name, handler) {
+		if (!this.handlers.has(name)) {
+			this.handlers.set(name, new Set());
+		}
+		this.handlers.get(name).add(handler);
+
+		return () => this.handlers.get(name).delete(handler);
+	}
+
+	/**
+	 * Send every event through another adapter
+	 *
+	 * @param {function(Object): void} adapter - Called with each event
+	 */
+	addAdapter(adapter) {
+		if (typeof adapter === 'function') {
+			this.adapters.push(adapter);
+		}
+	}
+
+	/**
+	 * Hand one event to the adapters and subscribers, once the visitor has
+	 * consented to statistics
+	 *
+	 * @param {Object} event - Analytics event
+	 */
+	dispatch(event) {
+		if (!event || !event.name) {
+			return;
+		}
+
+		whenConsented('statistics', () => this.deliver(event));
+	}
+
+	/**
+	 * @param {Object} event - Analytics event
+	 */
+	deliver(event) {
+		const listeners = [
+			...this.adapters,
+			...(this.handlers.get(event.name) || []),
+			...(this.handlers.get('*') || []),
+		];
+
+		listeners.forEach(listener => {
+			try {
+				listener(event);
+			} catch (error) {
+				console.warn(`BRAGBook: Analytics listener failed for ${event.name}:`, error);
+			}
+		});
+	}
+
+	/**
+	 * Queue an event for the REST sink, sending once a batch fills or waits
+	 * long enough
+	 *
+	 * @param {Object} event - Analytics event
+	 */
+	queueForRest(event) {
+		this.restQueue.push({ name: event.name, data: event.data, page: event.page });
+
+		if (this.restQueue.length >= REST_BATCH_SIZE) {
+			this.flushRest();
+		} else if (!this.restTimer) {
+			this.restTimer = setTimeout(() => this.flushRest(), REST_BATCH_DELAY);
+		}
+	}
+
+	/**
+	 * Post everything queued for the REST sink
+	 *
+	 * keepalive lets the last batch finish after the page is gone. Failures
+	 * are dropped: analytics are not worth retrying at the visitor's expense.
+	 */
+	flushRest() {
+		clearTimeout(this.restTimer);
+		this.restTimer = null;
+
+		while (this.restQueue.length) {
+			request(this.endpoint, {
+				method: 'POST',
+				json: { events: this.restQueue.splice(0, REST_BATCH_SIZE) },
+				credentials: 'omit',
+				keepalive: true,
+			}).catch(error => {
+				console.warn('BRAGBook: Analytics batch could not be sent:', error.message);
+			});
+		}
+	}
+}
+
+export default Analytics;
@@ -0,0 +1,236 @@
+import { escapeHtml, isCoveredByNudityWarning } from './utilities.js';
+
+/**
+ * Before/After Slider
+ *
+ * Lays the before photo over the after photo and clips it at a draggable
+ * divider, horizontally or vertically. The markup comes from
+ * HTML_Renderer::render_before_after_slider() or renderBeforeAfterSlider()
+ * below, and one set of delegated listeners drives every slider on the page,
+ * including ones added later by AJAX, the carousel or the favorites grid.
+ *
+ * A native range input carries the position, so the keyboard, screen readers
+ * and form-control semantics come for free; pointer dragging just writes to
+ * it. While a nudity warning still covers a slider it cannot be moved.
+ */
+
+const SLIDER_SELECTOR = '[data-before-after]';
+const RANGE_SELECTOR = '.brag-book-gallery-before-after__range';
+
+// Pointer travel, in pixels, before a press counts as a drag rather than a tap.
+const DRAG_THRESHOLD = 3;
+
+class BeforeAfterSlider {
+	constructor() {
+		this.drag = null;
+		this.suppressClick = false;
+		this.init();
+	}
+
+	init() {
+		document.addEventListener('input', (e) => {
+			const range = e.target.closest?.(RANGE_SELECTOR);
+			if (!range) return;
+
+			const slider = range.closest(SLIDER_SELECTOR);
+			if (this.isBlocked(slider)) {
+				this.setPosition(slider, this.getPosition(slider));
+				return;
+			}
+
+			this.setPosition(slider, Number(range.value));
+		});
+
+		document.addEventListener('keydown', (e) => {
+			const range = e.target.closest?.(RANGE_SELECTOR);
+			if (range && this.isBlocked(range.closest(SLIDER_SELECTOR))) {
+				e.preventDefault();
+			}
+		});
+
+		// Capture phase, so a carousel track never starts its own drag
+		// underneath the divider.
+		document.addEventListener('pointerdown', (e) => this.onPointerDown(e), true);
+		document.addEventListener('pointermove', (e) => this.onPointerMove(e));
+		document.addEventListener('pointerup', (e) => this.onPointerUp(e));
+		document.addEventListener('pointercancel', () => this.endDrag());
+
+		// A drag must not end as a click on the card link around the slider.
+		document.addEventListener('click', (e) => {
+			if (!this.suppressClick) return;
+
+			this.suppressClick = false;
+			e.preventDefault();
+			e.stopPropagation();
+		}, true);
+
+		// The card skeleton normally hides from the image's inline onload.
+		document.addEventListener('load', (e) => {
+			if (!e.target.matches?.('.brag-book-gallery-before-after__image--after')) return;
+
+			const skeleton = e.target.closest('.brag-book-gallery-image-container')
+				?.querySelector('.brag-book-gallery-skeleton-loader');
+			if (skeleton) {
+				skeleton.style.display = 'none';
+			}
+		}, true);
+	}
+
+	/**
+	 * Whether a nudity warning still covers the slider
+	 *
+	 * @param {HTMLElement|null} slider Slider root
+	 * @returns {boolean}
+	 */
+	isBlocked(slider) {
+		return isCoveredByNudityWarning(slider);
+	}
+
+	/**
+	 * @param {HTMLElement} slider Slider root
+	 * @returns {number} Share of the frame showing the before photo, 0-100
+	 */
+	getPosition(slider) {
+		return Number(slider.querySelector(RANGE_SELECTOR)?.value ?? 50);
+	}
+
+	/**
+	 * Move the divider
+	 *
+	 * @param {HTMLElement} slider Slider root
+	 * @param {number} value Share of the frame showing the before photo, 0-100
+	 */
+	setPosition(slider, value) {
+		const position = Math.round(Math.min(100, Math.max(0, value)));
+		const range = slider.querySelector(RANGE_SELECTOR);
+
+		slider.style.setProperty('--brag-book-before-after-position', `${position}%`);
+
+		if (range) {
+			range.value = String(position);
+			range.setAttribute('aria-valuetext', `${position}% before`);
+		}
+	}
+
+	/**
+	 * Position under a pointer event, along the slider's axis
+	 *
+	 * @param {HTMLElement} slider Slider root
+	 * @param {PointerEvent} e Pointer event
+	 * @returns {number}
+	 */
+	positionFromPointer(slider, e) {
+		const rect = slider.getBoundingClientRect();
+
+		if (slider.dataset.orientation === 'vertical') {
+			return rect.height ? ((e.clientY - rect.top) / rect.height) * 100 : 50;
+		}
+
+		return rect.width ? ((e.clientX - rect.left) / rect.width) * 100 : 50;
+	}
+
+	onPointerDown(e) {
+		if (e.button !== 0) return;
+
+		const slider = e.target.closest?.(SLIDER_SELECTOR);
+		if (!slider || this.isBlocked(slider)) return;
+
+		e.stopPropagation();
+		this.drag = {
+			slider,
+			pointerId: e.pointerId,
+			startX: e.clientX,
+			startY: e.clientY,
+			moved: false
+		};
+	}
+
+	onPointerMove(e) {
+		if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+		const { slider } = this.drag;
+
+		if (!this.drag.moved) {
+			const travel = Math.hypot(e.clientX - this.drag.startX, e.clientY - this.drag.startY);
+			if (travel < DRAG_THRESHOLD) return;
+
+			this.drag.moved = true;
+			slider.classList.add('is-dragging');
+			try {
+				slider.setPointerCapture(e.pointerId);
+			} catch (error) {
+				// The pointer may already be gone; the drag still ends on pointerup.
+			}
+		}
+
+		e.preventDefault();
+		this.setPosition(slider, this.positionFromPointer(slider, e));
+	}
+
+	onPointerUp(e) {
+		if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+		const { slider, moved } = this.drag;
+
+		// A tap jumps the divider to where it landed.
+		this.setPosition(slider, this.positionFromPointer(slider, e));
+		this.suppressClick = true;
+		this.endDrag();
+
+		// Keyboard users carry on from the new position.
+		if (!moved) {
+			slider.querySelector(RANGE_SELECTOR)?.focus({ preventScroll: true });
+		}
+
+		// The click that follows is dispatched synchronously after pointerup;
+		// anything later is a new interaction.
+		setTimeout(() => {
+			this.suppressClick = false;
+		}, 0);
+	}
+
+	endDrag() {
+		this.drag?.slider.classList.remove('is-dragging');
+		this.drag = null;
+	}
+}
+
+/**
+ * Build slider markup in the browser
+ *
+ * Mirrors HTML_Renderer::render_before_after_slider() for cards that are
+ * rendered client-side.
+ *
+ * @param {Object} options
+ * @param {string} options.before Before photo URL
+ * @param {string} options.after After photo URL
+ * @param {string} options.alt Case description for the alt text
+ * @param {string} [options.mode='slider'] 'slider' or 'slider_vertical'
+ * @param {boolean} [options.lazy=true] Lazy-load the photos
+ * @returns {string} HTML
+ */
+const renderBeforeAfterSlider = ({ before, after, alt, mode = 'slider', lazy = true }) => {
+	const orientation = mode === 'slider_vertical' ? 'vertical' : 'horizontal';
+	const loading = lazy ? 'lazy' : 'eager';
+	const safeAlt = escapeHtml(alt);
+
+	return `<div class="brag-book-gallery-before-after brag-book-gallery-before-after--${orientation}" data-before-after data-orientation="${orientation}" style="--brag-book-before-after-position: 50%">`
+		+ `<img class="brag-book-gallery-before-after__image brag-book-gallery-before-after__image--after" src="${escapeHtml(after)}" alt="After: ${safeAlt}" loading="${loading}" decoding="async" draggable="false">`
+		+ `<img class="brag-book-gallery-before-after__image brag-book-gallery-before-after__image--before" src="${escapeHtml(before)}" alt="Before: ${safeAlt}" loading="${loading}" decoding="async" draggable="false">`
+		+ '<span class="brag-book-gallery-before-after__label brag-book-gallery-before-after__label--before" aria-hidden="true">Before</span>'
+		+ '<span class="brag-book-gallery-before-after__label brag-book-gallery-before-after__label--after" aria-hidden="true">After</span>'
+		+ `<input type="range" class="brag-book-gallery-before-after__range" min="0" max="100" step="1" value="50" aria-label="Before and after comparison" aria-orientation="${orientation}" aria-valuetext="50% before">`
+		+ '<span class="brag-book-gallery-before-after__divider" aria-hidden="true"></span>'
+		+ '</div>';
+};
+
+/**
+ * Whether a display mode is one of the sliders
+ *
+ * @param {string|undefined} mode Image display mode
+ * @returns {boolean}
+ */
+const isSliderMode = (mode) => mode === 'slider' || mode === 'slider_vertical';
+
+export { renderBeforeAfterSlider, isSliderMode };
+export default BeforeAfterSlider;
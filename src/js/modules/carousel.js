@@ -1,6 +1,15 @@
+import { track } from './analytics.js';
+import { onMotionChange, prefersReducedMotion, scrollBehavior } from './motion.js';
+
 /**
  * Carousel Component for BRAGBook Gallery
  * Adapted from Blocksmith carousel with BRAGBook-specific selectors
+ *
+ * An autoplaying carousel gets a pause/play button (WCAG 2.2.2). Autoplay
+ * pauses while the pointer is over the carousel and stops for good once
+ * keyboard focus moves into it, until the visitor presses play. With
+ * reduced motion (motion.js) it starts paused and every move jumps
+ * instead of gliding.
  */
 class Carousel {
 	constructor(options) {
@@ -70,6 +79,7 @@ class Carousel {
 			);
 			this.autoplayTimer = null;
 			this.isHovered = false;
+			this.isPaused = false;
 		}
 	};
 
@@ -80,15 +90,17 @@ class Carousel {
 		this.stopAutoplay(object);
 
 		object.autoplayTimer = setInterval(() => {
-			if (!object.isHovered) {
+			if (!object.isHovered && !object.isPaused) {
 				const scroll = object.grid;
+				// Not the visitor's move, so not reported; see trackSlideChange().
+				object.autoplayMoved = true;
 				const maxScrollLeft = scroll.scrollWidth - scroll.offsetWidth;
 
 				if (scroll.scrollLeft >= maxScrollLeft) {
 					// If we're at the end, go back to start
 					scroll.scrollTo({
 						left: 0,
-						behavior: 'smooth'
+						behavior: scrollBehavior()
 					});
 				} else {
 					// Otherwise, move to next slide
@@ -100,13 +112,53 @@ class Carousel {
 
 					scroll.scrollTo({
 						left: scroll.scrollLeft + slideWidth,
-						behavior: 'smooth'
+						behavior: scrollBehavior()
 					});
 				}
 			}
 		}, object.autoplayInterval);
 	};
 
+	/**
+	 * Add the pause/play button to the carousel's controls
+	 */
+	renderAutoplayToggle = (object) => {
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'brag-book-gallery-carousel-btn brag-book-gallery-carousel-btn--toggle';
+		button.innerHTML = `<svg class="brag-book-gallery-arrow-icon" xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="currentColor" aria-hidden="true">
+				<path class="brag-book-gallery-carousel-btn__pause" d="M520-200v-560h240v560H520Zm-320 0v-560h240v560H200Z"/>
+				<path class="brag-book-gallery-carousel-btn__play" d="M320-200v-560l440 280-440 280Z"/>
+			</svg>`;
+		button.addEventListener('click', () => this.setPaused(object, !object.isPaused));
+
+		// First among the controls, so it is reached before anything moves
+		const nav = object.wrapper.querySelector('.brag-book-gallery-carousel-nav');
+		const header = object.wrapper.querySelector('.brag-book-gallery-carousel-header');
+		if (nav) {
+			nav.prepend(button);
+		} else if (header) {
+			header.append(button);
+		} else {
+			object.wrapper.prepend(button);
+		}
+
+		object.autoplayToggle = button;
+	};
+
+	/**
+	 * Pause or resume autoplay, and say so on the toggle
+	 */
+	setPaused = (object, paused) => {
+		object.isPaused = paused;
+
+		const button = object.autoplayToggle;
+		if (button) {
+			button.setAttribute('aria-label', paused ? 'Play carousel' : 'Pause carousel');
+			button.classList.toggle('is-paused', paused);
+		}
+	};
+
 	stopAutoplay = (object) => {
 		if (object.autoplayTimer) {
 			clearInterval(object.autoplayTimer);
@@ -117,6 +169,9 @@ class Carousel {
 	setupAutoplay = (object) => {
 		if (!object.autoplay) return;
 
+		this.renderAutoplayToggle(object);
+		this.setPaused(object, prefersReducedMotion());
+
 		// Start autoplay
 		this.startAutoplay(object);
 
@@ -129,13 +184,12 @@ class Carousel {
 			object.isHovered = false;
 		});
 
-		// Pause on focus within
-		object.wrapper.addEventListener('focusin', () => {
-			object.isHovered = true;
-		});
-
-		object.wrapper.addEventListener('focusout', () => {
-			object.isHovered = false;
+		// Stop once keyboard focus comes in, so nothing moves under it. The
+		// toggle is exempt: pressing play there must be able to restart.
+		object.wrapper.addEventListener('focusin', (e) => {
+			if (e.target !== object.autoplayToggle) {
+				this.setPaused(object, true);
+			}
 		});
 
 		// Pause on touch
@@ -281,21 +335,22 @@ class Carousel {
 			if (!didDrag) {
 				// A plain click. Leave the scroll position and the event alone
 				// so the anchor can navigate.
-				object.grid.style.scrollBehavior = 'smooth';
+				object.grid.style.scrollBehavior = scrollBehavior();
 				return;
 			}
 
 			object.grid.classList.remove('brag-book-gallery-grabbing');
 
 			const applyMomentum = () => {
-				if (Math.abs(velocity) > 0.5) {
+				// A coasting track is motion too: with it reduced, stop and snap.
+				if (Math.abs(velocity) > 0.5 && !prefersReducedMotion()) {
 					object.grid.scrollLeft -= velocity;
 					velocity *= 0.95; // Decay factor
 					momentumFrame = requestAnimationFrame(applyMomentum);
 					return;
 				}
 
-				object.grid.style.scrollBehavior = 'smooth';
+				object.grid.style.scrollBehavior = scrollBehavior();
 				this.snapToClosestSlide(object.grid);
 			};
 
@@ -455,6 +510,7 @@ class Carousel {
 
 		// Update slide states
 		this.updateSlideStates(object);
+		this.trackSlideChange(object);
 
 		// Update navigation buttons (disable at start/end)
 		if (object.nav.length >= 2) {
@@ -490,6 +546,33 @@ class Carousel {
 		this.updateAriaLabels(object);
 	};
 
+	/**
+	 * Report the slide a visitor moves to, once the track comes to rest.
+	 *
+	 * Waiting for the scroll to settle keeps a jump across several slides to
+	 * one event. The first pass only notes where the carousel starts, and
+	 * slides autoplay moves to are not reported.
+	 */
+	trackSlideChange = (object) => {
+		clearTimeout(object.slideTrackTimer);
+		object.slideTrackTimer = setTimeout(() => {
+			const index = this.getCurrentSlideIndex(object);
+			const moved = object.trackedSlide !== undefined && index !== object.trackedSlide;
+			const byAutoplay = object.autoplayMoved;
+			object.trackedSlide = index;
+			object.autoplayMoved = false;
+
+			if (!moved || byAutoplay) return;
+
+			const slide = object.items[index];
+			track('carousel_slide', {
+				carousel: object.wrapper.dataset.carousel || String(object.index),
+				index,
+				case_id: slide?.dataset.procedureCaseId || slide?.dataset.caseId || '',
+			});
+		}, 300);
+	};
+
 	updateAriaLabels = (object) => {
 		const currentIndex = this.getCurrentSlideIndex(object);
 		const totalSlides = object.items.length;
@@ -575,7 +658,7 @@ class Carousel {
 		try {
 			element.scrollTo({
 				left: targetScroll,
-				behavior: 'smooth'
+				behavior: scrollBehavior()
 			});
 		} catch (e) {
 			// Fallback for older browsers
@@ -605,7 +688,7 @@ class Carousel {
 				: best
 		);
 
-		grid.style.scrollBehavior = 'smooth';
+		grid.style.scrollBehavior = scrollBehavior();
 		grid.scrollTo({ left: closest.offsetLeft });
 	};
 
@@ -635,6 +718,19 @@ class Carousel {
 	init = () => {
 		const carousels = document.querySelectorAll(this.options.wrapper);
 
+		// Motion reduced mid-visit (the system setting, or a site script):
+		// stop what is playing. Allowing it again leaves them paused; play
+		// is the visitor's call.
+		onMotionChange((reduced) => {
+			if (!reduced) return;
+
+			Object.values(this.wrappers).forEach((object) => {
+				if (object.autoplay) {
+					this.setPaused(object, true);
+				}
+			});
+		});
+
 		carousels.forEach((wrapper, index) => {
 			this.wrappers[index] = new this.Wrapper(wrapper, index, this.options);
 			const object = this.wrappers[index];
@@ -695,6 +791,7 @@ class Carousel {
 			}
 
 			this.stopAutoplay(object);
+			clearTimeout(object.slideTrackTimer);
 
 			if (object.grid) {
 				object.grid.removeEventListener('scroll', object.handleScroll);
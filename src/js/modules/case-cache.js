@@ -0,0 +1,254 @@
+/**
+ * Case Preload Cache
+ *
+ * Case detail HTML fetched ahead of a click, kept in least recently used
+ * order within a memory budget. Entries expire after CACHE_TTL, and the
+ * cache is written to sessionStorage so a case preloaded on one gallery page
+ * opens instantly after the visitor moves on to the next one.
+ *
+ * The stored cache carries the sync version the page was rendered with
+ * (bragBookGalleryConfig.syncVersion, see Settings_Helper::get_sync_version()).
+ * A page from after the next sync has a different one and starts empty, so
+ * no case is shown as it was before the sync.
+ *
+ * preloadPolicy() says how much preloading the visitor's connection can take:
+ * none with Save-Data on or on 2G, only cases the visitor hovers on 3G or a
+ * cellular connection, and everything otherwise.
+ */
+
+const STORAGE_KEY = 'brag-book-gallery-case-cache';
+
+// Roughly what the HTML costs in memory (UTF-16); sessionStorage is about
+// 5MB per origin and shared with the rest of the site.
+const CACHE_BUDGET = 2 * 1024 * 1024;
+
+// How long a preloaded case may be shown without asking the server again.
+const CACHE_TTL = 30 * 60 * 1000;
+
+// Writes are batched, since a scroll can preload several cases at once.
+const PERSIST_DELAY = 500;
+
+const ALL_PRIORITIES = ['high', 'hover', 'normal'];
+
+export class CaseCache {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.version] - Sync version the cached HTML must match
+	 * @param {number} [options.budget] - Bytes of HTML to keep
+	 * @param {number} [options.ttl] - Milliseconds an entry stays fresh
+	 */
+	constructor({ version = '', budget = CACHE_BUDGET, ttl = CACHE_TTL } = {}) {
+		this.version = String(version);
+		this.budget = budget;
+		this.ttl = ttl;
+		this.entries = new Map();
+		this.size = 0;
+		this.timer = null;
+
+		this.restore();
+	}
+
+	/**
+	 * Load what an earlier page stored, if it is from the same sync
+	 */
+	restore() {
+		let stored = null;
+
+		try {
+			stored = JSON.parse(window.sessionStorage.getItem(STORAGE_KEY));
+		} catch (error) {
+			return;
+		}
+
+		if (!stored || stored.version !== this.version || !Array.isArray(stored.entries)) {
+			this.clear();
+			return;
+		}
+
+		const now = Date.now();
+		stored.entries.forEach(([key, html, expires]) => {
+			if (typeof html === 'string' && expires > now) {
+				this.insert(key, html, expires);
+			}
+		});
+	}
+
+	/**
+	 * Whether a fresh entry exists for the key
+	 *
+	 * @param {string} key
+	 * @returns {boolean}
+	 */
+	has(key) {
+		const entry = this.entries.get(key);
+
+		if (entry && entry.expires <= Date.now()) {
+			this.delete(key);
+			return false;
+		}
+
+		return Boolean(entry);
+	}
+
+	/**
+	 * A fresh entry's HTML, which becomes the most recently used
+	 *
+	 * @param {string} key
+	 * @returns {string|null}
+	 */
+	get(key) {
+		if (!this.has(key)) {
+			return null;
+		}
+
+		const entry = this.entries.get(key);
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		this.schedulePersist();
+
+		return entry.html;
+	}
+
+	/**
+	 * Store a case's HTML, dropping the least recently used to make room
+	 *
+	 * @param {string} key
+	 * @param {string} html
+	 */
+	set(key, html) {
+		this.insert(key, html, Date.now() + this.ttl);
+		this.schedulePersist();
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {string} html
+	 * @param {number} expires - Timestamp the entry goes stale at
+	 */
+	insert(key, html, expires) {
+		const size = html.length * 2;
+
+		this.delete(key);
+
+		// One case bigger than the whole budget is not worth keeping
+		if (size > this.budget) {
+			return;
+		}
+
+		this.entries.set(key, { html, size, expires });
+		this.size += size;
+		this.evict(this.budget);
+	}
+
+	/**
+	 * @param {string} key
+	 */
+	delete(key) {
+		const entry = this.entries.get(key);
+
+		if (entry) {
+			this.entries.delete(key);
+			this.size -= entry.size;
+			this.schedulePersist();
+		}
+	}
+
+	/**
+	 * Drop least recently used entries until the rest fit
+	 *
+	 * @param {number} budget - Bytes to fit in
+	 */
+	evict(budget) {
+		for (const key of this.entries.keys()) {
+			if (this.size <= budget) {
+				break;
+			}
+			this.delete(key);
+		}
+	}
+
+	/**
+	 * Empty the cache and what is stored of it
+	 */
+	clear() {
+		this.entries.clear();
+		this.size = 0;
+		clearTimeout(this.timer);
+		this.timer = null;
+
+		try {
+			window.sessionStorage.removeItem(STORAGE_KEY);
+		} catch (error) {
+			// Storage is off; there is nothing to remove
+		}
+	}
+
+	schedulePersist() {
+		if (!this.timer) {
+			this.timer = setTimeout(() => {
+				this.timer = null;
+				this.persist();
+			}, PERSIST_DELAY);
+		}
+	}
+
+	/**
+	 * Write the cache to sessionStorage, least recently used first
+	 *
+	 * When the site has left less room than the budget, the oldest half of
+	 * what is written goes until it fits. Only the stored copy is trimmed:
+	 * the cache still works in memory if nothing fits, or storage is off.
+	 */
+	persist() {
+		let entries = Array.from(this.entries, ([key, entry]) => [key, entry.html, entry.expires]);
+
+		while (entries.length) {
+			try {
+				window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ version: this.version, entries }));
+				return;
+			} catch (error) {
+				entries = entries.slice(Math.ceil(entries.length / 2));
+			}
+		}
+
+		try {
+			window.sessionStorage.removeItem(STORAGE_KEY);
+		} catch (error) {
+			// Storage is off; there is nothing to remove
+		}
+	}
+}
+
+/**
+ * How much case preloading the visitor's connection can take
+ *
+ * @returns {{concurrency: number, priorities: string[]}} Preloads to run at
+ *     once, and the priorities worth running at all
+ */
+export function preloadPolicy() {
+	const connection = navigator.connection;
+
+	if (!connection) {
+		return { concurrency: 3, priorities: ALL_PRIORITIES };
+	}
+
+	if (connection.saveData || ['slow-2g', '2g'].includes(connection.effectiveType)) {
+		return { concurrency: 0, priorities: [] };
+	}
+
+	// A hovered case is one the visitor is about to open
+	if (connection.effectiveType === '3g' || connection.type === 'cellular') {
+		return { concurrency: 1, priorities: ['hover'] };
+	}
+
+	return { concurrency: 3, priorities: ALL_PRIORITIES };
+}
+
+/**
+ * Run a callback when the visitor's connection changes
+ *
+ * @param {function(): void} callback
+ */
+export function onConnectionChange(callback) {
+	navigator.connection?.addEventListener?.('change', callback);
+}
@@ -0,0 +1,266 @@
+/**
+ * Visitor Consent Gate
+ *
+ * When the site turns on "Wait for visitor consent", tracking and
+ * third-party features hold back until the visitor agrees to them:
+ *
+ * - statistics: case and procedure view tracking, the analytics event
+ *   adapters and subscribers (events are queued, not lost), and share counts
+ * - marketing: the Facebook, Twitter, Pinterest and WhatsApp share
+ *   channels, and the favorites email capture (favorites stay on the device
+ *   until then)
+ *
+ * Consent is read from whichever signal the site has: an IAB TCF v2 CMP
+ * (__tcfapi), the WP Consent API, or a cookie named in the settings. Sites
+ * with their own banner can also grant it directly:
+ *
+ *     window.bragBookGalleryConsent.grant(['statistics', 'marketing']);
+ *
+ * Every change is announced as a bragbook:consent event on document. With
+ * the setting off, everything counts as consented, as before.
+ *
+ * One gate serves the whole page: the first module to ask creates it on
+ * window, so the separate bundles and chunks all share it. If the page
+ * carries no consent settings at all, the gate requires consent.
+ */
+
+export const CONSENT_EVENT = 'bragbook:consent';
+
+export const CATEGORIES = ['statistics', 'marketing'];
+
+// TCF purposes each category needs. 1 is storing or reading information on
+// the device; 8 measuring content performance; 3 and 4 building and using a
+// profile, which is what the social networks do with a share.
+const TCF_PURPOSES = {
+	statistics: [1, 8],
+	marketing: [1, 3, 4],
+};
+
+// Values of a consent cookie matched by name alone that mean the visitor
+// refused; many banners set their cookie then too. Mirrors
+// Settings_Helper::CONSENT_REFUSALS.
+const COOKIE_REFUSALS = ['0', 'false', 'no', 'deny', 'denied', 'decline', 'declined', 'reject', 'rejected', 'refused'];
+
+// How often to look for the consent cookie; CMPs that only set a cookie
+// have no event to listen for.
+const COOKIE_POLL_INTERVAL = 1000;
+
+class ConsentGate {
+	/**
+	 * @param {Object} [options]
+	 * @param {boolean} [options.required] Hold tracking back until consent is given
+	 * @param {string} [options.cookie] Cookie that signals consent: "name", or "name=value"
+	 */
+	constructor(options = {}) {
+		this.required = Boolean(options.required);
+		this.cookie = options.cookie || '';
+		this.granted = new Set();
+		this.waiting = [];
+
+		if (this.required) {
+			this.watch();
+		}
+	}
+
+	/**
+	 * Whether the visitor has consented to a category
+	 *
+	 * @param {string} category - statistics or marketing
+	 * @returns {boolean}
+	 */
+	has(category) {
+		return !this.required || this.granted.has(category);
+	}
+
+	/**
+	 * Run a callback now if the category is consented to, or once it is
+	 *
+	 * @param {string} category - statistics or marketing
+	 * @param {function(): void} callback - Work that needs the consent
+	 */
+	whenGranted(category, callback) {
+		if (this.has(category)) {
+			callback();
+		} else {
+			this.waiting.push({ category, callback });
+		}
+	}
+
+	/**
+	 * Record consent to categories and run what was waiting for them
+	 *
+	 * @param {string[]} categories - Categories consented to
+	 */
+	grant(categories) {
+		this.update(categories, true);
+	}
+
+	/**
+	 * Record that consent to categories was refused or withdrawn
+	 *
+	 * What is already queued stays queued, in case the visitor changes their
+	 * mind again.
+	 *
+	 * @param {string[]} categories - Categories refused
+	 */
+	deny(categories) {
+		this.update(categories, false);
+	}
+
+	/**
+	 * @param {string[]} categories - Categories that changed
+	 * @param {boolean} granted - Whether they are now consented to
+	 */
+	update(categories, granted) {
+		const changed = categories
+			.filter(category => CATEGORIES.includes(category))
+			.filter(category => this.granted.has(category) !== granted);
+
+		if (!changed.length) {
+			return;
+		}
+
+		changed.forEach(category => (granted ? this.granted.add(category) : this.granted.delete(category)));
+
+		if (granted) {
+			const ready = this.waiting.filter(entry => this.has(entry.category));
+			this.waiting = this.waiting.filter(entry => !this.has(entry.category));
+			ready.forEach(entry => {
+				try {
+					entry.callback();
+				} catch (error) {
+					console.warn('BRAGBook: Deferred tracking failed:', error);
+				}
+			});
+		}
+
+		document.dispatchEvent(new CustomEvent(CONSENT_EVENT, {
+			detail: { granted: Array.from(this.granted) },
+		}));
+	}
+
+	/**
+	 * Listen to every consent signal the page offers
+	 */
+	watch() {
+		this.watchTcf();
+		this.watchWpConsentApi();
+		this.watchCookie();
+	}
+
+	/**
+	 * Read consent from an IAB TCF v2 CMP
+	 */
+	watchTcf() {
+		if (typeof window.__tcfapi !== 'function') {
+			return;
+		}
+
+		window.__tcfapi('addEventListener', 2, (tcData, success) => {
+			if (!success || !tcData || !['tcloaded', 'useractioncomplete'].includes(tcData.eventStatus)) {
+				return;
+			}
+
+			// Outside the GDPR's reach the CMP has nothing to ask.
+			if (tcData.gdprApplies === false) {
+				this.grant(CATEGORIES);
+				return;
+			}
+
+			const consents = tcData.purpose?.consents || {};
+			CATEGORIES.forEach(category => {
+				const allowed = TCF_PURPOSES[category].every(purpose => consents[purpose]);
+				this.update([category], allowed);
+			});
+		});
+	}
+
+	/**
+	 * Read consent from the WP Consent API, which uses the same category names
+	 */
+	watchWpConsentApi() {
+		if (typeof window.wp_has_consent !== 'function') {
+			return;
+		}
+
+		this.grant(CATEGORIES.filter(category => window.wp_has_consent(category)));
+
+		document.addEventListener('wp_listen_for_consent_change', (e) => {
+			Object.entries(e.detail || {}).forEach(([category, value]) => {
+				this.update([category], value === 'allow');
+			});
+		});
+	}
+
+	/**
+	 * Grant everything once the configured consent cookie shows up with
+	 * the configured value, or, for a bare name, with any value that is not
+	 * a refusal
+	 */
+	watchCookie() {
+		if (!this.cookie) {
+			return;
+		}
+
+		const [name, ...rest] = this.cookie.split('=');
+		const value = rest.join('=').trim();
+		const check = () => {
+			const found = document.cookie.split(';')
+				.map(pair => pair.trim().split('='))
+				.find(([key]) => key === name.trim());
+			const cookieValue = found ? decodeURIComponent(found.slice(1).join('=')).trim() : '';
+			const accepted = value
+				? cookieValue === value
+				: cookieValue !== '' && !COOKIE_REFUSALS.includes(cookieValue.toLowerCase());
+
+			if (found && accepted) {
+				this.grant(CATEGORIES);
+			}
+
+			// Nothing left for the cookie to grant, however it was granted.
+			if (CATEGORIES.every(category => this.granted.has(category))) {
+				clearInterval(this.cookieTimer);
+				return true;
+			}
+
+			return false;
+		};
+
+		if (!check()) {
+			this.cookieTimer = setInterval(check, COOKIE_POLL_INTERVAL);
+		}
+	}
+}
+
+/**
+ * The page's consent gate, created on first use
+ *
+ * Settings come from the gallery config, or from the standalone
+ * bragBookGalleryConsentConfig global printed in the head for bundles that
+ * have no config. With neither, consent is required: a page that cannot
+ * tell whether the site asks first must not track as if it does not.
+ *
+ * @returns {ConsentGate}
+ */
+export function getConsent() {
+	if (!window.bragBookGalleryConsent) {
+		window.bragBookGalleryConsent = new ConsentGate(
+			window.bragBookGalleryConfig?.consent
+				?? window.bragBookGalleryConsentConfig
+				?? { required: true }
+		);
+	}
+
+	return window.bragBookGalleryConsent;
+}
+
+/**
+ * Run a callback now if the visitor has consented to a category, or once
+ * they do
+ *
+ * @param {string} category - statistics or marketing
+ * @param {function(): void} callback - Work that needs the consent
+ */
+export function whenConsented(category, callback) {
+	getConsent().whenGranted(category, callback);
+}
@@ -1,14 +1,29 @@
+import { getErrorMessage, postAjax } from './ajax-client.js';
+import { track } from './analytics.js';
+import { getConsent } from './consent.js';
 import Dialog from './dialog.js';
+import FavoritesQueue from './favorites-queue.js';
 
 /**
  * Favorites Manager
  * Manages favorited items across the gallery
+ *
+ * Adds and removes that cannot reach the server (offline, or the request
+ * never gets a response) stay applied locally and wait in a FavoritesQueue
+ * until the connection is back. The server's list wins everywhere else.
+ *
+ * When the site waits for visitor consent, favorites stay local and the email
+ * capture dialog stays closed until the visitor consents to marketing.
  */
 class FavoritesManager {
 	constructor(options = {}) {
 		this.favorites = new Set();
 		this.userInfo = null;
 		this.hasShownDialog = false;
+		this.queue = new FavoritesQueue();
+		this.replaying = null;
+		// Shared with the consultation form; adds must carry its token.
+		this.formGuard = options.formGuard;
 		this.options = {
 			storageKey: options.storageKey || 'brag-book-favorites',
 			userInfoKey: options.userInfoKey || 'brag-book-user-info',
@@ -35,8 +50,20 @@ class FavoritesManager {
 			this.loadFromStorage();
 			this.loadUserInfo();
 		}
+		// Returning visitors add favorites without the form, so have a token ready.
+		if (this.userInfo?.email) {
+			this.formGuard.prime();
+		}
 		this.setupEventListeners();
 		this.updateUI();
+
+		// Changes queued on an earlier visit are laid over what was stored,
+		// then sent if the connection allows.
+		this.queue.ready.then(() => {
+			this.applyQueuedChanges();
+			this.replayQueue();
+		});
+		window.addEventListener('online', () => this.replayQueue());
 	}
 
 	setupEventListeners() {
@@ -60,6 +87,8 @@ class FavoritesManager {
 				e.preventDefault();
 				this.handleFavoritesFormSubmit(e.target);
 			});
+			// Start the form token's clock while the visitor fills the form in.
+			favoritesForm.addEventListener('focusin', () => this.formGuard.prime(), { once: true });
 		}
 
 		// Handle favorites lookup form submission
@@ -137,6 +166,13 @@ class FavoritesManager {
 			return;
 		}
 
+		// Sending favorites, with the visitor's email, to the practice waits
+		// for marketing consent; until then they are kept on this device.
+		if (!getConsent().has('marketing')) {
+			this.addFavorite(itemId, button);
+			return;
+		}
+
 		// Check for user info in localStorage if we don't have it
 		if (!this.userInfo || !this.userInfo.email) {
 			this.loadUserInfo();
@@ -198,6 +234,7 @@ class FavoritesManager {
 
 		// Add to internal favorites collection
 		this.favorites.add(itemId);
+		track('favorite_add', { case_id: itemId });
 
 		// Persist to localStorage if enabled
 		if (this.options.persistToStorage) {
@@ -239,6 +276,7 @@ class FavoritesManager {
 
 		// Remove from internal favorites collection
 		this.favorites.delete(itemId);
+		track('favorite_remove', { case_id: itemId });
 
 		// Persist changes to localStorage if enabled
 		if (this.options.persistToStorage) {
@@ -266,26 +304,12 @@ class FavoritesManager {
 	 * @param {string} procedureId - The procedure ID
 	 */
 	removeFavoriteFromAPI(caseId, procedureId = '') {
-		// Use WordPress AJAX for secure API communication
-		const formData = new FormData();
-		formData.append('action', 'brag_book_remove_favorite');
-		formData.append('nonce', window.bragBookGalleryConfig?.nonce || '');
-		formData.append('case_id', caseId);
-		formData.append('procedure_id', procedureId);
-		formData.append('id_type', 'caseProcedureId');
-		formData.append('email', this.userInfo.email || '');
+		if (!navigator.onLine) {
+			this.queueFavoriteChange('remove', caseId, procedureId);
+			return;
+		}
 
-		// Submit via WordPress AJAX (API tokens handled securely on server)
-		fetch(window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php', {
-			method: 'POST',
-			body: formData
-		})
-		.then(response => {
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-			return response.json();
-		})
+		this.sendFavoriteChange('remove', caseId, procedureId)
 		.then(response => {
 			if (response.success) {
 				// Show success notification
@@ -303,11 +327,9 @@ class FavoritesManager {
 			}
 		})
 		.catch(error => {
-			console.error('Error removing favorite:', error);
-			this.showErrorNotification('Error removing favorite. Please try again.');
-
-			// Restore the favorite state since API call failed
-			this.restoreFavoriteState(caseId);
+			// No answer from the server; keep the removal and send it later
+			console.warn('Error removing favorite, queued for retry:', error);
+			this.queueFavoriteChange('remove', caseId, procedureId);
 		});
 	}
 
@@ -400,28 +422,12 @@ class FavoritesManager {
 	 * @param {string} procedureId - The procedure ID
 	 */
 	submitFavoriteToAPI(caseId, procedureId = '') {
-		// Use WordPress AJAX for secure API communication
-		const formData = new FormData();
-		formData.append('action', 'brag_book_add_favorite');
-		formData.append('nonce', window.bragBookGalleryConfig?.nonce || '');
-		formData.append('case_id', caseId);
-		formData.append('procedure_id', procedureId);
-		formData.append('id_type', 'caseProcedureId');
-		formData.append('email', this.userInfo.email || '');
-		formData.append('phone', this.userInfo.phone || '');
-		formData.append('name', this.userInfo.name || '');
+		if (!navigator.onLine) {
+			this.queueFavoriteChange('add', caseId, procedureId);
+			return;
+		}
 
-		// Submit via WordPress AJAX (API tokens handled securely on server)
-		fetch(window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php', {
-			method: 'POST',
-			body: formData
-		})
-		.then(response => {
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-			return response.json();
-		})
+		this.sendFavoriteChange('add', caseId, procedureId)
 		.then(response => {
 			if (response.success) {
 				// Show success notification
@@ -434,13 +440,202 @@ class FavoritesManager {
 			}
 		})
 		.catch(error => {
-			console.error('Error submitting favorite:', error);
-			// Undo local state only (don't call API remove — item was never added)
-			this.undoLocalFavorite(caseId);
-			this.showErrorNotification('Error saving favorite. Please try again.');
+			// No answer from the server; keep the favorite and send it later
+			console.warn('Error submitting favorite, queued for retry:', error);
+			this.queueFavoriteChange('add', caseId, procedureId);
+		});
+	}
+
+	/**
+	 * Send one favorite change to the server
+	 *
+	 * Resolves with the AJAX response, successful or not. Rejects only when
+	 * no usable answer came back, which is when a change is worth retrying.
+	 * A newer change to the same case supersedes anything queued for it.
+	 *
+	 * @param {'add'|'remove'} type - Change to send
+	 * @param {string} caseId - The case procedure ID
+	 * @param {string} procedureId - The procedure ID
+	 * @param {boolean} retry - Whether to retry once with a fresh form token
+	 * @returns {Promise<Object>} The AJAX response
+	 */
+	sendFavoriteChange(type, caseId, procedureId = '', retry = true) {
+		const userInfo = this.getUserInfo() || {};
+		this.queue.discard(caseId);
+
+		// Use WordPress AJAX for secure API communication
+		const formData = new FormData();
+		formData.append('action', type === 'add' ? 'brag_book_add_favorite' : 'brag_book_remove_favorite');
+		formData.append('case_id', caseId);
+		formData.append('procedure_id', procedureId);
+		formData.append('id_type', 'caseProcedureId');
+		formData.append('email', userInfo.email || '');
+		if (type === 'add') {
+			formData.append('phone', userInfo.phone || '');
+			formData.append('name', userInfo.name || '');
+		}
+
+		// Adds pass the spam checks; removes send no visitor details.
+		const body = type === 'add' ? this.formGuard.append(formData) : Promise.resolve(formData);
+
+		// Submit via WordPress AJAX (API tokens handled securely on server)
+		return body.then(payload => postAjax(payload))
+		.then(result => {
+			// An expired form token is replaced and the change sent once more.
+			if (!result.success && retry && result.data?.code === 'form_token') {
+				this.formGuard.handleError(result.data);
+				return this.sendFavoriteChange(type, caseId, procedureId, false);
+			}
+			return result;
 		});
 	}
 
+	/**
+	 * Keep a favorite change that could not be sent, to replay later
+	 * @param {'add'|'remove'} type - Change to queue
+	 * @param {string} caseId - The case procedure ID
+	 * @param {string} procedureId - The procedure ID
+	 */
+	queueFavoriteChange(type, caseId, procedureId = '') {
+		this.queue.put({ itemId: caseId, type, procedureId });
+
+		if (type === 'remove') {
+			this.removeCardFromFavoritesGrid(caseId);
+		}
+
+		this.showSuccessNotification(type === 'add'
+			? 'Added to favorites. We\'ll save it once you\'re back online.'
+			: 'Removed from favorites. We\'ll save it once you\'re back online.');
+	}
+
+	/**
+	 * Send queued favorite changes, oldest first
+	 *
+	 * Stops at the first change that still gets no answer and leaves the rest
+	 * for the next attempt. A change the server turns down is dropped and the
+	 * local state put back, unless the visitor has changed that case since.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	replayQueue() {
+		if (this.replaying) {
+			return this.replaying;
+		}
+
+		if (!this.queue.size || !navigator.onLine || !this.getUserInfo()?.email) {
+			return Promise.resolve();
+		}
+
+		this.replaying = (async () => {
+			let synced = 0;
+
+			for (const entry of this.queue.all()) {
+				let response;
+				try {
+					response = await this.sendFavoriteChange(entry.type, entry.itemId, entry.procedureId);
+				} catch (error) {
+					console.warn('Favorites still unreachable, keeping queued changes:', error);
+					// sendFavoriteChange() discarded the entry; put it back
+					if (!this.queue.get(entry.itemId)) {
+						this.queue.put(entry);
+					}
+					break;
+				}
+
+				if (response.success) {
+					synced++;
+					if (entry.type === 'remove') {
+						this.removeCardFromFavoritesGrid(entry.itemId);
+					}
+					continue;
+				}
+
+				console.error('Queued favorite change rejected:', response.data?.message);
+				if (this.queue.get(entry.itemId)) {
+					continue;
+				}
+				if (entry.type === 'add') {
+					this.undoLocalFavorite(entry.itemId);
+				} else {
+					this.restoreFavoriteState(entry.itemId);
+				}
+			}
+
+			if (synced > 0) {
+				this.showSuccessNotification(`Your favorites are saved (${synced} change${synced !== 1 ? 's' : ''} synced).`);
+			}
+		})().finally(() => {
+			this.replaying = null;
+		});
+
+		return this.replaying;
+	}
+
+	/**
+	 * Lay queued changes over the current favorites
+	 */
+	applyQueuedChanges() {
+		if (!this.queue.size) {
+			return;
+		}
+
+		this.setFavorites(this.withQueuedChanges(this.favorites));
+	}
+
+	/**
+	 * Adopt the server's favorites list, keeping changes still queued
+	 *
+	 * The server list is authoritative for every case without a queued
+	 * change; queued adds and removes win for the rest, and are sent again.
+	 *
+	 * @param {string[]} serverIds - Case procedure IDs from brag_book_lookup_favorites
+	 * @returns {string[]} The reconciled favorites
+	 */
+	reconcileWithServer(serverIds) {
+		const favorites = this.withQueuedChanges(serverIds);
+		this.setFavorites(favorites);
+		this.replayQueue();
+
+		return [...favorites];
+	}
+
+	/**
+	 * @param {Iterable<string>} ids - Case procedure IDs
+	 * @returns {Set<string>} The IDs with queued adds and removes applied
+	 */
+	withQueuedChanges(ids) {
+		const favorites = new Set([...ids].map(String));
+
+		this.queue.all().forEach(entry => {
+			if (entry.type === 'add') {
+				favorites.add(entry.itemId);
+			} else {
+				favorites.delete(entry.itemId);
+			}
+		});
+
+		return favorites;
+	}
+
+	/**
+	 * Replace the favorites, persist them and update every button and count
+	 * @param {Set<string>} favorites - Case procedure IDs
+	 */
+	setFavorites(favorites) {
+		this.favorites = favorites;
+
+		if (this.options.persistToStorage) {
+			this.saveToStorage();
+		}
+
+		this.updateUI();
+		this.options.onUpdate(this.favorites);
+
+		window.dispatchEvent(new CustomEvent('favoritesUpdated', {
+			detail: { favorites: this.favorites }
+		}));
+	}
+
 	/**
 	 * Undo a local favorite without calling the API remove endpoint.
 	 * Used when an add API call fails — the item was never added to the API.
@@ -552,7 +747,6 @@ class FavoritesManager {
 
 		// Prepare WordPress AJAX request
 		formData.append('action', 'brag_book_add_favorite');
-		formData.append('nonce', window.bragBookGalleryConfig?.nonce || '');
 		formData.append('case_id', caseId);
 		formData.append('procedure_id', procedureId);
 		formData.append('id_type', 'caseProcedureId');
@@ -561,16 +755,8 @@ class FavoritesManager {
 		formData.append('name', name);
 
 		// Submit via WordPress AJAX (API tokens handled securely on server)
-		fetch(window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php', {
-			method: 'POST',
-			body: formData
-		})
-		.then(response => {
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-			return response.json();
-		})
+		this.formGuard.append(formData)
+		.then(payload => postAjax(payload))
 		.then(response => {
 			if (response.success) {
 				// Save user info locally
@@ -605,6 +791,8 @@ class FavoritesManager {
 				this.lastAddedFavorite = null;
 				this.lastAddedButton = null;
 			} else {
+				this.formGuard.handleError(response.data);
+
 				// Parse and show detailed error
 				this.parseAndShowDetailedError(form, response, 'save');
 
@@ -620,7 +808,7 @@ class FavoritesManager {
 			// Show detailed network error
 			this.showDetailedFormError(form, {
 				title: 'Connection Error',
-				message: 'Unable to communicate with the server.',
+				message: getErrorMessage(error, 'Unable to communicate with the server.'),
 				details: [
 					'Check your internet connection',
 					'The server may be temporarily unavailable',
@@ -675,21 +863,11 @@ class FavoritesManager {
 		}
 
 		// If not found in localStorage, check with server
-		// Add action and nonce for WordPress AJAX
+		// Add action for WordPress AJAX; the client adds the nonce
 		formData.append('action', 'brag_book_lookup_favorites');
-		formData.append('nonce', window.bragBookGalleryConfig?.nonce || '');
 
 		// Submit via AJAX
-		fetch(window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php', {
-			method: 'POST',
-			body: formData
-		})
-		.then(response => {
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-			return response.json();
-		})
+		postAjax(formData, { idempotent: true })
 		.then(response => {
 			if (response.success) {
 				// Email found, validate and save user data
@@ -723,14 +901,8 @@ class FavoritesManager {
 								return String(c.id || '');
 							}).filter(Boolean);
 
-							// Replace localStorage — API is authoritative
-							localStorage.setItem('brag-book-favorites', JSON.stringify(favoriteIds));
-
-							// Update internal favorites
-							this.favorites = new Set(favoriteIds);
-
-							// Update UI to reflect loaded favorites
-							this.updateAllButtonStates();
+							// API is authoritative, apart from changes still queued offline
+							this.reconcileWithServer(favoriteIds);
 						}
 
 						this.showLookupSuccess(form, email, userInfo, favoritesData);
@@ -749,7 +921,7 @@ class FavoritesManager {
 		})
 		.catch(error => {
 			console.error('Error looking up favorites:', error);
-			this.showLookupError(form, 'An error occurred while looking up your favorites. Please try again.');
+			this.showLookupError(form, getErrorMessage(error, 'An error occurred while looking up your favorites. Please try again.'));
 		})
 		.finally(() => {
 			// Reset button state
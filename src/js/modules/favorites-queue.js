@@ -0,0 +1,163 @@
+/**
+ * Favorites Queue
+ *
+ * Holds favorite adds and removes that could not reach the server, because
+ * the browser was offline or the request never got a response, so they can be
+ * replayed once the connection is back. Entries live in IndexedDB and are
+ * keyed by the case procedure ID: a later change to the same case replaces
+ * the earlier one, so only the last intent is ever sent.
+ *
+ * A copy of the queue is kept in memory so the favorites manager can answer
+ * "is anything pending for this case?" synchronously while reconciling with
+ * the server list. Without IndexedDB (private windows in some browsers) the
+ * queue still works for the life of the page.
+ */
+
+const DB_NAME = 'brag-book-gallery';
+const DB_VERSION = 1;
+const STORE_NAME = 'favorites-queue';
+
+class FavoritesQueue {
+	constructor() {
+		this.entries = new Map();
+		this.discarded = new Set();
+		this.db = null;
+		this.ready = this.open();
+	}
+
+	/**
+	 * Open the database and load any entries left by an earlier visit
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async open() {
+		if (!window.indexedDB) {
+			return;
+		}
+
+		try {
+			this.db = await new Promise((resolve, reject) => {
+				const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+				request.onupgradeneeded = () => {
+					if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+						request.result.createObjectStore(STORE_NAME, { keyPath: 'itemId' });
+					}
+				};
+				request.onsuccess = () => resolve(request.result);
+				request.onerror = () => reject(request.error);
+				request.onblocked = () => reject(new Error('IndexedDB upgrade blocked'));
+			});
+
+			const stored = await this.request(this.store('readonly').getAll());
+			stored.forEach(entry => {
+				// Changes made on this page before the database opened are newer.
+				if (!this.entries.has(entry.itemId) && !this.discarded.has(entry.itemId)) {
+					this.entries.set(entry.itemId, entry);
+				}
+			});
+		} catch (error) {
+			console.warn('BRAGBook: Offline favorites queue unavailable:', error);
+			this.db = null;
+		}
+	}
+
+	/**
+	 * Queue a change, replacing any earlier change to the same case
+	 *
+	 * @param {Object} entry
+	 * @param {string} entry.itemId Case procedure ID
+	 * @param {'add'|'remove'} entry.type Change to send
+	 * @param {string} [entry.procedureId] Procedure ID sent with the change
+	 * @returns {Promise<void>}
+	 */
+	async put(entry) {
+		const record = {
+			itemId: String(entry.itemId),
+			type: entry.type,
+			procedureId: entry.procedureId || '',
+			queuedAt: Date.now()
+		};
+
+		this.entries.set(record.itemId, record);
+		await this.ready;
+		await this.write(store => store.put(record));
+	}
+
+	/**
+	 * Drop whatever is queued for a case, because a newer change is being sent
+	 *
+	 * @param {string} itemId Case procedure ID
+	 * @returns {Promise<void>}
+	 */
+	async discard(itemId) {
+		const key = String(itemId);
+
+		this.entries.delete(key);
+		this.discarded.add(key);
+		await this.ready;
+		this.discarded.delete(key);
+		await this.write(store => store.delete(key));
+	}
+
+	/**
+	 * @param {string} itemId Case procedure ID
+	 * @returns {Object|undefined} The case's queued change
+	 */
+	get(itemId) {
+		return this.entries.get(String(itemId));
+	}
+
+	/**
+	 * @returns {Object[]} Queued changes, oldest first
+	 */
+	all() {
+		return [...this.entries.values()].sort((a, b) => a.queuedAt - b.queuedAt);
+	}
+
+	/**
+	 * @returns {number} Number of queued changes
+	 */
+	get size() {
+		return this.entries.size;
+	}
+
+	/**
+	 * @param {IDBTransactionMode} mode Transaction mode
+	 * @returns {IDBObjectStore}
+	 */
+	store(mode) {
+		return this.db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+	}
+
+	/**
+	 * Run a write against the store, keeping the in-memory copy if it fails
+	 *
+	 * @param {function(IDBObjectStore): IDBRequest} operation Write to run
+	 * @returns {Promise<void>}
+	 */
+	async write(operation) {
+		if (!this.db) {
+			return;
+		}
+
+		try {
+			await this.request(operation(this.store('readwrite')));
+		} catch (error) {
+			console.warn('BRAGBook: Failed to update offline favorites queue:', error);
+		}
+	}
+
+	/**
+	 * @param {IDBRequest} request IndexedDB request
+	 * @returns {Promise<*>} The request's result
+	 */
+	request(request) {
+		return new Promise((resolve, reject) => {
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+	}
+}
+
+export default FavoritesQueue;
@@ -0,0 +1,75 @@
+/**
+ * Filter Panel Disclosures
+ *
+ * The demographic filter panel and each filter in it are native <details>
+ * disclosures, so Enter and Space already open and close them and screen
+ * readers already hear whether they are expanded. This adds the keys the
+ * WAI-ARIA disclosure and accordion patterns expect on top:
+ *
+ * - Down / Up     next or previous filter heading
+ * - Home / End    first or last filter heading
+ * - Escape        close the innermost open filter, then the panel, and put
+ *                 focus back on its heading
+ *
+ * The panel is rebuilt whenever the cases on the page change, so the keys
+ * are handled for the whole document rather than bound to each heading.
+ */
+
+const PANEL_SELECTOR = '.brag-book-gallery-filter-dropdown';
+const HEADING_SELECTOR = 'summary.brag-book-gallery-filter-label';
+
+let initialized = false;
+
+/**
+ * @param {KeyboardEvent} e
+ */
+function handleKeydown(e) {
+	if (e.altKey || e.ctrlKey || e.metaKey || !(e.target instanceof Element)) {
+		return;
+	}
+
+	const panel = e.target.closest(PANEL_SELECTOR);
+	if (!panel) {
+		return;
+	}
+
+	if (e.key === 'Escape') {
+		const open = e.target.closest('details[open]');
+		if (open && panel.contains(open)) {
+			e.preventDefault();
+			open.open = false;
+			open.querySelector(':scope > summary')?.focus();
+		}
+		return;
+	}
+
+	if (!e.target.matches(HEADING_SELECTOR)) {
+		return;
+	}
+
+	const headings = Array.from(panel.querySelectorAll(HEADING_SELECTOR));
+	const index = headings.indexOf(e.target);
+	const targets = {
+		ArrowDown: headings[index + 1],
+		ArrowUp: headings[index - 1],
+		Home: headings[0],
+		End: headings[headings.length - 1],
+	};
+
+	if (e.key in targets) {
+		e.preventDefault();
+		targets[e.key]?.focus();
+	}
+}
+
+/**
+ * Handle the filter panel's keys, once for the page
+ */
+export function initFilterDisclosures() {
+	if (initialized) {
+		return;
+	}
+
+	initialized = true;
+	document.addEventListener('keydown', handleKeydown);
+}
@@ -0,0 +1,200 @@
+/**
+ * Demographic Filter URL State
+ *
+ * The query string is the source of truth for which demographic filters are
+ * active, so a reload, a shared link or an ad landing URL such as
+ * /gallery/rhinoplasty/?gender=female&age=25-34 opens with the filters on.
+ *
+ * Each checked filter checkbox is written under its data-filter-type (age,
+ * gender, ethnicity, height, weight, or procedure_detail_*), with multiple
+ * values comma-separated. Whenever the filter options are (re)generated, the
+ * boxes named in the query string are checked again, which is also what keeps
+ * a selection alive across Load More and AJAX content swaps.
+ *
+ * Age, height and weight are ranges rather than checkboxes (see
+ * range-filter.js); their selection is a hidden input holding "min-max",
+ * written and restored the same way as a single checked value.
+ *
+ * Because every change to the selection passes through writeFiltersToUrl(),
+ * that is also where the filter_change analytics event is reported.
+ */
+
+import { track } from './analytics.js';
+
+export const DEMOGRAPHIC_FILTER_KEYS = ['age', 'gender', 'ethnicity', 'height', 'weight'];
+
+const PROCEDURE_DETAIL_PREFIX = 'procedure_detail_';
+
+/**
+ * Class on <html> while filters named in the URL are waiting to be applied,
+ * so the unfiltered grid never flashes before the filtered one.
+ */
+export const FILTERS_PENDING_CLASS = 'brag-book-gallery-filters-pending';
+
+/**
+ * Every input that can carry a filter selection: the option checkboxes and
+ * the hidden value of each range filter.
+ */
+export const FILTER_INPUT_SELECTOR = '.brag-book-gallery-filter-option input[type="checkbox"], .brag-book-gallery-filter-range input[type="hidden"][data-filter-type]';
+
+/**
+ * Whether a query-string key belongs to the demographic filters.
+ *
+ * @param {string} key - Query parameter name
+ * @returns {boolean}
+ */
+export function isFilterQueryKey(key) {
+	return DEMOGRAPHIC_FILTER_KEYS.includes(key) || key.startsWith(PROCEDURE_DETAIL_PREFIX);
+}
+
+/**
+ * Read the filter selection from the query string.
+ *
+ * Values are lower-cased: links are typed by hand ("Female") while checkbox
+ * values come from card data, and the two are compared case-insensitively.
+ *
+ * @returns {Map<string, Set<string>>} Filter type to selected values
+ */
+export function readFiltersFromUrl() {
+	const selection = new Map();
+
+	new URLSearchParams(window.location.search).forEach((value, key) => {
+		if (!isFilterQueryKey(key)) {
+			return;
+		}
+
+		value.split(',')
+			.map(item => item.trim().toLowerCase())
+			.filter(Boolean)
+			.forEach(item => {
+				if (!selection.has(key)) {
+					selection.set(key, new Set());
+				}
+				selection.get(key).add(item);
+			});
+	});
+
+	return selection;
+}
+
+/**
+ * Whether the query string names any demographic filter.
+ *
+ * @returns {boolean}
+ */
+export function hasFiltersInUrl() {
+	return readFiltersFromUrl().size > 0;
+}
+
+/**
+ * The filter inputs currently selecting something: checked boxes and ranges
+ * narrowed from the full extent.
+ *
+ * @param {ParentNode} [root=document] - Where to look
+ * @returns {HTMLInputElement[]}
+ */
+export function getActiveFilterInputs(root = document) {
+	return Array.from(root.querySelectorAll(FILTER_INPUT_SELECTOR))
+		.filter(input => (input.type === 'checkbox' ? input.checked : input.value !== ''));
+}
+
+/**
+ * Group checked filter checkboxes by filter type.
+ *
+ * The same shape is written to the query string and posted to the server, so
+ * a selection means the same thing in both places.
+ *
+ * @param {Iterable<HTMLInputElement>} checkboxes - The checked filter checkboxes and active ranges
+ * @returns {Object<string, string[]>} Filter type to selected values
+ */
+export function groupFilterSelection(checkboxes) {
+	const grouped = {};
+	Array.from(checkboxes).forEach(checkbox => {
+		const type = checkbox.dataset.filterType;
+		if (!type || !isFilterQueryKey(type)) {
+			return;
+		}
+		(grouped[type] = grouped[type] || []).push(checkbox.value);
+	});
+
+	return grouped;
+}
+
+/**
+ * Write the checked filter checkboxes to the query string.
+ *
+ * Replaces rather than pushes, so ticking boxes does not pile up back steps,
+ * and keeps history.state so the gallery router's route survives. Other query
+ * parameters are left alone. A write that changes the URL is a filter change
+ * and is reported as one; re-applying the filters already in it is not.
+ *
+ * @param {Iterable<HTMLInputElement>} checkboxes - The checked filter checkboxes and active ranges
+ */
+export function writeFiltersToUrl(checkboxes) {
+	if (!window.history || !window.history.replaceState) {
+		return;
+	}
+
+	const params = new URLSearchParams(window.location.search);
+	Array.from(params.keys())
+		.filter(isFilterQueryKey)
+		.forEach(key => params.delete(key));
+
+	const filters = groupFilterSelection(checkboxes);
+	Object.entries(filters).forEach(([type, values]) => {
+		params.set(type, values.join(','));
+	});
+
+	const query = params.toString();
+	const url = window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+
+	if (url !== window.location.pathname + window.location.search + window.location.hash) {
+		window.history.replaceState(window.history.state, '', url);
+		track('filter_change', { filters });
+	}
+}
+
+/**
+ * Check the boxes in a filter container that the query string selects, and
+ * set the range filters it names.
+ *
+ * Values the current options do not offer are ignored; the next write then
+ * drops them, so the URL only ever names filters that are applied. Range
+ * handles still need moving afterwards with syncRangeFilters().
+ *
+ * @param {ParentNode} container - Element holding the filter inputs
+ * @returns {number} How many filters are selected from the URL
+ */
+export function restoreFiltersFromUrl(container) {
+	const selection = readFiltersFromUrl();
+	if (!container || selection.size === 0) {
+		return 0;
+	}
+
+	let restored = 0;
+	container.querySelectorAll('input[type="checkbox"][data-filter-type]').forEach(checkbox => {
+		const values = selection.get(checkbox.dataset.filterType);
+		if (values && values.has(String(checkbox.value).toLowerCase())) {
+			checkbox.checked = true;
+			restored++;
+		}
+	});
+	container.querySelectorAll('input[type="hidden"][data-filter-type]').forEach(input => {
+		const values = selection.get(input.dataset.filterType);
+		const range = values && Array.from(values).find(value => /^\d+-\d+$/.test(value));
+		if (range) {
+			input.value = range;
+			restored++;
+		}
+	});
+
+	return restored;
+}
+
+/**
+ * Reveal the grid once URL filters have been applied (or turned out to have
+ * nothing to apply to).
+ */
+export function clearFiltersPending() {
+	document.documentElement.classList.remove(FILTERS_PENDING_CLASS);
+}
@@ -1,4 +1,10 @@
+import { GRID_REQUEST, getErrorMessage, isSuperseded, postAjax } from './ajax-client.js';
 import { escapeHtml } from './utilities.js';
+import { isFilterQueryKey } from './filter-state.js';
+import { scrollBehavior } from './motion.js';
+import ProcedureTree from './procedure-tree.js';
+import { measureCardRanges, renderRangeFilter } from './range-filter.js';
+import { getCaseCards } from './virtual-grid.js';
 
 /**
  * Filter System Component
@@ -16,6 +22,7 @@ class FilterSystem {
 	 * @param {boolean} options.closeOthersOnOpen - Close other filters when opening one (default: true)
 	 * @param {Function} options.onFilterChange - Callback when filters change
 	 * @param {Function} options.onNavigate - Callback for URL navigation
+	 * @param {GalleryRouter|null} options.router - Gallery router to record history through (default: null)
 	 */
 	constructor(container, options = {}) {
 		// Core DOM elements and data structures
@@ -106,8 +113,12 @@ class FilterSystem {
 	 * Set up all event listeners for filter interactions and browser navigation
 	 */
 	setupEventListeners() {
-		// No event listeners needed - nav links now function as normal anchor links
-		// This allows WordPress taxonomy pages to load naturally
+		// Nav links function as normal anchor links, so WordPress taxonomy
+		// pages load naturally; only the keyboard needs handling here
+		const tree = this.container?.querySelector('.brag-book-gallery-nav-list');
+		if (tree) {
+			this.tree = new ProcedureTree(tree);
+		}
 	}
 
 	// Filter toggle methods removed - native details/summary elements handle this automatically
@@ -165,11 +176,7 @@ class FilterSystem {
 		const filterUrl = `${basePath}/${procedure}/`.replace(/\/+/g, '/');
 
 		// Update browser URL
-		window.history.pushState(
-			{ category, procedure, procedureIds, basePath, hasNudity },
-			'',
-			filterUrl
-		);
+		this.recordHistory(filterUrl, { category, procedure, procedureIds, basePath, hasNudity });
 
 		// Load filtered content via AJAX
 		this.loadFilteredContent(category, procedure, procedureIds, hasNudity);
@@ -192,7 +199,14 @@ class FilterSystem {
 	updateUrlState() {
 		// Update URL without reloading (for JS mode)
 		if (window.history && window.history.replaceState) {
+			// Demographic filters share the query string (see filter-state.js);
+			// carry them over so a category change doesn't drop them.
 			const params = new URLSearchParams();
+			new URLSearchParams(window.location.search).forEach((value, key) => {
+				if (isFilterQueryKey(key)) {
+					params.append(key, value);
+				}
+			});
 
 			// Group filters by category
 			const filtersByCategory = new Map();
@@ -210,7 +224,37 @@ class FilterSystem {
 			});
 
 			const newUrl = params.toString() ? `?${params.toString()}` : window.location.pathname;
-			window.history.replaceState({}, '', newUrl);
+			this.recordHistory(newUrl, {}, true);
+		}
+	}
+
+	/**
+	 * Write a filter change to browser history
+	 *
+	 * Goes through the gallery router when one was passed in, so the entry
+	 * carries the grid state back/forward restores; otherwise writes to the
+	 * History API directly as before.
+	 *
+	 * @param {string} url - URL for the entry
+	 * @param {Object} data - Filter data to keep on the entry
+	 * @param {boolean} replace - Replace the current entry instead of pushing
+	 */
+	recordHistory(url, data = {}, replace = false) {
+		const router = this.options.router;
+
+		if (router) {
+			if (replace) {
+				router.replaceRoute('grid', data, url);
+			} else {
+				router.navigate('grid', url, data);
+			}
+			return;
+		}
+
+		if (replace) {
+			window.history.replaceState(data, '', url);
+		} else {
+			window.history.pushState(data, '', url);
 		}
 	}
 
@@ -362,7 +406,7 @@ class FilterSystem {
 		this.activeFilters.clear();
 
 		// Reset URL to base
-		window.history.pushState({}, '', window.location.pathname);
+		this.recordHistory(window.location.pathname);
 	}
 
 	setMode(mode) {
@@ -406,26 +450,17 @@ class FilterSystem {
 	 * @param {HTMLElement} galleryContent - Gallery content container
 	 */
 	loadFilteredContentViaAjax(category, procedure, procedureIds, hasNudity, procedureName, galleryContent) {
-		// Get AJAX configuration
-		const ajaxUrl = window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php';
-		const nonce = window.bragBookGalleryConfig?.nonce || '';
-
 		// Prepare request data
 		const formData = new FormData();
 		formData.append('action', 'brag_book_gallery_load_filtered_gallery');
-		formData.append('nonce', nonce);
 		formData.append('procedure_name', procedureName);
 		formData.append('procedure_slug', procedure);
 		formData.append('procedure_ids', procedureIds || '');
 		formData.append('procedure_id', procedureIds?.split(',')[0] || '');
 		formData.append('has_nudity', hasNudity ? '1' : '0');
 
-		// Make AJAX request
-		fetch(ajaxUrl, {
-			method: 'POST',
-			body: formData
-		})
-			.then(response => response.json())
+		// Make AJAX request; a procedure clicked since supersedes this one
+		postAjax(formData, { key: GRID_REQUEST, idempotent: true })
 			.then(result => {
 				if (result.success && result.data?.html) {
 					this.updateGalleryContent(result.data.html);
@@ -461,7 +496,7 @@ class FilterSystem {
 					}
 
 					// Scroll to top of content
-					galleryContent.scrollIntoView({ behavior: 'smooth', block: 'start' });
+					galleryContent.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
 
 					// Badge updates handled by demographic filters only
 					// this.updateFilterBadges();
@@ -470,8 +505,12 @@ class FilterSystem {
 				}
 			})
 			.catch(error => {
+				if (isSuperseded(error)) {
+					return;
+				}
 				console.error('AJAX fallback error:', error);
-				galleryContent.innerHTML = '<div class="brag-book-gallery-error">Failed to load filtered content. Please try again.</div>';
+				galleryContent.innerHTML = '<div class="brag-book-gallery-error">' +
+					getErrorMessage(error, 'Failed to load filtered content. Please try again.') + '</div>';
 			});
 	}
 
@@ -540,7 +579,7 @@ class FilterSystem {
 	 */
 	generateFiltersFromDOMCards() {
 		// Find all case cards on the page
-		const caseCards = document.querySelectorAll('.brag-book-gallery-case-card');
+		const caseCards = getCaseCards();
 
 		if (caseCards.length === 0) {
 			return '';
@@ -548,28 +587,14 @@ class FilterSystem {
 
 		// Collect filter data from case card data attributes
 		const filterData = {
-			age: new Set(),
+			...measureCardRanges(caseCards), // age, height, weight bounds
 			gender: new Set(),
 			ethnicity: new Set(),
-			height: new Set(),
-			weight: new Set(),
 			procedureDetails: new Map() // Map of detail name -> Set of values
 		};
 
 		// Extract filter values from data attributes
 		caseCards.forEach(card => {
-			// Age
-			const age = card.dataset.age;
-			if (age) {
-				const ageNum = parseInt(age);
-				if (ageNum >= 18 && ageNum < 25) filterData.age.add('18-24');
-				else if (ageNum >= 25 && ageNum < 35) filterData.age.add('25-34');
-				else if (ageNum >= 35 && ageNum < 45) filterData.age.add('35-44');
-				else if (ageNum >= 45 && ageNum < 55) filterData.age.add('45-54');
-				else if (ageNum >= 55 && ageNum < 65) filterData.age.add('55-64');
-				else if (ageNum >= 65) filterData.age.add('65+');
-			}
-
 			// Gender
 			const gender = card.dataset.gender;
 			if (gender) {
@@ -582,28 +607,6 @@ class FilterSystem {
 				filterData.ethnicity.add(ethnicity);
 			}
 
-			// Height
-			const height = card.dataset.height;
-			if (height) {
-				const heightNum = parseFloat(height);
-				if (heightNum < 60) filterData.height.add('Under 5\'0"');
-				else if (heightNum >= 60 && heightNum < 64) filterData.height.add('5\'0" - 5\'3"');
-				else if (heightNum >= 64 && heightNum < 68) filterData.height.add('5\'4" - 5\'7"');
-				else if (heightNum >= 68 && heightNum < 72) filterData.height.add('5\'8" - 5\'11"');
-				else if (heightNum >= 72) filterData.height.add('6\'0" and above');
-			}
-
-			// Weight
-			const weight = card.dataset.weight;
-			if (weight) {
-				const weightNum = parseFloat(weight);
-				if (weightNum < 120) filterData.weight.add('Under 120 lbs');
-				else if (weightNum >= 120 && weightNum < 150) filterData.weight.add('120-149 lbs');
-				else if (weightNum >= 150 && weightNum < 180) filterData.weight.add('150-179 lbs');
-				else if (weightNum >= 180 && weightNum < 210) filterData.weight.add('180-209 lbs');
-				else if (weightNum >= 210) filterData.weight.add('210+ lbs');
-			}
-
 			// Procedure Details - extract all data-procedure-detail-* attributes
 			const datasetKeys = Object.keys(card.dataset);
 			datasetKeys.forEach(key => {
@@ -634,10 +637,14 @@ class FilterSystem {
 		// Generate HTML for filter sections
 		let html = '';
 
+		// Age, height and weight are ranges; a single value leaves nothing to narrow
+		const rangeFilter = (type, title) => {
+			const bounds = filterData[type];
+			return bounds && bounds.min < bounds.max ? renderRangeFilter(type, title, bounds) : '';
+		};
+
 		// Age filter
-		if (filterData.age.size > 0) {
-			html += this.generateFilterSection('Age', 'age', Array.from(filterData.age).sort());
-		}
+		html += rangeFilter('age', 'Age');
 
 		// Gender filter
 		if (filterData.gender.size > 0) {
@@ -652,15 +659,9 @@ class FilterSystem {
 			html += this.generateFilterSection('Ethnicity', 'ethnicity', Array.from(filterData.ethnicity).sort());
 		}
 
-		// Height filter
-		if (filterData.height.size > 0) {
-			html += this.generateFilterSection('Height', 'height', Array.from(filterData.height));
-		}
-
-		// Weight filter
-		if (filterData.weight.size > 0) {
-			html += this.generateFilterSection('Weight', 'weight', Array.from(filterData.weight));
-		}
+		// Height and weight filters
+		html += rangeFilter('height', 'Height');
+		html += rangeFilter('weight', 'Weight');
 
 		// Procedure Details filters
 		if (filterData.procedureDetails.size > 0) {
@@ -687,7 +688,7 @@ class FilterSystem {
 		html += '<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"></path>';
 		html += '</svg>';
 		html += '</summary>';
-		html += '<ul class="brag-book-gallery-filter-options">';
+		html += `<ul class="brag-book-gallery-filter-options" role="group" aria-label="${escapeHtml(title)}">`;
 
 		options.forEach(option => {
 			const id = `procedure-filter-${type}-${option.replace(/[^a-zA-Z0-9]/g, '-')}`;
@@ -751,7 +752,7 @@ class FilterSystem {
 		this.options.onFilterChange(this.activeFilters);
 
 		// Reset URL to base
-		window.history.pushState({}, '', window.location.pathname);
+		this.recordHistory(window.location.pathname);
 	}
 
 	/**
@@ -765,7 +766,7 @@ class FilterSystem {
 			const offsetTop = wrapper.getBoundingClientRect().top + window.pageYOffset - 20;
 			window.scrollTo({
 				top: offsetTop,
-				behavior: 'smooth'
+				behavior: scrollBehavior()
 			});
 		}
 	}
@@ -0,0 +1,242 @@
+/**
+ * Server-Side Demographic Filtering
+ *
+ * A paginated grid only holds the pages loaded so far, so filtering the cards
+ * in the page misses matches further down and counts only what is loaded. When
+ * the grid has a Load More button (which carries the view context: procedure,
+ * provider, location, shuffle seed) the filter panel instead asks the Load More
+ * endpoint for page 1 of the filtered list and for the option counts of the
+ * whole view. The selection is stamped on the button as data-filters, so later
+ * pages stay filtered.
+ *
+ * A grid without a button already holds every case in its view, and keeps
+ * being filtered in place.
+ */
+
+import { GRID_REQUEST, isSuperseded } from './ajax-client.js';
+import { getGalleryData } from './gallery-data.js';
+
+const LOAD_MORE_SELECTOR = '.brag-book-gallery-button--load-more';
+
+// Facet requests per view context. The panel is regenerated after every Load
+// More and content swap; the options for a view don't change in between.
+const facetCache = new Map();
+
+// Facets received, per view context and selection, for the option counts.
+const resolvedFacets = new Map();
+
+/**
+ * Key identifying the view a button describes, ignoring page and selection.
+ *
+ * @param {HTMLElement} button - The Load More button
+ * @returns {string}
+ */
+function contextKey(button) {
+	return ['data-term-id', 'data-procedure-name', 'data-provider-id', 'data-provider-slug', 'data-lat', 'data-lng']
+		.map(name => button.getAttribute(name) || '')
+		.join('|');
+}
+
+/**
+ * The Load More button carrying the current view context, if the grid is paged.
+ *
+ * @returns {HTMLButtonElement|null}
+ */
+export function getContextButton() {
+	return document.querySelector(LOAD_MORE_SELECTOR);
+}
+
+/**
+ * Build the Load More request for the view a button describes.
+ *
+ * Shared by the pager and the filter panel so both scope identically.
+ *
+ * @param {HTMLElement} button - The Load More button
+ * @param {string|number} startPage - Page to request
+ * @returns {Object<string, string>} Query parameters for the gallery data cases route
+ */
+export function buildContextRequest(button, startPage) {
+	// Get current procedure context from active nav link (fallback when the
+	// button has no explicit term id, e.g. legacy server renders).
+	const activeLink = document.querySelector('.brag-book-gallery-nav-link.brag-book-gallery-active');
+	const currentTermId = activeLink?.dataset.termId || '';
+
+	return {
+		start_page: String(startPage),
+		procedure_name: button.getAttribute('data-procedure-name') || '',
+		term_id: button.getAttribute('data-term-id') || currentTermId,
+		provider_id: button.getAttribute('data-provider-id') || '',
+		provider_slug: button.getAttribute('data-provider-slug') || '',
+		lat: button.getAttribute('data-lat') || '',
+		lng: button.getAttribute('data-lng') || '',
+		// Seeded shuffle for a randomised grid: the same seed keeps later pages in
+		// the order the first page was drawn from.
+		random_seed: button.getAttribute('data-random-seed') || '',
+		filters: button.getAttribute('data-filters') || '',
+	};
+}
+
+/**
+ * Request a page or the facets of a view, and unwrap the response.
+ *
+ * @param {Object<string, string>} params - Request built by buildContextRequest()
+ * @param {string} [key] - Request key; a newer request under it aborts this one
+ * @returns {Promise<Object|null>} Response data, or null on failure
+ * @throws {RequestError} When superseded
+ */
+function requestContext(params, key = '') {
+	return getGalleryData('/cases', params, { key })
+		.then(result => (result.success ? result.data : null))
+		.catch(error => {
+			if (isSuperseded(error)) {
+				throw error;
+			}
+			console.error('BRAGBook: Filter request failed:', error);
+			return null;
+		});
+}
+
+/**
+ * The same selection with its filter types and values in order, so one
+ * selection always makes one request URL however it was clicked together.
+ *
+ * @param {Object<string, string[]>} selection - Filter type to selected values
+ * @returns {Object<string, string[]>}
+ */
+function sortSelection(selection) {
+	return Object.fromEntries(Object.keys(selection).sort().map(type => [type, [...selection[type]].sort()]));
+}
+
+/**
+ * Fetch the filter options, with counts, for the whole view.
+ *
+ * @param {HTMLElement} button - The Load More button
+ * @returns {Promise<Object|null>} Facets as returned by the server, or null
+ */
+export function fetchFacets(button) {
+	const key = contextKey(button);
+	if (!facetCache.has(key)) {
+		const params = { ...buildContextRequest(button, 1), filters: '', facets_only: '1' };
+
+		facetCache.set(key, requestContext(params).then(data => {
+			if (!data?.facets) {
+				// Let the next regeneration try again
+				facetCache.delete(key);
+				return null;
+			}
+			resolvedFacets.set(key + '#', data.facets);
+			return data.facets;
+		}));
+	}
+
+	return facetCache.get(key);
+}
+
+/**
+ * Replace the grid with page 1 of the view narrowed to a selection.
+ *
+ * Resolves null when a newer request has superseded this one or the request
+ * failed, in which case the grid is left as it was.
+ *
+ * @param {HTMLElement} button - The Load More button
+ * @param {Object<string, string[]>} selection - Filter type to selected values; empty clears
+ * @returns {Promise<Object|null>} Response data ({ totalCases, hasMore, facets, ... })
+ */
+export function fetchFilteredCases(button, selection) {
+	const filters = Object.keys(selection).length > 0 ? JSON.stringify(sortSelection(selection)) : '';
+	const previous = button.getAttribute('data-filters') || '';
+
+	button.setAttribute('data-filters', filters);
+	const params = { ...buildContextRequest(button, 1), facets: '1' };
+
+	const grid = document.querySelector('.brag-book-gallery-case-grid') ||
+				 document.querySelector('.brag-book-gallery-cases-grid');
+	grid?.setAttribute('aria-busy', 'true');
+
+	// Only the newest selection may touch the grid; a slower earlier request
+	// is aborted rather than left to overwrite it.
+	return requestContext(params, GRID_REQUEST).then(data => {
+		grid?.removeAttribute('aria-busy');
+
+		if (!data || !grid) {
+			// The grid still shows the previous selection
+			button.setAttribute('data-filters', previous);
+			return null;
+		}
+
+		grid.innerHTML = data.html || '';
+		if (data.facets) {
+			resolvedFacets.set(contextKey(button) + '#' + filters, data.facets);
+		}
+
+		// The next Load More continues this list from page 2
+		button.setAttribute('data-start-page', '2');
+		button.disabled = false;
+		button.style.display = data.hasMore ? '' : 'none';
+		window.bragBookGalleryRouter?.setDepth(1);
+
+		return data;
+	}, () => null);
+}
+
+/**
+ * Whether the grid currently shows a server-filtered list.
+ *
+ * @param {HTMLElement|null} button - The Load More button
+ * @returns {boolean}
+ */
+export function isServerFiltered(button) {
+	return Boolean(button && button.getAttribute('data-filters'));
+}
+
+/**
+ * Option counts for the grid as it is currently filtered.
+ *
+ * Each count is what the option would return given the selections in the
+ * other filter types, as the server computed them.
+ *
+ * @param {HTMLElement} button - The Load More button
+ * @returns {Map<string, Map<string, number>>|null} Filter type to lower-cased value to count, or null if not yet known
+ */
+export function getFacetCounts(button) {
+	const facets = resolvedFacets.get(contextKey(button) + '#' + (button.getAttribute('data-filters') || ''));
+	if (!facets) {
+		return null;
+	}
+
+	const counts = new Map();
+	const add = (type, options) => {
+		counts.set(type, new Map((options || []).map(option => [String(option.value).toLowerCase(), option.count])));
+	};
+
+	['gender', 'ethnicity'].forEach(type => add(type, facets[type]));
+	(facets.details || []).forEach(detail => add(detail.type, detail.options));
+
+	return counts;
+}
+
+/**
+ * Convert server facets into the shape generateFilterHTML() renders.
+ *
+ * @param {Object} facets - Facets as returned by the server
+ * @returns {Object} filterData ({ gender, ethnicity: Set; age, height, weight: {min, max}|null; procedureDetails: Map })
+ */
+export function facetsToFilterData(facets) {
+	const values = options => new Set((options || []).map(option => option.value));
+	const ranges = facets.ranges || {};
+
+	const filterData = {
+		age: ranges.age || null,
+		gender: values(facets.gender),
+		ethnicity: values(facets.ethnicity),
+		height: ranges.height || null,
+		weight: ranges.weight || null,
+		procedureDetails: new Map()
+	};
+
+	(facets.details || []).forEach(detail => {
+		filterData.procedureDetails.set(detail.label, new Set((detail.options || []).map(option => option.label)));
+	});
+
+	return filterData;
+}
@@ -0,0 +1,233 @@
+/**
+ * Form Guard
+ *
+ * Browser half of Form_Guard: fetches the signed form token the consultation
+ * and favorites requests must carry, holds a submission back until the
+ * token's minimum age has passed, and answers the challenge when the site has
+ * one switched on.
+ *
+ * The token lives in sessionStorage, so a visitor fetches one per browser
+ * session and the minimum wait has usually long passed by the time they send
+ * anything. The honeypot field is plain markup and needs nothing from here.
+ *
+ * Challenge solvers are looked up by provider ID: proof-of-work is built in,
+ * and a site using another provider registers its solver as
+ * window.bragBookGalleryChallengeProviders[id] = async (challenge, token) => answer.
+ */
+
+import { request } from './ajax-client.js';
+
+const STORAGE_KEY = 'brag-book-form-guard';
+
+// Renew a token this long before it expires, in milliseconds.
+const RENEW_MARGIN = 5 * 60 * 1000;
+
+/**
+ * Count the zero bits at the start of a hash
+ *
+ * @param {Uint8Array} bytes Hash bytes
+ * @returns {number}
+ */
+const leadingZeroBits = (bytes) => {
+	let bits = 0;
+
+	for (const byte of bytes) {
+		if (byte === 0) {
+			bits += 8;
+			continue;
+		}
+		return bits + Math.clz32(byte) - 24;
+	}
+
+	return bits;
+};
+
+/**
+ * Find a counter whose SHA-256 with the token has enough leading zero bits
+ *
+ * Mirrors Proof_Of_Work::verify().
+ *
+ * @param {Object} challenge Challenge config from the server
+ * @param {string} token Form token
+ * @returns {Promise<string>} Answer
+ */
+const solveProofOfWork = async (challenge, token) => {
+	const encoder = new TextEncoder();
+
+	for (let counter = 0; ; counter++) {
+		const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${token}:${counter}`));
+		if (leadingZeroBits(new Uint8Array(digest)) >= challenge.difficulty) {
+			return String(counter);
+		}
+	}
+};
+
+const SOLVERS = {
+	'proof-of-work': solveProofOfWork
+};
+
+class FormGuard {
+	constructor() {
+		this.record = this.load();
+		this.pending = null;
+	}
+
+	/**
+	 * Fetch a token ahead of time so the minimum wait starts early
+	 */
+	prime() {
+		this.getRecord().catch(error => {
+			console.warn('BRAGBook: Could not fetch form token:', error);
+		});
+	}
+
+	/**
+	 * Add the token and challenge answer to a request
+	 *
+	 * Waits out whatever is left of the token's minimum age first.
+	 *
+	 * @param {FormData} formData Request body
+	 * @returns {Promise<FormData>}
+	 */
+	async append(formData) {
+		const record = await this.getRecord();
+
+		const wait = record.receivedAt + record.minSeconds * 1000 - Date.now();
+		if (wait > 0) {
+			await new Promise(resolve => setTimeout(resolve, wait));
+		}
+
+		formData.set('form_token', record.token);
+
+		if (record.challenge) {
+			if (!record.answer) {
+				record.answer = await this.solve(record);
+				this.save(record);
+			}
+			formData.set('form_challenge', record.answer);
+		}
+
+		return formData;
+	}
+
+	/**
+	 * React to a rejected request
+	 *
+	 * A token the server no longer accepts is dropped so the next request
+	 * fetches a fresh one.
+	 *
+	 * @param {Object} data Error data from the response
+	 */
+	handleError(data) {
+		if (data?.code === 'form_token' || data?.code === 'form_challenge') {
+			this.record = null;
+			this.save(null);
+		}
+	}
+
+	/**
+	 * The current token, fetching or renewing it as needed
+	 *
+	 * @returns {Promise<Object>}
+	 */
+	getRecord() {
+		if (this.record && this.record.expiresAt - RENEW_MARGIN > Date.now()) {
+			return Promise.resolve(this.record);
+		}
+
+		if (!this.pending) {
+			this.pending = this.fetchToken(this.record?.token || '')
+				.then(record => {
+					this.record = record;
+					this.save(record);
+					return record;
+				})
+				.finally(() => {
+					this.pending = null;
+				});
+		}
+
+		return this.pending;
+	}
+
+	/**
+	 * Ask the server for a token
+	 *
+	 * @param {string} previous Expiring token whose session to keep
+	 * @returns {Promise<Object>}
+	 */
+	async fetchToken(previous) {
+		const config = window.bragBookGalleryConfig || {};
+		const body = new FormData();
+		body.append('action', 'brag_book_gallery_form_token');
+		body.append('previous', previous);
+
+		const { response, result } = await request(config.ajaxUrl || '/wp-admin/admin-ajax.php', {
+			method: 'POST',
+			body
+		});
+
+		if (!result?.success) {
+			throw new Error(result.data?.message || `HTTP error! status: ${response.status}`);
+		}
+
+		// Timings use this browser's clock, so skew against the server's
+		// cannot make the wait too short.
+		const receivedAt = Date.now();
+
+		return {
+			token: result.data.token,
+			receivedAt,
+			expiresAt: receivedAt + result.data.lifetime * 1000,
+			minSeconds: result.data.min_seconds,
+			challenge: result.data.challenge,
+			answer: ''
+		};
+	}
+
+	/**
+	 * Answer the token's challenge with the matching solver
+	 *
+	 * @param {Object} record Token record
+	 * @returns {Promise<string>}
+	 */
+	async solve(record) {
+		const { provider } = record.challenge;
+		const solver = window.bragBookGalleryChallengeProviders?.[provider] || SOLVERS[provider];
+
+		if (!solver) {
+			console.error(`BRAGBook: No solver registered for challenge provider "${provider}"`);
+			return '';
+		}
+
+		return String(await solver(record.challenge, record.token));
+	}
+
+	/**
+	 * @returns {Object|null} Token record saved earlier in this session
+	 */
+	load() {
+		try {
+			return JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null');
+		} catch (error) {
+			return null;
+		}
+	}
+
+	/**
+	 * @param {Object|null} record Token record to keep for this session
+	 */
+	save(record) {
+		try {
+			if (record) {
+				sessionStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+			} else {
+				sessionStorage.removeItem(STORAGE_KEY);
+			}
+		} catch (error) {
+			// Storage full or blocked: the in-memory copy still works for this page.
+		}
+	}
+}
+
+export default FormGuard;
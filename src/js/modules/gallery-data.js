@@ -0,0 +1,69 @@
+/**
+ * Gallery Data
+ *
+ * Read-only gallery requests (Load More pages, filter options, case details
+ * and adjacent cases) go to the gallery data REST routes as GETs, see
+ * includes/rest/class-gallery-data.php. Unlike admin-ajax POSTs these can be
+ * kept by the browser, a page cache or a CDN, so one request must always make
+ * one URL: parameters are sorted, empty ones left out, and no nonce or cookie
+ * is sent. The sync version rides along as `v`, so after a sync every URL is
+ * one nothing has cached yet.
+ *
+ * Responses come back in the `{success, data}` shape of admin-ajax, which is
+ * what the callers already read.
+ */
+
+import { request } from './ajax-client.js';
+
+/**
+ * The URL for a gallery data request
+ *
+ * @param {string} path - Route below the gallery data base, e.g. '/cases'
+ * @param {Object<string, string|number|boolean>} [params] - Query parameters
+ * @returns {string}
+ */
+export function galleryDataUrl(path, params = {}) {
+	const config = window.bragBookGalleryConfig || {};
+	// With plain permalinks the route is itself a query parameter, which the
+	// path extends
+	const url = new URL(`${config.galleryDataUrl || '/wp-json/brag-book-gallery/v1/gallery'}${path}`, window.location.href);
+	const query = { ...params, v: config.syncVersion };
+
+	Object.keys(query).sort().forEach(name => {
+		const value = query[name];
+
+		if (value === '' || value === null || value === undefined || value === false) {
+			return;
+		}
+		url.searchParams.append(name, value === true ? '1' : String(value));
+	});
+
+	return url.toString();
+}
+
+/**
+ * GET gallery data
+ *
+ * Failed GETs are retried with backoff, see ajax-client.js.
+ *
+ * @param {string} path - Route below the gallery data base
+ * @param {Object<string, string|number|boolean>} [params] - Query parameters
+ * @param {Object} [options]
+ * @param {string} [options.key] - Request key; a newer request under it aborts this one
+ * @returns {Promise<{success: boolean, data: Object}>}
+ * @throws {RequestError} When no usable answer came back
+ */
+export async function getGalleryData(path, params = {}, { key = '' } = {}) {
+	// Without cookies the response is the same for every visitor, and caches
+	// that pass logged-in traffic through still keep it
+	const { response, result } = await request(galleryDataUrl(path, params), { credentials: 'omit', key });
+
+	if (!response.ok || !result) {
+		return {
+			success: false,
+			data: { message: result?.message || `HTTP error! status: ${response.status}` }
+		};
+	}
+
+	return { success: true, data: result };
+}
@@ -0,0 +1,682 @@
+/**
+ * Gallery Router
+ *
+ * Owns browser history for every view the gallery swaps in place: the case
+ * grid, a case loaded over AJAX, the favorites view, and the provider and
+ * location results. Each history entry it writes carries a route (which view,
+ * plus what is needed to rebuild it), and on back/forward the router puts the
+ * grid back the way the visitor left it — scroll position, demographic filter
+ * badges and how many Load More pages deep they were.
+ *
+ * Two kinds of return are handled:
+ *
+ * - Back/forward within the page (popstate). The content area is restored from
+ *   an in-memory snapshot taken when the visitor left that entry.
+ * - Back to the gallery after a full page load, e.g. from a server-rendered
+ *   case page the browser did not keep in its page cache. No snapshot survives
+ *   that, so the route saved on pagehide is replayed: Load More pages are
+ *   fetched again, filters re-checked, then the scroll position is applied.
+ *
+ * How many pages deep the grid is also goes in the URL as ?page=N, so a link
+ * to an infinite-scrolled grid opens as deep as it was shared. A page load
+ * with ?page=N and no saved route replays that many pages and lands on the
+ * first case of the last one.
+ *
+ * Widgets in other bundles (provider filter, location search) cannot import
+ * this module, so they reach it through window.bragBookGalleryRouter and listen
+ * for the `bragbook:routechange` event to bring their own controls in line.
+ */
+
+import { CASE_DETAILS_REQUEST, GRID_PAGE_REQUEST, GRID_REQUEST, cancelRequest } from './ajax-client.js';
+import { FILTER_INPUT_SELECTOR, getActiveFilterInputs } from './filter-state.js';
+import { syncRangeFilters } from './range-filter.js';
+import { getCaseCards, scrollToCaseCard, serializeWithCases } from './virtual-grid.js';
+
+/**
+ * Key the route is stored under in history.state, so the router never
+ * clobbers state other code puts there.
+ */
+const STATE_KEY = 'bragBookRoute';
+
+const VIEWS = ['grid', 'case', 'favorites', 'provider', 'location'];
+
+const CONTENT_SELECTOR = '#gallery-content';
+const LOAD_MORE_SELECTOR = '.brag-book-gallery-button--load-more';
+
+// Query parameter holding the grid's depth.
+const PAGE_PARAM = 'page';
+
+// Snapshots hold a whole content area of markup each. Ten covers any realistic
+// run of back presses without letting a long session grow without bound.
+const SNAPSHOT_LIMIT = 10;
+
+// Trailing delay before a scroll position is written to history. Safari
+// throttles replaceState, so writing on every scroll event is not an option.
+const SCROLL_SAVE_DELAY = 150;
+
+class GalleryRouter {
+	/**
+	 * @param {Object} options - Configuration options
+	 * @param {Function} options.onCase - Loads a case route that has no snapshot; receives the route, may return a Promise
+	 * @param {Function} options.onRestore - Called with the content element after a snapshot is put back, to rebind anything not delegated
+	 */
+	constructor(options = {}) {
+		this.options = {
+			onCase: null,
+			onRestore: null,
+			...options
+		};
+
+		this.snapshots = new Map();
+		this.current = null;
+		this.restoring = false;
+		this.scrollTimer = null;
+		this.sequence = 0;
+
+		this.handlePopState = this.handlePopState.bind(this);
+		this.handleScroll = this.handleScroll.bind(this);
+		this.handlePageHide = this.handlePageHide.bind(this);
+		this.handleFilterChange = this.handleFilterChange.bind(this);
+
+		this.init();
+	}
+
+	/**
+	 * Stamp the entry the page loaded on, replay any saved state, and start
+	 * listening for history traversal.
+	 */
+	init() {
+		// The browser's own scroll restoration fires before Load More pages are
+		// replayed, so it lands short of where the visitor was. The router
+		// restores scroll itself once the grid is deep enough.
+		if ('scrollRestoration' in window.history) {
+			window.history.scrollRestoration = 'manual';
+		}
+
+		const route = this.getRoute();
+		if (route) {
+			this.restoreInitial(route);
+		} else {
+			this.replaceRoute(this.detectView());
+
+			// A shared or bookmarked ?page=N: the depth is all there is to go on
+			const depth = this.readDepth();
+			if (depth > 1 && this.current.view === 'grid') {
+				this.restoreInitial({ ...this.current, depth, scrollY: null });
+			}
+		}
+
+		window.addEventListener('popstate', this.handlePopState);
+		window.addEventListener('scroll', this.handleScroll, { passive: true });
+		window.addEventListener('pagehide', this.handlePageHide);
+		document.addEventListener('change', this.handleFilterChange);
+	}
+
+	/**
+	 * Work out which view the server rendered.
+	 *
+	 * @returns {string} One of VIEWS
+	 */
+	detectView() {
+		const content = document.querySelector(CONTENT_SELECTOR);
+
+		if (content?.querySelector('.brag-book-gallery-case-detail-view')) {
+			return 'case';
+		}
+
+		if (document.getElementById('brag-book-gallery-favorites') || content?.dataset.favoritesPage === 'true') {
+			return 'favorites';
+		}
+
+		if (typeof window.bragBookGalleryProviderArchiveSlug === 'function' && window.bragBookGalleryProviderArchiveSlug()) {
+			return 'provider';
+		}
+
+		return 'grid';
+	}
+
+	/**
+	 * The route stored on the current history entry, if the router wrote one.
+	 *
+	 * @returns {Object|null}
+	 */
+	getRoute() {
+		return window.history.state?.[STATE_KEY] || null;
+	}
+
+	/**
+	 * Push a new view onto history.
+	 *
+	 * The entry being left is snapshotted first so back can return to it
+	 * without a request.
+	 *
+	 * @param {string} view - One of VIEWS
+	 * @param {string} url - URL for the new entry (defaults to the current one)
+	 * @param {Object} data - View-specific data needed to rebuild the view
+	 */
+	navigate(view, url = window.location.href, data = {}) {
+		// Navigating to where the visitor already is must not add a back step
+		// that returns to the same thing.
+		const current = this.getRoute();
+		if (
+			current &&
+			current.view === view &&
+			new URL(url, window.location.href).href === window.location.href &&
+			Object.keys(data).every(key => current[key] === data[key])
+		) {
+			this.updateRoute(data);
+			return;
+		}
+
+		this.saveCurrent(true);
+
+		// A new view starts on its first page
+		url = this.withDepth(url, 1);
+		const route = this.createRoute(view, url, data);
+		window.history.pushState(this.wrapState(route, {}), '', url);
+		this.current = route;
+
+		this.dispatch(route, false);
+	}
+
+	/**
+	 * Replace the current entry's route, e.g. when a filter change should not
+	 * add a back step.
+	 *
+	 * @param {string} view - One of VIEWS
+	 * @param {Object} data - View-specific data
+	 * @param {string} url - URL for the entry (defaults to the current one)
+	 */
+	replaceRoute(view, data = {}, url = window.location.href) {
+		const route = { ...this.createRoute(view, url, data), ...this.captureState() };
+		window.history.replaceState(this.wrapState(route), '', url);
+		this.current = route;
+	}
+
+	/**
+	 * Merge data into the current entry's route without changing the view.
+	 *
+	 * @param {Object} data - Fields to merge
+	 */
+	updateRoute(data) {
+		const route = this.getRoute();
+		if (!route) {
+			return;
+		}
+
+		const updated = { ...route, ...data };
+		window.history.replaceState(this.wrapState(updated), '', window.location.href);
+		this.current = updated;
+	}
+
+	/**
+	 * Record how many pages the grid shows, on the current entry and as
+	 * ?page=N.
+	 *
+	 * @param {number} depth - Pages the grid shows
+	 */
+	setDepth(depth) {
+		const url = this.withDepth(window.location.href, depth);
+		const route = this.getRoute();
+
+		if (!route) {
+			window.history.replaceState(window.history.state, '', url);
+			return;
+		}
+
+		const updated = { ...route, depth, url };
+		window.history.replaceState(this.wrapState(updated), '', url);
+		this.current = updated;
+	}
+
+	/**
+	 * The depth the current URL asks for.
+	 *
+	 * @returns {number} 1 when the URL names no page
+	 */
+	readDepth() {
+		const page = parseInt(new URLSearchParams(window.location.search).get(PAGE_PARAM) || '1', 10);
+		return Number.isNaN(page) ? 1 : Math.max(1, page);
+	}
+
+	/**
+	 * A URL with its ?page=N set to a depth; the first page has none.
+	 *
+	 * @param {string} url - URL to change
+	 * @param {number} depth - Pages the grid shows
+	 * @returns {string}
+	 */
+	withDepth(url, depth) {
+		const target = new URL(url, window.location.href);
+
+		if (depth > 1) {
+			target.searchParams.set(PAGE_PARAM, String(depth));
+		} else {
+			target.searchParams.delete(PAGE_PARAM);
+		}
+
+		return target.href;
+	}
+
+	/**
+	 * Build a route object.
+	 *
+	 * A new route starts at the top of an unfiltered first page; the scroll and
+	 * filter handlers fill in the rest as the visitor uses the view.
+	 *
+	 * @param {string} view - One of VIEWS
+	 * @param {string} url - Entry URL
+	 * @param {Object} data - View-specific data
+	 * @returns {Object}
+	 */
+	createRoute(view, url, data) {
+		if (!VIEWS.includes(view)) {
+			console.warn(`BRAGBook: Unknown gallery view "${view}", recording as grid`);
+			view = 'grid';
+		}
+
+		// Unique across page loads, so a snapshot can never be matched to an
+		// entry written by an earlier load of the same page.
+		this.sequence += 1;
+		const id = `${Date.now().toString(36)}-${this.sequence}`;
+
+		return {
+			...data,
+			id,
+			view,
+			url: String(url),
+			scrollY: 0,
+			filters: [],
+			depth: 1
+		};
+	}
+
+	/**
+	 * Wrap a route in whatever else is on the entry's state.
+	 *
+	 * @param {Object} route - The route
+	 * @param {*} base - Existing state to keep (the current entry's by default)
+	 * @returns {Object}
+	 */
+	wrapState(route, base = window.history.state) {
+		const state = base && typeof base === 'object' ? base : {};
+		return { ...state, [STATE_KEY]: route };
+	}
+
+	/**
+	 * Read the grid state worth restoring from the DOM.
+	 *
+	 * @returns {{scrollY: number, filters: Array<{type: string, value: string}>, depth: number}}
+	 */
+	captureState() {
+		const filters = getActiveFilterInputs()
+			.map(checkbox => ({ type: checkbox.dataset.filterType, value: checkbox.value }));
+
+		// data-start-page is the next page to fetch, so one less is how many
+		// pages the grid already shows.
+		const button = document.querySelector(LOAD_MORE_SELECTOR);
+		const nextPage = parseInt(button?.getAttribute('data-start-page') || '2', 10);
+
+		return {
+			scrollY: Math.round(window.scrollY),
+			filters,
+			depth: Math.max(1, nextPage - 1)
+		};
+	}
+
+	/**
+	 * Save the current entry's state, and optionally a snapshot of its content.
+	 *
+	 * @param {boolean} withSnapshot - Also keep the content markup in memory
+	 */
+	saveCurrent(withSnapshot = false) {
+		const route = this.getRoute();
+		if (!route) {
+			return;
+		}
+
+		const state = this.captureState();
+		this.updateRoute(state);
+
+		if (withSnapshot) {
+			this.storeSnapshot(route.id, state);
+		}
+	}
+
+	/**
+	 * Keep the content area's markup for a route.
+	 *
+	 * @param {string} id - Route id
+	 * @param {Object} state - Captured grid state at the time of the snapshot
+	 */
+	storeSnapshot(id, state) {
+		const content = document.querySelector(CONTENT_SELECTOR);
+		if (!content || !id) {
+			return;
+		}
+
+		// Delete before set so a re-snapshotted entry moves to the back of the
+		// Map's insertion order and is the last to be evicted.
+		this.snapshots.delete(id);
+		this.snapshots.set(id, {
+			// Every case, including those a virtual grid has scrolled out
+			html: serializeWithCases(content),
+			title: document.title,
+			state
+		});
+
+		while (this.snapshots.size > SNAPSHOT_LIMIT) {
+			this.snapshots.delete(this.snapshots.keys().next().value);
+		}
+	}
+
+	/**
+	 * Restore the view a back/forward step landed on.
+	 *
+	 * @param {PopStateEvent} event
+	 */
+	handlePopState(event) {
+		const route = event.state?.[STATE_KEY];
+		if (!route) {
+			// Not an entry the router wrote, e.g. a hash change.
+			return;
+		}
+
+		// history.state already belongs to the new entry, but the DOM still
+		// shows the one being left, so snapshot it against its own id.
+		if (this.current && this.current.id !== route.id) {
+			this.storeSnapshot(this.current.id, this.captureState());
+		}
+
+		this.restore(route);
+	}
+
+	/**
+	 * Put a route's view back on screen.
+	 *
+	 * @param {Object} route - The route to restore
+	 */
+	async restore(route) {
+		const snapshot = this.snapshots.get(route.id);
+		this.restoring = true;
+		this.current = route;
+
+		// Whatever the view being left was still loading must not land on
+		// the one coming back
+		[GRID_REQUEST, GRID_PAGE_REQUEST, CASE_DETAILS_REQUEST].forEach(cancelRequest);
+
+		try {
+			if (snapshot) {
+				this.applySnapshot(snapshot);
+				// The snapshot already holds every loaded page, so only the
+				// filters and scroll need putting back.
+				await this.restoreState({ ...route, ...snapshot.state, depth: 1 });
+			} else if (route.view === 'case' && typeof this.options.onCase === 'function') {
+				await this.options.onCase(route);
+			} else {
+				// An entry from an earlier load of this page: nothing in memory can
+				// rebuild it, so let the server render the URL. restoreInitial()
+				// then replays the saved state on the fresh page.
+				window.location.reload();
+				return;
+			}
+		} catch (error) {
+			console.warn('BRAGBook: Could not restore gallery view, reloading', error);
+			window.location.reload();
+			return;
+		} finally {
+			this.restoring = false;
+		}
+
+		this.dispatch(route, true, !!snapshot);
+	}
+
+	/**
+	 * Replay a route saved on a previous load of this page.
+	 *
+	 * @param {Object} route - The route found on history.state at load
+	 */
+	async restoreInitial(route) {
+		this.current = route;
+
+		// Provider and location results are rebuilt by their own widgets from
+		// the route; replaying Load More here would page the unfiltered grid.
+		if (route.view === 'provider' || route.view === 'location') {
+			this.dispatch(route, true, false);
+			return;
+		}
+
+		const hasState = route.depth > 1 || route.filters?.length > 0 || route.scrollY > 0;
+		if (!hasState) {
+			return;
+		}
+
+		this.restoring = true;
+		try {
+			await this.restoreState(route);
+		} catch (error) {
+			console.warn('BRAGBook: Could not restore saved gallery state', error);
+		} finally {
+			this.restoring = false;
+		}
+
+		this.dispatch(route, true, false);
+	}
+
+	/**
+	 * Replace the content area with a snapshot.
+	 *
+	 * @param {Object} snapshot - Stored snapshot
+	 */
+	applySnapshot(snapshot) {
+		const content = document.querySelector(CONTENT_SELECTOR);
+		if (!content) {
+			return;
+		}
+
+		content.innerHTML = snapshot.html;
+		document.title = snapshot.title;
+
+		if (typeof this.options.onRestore === 'function') {
+			this.options.onRestore(content);
+		}
+	}
+
+	/**
+	 * Bring the grid back to a saved depth, filter selection and scroll.
+	 *
+	 * @param {Object} state - Saved depth, filters and scrollY (null when only the depth is known)
+	 */
+	async restoreState(state) {
+		await this.replayLoadMore(state.depth || 1);
+		await this.whenFiltersReady();
+		this.restoreFilters(state.filters || []);
+
+		if (state.scrollY === null) {
+			this.scrollToPage(state.depth || 1);
+		} else {
+			this.scrollTo(state.scrollY || 0);
+		}
+	}
+
+	/**
+	 * Fetch Load More pages until the grid is as deep as it was.
+	 *
+	 * @param {number} depth - Pages the grid should show
+	 */
+	async replayLoadMore(depth) {
+		const button = document.querySelector(LOAD_MORE_SELECTOR);
+		if (!button || depth <= 1 || typeof window.loadMoreCasesFromCache !== 'function') {
+			return;
+		}
+
+		let shown = parseInt(button.getAttribute('data-start-page') || '2', 10) - 1;
+
+		while (shown < depth && button.style.display !== 'none') {
+			const loaded = await window.loadMoreCasesFromCache(button, { scroll: false, replay: true });
+			const next = parseInt(button.getAttribute('data-start-page') || '2', 10) - 1;
+
+			// Stop on a failed request or a page that did not advance, rather
+			// than retrying the same page forever.
+			if (!loaded || next <= shown) {
+				break;
+			}
+			shown = next;
+		}
+
+		// New cards change which demographic options exist.
+		if (shown > 1 && typeof window.regenerateProcedureFilters === 'function') {
+			window.regenerateProcedureFilters();
+		}
+	}
+
+	/**
+	 * Resolve once the demographic filter options have been generated.
+	 *
+	 * They are built on a short timer after DOMContentLoaded; checking boxes
+	 * before that would be overwritten by the build.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	whenFiltersReady() {
+		if (window.bragBookGalleryFiltersReady || !document.getElementById('procedure-filters-details')) {
+			return Promise.resolve();
+		}
+
+		return new Promise(resolve => {
+			window.addEventListener('bragbook:filtersready', () => resolve(), { once: true });
+		});
+	}
+
+	/**
+	 * Re-check saved demographic filters, set saved ranges, and re-apply them,
+	 * which also rebuilds the badges.
+	 *
+	 * @param {Array<{type: string, value: string}>} filters - Saved selection
+	 */
+	restoreFilters(filters) {
+		const inputs = document.querySelectorAll(FILTER_INPUT_SELECTOR);
+		if (!inputs.length) {
+			return;
+		}
+
+		// Compared by value rather than a selector: detail values such as 32"
+		// cannot be quoted safely inside an attribute selector.
+		const wanted = new Set(filters.map(filter => `${filter.type}:${filter.value}`));
+		let changed = false;
+
+		inputs.forEach(input => {
+			if (input.type === 'checkbox') {
+				const checked = wanted.has(`${input.dataset.filterType}:${input.value}`);
+				if (input.checked !== checked) {
+					input.checked = checked;
+					changed = true;
+				}
+				return;
+			}
+
+			// A range filter holds at most one "min-max" value
+			const saved = filters.find(filter => filter.type === input.dataset.filterType);
+			const value = saved ? saved.value : '';
+			if (input.value !== value) {
+				input.value = value;
+				changed = true;
+			}
+		});
+		syncRangeFilters(document);
+
+		if ((changed || wanted.size > 0) && typeof window.applyProcedureFilters === 'function') {
+			window.applyProcedureFilters();
+		}
+	}
+
+	/**
+	 * Jump to a saved scroll position once the restored content has laid out.
+	 *
+	 * @param {number} y - Saved window.scrollY
+	 */
+	scrollTo(y) {
+		requestAnimationFrame(() => {
+			window.scrollTo({ top: y, behavior: 'instant' });
+		});
+	}
+
+	/**
+	 * Jump to the first case of a page, for a return that knows how deep the
+	 * grid was but not where it was scrolled.
+	 *
+	 * @param {number} page - Page to show
+	 */
+	scrollToPage(page) {
+		const button = document.querySelector(LOAD_MORE_SELECTOR);
+		const perPage = parseInt(button?.getAttribute('data-per-page') || '0', 10);
+		const card = page > 1 ? getCaseCards()[(page - 1) * perPage] : null;
+
+		if (card) {
+			requestAnimationFrame(() => scrollToCaseCard(card));
+		}
+	}
+
+	/**
+	 * Record the scroll position on the current entry once scrolling settles.
+	 */
+	handleScroll() {
+		if (this.restoring) {
+			return;
+		}
+
+		clearTimeout(this.scrollTimer);
+		this.scrollTimer = setTimeout(() => {
+			this.updateRoute({ scrollY: Math.round(window.scrollY) });
+		}, SCROLL_SAVE_DELAY);
+	}
+
+	/**
+	 * Record demographic filter changes on the current entry.
+	 *
+	 * @param {Event} event
+	 */
+	handleFilterChange(event) {
+		if (this.restoring || !event.target.matches?.(FILTER_INPUT_SELECTOR)) {
+			return;
+		}
+
+		this.updateRoute(this.captureState());
+	}
+
+	/**
+	 * Save the full grid state as the visitor leaves the page, so coming back
+	 * from a server-rendered case page can replay it.
+	 */
+	handlePageHide() {
+		clearTimeout(this.scrollTimer);
+		this.saveCurrent(false);
+	}
+
+	/**
+	 * Announce a route change.
+	 *
+	 * @param {Object} route - The route now showing
+	 * @param {boolean} restored - True for back/forward and reload restores, false for a new navigation
+	 * @param {boolean} fromSnapshot - True when the content came back from memory
+	 */
+	dispatch(route, restored, fromSnapshot = false) {
+		window.dispatchEvent(new CustomEvent('bragbook:routechange', {
+			detail: { route, restored, fromSnapshot }
+		}));
+	}
+
+	/**
+	 * Stop listening. Routes already written stay on history.
+	 */
+	destroy() {
+		clearTimeout(this.scrollTimer);
+		window.removeEventListener('popstate', this.handlePopState);
+		window.removeEventListener('scroll', this.handleScroll);
+		window.removeEventListener('pagehide', this.handlePageHide);
+		document.removeEventListener('change', this.handleFilterChange);
+		this.snapshots.clear();
+	}
+}
+
+export default GalleryRouter;
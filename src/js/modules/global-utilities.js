@@ -1,6 +1,42 @@
 import BRAGbookGalleryApp from './main-app.js';
+import { track } from './analytics.js';
 import Carousel from './carousel.js';
 import { NudityWarningManager, PhoneFormatter, escapeHtml } from './utilities.js';
+import { announceCaseCount, announceCasesLoaded } from './live-region.js';
+import { initInfiniteScroll } from './infinite-scroll.js';
+import { countCaseCards, getCaseCards, refreshCaseGrid, syncVirtualGrid } from './virtual-grid.js';
+import { scrollBehavior } from './motion.js';
+import { getGalleryData } from './gallery-data.js';
+import { CASE_DETAILS_REQUEST, GRID_PAGE_REQUEST, getErrorMessage, isSuperseded, postAjax } from './ajax-client.js';
+import {
+	FILTERS_PENDING_CLASS,
+	clearFiltersPending,
+	getActiveFilterInputs,
+	groupFilterSelection,
+	hasFiltersInUrl,
+	restoreFiltersFromUrl,
+	writeFiltersToUrl
+} from './filter-state.js';
+import {
+	buildContextRequest,
+	facetsToFilterData,
+	fetchFacets,
+	fetchFilteredCases,
+	getContextButton,
+	getFacetCounts,
+	isServerFiltered
+} from './filtered-cases.js';
+import {
+	RANGE_FILTER_TYPES,
+	formatRange,
+	getCardMeasurements,
+	initRangeFilters,
+	isInRanges,
+	measureCardRanges,
+	renderRangeFilter,
+	resetRangeFilter,
+	syncRangeFilters
+} from './range-filter.js';
 
 /**
  * Global utility functions for the BRAG book Gallery
@@ -333,31 +369,12 @@ function getCurrentPostId() {
  * @param {string} [providerId] - Active provider API id, if any
  */
 function fetchAdjacentCases(procedureSlug, termId, currentPostId, callback, providerSlug, providerId) {
-	// Make AJAX call to WordPress admin-ajax.php
-	const formData = new FormData();
-	formData.append('action', 'brag_book_get_adjacent_cases');
-	if (procedureSlug) {
-		formData.append('procedure_slug', procedureSlug);
-	}
-	if (termId) {
-		formData.append('term_id', termId);
-	}
-	formData.append('post_id', currentPostId);
-	if (providerSlug) {
-		formData.append('provider_slug', providerSlug);
-	}
-	if (providerId) {
-		formData.append('provider_id', providerId);
-	}
-
-	const ajaxUrl = window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php';
-
-	fetch(ajaxUrl, {
-		method: 'POST',
-		body: formData,
-		credentials: 'same-origin'
+	getGalleryData(`/cases/${parseInt(currentPostId, 10) || 0}/adjacent`, {
+		procedure_slug: procedureSlug,
+		term_id: termId,
+		provider_slug: providerSlug,
+		provider_id: providerId
 	})
-		.then(response => response.json())
 		.then(data => {
 			if (data.success && data.data) {
 				callback(data.data);
@@ -470,13 +487,20 @@ window.updateGridLayout = function(columns) {
  * Stores arrays of selected filter values for each category
  */
 window.bragBookProcedureFilters = {
-	age: [],      // Age ranges like '18-24', '25-34', etc.
+	age: [],      // Age range as 'min-max', e.g. '30-45'
 	gender: [],   // Gender values
 	ethnicity: [], // Ethnicity values
-	height: [],   // Height ranges
-	weight: []    // Weight ranges
+	height: [],   // Height range in inches, e.g. '62-68'
+	weight: []    // Weight range in pounds, e.g. '120-160'
 };
 
+// A link that names filters (?gender=female&age=25-34) hides the grid until
+// they are applied, rather than showing every case and then snapping to the
+// filtered set. This runs as the bundle loads, ahead of DOMContentLoaded.
+if (hasFiltersInUrl()) {
+	document.documentElement.classList.add(FILTERS_PENDING_CLASS);
+}
+
 /**
  * Initialize demographic procedure filters
  * Called on page load and after AJAX content updates
@@ -575,8 +599,7 @@ function cleanupProcedureBadges() {
 	const clearAllButtons = document.querySelectorAll('.brag-book-gallery-clear-all-filters');
 	clearAllButtons.forEach(button => {
 		// Only hide if there are no demographic filters active
-		const activeCheckboxes = document.querySelectorAll('.brag-book-gallery-filter-option input[type="checkbox"]:checked');
-		if (activeCheckboxes.length === 0) {
+		if (getActiveFilterInputs().length === 0) {
 			button.style.display = 'none';
 		}
 	});
@@ -598,37 +621,58 @@ window.generateProcedureFilterOptions = function() {
 			.replace(/>/g, '&gt;');
 	};
 
-	// Try multiple possible filter container IDs/classes
-	const container = document.getElementById('brag-book-gallery-filters') ||
-					  document.querySelector('.brag-book-gallery-filter-content') ||
-					  document.querySelector('.brag-book-gallery-filters');
+	const container = getFilterContainer();
 	if (!container) {
+		// Nothing to apply URL filters to; don't leave the grid hidden.
+		clearFiltersPending();
 		return;
 	}
 
-	// Always generate filters based on visible case cards on the page
-	const cards = document.querySelectorAll('.brag-book-gallery-case-card[data-card="true"]');
+	const render = (filterData) => {
+		if (typeof window.generateFilterHTML === 'function') {
+			window.generateFilterHTML(container, filterData);
+		}
+	};
+
+	// A paged grid holds only some of its cases, so its options (and their
+	// counts) come from the server for the whole view. The cards in the page
+	// are the fallback if that request fails.
+	const contextButton = getContextButton();
+	if (contextButton) {
+		fetchFacets(contextButton).then(facets => {
+			render(facets ? facetsToFilterData(facets) : collectFilterDataFromCards());
+		});
+		return;
+	}
+
+	render(collectFilterDataFromCards());
+};
+
+/**
+ * Find the demographic filter options container
+ * @returns {HTMLElement|null}
+ */
+function getFilterContainer() {
+	// Try multiple possible filter container IDs/classes
+	return document.getElementById('brag-book-gallery-filters') ||
+		   document.querySelector('.brag-book-gallery-filter-content') ||
+		   document.querySelector('.brag-book-gallery-filters');
+}
+
+/**
+ * Collect filter options from the case cards in the page
+ * @returns {Object} Categorized filter options for generateFilterHTML()
+ */
+function collectFilterDataFromCards() {
+	const cards = getCaseCards('.brag-book-gallery-case-card[data-card="true"]');
 	const filterData = {
-		age: new Set(),
+		...measureCardRanges(cards), // age, height, weight bounds
 		gender: new Set(),
 		ethnicity: new Set(),
-		height: new Set(),
-		weight: new Set(),
 		procedureDetails: new Map() // Map of detail name -> Set of values
 	};
 
-	// First pass: collect actual values to determine which ranges have data
-	const ageValues = [];
-	const heightValues = [];
-	const weightValues = [];
-
 	cards.forEach(card => {
-		// Collect raw values
-		const age = card.dataset.age;
-		if (age) {
-			ageValues.push(parseInt(age));
-		}
-
 		// Gender
 		if (card.dataset.gender) {
 			filterData.gender.add(card.dataset.gender);
@@ -639,32 +683,6 @@ window.generateProcedureFilterOptions = function() {
 			filterData.ethnicity.add(card.dataset.ethnicity);
 		}
 
-		// Height
-		const height = card.dataset.height;
-		if (height) {
-			const heightNum = parseInt(height);
-			const unit = card.dataset.heightUnit || 'in';
-			// Convert to inches for consistent comparison
-			if (unit === 'cm') {
-				heightValues.push(Math.round(heightNum / 2.54));
-			} else {
-				heightValues.push(heightNum);
-			}
-		}
-
-		// Weight
-		const weight = card.dataset.weight;
-		if (weight) {
-			const weightNum = parseInt(weight);
-			const unit = card.dataset.weightUnit || 'lbs';
-			// Convert to lbs for consistent comparison
-			if (unit === 'kg') {
-				weightValues.push(Math.round(weightNum * 2.205));
-			} else {
-				weightValues.push(weightNum);
-			}
-		}
-
 		// Procedure Details - extract all data-procedure-detail-* attributes
 		const datasetKeys = Object.keys(card.dataset);
 		datasetKeys.forEach(key => {
@@ -692,31 +710,8 @@ window.generateProcedureFilterOptions = function() {
 		});
 	});
 
-	// Only add age ranges that have actual data
-	if (ageValues.some(age => age >= 18 && age < 25)) filterData.age.add('18-24');
-	if (ageValues.some(age => age >= 25 && age < 35)) filterData.age.add('25-34');
-	if (ageValues.some(age => age >= 35 && age < 45)) filterData.age.add('35-44');
-	if (ageValues.some(age => age >= 45 && age < 55)) filterData.age.add('45-54');
-	if (ageValues.some(age => age >= 55 && age < 65)) filterData.age.add('55-64');
-	if (ageValues.some(age => age >= 65)) filterData.age.add('65+');
-
-	// Only add height ranges that have actual data (in inches)
-	if (heightValues.some(h => h < 60)) filterData.height.add('Under 5\'0"');
-	if (heightValues.some(h => h >= 60 && h < 64)) filterData.height.add('5\'0" - 5\'3"');
-	if (heightValues.some(h => h >= 64 && h < 68)) filterData.height.add('5\'4" - 5\'7"');
-	if (heightValues.some(h => h >= 68 && h < 72)) filterData.height.add('5\'8" - 5\'11"');
-	if (heightValues.some(h => h >= 72)) filterData.height.add('6\'0" and above');
-
-	// Only add weight ranges that have actual data (in lbs)
-	if (weightValues.some(w => w < 120)) filterData.weight.add('Under 120 lbs');
-	if (weightValues.some(w => w >= 120 && w < 150)) filterData.weight.add('120-149 lbs');
-	if (weightValues.some(w => w >= 150 && w < 180)) filterData.weight.add('150-179 lbs');
-	if (weightValues.some(w => w >= 180 && w < 210)) filterData.weight.add('180-209 lbs');
-	if (weightValues.some(w => w >= 210)) filterData.weight.add('210+ lbs');
-
-	// Generate the filter HTML
-	generateFilterHTML(container, filterData);
-};
+	return filterData;
+}
 
 /**
  * Generate the filter interface HTML from collected filter data
@@ -736,7 +731,7 @@ window.generateFilterHTML = function(container, filterData) {
 	};
 
 	// Slug-safe id segment for input/label pairing — strips quotes, punctuation,
-	// whitespace so values like 5'4" - 5'7" don't break the id attribute.
+	// whitespace so detail values like 32" or 300 cc don't break the id attribute.
 	const toIdSlug = (text) => String(text)
 		.toLowerCase()
 		.replace(/[^a-z0-9]+/g, '-')
@@ -745,26 +740,15 @@ window.generateFilterHTML = function(container, filterData) {
 	// Build filter HTML
 	let html = '';
 
+	// Age, height and weight are ranges over the data set's real extent; a
+	// single value leaves nothing to narrow, so no slider is shown for it.
+	const rangeFilter = (type, label) => {
+		const bounds = filterData[type];
+		return bounds && bounds.min < bounds.max ? renderRangeFilter(type, label, bounds) : '';
+	};
+
 	// Age filter
-	if (filterData.age.size > 0) {
-		html += '<details class="brag-book-gallery-filter">';
-		html += '<summary class="brag-book-gallery-filter-label">';
-		html += '<span class="brag-book-gallery-filter-label__name">Age</span>';
-		html += '<svg class="brag-book-gallery-filter-label__arrow" width="16" height="16" viewBox="0 0 12 12" fill="none" xmlns="http://www.w3.org/2000/svg">';
-		html += '<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>';
-		html += '</svg>';
-		html += '</summary>';
-		html += '<ul class="brag-book-gallery-filter-options">';
-		Array.from(filterData.age).sort().forEach(value => {
-			const id = `procedure-filter-age-${toIdSlug(value)}`;
-			html += `<li class="brag-book-gallery-filter-option">
-				<input type="checkbox" id="${id}" value="${escapeAttr(value)}" data-filter-type="age">
-				<label for="${id}">${escapeAttr(value)}</label>
-			</li>`;
-		});
-		html += '</ul>';
-		html += '</details>';
-	}
+	html += rangeFilter('age', 'Age');
 
 	// Gender filter
 	if (filterData.gender.size > 0) {
@@ -775,7 +759,7 @@ window.generateFilterHTML = function(container, filterData) {
 		html += '<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>';
 		html += '</svg>';
 		html += '</summary>';
-		html += '<ul class="brag-book-gallery-filter-options">';
+		html += '<ul class="brag-book-gallery-filter-options" role="group" aria-label="Gender">';
 		Array.from(filterData.gender).sort().forEach(value => {
 			const id = `procedure-filter-gender-${toIdSlug(value)}`;
 			const displayValue = value.charAt(0).toUpperCase() + value.slice(1);
@@ -797,7 +781,7 @@ window.generateFilterHTML = function(container, filterData) {
 		html += '<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>';
 		html += '</svg>';
 		html += '</summary>';
-		html += '<ul class="brag-book-gallery-filter-options">';
+		html += '<ul class="brag-book-gallery-filter-options" role="group" aria-label="Ethnicity">';
 		Array.from(filterData.ethnicity).sort().forEach(value => {
 			const id = `procedure-filter-ethnicity-${toIdSlug(value)}`;
 			const displayValue = value.charAt(0).toUpperCase() + value.slice(1);
@@ -810,47 +794,9 @@ window.generateFilterHTML = function(container, filterData) {
 		html += '</details>';
 	}
 
-	// Height filter
-	if (filterData.height.size > 0) {
-		html += '<details class="brag-book-gallery-filter">';
-		html += '<summary class="brag-book-gallery-filter-label">';
-		html += '<span class="brag-book-gallery-filter-label__name">Height</span>';
-		html += '<svg class="brag-book-gallery-filter-label__arrow" width="16" height="16" viewBox="0 0 12 12" fill="none" xmlns="http://www.w3.org/2000/svg">';
-		html += '<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>';
-		html += '</svg>';
-		html += '</summary>';
-		html += '<ul class="brag-book-gallery-filter-options">';
-		Array.from(filterData.height).sort().forEach(value => {
-			const id = `procedure-filter-height-${toIdSlug(value)}`;
-			html += `<li class="brag-book-gallery-filter-option">
-				<input type="checkbox" id="${id}" value="${escapeAttr(value)}" data-filter-type="height">
-				<label for="${id}">${escapeAttr(value)}</label>
-			</li>`;
-		});
-		html += '</ul>';
-		html += '</details>';
-	}
-
-	// Weight filter
-	if (filterData.weight.size > 0) {
-		html += '<details class="brag-book-gallery-filter">';
-		html += '<summary class="brag-book-gallery-filter-label">';
-		html += '<span class="brag-book-gallery-filter-label__name">Weight</span>';
-		html += '<svg class="brag-book-gallery-filter-label__arrow" width="16" height="16" viewBox="0 0 12 12" fill="none" xmlns="http://www.w3.org/2000/svg">';
-		html += '<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>';
-		html += '</svg>';
-		html += '</summary>';
-		html += '<ul class="brag-book-gallery-filter-options">';
-		Array.from(filterData.weight).sort().forEach(value => {
-			const id = `procedure-filter-weight-${toIdSlug(value)}`;
-			html += `<li class="brag-book-gallery-filter-option">
-				<input type="checkbox" id="${id}" value="${escapeAttr(value)}" data-filter-type="weight">
-				<label for="${id}">${escapeAttr(value)}</label>
-			</li>`;
-		});
-		html += '</ul>';
-		html += '</details>';
-	}
+	// Height and weight filters
+	html += rangeFilter('height', 'Height');
+	html += rangeFilter('weight', 'Weight');
 
 	// Procedure Details filters
 	if (filterData.procedureDetails && filterData.procedureDetails.size > 0) {
@@ -866,7 +812,7 @@ window.generateFilterHTML = function(container, filterData) {
 				html += '<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>';
 				html += '</svg>';
 				html += '</summary>';
-				html += '<ul class="brag-book-gallery-filter-options">';
+				html += `<ul class="brag-book-gallery-filter-options" role="group" aria-label="${escapeAttr(label)}">`;
 
 				Array.from(values).sort().forEach(value => {
 					const id = `procedure-filter-${toIdSlug(filterType)}-${toIdSlug(value)}`;
@@ -884,9 +830,11 @@ window.generateFilterHTML = function(container, filterData) {
 	}
 
 	container.innerHTML = html || '<p>No filters available</p>';
+	initRangeFilters(container);
 
-	// Add event listeners to all checkboxes
-	const filterCheckboxes = container.querySelectorAll('input[type="checkbox"]');
+	// Add event listeners to all checkboxes, and to the range filters' values
+	// (which fire change once a handle is released)
+	const filterCheckboxes = container.querySelectorAll('input[data-filter-type]');
 	filterCheckboxes.forEach(checkbox => {
 		checkbox.addEventListener('change', function() {
 			try {
@@ -911,14 +859,117 @@ window.generateFilterHTML = function(container, filterData) {
 			details.style.display = 'none';
 		}
 	}
+
+	// Re-check what the query string selects. On load that is a shared or
+	// reloaded link; after Load More or an AJAX swap it is the selection the
+	// visitor already had, which regeneration would otherwise wipe. A paged
+	// grid is revealed once the server has sent the filtered page.
+	const applied = restoreFiltersFromUrl(container) > 0 ? window.applyProcedureFilters() : null;
+	syncRangeFilters(container);
+	Promise.resolve(applied).then(() => {
+		refreshFilterCounts();
+		clearFiltersPending();
+	});
 };
 
+/**
+ * Show next to each filter option how many cases it would return
+ *
+ * Counts take the selections in the other filter types into account, so they
+ * answer "what do I get if I tick this too". Options that would empty the grid
+ * are disabled, unless ticked (they must stay un-tickable).
+ */
+function refreshFilterCounts() {
+	const container = getFilterContainer();
+	if (!container) return;
+
+	const contextButton = getContextButton();
+	const counts = contextButton ? getFacetCounts(contextButton) : countFilterOptionsInCards(container);
+	if (!counts) return;
+
+	container.querySelectorAll('input[type="checkbox"][data-filter-type]').forEach(checkbox => {
+		const option = checkbox.closest('.brag-book-gallery-filter-option');
+		const label = option?.querySelector('label');
+		if (!label) return;
+
+		let badge = label.querySelector('.brag-book-gallery-filter-option__count');
+		if (!badge) {
+			badge = document.createElement('span');
+			badge.className = 'brag-book-gallery-filter-option__count';
+			label.append(' ', badge);
+		}
+
+		const count = counts.get(checkbox.dataset.filterType)?.get(String(checkbox.value).toLowerCase());
+		if (count === undefined) {
+			badge.textContent = '';
+			checkbox.disabled = false;
+			option.classList.remove('brag-book-gallery-filter-option--disabled');
+			return;
+		}
+
+		const empty = count === 0 && !checkbox.checked;
+		badge.textContent = `(${count})`;
+		checkbox.disabled = empty;
+		option.classList.toggle('brag-book-gallery-filter-option--disabled', empty);
+	});
+}
+
+/**
+ * Count, per filter option, the cards in the page it would leave showing
+ * @param {HTMLElement} container - Filter options container
+ * @returns {Map<string, Map<string, number>>} Filter type to lower-cased value to count
+ */
+function countFilterOptionsInCards(container) {
+	const cards = getCaseCards('.brag-book-gallery-case-card[data-card="true"]');
+	const selection = groupFilterSelection(getActiveFilterInputs(container));
+	const counts = new Map();
+
+	container.querySelectorAll('input[type="checkbox"][data-filter-type]').forEach(checkbox => {
+		const type = checkbox.dataset.filterType;
+		// This option in place of whatever its own type has selected
+		const filters = toProcedureFilters({ ...selection, [type]: [checkbox.value] });
+
+		let count = 0;
+		cards.forEach(card => {
+			if (cardMatchesProcedureFilters(card, filters)) count++;
+		});
+
+		if (!counts.has(type)) {
+			counts.set(type, new Map());
+		}
+		counts.get(type).set(String(checkbox.value).toLowerCase(), count);
+	});
+
+	return counts;
+}
+
+/**
+ * Convert a grouped selection into the shape of window.bragBookProcedureFilters
+ * @param {Object<string, string[]>} selection - Filter type to selected values
+ * @returns {Object} { age, gender, ethnicity, height, weight, procedureDetails }
+ */
+function toProcedureFilters(selection) {
+	const filters = { age: [], gender: [], ethnicity: [], height: [], weight: [], procedureDetails: {} };
+
+	Object.entries(selection).forEach(([type, values]) => {
+		if (type.startsWith('procedure_detail_')) {
+			filters.procedureDetails[type.replace('procedure_detail_', '')] = values;
+		} else if (filters[type]) {
+			filters[type] = values;
+		}
+	});
+
+	return filters;
+}
+
 /**
  * Apply active demographic filters to case cards
- * Handles both complete dataset filtering and DOM-based filtering
+ * Paged grids are filtered by the server across every page of the view; a grid
+ * that holds its whole view is filtered in place
+ * @returns {Promise|undefined} Settles once a server-filtered page is in the grid
  */
 window.applyProcedureFilters = function() {
-	const checkboxes = document.querySelectorAll('.brag-book-gallery-filter-option input:checked');
+	const checkboxes = getActiveFilterInputs();
 
 	// Reset filter state
 	window.bragBookProcedureFilters = {
@@ -948,6 +999,9 @@ window.applyProcedureFilters = function() {
 		}
 	});
 
+	// Mirror the selection into the query string so reloads and shared links keep it
+	writeFiltersToUrl(checkboxes);
+
 	// Check if any filters are selected
 	const hasActiveFilters = Object.keys(window.bragBookProcedureFilters).some(key => {
 		if (key === 'procedureDetails') {
@@ -959,15 +1013,17 @@ window.applyProcedureFilters = function() {
 	// Update filter badges
 	updateFilterBadges();
 
-	// Always filter only the visible cards on the current page
-	let cards = document.querySelectorAll('.brag-book-gallery-case-card[data-card="true"]');
-
-	// Fallback selectors if the primary selector doesn't find cards
-	if (cards.length === 0) {
-		cards = document.querySelectorAll('.brag-book-gallery-case-grid .brag-book-gallery-case-card');
+	const contextButton = getContextButton();
+	if (contextButton) {
+		return applyServerFilters(contextButton, groupFilterSelection(checkboxes), hasActiveFilters);
 	}
+
+	// The grid holds every case in its view: filter the cards in place
+	let cards = getCaseCards('.brag-book-gallery-case-card[data-card="true"]');
+
+	// Fallback if the primary selector doesn't find cards
 	if (cards.length === 0) {
-		cards = document.querySelectorAll('.brag-book-gallery-case-card');
+		cards = getCaseCards();
 	}
 
 	// Debug: log the first card's data attributes
@@ -980,6 +1036,7 @@ window.applyProcedureFilters = function() {
 		cards.forEach(card => {
 			card.style.display = '';
 		});
+		refreshCaseGrid();
 
 		// Filter results element no longer used - removed
 
@@ -991,144 +1048,21 @@ window.applyProcedureFilters = function() {
 			loadMoreContainer.style.display = '';
 		}
 
+		refreshFilterCounts();
+		announceCaseCount(cards.length);
 		return;
 	}
 
 	// Filter the visible cards based on their data attributes
 	let visibleCount = 0;
-	cards.forEach((card, index) => {
-		let show = true;
-		const caseId = card.dataset.caseId;
-
-		// Check age filter
-		if (window.bragBookProcedureFilters.age.length > 0) {
-			const cardAge = parseInt(card.dataset.age);
-			let ageMatch = false;
-			window.bragBookProcedureFilters.age.forEach(range => {
-				if (range === '18-24' && cardAge >= 18 && cardAge < 25) {
-					ageMatch = true;
-				}
-				else if (range === '25-34' && cardAge >= 25 && cardAge < 35) {
-					ageMatch = true;
-				}
-				else if (range === '35-44' && cardAge >= 35 && cardAge < 45) {
-					ageMatch = true;
-				}
-				else if (range === '45-54' && cardAge >= 45 && cardAge < 55) {
-					ageMatch = true;
-				}
-				else if (range === '55-64' && cardAge >= 55 && cardAge < 65) {
-					ageMatch = true;
-				}
-				else if (range === '65+' && cardAge >= 65) {
-					ageMatch = true;
-				}
-			});
-
-			if (!ageMatch) {
-				show = false;
-			}
-		}
-
-		// Check gender filter
-		if (show && window.bragBookProcedureFilters.gender.length > 0) {
-			const cardGender = (card.dataset.gender || '').toLowerCase();
-			const filterGenders = window.bragBookProcedureFilters.gender.map(g => g.toLowerCase());
-
-			if (!filterGenders.includes(cardGender)) {
-				show = false;
-			}
-		}
-
-		// Check ethnicity filter
-		if (show && window.bragBookProcedureFilters.ethnicity.length > 0) {
-			const cardEthnicity = (card.dataset.ethnicity || '').toLowerCase();
-			const filterEthnicities = window.bragBookProcedureFilters.ethnicity.map(e => e.toLowerCase());
-
-			if (!filterEthnicities.includes(cardEthnicity)) {
-				show = false;
-			}
-		}
-
-		// Check height filter
-		if (show && window.bragBookProcedureFilters.height.length > 0) {
-			const cardHeight = parseInt(card.dataset.height);
-			let heightMatch = false;
-
-			window.bragBookProcedureFilters.height.forEach(range => {
-				if (range === 'Under 5\'0"' && cardHeight < 60) {
-					heightMatch = true;
-				}
-				else if (range === '5\'0" - 5\'3"' && cardHeight >= 60 && cardHeight < 64) {
-					heightMatch = true;
-				}
-				else if (range === '5\'4" - 5\'7"' && cardHeight >= 64 && cardHeight < 68) {
-					heightMatch = true;
-				}
-				else if (range === '5\'8" - 5\'11"' && cardHeight >= 68 && cardHeight < 72) {
-					heightMatch = true;
-				}
-				else if (range === '6\'0" and above' && cardHeight >= 72) {
-					heightMatch = true;
-				}
-			});
-
-			if (!heightMatch) show = false;
-		}
-
-		// Check weight filter
-		if (show && window.bragBookProcedureFilters.weight.length > 0) {
-			const cardWeight = parseInt(card.dataset.weight);
-			let weightMatch = false;
-
-			window.bragBookProcedureFilters.weight.forEach(range => {
-				// Assume weight is in lbs (matching the ranges we generate)
-				if (range === 'Under 120 lbs' && cardWeight < 120) weightMatch = true;
-				else if (range === '120-149 lbs' && cardWeight >= 120 && cardWeight < 150) weightMatch = true;
-				else if (range === '150-179 lbs' && cardWeight >= 150 && cardWeight < 180) weightMatch = true;
-				else if (range === '180-209 lbs' && cardWeight >= 180 && cardWeight < 210) weightMatch = true;
-				else if (range === '210+ lbs' && cardWeight >= 210) weightMatch = true;
-			});
-
-			if (!weightMatch) show = false;
-		}
-
-		// Check procedure detail filters
-		if (show && Object.keys(window.bragBookProcedureFilters.procedureDetails).length > 0) {
-			// Check each procedure detail filter type
-			for (const detailName in window.bragBookProcedureFilters.procedureDetails) {
-				const filterValues = window.bragBookProcedureFilters.procedureDetails[detailName];
-				if (filterValues.length > 0) {
-					// Get the card's value for this procedure detail
-					const dataAttrName = 'procedureDetail' + detailName.split('_').map(word =>
-						word.charAt(0).toUpperCase() + word.slice(1)
-					).join('');
-					const cardValue = (card.dataset[dataAttrName] || '').toLowerCase();
-
-					// Check if the card's value matches any of the selected filter values
-					let detailMatch = false;
-					if (cardValue) {
-						// Handle comma-separated values (for array fields)
-						const cardValues = cardValue.split(',').map(v => v.trim());
-						filterValues.forEach(filterValue => {
-							if (cardValues.includes(filterValue.toLowerCase())) {
-								detailMatch = true;
-							}
-						});
-					}
-
-					if (!detailMatch) {
-						show = false;
-						break; // No need to check other details if this one doesn't match
-					}
-				}
-			}
-		}
+	cards.forEach(card => {
+		const show = cardMatchesProcedureFilters(card, window.bragBookProcedureFilters);
 
 		// Show/hide card
 		card.style.display = show ? '' : 'none';
 		if (show) visibleCount++;
 	});
+	refreshCaseGrid();
 
 	// Filter results element no longer used - removed
 
@@ -1154,8 +1088,131 @@ window.applyProcedureFilters = function() {
 	if (loadMoreContainer) {
 		loadMoreContainer.style.display = hasActiveFilters ? 'none' : '';
 	}
+
+	refreshFilterCounts();
+	announceCaseCount(visibleCount);
 };
 
+/**
+ * Check a case card against a demographic filter selection
+ * @param {HTMLElement} card - Case card carrying data-age, data-gender, ... attributes
+ * @param {Object} filters - Selection shaped like window.bragBookProcedureFilters
+ * @returns {boolean} Whether the card matches every selected filter type
+ */
+function cardMatchesProcedureFilters(card, filters) {
+	let show = true;
+
+	// Check the age, height and weight ranges (inclusive, in years, inches and
+	// pounds); a card without the value can't be placed in a range
+	const measurements = getCardMeasurements(card);
+	RANGE_FILTER_TYPES.forEach(type => {
+		if (!show || filters[type].length === 0) return;
+
+		show = isInRanges(measurements[type], filters[type]);
+	});
+
+	// Check gender filter
+	if (show && filters.gender.length > 0) {
+		const cardGender = (card.dataset.gender || '').toLowerCase();
+		const filterGenders = filters.gender.map(g => g.toLowerCase());
+
+		if (!filterGenders.includes(cardGender)) {
+			show = false;
+		}
+	}
+
+	// Check ethnicity filter
+	if (show && filters.ethnicity.length > 0) {
+		const cardEthnicity = (card.dataset.ethnicity || '').toLowerCase();
+		const filterEthnicities = filters.ethnicity.map(e => e.toLowerCase());
+
+		if (!filterEthnicities.includes(cardEthnicity)) {
+			show = false;
+		}
+	}
+
+	// Check procedure detail filters
+	if (show && Object.keys(filters.procedureDetails).length > 0) {
+		// Check each procedure detail filter type
+		for (const detailName in filters.procedureDetails) {
+			const filterValues = filters.procedureDetails[detailName];
+			if (filterValues.length > 0) {
+				// Get the card's value for this procedure detail
+				const dataAttrName = 'procedureDetail' + detailName.split('_').map(word =>
+					word.charAt(0).toUpperCase() + word.slice(1)
+				).join('');
+				const cardValue = (card.dataset[dataAttrName] || '').toLowerCase();
+
+				// Check if the card's value matches any of the selected filter values
+				let detailMatch = false;
+				if (cardValue) {
+					// Handle comma-separated values (for array fields)
+					const cardValues = cardValue.split(',').map(v => v.trim());
+					filterValues.forEach(filterValue => {
+						if (cardValues.includes(filterValue.toLowerCase())) {
+							detailMatch = true;
+						}
+					});
+				}
+
+				if (!detailMatch) {
+					show = false;
+					break; // No need to check other details if this one doesn't match
+				}
+			}
+		}
+	}
+
+	return show;
+}
+
+/**
+ * Filter a paged grid on the server and show page 1 of the result
+ * @param {HTMLElement} button - Load More button carrying the view context
+ * @param {Object<string, string[]>} selection - Filter type to selected values
+ * @param {boolean} hasActiveFilters - Whether anything is selected
+ * @returns {Promise} Settles once the grid shows the selection
+ */
+function applyServerFilters(button, selection, hasActiveFilters) {
+	const details = document.getElementById('procedure-filters-details');
+	if (details) {
+		details.open = false;
+		details.querySelector('.brag-book-gallery-filter-dropdown__toggle')
+			?.classList.toggle('has-active-filters', hasActiveFilters);
+	}
+
+	// Regenerating the panel re-applies the URL selection; when the grid
+	// already shows it (after Load More, or a restored snapshot) there is
+	// nothing to fetch.
+	const filters = hasActiveFilters ? JSON.stringify(selection) : '';
+	if (filters === (button.getAttribute('data-filters') || '')) {
+		return Promise.resolve();
+	}
+
+	return fetchFilteredCases(button, selection).then(data => {
+		if (!data) {
+			return;
+		}
+
+		refreshFilterCounts();
+
+		const grid = document.querySelector('.brag-book-gallery-case-grid') ||
+					 document.querySelector('.brag-book-gallery-cases-grid');
+		if (grid && !data.html) {
+			grid.innerHTML = '<div class="brag-book-gallery-no-cases"><p>No cases match the selected filters.</p></div>';
+		}
+
+		// "Showing 12 of 30" reflects the filtered total, not the loaded cards
+		const countLabel = document.querySelector('.brag-book-gallery-favorite-count-label') ||
+						   document.querySelector('.cases-count');
+		if (countLabel && /(\d+) of (\d+)/.test(countLabel.textContent)) {
+			countLabel.textContent = 'Showing ' + (data.loadedCases || 0) + ' of ' + (data.totalCases || 0);
+		}
+
+		announceCaseCount(data.loadedCases || 0, data.totalCases || 0);
+	});
+}
+
 /**
  * Clear all active demographic filters and show all cases
  */
@@ -1166,8 +1223,10 @@ window.clearProcedureFilters = function() {
 	checkboxes.forEach(checkbox => {
 		checkbox.checked = false;
 	});
+	document.querySelectorAll('.brag-book-gallery-filter-range input[type="hidden"]').forEach(resetRangeFilter);
 
-	// 2. Reset global filter state to empty arrays
+	// 2. Reset global filter state to empty arrays, and drop them from the URL
+	writeFiltersToUrl([]);
 	if (window.bragBookProcedureFilters) {
 		window.bragBookProcedureFilters.age = [];
 		window.bragBookProcedureFilters.gender = [];
@@ -1177,12 +1236,25 @@ window.clearProcedureFilters = function() {
 		window.bragBookProcedureFilters.procedureDetails = {};
 	}
 
-	// 3. Show all case cards
-	const cards = document.querySelectorAll('.brag-book-gallery-case-card');
+	// 3. Show all case cards; a server-filtered grid is fetched again unfiltered
+	const contextButton = getContextButton();
+	const cards = getCaseCards();
+	if (isServerFiltered(contextButton)) {
+		fetchFilteredCases(contextButton, {}).then(data => {
+			refreshFilterCounts();
+			if (data) {
+				announceCaseCount(data.loadedCases || 0, data.totalCases || 0);
+			}
+		});
+	} else {
+		refreshFilterCounts();
+		announceCaseCount(cards.length);
+	}
 	cards.forEach(card => {
 		card.style.display = '';
 		card.style.visibility = '';
 	});
+	refreshCaseGrid();
 
 	// 4. Remove has-active-filters class from wrapper
 	const galleryWrapper = document.querySelector('.brag-book-gallery-wrapper');
@@ -1343,8 +1415,7 @@ window.loadCaseDetailsWithName = function(caseId, procedureId, procedureSlug, pr
 	// Prepare request parameters
 	const requestParams = {
 		action: 'brag_book_gallery_load_case_details',
-		case_id: caseId,
-		nonce: bragBookGalleryConfig.nonce
+		case_id: caseId
 	};
 
 	// Add procedure ID if provided
@@ -1368,14 +1439,7 @@ window.loadCaseDetailsWithName = function(caseId, procedureId, procedureSlug, pr
 	}
 
 	// Make AJAX request to load case details
-	fetch(bragBookGalleryConfig.ajaxUrl, {
-		method: 'POST',
-		headers: {
-			'Content-Type': 'application/x-www-form-urlencoded',
-		},
-		body: new URLSearchParams(requestParams)
-	})
-		.then(response => response.json())
+	postAjax(requestParams, { url: bragBookGalleryConfig.ajaxUrl, key: CASE_DETAILS_REQUEST, idempotent: true })
 		.then(data => {
 			if (data.success) {
 				galleryContent.innerHTML = data.data.html;
@@ -1383,10 +1447,10 @@ window.loadCaseDetailsWithName = function(caseId, procedureId, procedureSlug, pr
 				// Scroll to top of gallery content area smoothly after content loads
 				const wrapper = document.querySelector('.brag-book-gallery-wrapper');
 				if (wrapper) {
-					wrapper.scrollIntoView({ behavior: 'smooth', block: 'start' });
+					wrapper.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
 				} else {
 					// Fallback to scrolling to gallery content
-					galleryContent.scrollIntoView({ behavior: 'smooth', block: 'start' });
+					galleryContent.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
 				}
 			} else {
 				let errorMessage = 'Unknown error';
@@ -1403,8 +1467,11 @@ window.loadCaseDetailsWithName = function(caseId, procedureId, procedureSlug, pr
 			}
 		})
 		.catch(error => {
+			if (isSuperseded(error)) {
+				return;
+			}
 			console.error('Error loading case details:', error);
-			galleryContent.innerHTML = '<div class="brag-book-gallery-error">Error loading case details. Please try again.</div>';
+			galleryContent.innerHTML = '<div class="brag-book-gallery-error">' + getErrorMessage(error, 'Error loading case details. Please try again.') + '</div>';
 		});
 };
 
@@ -1420,54 +1487,19 @@ window.loadMoreCases = function(button) {
 
 	// Get data from button attributes
 	const startPage = button.getAttribute('data-start-page');
-	const procedureIds = button.getAttribute('data-procedure-ids');
 	const procedureName = button.getAttribute('data-procedure-name') || '';
 
-	// Check if there's an active procedure filter with nudity
-	let hasNudity = false;
-	const activeFilterLink = document.querySelector('.brag-book-gallery-nav-link.brag-book-gallery-active');
-	if (activeFilterLink && activeFilterLink.dataset.nudity === 'true') {
-		hasNudity = true;
-	}
-
-	// Get all currently loaded case IDs to prevent duplicates
-	const loadedCases = document.querySelectorAll('[data-case-id]');
-	const loadedIds = Array.from(loadedCases).map(el => el.getAttribute('data-case-id')).filter(Boolean);
-
-	loadMoreCasesViaAjax(button, startPage, procedureIds, procedureName, hasNudity, loadedIds, originalText);
+	loadMoreCasesViaAjax(button, startPage, procedureName, originalText);
 };
 
 /**
  * Load the next page of cases from the server, which returns rendered card HTML
  */
-function loadMoreCasesViaAjax(button, startPage, procedureIds, procedureName, hasNudity, loadedIds, originalText) {
-	// Get AJAX configuration
-	const nonce = window.bragBookGalleryConfig?.nonce || '';
-	const ajaxUrl = window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php';
-
-	// Get current procedure context from active nav link
-	const activeLink = document.querySelector('.brag-book-gallery-nav-link.brag-book-gallery-active');
-	const currentProcedureId = activeLink?.dataset.procedureId || '';
-	const currentTermId = activeLink?.dataset.termId || '';
-
-	// Prepare AJAX data
-	const formData = new FormData();
-	formData.append('action', 'brag_book_gallery_load_more_cases');
-	formData.append('nonce', nonce);
-	formData.append('start_page', startPage);
-	formData.append('procedure_ids', procedureIds);
-	formData.append('procedure_name', procedureName);
-	formData.append('has_nudity', hasNudity ? '1' : '0');
-	formData.append('loaded_ids', loadedIds.join(','));
-	formData.append('current_procedure_id', currentProcedureId);
-	formData.append('current_term_id', currentTermId);
-
-	// Make AJAX request
-	fetch(ajaxUrl, {
-		method: 'POST',
-		body: formData
-	})
-		.then(response => response.json())
+function loadMoreCasesViaAjax(button, startPage, procedureName, originalText) {
+	getGalleryData('/cases', {
+		start_page: startPage,
+		procedure_name: procedureName
+	}, { key: GRID_PAGE_REQUEST })
 		.then(data => {
 			if (data.success) {
 				processLoadMoreResult(data, button, originalText, startPage);
@@ -1479,10 +1511,13 @@ function loadMoreCasesViaAjax(button, startPage, procedureIds, procedureName, ha
 			}
 		})
 		.catch(error => {
-			console.error('AJAX fallback error loading more cases:', error);
 			button.disabled = false;
 			button.textContent = originalText;
-			alert('Error loading more cases. Please check your connection and try again.');
+			if (isSuperseded(error)) {
+				return;
+			}
+			console.error('AJAX fallback error loading more cases:', error);
+			alert(getErrorMessage(error, 'Error loading more cases. Please try again.'));
 		});
 }
 
@@ -1497,7 +1532,7 @@ function scrollToGalleryWrapper() {
 		const offsetTop = wrapper.getBoundingClientRect().top + window.pageYOffset - 20;
 		window.scrollTo({
 			top: offsetTop,
-			behavior: 'smooth'
+			behavior: scrollBehavior()
 		});
 	}
 }
@@ -1550,6 +1585,13 @@ function processLoadMoreResult(result, button, originalText, startPage) {
 
 	// Update button for next load
 	const newCasesLoaded = data.casesLoaded || 0;
+	if (container) {
+		syncVirtualGrid();
+	}
+	track('load_more', {
+		page: parseInt(startPage, 10),
+		cases: container ? countCaseCards(container) : 0,
+	});
 
 	if (data.hasMore && newCasesLoaded > 0) {
 		// Increment page by 1 since we load 1 page at a time
@@ -1571,7 +1613,7 @@ function processLoadMoreResult(result, button, originalText, startPage) {
 		                   document.querySelector('[class*="count-label"]');
 		if (countLabel) {
 			// Count only the gallery case cards, not all elements with data-case-id
-			const currentShown = container.querySelectorAll('.brag-book-gallery-case-card').length;
+			const currentShown = countCaseCards(container);
 			const match = countLabel.textContent.match(/(\d+) of (\d+)/);
 			if (match) {
 				const total = match[2];
@@ -1635,8 +1677,8 @@ function updateFilterBadges() {
 	// Always clear all existing badges first
 	activeFiltersSection.innerHTML = '';
 
-	// Get checked demographic filter checkboxes directly from the DOM
-	const checkedFilters = document.querySelectorAll('.brag-book-gallery-filter-option input[type="checkbox"]:checked');
+	// Get checked demographic filter checkboxes and narrowed ranges directly from the DOM
+	const checkedFilters = getActiveFilterInputs();
 
 	if (checkedFilters.length === 0) {
 		// Hide the active filters section when no filters are applied
@@ -1658,8 +1700,12 @@ function updateFilterBadges() {
 	checkedFilters.forEach(checkbox => {
 		const filterType = checkbox.dataset.filterType;
 		const filterValue = checkbox.value;
-		const label = checkbox.parentNode.querySelector('label');
-		const displayValue = label ? label.textContent.trim() : filterValue;
+		// The label's leading text is the option name (its count follows it);
+		// ranges have no label and show their bounds in their units
+		const label = checkbox.type === 'checkbox' ? checkbox.parentNode.querySelector('label') : null;
+		const displayValue = label
+			? label.firstChild.textContent.trim()
+			: formatRange(filterType, filterValue);
 
 		const badge = document.createElement('div');
 		badge.className = 'brag-book-gallery-filter-badge';
@@ -1729,10 +1775,10 @@ function updateFilterBadges() {
 				});
 
 				// Show all cards
-				const cards = document.querySelectorAll('.brag-book-gallery-case-card');
-				cards.forEach(card => {
+				getCaseCards().forEach(card => {
 					card.style.display = '';
 				});
+				refreshCaseGrid();
 
 				// Hide active filters section
 				const activeFiltersSection = document.querySelector('.brag-book-gallery-active-filters');
@@ -1784,7 +1830,10 @@ window.removeFilterBadge = function(filterType, filterValue) {
 		}
 	});
 
-	if (foundCheckbox) {
+	if (foundCheckbox && foundCheckbox.type === 'hidden') {
+		// A range filter goes back to the whole data set
+		resetRangeFilter(foundCheckbox);
+	} else if (foundCheckbox) {
 		foundCheckbox.checked = false;
 	}
 
@@ -1832,69 +1881,9 @@ window.bragBookSetImageAspectRatio = function(img) {
 
 /**
  * Initialize infinite scroll functionality for automatic content loading
- * Triggers load more when user scrolls near bottom of page
+ * (see infinite-scroll.js)
  */
-window.initInfiniteScroll = function() {
-	// Check if infinite scroll is enabled
-	const infiniteScrollEnabled = window.bragBookGalleryConfig?.infiniteScroll === 'yes';
-	if (!infiniteScrollEnabled) {
-		return;
-	}
-
-	let isLoading = false;
-	let scrollTimeout;
-
-	const handleScroll = () => {
-		// Clear previous timeout
-		clearTimeout(scrollTimeout);
-
-		// Debounce scroll events
-		scrollTimeout = setTimeout(() => {
-			// Don't trigger if already loading
-			if (isLoading) return;
-
-			// Find the Load More button - look for button with onclick="loadMoreCases(this)"
-			const loadMoreButton = document.querySelector('button[onclick*="loadMoreCases"]') ||
-								   document.querySelector('.brag-book-gallery-load-more button');
-			if (!loadMoreButton || loadMoreButton.disabled || loadMoreButton.style.display === 'none') {
-				return;
-			}
-
-			// Check if button's container is hidden
-			const buttonContainer = loadMoreButton.closest('.brag-book-gallery-load-more-container');
-			if (buttonContainer && buttonContainer.style.display === 'none') {
-				return;
-			}
-
-			// Calculate scroll position
-			const scrollPosition = window.innerHeight + window.scrollY;
-			const documentHeight = document.documentElement.offsetHeight;
-			const triggerPoint = documentHeight - 800; // Trigger 800px before bottom
-
-			// Check if we've scrolled far enough
-			if (scrollPosition >= triggerPoint) {
-				isLoading = true;
-
-				// Trigger the load more function
-				loadMoreButton.click();
-
-				// Reset loading flag after a delay
-				setTimeout(() => {
-					isLoading = false;
-				}, 1000);
-			}
-		}, 100); // 100ms debounce
-	};
-
-	// Add scroll event listener
-	window.addEventListener('scroll', handleScroll, { passive: true });
-
-	// Also check on resize
-	window.addEventListener('resize', handleScroll, { passive: true });
-
-	// Store reference for cleanup if needed
-	window.infiniteScrollHandler = handleScroll;
-};
+window.initInfiniteScroll = initInfiniteScroll;
 
 /**
  * Immediately hide filter results on page load (before DOMContentLoaded)
@@ -1944,131 +1933,30 @@ window.initInfiniteScroll = function() {
  */
 let nudityManager; // Nudity warning manager instance
 let phoneFormatter; // Phone number formatter instance
-let allCasesData = []; // Cache for all loaded cases data
-let currentDisplayedCases = 0; // Track how many cases are currently displayed
-
-/**
- * Initialize case pagination system - load all data via XHR and manage display
- */
-function initializeCasePagination() {
-
-	// Check if we're on a cases page that should use pagination
-	const caseGrid = document.querySelector('.brag-book-gallery-case-grid, .brag-book-gallery-cases-grid');
-
-	if (!caseGrid) return;
-
-	// Check if there are already cases rendered server-side
-	const existingCases = caseGrid.querySelectorAll('.brag-book-gallery-case-card');
-	currentDisplayedCases = existingCases.length;
-
-	// Load all cases via AJAX for the current procedure
-	loadAllCasesForPagination();
-}
-
-/**
- * Load all cases for the current procedure via AJAX
- */
-async function loadAllCasesForPagination() {
-	const activeLink = document.querySelector('.brag-book-gallery-nav-link.brag-book-gallery-active');
-	if (!activeLink) return;
-
-	const procedureIds = activeLink.dataset.procedureIds;
-	const procedureName = activeLink.textContent.trim().replace(/\(\d+\)$/, '').trim();
-
-	if (!procedureIds) return;
-
-	try {
-		// Get AJAX configuration
-		const ajaxUrl = window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php';
-		const nonce = window.bragBookGalleryConfig?.nonce || '';
-
-		// Prepare request data to load ALL cases for this procedure
-		const formData = new FormData();
-		formData.append('action', 'brag_book_gallery_load_more_cases');
-		formData.append('nonce', nonce);
-		formData.append('procedure_ids', procedureIds);
-		formData.append('procedure_name', procedureName);
-		formData.append('load_all', '1'); // Signal to load all cases
-		formData.append('has_nudity', activeLink.dataset.nudity === 'true' ? '1' : '0');
-
-		const response = await fetch(ajaxUrl, {
-			method: 'POST',
-			body: formData
-		});
-
-		const result = await response.json();
-
-		if (result.success && result.data) {
-			// Store all cases data
-			allCasesData = result.data;
-
-			// Update load more button visibility
-			updateLoadMoreButton();
-		} else {
-			console.error('Failed to load cases data:', result);
-		}
-	} catch (error) {
-		console.error('Failed to load cases for pagination:', error);
-	}
-}
 
 /**
  * Simplified load more function that uses server-side pagination
+ *
+ * @param {HTMLElement} button - The Load More button
+ * @param {Object} options - Load options
+ * @param {boolean} options.scroll - False keeps the viewport where it is (default: true)
+ * @param {boolean} options.replay - True for a page the router loads again to rebuild a saved depth, which is neither tracked nor announced (default: false)
+ * @returns {Promise<boolean>} Resolves true once the page is in the grid, false on failure
  */
-window.loadMoreCasesFromCache = function(button) {
+window.loadMoreCasesFromCache = function(button, options = {}) {
 
 	// Disable button and show loading state
 	button.disabled = true;
 	const originalText = button.textContent;
 	button.textContent = 'Loading...';
 
-	// Get data from button attributes. The full view context (provider /
-	// location / procedure) is stamped on the button by the server render and by
-	// the provider/location filters, so pagination stays within the active view.
+	// The full view context (provider / location / procedure, and any
+	// demographic filters) is stamped on the button by the server render, the
+	// provider/location filters and the filter panel, so pagination stays
+	// within the active view.
 	const startPage = button.getAttribute('data-start-page') || '2';
-	const procedureIds = button.getAttribute('data-procedure-ids') || '';
-	const procedureName = button.getAttribute('data-procedure-name') || '';
-	const termId = button.getAttribute('data-term-id') || '';
-	const providerId = button.getAttribute('data-provider-id') || '';
-	const providerSlug = button.getAttribute('data-provider-slug') || '';
-	const lat = button.getAttribute('data-lat') || '';
-	const lng = button.getAttribute('data-lng') || '';
-	// Seeded shuffle for a randomised grid: the same seed keeps later pages in
-	// the order the first page was drawn from.
-	const randomSeed = button.getAttribute('data-random-seed') || '';
-
-	// Get AJAX configuration
-	const ajaxUrl = window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php';
-	const nonce = window.bragBookGalleryConfig?.nonce || '';
-
-	// Get current procedure context from active nav link (fallback when the
-	// button has no explicit term id, e.g. legacy server renders).
-	const activeLink = document.querySelector('.brag-book-gallery-nav-link.brag-book-gallery-active');
-	const currentProcedureId = activeLink?.dataset.procedureId || '';
-	const currentTermId = activeLink?.dataset.termId || '';
-
-	// Prepare request data for server-side pagination
-	const formData = new FormData();
-	formData.append('action', 'brag_book_gallery_load_more_cases');
-	formData.append('nonce', nonce);
-	formData.append('start_page', startPage);
-	formData.append('procedure_ids', procedureIds);
-	formData.append('procedure_name', procedureName);
-	formData.append('term_id', termId || currentTermId);
-	formData.append('provider_id', providerId);
-	formData.append('provider_slug', providerSlug);
-	formData.append('lat', lat);
-	formData.append('lng', lng);
-	formData.append('random_seed', randomSeed);
-	formData.append('current_procedure_id', currentProcedureId);
-	formData.append('current_term_id', currentTermId);
-
-	// Make AJAX request
-	fetch(ajaxUrl, {
-		method: 'POST',
-		body: formData
-	})
-	.then(response => response.json())
+
+	return getGalleryData('/cases', buildContextRequest(button, startPage), { key: GRID_PAGE_REQUEST })
 	.then(result => {
 
 		if (result.success && result.data && result.data.html) {
@@ -2079,6 +1967,8 @@ window.loadMoreCasesFromCache = function(button) {
 			}
 
 			if (container) {
+				const before = countCaseCards(container);
+
 				// Find the last case card and insert after it
 				const lastCard = container.querySelector('.brag-book-gallery-case-card:last-child');
 				if (lastCard) {
@@ -2087,13 +1977,31 @@ window.loadMoreCasesFromCache = function(button) {
 					container.insertAdjacentHTML('beforeend', result.data.html);
 				}
 
-				// Scroll to gallery wrapper after loading items
-				scrollToGalleryWrapper();
+				if (options.scroll !== false) {
+					scrollToGalleryWrapper();
+				}
+
+				// Enough cards now and the grid only keeps the rows in view
+				syncVirtualGrid();
+
+				// A page the router replays was counted and announced when
+				// first loaded.
+				const shown = countCaseCards(container);
+				if (!options.replay) {
+					track('load_more', {
+						page: parseInt(startPage, 10),
+						cases: shown,
+					});
+					announceCasesLoaded(shown - before, shown, result.data.totalCases || shown);
+				}
 
 				// Update button for next page
 				const nextPage = parseInt(startPage) + 1;
 				button.setAttribute('data-start-page', nextPage.toString());
 
+				// The router keeps ?page=N in step for a reload or a shared link
+				window.bragBookGalleryRouter?.setDepth(nextPage - 1);
+
 				// Check if there are more pages
 				if (result.data.hasMore === false) {
 					button.style.display = 'none';
@@ -2101,17 +2009,25 @@ window.loadMoreCasesFromCache = function(button) {
 					button.disabled = false;
 					button.textContent = originalText;
 				}
+
+				return true;
 			}
 		} else {
 			console.error('Load more failed:', result);
-			button.disabled = false;
-			button.textContent = originalText;
 		}
+
+		button.disabled = false;
+		button.textContent = originalText;
+		return false;
 	})
 	.catch(error => {
-		console.error('Load more error:', error);
+		// A filter that replaced the grid aborts the page meant for the old one
+		if (!isSuperseded(error)) {
+			console.error('Load more error:', error);
+		}
 		button.disabled = false;
 		button.textContent = originalText;
+		return false;
 	});
 };
 
@@ -2145,6 +2061,10 @@ window.bragBookGalleryUpdateLoadMoreContext = function(context, hasMore) {
 		});
 	}
 
+	// The new view starts unfiltered; the panel is rebuilt for it below and
+	// re-applies any demographic selection.
+	button.removeAttribute('data-filters');
+
 	if (context === null) {
 		const orig = JSON.parse(button.dataset.originalContext);
 		button.setAttribute('data-start-page', orig.startPage);
@@ -2157,6 +2077,8 @@ window.bragBookGalleryUpdateLoadMoreContext = function(context, hasMore) {
 		button.setAttribute('data-lng', orig.lng);
 		button.style.display = orig.display;
 		button.disabled = false;
+		window.bragBookGalleryRouter?.setDepth(parseInt(orig.startPage, 10) - 1);
+		window.regenerateProcedureFilters();
 		return;
 	}
 
@@ -2174,24 +2096,10 @@ window.bragBookGalleryUpdateLoadMoreContext = function(context, hasMore) {
 	button.setAttribute('data-lng', context.lng ?? '');
 	button.disabled = false;
 	button.style.display = hasMore ? '' : 'none';
+	window.bragBookGalleryRouter?.setDepth(1);
+	window.regenerateProcedureFilters();
 };
 
-/**
- * Update load more button visibility and state
- */
-function updateLoadMoreButton() {
-	const loadMoreBtn = document.querySelector('.brag-book-gallery-button--load-more');
-	if (!loadMoreBtn) return;
-
-	if (allCasesData.length > currentDisplayedCases) {
-		loadMoreBtn.style.display = '';
-		// Update the onclick to use our new cached function
-		loadMoreBtn.setAttribute('onclick', 'loadMoreCasesFromCache(this)');
-	} else {
-		loadMoreBtn.style.display = 'none';
-	}
-}
-
 document.addEventListener('DOMContentLoaded', () => {
 	// Clean up any server-generated procedure badges first
 	cleanupProcedureBadges();
@@ -2263,6 +2171,16 @@ document.addEventListener('DOMContentLoaded', function() {
 	setTimeout(function() {
 		initializeProcedureFilters();
 
+		// Let anything waiting to re-check saved filters (the gallery router)
+		// know the options now exist. The grid is revealed here too in case no
+		// filter panel was rendered to apply URL filters to; otherwise the
+		// panel reveals it once URL filters are applied.
+		if (!document.getElementById('procedure-filters-details')) {
+			clearFiltersPending();
+		}
+		window.bragBookGalleryFiltersReady = true;
+		window.dispatchEvent(new CustomEvent('bragbook:filtersready'));
+
 		// Case navigation is now handled with anchor links, no JavaScript needed
 
 		// Check if we need to load a case on initial page load
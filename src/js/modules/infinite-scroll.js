@@ -0,0 +1,196 @@
+/**
+ * Infinite Scroll
+ *
+ * With infinite scroll turned on, the next page of cases loads as the
+ * visitor nears the end of the grid instead of on a Load More click. An
+ * IntersectionObserver watches a sentinel placed just before the Load More
+ * button, and the next page is requested only once the previous one is in
+ * the grid, so a fast scroll can never ask for the same page twice.
+ *
+ * The Load More button stays the one source of truth: it carries the view
+ * context and the next page, and loadMoreCasesFromCache() does the loading,
+ * records ?page=N through the router and announces the new cases to screen
+ * readers. The server renders the button hidden when infinite scroll is on.
+ * It comes back if a page fails to load, so the visitor can retry, and
+ * for good in a browser without IntersectionObserver.
+ *
+ * A Back to top button appears once the visitor is a screen or more down
+ * the grid.
+ */
+
+import { scrollBehavior } from './motion.js';
+
+const BUTTON_SELECTOR = '.brag-book-gallery-button--load-more';
+const CONTAINER_SELECTOR = '.brag-book-gallery-load-more-container';
+
+// Hides the Load More button while the sentinel stands in for it.
+const AUTO_CLASS = 'brag-book-gallery-load-more-container--auto';
+
+// How far below the viewport the sentinel starts the next page, so it is
+// usually in the grid before the visitor reaches the end.
+const ROOT_MARGIN = '0px 0px 800px 0px';
+
+let initialized = false;
+let loading = false;
+let sentinel = null;
+let observer = null;
+let watcher = null;
+let backToTop = null;
+
+/**
+ * Have the observer report the sentinel's position again
+ *
+ * It only reports changes, so a sentinel that stayed in range while the
+ * grid changed under it would otherwise never load the next page.
+ */
+function recheck() {
+	observer.unobserve(sentinel);
+	observer.observe(sentinel);
+}
+
+/**
+ * Load the next page if the view has one and none is on its way
+ */
+async function loadNext() {
+	const button = document.querySelector(BUTTON_SELECTOR);
+	const container = button?.closest(CONTAINER_SELECTOR);
+
+	// A hidden button has no more pages; a hidden container means the cards
+	// are being filtered in the browser, where more pages would not match.
+	if (loading || !container || button.disabled || button.style.display === 'none' || container.style.display === 'none') {
+		return;
+	}
+
+	loading = true;
+	const loaded = await window.loadMoreCasesFromCache(button, { scroll: false });
+	loading = false;
+
+	// After a failure the button is back for the visitor to retry; the
+	// sentinel takes over again with the next page that loads.
+	container.classList.toggle(AUTO_CLASS, loaded);
+	if (!loaded) {
+		return;
+	}
+
+	// A page too short to push the sentinel out of range loads the next one
+	recheck();
+}
+
+/**
+ * Put the sentinel before the Load More button and start watching it
+ *
+ * Safe to call again after the grid is rebuilt: a sentinel that is still in
+ * the document is left alone.
+ */
+function attach() {
+	const container = document.querySelector(BUTTON_SELECTOR)?.closest(CONTAINER_SELECTOR);
+	if (!container) {
+		return;
+	}
+
+	container.classList.add(AUTO_CLASS);
+
+	// A filter or a new view points the button at a fresh list, which may
+	// have more pages where the last had none.
+	watcher.disconnect();
+	watcher.observe(container, { attributeFilter: ['style'] });
+	watcher.observe(container.querySelector(BUTTON_SELECTOR), { attributeFilter: ['style', 'data-start-page'] });
+
+	if (sentinel?.isConnected && sentinel.nextElementSibling === container) {
+		return;
+	}
+
+	sentinel?.remove();
+	sentinel = document.createElement('div');
+	sentinel.className = 'brag-book-gallery-infinite-sentinel';
+	sentinel.setAttribute('aria-hidden', 'true');
+	container.before(sentinel);
+
+	observer.disconnect();
+	observer.observe(sentinel);
+}
+
+/**
+ * Create the Back to top button, hidden until the visitor scrolls down
+ */
+function createBackToTop() {
+	const wrapper = document.querySelector('.brag-book-gallery-wrapper');
+	if (!wrapper) {
+		return;
+	}
+
+	backToTop = document.createElement('button');
+	backToTop.type = 'button';
+	backToTop.className = 'brag-book-gallery-back-to-top';
+	backToTop.hidden = true;
+	backToTop.innerHTML = `
+		<svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" width="20" height="20">
+			<path fill="currentColor" d="M12 4l-8 8 1.41 1.41L11 7.83V20h2V7.83l5.58 5.59L20 12z"/>
+		</svg>
+		<span>Back to top</span>
+	`;
+
+	backToTop.addEventListener('click', () => {
+		const top = wrapper.getBoundingClientRect().top + window.scrollY - 20;
+		window.scrollTo({ top: Math.max(0, top), behavior: scrollBehavior() });
+
+		// Focus follows, so the next Tab starts from the top of the gallery
+		// rather than from wherever the button was.
+		if (!wrapper.hasAttribute('tabindex')) {
+			wrapper.setAttribute('tabindex', '-1');
+		}
+		wrapper.focus({ preventScroll: true });
+	});
+
+	wrapper.appendChild(backToTop);
+
+	let frame = null;
+	const update = () => {
+		frame = null;
+		backToTop.hidden = window.scrollY < window.innerHeight;
+	};
+
+	window.addEventListener('scroll', () => {
+		if (!frame) {
+			frame = requestAnimationFrame(update);
+		}
+	}, { passive: true });
+	update();
+}
+
+/**
+ * Turn on infinite scroll, once for the page, if the gallery settings ask
+ * for it
+ */
+export function initInfiniteScroll() {
+	if (initialized || window.bragBookGalleryConfig?.infiniteScroll !== 'yes') {
+		return;
+	}
+
+	// Without an observer the Load More button does the job
+	if (!('IntersectionObserver' in window) || typeof window.loadMoreCasesFromCache !== 'function') {
+		document.querySelectorAll(`.${AUTO_CLASS}`).forEach(container => container.classList.remove(AUTO_CLASS));
+		return;
+	}
+
+	initialized = true;
+
+	observer = new IntersectionObserver((entries) => {
+		if (entries.some(entry => entry.isIntersecting)) {
+			loadNext();
+		}
+	}, { rootMargin: ROOT_MARGIN });
+
+	watcher = new MutationObserver(() => {
+		if (!loading && sentinel) {
+			recheck();
+		}
+	});
+
+	attach();
+	createBackToTop();
+
+	// Back/forward can put back a grid, and with it a Load More button,
+	// that the sentinel is not next to.
+	window.addEventListener('bragbook:routechange', attach);
+}
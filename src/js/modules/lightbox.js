@@ -0,0 +1,511 @@
+import Dialog from './dialog.js';
+import { isCoveredByNudityWarning } from './utilities.js';
+
+/**
+ * Lightbox
+ *
+ * Opens a case's photos full screen so patients can inspect detail: wheel and
+ * pinch zoom, drag to pan, swipe or arrow keys between photos, and a switch
+ * between the combined image and the separate before and after photos when the
+ * case was synced with them.
+ *
+ * The photos travel on the trigger button (HTML_Renderer::render_lightbox_trigger()),
+ * so opening needs no request. Modal semantics come from Dialog; Tab is kept
+ * inside the viewer and focus goes back to the trigger on close.
+ */
+
+const DIALOG_ID = 'bragBookLightboxDialog';
+const MIN_SCALE = 1;
+const MAX_SCALE = 5;
+const STEP_SCALE = 1.5;
+const DOUBLE_TAP_SCALE = 2.5;
+// Horizontal travel, in pixels, for a drag at 1x to count as a swipe.
+const SWIPE_THRESHOLD = 50;
+// Pixels moved per arrow key press while zoomed in.
+const KEY_PAN_STEP = 40;
+
+const CLOSE_ICON = '<svg xmlns="http://www.w3.org/2000/svg" height="24px" viewBox="0 -960 960 960" width="24px" fill="currentColor" aria-hidden="true"><path d="M256-213.85 213.85-256l224-224-224-224L256-746.15l224 224 224-224L746.15-704l-224 224 224 224L704-213.85l-224-224-224 224Z"/></svg>';
+const PREV_ICON = '<svg xmlns="http://www.w3.org/2000/svg" height="32px" viewBox="0 -960 960 960" width="32px" fill="currentColor" aria-hidden="true"><path d="M560-240 320-480l240-240 56 56-184 184 184 184-56 56Z"/></svg>';
+const NEXT_ICON = '<svg xmlns="http://www.w3.org/2000/svg" height="32px" viewBox="0 -960 960 960" width="32px" fill="currentColor" aria-hidden="true"><path d="M504-480 320-664l56-56 240 240-240 240-56-56 184-184Z"/></svg>';
+
+const VIEW_LABELS = {
+	combined: 'Side by side',
+	before: 'Before',
+	after: 'After'
+};
+
+class Lightbox {
+	constructor() {
+		this.photos = [];
+		this.index = 0;
+		this.view = 'combined';
+		this.title = '';
+		this.opener = null;
+		this.dialog = null;
+		this.elements = {};
+		this.scale = 1;
+		this.x = 0;
+		this.y = 0;
+		this.pointers = new Map();
+		this.gesture = null;
+		this.init();
+	}
+
+	init() {
+		document.addEventListener('click', (e) => {
+			const trigger = e.target.closest('.brag-book-gallery-lightbox-trigger')
+				|| this.getViewerTrigger(e.target);
+			if (!trigger || isCoveredByNudityWarning(trigger)) return;
+
+			e.preventDefault();
+			e.stopPropagation();
+			this.openFromTrigger(trigger);
+		});
+	}
+
+	/**
+	 * The trigger for a click on the case detail's main photo
+	 *
+	 * @param {Element} target Click target
+	 * @returns {HTMLElement|null}
+	 */
+	getViewerTrigger(target) {
+		if (!target.matches?.('.brag-book-gallery-main-single > img')) return null;
+
+		return target.parentElement.querySelector('.brag-book-gallery-lightbox-trigger');
+	}
+
+	/**
+	 * @param {HTMLElement} trigger Lightbox trigger button
+	 */
+	openFromTrigger(trigger) {
+		let photos;
+		try {
+			photos = JSON.parse(trigger.dataset.lightboxPhotos || '[]');
+		} catch (error) {
+			console.error('BRAGBook: Invalid lightbox photos:', error);
+			return;
+		}
+
+		// In the case detail view the trigger follows the thumbnail on show.
+		const viewer = trigger.closest('.brag-book-gallery-main-image-container');
+		const index = Number(viewer?.dataset.imageIndex ?? trigger.dataset.lightboxIndex ?? 0);
+
+		this.open(photos, index, trigger.dataset.lightboxTitle || '', trigger);
+	}
+
+	/**
+	 * Open the lightbox
+	 *
+	 * @param {Array<{src: string, before?: string, after?: string}>} photos Case photos
+	 * @param {number} index Photo to show first
+	 * @param {string} title Case description
+	 * @param {HTMLElement|null} opener Element to return focus to
+	 */
+	open(photos, index = 0, title = '', opener = null) {
+		this.photos = Array.isArray(photos) ? photos.filter(photo => photo && photo.src) : [];
+		if (!this.photos.length) return;
+
+		this.build();
+		this.title = title;
+		this.opener = opener;
+		this.elements.title.textContent = title;
+		this.show(index);
+		this.dialog.open();
+		this.elements.close.focus();
+	}
+
+	close() {
+		this.dialog?.close();
+	}
+
+	/**
+	 * Create the dialog the first time it is needed
+	 */
+	build() {
+		if (this.dialog) return;
+
+		const views = Object.entries(VIEW_LABELS)
+			.map(([view, label]) => `<button type="button" class="brag-book-gallery-lightbox__view" data-lightbox-view="${view}" aria-pressed="false">${label}</button>`)
+			.join('');
+
+		document.body.insertAdjacentHTML('beforeend', `
+			<dialog id="${DIALOG_ID}" class="brag-book-gallery-lightbox" aria-labelledby="${DIALOG_ID}Title">
+				<div class="brag-book-gallery-lightbox__toolbar">
+					<div class="brag-book-gallery-lightbox__heading">
+						<p class="brag-book-gallery-lightbox__title" id="${DIALOG_ID}Title"></p>
+						<p class="brag-book-gallery-lightbox__counter" aria-live="polite"></p>
+					</div>
+					<div class="brag-book-gallery-lightbox__views" role="group" aria-label="Photo">${views}</div>
+					<div class="brag-book-gallery-lightbox__zoom" role="group" aria-label="Zoom">
+						<button type="button" class="brag-book-gallery-lightbox__zoom-button" data-lightbox-zoom="out" aria-label="Zoom out">&minus;</button>
+						<button type="button" class="brag-book-gallery-lightbox__zoom-button brag-book-gallery-lightbox__zoom-level" data-lightbox-zoom="reset" aria-label="Reset zoom">100%</button>
+						<button type="button" class="brag-book-gallery-lightbox__zoom-button" data-lightbox-zoom="in" aria-label="Zoom in">+</button>
+					</div>
+					<button type="button" class="brag-book-gallery-lightbox__close" data-action="close-lightbox" aria-label="Close">${CLOSE_ICON}</button>
+				</div>
+				<div class="brag-book-gallery-lightbox__stage">
+					<img class="brag-book-gallery-lightbox__image" alt="" draggable="false">
+				</div>
+				<button type="button" class="brag-book-gallery-lightbox__nav brag-book-gallery-lightbox__nav--prev" data-lightbox-step="-1" aria-label="Previous photo">${PREV_ICON}</button>
+				<button type="button" class="brag-book-gallery-lightbox__nav brag-book-gallery-lightbox__nav--next" data-lightbox-step="1" aria-label="Next photo">${NEXT_ICON}</button>
+			</dialog>
+		`);
+
+		const element = document.getElementById(DIALOG_ID);
+
+		this.elements = {
+			dialog: element,
+			title: element.querySelector('.brag-book-gallery-lightbox__title'),
+			counter: element.querySelector('.brag-book-gallery-lightbox__counter'),
+			views: element.querySelector('.brag-book-gallery-lightbox__views'),
+			zoomLevel: element.querySelector('.brag-book-gallery-lightbox__zoom-level'),
+			close: element.querySelector('.brag-book-gallery-lightbox__close'),
+			stage: element.querySelector('.brag-book-gallery-lightbox__stage'),
+			image: element.querySelector('.brag-book-gallery-lightbox__image'),
+			prev: element.querySelector('.brag-book-gallery-lightbox__nav--prev'),
+			next: element.querySelector('.brag-book-gallery-lightbox__nav--next')
+		};
+
+		this.dialog = new Dialog(DIALOG_ID, {
+			closeOnBackdrop: true,
+			onClose: () => {
+				this.pointers.clear();
+				this.gesture = null;
+				this.opener?.focus({ preventScroll: true });
+			}
+		});
+
+		element.addEventListener('click', (e) => {
+			const step = e.target.closest('[data-lightbox-step]');
+			const view = e.target.closest('[data-lightbox-view]');
+			const zoom = e.target.closest('[data-lightbox-zoom]');
+
+			if (step) {
+				this.step(Number(step.dataset.lightboxStep));
+			} else if (view) {
+				this.setView(view.dataset.lightboxView);
+			} else if (zoom) {
+				this.zoomButton(zoom.dataset.lightboxZoom);
+			}
+		});
+
+		element.addEventListener('keydown', (e) => this.onKeydown(e));
+
+		const { stage, image } = this.elements;
+
+		stage.addEventListener('wheel', (e) => {
+			e.preventDefault();
+			this.zoomAt(this.scale * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+		}, { passive: false });
+
+		stage.addEventListener('dblclick', (e) => {
+			this.zoomAt(this.scale > MIN_SCALE ? MIN_SCALE : DOUBLE_TAP_SCALE, e.clientX, e.clientY);
+		});
+
+		stage.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+		stage.addEventListener('pointermove', (e) => this.onPointerMove(e));
+		stage.addEventListener('pointerup', (e) => this.onPointerUp(e));
+		stage.addEventListener('pointercancel', (e) => this.onPointerUp(e, true));
+
+		image.addEventListener('load', () => image.classList.remove('is-loading'));
+		image.addEventListener('error', () => image.classList.remove('is-loading'));
+	}
+
+	/**
+	 * Show a photo, wrapping at either end
+	 *
+	 * @param {number} index Photo index
+	 */
+	show(index) {
+		const count = this.photos.length;
+		this.index = ((Math.round(index) % count) + count) % count;
+
+		// Keep the before/after choice while paging when the next photo has it.
+		if (!this.hasView(this.view)) {
+			this.view = 'combined';
+		}
+
+		this.resetZoom();
+		this.render();
+		this.preloadNeighbours();
+	}
+
+	/**
+	 * @param {number} delta -1 for previous, 1 for next
+	 */
+	step(delta) {
+		if (this.photos.length > 1) {
+			this.show(this.index + delta);
+		}
+	}
+
+	/**
+	 * @param {string} view 'combined', 'before' or 'after'
+	 * @returns {boolean} Whether the current photo can be shown that way
+	 */
+	hasView(view) {
+		const photo = this.photos[this.index];
+		if (!photo) return false;
+
+		return view === 'combined' || Boolean(photo.before && photo.after);
+	}
+
+	/**
+	 * Switch between the combined image and the separate photos
+	 *
+	 * The zoom is kept, so the same area can be compared before and after.
+	 *
+	 * @param {string} view 'combined', 'before' or 'after'
+	 */
+	setView(view) {
+		if (!VIEW_LABELS[view] || !this.hasView(view)) return;
+
+		this.view = view;
+		this.render();
+	}
+
+	render() {
+		const photo = this.photos[this.index];
+		const { counter, views, image, prev, next } = this.elements;
+		const src = this.view === 'combined' ? photo.src : photo[this.view];
+		const count = this.photos.length;
+		const viewLabel = this.view === 'combined' ? '' : `, ${VIEW_LABELS[this.view].toLowerCase()}`;
+
+		if (image.getAttribute('src') !== src) {
+			image.classList.add('is-loading');
+			image.src = src;
+		}
+		image.alt = `${this.title}${this.title ? ' - ' : ''}photo ${this.index + 1} of ${count}${viewLabel}`;
+
+		counter.textContent = count > 1 ? `${this.index + 1} / ${count}` : '';
+
+		views.hidden = !(photo.before && photo.after);
+		views.querySelectorAll('[data-lightbox-view]').forEach(button => {
+			button.setAttribute('aria-pressed', String(button.dataset.lightboxView === this.view));
+		});
+
+		prev.hidden = count < 2;
+		next.hidden = count < 2;
+	}
+
+	preloadNeighbours() {
+		if (this.photos.length < 2) return;
+
+		[this.index - 1, this.index + 1].forEach(index => {
+			const photo = this.photos[(index + this.photos.length) % this.photos.length];
+			const src = this.view === 'combined' ? photo.src : photo[this.view] || photo.src;
+			new Image().src = src;
+		});
+	}
+
+	/**
+	 * @param {string} action 'in', 'out' or 'reset'
+	 */
+	zoomButton(action) {
+		const rect = this.elements.stage.getBoundingClientRect();
+		const centreX = rect.left + rect.width / 2;
+		const centreY = rect.top + rect.height / 2;
+
+		if (action === 'in') {
+			this.zoomAt(this.scale * STEP_SCALE, centreX, centreY);
+		} else if (action === 'out') {
+			this.zoomAt(this.scale / STEP_SCALE, centreX, centreY);
+		} else {
+			this.resetZoom();
+		}
+	}
+
+	/**
+	 * Zoom keeping the point under the cursor or fingers in place
+	 *
+	 * @param {number} scale Target scale
+	 * @param {number} clientX Focal point
+	 * @param {number} clientY Focal point
+	 */
+	zoomAt(scale, clientX, clientY) {
+		const next = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+		const rect = this.elements.stage.getBoundingClientRect();
+		// Focal point relative to the stage centre, where the transform origin is.
+		const pointX = clientX - (rect.left + rect.width / 2);
+		const pointY = clientY - (rect.top + rect.height / 2);
+		const ratio = next / this.scale;
+
+		this.x = pointX - (pointX - this.x) * ratio;
+		this.y = pointY - (pointY - this.y) * ratio;
+		this.scale = next;
+		this.applyTransform();
+	}
+
+	resetZoom() {
+		this.scale = MIN_SCALE;
+		this.x = 0;
+		this.y = 0;
+		this.applyTransform();
+	}
+
+	/**
+	 * @param {number} dx Horizontal offset in pixels
+	 * @param {number} dy Vertical offset in pixels
+	 */
+	panBy(dx, dy) {
+		this.x += dx;
+		this.y += dy;
+		this.applyTransform();
+	}
+
+	/**
+	 * Write the transform, keeping the zoomed photo over the stage
+	 */
+	applyTransform() {
+		const { image, stage, zoomLevel } = this.elements;
+		if (!image) return;
+
+		const limitX = Math.max(0, (image.offsetWidth * this.scale - stage.clientWidth) / 2);
+		const limitY = Math.max(0, (image.offsetHeight * this.scale - stage.clientHeight) / 2);
+
+		this.x = Math.min(limitX, Math.max(-limitX, this.x));
+		this.y = Math.min(limitY, Math.max(-limitY, this.y));
+
+		image.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+		stage.classList.toggle('is-zoomed', this.scale > MIN_SCALE);
+		zoomLevel.textContent = `${Math.round(this.scale * 100)}%`;
+	}
+
+	onPointerDown(e) {
+		if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+		this.elements.stage.setPointerCapture(e.pointerId);
+		this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+		this.startGesture();
+	}
+
+	onPointerMove(e) {
+		if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+
+		this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+		const [first, second] = [...this.pointers.values()];
+
+		if (this.gesture.type === 'pinch' && second) {
+			const distance = Math.hypot(second.x - first.x, second.y - first.y);
+			const midX = (first.x + second.x) / 2;
+			const midY = (first.y + second.y) / 2;
+
+			this.zoomAt(this.gesture.scale * (distance / this.gesture.distance), midX, midY);
+			return;
+		}
+
+		if (this.gesture.type === 'pan' && this.scale > MIN_SCALE) {
+			this.x = this.gesture.x + (first.x - this.gesture.startX);
+			this.y = this.gesture.y + (first.y - this.gesture.startY);
+			this.applyTransform();
+		}
+	}
+
+	/**
+	 * @param {PointerEvent} e Pointer event
+	 * @param {boolean} cancelled Whether the browser took the pointer away
+	 */
+	onPointerUp(e, cancelled = false) {
+		if (!this.pointers.has(e.pointerId)) return;
+
+		const gesture = this.gesture;
+		this.pointers.delete(e.pointerId);
+
+		// At 1x a single-finger drag pages through the photos.
+		if (!cancelled && gesture?.type === 'pan' && gesture.scale === MIN_SCALE && !this.pointers.size) {
+			const dx = e.clientX - gesture.startX;
+			const dy = e.clientY - gesture.startY;
+
+			if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy) * 1.5) {
+				this.step(dx < 0 ? 1 : -1);
+			}
+		}
+
+		// Lifting one finger of a pinch carries on as a pan from where it is.
+		this.startGesture();
+	}
+
+	startGesture() {
+		const points = [...this.pointers.values()];
+
+		if (points.length >= 2) {
+			this.gesture = {
+				type: 'pinch',
+				scale: this.scale,
+				distance: Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y) || 1
+			};
+		} else if (points.length === 1) {
+			this.gesture = {
+				type: 'pan',
+				scale: this.scale,
+				startX: points[0].x,
+				startY: points[0].y,
+				x: this.x,
+				y: this.y
+			};
+		} else {
+			this.gesture = null;
+		}
+	}
+
+	/**
+	 * Keyboard control and the focus trap
+	 *
+	 * @param {KeyboardEvent} e Keyboard event
+	 */
+	onKeydown(e) {
+		if (e.key === 'Tab') {
+			this.trapFocus(e);
+			return;
+		}
+
+		// Buttons keep their own Enter and Space.
+		const zoomed = this.scale > MIN_SCALE;
+		const handlers = {
+			ArrowLeft: () => (zoomed ? this.panBy(KEY_PAN_STEP, 0) : this.step(-1)),
+			ArrowRight: () => (zoomed ? this.panBy(-KEY_PAN_STEP, 0) : this.step(1)),
+			ArrowUp: () => zoomed && this.panBy(0, KEY_PAN_STEP),
+			ArrowDown: () => zoomed && this.panBy(0, -KEY_PAN_STEP),
+			Home: () => this.show(0),
+			End: () => this.show(this.photos.length - 1),
+			'+': () => this.zoomButton('in'),
+			'=': () => this.zoomButton('in'),
+			'-': () => this.zoomButton('out'),
+			'0': () => this.zoomButton('reset')
+		};
+
+		const handler = handlers[e.key];
+		if (!handler || e.altKey || e.ctrlKey || e.metaKey) return;
+
+		e.preventDefault();
+		handler();
+	}
+
+	/**
+	 * Keep Tab and Shift+Tab cycling through the lightbox controls
+	 *
+	 * @param {KeyboardEvent} e Keyboard event
+	 */
+	trapFocus(e) {
+		const focusable = [...this.elements.dialog.querySelectorAll('button:not([disabled])')]
+			.filter(button => !button.closest('[hidden]'));
+		if (!focusable.length) return;
+
+		const first = focusable[0];
+		const last = focusable[focusable.length - 1];
+
+		if (e.shiftKey && document.activeElement === first) {
+			e.preventDefault();
+			last.focus();
+		} else if (!e.shiftKey && document.activeElement === last) {
+			e.preventDefault();
+			first.focus();
+		} else if (!focusable.includes(document.activeElement)) {
+			e.preventDefault();
+			first.focus();
+		}
+	}
+}
+
+export default Lightbox;
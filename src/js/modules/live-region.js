@@ -0,0 +1,96 @@
+/**
+ * Screen Reader Announcements
+ *
+ * One polite live region for the page, so a screen reader hears what a
+ * filter or a procedure change did to the grid ("24 cases shown") without
+ * losing its place. The region is found by ID, so the copies of this module
+ * in the lazy chunks all speak through the same one.
+ */
+
+const REGION_ID = 'brag-book-gallery-live-region';
+
+// Pause between creating or clearing the region and filling it: a screen
+// reader only announces changes to a region it has already seen, and the
+// same message twice in a row would otherwise be no change at all.
+const ANNOUNCE_DELAY = 100;
+
+let pending = null;
+
+/**
+ * The page's live region, created on first use
+ *
+ * @returns {HTMLElement}
+ */
+function getRegion() {
+	let region = document.getElementById(REGION_ID);
+
+	if (!region) {
+		region = document.createElement('div');
+		region.id = REGION_ID;
+		region.className = 'sr-only';
+		region.setAttribute('role', 'status');
+		region.setAttribute('aria-live', 'polite');
+		region.setAttribute('aria-atomic', 'true');
+		document.body.appendChild(region);
+	}
+
+	return region;
+}
+
+/**
+ * Announce a message to screen readers without moving focus
+ *
+ * A message replaces one still waiting to be read.
+ *
+ * @param {string} message - Text to announce
+ */
+export function announce(message) {
+	const region = getRegion();
+
+	clearTimeout(pending);
+	region.textContent = '';
+	pending = setTimeout(() => {
+		region.textContent = message;
+	}, ANNOUNCE_DELAY);
+}
+
+/**
+ * How many cases the grid shows, as a sentence
+ *
+ * @param {number} count - Cases shown
+ * @param {number} total - Cases the filters match
+ * @returns {string}
+ */
+function caseCountMessage(count, total) {
+	const noun = total === 1 ? 'case' : 'cases';
+
+	if (total === 0) {
+		return 'No cases match the selected filters.';
+	}
+
+	return total > count ? `${count} of ${total} ${noun} shown` : `${count} ${noun} shown`;
+}
+
+/**
+ * Announce how many cases the grid now shows
+ *
+ * @param {number} count - Cases shown
+ * @param {number} [total] - Cases the filters match, when only some are loaded
+ */
+export function announceCaseCount(count, total = count) {
+	announce(caseCountMessage(count, total));
+}
+
+/**
+ * Announce a page of cases added to the bottom of the grid
+ *
+ * @param {number} added - Cases the page added
+ * @param {number} count - Cases shown now
+ * @param {number} [total] - Cases the view has in all, when known
+ */
+export function announceCasesLoaded(added, count, total = count) {
+	const noun = added === 1 ? 'case' : 'cases';
+	const summary = count >= total ? `All ${total} ${total === 1 ? 'case' : 'cases'} shown` : caseCountMessage(count, total);
+
+	announce(`${added} more ${noun} loaded. ${summary}.`);
+}
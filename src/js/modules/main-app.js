@@ -1,6 +1,22 @@
+import { CASE_DETAILS_REQUEST, GRID_REQUEST, cancelRequest, getErrorMessage, isSuperseded, postAjax } from './ajax-client.js';
+import Analytics, { track } from './analytics.js';
+import BeforeAfterSlider, { isSliderMode, renderBeforeAfterSlider } from './before-after-slider.js';
+import { CaseCache, onConnectionChange, preloadPolicy } from './case-cache.js';
+import { whenConsented } from './consent.js';
 import Dialog from './dialog.js';
+import FormGuard from './form-guard.js';
+import { initFilterDisclosures } from './filter-disclosures.js';
+import { getActiveFilterInputs, restoreFiltersFromUrl, writeFiltersToUrl } from './filter-state.js';
+import { getGalleryData } from './gallery-data.js';
+import GalleryRouter from './gallery-router.js';
+import { announceCaseCount } from './live-region.js';
 import MobileMenu from './mobile-menu.js';
+import { initMotion, prefersReducedMotion, scrollBehavior } from './motion.js';
+import { initOfflineSupport } from './offline-support.js';
+import { RANGE_FILTER_TYPES, formatRange, getCardMeasurements, initRangeFilters, isInRanges, syncRangeFilters } from './range-filter.js';
+import openShareTarget, { hasShareTarget } from './share-target.js';
 import { NudityWarningManager, PhoneFormatter, escapeHtml } from './utilities.js';
+import { CARDS_MOUNTED_EVENT, getCaseCards, refreshCaseGrid, syncVirtualGrid } from './virtual-grid.js';
 import { initGallerySelector } from './gallery-selector.js';
 
 // FilterSystem, FavoritesManager, SearchAutocomplete, and ShareManager are
@@ -25,6 +41,12 @@ const CAROUSEL_CONTROL_SELECTOR = `${CAROUSEL_SLIDE_CONTROL_SELECTOR}, .brag-boo
 
 const CASE_LINK_SELECTOR = '.brag-book-gallery-case-card-link, .brag-book-gallery-case-permalink, .brag-book-gallery-case-card-overlay-button';
 
+/**
+ * Case preload priorities, most urgent highest: a card nearing the viewport,
+ * a card the visitor rests the pointer on, the first cards on the page.
+ */
+const PRELOAD_PRIORITIES = { high: 3, hover: 2, normal: 1 };
+
 /**
  * Main Application Controller
  * Orchestrates all gallery components including carousels, filters, dialogs, and favorites
@@ -37,6 +59,14 @@ class BRAGbookGalleryApp {
 	constructor() {
 		// Component storage for organized access
 		this.components = {};
+		// Spam checks shared by the consultation and favorites forms
+		this.components.formGuard = new FormGuard();
+		// Analytics bus, up before anything can report to it
+		this.components.analytics = new Analytics(window.bragBookGalleryConfig?.analytics);
+		// Reduced motion, settled before anything animates
+		initMotion();
+		// Offline browsing, when the site has turned it on
+		initOfflineSupport(window.bragBookGalleryConfig?.serviceWorker);
 		// Store global reference for other modules to access
 		window.bragBookGalleryApp = this;
 		// Start initialization process
@@ -69,10 +99,12 @@ class BRAGbookGalleryApp {
 		if (await this.handleDirectCaseUrl()) {
 			// If we're loading a case directly, skip normal gallery initialization
 			// but still initialize essential components
+			this.initializeRouter();
 			this.initializeDialogs();
 			this.initializeMobileMenu();
 			this.initializeCaseLinks();
 			this.initializeNudityWarning();
+			this.initializeBeforeAfterSliders();
 			this.initializeCasePreloading();
 			this.initializeCaseCarouselPagination();
 			// Lazy-loaded modules: kick off in parallel and let them resolve
@@ -80,17 +112,24 @@ class BRAGbookGalleryApp {
 			Promise.all([
 				this.initializeShareManager(),
 				this.initializeFavorites(),
+				this.initializeLightbox(),
+				this.initializeConsultationForm(),
 			]);
+			this.initializeShareTarget();
 			return;
 		}
 
-		// Initialize synchronous (always-loaded) core components.
+		// Initialize synchronous (always-loaded) core components. The router
+		// goes first so the filter system and case links can record history
+		// through it.
+		this.initializeRouter();
 		this.initializeDialogs();
 		this.initializeMobileMenu();
 		this.initializeGallerySelector();
-		this.initializeConsultationForm();
+		this.initializeFilterDisclosures();
 		this.initializeCaseLinks();
 		this.initializeNudityWarning();
+		this.initializeBeforeAfterSliders();
 		this.initializeCasePreloading();
 		this.initializeCaseCarouselPagination();
 
@@ -102,17 +141,78 @@ class BRAGbookGalleryApp {
 			this.initializeFavorites(),
 			this.initializeSearch(),
 			this.initializeShareManager(),
+			this.initializeSavedSearches(),
+			this.initializeComparison(),
+			this.initializeLightbox(),
+			this.initializeConsultationForm(),
 		]);
 
+		// Last, so every module has seen the cards before any are detached
+		this.initializeVirtualGrid();
+
 		// Auto-activate favorites view if on favorites page (favorites manager
 		// is guaranteed to be ready here because we awaited above).
 		const galleryContent = document.getElementById('gallery-content');
 		if (galleryContent && galleryContent.dataset.favoritesPage === 'true') {
 			this.showFavoritesOnly();
 		}
+
+		this.initializeShareTarget();
 	}
 
 
+	/**
+	 * Initialize the router that owns back/forward for every in-page view
+	 */
+	initializeRouter() {
+		if (!document.getElementById('gallery-content')) return;
+
+		this.components.router = new GalleryRouter({
+			// A case entry with no snapshot left (evicted, or written before
+			// a reload) is fetched again without pushing another entry.
+			onCase: (route) => this.loadCaseDetails(route.caseId, route.url, false, route.procedureIds),
+			onRestore: () => this.reinitializeRestoredContent()
+		});
+
+		// provider-filter.js and location-search.js ship as separate bundles
+		window.bragBookGalleryRouter = this.components.router;
+	}
+
+	/**
+	 * Rebind what a restored snapshot lost.
+	 *
+	 * Click handling is delegated and survives innerHTML; observers and
+	 * per-element listeners do not.
+	 */
+	reinitializeRestoredContent() {
+		if (this.caseObserver) {
+			this.caseObserver.disconnect();
+		}
+		this.setupCasePreloadObserver();
+		this.initializeCaseDetailThumbnails();
+		this.updateFavoriteHeartStates();
+		syncVirtualGrid();
+
+		if (typeof window.regenerateProcedureFilters === 'function') {
+			window.regenerateProcedureFilters();
+		}
+	}
+
+	/**
+	 * Keep only the rows near the viewport mounted in a very large case grid
+	 * (see virtual-grid.js), and bring cards up to date as they mount
+	 */
+	initializeVirtualGrid() {
+		syncVirtualGrid();
+
+		document.addEventListener(CARDS_MOUNTED_EVENT, (e) => {
+			e.detail.cards.forEach(card => this.observeCaseCard(card));
+
+			// A heart may have changed while its card was scrolled out
+			this.components.favoritesManager?.updateAllButtonStates();
+		});
+	}
+
 	/**
 	 * Initialize dialog components for modals and popups
 	 */
@@ -151,6 +251,7 @@ class BRAGbookGalleryApp {
 		this.components.filterSystem = new FilterSystem(filterContainer, {
 			mode: mode,
 			baseUrl: '/gallery',
+			router: this.components.router || null,
 			onFilterChange: (activeFilters) => {
 				this.applyFilters(activeFilters);
 			},
@@ -195,14 +296,24 @@ class BRAGbookGalleryApp {
 
 			// Bind event listeners to the new filter checkboxes
 			this.bindProcedureFilterEvents();
+
+			// Filters named in the query string (a shared or reloaded link)
+			if (restoreFiltersFromUrl(procedureFiltersContainer) > 0) {
+				this.applyProcedureFilters();
+			}
+			syncRangeFilters(procedureFiltersContainer);
 		}
 	}
 
 	/**
-	 * Bind events to procedure filter checkboxes
+	 * Bind events to procedure filter checkboxes and range filters
 	 */
 	bindProcedureFilterEvents() {
-		const filterCheckboxes = document.querySelectorAll('#brag-book-gallery-filters input[type="checkbox"]');
+		const container = document.getElementById('brag-book-gallery-filters');
+		initRangeFilters(container);
+
+		// A range filter's hidden value fires change once a handle is released
+		const filterCheckboxes = container.querySelectorAll('input[data-filter-type]');
 
 		filterCheckboxes.forEach(checkbox => {
 			checkbox.addEventListener('change', (e) => {
@@ -224,8 +335,9 @@ class BRAGbookGalleryApp {
 			weight: []
 		};
 
-		// Get all checked filter checkboxes
-		const checkedFilters = document.querySelectorAll('#brag-book-gallery-filters input[type="checkbox"]:checked');
+		// Get all checked filter checkboxes and narrowed ranges
+		const checkedFilters = getActiveFilterInputs(document.getElementById('brag-book-gallery-filters'));
+		writeFiltersToUrl(checkedFilters);
 		checkedFilters.forEach(checkbox => {
 			const filterType = checkbox.dataset.filterType;
 			const value = checkbox.value;
@@ -235,28 +347,20 @@ class BRAGbookGalleryApp {
 		});
 
 		// Get all case cards
-		const caseCards = document.querySelectorAll('.brag-book-gallery-case-card');
+		const caseCards = getCaseCards();
 
 		// Filter case cards
+		let visibleCount = 0;
 		caseCards.forEach(card => {
 			let show = true;
 
-			// Check age filter
-			if (activeFilters.age.length > 0) {
-				const age = parseInt(card.dataset.age);
-				let ageMatch = false;
-
-				activeFilters.age.forEach(range => {
-					if (range === '18-24' && age >= 18 && age < 25) ageMatch = true;
-					else if (range === '25-34' && age >= 25 && age < 35) ageMatch = true;
-					else if (range === '35-44' && age >= 35 && age < 45) ageMatch = true;
-					else if (range === '45-54' && age >= 45 && age < 55) ageMatch = true;
-					else if (range === '55-64' && age >= 55 && age < 65) ageMatch = true;
-					else if (range === '65+' && age >= 65) ageMatch = true;
-				});
-
-				if (!ageMatch) show = false;
-			}
+			// Check the age, height and weight ranges
+			const measurements = getCardMeasurements(card);
+			RANGE_FILTER_TYPES.forEach(type => {
+				if (activeFilters[type].length > 0 && !isInRanges(measurements[type], activeFilters[type])) {
+					show = false;
+				}
+			});
 
 			// Check gender filter
 			if (activeFilters.gender.length > 0) {
@@ -274,45 +378,24 @@ class BRAGbookGalleryApp {
 				}
 			}
 
-			// Check height filter
-			if (activeFilters.height.length > 0) {
-				const height = parseFloat(card.dataset.height);
-				let heightMatch = false;
-
-				activeFilters.height.forEach(range => {
-					if (range === 'Under 5\'0"' && height < 60) heightMatch = true;
-					else if (range === '5\'0" - 5\'3"' && height >= 60 && height < 64) heightMatch = true;
-					else if (range === '5\'4" - 5\'7"' && height >= 64 && height < 68) heightMatch = true;
-					else if (range === '5\'8" - 5\'11"' && height >= 68 && height < 72) heightMatch = true;
-					else if (range === '6\'0" and above' && height >= 72) heightMatch = true;
-				});
-
-				if (!heightMatch) show = false;
-			}
-
-			// Check weight filter
-			if (activeFilters.weight.length > 0) {
-				const weight = parseFloat(card.dataset.weight);
-				let weightMatch = false;
-
-				activeFilters.weight.forEach(range => {
-					if (range === 'Under 120 lbs' && weight < 120) weightMatch = true;
-					else if (range === '120-149 lbs' && weight >= 120 && weight < 150) weightMatch = true;
-					else if (range === '150-179 lbs' && weight >= 150 && weight < 180) weightMatch = true;
-					else if (range === '180-209 lbs' && weight >= 180 && weight < 210) weightMatch = true;
-					else if (range === '210+ lbs' && weight >= 210) weightMatch = true;
-				});
-
-				if (!weightMatch) show = false;
-			}
-
 			// Show or hide the card
 			if (show) {
 				card.style.display = '';
+				visibleCount++;
 			} else {
 				card.style.display = 'none';
 			}
 		});
+		refreshCaseGrid();
+
+		announceCaseCount(visibleCount);
+	}
+
+	/**
+	 * Initialize keyboard support for the demographic filter panel
+	 */
+	initializeFilterDisclosures() {
+		initFilterDisclosures();
 	}
 
 	/**
@@ -329,6 +412,56 @@ class BRAGbookGalleryApp {
 		initGallerySelector();
 	}
 
+	/**
+	 * Initialize saved searches: the filter panel's save button and the
+	 * favorites page's "new since your last visit" lists
+	 */
+	async initializeSavedSearches() {
+		if (!window.bragBookGalleryConfig?.favoritesEnabled) return;
+		if (!document.querySelector('.brag-book-gallery-filter-actions, #favoritesSavedSearches')) return;
+
+		const { default: SavedSearches } = await import(
+			/* webpackChunkName: "brag-book-gallery-saved-searches" */
+			'./saved-searches.js'
+		);
+
+		this.components.savedSearches = new SavedSearches();
+	}
+
+	/**
+	 * Initialize the full-screen photo lightbox
+	 *
+	 * Case details arrive in the gallery over AJAX, so the gallery itself is
+	 * an anchor before any trigger exists.
+	 */
+	async initializeLightbox() {
+		if (!document.querySelector('.brag-book-gallery-lightbox-trigger, #gallery-content')) return;
+
+		const { default: Lightbox } = await import(
+			/* webpackChunkName: "brag-book-gallery-lightbox" */
+			'./lightbox.js'
+		);
+
+		this.components.lightbox = new Lightbox();
+	}
+
+	/**
+	 * Initialize side-by-side case comparison
+	 *
+	 * Favorites-page cards are rendered after init, so the favorites grid
+	 * counts as an anchor even before any toggle exists.
+	 */
+	async initializeComparison() {
+		if (!document.querySelector('.brag-book-gallery-compare-toggle, #gallery-content, #favoritesGrid')) return;
+
+		const { default: CaseComparison } = await import(
+			/* webpackChunkName: "brag-book-gallery-comparison" */
+			'./case-comparison.js'
+		);
+
+		this.components.comparison = new CaseComparison();
+	}
+
 	/**
 	 * Initialize favorites management system
 	 */
@@ -344,6 +477,7 @@ class BRAGbookGalleryApp {
 		);
 
 		this.components.favoritesManager = new FavoritesManager({
+			formGuard: this.components.formGuard,
 			onUpdate: (favorites) => {
 				this.updateFavoritesCount(favorites.size);
 			}
@@ -486,14 +620,49 @@ class BRAGbookGalleryApp {
 		});
 	}
 
-	initializeConsultationForm() {
+	/**
+	 * Open the case or photo a share link points at
+	 *
+	 * Runs once the page's cases are on screen, including a case loaded over
+	 * AJAX for a direct case URL.
+	 */
+	initializeShareTarget() {
+		if (!hasShareTarget()) return;
+
+		openShareTarget();
+	}
+
+	/**
+	 * Initialize the schema-driven consultation form
+	 *
+	 * The form pages through its steps and validates itself; success clears
+	 * the form and closes the dialog after a few seconds, as before.
+	 */
+	async initializeConsultationForm() {
 		const form = document.querySelector('[data-form="consultation"]');
-		if (form) {
-			form.addEventListener('submit', (e) => {
-				e.preventDefault();
-				this.handleFormSubmit(e.target);
-			});
-		}
+		if (!form) return;
+
+		const { default: ConsultationForm } = await import(
+			/* webpackChunkName: "brag-book-gallery-consultation-form" */
+			'./consultation-form.js'
+		);
+
+		this.components.consultationForm = new ConsultationForm(form, {
+			formGuard: this.components.formGuard,
+			showMessage: (message, type) => this.showModalMessage(message, type),
+			hideMessage: () => this.hideModalMessage(),
+			onSuccess: () => {
+				setTimeout(() => {
+					this.components.consultationForm.reset();
+					this.hideModalMessage();
+					if (this.components.consultationDialog) {
+						setTimeout(() => {
+							this.components.consultationDialog.close();
+						}, 1000);
+					}
+				}, 3000);
+			}
+		});
 
 		// Clear messages when dialog is opened
 		const consultationDialog = document.getElementById('consultationDialog');
@@ -717,37 +886,37 @@ class BRAGbookGalleryApp {
 		// Use WordPress AJAX to proxy the request (avoids CORS)
 		const formData = new FormData();
 		formData.append('action', 'brag_book_track_view');
-		formData.append('nonce', config.nonce || '');
 		formData.append('procedureId', procedureId);
 
-		fetch(config.ajaxUrl, {
-			method: 'POST',
-			body: formData,
-			keepalive: true
-		})
-			.then(response => response.json())
-			.then(data => {
-				if (data.success) {
-					console.log(`BRAGBook: ✓ Procedure view registered successfully for procedureId ${procedureId}`);
-				} else {
-					console.warn(`BRAGBook: ✗ Procedure view tracking failed:`, data.data?.message || 'Unknown error');
-				}
-			})
-			.catch(error => {
-				console.warn('BRAGBook: ✗ Procedure view tracking error:', error);
-			});
+		// Views are statistics: wait for consent when the site asks for it.
+		whenConsented('statistics', () => {
+			postAjax(formData, { url: config.ajaxUrl, keepalive: true })
+				.then(data => {
+					if (data.success) {
+						console.log(`BRAGBook: ✓ Procedure view registered successfully for procedureId ${procedureId}`);
+					} else {
+						console.warn(`BRAGBook: ✗ Procedure view tracking failed:`, data.data?.message || 'Unknown error');
+					}
+				})
+				.catch(error => {
+					console.warn('BRAGBook: ✗ Procedure view tracking error:', error);
+				});
+		});
 	}
 
 	/**
 	 * Track case view via WordPress AJAX (avoids CORS issues)
 	 * @param {string} procedureCaseId - The procedure case ID (small API ID like 35, 36)
+	 * @param {string} [source] - Where the case was opened from: card, carousel or page
 	 */
-	trackCaseView(procedureCaseId) {
+	trackCaseView(procedureCaseId, source = 'page') {
 		if (!procedureCaseId) {
 			console.warn('BRAGBook: No procedureCaseId provided for view tracking');
 			return;
 		}
 
+		track('case_open', { case_id: procedureCaseId, source });
+
 		const config = window.bragBookGalleryConfig;
 		if (!config || !config.ajaxUrl) {
 			console.warn('BRAGBook: AJAX configuration not available for view tracking');
@@ -759,25 +928,22 @@ class BRAGbookGalleryApp {
 		// Use WordPress AJAX to proxy the request (avoids CORS)
 		const formData = new FormData();
 		formData.append('action', 'brag_book_track_view');
-		formData.append('nonce', config.nonce || '');
 		formData.append('caseProcedureId', procedureCaseId);
 
-		fetch(config.ajaxUrl, {
-			method: 'POST',
-			body: formData,
-			keepalive: true
-		})
-			.then(response => response.json())
-			.then(data => {
-				if (data.success) {
-					console.log(`BRAGBook: ✓ Case view registered successfully for caseProcedureId ${procedureCaseId}`);
-				} else {
-					console.warn(`BRAGBook: ✗ Case view tracking failed:`, data.data?.message || 'Unknown error');
-				}
-			})
-			.catch(error => {
-				console.warn('BRAGBook: ✗ Case view tracking error:', error);
-			});
+		// Views are statistics: wait for consent when the site asks for it.
+		whenConsented('statistics', () => {
+			postAjax(formData, { url: config.ajaxUrl, keepalive: true })
+				.then(data => {
+					if (data.success) {
+						console.log(`BRAGBook: ✓ Case view registered successfully for caseProcedureId ${procedureCaseId}`);
+					} else {
+						console.warn(`BRAGBook: ✗ Case view tracking failed:`, data.data?.message || 'Unknown error');
+					}
+				})
+				.catch(error => {
+					console.warn('BRAGBook: ✗ Case view tracking error:', error);
+				});
+		});
 	}
 
 	/**
@@ -792,7 +958,7 @@ class BRAGbookGalleryApp {
 
 		if (procedureCaseId) {
 			console.log(`BRAGBook: Tracking view from card for procedureCaseId ${procedureCaseId}`);
-			this.trackCaseView(procedureCaseId);
+			this.trackCaseView(procedureCaseId, 'card');
 		} else {
 			console.warn('BRAGBook: Case card missing data-procedure-case-id, skipping view tracking');
 		}
@@ -810,7 +976,7 @@ class BRAGbookGalleryApp {
 
 		if (procedureCaseId) {
 			console.log(`BRAGBook: Tracking view from carousel for procedureCaseId ${procedureCaseId}`);
-			this.trackCaseView(procedureCaseId);
+			this.trackCaseView(procedureCaseId, 'carousel');
 		}
 	}
 
@@ -863,12 +1029,8 @@ class BRAGbookGalleryApp {
 		// Initialize case detail view thumbnails
 		this.initializeCaseDetailThumbnails();
 
-		// Handle browser back/forward navigation
-		window.addEventListener('popstate', (e) => {
-			// With server-side rendering, let the browser handle navigation naturally
-			// No need to load case details via AJAX
-			console.log('Browser navigation handled by server-side rendering');
-		});
+		// Back/forward is handled by the router (initializeRouter); server-
+		// rendered pages it did not write entries for load as normal.
 	}
 
 	/**
@@ -921,11 +1083,9 @@ class BRAGbookGalleryApp {
 			return;
 		}
 
-		// Debounce multiple case loads
-		if (this.currentCaseLoad) {
-			return;
-		}
-		this.currentCaseLoad = caseId;
+		// The newest case opened wins: one still loading would otherwise
+		// replace this one when it arrives
+		cancelRequest(CASE_DETAILS_REQUEST);
 
 		// If procedureIds not provided, try to get from the case card
 		if (!procedureIds) {
@@ -935,8 +1095,12 @@ class BRAGbookGalleryApp {
 			}
 		}
 
-		// Update browser URL IMMEDIATELY to prevent showing procedure page
-		if (updateHistory && window.history && window.history.pushState) {
+		// Update browser URL IMMEDIATELY to prevent showing procedure page.
+		// Through the router when there is one, so back returns to the grid
+		// as it was rather than reloading it.
+		if (updateHistory && this.components.router) {
+			this.components.router.navigate('case', url, { caseId, procedureIds });
+		} else if (updateHistory && window.history && window.history.pushState) {
 			window.history.pushState({ caseId: caseId }, '', url);
 		}
 
@@ -944,7 +1108,7 @@ class BRAGbookGalleryApp {
 		this.showCaseDetailSkeleton();
 
 		// Scroll to top to show loading state
-		window.scrollTo({ top: 0, behavior: 'smooth' });
+		window.scrollTo({ top: 0, behavior: scrollBehavior() });
 
 		try {
 			// Check for config
@@ -953,9 +1117,9 @@ class BRAGbookGalleryApp {
 			}
 
 			// Check preload cache first for instant loading
-			if (this.casePreloadCache && this.casePreloadCache.has(caseId)) {
-				const cachedData = this.casePreloadCache.get(caseId);
-				if (cachedData && cachedData !== 'loading') {
+			if (this.casePreloadCache) {
+				const cachedData = this.casePreloadCache.get(this.getCaseCacheKey(caseId, procedureIds));
+				if (cachedData) {
 					galleryContent.innerHTML = cachedData;
 
 					// Set active state on sidebar
@@ -964,12 +1128,10 @@ class BRAGbookGalleryApp {
 					// Scroll to top of gallery content area smoothly
 					const wrapper = document.querySelector('.brag-book-gallery-wrapper');
 					if (wrapper) {
-						wrapper.scrollIntoView({ behavior: 'smooth', block: 'start' });
+						wrapper.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
 					} else {
-						galleryContent.scrollIntoView({ behavior: 'smooth', block: 'start' });
+						galleryContent.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
 					}
-					// Clear debounce flag
-					this.currentCaseLoad = null;
 					return;
 				}
 			}
@@ -986,9 +1148,6 @@ class BRAGbookGalleryApp {
 			}
 
 			galleryContent.innerHTML = '<div class="brag-book-gallery-error">' + errorMessage + '</div>';
-		} finally {
-			// Always clear debounce flag
-			this.currentCaseLoad = null;
 		}
 	}
 
@@ -1038,36 +1197,11 @@ class BRAGbookGalleryApp {
 				}
 			}
 
-			// Prepare request parameters - use the HTML version
-			const requestParams = {
-				action: 'brag_book_gallery_load_case_details_html',
-				case_id: caseId,
-				procedure_slug: procedureSlug,
-				procedure_name: procedureName,
-				nonce: bragBookGalleryConfig.nonce || ''
-			};
-
-			// Add procedure IDs if available
-			if (procedureIds) {
-				requestParams.procedure_ids = procedureIds;
-			} else {
+			if (!procedureIds) {
 				console.warn(`⚠️ AJAX call WITHOUT procedure context: case ${caseId} (no procedure IDs provided)`);
 			}
 
-			// Make AJAX request to load case details
-			const response = await fetch(bragBookGalleryConfig.ajaxUrl, {
-				method: 'POST',
-				headers: {
-					'Content-Type': 'application/x-www-form-urlencoded',
-				},
-				body: new URLSearchParams(requestParams)
-			});
-
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-
-			const data = await response.json();
+			const data = await this.requestCaseDetails(caseId, procedureName, CASE_DETAILS_REQUEST);
 
 			if (data.success && data.data && data.data.html) {
 
@@ -1080,10 +1214,10 @@ class BRAGbookGalleryApp {
 				// Scroll to top of gallery content area smoothly
 				const wrapper = document.querySelector('.brag-book-gallery-wrapper');
 				if (wrapper) {
-					wrapper.scrollIntoView({ behavior: 'smooth', block: 'start' });
+					wrapper.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
 				} else {
 					// Fallback to scrolling to gallery content
-					galleryContent.scrollIntoView({ behavior: 'smooth', block: 'start' });
+					galleryContent.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
 				}
 
 				// Update page title and meta description if SEO data is provided
@@ -1134,7 +1268,7 @@ class BRAGbookGalleryApp {
 
 				// Store successful result in preload cache for future use
 				if (this.casePreloadCache && caseId) {
-					this.casePreloadCache.set(caseId, data.data.html);
+					this.casePreloadCache.set(this.getCaseCacheKey(caseId, procedureIds), data.data.html);
 				}
 
 				// Re-initialize any necessary event handlers for the new content
@@ -1143,17 +1277,19 @@ class BRAGbookGalleryApp {
 				throw new Error(data.data?.message || data.data || data.message || 'Failed to load case details');
 			}
 		} catch (error) {
-			let errorMessage = 'Failed to load case details via AJAX. Please try again.';
+			// A case opened since owns the view now
+			if (isSuperseded(error)) {
+				return;
+			}
 
-			// If we have a more specific error message, show it
-			if (error.message) {
+			let errorMessage = getErrorMessage(error, 'Failed to load case details via AJAX. Please try again.');
+
+			// If we have a more specific message from the server, show it
+			if (error.message && !error.code) {
 				errorMessage += '<br><small>' + error.message + '</small>';
 			}
 
 			galleryContent.innerHTML = '<div class="brag-book-gallery-error">' + errorMessage + '</div>';
-		} finally {
-			// Always clear debounce flag
-			this.currentCaseLoad = null;
 		}
 	}
 
@@ -1275,6 +1411,12 @@ class BRAGbookGalleryApp {
 
 		if (!progressFill || !progressText) return;
 
+		// The bar only suggests progress; with motion reduced, just say it is loading
+		if (prefersReducedMotion()) {
+			progressText.textContent = 'Loading...';
+			return;
+		}
+
 		let progress = 0;
 		const duration = 4000; // 4 seconds to match typical case load time
 		const increment = 100 / (duration / 75); // Update every 75ms for smoother animation
@@ -1398,7 +1540,7 @@ class BRAGbookGalleryApp {
 		galleryContent.innerHTML = html;
 
 		// Scroll to top of content
-		galleryContent.scrollIntoView({ behavior: 'smooth', block: 'start' });
+		galleryContent.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
 	}
 
 	handleSearch(query) {
@@ -1410,80 +1552,6 @@ class BRAGbookGalleryApp {
 		// Filter implementation would go here
 	}
 
-	async handleFormSubmit(form) {
-		const formData = new FormData(form);
-		const data = Object.fromEntries(formData.entries());
-
-
-		// Get submit button and disable it during submission
-		const submitBtn = form.querySelector('[data-action="form-submit"]');
-		const originalBtnText = submitBtn ? submitBtn.textContent : '';
-
-		if (submitBtn) {
-			submitBtn.disabled = true;
-			submitBtn.textContent = 'Sending...';
-		}
-
-		try {
-			// Check if configuration is available
-			if (typeof bragBookGalleryConfig === 'undefined') {
-				throw new Error('Configuration not loaded. Please refresh the page.');
-			}
-
-			// Prepare the data for the API
-			const requestData = new URLSearchParams({
-				action: 'brag_book_gallery_form_submission',
-				nonce: bragBookGalleryConfig.consultation_nonce || bragBookGalleryConfig.nonce,
-				name: data.name || '',
-				email: data.email || '',
-				phone: data.phone || '',
-				description: data.message || '' // Map 'message' field to 'description' for API
-			});
-
-			// Send the form data to the WordPress AJAX endpoint
-			const response = await fetch(bragBookGalleryConfig.ajaxUrl, {
-				method: 'POST',
-				headers: {
-					'Content-Type': 'application/x-www-form-urlencoded',
-				},
-				body: requestData,
-				credentials: 'same-origin'
-			});
-
-			const result = await response.json();
-
-			if (result.success) {
-				// Show success message in modal
-				this.showModalMessage('Thank you for your consultation request! We will contact you soon.', 'success');
-
-				// Reset form and optionally close modal after delay
-				setTimeout(() => {
-					form.reset();
-					// Hide the message
-					this.hideModalMessage();
-					// Optionally close the modal after showing success
-					if (this.components && this.components.consultationDialog) {
-						setTimeout(() => {
-							this.components.consultationDialog.close();
-						}, 1000);
-					}
-				}, 3000);
-			} else {
-				// Show error message in modal
-				const errorMessage = result.data || 'Failed to send consultation request. Please try again.';
-				this.showModalMessage(errorMessage, 'error');
-			}
-		} catch (error) {
-			this.showModalMessage(error.message || 'An error occurred. Please try again.', 'error');
-		} finally {
-			// Re-enable the submit button
-			if (submitBtn) {
-				submitBtn.disabled = false;
-				submitBtn.textContent = originalBtnText;
-			}
-		}
-	}
-
 	// Helper method to show messages in the modal
 	showModalMessage(message, type = 'info') {
 		const messageContainer = document.getElementById('consultationMessage');
@@ -1540,7 +1608,7 @@ class BRAGbookGalleryApp {
 			const firstThumb = track.querySelector('.brag-book-gallery-thumbnail-item');
 			if (!firstThumb) return;
 			const scrollAmount = firstThumb.offsetWidth + 8; // width + gap
-			track.scrollBy({ left: direction === 'next' ? scrollAmount : -scrollAmount, behavior: 'smooth' });
+			track.scrollBy({ left: direction === 'next' ? scrollAmount : -scrollAmount, behavior: scrollBehavior() });
 		};
 
 		if (prevBtn) {
@@ -1598,7 +1666,7 @@ class BRAGbookGalleryApp {
 				dot.addEventListener('click', () => {
 					const currentMetrics = getPageMetrics();
 					if (currentMetrics) {
-						track.scrollTo({ left: i * currentMetrics.pageWidth, behavior: 'smooth' });
+						track.scrollTo({ left: i * currentMetrics.pageWidth, behavior: scrollBehavior() });
 					}
 				});
 				paginationContainer.appendChild(dot);
@@ -1667,10 +1735,36 @@ class BRAGbookGalleryApp {
 			// Update main container data attribute
 			mainContainer.dataset.imageIndex = imageIndex;
 
+			const mainSingle = mainContainer.querySelector('.brag-book-gallery-main-single');
+			const mainAlt = thumbnailAlt.replace(/ - Angle \d+$/, '');
+			const { beforeUrl, afterUrl } = thumbnail.dataset;
+
+			// In a slider mode, angles with separate before/after photos swap
+			// in a fresh slider; the rest fall back to the combined image.
+			if (mainSingle && isSliderMode(mainContainer.dataset.imageDisplay)) {
+				mainSingle.querySelector('[data-before-after], :scope > img')?.remove();
+
+				const media = beforeUrl && afterUrl
+					? renderBeforeAfterSlider({
+						before: beforeUrl,
+						after: afterUrl,
+						alt: mainAlt,
+						mode: mainContainer.dataset.imageDisplay,
+						lazy: false
+					})
+					: `<img src="${escapeHtml(processedUrl || '')}" alt="${escapeHtml(mainAlt)}" decoding="async">`;
+
+				mainSingle.insertAdjacentHTML('afterbegin', media);
+				const swappedImg = mainSingle.querySelector(':scope > img');
+				if (swappedImg && thumbnail.dataset.fullSrcset) {
+					swappedImg.srcset = thumbnail.dataset.fullSrcset;
+				}
+				return;
+			}
+
 			// Update existing main image src/alt instead of replacing the DOM
 			const mainImg = mainContainer.querySelector('.brag-book-gallery-main-single img');
 			if (mainImg && processedUrl) {
-				const mainAlt = thumbnailAlt.replace(/ - Angle \d+$/, '');
 				// srcset wins over src, so swapping src alone would leave the
 				// previous image on screen. Each thumbnail carries the srcset for
 				// its own image; an empty value means that case has no smaller
@@ -1932,7 +2026,7 @@ class BRAGbookGalleryApp {
 
 		switch(category) {
 			case 'age':
-				displayText = `Age: ${value}`;
+				displayText = `Age: ${formatRange('age', value)}`;
 				break;
 			case 'gender':
 				displayText = `Gender: ${value}`;
@@ -1946,10 +2040,10 @@ class BRAGbookGalleryApp {
 				displayText = `Ethnicity: ${value}`;
 				break;
 			case 'height':
-				displayText = `Height: ${value}`;
+				displayText = `Height: ${formatRange('height', value)}`;
 				break;
 			case 'weight':
-				displayText = `Weight: ${value}`;
+				displayText = `Weight: ${formatRange('weight', value)}`;
 				break;
 			default:
 				displayText = `${category}: ${value}`;
@@ -2137,15 +2231,12 @@ class BRAGbookGalleryApp {
 			// Trigger AJAX reload with no filters
 			const formData = new FormData();
 			formData.append('action', 'brag_book_gallery_load_filtered_gallery');
-			formData.append('nonce', window.bragBookGalleryAjax?.nonce || '');
 			formData.append('procedure_ids', ''); // Empty procedure IDs = show all
 			formData.append('has_nudity', document.body.classList.contains('nudity-accepted') ? '1' : '0');
 
-			fetch(window.bragBookGalleryAjax?.ajax_url || '/wp-admin/admin-ajax.php', {
-				method: 'POST',
-				body: formData
-			})
-			.then(response => response.json())
+			// Replaces the grid like a filter does, so a filter clicked since
+			// supersedes it and it supersedes any filter still loading
+			postAjax(formData, { key: GRID_REQUEST, idempotent: true })
 			.then(data => {
 				if (data.success) {
 					filteredGallery.innerHTML = data.data.html;
@@ -2154,7 +2245,9 @@ class BRAGbookGalleryApp {
 				}
 			})
 			.catch(error => {
-				console.error('Error reloading gallery:', error);
+				if (!isSuperseded(error)) {
+					console.error('Error reloading gallery:', error);
+				}
 			});
 		}
 	}
@@ -2204,6 +2297,12 @@ class BRAGbookGalleryApp {
 		const favoritesBtn = document.querySelector('[data-action="show-favorites"]:not(.brag-book-gallery-favorites-link)');
 		const isActive = favoritesBtn?.classList.contains('active');
 
+		// Record the switch first so the entry being left keeps a snapshot of
+		// the view it showed.
+		if (this.components.router) {
+			this.components.router.navigate(isActive ? 'grid' : 'favorites');
+		}
+
 		if (isActive) {
 			// Return to normal gallery view
 			this.showAllCases();
@@ -2297,22 +2396,11 @@ class BRAGbookGalleryApp {
 		}
 
 		// Make AJAX request with email from localStorage
-		const ajaxUrl = window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php';
-		const nonce = window.bragBookGalleryConfig?.nonce || '';
-
 		// Load from API
-		fetch(ajaxUrl, {
-			method: 'POST',
-			headers: {
-				'Content-Type': 'application/x-www-form-urlencoded',
-			},
-			body: new URLSearchParams({
-				action: 'brag_book_lookup_favorites',
-				email: userInfo.email,
-				nonce: nonce
-			})
-		})
-		.then(response => response.json())
+		postAjax({
+			action: 'brag_book_lookup_favorites',
+			email: userInfo.email
+		}, { idempotent: true })
 		.then(data => {
 			// Hide loading state
 			if (loadingState) {
@@ -2351,63 +2439,37 @@ class BRAGbookGalleryApp {
 				const casesData = favoritesData.cases_data || {};
 				const casesArray = Object.values(casesData);
 
-				if (casesArray.length > 0) {
-					// Extract junction IDs from caseProcedures — same logic as displayFavoritesGrid
-					const junctionIds = casesArray.map(c => {
-						if (c.caseProcedures && c.caseProcedures.length > 0) {
-							return String(c.caseProcedures[0].id);
-						}
-						return String(c.id || '');
-					}).filter(Boolean);
-
-					// Replace localStorage entirely — API is authoritative
-					localStorage.setItem('brag-book-favorites', JSON.stringify(junctionIds));
-
-					// Update favorites manager if it exists
-					if (this.components.favoritesManager) {
-						this.components.favoritesManager.favorites = new Set(junctionIds);
-						this.components.favoritesManager.updateUI();
+				// Extract junction IDs from caseProcedures — same logic as displayFavoritesGrid
+				const junctionIds = casesArray.map(c => {
+					if (c.caseProcedures && c.caseProcedures.length > 0) {
+						return String(c.caseProcedures[0].id);
 					}
+					return String(c.id || '');
+				}).filter(Boolean);
 
-					// Update favorites count in navigation
-					const countElements = document.querySelectorAll('[data-favorites-count]');
-					countElements.forEach(element => {
-						const format = element.dataset.favoritesFormat;
-						if (format === 'text') {
-							element.textContent = `${junctionIds.length} favorite${junctionIds.length !== 1 ? 's' : ''}`;
-						} else {
-							const isTilesView = element.closest('.brag-book-gallery-favorites-link--tiles');
-							element.textContent = isTilesView ? junctionIds.length : `(${junctionIds.length})`;
-						}
-						if (element.style) {
-							element.style.opacity = '1';
-						}
-					});
+				// The API is authoritative, except for changes still queued
+				// offline, which the favorites manager lays over it
+				let favoriteIds = junctionIds;
+				if (this.components.favoritesManager) {
+					favoriteIds = this.components.favoritesManager.reconcileWithServer(junctionIds);
 				} else {
-					// No cases — replace localStorage with empty array
-					localStorage.setItem('brag-book-favorites', JSON.stringify([]));
+					localStorage.setItem('brag-book-favorites', JSON.stringify(junctionIds));
+				}
 
-					// Update favorites manager if it exists
-					if (this.components.favoritesManager) {
-						this.components.favoritesManager.favorites = new Set();
-						this.components.favoritesManager.updateUI();
+				// Update favorites count in navigation
+				const countElements = document.querySelectorAll('[data-favorites-count]');
+				countElements.forEach(element => {
+					const format = element.dataset.favoritesFormat;
+					if (format === 'text') {
+						element.textContent = `${favoriteIds.length} favorite${favoriteIds.length !== 1 ? 's' : ''}`;
+					} else {
+						const isTilesView = element.closest('.brag-book-gallery-favorites-link--tiles');
+						element.textContent = isTilesView ? favoriteIds.length : `(${favoriteIds.length})`;
 					}
-
-					// Update favorites count to 0
-					const countElements = document.querySelectorAll('[data-favorites-count]');
-					countElements.forEach(element => {
-						const format = element.dataset.favoritesFormat;
-						if (format === 'text') {
-							element.textContent = '0 favorites';
-						} else {
-							const isTilesView = element.closest('.brag-book-gallery-favorites-link--tiles');
-							element.textContent = isTilesView ? '0' : '(0)';
-						}
-						if (element.style) {
-							element.style.opacity = '1';
-						}
-					});
-				}
+					if (element.style) {
+						element.style.opacity = '1';
+					}
+				});
 
 				// Check if we have cases data from the API lookup
 				const hasCasesData = favoritesData.cases_data &&
@@ -2551,12 +2613,27 @@ class BRAGbookGalleryApp {
 		this.components.nudityWarningManager = new NudityWarningManager();
 	}
 
+	/**
+	 * Initialize before/after comparison sliders
+	 *
+	 * Delegated listeners, so sliders that arrive later with case details,
+	 * favorites or carousels work without further setup.
+	 */
+	initializeBeforeAfterSliders() {
+		this.components.beforeAfterSlider = new BeforeAfterSlider();
+	}
+
 	/**
 	 * Initialize case preloading for improved performance
 	 */
 	initializeCasePreloading() {
-		// Preload cache to store case data
-		this.casePreloadCache = new Map();
+		// Preloaded case HTML, kept across pages until the next sync
+		this.casePreloadCache = new CaseCache({ version: window.bragBookGalleryConfig?.syncVersion });
+		this.preloadQueue = [];
+		this.activePreloads = new Set();
+
+		// A faster connection may run what a slower one held back
+		onConnectionChange(() => this.processPreloadQueue());
 
 		// Optimize image loading for visible cases
 		this.optimizeImageLoading();
@@ -2601,7 +2678,7 @@ class BRAGbookGalleryApp {
 			if (isNaN(slideIndex) || slideIndex < 0 || slideIndex >= pictures.length) return;
 
 			pictures[slideIndex].scrollIntoView({
-				behavior: 'smooth',
+				behavior: scrollBehavior(),
 				block: 'nearest',
 				inline: 'start'
 			});
@@ -2816,7 +2893,7 @@ class BRAGbookGalleryApp {
 					const caseId = caseCard.dataset.caseId;
 					const procedureIds = caseCard.dataset.procedureIds;
 
-					if (caseId && !this.casePreloadCache.has(caseId)) {
+					if (caseId) {
 						// Preload this case with high priority (visible soon)
 						this.preloadCase(caseId, procedureIds, 'high');
 					}
@@ -2830,12 +2907,23 @@ class BRAGbookGalleryApp {
 		});
 
 		// Observe all case cards
-		document.querySelectorAll('.brag-book-gallery-case-card').forEach(card => {
-			this.caseObserver.observe(card);
+		this.preloadCards = new WeakSet();
+		document.querySelectorAll('.brag-book-gallery-case-card').forEach(card => this.observeCaseCard(card));
+	}
 
-			// Add hover-based predictive preloading
-			this.setupHoverPreloading(card);
-		});
+	/**
+	 * Preload a card's case when it nears the viewport or is hovered
+	 *
+	 * @param {HTMLElement} card - Case card, observed once however often it mounts
+	 */
+	observeCaseCard(card) {
+		if (!this.caseObserver || this.preloadCards.has(card)) return;
+
+		this.preloadCards.add(card);
+		this.caseObserver.observe(card);
+
+		// Add hover-based predictive preloading
+		this.setupHoverPreloading(card);
 	}
 
 	/**
@@ -2850,7 +2938,7 @@ class BRAGbookGalleryApp {
 				const caseId = card.dataset.caseId;
 				const procedureIds = card.dataset.procedureIds;
 
-				if (caseId && !this.casePreloadCache.has(caseId)) {
+				if (caseId) {
 					this.preloadCase(caseId, procedureIds, 'hover');
 				}
 			}, 300);
@@ -2875,89 +2963,98 @@ class BRAGbookGalleryApp {
 			const caseId = card.dataset.caseId;
 			const procedureIds = card.dataset.procedureIds;
 
-			if (caseId && !this.casePreloadCache.has(caseId)) {
+			if (caseId) {
 				this.preloadCase(caseId, procedureIds);
 			}
 		});
 	}
 
+	/**
+	 * Key a case's HTML by everything the server renders it from
+	 *
+	 * The same case reads differently under another procedure, and a gallery
+	 * shortcode may override the image display.
+	 *
+	 * @param {string} caseId - Case ID
+	 * @param {string|null} procedureIds - Comma-separated procedure IDs
+	 * @returns {string}
+	 */
+	getCaseCacheKey(caseId, procedureIds) {
+		const imageDisplay = document.getElementById('brag-book-gallery')?.dataset.imageDisplay || '';
+
+		return [caseId, procedureIds || '', imageDisplay].join('|');
+	}
+
 	/**
 	 * Preload a specific case in the background with priority support
+	 *
+	 * A case already queued at a lower priority is moved up instead.
 	 */
-	async preloadCase(caseId, procedureIds, priority = 'normal') {
-		if (this.casePreloadCache.has(caseId)) return;
+	preloadCase(caseId, procedureIds, priority = 'normal') {
+		const key = this.getCaseCacheKey(caseId, procedureIds);
 
-		// Mark as being preloaded to avoid duplicates
-		this.casePreloadCache.set(caseId, 'loading');
+		if (this.casePreloadCache.has(key) || this.activePreloads.has(key)) return;
 
-		// Add to priority queue for smart preloading order
-		if (!this.preloadQueue) this.preloadQueue = [];
+		const queued = this.preloadQueue.find(task => task.key === key);
+		if (queued) {
+			if (PRELOAD_PRIORITIES[priority] > PRELOAD_PRIORITIES[queued.priority]) {
+				queued.priority = priority;
+				queued.timestamp = Date.now();
+				this.processPreloadQueue();
+			}
+			return;
+		}
 
-		const preloadTask = {
+		this.preloadQueue.push({
+			key,
 			caseId,
 			procedureIds,
 			priority,
 			timestamp: Date.now()
-		};
-
-		// Insert based on priority (high > hover > normal)
-		const priorityOrder = { high: 3, hover: 2, normal: 1 };
-		const insertIndex = this.preloadQueue.findIndex(task =>
-			priorityOrder[task.priority] < priorityOrder[priority]
-		);
-
-		if (insertIndex === -1) {
-			this.preloadQueue.push(preloadTask);
-		} else {
-			this.preloadQueue.splice(insertIndex, 0, preloadTask);
-		}
+		});
 
 		// Process queue with controlled concurrency
 		this.processPreloadQueue();
 	}
 
 	/**
-	 * Process preload queue with controlled concurrency
+	 * Process preload queue with the concurrency the connection allows
+	 *
+	 * Priorities the connection cannot afford stay queued, in case it
+	 * improves.
 	 */
 	processPreloadQueue() {
-		// Initialize concurrency control
-		if (!this.activePreloads) {
-			this.activePreloads = new Set();
-		}
-
-		// Maximum concurrent preloads
-		const maxConcurrency = 3;
+		const policy = preloadPolicy();
 
 		// Sort queue by priority (high > hover > normal) and timestamp (newer first for hover)
-		if (this.preloadQueue && this.preloadQueue.length > 0) {
-			this.preloadQueue.sort((a, b) => {
-				const priorityOrder = { high: 3, hover: 2, normal: 1 };
-				const priorityDiff = priorityOrder[b.priority] - priorityOrder[a.priority];
-
-				// If same priority, newer timestamps first for hover (more recent user intent)
-				if (priorityDiff === 0 && a.priority === 'hover') {
-					return b.timestamp - a.timestamp;
-				}
+		this.preloadQueue.sort((a, b) => {
+			const priorityDiff = PRELOAD_PRIORITIES[b.priority] - PRELOAD_PRIORITIES[a.priority];
 
-				return priorityDiff;
-			});
-		}
+			// If same priority, newer timestamps first for hover (more recent user intent)
+			if (priorityDiff === 0 && a.priority === 'hover') {
+				return b.timestamp - a.timestamp;
+			}
+
+			return priorityDiff;
+		});
 
 		// Process queue items up to concurrency limit
-		while (this.activePreloads.size < maxConcurrency && this.preloadQueue && this.preloadQueue.length > 0) {
-			const task = this.preloadQueue.shift();
+		while (this.activePreloads.size < policy.concurrency) {
+			const index = this.preloadQueue.findIndex(task => policy.priorities.includes(task.priority));
+			if (index === -1) break;
+
+			const [task] = this.preloadQueue.splice(index, 1);
 
-			// Skip if already being processed or completed
-			if (this.activePreloads.has(task.caseId) || this.casePreloadCache.has(task.caseId)) {
+			// Skip if completed since it was queued
+			if (this.casePreloadCache.has(task.key)) {
 				continue;
 			}
 
-			// Add to active preloads
-			this.activePreloads.add(task.caseId);
+			this.activePreloads.add(task.key);
 
 			// Execute preload asynchronously
 			this.executePreloadTask(task).finally(() => {
-				this.activePreloads.delete(task.caseId);
+				this.activePreloads.delete(task.key);
 				// Process next items in queue
 				this.processPreloadQueue();
 			});
@@ -2969,20 +3066,44 @@ class BRAGbookGalleryApp {
 	 */
 	async executePreloadTask(task) {
 		try {
-			const result = await this.preloadCaseViaAjax(task.caseId, task.procedureIds);
+			const result = await this.preloadCaseViaAjax(task.caseId);
 			if (result) {
-				this.casePreloadCache.set(task.caseId, result);
-				const priorityIcon = task.priority === 'high' ? '⚡' : task.priority === 'hover' ? '🖱️' : '📋';;
+				this.casePreloadCache.set(task.key, result);
 			}
 		} catch (error) {
 			console.warn(`Queue failed to process case ${task.caseId}:`, error);
 		}
 	}
 
+	/**
+	 * Request a case's detail HTML from the gallery data route
+	 *
+	 * The URL carries only what changes the response, so a preload and the
+	 * click after it ask for the same one and the second comes from cache.
+	 *
+	 * @param {string} caseId - Case post ID
+	 * @param {string} procedureName - Procedure the case is shown in, for its title
+	 * @param {string} [key] - Request key, for a load a newer one supersedes
+	 * @returns {Promise<{success: boolean, data: Object}>}
+	 */
+	requestCaseDetails(caseId, procedureName, key = '') {
+		return getGalleryData(`/cases/${parseInt(caseId, 10) || 0}`, {
+			procedure_name: procedureName,
+			// The gallery shortcode may override the site's image display.
+			image_display: document.getElementById('brag-book-gallery')?.dataset.imageDisplay || ''
+		}, { key });
+	}
+
 	/**
 	 * Preload case via AJAX (fallback method)
+	 *
+	 * The case route renders from the case post alone, so the procedure IDs the
+	 * preload queue keys its cache by are not sent.
+	 *
+	 * @param {string} caseId - Case post ID
+	 * @returns {Promise<string|null>} The case's detail HTML, or null
 	 */
-	async preloadCaseViaAjax(caseId, procedureIds) {
+	async preloadCaseViaAjax(caseId) {
 		try {
 			// Extract procedure slug from current location
 			const pathSegments = window.location.pathname.split('/').filter(s => s);
@@ -2998,29 +3119,7 @@ class BRAGbookGalleryApp {
 				}
 			}
 
-			const requestParams = {
-				action: 'brag_book_gallery_load_case_details_html',
-				case_id: caseId,
-				procedure_slug: procedureSlug,
-				procedure_name: procedureName,
-				nonce: bragBookGalleryConfig.nonce || ''
-			};
-
-			if (procedureIds) {
-				requestParams.procedure_ids = procedureIds;
-			}
-
-			const response = await fetch(bragBookGalleryConfig.ajaxUrl, {
-				method: 'POST',
-				headers: {
-					'Content-Type': 'application/x-www-form-urlencoded',
-				},
-				body: new URLSearchParams(requestParams)
-			});
-
-			if (!response.ok) return null;
-
-			const data = await response.json();
+			const data = await this.requestCaseDetails(caseId, procedureName);
 
 			if (data.success && data.data && data.data.html) {
 				return data.data.html;
@@ -3276,6 +3375,8 @@ class BRAGbookGalleryApp {
 	 * Initialize the dedicated favorites page (from [brag_book_gallery_favorites] shortcode)
 	 */
 	initializeDedicatedFavoritesPage(userInfo, existingFavorites = []) {
+		// Saved searches need only the email; the visitor may just have entered it
+		this.components.savedSearches?.showOnFavoritesPage();
 
 		// Get DOM elements from dedicated favorites page
 		const emailCapture = document.getElementById('favoritesEmailCapture');
@@ -3334,19 +3435,9 @@ class BRAGbookGalleryApp {
 			// Make WordPress AJAX request to lookup favorites
 			const formData = new FormData();
 			formData.append('action', 'brag_book_lookup_favorites');
-			formData.append('nonce', window.bragBookGalleryConfig?.nonce || '');
 			formData.append('email', userInfo.email);
 
-			const response = await fetch(window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php', {
-				method: 'POST',
-				body: formData
-			});
-
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-
-			const result = await response.json();
+			const result = await postAjax(formData, { idempotent: true });
 
 			if (result.success && result.data && result.data.favorites) {
 				this.displayFavoritesGrid(result.data.favorites, gridContainer, loadingEl);
@@ -3399,15 +3490,18 @@ class BRAGbookGalleryApp {
 
 			// Sync API favorites into the FavoritesManager so counts stay accurate
 			// Use junction IDs (caseProcedures[0].id) — these match data-procedure-case-id on cards
+			let casesToShow = Object.values(favoritesData.cases_data);
 			if (this.components.favoritesManager) {
-				const junctionIds = Object.values(favoritesData.cases_data).map(c => {
+				const junctionIds = casesToShow.map(c => {
 					if (c.caseProcedures && c.caseProcedures.length > 0) {
 						return String(c.caseProcedures[0].id);
 					}
 					return String(c.id || c.case_id || '');
-				}).filter(Boolean);
-				this.components.favoritesManager.favorites = new Set(junctionIds);
-				this.components.favoritesManager.saveToStorage();
+				});
+				const favoriteIds = new Set(this.components.favoritesManager.reconcileWithServer(junctionIds.filter(Boolean)));
+
+				// Leave out cases removed offline that the server still lists
+				casesToShow = casesToShow.filter((c, index) => !junctionIds[index] || favoriteIds.has(junctionIds[index]));
 			}
 
 			// Hide empty state when we have content
@@ -3430,7 +3524,7 @@ class BRAGbookGalleryApp {
 			this.addUserInfoAfterTitle(favoritesData, gridContainer);
 
 			// Add each case to the grid
-			Object.values(favoritesData.cases_data).forEach(async (caseData) => {
+			casesToShow.forEach(async (caseData) => {
 				const cardHtml = await this.generateFavoriteCard(caseData);
 				grid.insertAdjacentHTML('beforeend', cardHtml);
 			});
@@ -3443,6 +3537,21 @@ class BRAGbookGalleryApp {
 		}
 	}
 
+	/**
+	 * How before and after photos are shown on this page
+	 *
+	 * The favorites and gallery shortcodes carry their own choice; pages
+	 * without one use the site setting.
+	 *
+	 * @returns {string} 'side_by_side', 'slider' or 'slider_vertical'
+	 */
+	getImageDisplay() {
+		return document.getElementById('favoritesGrid')?.dataset.imageDisplay
+			|| document.getElementById('brag-book-gallery')?.dataset.imageDisplay
+			|| window.bragBookGalleryConfig?.imageDisplay
+			|| 'side_by_side';
+	}
+
 	/**
 	 * Generate HTML for a favorite case card (matching exact procedure case format)
 	 * Uses WordPress post ID to fetch proper image, procedure name, and permalink
@@ -3456,19 +3565,11 @@ class BRAGbookGalleryApp {
 		try {
 			const formData = new FormData();
 			formData.append('action', 'brag_book_get_case_by_api_id');
-			formData.append('nonce', window.bragBookGalleryConfig?.nonce || '');
 			formData.append('api_case_id', apiCaseId);
 
-			const response = await fetch(window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php', {
-				method: 'POST',
-				body: formData
-			});
-
-			if (response.ok) {
-				const result = await response.json();
-				if (result.success && result.data) {
-					wpPostData = result.data;
-				}
+			const result = await postAjax(formData, { idempotent: true });
+			if (result.success && result.data) {
+				wpPostData = result.data;
 			}
 		} catch (error) {
 			console.warn('Could not fetch WordPress post data for case:', apiCaseId, error);
@@ -3588,19 +3689,41 @@ class BRAGbookGalleryApp {
 		html += '<path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>';
 		html += '</svg>';
 		html += '</button>';
+		// Same markup as Comparison_Handler::render_toggle(); only cases with
+		// a WordPress post can be compared.
+		if (postId) {
+			html += `<button type="button" class="brag-book-gallery-compare-toggle" data-compare-post-id="${escapeHtml(postId)}" aria-pressed="false" aria-label="Compare this case" title="Compare this case">`;
+			html += '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><rect x="3" y="4" width="7" height="16" rx="1"/><rect x="14" y="4" width="7" height="16" rx="1"/></svg>';
+			html += '</button>';
+		}
 		html += '</div>';
 
 		// Carousel wrapper with image link (matching v3 gallery structure)
 		html += '<div class="brag-book-gallery-case-carousel">';
-		html += `<a href="${escapedCaseUrl}" class="brag-book-gallery-case-permalink brag-book-gallery-carousel-slides" data-case-id="${escapedCaseId}" data-procedure-ids="${escapedProcId}">`;
 
-		if (imageUrl) {
-			html += '<picture class="brag-book-gallery-picture">';
-			html += `<img src="${escapedImageUrl}"${responsiveAttrs} alt="Before and after ${escapedProcTitle} case ${escapedCaseId}" loading="eager" data-image-type="carousel" data-image-url="${escapedImageUrl}" onload="this.closest('.brag-book-gallery-image-container').querySelector('.brag-book-gallery-skeleton-loader').style.display='none';" fetchpriority="high">`;
-			html += '</picture>';
+		// The overlay button still links the case, so a slider can take the
+		// place of the image link.
+		const imageDisplay = this.getImageDisplay();
+		if (isSliderMode(imageDisplay) && wpPostData?.before_image_url && wpPostData?.after_image_url) {
+			html += renderBeforeAfterSlider({
+				before: wpPostData.before_image_url,
+				after: wpPostData.after_image_url,
+				alt: `${procedureTitle} case ${caseId}`,
+				mode: imageDisplay,
+				lazy: false
+			});
+		} else {
+			html += `<a href="${escapedCaseUrl}" class="brag-book-gallery-case-permalink brag-book-gallery-carousel-slides" data-case-id="${escapedCaseId}" data-procedure-ids="${escapedProcId}">`;
+
+			if (imageUrl) {
+				html += '<picture class="brag-book-gallery-picture">';
+				html += `<img src="${escapedImageUrl}"${responsiveAttrs} alt="Before and after ${escapedProcTitle} case ${escapedCaseId}" loading="eager" data-image-type="carousel" data-image-url="${escapedImageUrl}" onload="this.closest('.brag-book-gallery-image-container').querySelector('.brag-book-gallery-skeleton-loader').style.display='none';" fetchpriority="high">`;
+				html += '</picture>';
+			}
+
+			html += '</a>';
 		}
 
-		html += '</a>';
 		html += '</div>'; // Close carousel
 
 		// Overlay with case name and arrow (matching v3 gallery structure)
@@ -3635,19 +3758,10 @@ class BRAGbookGalleryApp {
 			// Make AJAX call to load favorites grid
 			const formData = new FormData();
 			formData.append('action', 'brag_book_load_favorites_grid');
-			formData.append('nonce', window.bragBookGalleryConfig?.nonce || '');
 			formData.append('post_ids', JSON.stringify(favoritePostIds));
+			formData.append('image_display', this.getImageDisplay());
 
-			const response = await fetch(window.bragBookGalleryConfig?.ajaxUrl || '/wp-admin/admin-ajax.php', {
-				method: 'POST',
-				body: formData
-			});
-
-			if (!response.ok) {
-				throw new Error(`HTTP error! status: ${response.status}`);
-			}
-
-			const result = await response.json();
+			const result = await postAjax(formData, { idempotent: true });
 			console.log('loadFavoritesFromWordPress response:', result);
 
 			if (loadingEl) loadingEl.style.display = 'none';
@@ -3894,7 +4008,8 @@ class BRAGbookGalleryApp {
 			const response = await this.callAjaxEndpoint('brag_book_load_favorites_grid', {
 				favorites: favoritesData,
 				userInfo: userInfo,
-				columns: 3
+				columns: 3,
+				image_display: this.getImageDisplay()
 			});
 
 			// Hide loading
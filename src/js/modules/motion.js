@@ -0,0 +1,109 @@
+/**
+ * Reduced Motion
+ *
+ * Every animation in the gallery asks here whether it may move: smooth
+ * scrolling, carousel autoplay and momentum, the loading progress bar, the
+ * nudity warning fade. The answer follows the visitor's
+ * prefers-reduced-motion setting unless a site script forces it:
+ *
+ *     window.bragBookGalleryMotion.setReduced(true);   // always reduce
+ *     window.bragBookGalleryMotion.setReduced(false);  // never reduce
+ *     window.bragBookGalleryMotion.setReduced(null);   // follow the system again
+ *     window.bragBookGalleryMotion.isReduced();
+ *
+ * While motion is reduced <html> carries the brag-book-gallery-reduce-motion
+ * class, which stills the gallery's CSS transitions and animations (see
+ * components/_motion.scss), and every change is announced as a
+ * bragbook:motion event on document with { reduced } as its detail.
+ *
+ * Like the consent gate, the state lives on window so the separate bundles
+ * and chunks share it; a site can set window.bragBookGalleryReduceMotion to
+ * true or false before the gallery loads to force it from the start.
+ */
+
+export const MOTION_EVENT = 'bragbook:motion';
+
+const REDUCE_CLASS = 'brag-book-gallery-reduce-motion';
+
+// Overrides the stylesheet's own prefers-reduced-motion rule when a script
+// insists on motion.
+const ALLOW_CLASS = 'brag-book-gallery-allow-motion';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * The page's motion state, created on first use
+ *
+ * @returns {{forced: boolean|null, media: MediaQueryList}}
+ */
+function getState() {
+	if (!window.bragBookGalleryMotion) {
+		const forced = window.bragBookGalleryReduceMotion;
+		const state = {
+			forced: typeof forced === 'boolean' ? forced : null,
+			media: window.matchMedia(QUERY),
+		};
+
+		window.bragBookGalleryMotion = {
+			setReduced: (value) => {
+				state.forced = typeof value === 'boolean' ? value : null;
+				update();
+			},
+			isReduced: () => prefersReducedMotion(),
+			state,
+		};
+
+		state.media.addEventListener('change', () => update());
+		update();
+	}
+
+	return window.bragBookGalleryMotion.state;
+}
+
+/**
+ * Apply the current state to <html> and tell the modules
+ */
+function update() {
+	const reduced = prefersReducedMotion();
+
+	document.documentElement.classList.toggle(REDUCE_CLASS, reduced);
+	document.documentElement.classList.toggle(ALLOW_CLASS, getState().forced === false);
+	document.dispatchEvent(new CustomEvent(MOTION_EVENT, { detail: { reduced } }));
+}
+
+/**
+ * Whether the gallery should keep still
+ *
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+	const state = getState();
+
+	return state.forced !== null ? state.forced : state.media.matches;
+}
+
+/**
+ * The scroll behavior to pass to scrollTo() and scrollIntoView()
+ *
+ * @returns {string} 'auto' while motion is reduced, 'smooth' otherwise
+ */
+export function scrollBehavior() {
+	return prefersReducedMotion() ? 'auto' : 'smooth';
+}
+
+/**
+ * Run a callback whenever motion is reduced or allowed again
+ *
+ * @param {function(boolean): void} callback - Called with whether motion is now reduced
+ */
+export function onMotionChange(callback) {
+	getState();
+	document.addEventListener(MOTION_EVENT, (e) => callback(e.detail.reduced));
+}
+
+/**
+ * Set up the shared state, so the class is on <html> before anything moves
+ */
+export function initMotion() {
+	getState();
+}
@@ -0,0 +1,51 @@
+/**
+ * Offline Browsing
+ *
+ * Registers the gallery's service worker (src/js/service-worker.js, served
+ * by Service_Worker) once the page has loaded, when the site has turned
+ * offline browsing on. When the site turns it off, bragBookGalleryConfig
+ * carries no worker URL and a worker an earlier visit installed is
+ * unregistered, so no visitor is left with a gallery cached by a feature the
+ * site no longer uses.
+ */
+
+// The worker's URL always carries this query var, whatever the site's URL
+const WORKER_QUERY_VAR = 'brag_book_gallery_sw';
+
+/**
+ * Register or remove the worker, as the site's settings say
+ *
+ * @param {{url: string, scope: string}} [config] - bragBookGalleryConfig.serviceWorker
+ */
+function syncServiceWorker(config) {
+	if (config.url) {
+		navigator.serviceWorker.register(config.url, { scope: config.scope }).catch((error) => {
+			console.warn('BRAGBook: Service worker registration failed:', error);
+		});
+		return;
+	}
+
+	navigator.serviceWorker.getRegistrations().then((registrations) => {
+		registrations
+			.filter(registration => (registration.active || registration.waiting || registration.installing)?.scriptURL.includes(WORKER_QUERY_VAR))
+			.forEach(registration => registration.unregister());
+	});
+}
+
+/**
+ * Set up offline browsing after the page has loaded, so the worker's
+ * precaching never competes with the gallery for the connection
+ *
+ * @param {{url: string, scope: string}} [config] - bragBookGalleryConfig.serviceWorker
+ */
+export function initOfflineSupport(config) {
+	if (!config || !('serviceWorker' in navigator)) {
+		return;
+	}
+
+	if (document.readyState === 'complete') {
+		syncServiceWorker(config);
+	} else {
+		window.addEventListener('load', () => syncServiceWorker(config), { once: true });
+	}
+}
@@ -0,0 +1,246 @@
+/**
+ * Procedure Tree
+ *
+ * Keyboard support for the sidebar's procedure list, following the WAI-ARIA
+ * navigation tree pattern. Categories are the tree's parent items (each a
+ * <details> whose <summary> opens it) and procedure links its leaves. The
+ * tree is a single Tab stop; inside it:
+ *
+ * - Down / Up         next or previous visible item
+ * - Right             open a closed category, or move into an open one
+ * - Left              close an open category, or move from a procedure up
+ *                     to its category
+ * - Home / End        first or last visible item
+ * - Enter             follow a procedure link, or open or close a category
+ * - *                 open every category
+ * - typing a letter   the next item starting with the letters typed
+ *
+ * The roles are added here rather than in the markup: they promise the
+ * keyboard behavior above, which only exists once this has run. Without
+ * JavaScript the sidebar stays plain disclosures and links.
+ */
+
+// How long typed letters keep adding to the type-ahead search.
+const TYPE_AHEAD_RESET = 500;
+
+class ProcedureTree {
+	/**
+	 * @param {HTMLElement} root - The sidebar's .brag-book-gallery-nav-list
+	 */
+	constructor(root) {
+		this.root = root;
+		this.typed = '';
+		this.typeTimer = null;
+
+		this.init();
+	}
+
+	init() {
+		this.root.setAttribute('role', 'tree');
+		if (!this.root.hasAttribute('aria-label')) {
+			this.root.setAttribute('aria-label', 'Procedures');
+		}
+
+		this.root.querySelectorAll('.brag-book-gallery-nav-list__item').forEach((category, index) => {
+			const summary = category.querySelector(':scope > summary');
+			const list = category.querySelector(':scope > .brag-book-gallery-nav-list-submenu');
+			if (!summary) {
+				return;
+			}
+
+			category.setAttribute('role', 'none');
+			summary.setAttribute('role', 'treeitem');
+			summary.setAttribute('aria-expanded', String(category.open));
+
+			// The group sits beside the summary rather than inside it, so it
+			// is tied to its category by ID.
+			if (list) {
+				list.id = list.id || `brag-book-gallery-procedures-${category.dataset.category || index}`;
+				list.setAttribute('role', 'group');
+				summary.setAttribute('aria-owns', list.id);
+
+				list.querySelectorAll(':scope > li').forEach(item => item.setAttribute('role', 'none'));
+			}
+
+			category.addEventListener('toggle', () => this.handleToggle(category, summary));
+		});
+
+		this.root.querySelectorAll('.brag-book-gallery-nav-link').forEach(link => {
+			link.setAttribute('role', 'treeitem');
+			if (link.pathname === window.location.pathname) {
+				link.setAttribute('aria-current', 'page');
+			}
+		});
+
+		// One Tab stop: the current procedure if it is showing, else the top
+		const items = this.getVisibleItems();
+		const current = items.find(item => item.getAttribute('aria-current') === 'page');
+		this.getItems().forEach(item => item.setAttribute('tabindex', '-1'));
+		if (items.length) {
+			this.setTabStop(current || items[0]);
+		}
+
+		this.root.addEventListener('keydown', (e) => this.handleKeydown(e));
+		this.root.addEventListener('focusin', (e) => {
+			if (this.isItem(e.target)) {
+				this.setTabStop(e.target);
+			}
+		});
+	}
+
+	/**
+	 * Every item in the tree, in document order
+	 *
+	 * @returns {HTMLElement[]}
+	 */
+	getItems() {
+		return Array.from(this.root.querySelectorAll('[role="treeitem"]'));
+	}
+
+	/**
+	 * Items a visitor can currently see: the categories, and the procedures
+	 * of open ones
+	 *
+	 * @returns {HTMLElement[]}
+	 */
+	getVisibleItems() {
+		return this.getItems().filter(item => {
+			const category = item.closest('.brag-book-gallery-nav-list__item');
+			return item.tagName === 'SUMMARY' || Boolean(category?.open);
+		});
+	}
+
+	/**
+	 * @param {EventTarget} node
+	 * @returns {boolean}
+	 */
+	isItem(node) {
+		return node instanceof HTMLElement && node.getAttribute('role') === 'treeitem' && this.root.contains(node);
+	}
+
+	/**
+	 * Make an item the tree's one Tab stop
+	 *
+	 * @param {HTMLElement} item
+	 */
+	setTabStop(item) {
+		if (this.tabStop && this.tabStop !== item) {
+			this.tabStop.setAttribute('tabindex', '-1');
+		}
+		item.setAttribute('tabindex', '0');
+		this.tabStop = item;
+	}
+
+	/**
+	 * Move focus to an item
+	 *
+	 * @param {HTMLElement|undefined} item
+	 */
+	focusItem(item) {
+		if (item) {
+			this.setTabStop(item);
+			item.focus();
+		}
+	}
+
+	/**
+	 * Keep aria-expanded in step with the category, however it was opened,
+	 * and keep focus out of a category that just closed
+	 *
+	 * @param {HTMLDetailsElement} category
+	 * @param {HTMLElement} summary
+	 */
+	handleToggle(category, summary) {
+		summary.setAttribute('aria-expanded', String(category.open));
+
+		if (!category.open && category.contains(this.tabStop) && this.tabStop !== summary) {
+			const hadFocus = category.contains(document.activeElement);
+			this.setTabStop(summary);
+			if (hadFocus) {
+				summary.focus();
+			}
+		}
+	}
+
+	/**
+	 * @param {KeyboardEvent} e
+	 */
+	handleKeydown(e) {
+		if (!this.isItem(e.target) || e.altKey || e.ctrlKey || e.metaKey) {
+			return;
+		}
+
+		const item = e.target;
+		const items = this.getVisibleItems();
+		const index = items.indexOf(item);
+		const category = item.closest('.brag-book-gallery-nav-list__item');
+		const isCategory = item.tagName === 'SUMMARY';
+
+		switch (e.key) {
+			case 'ArrowDown':
+				this.focusItem(items[index + 1]);
+				break;
+			case 'ArrowUp':
+				this.focusItem(items[index - 1]);
+				break;
+			case 'ArrowRight':
+				if (isCategory && !category.open) {
+					category.open = true;
+				} else if (isCategory) {
+					this.focusItem(category.querySelector('.brag-book-gallery-nav-link') || undefined);
+				}
+				break;
+			case 'ArrowLeft':
+				if (isCategory && category.open) {
+					category.open = false;
+				} else if (!isCategory && category) {
+					this.focusItem(category.querySelector(':scope > summary'));
+				}
+				break;
+			case 'Home':
+				this.focusItem(items[0]);
+				break;
+			case 'End':
+				this.focusItem(items[items.length - 1]);
+				break;
+			case '*':
+				this.root.querySelectorAll('.brag-book-gallery-nav-list__item').forEach(details => {
+					details.open = true;
+				});
+				break;
+			default:
+				if (e.key.length === 1 && e.key !== ' ') {
+					this.typeAhead(e.key, item);
+					break;
+				}
+				return;
+		}
+
+		e.preventDefault();
+	}
+
+	/**
+	 * Move to the next visible item starting with the letters typed so far
+	 *
+	 * @param {string} character - Letter just typed
+	 * @param {HTMLElement} item - Item with focus
+	 */
+	typeAhead(character, item) {
+		clearTimeout(this.typeTimer);
+		this.typeTimer = setTimeout(() => {
+			this.typed = '';
+		}, TYPE_AHEAD_RESET);
+
+		this.typed += character.toLowerCase();
+
+		// A first letter looks past the current item, so repeating it cycles
+		// through the matches; later letters refine the current match.
+		const items = this.getVisibleItems();
+		const start = items.indexOf(item) + (this.typed.length === 1 ? 1 : 0);
+		const ordered = [...items.slice(start), ...items.slice(0, start)];
+
+		this.focusItem(ordered.find(candidate => candidate.textContent.trim().toLowerCase().startsWith(this.typed)));
+	}
+}
+
+export default ProcedureTree;
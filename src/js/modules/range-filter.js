@@ -0,0 +1,291 @@
+/**
+ * Range Filters
+ *
+ * Age, height and weight are filtered with a dual-handle range instead of
+ * fixed buckets, bounded by the lowest and highest value in the data set.
+ * Each handle is a native <input type="range">, so arrow keys, Page Up/Down,
+ * Home/End, touch dragging and screen reader announcements all come from the
+ * browser; the two are overlaid on one track and kept from crossing.
+ *
+ * The chosen range lives in a hidden input carrying data-filter-type and a
+ * "min-max" value (e.g. age 30-45; height in inches, weight in pounds). That
+ * is the shape of a checked filter checkbox, so the URL state, badges, router
+ * and server request treat a range like any other selection. The hidden value
+ * is empty while the range spans the whole data set.
+ */
+
+export const RANGE_FILTER_TYPES = ['age', 'height', 'weight'];
+
+const ROOT_SELECTOR = '.brag-book-gallery-filter-range';
+
+const RANGE_PATTERN = /^(\d+)-(\d+)$/;
+
+/**
+ * Parse a "min-max" range value.
+ *
+ * @param {string} value - Range value
+ * @returns {{min: number, max: number}|null} Bounds in order, or null if not a range
+ */
+export function parseRange(value) {
+	const match = RANGE_PATTERN.exec(String(value).trim());
+	if (!match) {
+		return null;
+	}
+
+	const a = parseInt(match[1], 10);
+	const b = parseInt(match[2], 10);
+	return { min: Math.min(a, b), max: Math.max(a, b) };
+}
+
+/**
+ * Whether a value falls in any of the selected ranges (bounds inclusive).
+ *
+ * @param {number|null} value - The case's value; null when it isn't recorded
+ * @param {string[]} ranges - Selected "min-max" values
+ * @returns {boolean} False for a missing value, which can't be placed in a range
+ */
+export function isInRanges(value, ranges) {
+	return value !== null && ranges.some(range => {
+		const bounds = parseRange(range);
+		return bounds !== null && value >= bounds.min && value <= bounds.max;
+	});
+}
+
+/**
+ * A case card's age, height in inches and weight in pounds: the units the
+ * range filters work in, whatever the card was recorded in.
+ *
+ * @param {HTMLElement} card - Case card carrying data-age, data-height, ... attributes
+ * @returns {{age: number|null, height: number|null, weight: number|null}}
+ */
+export function getCardMeasurements(card) {
+	const read = (value) => {
+		const number = parseInt(value, 10);
+		return Number.isNaN(number) ? null : number;
+	};
+
+	let height = read(card.dataset.height);
+	if (height !== null && (card.dataset.heightUnit || 'in') === 'cm') {
+		height = Math.round(height / 2.54);
+	}
+
+	let weight = read(card.dataset.weight);
+	if (weight !== null && (card.dataset.weightUnit || 'lbs') === 'kg') {
+		weight = Math.round(weight * 2.205);
+	}
+
+	return { age: read(card.dataset.age), height, weight };
+}
+
+/**
+ * The lowest and highest age, height and weight across a set of case cards,
+ * which bound the range filters.
+ *
+ * @param {Iterable<HTMLElement>} cards - Case cards
+ * @returns {{age, height, weight: {min: number, max: number}|null}} Null where no card has the value
+ */
+export function measureCardRanges(cards) {
+	const bounds = { age: null, height: null, weight: null };
+
+	Array.from(cards).forEach(card => {
+		const measurements = getCardMeasurements(card);
+		RANGE_FILTER_TYPES.forEach(type => {
+			const value = measurements[type];
+			if (value === null) return;
+
+			const current = bounds[type];
+			bounds[type] = current
+				? { min: Math.min(current.min, value), max: Math.max(current.max, value) }
+				: { min: value, max: value };
+		});
+	});
+
+	return bounds;
+}
+
+/**
+ * Format one bound for display: years, feet and inches, or pounds.
+ *
+ * @param {string} type - age, height or weight
+ * @param {number} number - Bound (inches for height, pounds for weight)
+ * @returns {string}
+ */
+export function formatRangeBound(type, number) {
+	if (type === 'height') {
+		return `${Math.floor(number / 12)}'${number % 12}"`;
+	}
+	if (type === 'weight') {
+		return `${number} lbs`;
+	}
+	return String(number);
+}
+
+/**
+ * Format a range value for badges and the live readout, e.g. 5'2"–5'8".
+ *
+ * @param {string} type - age, height or weight
+ * @param {string} value - "min-max" range value
+ * @returns {string} The formatted range, or the value unchanged if it isn't one
+ */
+export function formatRange(type, value) {
+	const range = parseRange(value);
+	if (!range) {
+		return value;
+	}
+
+	if (type === 'weight') {
+		return `${range.min}–${range.max} lbs`;
+	}
+	return `${formatRangeBound(type, range.min)}–${formatRangeBound(type, range.max)}`;
+}
+
+/**
+ * Build the markup for one range filter.
+ *
+ * @param {string} type - age, height or weight
+ * @param {string} label - Visible filter name
+ * @param {{min: number, max: number}} bounds - Lowest and highest value in the data set
+ * @returns {string} HTML for the filter's <details> block
+ */
+export function renderRangeFilter(type, label, bounds) {
+	const name = label.toLowerCase();
+	const handle = (edge, value) => `<input type="range"
+				class="brag-book-gallery-filter-range__input brag-book-gallery-filter-range__input--${edge}"
+				min="${bounds.min}" max="${bounds.max}" step="1" value="${value}"
+				aria-label="${edge === 'min' ? 'Minimum' : 'Maximum'} ${name}"
+				aria-valuetext="${formatRangeBound(type, value)}">`;
+
+	return `<details class="brag-book-gallery-filter">
+		<summary class="brag-book-gallery-filter-label">
+			<span class="brag-book-gallery-filter-label__name">${label}</span>
+			<svg class="brag-book-gallery-filter-label__arrow" width="16" height="16" viewBox="0 0 12 12" fill="none" xmlns="http://www.w3.org/2000/svg">
+				<path d="M3 4.5L6 7.5L9 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+			</svg>
+		</summary>
+		<div class="brag-book-gallery-filter-range" role="group" aria-label="${label} range" data-min="${bounds.min}" data-max="${bounds.max}">
+			<input type="hidden" data-filter-type="${type}" value="">
+			<div class="brag-book-gallery-filter-range__slider">
+				${handle('min', bounds.min)}
+				${handle('max', bounds.max)}
+			</div>
+			<output class="brag-book-gallery-filter-range__output">${formatRange(type, `${bounds.min}-${bounds.max}`)}</output>
+		</div>
+	</details>`;
+}
+
+/**
+ * Show a range widget's handles, fill and readout for the given bounds.
+ *
+ * @param {HTMLElement} root - .brag-book-gallery-filter-range element
+ * @param {number} low - Lower handle value
+ * @param {number} high - Upper handle value
+ */
+function paint(root, low, high) {
+	const type = root.querySelector('input[type="hidden"]').dataset.filterType;
+	const min = parseInt(root.dataset.min, 10);
+	const span = Math.max(1, parseInt(root.dataset.max, 10) - min);
+	const minInput = root.querySelector('.brag-book-gallery-filter-range__input--min');
+	const maxInput = root.querySelector('.brag-book-gallery-filter-range__input--max');
+
+	minInput.value = String(low);
+	maxInput.value = String(high);
+	minInput.setAttribute('aria-valuetext', formatRangeBound(type, low));
+	maxInput.setAttribute('aria-valuetext', formatRangeBound(type, high));
+
+	root.style.setProperty('--range-start', `${((low - min) / span) * 100}%`);
+	root.style.setProperty('--range-end', `${((high - min) / span) * 100}%`);
+	root.querySelector('.brag-book-gallery-filter-range__output').textContent = formatRange(type, `${low}-${high}`);
+}
+
+/**
+ * Make the range filters in a container interactive.
+ *
+ * Handles move freely while dragged; the selection is committed (and a bubbling
+ * change event fired on the hidden input) when a drag or key press ends.
+ *
+ * @param {ParentNode} container - Filter options container
+ */
+export function initRangeFilters(container) {
+	container.querySelectorAll(ROOT_SELECTOR).forEach(root => {
+		const hidden = root.querySelector('input[type="hidden"]');
+		const minInput = root.querySelector('.brag-book-gallery-filter-range__input--min');
+		const maxInput = root.querySelector('.brag-book-gallery-filter-range__input--max');
+		const min = parseInt(root.dataset.min, 10);
+		const max = parseInt(root.dataset.max, 10);
+
+		const handleInput = event => {
+			let low = parseInt(minInput.value, 10);
+			let high = parseInt(maxInput.value, 10);
+
+			// Keep the handles from crossing: the one being moved stops at the other
+			if (low > high) {
+				if (event.target === minInput) {
+					low = high;
+				} else {
+					high = low;
+				}
+			}
+
+			paint(root, low, high);
+
+			// Whichever handle moved last sits on top, so a pair pushed together
+			// at one end can still be pulled apart.
+			minInput.classList.toggle('is-on-top', event.target === minInput);
+		};
+
+		const handleChange = () => {
+			const low = parseInt(minInput.value, 10);
+			const high = parseInt(maxInput.value, 10);
+			const value = low === min && high === max ? '' : `${low}-${high}`;
+
+			if (hidden.value !== value) {
+				hidden.value = value;
+				hidden.dispatchEvent(new Event('change', { bubbles: true }));
+			}
+		};
+
+		minInput.addEventListener('input', handleInput);
+		maxInput.addEventListener('input', handleInput);
+		minInput.addEventListener('change', handleChange);
+		maxInput.addEventListener('change', handleChange);
+
+		paint(root, min, max);
+	});
+}
+
+/**
+ * Move the handles to match each hidden value, after it was set from elsewhere
+ * (the query string, the router, Clear All). Values outside the data set are
+ * clamped to it.
+ *
+ * @param {ParentNode} container - Element holding range filters
+ */
+export function syncRangeFilters(container) {
+	container.querySelectorAll(ROOT_SELECTOR).forEach(root => {
+		const hidden = root.querySelector('input[type="hidden"]');
+		const min = parseInt(root.dataset.min, 10);
+		const max = parseInt(root.dataset.max, 10);
+		const range = parseRange(hidden.value);
+
+		if (!range) {
+			hidden.value = '';
+			paint(root, min, max);
+			return;
+		}
+
+		paint(root, Math.max(min, Math.min(range.min, max)), Math.min(max, Math.max(range.max, min)));
+	});
+}
+
+/**
+ * Clear a range filter back to the whole data set.
+ *
+ * @param {HTMLInputElement} hidden - The range's hidden value input
+ */
+export function resetRangeFilter(hidden) {
+	const root = hidden.closest(ROOT_SELECTOR);
+	hidden.value = '';
+	if (root) {
+		paint(root, parseInt(root.dataset.min, 10), parseInt(root.dataset.max, 10));
+	}
+}
@@ -0,0 +1,425 @@
+import { getErrorMessage, postAjax } from './ajax-client.js';
+import { getActiveFilterInputs, groupFilterSelection } from './filter-state.js';
+import { getContextButton } from './filtered-cases.js';
+import { escapeHtml } from './utilities.js';
+
+/**
+ * Saved Searches
+ *
+ * Favorites users can save the view they are on (procedure, provider and
+ * demographic filters) under a name from the filter panel's "Save this search"
+ * button. The favorites page then lists each saved search with the cases
+ * added since the last visit.
+ *
+ * Searches belong to the email from the favorites form plus a random key kept
+ * in this browser, so a search saved here is listed here. A search's new
+ * cases stay listed until the visitor opens it from the favorites page; that
+ * moves its "last seen" forward on the server. The list is kept in
+ * sessionStorage for the visit, with opened searches cleared from it.
+ */
+
+const OWNER_KEY_STORAGE = 'brag-book-saved-searches-key';
+const SESSION_STORAGE = 'brag-book-saved-searches';
+const USER_INFO_STORAGE = 'brag-book-user-info';
+
+const SECTION_ID = 'favoritesSavedSearches';
+
+class SavedSearches {
+	constructor() {
+		this.pendingLoad = null;
+		this.init();
+	}
+
+	init() {
+		if (!window.bragBookGalleryConfig?.favoritesEnabled) {
+			return;
+		}
+
+		this.addSaveButtons();
+
+		// Filter panels arrive with AJAX content swaps too; add the button as a
+		// panel is opened rather than watching every swap.
+		document.addEventListener('toggle', (e) => {
+			if (e.target.open && e.target.querySelector?.('.brag-book-gallery-filter-actions')) {
+				this.addSaveButtons(e.target);
+			}
+		}, true);
+
+		document.addEventListener('click', (e) => {
+			const saveButton = e.target.closest('[data-action="save-search"]');
+			if (saveButton) {
+				e.preventDefault();
+				this.openSaveForm(saveButton);
+				return;
+			}
+
+			const cancelButton = e.target.closest('[data-action="cancel-save-search"]');
+			if (cancelButton) {
+				e.preventDefault();
+				this.closeSaveForm(cancelButton.closest('.brag-book-gallery-save-search'));
+				return;
+			}
+
+			const deleteButton = e.target.closest('[data-action="delete-saved-search"]');
+			if (deleteButton) {
+				e.preventDefault();
+				this.deleteSearch(deleteButton);
+				return;
+			}
+
+			const searchLink = e.target.closest('[data-saved-search-id] a[href]');
+			if (searchLink) {
+				this.markSeen(searchLink.closest('[data-saved-search-id]').dataset.savedSearchId);
+			}
+		});
+
+		document.addEventListener('submit', (e) => {
+			if (e.target.matches('.brag-book-gallery-save-search__form')) {
+				e.preventDefault();
+				this.saveSearch(e.target);
+			}
+		});
+
+		this.showOnFavoritesPage();
+	}
+
+	/**
+	 * The email from the favorites form, if the visitor has given one.
+	 *
+	 * @returns {string}
+	 */
+	getEmail() {
+		try {
+			const userInfo = JSON.parse(localStorage.getItem(USER_INFO_STORAGE) || 'null');
+			return userInfo?.email || '';
+		} catch (e) {
+			return '';
+		}
+	}
+
+	/**
+	 * This browser's key for the visitor's saved searches, created on first use.
+	 *
+	 * @returns {string} 32 hex characters
+	 */
+	getOwnerKey() {
+		let key = localStorage.getItem(OWNER_KEY_STORAGE);
+		if (!key || !/^[a-f0-9]{32,64}$/.test(key)) {
+			const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+			key = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+			localStorage.setItem(OWNER_KEY_STORAGE, key);
+		}
+		return key;
+	}
+
+	/**
+	 * POST a saved-search action with the owner's credentials attached.
+	 *
+	 * @param {string} action - AJAX action
+	 * @param {Object<string, string>} [fields] - Extra request fields
+	 * @param {Object} [options] - postAjax() options
+	 * @returns {Promise<Object>} Response data
+	 * @throws {Error} With the server's message when the request fails
+	 */
+	async request(action, fields = {}, options = {}) {
+		const formData = new FormData();
+		formData.append('action', action);
+		formData.append('email', this.getEmail());
+		formData.append('owner_key', this.getOwnerKey());
+		Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+
+		const result = await postAjax(formData, options);
+		if (!result.success) {
+			throw new Error(result.data?.message || 'Request failed');
+		}
+		return result.data;
+	}
+
+	/**
+	 * Add a "Save this search" button to filter panels that lack one. Only
+	 * visitors who have given their email get it: searches are tied to it.
+	 *
+	 * @param {ParentNode} [root=document] - Where to look for filter panels
+	 */
+	addSaveButtons(root = document) {
+		if (!this.getEmail()) {
+			return;
+		}
+
+		root.querySelectorAll('.brag-book-gallery-filter-actions').forEach(actions => {
+			if (actions.querySelector('[data-action="save-search"]')) {
+				return;
+			}
+
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.className = 'brag-book-gallery-button brag-book-gallery-button--save-search';
+			button.dataset.action = 'save-search';
+			button.textContent = 'Save this search';
+			actions.appendChild(button);
+		});
+	}
+
+	/**
+	 * A name for the current view, offered as the default when saving.
+	 *
+	 * @returns {string}
+	 */
+	suggestName() {
+		const activeLink = document.querySelector('.brag-book-gallery-nav-link.brag-book-gallery-active');
+		const procedure = activeLink?.firstChild?.textContent.trim() || 'All cases';
+		const filterCount = getActiveFilterInputs().length;
+
+		return filterCount > 0 ? `${procedure} (${filterCount} filter${filterCount === 1 ? '' : 's'})` : procedure;
+	}
+
+	/**
+	 * Show the name field in place of the save button.
+	 *
+	 * @param {HTMLButtonElement} button - The "Save this search" button
+	 */
+	openSaveForm(button) {
+		const wrapper = document.createElement('div');
+		wrapper.className = 'brag-book-gallery-save-search';
+		wrapper.innerHTML = `
+			<form class="brag-book-gallery-save-search__form">
+				<label class="brag-book-gallery-save-search__label">
+					<span>Name this search</span>
+					<input type="text" name="name" class="brag-book-gallery-form-input" maxlength="100" required value="${escapeHtml(this.suggestName())}">
+				</label>
+				<div class="brag-book-gallery-save-search__buttons">
+					<button type="submit" class="brag-book-gallery-button brag-book-gallery-button--apply">Save</button>
+					<button type="button" class="brag-book-gallery-button brag-book-gallery-button--clear" data-action="cancel-save-search">Cancel</button>
+				</div>
+			</form>
+			<p class="brag-book-gallery-save-search__status" role="status"></p>`;
+
+		// A status left by an earlier save goes; the new form takes its place
+		button.parentElement.querySelector('.brag-book-gallery-save-search')?.remove();
+		button.hidden = true;
+		button.after(wrapper);
+		wrapper.querySelector('input[name="name"]').select();
+	}
+
+	/**
+	 * Put the save button back.
+	 *
+	 * @param {HTMLElement|null} wrapper - The .brag-book-gallery-save-search element
+	 */
+	closeSaveForm(wrapper) {
+		if (!wrapper) return;
+
+		const button = wrapper.previousElementSibling;
+		wrapper.remove();
+		if (button?.matches('[data-action="save-search"]')) {
+			button.hidden = false;
+			button.focus();
+		}
+	}
+
+	/**
+	 * The view to save: what the Load More button scopes to, or the active
+	 * procedure when the grid isn't paged, plus the filters and the page URL.
+	 *
+	 * @returns {Object<string, string>} Request fields
+	 */
+	readCurrentView() {
+		const button = getContextButton();
+		const activeLink = document.querySelector('.brag-book-gallery-nav-link.brag-book-gallery-active');
+		const selection = groupFilterSelection(getActiveFilterInputs());
+
+		return {
+			term_id: button?.getAttribute('data-term-id') || activeLink?.dataset.termId || '',
+			procedure_name: button?.getAttribute('data-procedure-name') || activeLink?.dataset.procedureSlug || '',
+			provider_id: button?.getAttribute('data-provider-id') || '',
+			provider_slug: button?.getAttribute('data-provider-slug') || '',
+			filters: Object.keys(selection).length > 0 ? JSON.stringify(selection) : '',
+			url: window.location.pathname + window.location.search
+		};
+	}
+
+	/**
+	 * Save the current view under the name entered.
+	 *
+	 * @param {HTMLFormElement} form - The save form
+	 */
+	async saveSearch(form) {
+		const wrapper = form.closest('.brag-book-gallery-save-search');
+		const status = wrapper.querySelector('.brag-book-gallery-save-search__status');
+		const submit = form.querySelector('button[type="submit"]');
+
+		submit.disabled = true;
+		try {
+			const data = await this.request('brag_book_save_search', {
+				...this.readCurrentView(),
+				name: form.elements.name.value
+			});
+
+			// The favorites page should list the new search on its next load
+			sessionStorage.removeItem(SESSION_STORAGE);
+			form.remove();
+			status.textContent = data.message;
+			wrapper.previousElementSibling.hidden = false;
+		} catch (error) {
+			console.error('BRAGBook: Failed to save search:', error);
+			status.textContent = getErrorMessage(error, error.message);
+			submit.disabled = false;
+		}
+	}
+
+	/**
+	 * The saved searches for this visit, fetched once per session.
+	 *
+	 * @returns {Promise<Array<Object>>}
+	 */
+	async loadSearches() {
+		const email = this.getEmail();
+
+		try {
+			const cached = JSON.parse(sessionStorage.getItem(SESSION_STORAGE) || 'null');
+			if (cached && cached.email === email) {
+				return cached.searches;
+			}
+		} catch (e) {
+			// Unreadable cache: fetch again
+		}
+
+		// Share the request in flight with a second caller.
+		if (!this.pendingLoad) {
+			this.pendingLoad = this.request('brag_book_get_saved_searches')
+				.then(data => {
+					sessionStorage.setItem(SESSION_STORAGE, JSON.stringify({ email, searches: data.searches }));
+					return data.searches;
+				})
+				.finally(() => {
+					this.pendingLoad = null;
+				});
+		}
+		return this.pendingLoad;
+	}
+
+	/**
+	 * Fill the favorites page's saved-search section, if this is that page.
+	 * Safe to call again, e.g. after the visitor enters their email.
+	 */
+	async showOnFavoritesPage() {
+		const section = document.getElementById(SECTION_ID);
+		if (!section || !this.getEmail()) {
+			return;
+		}
+
+		try {
+			const searches = await this.loadSearches();
+			this.renderSearches(section, searches);
+		} catch (error) {
+			console.error('BRAGBook: Failed to load saved searches:', error);
+		}
+	}
+
+	/**
+	 * Render the saved searches and their new cases.
+	 *
+	 * @param {HTMLElement} section - #favoritesSavedSearches
+	 * @param {Array<Object>} searches - As returned by the server
+	 */
+	renderSearches(section, searches) {
+		section.hidden = searches.length === 0;
+		if (searches.length === 0) {
+			section.innerHTML = '';
+			return;
+		}
+
+		const renderCase = (item) => `
+			<li class="brag-book-gallery-saved-search__case">
+				<a href="${escapeHtml(item.url)}">
+					${item.imageUrl ? `<img src="${escapeHtml(item.imageUrl)}" alt="" loading="lazy">` : ''}
+					<span>${escapeHtml(item.title)}</span>
+				</a>
+			</li>`;
+
+		const renderSearch = (search) => {
+			const more = search.newCount - search.newCases.length;
+			const summary = search.newCount > 0
+				? `${search.newCount} new case${search.newCount === 1 ? '' : 's'} since your last visit`
+				: 'No new cases since your last visit';
+
+			return `
+				<li class="brag-book-gallery-saved-search" data-saved-search-id="${search.id}">
+					<div class="brag-book-gallery-saved-search__header">
+						<h3 class="brag-book-gallery-saved-search__name">
+							${search.url ? `<a href="${escapeHtml(search.url)}">${escapeHtml(search.name)}</a>` : escapeHtml(search.name)}
+						</h3>
+						<button type="button" class="brag-book-gallery-saved-search__delete" data-action="delete-saved-search" aria-label="Remove saved search ${escapeHtml(search.name)}">Remove</button>
+					</div>
+					<p class="brag-book-gallery-saved-search__summary">${summary}</p>
+					${search.newCases.length > 0 ? `<ul class="brag-book-gallery-saved-search__cases">${search.newCases.map(renderCase).join('')}</ul>` : ''}
+					${more > 0 && search.url ? `<a class="brag-book-gallery-saved-search__more" href="${escapeHtml(search.url)}">See all ${search.newCount} new cases</a>` : ''}
+				</li>`;
+		};
+
+		section.innerHTML = `
+			<h2 class="brag-book-gallery-saved-searches__title" id="favoritesSavedSearchesTitle">Saved searches</h2>
+			<ul class="brag-book-gallery-saved-searches__list">${searches.map(renderSearch).join('')}</ul>`;
+	}
+
+	/**
+	 * Mark a search seen as the visitor opens it. The request is sent with
+	 * keepalive so it survives the navigation; this visit's list stops
+	 * showing the search's new cases.
+	 *
+	 * @param {string} id - Saved search ID
+	 */
+	markSeen(id) {
+		this.request('brag_book_mark_saved_search_seen', { id }, { keepalive: true })
+			.catch(error => console.error('BRAGBook: Failed to mark saved search seen:', error));
+
+		try {
+			const cached = JSON.parse(sessionStorage.getItem(SESSION_STORAGE) || 'null');
+			const search = cached?.searches.find(item => String(item.id) === id);
+			if (search) {
+				search.newCount = 0;
+				search.newCases = [];
+				sessionStorage.setItem(SESSION_STORAGE, JSON.stringify(cached));
+			}
+		} catch (e) {
+			sessionStorage.removeItem(SESSION_STORAGE);
+		}
+	}
+
+	/**
+	 * Remove a saved search from the favorites page and the server.
+	 *
+	 * @param {HTMLButtonElement} button - The search's remove button
+	 */
+	async deleteSearch(button) {
+		const item = button.closest('[data-saved-search-id]');
+		const id = item?.dataset.savedSearchId;
+		if (!id) return;
+
+		button.disabled = true;
+		try {
+			await this.request('brag_book_delete_saved_search', { id });
+
+			try {
+				const cached = JSON.parse(sessionStorage.getItem(SESSION_STORAGE) || 'null');
+				if (cached) {
+					cached.searches = cached.searches.filter(search => String(search.id) !== id);
+					sessionStorage.setItem(SESSION_STORAGE, JSON.stringify(cached));
+				}
+			} catch (e) {
+				sessionStorage.removeItem(SESSION_STORAGE);
+			}
+
+			const section = document.getElementById(SECTION_ID);
+			item.remove();
+			if (section && !section.querySelector('[data-saved-search-id]')) {
+				section.hidden = true;
+			}
+		} catch (error) {
+			console.error('BRAGBook: Failed to remove saved search:', error);
+			button.disabled = false;
+		}
+	}
+}
+
+export default SavedSearches;
@@ -1,3 +1,5 @@
+import { track } from './analytics.js';
+import { scrollBehavior } from './motion.js';
 import { escapeHtml } from './utilities.js';
 
 /**
@@ -24,6 +26,8 @@ class SearchAutocomplete {
 		this.selectedIndex = -1;
 		this.isOpen = false;
 		this.debounceTimer = null;
+		// Last query reported to analytics, so refocusing does not repeat it
+		this.trackedQuery = '';
 
 		if (this.input && this.dropdown) {
 			this.init();
@@ -279,6 +283,11 @@ class SearchAutocomplete {
 
 		this.renderResults(query);
 		this.open();
+
+		if (query !== this.trackedQuery) {
+			this.trackedQuery = query;
+			track('search', { query, results: this.filteredResults.length });
+		}
 	}
 
 	renderResults(query) {
@@ -341,7 +350,7 @@ class SearchAutocomplete {
 			item.setAttribute('aria-selected', isSelected);
 
 			if (isSelected) {
-				item.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+				item.scrollIntoView({ block: 'nearest', behavior: scrollBehavior() });
 			}
 		});
 	}
@@ -363,6 +372,8 @@ class SearchAutocomplete {
 			proc.id === procedure && (proc.categorySlug === category || proc.category === category)
 		);
 
+		track('search_select', { query: this.trackedQuery, procedure, name });
+
 		// Trigger callback with full procedure data
 		this.options.onSelect({
 			procedure,
@@ -1,12 +1,36 @@
 /**
  * Share Manager Component
- * Handles sharing functionality for carousel images
+ * Handles sharing functionality for carousel images and case photos
+ *
+ * Links open the exact case and photo that was shared: share-target.js reads
+ * them back on arrival, and Share_Meta gives crawlers that photo's preview.
  */
+import { request } from './ajax-client.js';
+import { getConsent, whenConsented } from './consent.js';
+import { PHOTO_PARAM, CASE_PARAM } from './share-target.js';
+
+// utm_medium per channel; the channel itself is the utm_source.
+const UTM_MEDIUM = {
+	link: 'share',
+	native: 'share',
+	email: 'email',
+	facebook: 'social',
+	twitter: 'social',
+	pinterest: 'social',
+	whatsapp: 'social'
+};
+
+// Channels that hand the visitor to a social network, which only appear once
+// the visitor has consented to marketing.
+const THIRD_PARTY_CHANNELS = ['facebook', 'twitter', 'pinterest', 'whatsapp'];
+
 class ShareManager {
 	constructor(options = {}) {
 		this.options = {
 			shareMenuId: options.shareMenuId || 'shareMenu',
 			onShare: options.onShare || (() => {}),
+			utmCampaign: window.bragBookGalleryConfig?.shareUtmCampaign || '',
+			endpoint: window.bragBookGalleryConfig?.shareEndpoint || '',
 			...options
 		};
 
@@ -30,22 +54,25 @@ class ShareManager {
 	setupEventListeners() {
 		// Listen for share button clicks (delegated)
 		document.addEventListener('click', (e) => {
-			const shareButton = e.target.closest('.brag-book-gallery-share-button');
-			if (shareButton) {
-				e.preventDefault();
-				e.stopPropagation();
-				this.toggleShareDropdown(shareButton);
-			}
-
-			// Handle dropdown item clicks
+			// Handle dropdown item clicks first: the dropdown sits inside its
+			// button, so the toggle below would otherwise close it beforehand.
 			const dropdownItem = e.target.closest('.brag-book-gallery-share-dropdown-item');
 			if (dropdownItem) {
 				e.preventDefault();
+				e.stopPropagation();
 				const shareType = dropdownItem.dataset.shareType;
 				if (shareType) {
 					this.handleShare(shareType);
 					this.hideShareDropdown();
 				}
+				return;
+			}
+
+			const shareButton = e.target.closest('.brag-book-gallery-share-button');
+			if (shareButton) {
+				e.preventDefault();
+				e.stopPropagation();
+				this.toggleShareDropdown(shareButton);
 			}
 
 			// Close dropdown when clicking outside
@@ -86,8 +113,9 @@ class ShareManager {
 	}
 
 	showShareDropdown(button) {
-		// Get the carousel item (slide)
-		this.activeItem = button.closest('.brag-book-gallery-carousel-item');
+		// Get the carousel item (slide) or case view the button belongs to
+		this.activeItem = button.closest('.brag-book-gallery-carousel-item, .brag-book-gallery-case-detail-view')
+			|| button.parentElement;
 		this.activeButton = button;
 
 		// Check if button already has a dropdown
@@ -103,6 +131,7 @@ class ShareManager {
                     <button class="brag-book-gallery-share-dropdown-item" data-share-type="twitter" role="menuitem">Twitter</button>
                     <button class="brag-book-gallery-share-dropdown-item" data-share-type="pinterest" role="menuitem">Pinterest</button>
                     <button class="brag-book-gallery-share-dropdown-item" data-share-type="whatsapp" role="menuitem">WhatsApp</button>
+                    ${navigator.share ? '<button class="brag-book-gallery-share-dropdown-item" data-share-type="native" role="menuitem">More…</button>' : ''}
                 </div>
             `;
 			button.insertAdjacentHTML('beforeend', menuHtml);
@@ -111,8 +140,15 @@ class ShareManager {
 
 		this.shareMenu = dropdown;
 
+		// Consent can change while the page is open, so check on every show.
+		const consent = getConsent();
+		dropdown.querySelectorAll('[data-share-type]').forEach(item => {
+			item.hidden = THIRD_PARTY_CHANNELS.includes(item.dataset.shareType) && !consent.has('marketing');
+		});
+
 		// Add active class to button
 		button.classList.add('active');
+		button.setAttribute('aria-expanded', 'true');
 
 		// Show dropdown (positioned via CSS)
 		this.shareMenu.classList.add('active');
@@ -124,6 +160,7 @@ class ShareManager {
 		// Remove active class from button
 		if (this.activeButton) {
 			this.activeButton.classList.remove('active');
+			this.activeButton.setAttribute('aria-expanded', 'false');
 		}
 
 		this.shareMenu.classList.remove('active');
@@ -132,22 +169,39 @@ class ShareManager {
 	}
 
 	handleShare(type) {
+		if (THIRD_PARTY_CHANNELS.includes(type) && !getConsent().has('marketing')) {
+			return;
+		}
+
 		if (!this.activeItem) return;
 
-		// Get image data
+		// Get image data. Photos behind a nudity warning are not handed to
+		// Pinterest; it falls back to the page's blurred preview instead.
 		const img = this.activeItem.querySelector('img');
-		const imageUrl = img?.src || '';
-		const imageAlt = img?.alt || 'Medical procedure result';
-		// data-bb-slide, not data-slide: the latter collides with Bootstrap's
-		// carousel data-api, which cancels clicks on anything matching it.
-		const slideId = this.activeItem.dataset.bbSlide || '';
-
-		// Build share URL (use current page URL with slide anchor)
-		const baseUrl = window.location.origin + window.location.pathname;
-		const shareUrl = `${baseUrl}#${slideId}`;
+		const hasNudity = this.activeButton?.dataset.shareNudity === 'true'
+			|| !!this.activeItem.querySelector('[data-nudity-warning]');
+		const imageUrl = hasNudity ? '' : (img?.currentSrc || img?.src || '');
+		const imageAlt = this.activeButton?.dataset.shareTitle || img?.alt || 'Medical procedure result';
+
+		const photo = this.getSharedPhoto();
+		const shareUrl = this.tagUrl(this.getShareUrl(photo), type);
 		const shareText = `Check out this ${imageAlt}`;
+		const detail = {
+			type,
+			url: shareUrl,
+			text: shareText,
+			caseId: this.activeItem.dataset.procedureCaseId || '',
+			postId: this.activeItem.dataset.postId || '',
+			photo
+		};
 
 		switch(type) {
+			case 'native':
+				// Only counted once the visitor has picked an app.
+				this.shareNative({ title: imageAlt, text: shareText, url: shareUrl }).then(shared => {
+					if (shared) this.recordShare(detail);
+				});
+				return;
 			case 'link':
 				this.copyToClipboard(shareUrl);
 				break;
@@ -170,8 +224,108 @@ class ShareManager {
 
 		// Dropdown is already hidden after selection
 
-		// Callback
-		this.options.onShare({ type, url: shareUrl, text: shareText });
+		this.recordShare(detail);
+	}
+
+	/**
+	 * Report a share to listeners and, when the site counts shares, to it
+	 *
+	 * Dispatches a bubbling bragbook:share event on the document, so any
+	 * analytics script can listen without a reference to this class.
+	 *
+	 * @param {Object} detail Share details: type, url, text, caseId, postId, photo
+	 */
+	recordShare(detail) {
+		document.dispatchEvent(new CustomEvent('bragbook:share', { detail }));
+		this.options.onShare(detail);
+
+		if (!this.options.endpoint || !detail.postId) return;
+
+		// Counting shares is statistics, held until the visitor consents.
+		whenConsented('statistics', () => {
+			request(this.options.endpoint, {
+				method: 'POST',
+				json: {
+					post_id: Number(detail.postId),
+					channel: detail.type,
+					photo: detail.photo
+				},
+				credentials: 'omit',
+				keepalive: true
+			}).catch(error => {
+				console.warn('BRAGBook: Share could not be recorded:', error);
+			});
+		});
+	}
+
+	/**
+	 * Tag a share link with UTM parameters for its channel
+	 *
+	 * Left untouched when no campaign is configured.
+	 *
+	 * @param {string} url Share URL
+	 * @param {string} channel Share channel
+	 * @returns {string} Tagged URL
+	 */
+	tagUrl(url, channel) {
+		if (!this.options.utmCampaign) return url;
+
+		const tagged = new URL(url);
+		tagged.searchParams.set('utm_source', channel);
+		tagged.searchParams.set('utm_medium', UTM_MEDIUM[channel] || 'share');
+		tagged.searchParams.set('utm_campaign', this.options.utmCampaign);
+
+		return tagged.toString();
+	}
+
+	/**
+	 * The photo being shared
+	 *
+	 * A case view shares whichever photo is in its viewer; a slide shares
+	 * the one its button names.
+	 *
+	 * @returns {number} Zero-based photo index
+	 */
+	getSharedPhoto() {
+		const viewer = this.activeItem.querySelector('.brag-book-gallery-main-image-container');
+
+		return parseInt(viewer?.dataset.imageIndex ?? this.activeButton?.dataset.sharePhoto ?? '0', 10) || 0;
+	}
+
+	/**
+	 * Build the link for the photo being shared
+	 *
+	 * Buttons rendered by HTML_Renderer::render_share_button() carry the case
+	 * URL. Anything else falls back to the current page, naming the case and
+	 * slide.
+	 *
+	 * @param {number} photo Zero-based photo index
+	 * @returns {string} Share URL
+	 */
+	getShareUrl(photo) {
+		const caseUrl = this.activeButton?.dataset.shareUrl;
+
+		const url = new URL(caseUrl || window.location.href, window.location.href);
+		url.searchParams.delete(PHOTO_PARAM);
+		url.hash = '';
+
+		if (!caseUrl) {
+			const caseId = this.activeItem.dataset.procedureCaseId;
+			if (caseId) {
+				url.searchParams.set(CASE_PARAM, caseId);
+			}
+			// data-bb-slide, not data-slide: the latter collides with Bootstrap's
+			// carousel data-api, which cancels clicks on anything matching it.
+			if (this.activeItem.dataset.bbSlide) {
+				url.hash = this.activeItem.dataset.bbSlide;
+			}
+		}
+
+		if (photo > 0) {
+			url.searchParams.set(PHOTO_PARAM, String(photo));
+		}
+
+		return url.toString();
 	}
 
 	copyToClipboard(text) {
@@ -0,0 +1,107 @@
+/**
+ * Share Target
+ *
+ * Opens what a share link points at. On a case page ?bb_photo=N switches the
+ * viewer to that photo; on any other page ?bb_case= and the #slide anchor name
+ * the case card or carousel slide. The target is scrolled into view, focused
+ * and briefly highlighted.
+ *
+ * ShareManager builds these links and Share_Meta reads the same parameters to
+ * give crawlers the shared photo's preview.
+ */
+
+import { scrollBehavior } from './motion.js';
+
+export const PHOTO_PARAM = 'bb_photo';
+export const CASE_PARAM = 'bb_case';
+
+const HIGHLIGHT_CLASS = 'brag-book-gallery-share-target';
+const HIGHLIGHT_DURATION = 2500;
+
+/**
+ * Whether the current URL points at a shared case or photo
+ *
+ * @returns {boolean}
+ */
+export const hasShareTarget = () => {
+	const params = new URLSearchParams(window.location.search);
+	return params.has(PHOTO_PARAM) || params.has(CASE_PARAM) || window.location.hash.length > 1;
+};
+
+/**
+ * Find the element a share link names
+ *
+ * @param {string} caseId Procedure case ID from ?bb_case=
+ * @param {string} slideId Slide ID from the URL hash
+ * @returns {HTMLElement|null}
+ */
+const findTarget = (caseId, slideId) => {
+	if (slideId) {
+		const slide = document.querySelector(`.brag-book-gallery-carousel-item[data-bb-slide="${CSS.escape(slideId)}"]`);
+		if (slide) return slide;
+	}
+
+	if (caseId) {
+		const escaped = CSS.escape(caseId);
+		return document.querySelector(`.brag-book-gallery-case-detail-view[data-procedure-case-id="${escaped}"]`)
+			|| document.querySelector(`[data-procedure-case-id="${escaped}"]`);
+	}
+
+	// A case's own page names only the photo.
+	return document.querySelector('.brag-book-gallery-case-detail-view');
+};
+
+/**
+ * Switch a case view to one of its photos
+ *
+ * Goes through the thumbnail so main-app's handler swaps the image, slider
+ * and srcset exactly as a click would.
+ *
+ * @param {HTMLElement} target Case detail view
+ * @param {number} index Zero-based photo
+ */
+const showPhoto = (target, index) => {
+	const thumbnail = target.querySelector(`.brag-book-gallery-thumbnail-item[data-image-index="${index}"]`);
+	if (thumbnail) {
+		thumbnail.click();
+		thumbnail.scrollIntoView({ block: 'nearest', inline: 'center' });
+	}
+};
+
+/**
+ * Open the case or photo the current URL was shared for
+ *
+ * @returns {HTMLElement|null} The element shown, or null when none matched
+ */
+const openShareTarget = () => {
+	const params = new URLSearchParams(window.location.search);
+	const photo = parseInt(params.get(PHOTO_PARAM) || '0', 10) || 0;
+	const caseId = params.get(CASE_PARAM) || '';
+	const slideId = decodeURIComponent(window.location.hash.slice(1));
+
+	// A bare hash is only ours when it names a slide.
+	if (!photo && !caseId && !document.querySelector(`[data-bb-slide="${CSS.escape(slideId)}"]`)) {
+		return null;
+	}
+
+	const target = findTarget(caseId, slideId);
+	if (!target) return null;
+
+	if (photo > 0 && target.matches('.brag-book-gallery-case-detail-view')) {
+		showPhoto(target, photo);
+	}
+
+	target.scrollIntoView({ behavior: scrollBehavior(), block: 'center', inline: 'center' });
+
+	if (!target.hasAttribute('tabindex')) {
+		target.setAttribute('tabindex', '-1');
+	}
+	target.focus({ preventScroll: true });
+
+	target.classList.add(HIGHLIGHT_CLASS);
+	setTimeout(() => target.classList.remove(HIGHLIGHT_CLASS), HIGHLIGHT_DURATION);
+
+	return target;
+};
+
+export default openShareTarget;
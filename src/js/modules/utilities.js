@@ -1,3 +1,6 @@
+import { track } from './analytics.js';
+import { prefersReducedMotion } from './motion.js';
+
 /**
  * Nudity Warning Manager
  * Handles nudity warnings and acceptance state
@@ -66,6 +69,7 @@ class NudityWarningManager {
 
 		// Add class to body for CSS hiding
 		document.body.classList.add('nudity-accepted');
+		track('nudity_accept');
 
 		// Animate the removal for smooth transition
 		this.animateRemoval();
@@ -75,6 +79,17 @@ class NudityWarningManager {
 		const allNudityWarnings = document.querySelectorAll('.brag-book-gallery-nudity-warning');
 		const allBlurredImages = document.querySelectorAll('.brag-book-gallery-nudity-blur');
 
+		// No fade with motion reduced: the warnings simply go
+		if (prefersReducedMotion()) {
+			allNudityWarnings.forEach(nudityWarning => {
+				nudityWarning.style.display = 'none';
+			});
+			allBlurredImages.forEach(blurredImage => {
+				blurredImage.style.filter = 'blur(0px)';
+			});
+			return;
+		}
+
 		allNudityWarnings.forEach(nudityWarning => {
 			nudityWarning.style.transition = 'opacity 0.5s ease-out';
 			nudityWarning.style.opacity = '0';
@@ -198,4 +213,35 @@ function escapeHtml(value) {
 		.replace(/'/g, '&#039;');
 }
 
-export { NudityWarningManager, PhoneFormatter, escapeHtml };
+// Elements that scope a nudity warning to one case.
+const NUDITY_SCOPE_SELECTOR = [
+	'.brag-book-gallery-carousel-item',
+	'.brag-book-gallery-case-card',
+	'.brag-book-gallery-compare-column__photo',
+	'.brag-book-gallery-main-image-container',
+].join(', ');
+
+/**
+ * Whether a nudity warning still covers an element's case.
+ *
+ * The overlay already blocks the pointer; this is for controls that can be
+ * reached by keyboard underneath it.
+ *
+ * @param {Element|null} element - Element inside a case card, slide or viewer.
+ * @returns {boolean} True until the visitor accepts the warning.
+ */
+function isCoveredByNudityWarning(element) {
+	if (!element || document.body.classList.contains('nudity-accepted')) {
+		return false;
+	}
+
+	const scope = element.closest(NUDITY_SCOPE_SELECTOR);
+	const warnings = [
+		...(scope ? scope.querySelectorAll('.brag-book-gallery-nudity-warning') : []),
+		...document.querySelectorAll('.brag-book-gallery-nudity-warning--global'),
+	];
+
+	return warnings.some(warning => getComputedStyle(warning).display !== 'none');
+}
+
+export { NudityWarningManager, PhoneFormatter, escapeHtml, isCoveredByNudityWarning };
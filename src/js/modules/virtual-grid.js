@@ -0,0 +1,539 @@
+/**
+ * Virtual Case Grid
+ *
+ * Once Load More or infinite scroll has fetched a few hundred cases, keeping
+ * every card in the page leaves thousands of nodes for the browser to lay
+ * out and paint on each scroll. Past bragBookGalleryConfig.virtualizeAfter
+ * cards (see Settings_Helper::get_virtualize_after()) the grid keeps only
+ * the rows within a screen of the viewport mounted, and a spacer above and
+ * below stands in for the rest.
+ *
+ * Cards that scroll away are detached rather than thrown away, and the same
+ * elements go back when they return, so whatever a card carries survives:
+ * its listeners, a slider's position, a card the visitor has hidden with a
+ * filter. What can change while a card is detached is put right as it
+ * mounts: the bragbook:cardsmounted event lets main-app bring favorites
+ * hearts up to date and hand the cards to the case preload observer, and
+ * nudity acceptance is a class on <body> that the stylesheet applies to
+ * every card, mounted or not.
+ *
+ * Code that needs every case rather than the ones on screen (the demographic
+ * filters, Load More counts) asks getCaseCards(), and calls refreshCaseGrid()
+ * after showing or hiding cards. Cards that other code adds to the grid, or
+ * markup that replaces it, are picked up by a MutationObserver.
+ *
+ * The grid is shared through window.bragBookGalleryVirtualGrid, like the
+ * router, so the separate bundles see the same one.
+ */
+
+export const CARDS_MOUNTED_EVENT = 'bragbook:cardsmounted';
+
+const GRID_SELECTOR = '.brag-book-gallery-case-grid.masonry-layout';
+const CARD_SELECTOR = '.brag-book-gallery-case-card';
+
+// Row height assumed until a row has been measured.
+const ESTIMATED_ROW_HEIGHT = 400;
+
+class VirtualGrid {
+	/**
+	 * @param {HTMLElement} grid - The case grid
+	 * @param {number} threshold - Cards below which the grid goes back to rendering everything
+	 */
+	constructor(grid, threshold) {
+		this.grid = grid;
+		this.threshold = threshold;
+		this.cards = [];
+		this.mounted = [];
+		this.rowHeights = new Map();
+		this.estimate = ESTIMATED_ROW_HEIGHT;
+		this.columns = 1;
+		this.gap = 0;
+		this.width = 0;
+		this.frame = null;
+
+		this.before = this.createSpacer();
+		this.after = this.createSpacer();
+
+		this.observer = new MutationObserver(records => this.handleMutations(records));
+		this.resizeObserver = new ResizeObserver(() => this.handleResize());
+		this.schedule = this.schedule.bind(this);
+
+		this.init();
+	}
+
+	init() {
+		this.adoptGrid();
+
+		// data-columns and the view classes change the grid's columns
+		this.observer.observe(this.grid, { childList: true, attributes: true, attributeFilter: ['data-columns', 'class'] });
+		this.resizeObserver.observe(this.grid);
+		window.addEventListener('scroll', this.schedule, { passive: true });
+		window.addEventListener('resize', this.schedule, { passive: true });
+
+		window.bragBookGalleryVirtualGrid = this;
+		this.render();
+	}
+
+	/**
+	 * Stand-in for rows that are not mounted
+	 *
+	 * @returns {HTMLElement}
+	 */
+	createSpacer() {
+		const spacer = document.createElement('div');
+		spacer.className = 'brag-book-gallery-case-grid__spacer';
+		spacer.setAttribute('aria-hidden', 'true');
+		return spacer;
+	}
+
+	/**
+	 * Take over whatever cards the grid holds now, all of them mounted
+	 */
+	adoptGrid() {
+		this.cards = Array.from(this.grid.children).filter(node => node.matches(CARD_SELECTOR));
+		this.mounted = this.cards.slice();
+		this.rowHeights.clear();
+
+		this.grid.prepend(this.before);
+		this.grid.append(this.after);
+		this.observer.takeRecords();
+	}
+
+	/**
+	 * Every case in the grid, mounted or not, in order
+	 *
+	 * @returns {HTMLElement[]}
+	 */
+	getCards() {
+		this.handleMutations(this.observer.takeRecords());
+		return this.cards.slice();
+	}
+
+	/**
+	 * Cards a filter has not hidden
+	 *
+	 * @returns {HTMLElement[]}
+	 */
+	getVisibleCards() {
+		return this.cards.filter(card => card.style.display !== 'none');
+	}
+
+	/**
+	 * Lay the grid out again after cards were shown or hidden
+	 */
+	refresh() {
+		// Rows are made of different cards now; keep only the estimate
+		this.rowHeights.clear();
+		this.render();
+	}
+
+	/**
+	 * Render on the next frame, once however many scroll events arrive
+	 */
+	schedule() {
+		if (!this.frame) {
+			this.frame = requestAnimationFrame(() => {
+				this.frame = null;
+				this.render();
+			});
+		}
+	}
+
+	/**
+	 * Read the column count and row gap the stylesheet gives the grid now
+	 */
+	readLayout() {
+		const style = window.getComputedStyle(this.grid);
+		this.columns = Math.max(1, style.gridTemplateColumns.split(' ').filter(Boolean).length);
+		this.gap = parseFloat(style.rowGap) || 0;
+	}
+
+	/**
+	 * A row's measured height, or the estimate for one never mounted
+	 *
+	 * @param {number} row - Row index among the visible cards
+	 * @returns {number}
+	 */
+	getRowHeight(row) {
+		return this.rowHeights.get(row) ?? this.estimate;
+	}
+
+	/**
+	 * Height of a run of rows, gaps between them included
+	 *
+	 * @param {number} from - First row
+	 * @param {number} to - Row after the last
+	 * @returns {number}
+	 */
+	getRowsHeight(from, to) {
+		let height = 0;
+		for (let row = from; row < to; row++) {
+			height += this.getRowHeight(row) + this.gap;
+		}
+		return Math.max(0, height - this.gap);
+	}
+
+	/**
+	 * Mount the rows within a screen of the viewport and size the spacers
+	 * for the rest
+	 */
+	render() {
+		this.handleMutations(this.observer.takeRecords());
+
+		// A grid that is not laid out, e.g. in a hidden view, has no rows to
+		// measure; it renders again when it is shown and resized.
+		if (!this.grid.isConnected || !this.grid.clientWidth) {
+			return;
+		}
+
+		this.readLayout();
+
+		const items = this.getVisibleCards();
+		const rows = Math.ceil(items.length / this.columns);
+
+		// Where the viewport, with a screen to spare each way, falls in the
+		// grid. The grid's top is the before spacer's, which stands in for
+		// exactly the rows above it.
+		const top = this.grid.getBoundingClientRect().top;
+		const from = -top - window.innerHeight;
+		const to = -top + window.innerHeight * 2;
+
+		let startRow = rows;
+		let endRow = rows;
+		let y = 0;
+		for (let row = 0; row < rows; row++) {
+			if (y > to) {
+				endRow = row;
+				break;
+			}
+			const height = this.getRowHeight(row);
+			if (startRow === rows && y + height >= from) {
+				startRow = row;
+			}
+			y += height + this.gap;
+		}
+		endRow = Math.max(startRow, endRow);
+
+		// Never pull the card with keyboard focus out from under it
+		const focused = document.activeElement?.closest?.(CARD_SELECTOR);
+		const focusedIndex = focused ? items.indexOf(focused) : -1;
+		if (focusedIndex !== -1) {
+			const row = Math.floor(focusedIndex / this.columns);
+			startRow = Math.min(startRow, row);
+			endRow = Math.max(endRow, row + 1);
+		}
+
+		const slice = items.slice(startRow * this.columns, endRow * this.columns);
+		const added = this.mount(slice);
+
+		// Measure what is mounted, then size the spacers from it
+		for (let row = startRow; row < endRow; row++) {
+			const cards = slice.slice((row - startRow) * this.columns, (row - startRow + 1) * this.columns);
+			const height = Math.max(...cards.map(card => card.offsetHeight));
+			if (height > 0) {
+				this.rowHeights.set(row, height);
+			}
+		}
+		if (this.rowHeights.size) {
+			let total = 0;
+			this.rowHeights.forEach(height => {
+				total += height;
+			});
+			this.estimate = total / this.rowHeights.size;
+		}
+
+		this.setSpacer(this.before, this.getRowsHeight(0, startRow));
+		this.setSpacer(this.after, this.getRowsHeight(endRow, rows));
+
+		if (added.length) {
+			this.grid.dispatchEvent(new CustomEvent(CARDS_MOUNTED_EVENT, {
+				bubbles: true,
+				detail: { cards: added }
+			}));
+		}
+	}
+
+	/**
+	 * Make the mounted cards exactly these, in this order
+	 *
+	 * @param {HTMLElement[]} slice - Cards to mount
+	 * @returns {HTMLElement[]} Cards that were not mounted before
+	 */
+	mount(slice) {
+		const next = new Set(slice);
+		const previous = new Set(this.mounted);
+
+		this.mounted.forEach(card => {
+			if (!next.has(card)) {
+				card.remove();
+			}
+		});
+
+		let cursor = this.before.nextSibling;
+		slice.forEach(card => {
+			if (card === cursor) {
+				cursor = cursor.nextSibling;
+			} else {
+				this.grid.insertBefore(card, cursor);
+			}
+		});
+
+		this.mounted = slice;
+
+		// These changes are this grid's own
+		this.observer.takeRecords();
+
+		return slice.filter(card => !previous.has(card));
+	}
+
+	/**
+	 * @param {HTMLElement} spacer
+	 * @param {number} height - Height of the rows it stands in for
+	 */
+	setSpacer(spacer, height) {
+		// An empty spacer would still add a row gap
+		spacer.style.display = height > 0 ? '' : 'none';
+		spacer.style.height = `${height}px`;
+	}
+
+	/**
+	 * Take in grid changes made by other code
+	 *
+	 * @param {MutationRecord[]} records
+	 */
+	handleMutations(records) {
+		if (!records.length) {
+			return;
+		}
+
+		// The grid's markup was replaced, e.g. by a server-side filter
+		if (this.before.parentNode !== this.grid || this.after.parentNode !== this.grid) {
+			this.adoptGrid();
+			if (this.cards.length < this.threshold) {
+				this.destroy();
+			} else {
+				this.schedule();
+			}
+			return;
+		}
+
+		const known = new Set(this.cards);
+		const added = [];
+		const removed = new Set();
+
+		if (records.some(record => record.type === 'attributes')) {
+			this.rowHeights.clear();
+			this.schedule();
+		}
+
+		records.forEach(record => {
+			record.addedNodes.forEach(node => {
+				if (node instanceof Element && node.matches(CARD_SELECTOR) && !known.has(node)) {
+					added.push(node);
+				}
+			});
+			record.removedNodes.forEach(node => {
+				if (known.has(node) && !node.isConnected) {
+					removed.add(node);
+				}
+			});
+		});
+
+		if (!added.length && !removed.size) {
+			return;
+		}
+
+		// New cards are the next page wherever they were inserted: they go on
+		// the end, and render() mounts them if they are near the viewport.
+		added.forEach(card => card.remove());
+		this.observer.takeRecords();
+
+		this.cards = this.cards.filter(card => !removed.has(card)).concat(added);
+		this.mounted = this.mounted.filter(card => !removed.has(card));
+		this.schedule();
+	}
+
+	/**
+	 * Start measuring again when the grid's width changes
+	 */
+	handleResize() {
+		const width = this.grid.clientWidth;
+		if (width !== this.width) {
+			this.width = width;
+			this.rowHeights.clear();
+			this.schedule();
+		}
+	}
+
+	/**
+	 * Scroll a card into view, mounting it first if it is not
+	 *
+	 * @param {HTMLElement} card
+	 */
+	scrollToCard(card) {
+		const index = this.getVisibleCards().indexOf(card);
+		if (index === -1) {
+			return;
+		}
+
+		this.readLayout();
+		const row = Math.floor(index / this.columns);
+		const top = this.grid.getBoundingClientRect().top + window.scrollY + this.getRowsHeight(0, row) + (row > 0 ? this.gap : 0);
+
+		window.scrollTo({ top, behavior: 'instant' });
+		this.render();
+	}
+
+	/**
+	 * The markup of an element containing the grid, with every card in it
+	 *
+	 * The router keeps this as a snapshot, so back restores the whole grid.
+	 *
+	 * @param {HTMLElement} content - Element the grid is in
+	 * @returns {string}
+	 */
+	serialize(content) {
+		const marker = 'data-virtual-grid-serializing';
+		this.grid.setAttribute(marker, '');
+		const clone = content.cloneNode(true);
+		this.grid.removeAttribute(marker);
+
+		const grid = clone.querySelector(`[${marker}]`);
+		grid.removeAttribute(marker);
+		Array.from(grid.children).forEach(node => {
+			if (node.matches(CARD_SELECTOR) || node.matches('.brag-book-gallery-case-grid__spacer')) {
+				node.remove();
+			}
+		});
+		grid.append(...this.cards.map(card => card.cloneNode(true)));
+
+		return clone.innerHTML;
+	}
+
+	/**
+	 * Put every card back and stop
+	 */
+	destroy() {
+		cancelAnimationFrame(this.frame);
+		this.frame = null;
+		window.removeEventListener('scroll', this.schedule);
+		window.removeEventListener('resize', this.schedule);
+		this.resizeObserver.disconnect();
+
+		if (this.grid.isConnected) {
+			this.mount(this.cards);
+			this.before.remove();
+			this.after.remove();
+		}
+		this.observer.disconnect();
+
+		if (window.bragBookGalleryVirtualGrid === this) {
+			window.bragBookGalleryVirtualGrid = null;
+		}
+	}
+}
+
+/**
+ * The page's virtual grid, if one is running
+ *
+ * @returns {VirtualGrid|null}
+ */
+function getVirtualGrid() {
+	return window.bragBookGalleryVirtualGrid || null;
+}
+
+/**
+ * Virtualize the case grid once it holds enough cards, and let go of one
+ * that has left the page
+ *
+ * Safe to call whenever the grid may have changed: after a page of cases
+ * loads, or a view is restored.
+ */
+export function syncVirtualGrid() {
+	const threshold = parseInt(window.bragBookGalleryConfig?.virtualizeAfter || '0', 10);
+	const grid = document.querySelector(GRID_SELECTOR);
+	const current = getVirtualGrid();
+
+	if (current && current.grid !== grid) {
+		current.destroy();
+	}
+
+	if (!threshold || !grid || getVirtualGrid() || !('ResizeObserver' in window)) {
+		return;
+	}
+
+	if (grid.querySelectorAll(`:scope > ${CARD_SELECTOR}`).length >= threshold) {
+		new VirtualGrid(grid, threshold);
+	}
+}
+
+/**
+ * Every case card on the page, including the ones the virtual grid has
+ * scrolled out
+ *
+ * @param {string} [selector] - Only cards matching this
+ * @returns {HTMLElement[]}
+ */
+export function getCaseCards(selector = CARD_SELECTOR) {
+	const virtual = getVirtualGrid();
+	const cards = Array.from(document.querySelectorAll(selector));
+
+	if (!virtual) {
+		return cards;
+	}
+
+	return virtual.getCards()
+		.filter(card => card.matches(selector))
+		.concat(cards.filter(card => !virtual.grid.contains(card)));
+}
+
+/**
+ * How many case cards an element holds, including the ones the virtual grid
+ * has scrolled out
+ *
+ * @param {HTMLElement} container - The grid, or an element around it
+ * @returns {number}
+ */
+export function countCaseCards(container) {
+	const virtual = getVirtualGrid();
+
+	if (virtual && container.contains(virtual.grid)) {
+		return virtual.getCards().length + Array.from(container.querySelectorAll(CARD_SELECTOR)).filter(card => !virtual.grid.contains(card)).length;
+	}
+
+	return container.querySelectorAll(CARD_SELECTOR).length;
+}
+
+/**
+ * Lay the virtual grid out again after cards were shown or hidden
+ */
+export function refreshCaseGrid() {
+	getVirtualGrid()?.refresh();
+}
+
+/**
+ * Scroll a case card into view, mounting it first if it is scrolled out
+ *
+ * @param {HTMLElement} card
+ */
+export function scrollToCaseCard(card) {
+	const virtual = getVirtualGrid();
+
+	if (virtual && !card.isConnected) {
+		virtual.scrollToCard(card);
+	} else {
+		card.scrollIntoView({ block: 'start', behavior: 'instant' });
+	}
+}
+
+/**
+ * The markup of an element for a snapshot, with every case card in it
+ *
+ * @param {HTMLElement} content - Element to serialize
+ * @returns {string}
+ */
+export function serializeWithCases(content) {
+	const virtual = getVirtualGrid();
+
+	return virtual && content.contains(virtual.grid) ? virtual.serialize(content) : content.innerHTML;
+}
@@ -1,3 +1,4 @@
+import { GRID_REQUEST, cancelRequest, isSuperseded, postAjax } from './modules/ajax-client.js';
 import { escapeHtml } from './modules/utilities.js';
 
 /**
@@ -67,14 +68,10 @@ import { escapeHtml } from './modules/utilities.js';
 			defaultLabel: (label && label.getAttribute('data-default-label')) || config.defaultLabel || 'Provider',
 			defaultIcon: toggleIcon ? toggleIcon.innerHTML : '',
 		};
-		const state = { originalGrid: null, busy: false };
+		const state = { originalGrid: null };
 
 		options.forEach((option) => {
 			option.addEventListener('click', () => {
-				if (state.busy) {
-					return;
-				}
-
 				const slug = option.getAttribute('data-provider-slug') || '';
 				closeDetails(root);
 
@@ -83,27 +80,51 @@ import { escapeHtml } from './modules/utilities.js';
 					return;
 				}
 
-				setActive(options, option);
-				updateToggle(ui, option, slug);
-				updateTitle(ui, option);
+				selectOption(ui, option, slug);
 				filter(
 					state,
 					isProcedureMode ? provider : slug,
-					isProcedureMode ? slug : procedure
+					isProcedureMode ? slug : procedure,
+					{ providerFilter: slug }
 				);
 			});
 		});
 
 		if (resetBtn) {
 			resetBtn.addEventListener('click', () => {
-				if (state.busy) {
-					return;
-				}
 				closeDetails(root);
 				resetFilter(state, ui);
 			});
 		}
 
+		// Back/forward: bring the toggle in line with the restored entry. When
+		// the grid came back from the router's snapshot only the controls need
+		// updating; after a reload the filter has to run again.
+		window.addEventListener('bragbook:routechange', (event) => {
+			const { route, restored, fromSnapshot } = event.detail || {};
+			if (!restored || !route) {
+				return;
+			}
+
+			const slug = route.providerFilter || '';
+			const option = slug ? options.find((item) => item.getAttribute('data-provider-slug') === slug) : null;
+
+			if (!option) {
+				clearToggle(ui);
+				return;
+			}
+
+			selectOption(ui, option, slug);
+			if (!fromSnapshot) {
+				filter(
+					state,
+					isProcedureMode ? provider : slug,
+					isProcedureMode ? slug : procedure,
+					null
+				);
+			}
+		});
+
 		if (searchInput) {
 			searchInput.addEventListener('input', () => {
 				filterOptionList(searchableOptions, noMatch, searchInput.value);
@@ -161,6 +182,19 @@ import { escapeHtml } from './modules/utilities.js';
 	 * @param {object} ui Cached toggle/option references.
 	 */
 	function resetFilter(state, ui) {
+		// Recorded first, so the router snapshots the filtered grid for back.
+		recordRoute('grid', { providerFilter: '' });
+		clearToggle(ui);
+		restoreGrid(state);
+	}
+
+	/**
+	 * Put the toggle, option list and heading back to "All Providers" without
+	 * touching the grid.
+	 *
+	 * @param {object} ui Cached toggle/option references.
+	 */
+	function clearToggle(ui) {
 		const allOption = ui.options.find((option) => (option.getAttribute('data-provider-slug') || '') === '');
 		if (allOption) {
 			setActive(ui.options, allOption);
@@ -174,7 +208,32 @@ import { escapeHtml } from './modules/utilities.js';
 		if (ui.title) {
 			ui.title.textContent = '';
 		}
-		restoreGrid(state);
+	}
+
+	/**
+	 * Reflect a chosen option in the option list, toggle and heading.
+	 *
+	 * @param {object} ui Cached toggle/option references.
+	 * @param {HTMLElement} option The selected option.
+	 * @param {string} slug The selected option's slug.
+	 */
+	function selectOption(ui, option, slug) {
+		setActive(ui.options, option);
+		updateToggle(ui, option, slug);
+		updateTitle(ui, option);
+	}
+
+	/**
+	 * Record the filtered view in history through the gallery router, when the
+	 * main gallery bundle has started one.
+	 *
+	 * @param {string} view Router view name.
+	 * @param {object} data Data the view is rebuilt from.
+	 */
+	function recordRoute(view, data) {
+		if (window.bragBookGalleryRouter) {
+			window.bragBookGalleryRouter.navigate(view, window.location.href, data);
+		}
 	}
 
 	/**
@@ -270,8 +329,9 @@ import { escapeHtml } from './modules/utilities.js';
 	 * @param {object} state Widget state holding the original grid markup.
 	 * @param {string} provider Selected provider slug.
 	 * @param {string} procedure Current procedure slug, if any.
+	 * @param {object|null} route Router data to record once the results are in, or null when re-applying a restored entry.
 	 */
-	function filter(state, provider, procedure) {
+	function filter(state, provider, procedure, route) {
 		const grid = document.querySelector(GRID_SELECTOR);
 		if (!grid) {
 			return;
@@ -281,29 +341,30 @@ import { escapeHtml } from './modules/utilities.js';
 			state.originalGrid = grid.innerHTML;
 		}
 
-		state.busy = true;
 		grid.setAttribute('aria-busy', 'true');
 
 		const body = new URLSearchParams();
 		body.set('action', config.action);
-		body.set('nonce', config.nonce);
 		body.set('provider', provider);
 		body.set('page', '1');
 		if (procedure) {
 			body.set('procedure', procedure);
 		}
 
-		fetch(config.ajaxUrl, {
-			method: 'POST',
-			headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' },
-			body: body.toString(),
-		})
-			.then((response) => response.json())
+		// A provider chosen since, or any other filter of the grid, aborts this
+		// request, so its results never replace the newer ones.
+		postAjax(body, { url: config.ajaxUrl, key: GRID_REQUEST, idempotent: true })
 			.then((payload) => {
+				grid.removeAttribute('aria-busy');
 				if (!payload || !payload.success) {
 					restoreGrid(state);
 					return;
 				}
+				// Recorded before rendering, so the router snapshots the grid as
+				// it was before this filter.
+				if (route) {
+					recordRoute('provider', route);
+				}
 				renderResults(grid, payload.data);
 				// Point Load More at this provider so it paginates within it.
 				if (typeof window.bragBookGalleryUpdateLoadMoreContext === 'function') {
@@ -313,14 +374,13 @@ import { escapeHtml } from './modules/utilities.js';
 					);
 				}
 			})
-			.catch(() => {
+			.catch((error) => {
+				if (isSuperseded(error)) {
+					return;
+				}
 				// Network/parse failure: restore the unfiltered grid so the view
 				// stays usable rather than stuck on a busy/empty state.
 				restoreGrid(state);
-			})
-			.finally(() => {
-				state.busy = false;
-				grid.removeAttribute('aria-busy');
 			});
 	}
 
@@ -345,7 +405,13 @@ import { escapeHtml } from './modules/utilities.js';
 	 * @param {object} state Widget state holding the original grid markup.
 	 */
 	function restoreGrid(state) {
+		// A filter still on its way would replace the grid restored here.
+		cancelRequest(GRID_REQUEST);
+
 		const grid = document.querySelector(GRID_SELECTOR);
+		if (grid) {
+			grid.removeAttribute('aria-busy');
+		}
 		if (grid && state.originalGrid !== null) {
 			grid.innerHTML = state.originalGrid;
 		}
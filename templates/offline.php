@@ -0,0 +1,57 @@
+<?php
+/**
+ * Offline Page Template
+ *
+ * What the service worker shows for a gallery page the visitor has not
+ * opened before while there is no connection. A standalone document, since
+ * the theme's assets are not cached: the gallery stylesheet, a short message
+ * and the visitor's favorites, which brag-book-gallery-offline.js fills in
+ * from the cases the worker has kept.
+ *
+ * @package BRAGBookGallery
+ * @subpackage Templates
+ * @since 4.9.5
+ * @author Candace Crowe Design <bragbook@candacecrowe.com>
+ *
+ * @var string $stylesheet  Gallery stylesheet URL.
+ * @var string $script      Offline page script URL.
+ * @var string $gallery_url Gallery page URL.
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'WPINC' ) ) {
+	die( 'Restricted Access' );
+}
+?>
+<!DOCTYPE html>
+<html <?php language_attributes(); ?>>
+<head>
+	<meta charset="<?php bloginfo( 'charset' ); ?>">
+	<meta name="viewport" content="width=device-width, initial-scale=1">
+	<meta name="robots" content="noindex">
+	<title><?php echo esc_html( sprintf( /* translators: %s: site name */ __( 'Offline - %s', 'brag-book-gallery' ), get_bloginfo( 'name' ) ) ); ?></title>
+	<link rel="stylesheet" href="<?php echo esc_url( $stylesheet ); ?>">
+</head>
+<body class="brag-book-gallery-offline-page">
+	<main class="brag-book-gallery-offline">
+		<h1 class="brag-book-gallery-offline__title"><?php esc_html_e( 'You\'re offline', 'brag-book-gallery' ); ?></h1>
+		<p><?php esc_html_e( 'This part of the gallery hasn\'t been saved on this device yet. It will load as soon as you\'re back online.', 'brag-book-gallery' ); ?></p>
+		<p class="brag-book-gallery-offline__actions">
+			<button type="button" class="brag-book-gallery-button" data-offline-retry><?php esc_html_e( 'Try again', 'brag-book-gallery' ); ?></button>
+			<a href="<?php echo esc_url( $gallery_url ); ?>"><?php esc_html_e( 'Back to the gallery', 'brag-book-gallery' ); ?></a>
+		</p>
+
+		<section class="brag-book-gallery-offline__favorites" aria-labelledby="brag-book-gallery-offline-favorites" hidden>
+			<h2 id="brag-book-gallery-offline-favorites"><?php esc_html_e( 'Your favorites', 'brag-book-gallery' ); ?></h2>
+			<p class="brag-book-gallery-offline__note" hidden></p>
+			<ul class="brag-book-gallery-offline__cases"></ul>
+		</section>
+
+		<div class="brag-book-gallery-offline__case" hidden>
+			<button type="button" class="brag-book-gallery-offline__back"><?php esc_html_e( 'Back to your favorites', 'brag-book-gallery' ); ?></button>
+			<div class="brag-book-gallery-offline__case-content" tabindex="-1"></div>
+		</div>
+	</main>
+	<script src="<?php echo esc_url( $script ); ?>"></script>
+</body>
+</html>
@@ -0,0 +1,121 @@
+<?php
+/**
+ * Test the analytics events REST sink.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\REST\Analytics_Events;
+use BRAGBookGallery\Includes\REST\Share_Tracking;
+
+/**
+ * Analytics events test case.
+ */
+class AnalyticsEventsTest extends WP_UnitTestCase {
+
+	/**
+	 * Register the route on a fresh REST server.
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		$GLOBALS['wp_rest_server'] = null;
+		add_action( 'rest_api_init', array( Analytics_Events::class, 'register_route' ) );
+		rest_get_server();
+	}
+
+	/**
+	 * Drop the REST server the test built, and the options a test set.
+	 */
+	public function tear_down(): void {
+		remove_action( 'rest_api_init', array( Analytics_Events::class, 'register_route' ) );
+		remove_all_actions( 'brag_book_gallery_analytics_event' );
+		delete_option( 'brag_book_gallery_analytics_rest' );
+		$GLOBALS['wp_rest_server'] = null;
+		parent::tear_down();
+	}
+
+	/**
+	 * Post a batch of events to the route.
+	 *
+	 * @param array $events Events.
+	 *
+	 * @return WP_REST_Response
+	 */
+	private function post_events( array $events ): WP_REST_Response {
+		$request = new WP_REST_Request( 'POST', '/' . Share_Tracking::REST_NAMESPACE . Analytics_Events::REST_ROUTE );
+		$request->set_header( 'Content-Type', 'application/json' );
+		$request->set_body( (string) wp_json_encode( array( 'events' => $events ) ) );
+
+		return rest_do_request( $request );
+	}
+
+	/**
+	 * Each event in a batch reaches the action, its data cleaned.
+	 */
+	public function test_passes_events_to_action(): void {
+		$received = array();
+		add_action(
+			'brag_book_gallery_analytics_event',
+			static function ( $name, $data, $page ) use ( &$received ) {
+				$received[] = array( $name, $data, $page );
+			},
+			10,
+			3
+		);
+
+		$response = $this->post_events(
+			array(
+				array(
+					'name' => 'case_open',
+					'data' => array( 'case_id' => '35', 'source' => '<b>card</b>' ),
+					'page' => '/gallery/rhinoplasty/',
+				),
+				array(
+					'name' => 'filter_change',
+					'data' => array( 'filters' => array( 'age' => array( '25-34' ) ) ),
+				),
+			)
+		);
+
+		$this->assertSame( 200, $response->get_status() );
+		$this->assertSame( array( 'accepted' => 2 ), $response->get_data() );
+		$this->assertSame( array( 'case_open', array( 'case_id' => '35', 'source' => 'card' ), '/gallery/rhinoplasty/' ), $received[0] );
+		$this->assertSame( array( 'filters' => array( 'age' => array( '25-34' ) ) ), $received[1][1] );
+	}
+
+	/**
+	 * Unknown events and oversized batches are refused whole.
+	 */
+	public function test_rejects_bad_batches(): void {
+		$fired = 0;
+		add_action(
+			'brag_book_gallery_analytics_event',
+			static function () use ( &$fired ) {
+				++$fired;
+			}
+		);
+
+		$unknown   = array( array( 'name' => 'case_open' ), array( 'name' => 'page_scrape' ) );
+		$oversized = array_fill( 0, Analytics_Events::MAX_BATCH + 1, array( 'name' => 'search' ) );
+
+		$this->assertSame( 400, $this->post_events( $unknown )->get_status() );
+		$this->assertSame( 400, $this->post_events( $oversized )->get_status() );
+		$this->assertSame( 0, $fired );
+	}
+
+	/**
+	 * Browsers are only pointed at the sink while it is switched on.
+	 */
+	public function test_endpoint_follows_setting(): void {
+		$this->assertSame( '', Analytics_Events::get_endpoint() );
+
+		update_option( 'brag_book_gallery_analytics_rest', true );
+
+		$this->assertStringEndsWith( Share_Tracking::REST_NAMESPACE . Analytics_Events::REST_ROUTE, Analytics_Events::get_endpoint() );
+	}
+}
@@ -0,0 +1,128 @@
+<?php
+/**
+ * Test the before/after comparison slider.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\Core\Settings_Helper;
+use BRAGBookGallery\Includes\Extend\Post_Types;
+use BRAGBookGallery\Includes\Shortcodes\HTML_Renderer;
+
+/**
+ * Before/after slider test case.
+ */
+class BeforeAfterSliderTest extends WP_UnitTestCase {
+
+	/**
+	 * Go back to the site setting after each test.
+	 */
+	public function tear_down(): void {
+		HTML_Renderer::set_image_display_override( '' );
+		delete_option( 'brag_book_gallery_image_display' );
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Create a case with two photo sets, the second missing its before photo.
+	 *
+	 * @return int Post ID.
+	 */
+	private function create_case(): int {
+		$post_id = $this->factory->post->create( array( 'post_type' => Post_Types::POST_TYPE_CASES ) );
+
+		update_post_meta(
+			$post_id,
+			'brag_book_gallery_image_url_sets',
+			array(
+				array(
+					'before_url'         => 'https://cdn.example/1-before.jpg',
+					'after_url'          => 'https://cdn.example/1-after.jpg',
+					'post_processed_url' => 'https://cdn.example/1-combined.jpg',
+					'high_res_url'       => 'https://cdn.example/1-combined-hr.jpg',
+				),
+				array(
+					'before_url'         => '',
+					'after_url'          => 'https://cdn.example/2-after.jpg',
+					'post_processed_url' => 'https://cdn.example/2-combined.jpg',
+				),
+			)
+		);
+
+		return $post_id;
+	}
+
+	/**
+	 * The pair comes from the set whose combined image is shown.
+	 */
+	public function test_pair_is_matched_by_combined_image(): void {
+		$post_id  = $this->create_case();
+		$expected = array(
+			'before' => 'https://cdn.example/1-before.jpg',
+			'after'  => 'https://cdn.example/1-after.jpg',
+		);
+
+		$this->assertSame( $expected, HTML_Renderer::get_before_after_pair( $post_id, 'https://cdn.example/1-combined.jpg' ) );
+		$this->assertSame( $expected, HTML_Renderer::get_before_after_pair( $post_id, 'https://cdn.example/1-combined-hr.jpg' ) );
+		$this->assertSame( $expected, HTML_Renderer::get_before_after_pair( $post_id ) );
+	}
+
+	/**
+	 * A set without both photos, or an unknown image, has no pair.
+	 */
+	public function test_incomplete_or_unknown_set_has_no_pair(): void {
+		$post_id = $this->create_case();
+
+		$this->assertSame( array(), HTML_Renderer::get_before_after_pair( $post_id, 'https://cdn.example/2-combined.jpg' ) );
+		$this->assertSame( array(), HTML_Renderer::get_before_after_pair( $post_id, 'https://cdn.example/elsewhere.jpg' ) );
+		$this->assertSame( array(), HTML_Renderer::get_before_after_pair( 0 ) );
+	}
+
+	/**
+	 * Modes accept hyphens and reject anything unknown.
+	 */
+	public function test_image_display_is_sanitized(): void {
+		$this->assertSame( 'slider_vertical', Settings_Helper::sanitize_image_display( 'Slider-Vertical' ) );
+		$this->assertSame( 'side_by_side', Settings_Helper::sanitize_image_display( 'side_by_side' ) );
+		$this->assertSame( '', Settings_Helper::sanitize_image_display( 'carousel' ) );
+	}
+
+	/**
+	 * A shortcode's choice wins over the site setting until it is cleared.
+	 */
+	public function test_shortcode_override_takes_precedence(): void {
+		update_option( 'brag_book_gallery_image_display', 'slider' );
+		$this->assertSame( 'slider', HTML_Renderer::get_image_display() );
+
+		HTML_Renderer::set_image_display_override( 'side-by-side' );
+		$this->assertSame( 'side_by_side', HTML_Renderer::get_image_display() );
+		$this->assertFalse( HTML_Renderer::uses_before_after_slider() );
+
+		HTML_Renderer::set_image_display_override( 'nonsense' );
+		$this->assertSame( 'slider', HTML_Renderer::get_image_display() );
+	}
+
+	/**
+	 * The range input starts centred and names its value.
+	 */
+	public function test_slider_markup_exposes_range_control(): void {
+		$html = HTML_Renderer::render_before_after_slider(
+			array(
+				'before' => 'https://cdn.example/1-before.jpg',
+				'after'  => 'https://cdn.example/1-after.jpg',
+			),
+			'Rhinoplasty case 12',
+			'slider_vertical'
+		);
+
+		$this->assertStringContainsString( 'brag-book-gallery-before-after--vertical', $html );
+		$this->assertStringContainsString( 'type="range"', $html );
+		$this->assertStringContainsString( 'aria-valuetext="50% before"', $html );
+		$this->assertStringContainsString( 'alt="Before: Rhinoplasty case 12"', $html );
+	}
+}
@@ -0,0 +1,90 @@
+<?php
+/**
+ * Test the side-by-side case comparison data.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\Extend\Post_Types;
+use BRAGBookGallery\Includes\Shortcodes\Comparison_Handler;
+
+/**
+ * Case comparison test case.
+ */
+class CaseComparisonTest extends WP_UnitTestCase {
+
+	/**
+	 * Call a private static method of Comparison_Handler.
+	 *
+	 * @param string $method Method name.
+	 * @param mixed  ...$args Arguments.
+	 * @return mixed
+	 */
+	private function call( string $method, ...$args ) {
+		$reflection = new ReflectionMethod( Comparison_Handler::class, $method );
+		$reflection->setAccessible( true );
+
+		return $reflection->invoke( null, ...$args );
+	}
+
+	/**
+	 * Only published cases are compared, in the order picked, at most four.
+	 */
+	public function test_post_ids_are_limited_to_published_cases(): void {
+		$cases = $this->factory->post->create_many( 5, array( 'post_type' => Post_Types::POST_TYPE_CASES ) );
+		$draft = $this->factory->post->create( array( 'post_type' => Post_Types::POST_TYPE_CASES, 'post_status' => 'draft' ) );
+		$page  = $this->factory->post->create( array( 'post_type' => 'page' ) );
+
+		$parsed = $this->call( 'parse_post_ids', array( $cases[2], $draft, $page, $cases[0], $cases[2], $cases[1], $cases[3], $cases[4] ) );
+
+		$this->assertSame( array( $cases[2], $cases[0], $cases[1], $cases[3] ), $parsed );
+		$this->assertSame( array( $cases[1], $cases[0] ), $this->call( 'parse_post_ids', "{$cases[1]},{$cases[0]}" ) );
+	}
+
+	/**
+	 * High-res photos are used only when they line up with the processed ones.
+	 */
+	public function test_images_use_high_res_only_when_aligned(): void {
+		$post_id = $this->factory->post->create( array( 'post_type' => Post_Types::POST_TYPE_CASES ) );
+
+		update_post_meta( $post_id, 'brag_book_gallery_case_post_processed_url', 'https://example.com/p1.jpg;https://example.com/p2.jpg' );
+		update_post_meta( $post_id, 'brag_book_gallery_case_high_res_url', 'https://example.com/h2.jpg' );
+		$this->assertSame( array( 'https://example.com/p1.jpg', 'https://example.com/p2.jpg' ), $this->call( 'get_case_images', $post_id ) );
+
+		update_post_meta( $post_id, 'brag_book_gallery_case_high_res_url', "https://example.com/h1.jpg\nhttps://example.com/h2.jpg" );
+		$this->assertSame( array( 'https://example.com/h1.jpg', 'https://example.com/h2.jpg' ), $this->call( 'get_case_images', $post_id ) );
+	}
+
+	/**
+	 * Every column lists the same demographic rows, with units attached.
+	 */
+	public function test_details_keep_rows_and_units(): void {
+		$post_id = $this->factory->post->create( array( 'post_type' => Post_Types::POST_TYPE_CASES ) );
+
+		update_post_meta( $post_id, 'brag_book_gallery_patient_age', '42' );
+		update_post_meta( $post_id, 'brag_book_gallery_height', '65' );
+		update_post_meta( $post_id, 'brag_book_gallery_height_unit', 'in' );
+
+		$details = array_column( $this->call( 'get_case_details', $post_id ), 'value', 'key' );
+
+		$this->assertSame( array( 'age', 'gender', 'ethnicity', 'height', 'weight' ), array_keys( $details ) );
+		$this->assertSame( '42', $details['age'] );
+		$this->assertSame( '65 in', $details['height'] );
+		$this->assertSame( '', $details['weight'] );
+	}
+
+	/**
+	 * The toggle never carries the favorites attribute.
+	 */
+	public function test_toggle_is_not_a_favorite_button(): void {
+		$html = Comparison_Handler::render_toggle( 12 );
+
+		$this->assertStringContainsString( 'data-compare-post-id="12"', $html );
+		$this->assertStringNotContainsString( 'data-favorited', $html );
+		$this->assertSame( '', Comparison_Handler::render_toggle( 0 ) );
+	}
+}
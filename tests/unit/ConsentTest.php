@@ -0,0 +1,93 @@
+<?php
+/**
+ * Test the server-side visitor consent check.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\Core\Settings_Helper;
+use BRAGBookGallery\Includes\Resources\Asset_Manager;
+
+/**
+ * Consent test case.
+ */
+class ConsentTest extends WP_UnitTestCase {
+
+	/**
+	 * Drop the options and cookies a test set.
+	 */
+	public function tear_down(): void {
+		delete_option( 'brag_book_gallery_require_consent' );
+		delete_option( 'brag_book_gallery_consent_cookie' );
+		unset( $_COOKIE['cookie_consent'] );
+		parent::tear_down();
+	}
+
+	/**
+	 * Everything counts as consented while the setting is off.
+	 */
+	public function test_consent_not_required_by_default(): void {
+		$this->assertTrue( Settings_Helper::has_visitor_consent( 'statistics' ) );
+	}
+
+	/**
+	 * With the setting on and no signal, nothing is consented.
+	 */
+	public function test_withholds_consent_without_signal(): void {
+		update_option( 'brag_book_gallery_require_consent', true );
+		update_option( 'brag_book_gallery_consent_cookie', 'cookie_consent' );
+
+		$this->assertFalse( Settings_Helper::has_visitor_consent( 'statistics' ) );
+	}
+
+	/**
+	 * A cookie name alone matches any value but a refusal; name=value only
+	 * that value.
+	 */
+	public function test_reads_consent_cookie(): void {
+		update_option( 'brag_book_gallery_require_consent', true );
+		update_option( 'brag_book_gallery_consent_cookie', 'cookie_consent' );
+
+		foreach ( array( '', '0', 'false', 'No', 'deny', 'declined' ) as $refusal ) {
+			$_COOKIE['cookie_consent'] = $refusal;
+			$this->assertFalse( Settings_Helper::has_visitor_consent( 'marketing' ), $refusal );
+		}
+
+		$_COOKIE['cookie_consent'] = 'yes';
+
+		$this->assertTrue( Settings_Helper::has_visitor_consent( 'marketing' ) );
+
+		update_option( 'brag_book_gallery_consent_cookie', 'cookie_consent=accepted' );
+
+		$this->assertFalse( Settings_Helper::has_visitor_consent( 'marketing' ) );
+
+		$_COOKIE['cookie_consent'] = 'accepted';
+
+		$this->assertTrue( Settings_Helper::has_visitor_consent( 'marketing' ) );
+	}
+
+	/**
+	 * Pages without a gallery config still get the consent settings.
+	 */
+	public function test_prints_consent_config_global(): void {
+		update_option( 'brag_book_gallery_require_consent', true );
+
+		ob_start();
+		Asset_Manager::print_consent_config();
+		$output = ob_get_clean();
+
+		$this->assertStringContainsString( 'window.bragBookGalleryConsentConfig', $output );
+		$this->assertStringContainsString( '"required":true', $output );
+	}
+
+	/**
+	 * Anything that cannot be part of a cookie name or value is stripped.
+	 */
+	public function test_sanitizes_consent_cookie(): void {
+		$this->assertSame( 'cookie_consent=accepted', Settings_Helper::sanitize_consent_cookie( ' cookie_consent = accepted<script>' ) );
+	}
+}
@@ -0,0 +1,117 @@
+<?php
+/**
+ * Test the schema-driven consultation form.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\Communications\Consultation_Form;
+
+/**
+ * Consultation form test case.
+ */
+class ConsultationFormTest extends WP_UnitTestCase {
+
+	/**
+	 * Two-step schema used by the tests.
+	 *
+	 * @return array Normalized steps.
+	 */
+	private function get_steps(): array {
+		return Consultation_Form::normalize_schema(
+			array(
+				array(
+					'title'  => 'About you',
+					'fields' => array(
+						array( 'name' => 'phone', 'type' => 'text', 'required' => true ),
+						array( 'name' => 'nonce', 'type' => 'text' ),
+						array( 'name' => 'budget', 'type' => 'widget' ),
+						array( 'name' => 'colour', 'type' => 'select' ),
+					),
+				),
+				array(
+					'title'  => 'Your goals',
+					'fields' => array(
+						array(
+							'name'    => 'timeframe',
+							'type'    => 'radio',
+							'label'   => 'Timeframe',
+							'options' => array( 'Now', 'Later' ),
+						),
+						array(
+							'name'     => 'terms',
+							'type'     => 'consent',
+							'label'    => 'I agree',
+							'required' => true,
+						),
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Name and email are always collected, and unusable fields are dropped.
+	 */
+	public function test_normalize_keeps_core_fields_and_drops_bad_ones(): void {
+		$steps = $this->get_steps();
+		$names = array_column( Consultation_Form::get_fields( $steps ), 'name' );
+
+		$this->assertCount( 2, $steps );
+		$this->assertSame( array( 'name', 'email', 'phone', 'timeframe', 'terms' ), $names );
+		$this->assertSame( 'tel', $steps[0]['fields'][2]['type'] );
+	}
+
+	/**
+	 * Each failing field gets its own message.
+	 */
+	public function test_validate_reports_each_field(): void {
+		$result = Consultation_Form::validate(
+			$this->get_steps(),
+			array(
+				'name'      => 'Jane Doe',
+				'email'     => 'jane@example.com',
+				'phone'     => '555-1234',
+				'timeframe' => 'Someday',
+			)
+		);
+
+		$this->assertWPError( $result );
+		$fields = $result->get_error_data()['fields'];
+		$this->assertSame( array( 'phone', 'timeframe', 'terms' ), array_keys( $fields ) );
+	}
+
+	/**
+	 * A complete submission returns clean values.
+	 */
+	public function test_validate_returns_values(): void {
+		$values = Consultation_Form::validate(
+			$this->get_steps(),
+			array(
+				'name'      => 'Jane Doe',
+				'email'     => 'jane@example.com',
+				'phone'     => '(555) 123-4567',
+				'timeframe' => 'Later',
+				'terms'     => '1',
+			)
+		);
+
+		$this->assertIsArray( $values );
+		$this->assertSame( 'Later', $values['timeframe'] );
+	}
+
+	/**
+	 * Later steps start hidden and the schema is shared with the script.
+	 */
+	public function test_render_outputs_steps(): void {
+		$html = Consultation_Form::render( $this->get_steps() );
+
+		$this->assertStringContainsString( 'data-form-step="1" hidden', $html );
+		$this->assertStringContainsString( 'data-consultation-schema=', $html );
+		$this->assertStringContainsString( 'data-action="form-next"', $html );
+	}
+}
@@ -0,0 +1,98 @@
+<?php
+/**
+ * Test the private storage of consultation uploads.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\Communications\Consultation_Uploads;
+
+/**
+ * Consultation uploads test case.
+ */
+class ConsultationUploadsTest extends WP_UnitTestCase {
+
+	/**
+	 * Drop the hooks a test registered.
+	 */
+	public function tear_down(): void {
+		remove_all_actions( 'admin_post_' . Consultation_Uploads::DOWNLOAD_ACTION );
+		remove_all_actions( 'admin_post_nopriv_' . Consultation_Uploads::DOWNLOAD_ACTION );
+		remove_action( 'before_delete_post', array( Consultation_Uploads::class, 'delete_for_post' ) );
+		parent::tear_down();
+	}
+
+	/**
+	 * The folder refuses direct requests and cannot be listed.
+	 */
+	public function test_protects_folder(): void {
+		$dir = Consultation_Uploads::get_base_dir();
+
+		$this->assertTrue( Consultation_Uploads::protect( $dir ) );
+		$this->assertStringContainsString( 'Require all denied', file_get_contents( $dir . '/.htaccess' ) );
+		$this->assertFileExists( $dir . '/index.php' );
+	}
+
+	/**
+	 * Uploads are linked through the download handler, never directly.
+	 */
+	public function test_download_url_goes_through_handler(): void {
+		$url = Consultation_Uploads::get_download_url( 12, 1 );
+
+		$this->assertStringStartsWith( admin_url( 'admin-post.php' ), $url );
+		$this->assertStringContainsString( 'action=' . Consultation_Uploads::DOWNLOAD_ACTION, $url );
+		$this->assertStringNotContainsString( Consultation_Uploads::DIRECTORY, $url );
+	}
+
+	/**
+	 * A request's files go when the request is deleted.
+	 */
+	public function test_deletes_files_with_request(): void {
+		Consultation_Uploads::register();
+
+		$folder = Consultation_Uploads::get_base_dir() . '/testfolder';
+		wp_mkdir_p( $folder );
+		file_put_contents( $folder . '/photo.jpg', 'photo' );
+
+		$post_id = $this->factory->post->create( array( 'post_type' => 'brag_book_forms' ) );
+		update_post_meta(
+			$post_id,
+			Consultation_Uploads::META_KEY,
+			array(
+				array(
+					'label' => 'Photo',
+					'name'  => 'photo.jpg',
+					'path'  => 'testfolder/photo.jpg',
+					'url'   => Consultation_Uploads::get_download_url( $post_id, 0 ),
+				),
+			)
+		);
+
+		wp_delete_post( $post_id, true );
+
+		$this->assertFileDoesNotExist( $folder . '/photo.jpg' );
+		$this->assertDirectoryDoesNotExist( $folder );
+	}
+
+	/**
+	 * A stored path cannot lead out of the folder.
+	 */
+	public function test_ignores_paths_outside_folder(): void {
+		Consultation_Uploads::register();
+
+		$outside = wp_upload_dir()['basedir'] . '/keep.txt';
+		file_put_contents( $outside, 'keep' );
+
+		$post_id = $this->factory->post->create( array( 'post_type' => 'brag_book_forms' ) );
+		update_post_meta( $post_id, Consultation_Uploads::META_KEY, array( array( 'label' => 'Photo', 'name' => 'keep.txt', 'path' => '../keep.txt', 'url' => '' ) ) );
+
+		wp_delete_post( $post_id, true );
+
+		$this->assertFileExists( $outside );
+		unlink( $outside );
+	}
+}
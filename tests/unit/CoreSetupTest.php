@@ -5,6 +5,7 @@
  * @package BRAGBookGallery
  */
 
+use BRAGBookGallery\Includes\Core\Settings_Helper;
 use BRAGBookGallery\Includes\Core\Setup;
 
 /**
@@ -70,6 +71,96 @@ class CoreSetupTest extends WP_UnitTestCase {
 		$this->assertTrue( method_exists( $setup, 'cleanup_wp_cache' ) );
 	}
 
+	/**
+	 * Forget whether the current request is on a gallery page
+	 *
+	 * Setup is a singleton that caches the answer for the request, and each
+	 * test goes to a page of its own.
+	 *
+	 * @param Setup $setup Plugin setup.
+	 */
+	private function reset_gallery_page_cache( Setup $setup ): void {
+		$property = new ReflectionProperty( Setup::class, 'cache' );
+		$property->setAccessible( true );
+
+		$cache = $property->getValue( $setup );
+		unset( $cache['is_gallery_page'] );
+		$property->setValue( $setup, $cache );
+	}
+
+	/**
+	 * Test that ?page=N is only kept from canonical redirects on gallery pages
+	 */
+	public function test_gallery_page_depth_redirect(): void {
+		$setup = Setup::get_instance();
+
+		$this->assertGreaterThan( 0, has_filter( 'redirect_canonical', array( $setup, 'keep_gallery_page_depth' ) ) );
+
+		$page_id = self::factory()->post->create( array( 'post_type' => 'page' ) );
+		$this->go_to( add_query_arg( 'page', '3', get_permalink( $page_id ) ) );
+		$this->reset_gallery_page_cache( $setup );
+		$_GET['page'] = '3';
+
+		$this->assertSame( 'https://example.org/other/', $setup->keep_gallery_page_depth( 'https://example.org/other/' ) );
+
+		unset( $_GET['page'] );
+	}
+
+	/**
+	 * Test that a gallery page with ?page=N is not redirected away
+	 */
+	public function test_gallery_page_keeps_page_depth(): void {
+		$setup   = Setup::get_instance();
+		$page_id = self::factory()->post->create( array( 'post_type' => 'page' ) );
+		update_option( 'brag_book_gallery_page_id', $page_id );
+
+		$this->go_to( add_query_arg( 'page', '3', get_permalink( $page_id ) ) );
+		$this->reset_gallery_page_cache( $setup );
+		$_GET['page'] = '3';
+
+		$this->assertFalse( apply_filters( 'redirect_canonical', 'https://example.org/gallery/', 'https://example.org/gallery/?page=3' ) );
+
+		unset( $_GET['page'] );
+		$this->reset_gallery_page_cache( $setup );
+	}
+
+	/**
+	 * Test the virtual grid threshold passed to the frontend
+	 */
+	public function test_virtualize_after_threshold(): void {
+		$this->assertSame( Settings_Helper::DEFAULT_VIRTUALIZE_AFTER, Settings_Helper::get_virtualize_after() );
+
+		$off = static function () {
+			return 0;
+		};
+		add_filter( 'brag_book_gallery_virtualize_after', $off );
+		$this->assertSame( 0, Settings_Helper::get_virtualize_after() );
+		remove_filter( 'brag_book_gallery_virtualize_after', $off );
+
+		$negative = static function () {
+			return -50;
+		};
+		add_filter( 'brag_book_gallery_virtualize_after', $negative );
+		$this->assertSame( 0, Settings_Helper::get_virtualize_after() );
+		remove_filter( 'brag_book_gallery_virtualize_after', $negative );
+	}
+
+	/**
+	 * Test the sync version browser caches are keyed by
+	 */
+	public function test_sync_version_changes_with_each_sync(): void {
+		update_option( 'brag_book_gallery_last_sync_time', '2026-10-01 09:00:00' );
+		$version = Settings_Helper::get_sync_version();
+
+		$this->assertSame( $version, Settings_Helper::get_sync_version() );
+		$this->assertSame( 12, strlen( $version ) );
+
+		update_option( 'brag_book_gallery_last_sync_time', '2026-10-02 09:00:00' );
+		$this->assertNotSame( $version, Settings_Helper::get_sync_version() );
+
+		delete_option( 'brag_book_gallery_last_sync_time' );
+	}
+
 	/**
 	 * Test cron job scheduling
 	 */
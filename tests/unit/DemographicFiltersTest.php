@@ -0,0 +1,225 @@
+<?php
+/**
+ * Test server-side demographic filtering and facet counts.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\Extend\Post_Types;
+use BRAGBookGallery\Includes\Shortcodes\Cases_Handler;
+
+/**
+ * Demographic filters test case.
+ *
+ * Driven through Cases_Handler::resolve_context_case_ids(), the resolver the
+ * Load More endpoint pages from, so the filter is checked where it is applied.
+ */
+class DemographicFiltersTest extends WP_UnitTestCase {
+
+	/**
+	 * Case post IDs by name.
+	 *
+	 * @var array<string,int>
+	 */
+	private array $cases = array();
+
+	/**
+	 * Seed four cases spread across the ranges.
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		$this->cases = array(
+			'young_female'  => $this->case_with( array( 'age' => 28, 'gender' => 'Female', 'height' => 165, 'height_unit' => 'cm' ) ),
+			'older_female'  => $this->case_with( array( 'age' => 52, 'gender' => 'female', 'weight' => 80, 'weight_unit' => 'kg' ) ),
+			'young_male'    => $this->case_with( array( 'age' => 31, 'gender' => 'Male', 'weight' => 190 ) ),
+			'no_demography' => $this->case_with( array() ),
+		);
+	}
+
+	/**
+	 * A selection narrows the full list, not just a page of it.
+	 */
+	public function test_selection_narrows_the_whole_context(): void {
+		$resolved = Cases_Handler::resolve_context_case_ids(
+			array( 'filters' => array( 'gender' => array( 'female' ) ) )
+		);
+
+		$this->assertEqualsCanonicalizing(
+			array( $this->cases['young_female'], $this->cases['older_female'] ),
+			$resolved['ids']
+		);
+	}
+
+	/**
+	 * Values within a type are alternatives; separate types must all match.
+	 */
+	public function test_types_are_anded_and_values_ored(): void {
+		$resolved = Cases_Handler::resolve_context_case_ids(
+			array(
+				'filters' => array(
+					'age'    => array( '25-34', '45-54' ),
+					'gender' => array( 'female' ),
+				),
+			)
+		);
+
+		$this->assertEqualsCanonicalizing(
+			array( $this->cases['young_female'], $this->cases['older_female'] ),
+			$resolved['ids']
+		);
+
+		$resolved = Cases_Handler::resolve_context_case_ids(
+			array(
+				'filters' => array(
+					'age'    => array( '25-34' ),
+					'gender' => array( 'male' ),
+				),
+			)
+		);
+
+		$this->assertSame( array( $this->cases['young_male'] ), $resolved['ids'] );
+	}
+
+	/**
+	 * Metric heights and weights are ranged in inches and pounds, like the panel.
+	 */
+	public function test_metric_values_are_ranged_in_imperial(): void {
+		// 165 cm is 65 in; 80 kg is 176 lbs.
+		$height = Cases_Handler::resolve_context_case_ids(
+			array( 'filters' => array( 'height' => array( '64-67' ) ) )
+		);
+		$weight = Cases_Handler::resolve_context_case_ids(
+			array( 'filters' => array( 'weight' => array( '150-176' ) ) )
+		);
+
+		$this->assertSame( array( $this->cases['young_female'] ), $height['ids'] );
+		$this->assertSame( array( $this->cases['older_female'] ), $weight['ids'] );
+	}
+
+	/**
+	 * Range bounds are inclusive, and a case without the value matches no range.
+	 */
+	public function test_ranges_include_their_bounds(): void {
+		$resolved = Cases_Handler::resolve_context_case_ids(
+			array( 'filters' => array( 'age' => array( '31-52' ) ) )
+		);
+
+		$this->assertEqualsCanonicalizing(
+			array( $this->cases['older_female'], $this->cases['young_male'] ),
+			$resolved['ids']
+		);
+	}
+
+	/**
+	 * Each option counts what it would return given the other types' selections:
+	 * the selected type itself still counts across the scope, the rest narrow,
+	 * and an option narrowed to nothing stays listed at zero.
+	 */
+	public function test_facets_count_against_the_other_selections(): void {
+		$resolved = Cases_Handler::resolve_context_case_ids(
+			array(
+				'filters' => array( 'age' => array( '25-35' ) ),
+				'facets'  => true,
+			)
+		);
+		$gender = array_column( $resolved['facets']['gender'], 'count', 'value' );
+		$this->assertSame( array( 'female' => 1, 'male' => 1 ), $gender );
+
+		$resolved = Cases_Handler::resolve_context_case_ids(
+			array(
+				'filters' => array( 'age' => array( '40-60' ) ),
+				'facets'  => true,
+			)
+		);
+		$gender = array_column( $resolved['facets']['gender'], 'count', 'value' );
+		$this->assertSame( array( 'female' => 1, 'male' => 0 ), $gender );
+	}
+
+	/**
+	 * Ranges span the whole view whatever is selected, in inches and pounds.
+	 */
+	public function test_facet_ranges_span_the_whole_view(): void {
+		$resolved = Cases_Handler::resolve_context_case_ids(
+			array(
+				'filters' => array( 'gender' => array( 'male' ) ),
+				'facets'  => true,
+			)
+		);
+
+		$this->assertSame(
+			array(
+				'age'    => array( 'min' => 28, 'max' => 52 ),
+				'height' => array( 'min' => 65, 'max' => 65 ),
+				'weight' => array( 'min' => 176, 'max' => 190 ),
+			),
+			$resolved['facets']['ranges']
+		);
+	}
+
+	/**
+	 * Facets are only computed when asked for.
+	 */
+	public function test_facets_are_opt_in(): void {
+		$this->assertNull( Cases_Handler::resolve_context_case_ids( array() )['facets'] );
+	}
+
+	/**
+	 * Posted selections are lower-cased, ranges put in order, and unknown filter
+	 * types and malformed ranges dropped.
+	 */
+	public function test_selection_is_sanitized(): void {
+		$reflection = new ReflectionMethod( Cases_Handler::class, 'sanitize_demographic_selection' );
+		$reflection->setAccessible( true );
+
+		$selection = $reflection->invoke(
+			null,
+			wp_json_encode(
+				array(
+					'gender'                        => array( 'Female', '' ),
+					'age'                           => array( '45-30', '65+' ),
+					'procedure_detail_implant_size' => array( '300CC' ),
+					'post_status'                   => array( 'draft' ),
+					'procedure_detail_<b>'          => array( 'x' ),
+				)
+			)
+		);
+
+		$this->assertSame(
+			array(
+				'gender'                        => array( 'female' ),
+				'age'                           => array( '30-45' ),
+				'procedure_detail_implant_size' => array( '300cc' ),
+			),
+			$selection
+		);
+	}
+
+	/**
+	 * Create a published case post with the given patient meta.
+	 *
+	 * @param array<string,mixed> $meta age, gender, height(_unit), weight(_unit).
+	 * @return int
+	 */
+	private function case_with( array $meta ): int {
+		$post_id = $this->factory->post->create( array( 'post_type' => Post_Types::POST_TYPE_CASES ) );
+
+		$keys = array(
+			'age'         => 'brag_book_gallery_patient_age',
+			'gender'      => 'brag_book_gallery_patient_gender',
+			'height'      => 'brag_book_gallery_height',
+			'height_unit' => 'brag_book_gallery_height_unit',
+			'weight'      => 'brag_book_gallery_weight',
+			'weight_unit' => 'brag_book_gallery_weight_unit',
+		);
+		foreach ( $meta as $name => $value ) {
+			update_post_meta( $post_id, $keys[ $name ], $value );
+		}
+
+		return $post_id;
+	}
+}
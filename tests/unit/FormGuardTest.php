@@ -0,0 +1,109 @@
+<?php
+/**
+ * Test the spam and bot checks on the public forms.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\Communications\Form_Guard;
+use BRAGBookGallery\Includes\Communications\Proof_Of_Work;
+
+/**
+ * Form guard test case.
+ */
+class FormGuardTest extends WP_UnitTestCase {
+
+	/**
+	 * Remove the filters a test added.
+	 */
+	public function tear_down(): void {
+		remove_all_filters( 'brag_book_gallery_form_min_seconds' );
+		remove_all_filters( 'brag_book_gallery_form_session_limit' );
+		remove_all_filters( 'brag_book_gallery_form_ip_limit' );
+		remove_all_filters( 'brag_book_gallery_challenge_provider' );
+		parent::tear_down();
+	}
+
+	/**
+	 * A filled honeypot or a missing or forged token is refused.
+	 */
+	public function test_rejects_bots(): void {
+		$token = Form_Guard::issue_token();
+
+		$this->assertSame( 'form_honeypot', Form_Guard::check( 'consultation', array( Form_Guard::HONEYPOT_FIELD => 'https://spam.example', Form_Guard::TOKEN_FIELD => $token ) )->get_error_code() );
+		$this->assertSame( 'form_token', Form_Guard::check( 'consultation', array() )->get_error_code() );
+		$this->assertSame( 'form_token', Form_Guard::check( 'consultation', array( Form_Guard::TOKEN_FIELD => $token . 'x' ) )->get_error_code() );
+	}
+
+	/**
+	 * A submission right after the token was issued is too fast.
+	 */
+	public function test_rejects_instant_submission(): void {
+		$result = Form_Guard::check( 'consultation', array( Form_Guard::TOKEN_FIELD => Form_Guard::issue_token() ) );
+
+		$this->assertSame( 'form_too_fast', $result->get_error_code() );
+	}
+
+	/**
+	 * Each session gets its own quota, kept when the token is renewed.
+	 */
+	public function test_limits_each_session(): void {
+		add_filter( 'brag_book_gallery_form_min_seconds', '__return_zero' );
+		add_filter( 'brag_book_gallery_form_session_limit', static fn() => 2 );
+
+		$token   = Form_Guard::issue_token();
+		$renewed = Form_Guard::issue_token( $token );
+
+		$this->assertTrue( Form_Guard::check( 'consultation', array( Form_Guard::TOKEN_FIELD => $token ) ) );
+		$this->assertTrue( Form_Guard::check( 'consultation', array( Form_Guard::TOKEN_FIELD => $renewed ) ) );
+		$this->assertSame( 'form_session_limit', Form_Guard::check( 'consultation', array( Form_Guard::TOKEN_FIELD => $token ) )->get_error_code() );
+
+		// Another form, and another session, start from zero.
+		$this->assertTrue( Form_Guard::check( 'favorites', array( Form_Guard::TOKEN_FIELD => $token ) ) );
+		$this->assertTrue( Form_Guard::check( 'consultation', array( Form_Guard::TOKEN_FIELD => Form_Guard::issue_token() ) ) );
+	}
+
+	/**
+	 * Starting a new session for each submission does not get past the IP limit.
+	 */
+	public function test_limits_each_ip(): void {
+		add_filter( 'brag_book_gallery_form_min_seconds', '__return_zero' );
+		add_filter( 'brag_book_gallery_form_ip_limit', static fn() => 2 );
+
+		$this->assertTrue( Form_Guard::check( 'consultation', array( Form_Guard::TOKEN_FIELD => Form_Guard::issue_token() ) ) );
+		$this->assertTrue( Form_Guard::check( 'consultation', array( Form_Guard::TOKEN_FIELD => Form_Guard::issue_token() ) ) );
+		$this->assertSame( 'form_session_limit', Form_Guard::check( 'consultation', array( Form_Guard::TOKEN_FIELD => Form_Guard::issue_token() ) )->get_error_code() );
+	}
+
+	/**
+	 * With proof-of-work switched on, only a correct answer gets through.
+	 */
+	public function test_proof_of_work_challenge(): void {
+		$provider = new Proof_Of_Work( 8 );
+		add_filter( 'brag_book_gallery_form_min_seconds', '__return_zero' );
+		add_filter( 'brag_book_gallery_challenge_provider', static fn() => $provider );
+
+		$token  = Form_Guard::issue_token();
+		$answer = 0;
+		while ( ! $provider->verify( $token, (string) $answer ) ) {
+			++$answer;
+		}
+
+		$this->assertSame( array( 'difficulty' => 8 ), $provider->get_client_config( $token ) );
+		$this->assertFalse( $provider->verify( $token, 'abc' ) );
+		$this->assertSame( 'form_challenge', Form_Guard::check( 'consultation', array( Form_Guard::TOKEN_FIELD => $token ) )->get_error_code() );
+		$this->assertTrue(
+			Form_Guard::check(
+				'consultation',
+				array(
+					Form_Guard::TOKEN_FIELD     => $token,
+					Form_Guard::CHALLENGE_FIELD => (string) $answer,
+				)
+			)
+		);
+	}
+}
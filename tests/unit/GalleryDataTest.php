@@ -0,0 +1,151 @@
+<?php
+/**
+ * Test the cacheable gallery data REST routes.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\REST\Gallery_Data;
+use BRAGBookGallery\Includes\REST\Share_Tracking;
+
+/**
+ * Gallery data test case.
+ */
+class GalleryDataTest extends WP_UnitTestCase {
+
+	/**
+	 * Register the routes on a fresh REST server.
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		$GLOBALS['wp_rest_server'] = null;
+		add_action( 'rest_api_init', array( Gallery_Data::class, 'register_routes' ) );
+		rest_get_server();
+	}
+
+	/**
+	 * Drop the REST server the test built, and what a test set.
+	 */
+	public function tear_down(): void {
+		remove_action( 'rest_api_init', array( Gallery_Data::class, 'register_routes' ) );
+		remove_all_filters( 'brag_book_gallery_rest_cache_control' );
+		delete_option( 'brag_book_gallery_last_sync_time' );
+		$GLOBALS['wp_rest_server'] = null;
+		parent::tear_down();
+	}
+
+	/**
+	 * A request to one of the routes.
+	 *
+	 * @param string $path          Route below the gallery data base.
+	 * @param string $if_none_match If-None-Match header, if any.
+	 *
+	 * @return WP_REST_Request
+	 */
+	private function make_request( string $path, string $if_none_match = '' ): WP_REST_Request {
+		$request = new WP_REST_Request( 'GET', '/' . Share_Tracking::REST_NAMESPACE . Gallery_Data::REST_BASE . $path );
+		if ( '' !== $if_none_match ) {
+			$request->set_header( 'If-None-Match', $if_none_match );
+		}
+
+		return $request;
+	}
+
+	/**
+	 * Only the gallery data routes count as gallery data.
+	 */
+	public function test_recognizes_gallery_data_routes(): void {
+		$this->assertTrue( Gallery_Data::is_gallery_data_route( '/brag-book-gallery/v1/gallery/cases' ) );
+		$this->assertTrue( Gallery_Data::is_gallery_data_route( 'brag-book-gallery/v1/gallery/cases/12/adjacent' ) );
+		$this->assertFalse( Gallery_Data::is_gallery_data_route( '/brag-book-gallery/v1/events' ) );
+		$this->assertFalse( Gallery_Data::is_gallery_data_route( '/brag-book-gallery/v1/gallery-settings' ) );
+	}
+
+	/**
+	 * Responses carry their validators and may be cached.
+	 */
+	public function test_response_carries_validators(): void {
+		update_option( 'brag_book_gallery_last_sync_time', '2026-01-02 03:04:05' );
+		$data = array( 'next' => null, 'prev' => null );
+
+		$response = Gallery_Data::cacheable( $this->make_request( '/cases/1/adjacent' ), $data );
+		$headers  = $response->get_headers();
+
+		$this->assertSame( 200, $response->get_status() );
+		$this->assertSame( $data, $response->get_data() );
+		$this->assertSame( Gallery_Data::get_etag( $data ), $headers['ETag'] );
+		$this->assertSame( 'Fri, 02 Jan 2026 03:04:05 GMT', $headers['Last-Modified'] );
+		$this->assertSame( 'public, max-age=300', $headers['Cache-Control'] );
+	}
+
+	/**
+	 * A copy whose ETag still matches gets a bodiless 304, weak or not.
+	 */
+	public function test_matching_etag_is_not_modified(): void {
+		$data = array( 'html' => '<div></div>' );
+		$etag = Gallery_Data::get_etag( $data );
+
+		foreach ( array( $etag, 'W/' . $etag, '"other", ' . $etag, '*' ) as $if_none_match ) {
+			$response = Gallery_Data::cacheable( $this->make_request( '/cases', $if_none_match ), $data );
+
+			$this->assertSame( 304, $response->get_status(), $if_none_match );
+			$this->assertNull( $response->get_data() );
+		}
+
+		$response = Gallery_Data::cacheable( $this->make_request( '/cases', '"other"' ), $data );
+		$this->assertSame( 200, $response->get_status() );
+	}
+
+	/**
+	 * The same data gets a new ETag after a sync.
+	 */
+	public function test_etag_changes_with_sync(): void {
+		$data = array( 'html' => '<div></div>' );
+
+		update_option( 'brag_book_gallery_last_sync_time', '2026-01-02 03:04:05' );
+		$before = Gallery_Data::get_etag( $data );
+		update_option( 'brag_book_gallery_last_sync_time', '2026-01-03 03:04:05' );
+
+		$this->assertNotSame( $before, Gallery_Data::get_etag( $data ) );
+	}
+
+	/**
+	 * Before the first sync there is nothing to date the data by.
+	 */
+	public function test_no_last_modified_before_first_sync(): void {
+		$response = Gallery_Data::cacheable( $this->make_request( '/cases' ), array() );
+
+		$this->assertNull( Gallery_Data::get_last_modified() );
+		$this->assertArrayNotHasKey( 'Last-Modified', $response->get_headers() );
+	}
+
+	/**
+	 * A site can change how long the responses may be cached.
+	 */
+	public function test_cache_control_is_filterable(): void {
+		add_filter(
+			'brag_book_gallery_rest_cache_control',
+			static fn() => 'public, max-age=60, s-maxage=3600'
+		);
+
+		$response = Gallery_Data::cacheable( $this->make_request( '/cases' ), array() );
+
+		$this->assertSame( 'public, max-age=60, s-maxage=3600', $response->get_headers()['Cache-Control'] );
+	}
+
+	/**
+	 * Adjacent cases of something that isn't a case is a 404.
+	 */
+	public function test_adjacent_rejects_unknown_case(): void {
+		$post_id  = self::factory()->post->create();
+		$response = rest_do_request( $this->make_request( '/cases/' . $post_id . '/adjacent' ) );
+
+		$this->assertSame( 404, $response->get_status() );
+		$this->assertSame( 'invalid_post_id', $response->as_error()->get_error_code() );
+	}
+}
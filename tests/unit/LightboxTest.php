@@ -0,0 +1,58 @@
+<?php
+/**
+ * Test the photo lightbox trigger.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\Extend\Post_Types;
+use BRAGBookGallery\Includes\Shortcodes\HTML_Renderer;
+
+/**
+ * Lightbox test case.
+ */
+class LightboxTest extends WP_UnitTestCase {
+
+	/**
+	 * Every combined photo is listed, with its separate pair when synced.
+	 */
+	public function test_photos_follow_post_processed_list(): void {
+		$post_id = $this->factory->post->create( array( 'post_type' => Post_Types::POST_TYPE_CASES ) );
+
+		update_post_meta( $post_id, 'brag_book_gallery_case_post_processed_url', 'https://cdn.example/1.jpg;https://cdn.example/2.jpg' );
+		update_post_meta(
+			$post_id,
+			'brag_book_gallery_image_url_sets',
+			array(
+				array(
+					'before_url'         => 'https://cdn.example/1-before.jpg',
+					'after_url'          => 'https://cdn.example/1-after.jpg',
+					'post_processed_url' => 'https://cdn.example/1.jpg',
+				),
+			)
+		);
+
+		$photos = HTML_Renderer::get_lightbox_photos( $post_id );
+
+		$this->assertCount( 2, $photos );
+		$this->assertSame( 'https://cdn.example/1-before.jpg', $photos[0]['before'] );
+		$this->assertSame( 'https://cdn.example/2.jpg', $photos[1]['src'] );
+		$this->assertSame( '', $photos[1]['after'] );
+	}
+
+	/**
+	 * The trigger carries its photos and clamps the starting index.
+	 */
+	public function test_trigger_carries_photos(): void {
+		$photos = HTML_Renderer::get_lightbox_photos( 0, array( 'https://cdn.example/1.jpg' ) );
+		$html   = HTML_Renderer::render_lightbox_trigger( $photos, 'Rhinoplasty case 12', 4 );
+
+		$this->assertStringContainsString( 'data-lightbox-index="0"', $html );
+		$this->assertStringContainsString( esc_attr( wp_json_encode( $photos ) ), $html );
+		$this->assertSame( '', HTML_Renderer::render_lightbox_trigger( array(), 'Empty' ) );
+	}
+}
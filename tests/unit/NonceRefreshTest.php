@@ -0,0 +1,47 @@
+<?php
+/**
+ * Test the nonce refresh for pages served from a full-page cache.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\Core\Nonce_Refresh;
+
+/**
+ * Nonce refresh test case.
+ */
+class NonceRefreshTest extends WP_UnitTestCase {
+
+	/**
+	 * Drop the hooks a test registered.
+	 */
+	public function tear_down(): void {
+		remove_all_actions( 'wp_ajax_' . Nonce_Refresh::ACTION );
+		remove_all_actions( 'wp_ajax_nopriv_' . Nonce_Refresh::ACTION );
+		parent::tear_down();
+	}
+
+	/**
+	 * Visitors who are logged out can refresh too.
+	 */
+	public function test_refresh_action_is_public(): void {
+		Nonce_Refresh::register();
+
+		$this->assertNotFalse( has_action( 'wp_ajax_' . Nonce_Refresh::ACTION, array( Nonce_Refresh::class, 'ajax_refresh' ) ) );
+		$this->assertNotFalse( has_action( 'wp_ajax_nopriv_' . Nonce_Refresh::ACTION, array( Nonce_Refresh::class, 'ajax_refresh' ) ) );
+	}
+
+	/**
+	 * The fresh nonces pass the checks the handlers make.
+	 */
+	public function test_fresh_nonces_verify(): void {
+		$nonces = Nonce_Refresh::get_nonces();
+
+		$this->assertSame( 1, wp_verify_nonce( $nonces['nonce'], 'brag_book_gallery_nonce' ) );
+		$this->assertSame( 1, wp_verify_nonce( $nonces['consultationNonce'], 'consultation_form_nonce' ) );
+	}
+}
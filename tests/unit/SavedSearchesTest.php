@@ -0,0 +1,115 @@
+<?php
+/**
+ * Test saved searches and their "new since last visit" lists.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\Data\Database;
+use BRAGBookGallery\Includes\Extend\Post_Types;
+use BRAGBookGallery\Includes\Shortcodes\Favorites_Handler;
+
+/**
+ * Saved searches test case.
+ */
+class SavedSearchesTest extends WP_UnitTestCase {
+
+	/**
+	 * Database service under test.
+	 *
+	 * @var Database
+	 */
+	private Database $database;
+
+	/**
+	 * Create the plugin tables.
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		$this->database = new Database();
+		$this->database->create_tables();
+	}
+
+	/**
+	 * Call a private static method of Favorites_Handler.
+	 *
+	 * @param string $method Method name.
+	 * @param mixed  ...$args Arguments.
+	 * @return mixed
+	 */
+	private function call( string $method, ...$args ) {
+		$reflection = new ReflectionMethod( Favorites_Handler::class, $method );
+		$reflection->setAccessible( true );
+
+		return $reflection->invoke( null, ...$args );
+	}
+
+	/**
+	 * A search is only listed for the email and browser key it was saved with.
+	 */
+	public function test_searches_belong_to_email_and_browser_key(): void {
+		$owner = $this->call( 'hash_saved_search_owner', 'Patient@Example.com', str_repeat( 'a', 32 ) );
+		$same  = $this->call( 'hash_saved_search_owner', 'patient@example.com ', str_repeat( 'a', 32 ) );
+		$other = $this->call( 'hash_saved_search_owner', 'patient@example.com', str_repeat( 'b', 32 ) );
+
+		$this->database->insert_saved_search( $owner['email_hash'], $owner['key_hash'], 'Rhinoplasty', array( 'term_id' => 3 ) );
+
+		$this->assertSame( $owner, $same );
+		$this->assertCount( 1, $this->database->get_saved_searches( $owner['email_hash'], $owner['key_hash'] ) );
+		$this->assertSame( array(), $this->database->get_saved_searches( $other['email_hash'], $other['key_hash'] ) );
+		$this->assertSame( 3, $this->database->get_saved_searches( $owner['email_hash'], $owner['key_hash'] )[0]['context']['term_id'] );
+	}
+
+	/**
+	 * Only cases created in BRAGbook after the search was last opened are new,
+	 * however recently the sync imported them.
+	 */
+	public function test_new_cases_are_those_created_since_last_seen(): void {
+		$old = $this->factory->post->create( array( 'post_type' => Post_Types::POST_TYPE_CASES, 'post_date_gmt' => '2026-03-02 10:00:00', 'post_date' => '2026-03-02 10:00:00' ) );
+		$new = $this->factory->post->create( array( 'post_type' => Post_Types::POST_TYPE_CASES, 'post_date_gmt' => '2026-03-02 10:00:00', 'post_date' => '2026-03-02 10:00:00' ) );
+		update_post_meta( $old, 'brag_book_gallery_created_at', '2026-01-01T10:00:00.000Z' );
+		update_post_meta( $new, 'brag_book_gallery_created_at', '2026-03-01T10:00:00.000Z' );
+
+		$found = $this->call( 'find_new_cases', array(), '2026-02-01 00:00:00' );
+
+		$this->assertSame( array( $new ), $found['ids'] );
+		$this->assertSame( 1, $found['total'] );
+		$this->assertNotContains( $old, $found['ids'] );
+	}
+
+	/**
+	 * Opening a search marks only that search seen, and only for its owner.
+	 */
+	public function test_touch_marks_one_search_seen(): void {
+		$owner  = $this->call( 'hash_saved_search_owner', 'patient@example.com', str_repeat( 'a', 32 ) );
+		$other  = $this->call( 'hash_saved_search_owner', 'patient@example.com', str_repeat( 'b', 32 ) );
+		$opened = $this->database->insert_saved_search( $owner['email_hash'], $owner['key_hash'], 'Rhinoplasty', array() );
+		$this->database->insert_saved_search( $owner['email_hash'], $owner['key_hash'], 'Facelift', array() );
+
+		global $wpdb;
+		$wpdb->query( $wpdb->prepare( 'UPDATE %i SET last_seen_at = %s', $this->database->get_saved_searches_table(), '2026-01-01 00:00:00' ) );
+
+		$this->database->touch_saved_search( $opened, $other['email_hash'], $other['key_hash'] );
+		$this->assertSame( '2026-01-01 00:00:00', $this->database->get_saved_searches( $owner['email_hash'], $owner['key_hash'] )[0]['last_seen_at'] );
+
+		$this->assertTrue( $this->database->touch_saved_search( $opened, $owner['email_hash'], $owner['key_hash'] ) );
+
+		$searches = $this->database->get_saved_searches( $owner['email_hash'], $owner['key_hash'] );
+		$this->assertNotSame( '2026-01-01 00:00:00', $searches[0]['last_seen_at'] );
+		$this->assertSame( '2026-01-01 00:00:00', $searches[1]['last_seen_at'] );
+	}
+
+	/**
+	 * Saved page URLs stay on this site.
+	 */
+	public function test_saved_url_is_kept_on_site(): void {
+		$this->assertSame( '/gallery/rhinoplasty/?gender=female', $this->call( 'sanitize_saved_search_url', '/gallery/rhinoplasty/?gender=female' ) );
+		$this->assertSame( '', $this->call( 'sanitize_saved_search_url', 'https://evil.example/gallery/' ) );
+		$this->assertSame( '', $this->call( 'sanitize_saved_search_url', '//evil.example/gallery/' ) );
+	}
+}
@@ -0,0 +1,83 @@
+<?php
+/**
+ * Test the offline browsing service worker.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\REST\Gallery_Data;
+use BRAGBookGallery\Includes\Resources\Service_Worker;
+
+/**
+ * Service worker test case.
+ */
+class ServiceWorkerTest extends WP_UnitTestCase {
+
+	/**
+	 * Put the options the tests change back.
+	 */
+	public function tear_down(): void {
+		delete_option( 'brag_book_gallery_enable_offline' );
+		delete_option( 'brag_book_gallery_last_sync_time' );
+		delete_option( 'brag_book_gallery_page_slug' );
+		parent::tear_down();
+	}
+
+	/**
+	 * The front end only gets a worker URL while offline browsing is on.
+	 */
+	public function test_client_config_follows_setting(): void {
+		update_option( 'brag_book_gallery_page_slug', 'before-after' );
+
+		$config = Service_Worker::get_client_config();
+		$this->assertSame( '', $config['url'] );
+		$this->assertSame( '/before-after/', $config['scope'] );
+
+		update_option( 'brag_book_gallery_enable_offline', true );
+
+		$config = Service_Worker::get_client_config();
+		$this->assertStringContainsString( Service_Worker::QUERY_VAR . '=1', $config['url'] );
+	}
+
+	/**
+	 * The legacy array slug still scopes the worker to the gallery.
+	 */
+	public function test_scope_handles_legacy_slug(): void {
+		update_option( 'brag_book_gallery_page_slug', array( 'gallery' ) );
+
+		$this->assertSame( '/gallery/', Service_Worker::get_scope() );
+	}
+
+	/**
+	 * The worker keeps responses of the read-only gallery data routes.
+	 */
+	public function test_worker_config_names_gallery_data_route(): void {
+		$config = Service_Worker::get_worker_config();
+
+		$this->assertSame( '/brag-book-gallery/v1/gallery/', $config['dataRoute'] );
+		$this->assertTrue( Gallery_Data::is_gallery_data_route( $config['dataRoute'] . 'cases' ) );
+		$this->assertContains( Service_Worker::get_offline_url(), $config['precache'] );
+	}
+
+	/**
+	 * A sync, or the filter, gives the worker a new cache version.
+	 */
+	public function test_version_changes_with_sync(): void {
+		update_option( 'brag_book_gallery_last_sync_time', '2026-10-01 09:00:00' );
+		$version = Service_Worker::get_worker_config()['version'];
+
+		update_option( 'brag_book_gallery_last_sync_time', '2026-10-02 09:00:00' );
+		$this->assertNotSame( $version, Service_Worker::get_worker_config()['version'] );
+
+		$pinned = static function () {
+			return 'pinned';
+		};
+		add_filter( 'brag_book_gallery_service_worker_version', $pinned );
+		$this->assertSame( 'pinned', Service_Worker::get_worker_config()['version'] );
+		remove_filter( 'brag_book_gallery_service_worker_version', $pinned );
+	}
+}
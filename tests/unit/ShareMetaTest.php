@@ -0,0 +1,74 @@
+<?php
+/**
+ * Test the share links and the previews shared photos get.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\Extend\Post_Types;
+use BRAGBookGallery\Includes\SEO\Share_Meta;
+use BRAGBookGallery\Includes\Shortcodes\HTML_Renderer;
+
+/**
+ * Share meta test case.
+ */
+class ShareMetaTest extends WP_UnitTestCase {
+
+	/**
+	 * Remove the options and filters a test added.
+	 */
+	public function tear_down(): void {
+		delete_option( 'brag_book_gallery_enable_sharing' );
+		delete_option( 'brag_book_gallery_nudity_mode' );
+		remove_all_filters( 'brag_book_gallery_share_safe_image' );
+		parent::tear_down();
+	}
+
+	/**
+	 * The first photo shares the plain case URL; any other names its photo.
+	 */
+	public function test_share_url_names_photo(): void {
+		$case_url = 'https://example.org/gallery/rhinoplasty/case-12/';
+
+		$this->assertSame( $case_url, HTML_Renderer::get_share_url( $case_url ) );
+		$this->assertSame( $case_url . '?bb_photo=2', HTML_Renderer::get_share_url( $case_url, 2 ) );
+		$this->assertSame( $case_url . '?bb_photo=1', HTML_Renderer::get_share_url( $case_url . '?bb_photo=3&bb_case=9', 1 ) );
+	}
+
+	/**
+	 * The share button only renders when sharing is switched on.
+	 */
+	public function test_share_button_follows_setting(): void {
+		$this->assertSame( '', HTML_Renderer::render_share_button( 'https://example.org/case/', 'Case 12', 1 ) );
+
+		update_option( 'brag_book_gallery_enable_sharing', 'yes' );
+		$html = HTML_Renderer::render_share_button( 'https://example.org/case/', 'Case 12', 1, true );
+
+		$this->assertStringContainsString( 'data-share-url="https://example.org/case/"', $html );
+		$this->assertStringContainsString( 'data-share-photo="1"', $html );
+		$this->assertStringContainsString( 'data-share-nudity="true"', $html );
+	}
+
+	/**
+	 * A shared photo previews as itself, or as its safe copy when the case
+	 * needs a nudity warning.
+	 */
+	public function test_preview_hides_nudity(): void {
+		update_option( 'brag_book_gallery_nudity_mode', HTML_Renderer::NUDITY_MODE_INDIVIDUAL );
+		add_filter( 'brag_book_gallery_share_safe_image', static fn() => 'https://example.org/safe.jpg' );
+
+		$post_id = $this->factory->post->create( array( 'post_type' => Post_Types::POST_TYPE_CASES ) );
+		update_post_meta( $post_id, 'brag_book_gallery_case_post_processed_url', 'https://cdn.example/1.jpg;https://cdn.example/2.jpg' );
+
+		$this->assertSame( 'https://cdn.example/2.jpg', Share_Meta::get_share_image( $post_id, 1 ) );
+		$this->assertSame( 'https://cdn.example/2.jpg', Share_Meta::get_share_image( $post_id, 7 ) );
+
+		update_post_meta( $post_id, HTML_Renderer::NUDITY_META_KEY, '1' );
+
+		$this->assertSame( 'https://example.org/safe.jpg', Share_Meta::get_share_image( $post_id, 1 ) );
+	}
+}
@@ -0,0 +1,90 @@
+<?php
+/**
+ * Test the share counting endpoint.
+ *
+ * @package BRAGBookGallery
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use BRAGBookGallery\Includes\Extend\Post_Types;
+use BRAGBookGallery\Includes\REST\Share_Tracking;
+
+/**
+ * Share tracking test case.
+ */
+class ShareTrackingTest extends WP_UnitTestCase {
+
+	/**
+	 * Register the route on a fresh REST server.
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		$GLOBALS['wp_rest_server'] = null;
+		add_action( 'rest_api_init', array( Share_Tracking::class, 'register_route' ) );
+		rest_get_server();
+	}
+
+	/**
+	 * Drop the REST server the test built.
+	 */
+	public function tear_down(): void {
+		remove_action( 'rest_api_init', array( Share_Tracking::class, 'register_route' ) );
+		$GLOBALS['wp_rest_server'] = null;
+		parent::tear_down();
+	}
+
+	/**
+	 * Post a share to the route.
+	 *
+	 * @param array $params Request parameters.
+	 *
+	 * @return WP_REST_Response
+	 */
+	private function post_share( array $params ): WP_REST_Response {
+		$request = new WP_REST_Request( 'POST', '/' . Share_Tracking::REST_NAMESPACE . Share_Tracking::REST_ROUTE );
+		$request->set_body_params( $params );
+
+		return rest_do_request( $request );
+	}
+
+	/**
+	 * Shares are counted per case and channel, and announced.
+	 */
+	public function test_counts_shares_per_channel(): void {
+		$post_id = $this->factory->post->create( array( 'post_type' => Post_Types::POST_TYPE_CASES ) );
+		$shared  = array();
+		add_action(
+			'brag_book_gallery_case_shared',
+			static function ( $id, $channel, $photo ) use ( &$shared ) {
+				$shared[] = array( $id, $channel, $photo );
+			},
+			10,
+			3
+		);
+
+		$this->post_share( array( 'post_id' => $post_id, 'channel' => 'facebook', 'photo' => 2 ) );
+		$response = $this->post_share( array( 'post_id' => $post_id, 'channel' => 'facebook' ) );
+		$this->post_share( array( 'post_id' => $post_id, 'channel' => 'email' ) );
+
+		$this->assertSame( 200, $response->get_status() );
+		$this->assertSame( array( 'count' => 2 ), $response->get_data() );
+		$this->assertSame( array( 'facebook' => 2, 'email' => 1 ), Share_Tracking::get_counts( $post_id ) );
+		$this->assertSame( array( $post_id, 'facebook', 2 ), $shared[0] );
+	}
+
+	/**
+	 * Unknown channels and anything but a published case are refused.
+	 */
+	public function test_rejects_unknown_targets(): void {
+		$post_id = $this->factory->post->create( array( 'post_type' => Post_Types::POST_TYPE_CASES ) );
+		$page_id = $this->factory->post->create( array( 'post_type' => 'page' ) );
+
+		$this->assertSame( 400, $this->post_share( array( 'post_id' => $post_id, 'channel' => 'myspace' ) )->get_status() );
+		$this->assertSame( 404, $this->post_share( array( 'post_id' => $page_id, 'channel' => 'link' ) )->get_status() );
+		$this->assertSame( array(), Share_Tracking::get_counts( $post_id ) );
+	}
+}
@@ -38,6 +38,7 @@ function brag_book_gallery_delete_options() {
 		'brag_book_gallery_enable_favorites',
 		'brag_book_gallery_enable_powered_by',
 		'brag_book_gallery_enable_sharing',
+		'brag_book_gallery_enable_offline',
 		'brag_book_gallery_enable_nudity_warning',
 		'brag_book_gallery_enable_lightbox',
 		'brag_book_gallery_enable_filtering',
@@ -105,6 +106,7 @@ function brag_book_gallery_drop_tables() {
 		$wpdb->prefix . 'brag_sync_log',
 		$wpdb->prefix . 'brag_sync_registry',
 		$wpdb->prefix . 'brag_case_map', // Legacy table
+		$wpdb->prefix . 'brag_saved_searches',
 	);
 
 	foreach ( $tables as $table ) {
@@ -150,6 +152,34 @@ function brag_book_gallery_delete_terms() {
 	}
 }
 
+/**
+ * Remove the files visitors attached to consultation requests.
+ *
+ * @since 4.9.5
+ */
+function brag_book_gallery_delete_consultation_uploads() {
+	$dir = wp_upload_dir( null, false )['basedir'] . '/brag-book-gallery-consultations';
+
+	if ( ! is_dir( $dir ) ) {
+		return;
+	}
+
+	$items = new RecursiveIteratorIterator(
+		new RecursiveDirectoryIterator( $dir, FilesystemIterator::SKIP_DOTS ),
+		RecursiveIteratorIterator::CHILD_FIRST
+	);
+
+	foreach ( $items as $item ) {
+		if ( $item->isDir() ) {
+			rmdir( $item->getPathname() ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_rmdir
+		} else {
+			wp_delete_file( $item->getPathname() );
+		}
+	}
+
+	rmdir( $dir ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_rmdir
+}
+
 /**
  * Remove scheduled cron events.
  */
@@ -204,6 +234,7 @@ brag_book_gallery_delete_posts();
 brag_book_gallery_delete_terms();
 brag_book_gallery_drop_tables();
 brag_book_gallery_clear_cron();
+brag_book_gallery_delete_consultation_uploads();
 
 // Remove the plugin's custom rewrite rules so WordPress rebuilds a clean
 // rule set, preventing stale gallery rules from causing sitewide 404s.
@@ -17,7 +17,9 @@ module.exports = (env, argv) => {
 			'sync-admin': './src/js/sync-admin.js',
 			'stage-sync': './src/js/stage-sync.js',
 			'location-search': './src/js/location-search.js',
-			'provider-filter': './src/js/provider-filter.js'
+			'provider-filter': './src/js/provider-filter.js',
+			'service-worker': './src/js/service-worker.js',
+			offline: './src/js/offline.js'
 		},
 		output: {
 			path: path.resolve(__dirname, 'assets/js'),
@@ -30,7 +32,9 @@ module.exports = (env, argv) => {
 					'sync-admin': 'brag-book-gallery-sync-admin.js',
 					'stage-sync': 'brag-book-gallery-stage-sync.js',
 					'location-search': 'brag-book-gallery-location-search.js',
-					'provider-filter': 'brag-book-gallery-provider-filter.js'
+					'provider-filter': 'brag-book-gallery-provider-filter.js',
+					'service-worker': 'brag-book-gallery-service-worker.js',
+					offline: 'brag-book-gallery-offline.js'
 				};
 				const baseName = nameMap[pathData.chunk.name] || '[name].js';
 				// Add .min suffix for production builds